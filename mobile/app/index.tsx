@@ -43,8 +43,10 @@ export default function HomeScreen() {
     if (savedTrip) {
       // Restore the saved trip data to the wizard store
       setState({
+        tripId: savedTrip.tripId ?? null,
         trip: savedTrip.trip,
         weather: savedTrip.weather,
+        weatherAlerts: savedTrip.alerts ?? [],
         tripPlan: savedTrip.tripPlan,
         packingList: savedTrip.packingList,
         safetyGuidance: savedTrip.safetyGuidance,
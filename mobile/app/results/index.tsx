@@ -26,8 +26,15 @@ import {
   setState,
   resetWizard,
   buildChildrenPayload,
+  currentUnitSystem,
+  dietaryPayload,
+  accessibilityPayload,
 } from "../../src/utils/wizardStore";
-import { bundleTripPlan } from "../../src/services/api";
+import {
+  bundleTripPlan,
+  getChecklist,
+  patchChecklist,
+} from "../../src/services/api";
 import {
   ALL_ACTIVITIES,
   CRUISE_ACTIVITIES,
@@ -38,9 +45,19 @@ import type {
   PackingCategory,
   PackingItem,
   SafetyResult,
+  Weather,
+  WeatherAlert,
+  FamilyEssentialsLocation,
+  EmergencyCard,
+  MoneyRange,
+  TripBudget,
 } from "../../src/types/trip";
 import {
   makeItemId,
+  buildCheckOp,
+  createChecklistSync,
+  createPollingSubscription,
+  type ChecklistSync,
   loadCheckedItems,
   saveCheckedItems,
   loadCustomItems,
@@ -82,6 +99,9 @@ function TemperatureStrip() {
             <Text style={tempStyles.condition} numberOfLines={1}>
               {day.condition?.slice(0, 8)}
             </Text>
+            {day.source === "climatology" ? (
+              <Text style={tempStyles.typical}>typical</Text>
+            ) : null}
             {day.precipitation > 40 ? (
               <View style={tempStyles.rainDot} />
             ) : null}
@@ -125,6 +145,9 @@ function ActivityCard({
           <Text style={itinStyles.activityReason}>✓ {activity.reason}</Text>
         ) : null}
       </View>
+      {activity.accessibilityNotes ? (
+        <Text style={itinStyles.activityAccessibility}>♿ {activity.accessibilityNotes}</Text>
+      ) : null}
     </View>
   );
 }
@@ -151,8 +174,24 @@ function ItineraryDayCard({
 
       {open ? (
         <View style={itinStyles.dayBody}>
-          {/* Activities for this day */}
-          {(day.activities || []).map((actId) => {
+          {/* Timed blocks when the plan has a schedule, else the plain activity list */}
+          {day.schedule?.length ? day.schedule.map((block, bi) => (
+            <View key={bi} style={itinStyles.scheduleBlock}>
+              <Text style={itinStyles.scheduleTime}>{block.start}–{block.end}</Text>
+              <View style={itinStyles.scheduleBody}>
+                <Text style={block.kind === "outing" ? itinStyles.dayActivityName : itinStyles.dayActivityMeta}>
+                  {block.label}
+                </Text>
+                {block.activities.map((actId) => {
+                  const act = activityMap.get(actId);
+                  return act ? (
+                    <Text key={actId} style={itinStyles.dayActivityName}>• {act.name}</Text>
+                  ) : null;
+                })}
+                {block.note ? <Text style={itinStyles.scheduleNote}>{block.note}</Text> : null}
+              </View>
+            </View>
+          )) : (day.activities || []).map((actId) => {
             const act = activityMap.get(actId);
             if (!act) return null;
             return (
@@ -229,6 +268,12 @@ const itinStyles = StyleSheet.create({
     color: Colors.sproutDark,
     flex: 1,
   },
+  activityAccessibility: {
+    fontFamily: FontFamily.body,
+    fontSize: FontSize.xs,
+    color: Colors.slateText,
+    marginTop: Spacing[1],
+  },
   dayCard: {
     backgroundColor: Colors.surface,
     borderRadius: BorderRadius.lg,
@@ -269,6 +314,25 @@ const itinStyles = StyleSheet.create({
     fontSize: FontSize.xs,
     color: Colors.muted,
   },
+  scheduleBlock: {
+    flexDirection: "row",
+    gap: Spacing[3],
+    marginBottom: Spacing[2],
+  },
+  scheduleTime: {
+    fontFamily: FontFamily.bodySemiBold,
+    fontSize: FontSize.xs,
+    color: Colors.muted,
+    width: 84,
+    paddingTop: 2,
+  },
+  scheduleBody: { flex: 1, gap: 2 },
+  scheduleNote: {
+    fontFamily: FontFamily.body,
+    fontSize: FontSize.xs,
+    color: Colors.slateText,
+    lineHeight: 16,
+  },
   dayMeals: {
     marginTop: Spacing[2],
     paddingTop: Spacing[2],
@@ -376,6 +440,44 @@ const carouselStyles = StyleSheet.create({
   },
 });
 
+// ── Budget Card ─────────────────────────────────────────────────────────────
+
+function formatMoney(amount: number, currency: string): string {
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency, maximumFractionDigits: 0 }).format(amount);
+  } catch {
+    return `${Math.round(amount)} ${currency}`;
+  }
+}
+
+function BudgetCard({ budget }: { budget: TripBudget }) {
+  const range = ({ low, high }: MoneyRange) =>
+    low === high ? formatMoney(low, budget.currency) : `${formatMoney(low, budget.currency)}–${formatMoney(high, budget.currency)}`;
+  const { totals, assumptions } = budget;
+  const rows: [string, string][] = [
+    ["🎟 Tickets", formatMoney(totals.admission, budget.currency)],
+    ["🍽 Meals", range(totals.meals)],
+    ["🛏 Lodging", range(totals.lodging)],
+    ...(totals.fuel > 0 ? [["⛽ Fuel", formatMoney(totals.fuel, budget.currency)] as [string, string]] : []),
+  ];
+  return (
+    <View style={styles.budgetCard}>
+      <Text style={styles.tipsTitle}>💰 Estimated Budget</Text>
+      <Text style={styles.budgetTotal}>{range(totals.total)}</Text>
+      {rows.map(([label, value]) => (
+        <View key={label} style={styles.budgetRow}>
+          <Text style={styles.budgetLabel}>{label}</Text>
+          <Text style={styles.budgetValue}>{value}</Text>
+        </View>
+      ))}
+      <Text style={styles.budgetFootnote}>
+        For {assumptions.adults} adults and {assumptions.children} {assumptions.children === 1 ? "child" : "children"} ·
+        prices as of {budget.ratesLastUpdated}
+      </Text>
+    </View>
+  );
+}
+
 // ── Swipable Activity Cards ─────────────────────────────────────────────────
 
 function SwipableActivityList({
@@ -452,6 +554,13 @@ const tempStyles = StyleSheet.create({
     textAlign: "center",
     marginTop: 1,
   },
+  typical: {
+    fontFamily: FontFamily.bodyMedium,
+    fontSize: 8,
+    color: Colors.earth,
+    textAlign: "center",
+    marginTop: 1,
+  },
   rainDot: {
     width: 5,
     height: 5,
@@ -762,26 +871,240 @@ const packingStyles = StyleSheet.create({
 
 // ── Safety Tab ───────────────────────────────────────────────────────────────
 
+function WeatherAlertsCard({ alerts }: { alerts: WeatherAlert[] }) {
+  if (alerts.length === 0) return null;
+
+  return (
+    <View style={safetyStyles.alertCard}>
+      <Text style={safetyStyles.alertTitle}>⚠️ Weather Alerts</Text>
+      {alerts.map((alert) => (
+        <View key={alert.id || alert.event} style={safetyStyles.alertRow}>
+          <Text style={safetyStyles.alertEvent}>
+            {alert.event} · {alert.severity}
+          </Text>
+          <Text style={safetyStyles.alertDetail}>
+            {[alert.dates.join(", "), alert.stop].filter(Boolean).join(" · ")}
+          </Text>
+          {alert.instruction ? (
+            <Text style={safetyStyles.alertDetail} numberOfLines={4}>
+              {alert.instruction}
+            </Text>
+          ) : null}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+// Peak UV, air quality and "feels like" per day; bands match the backend's services/weatherRisk.js.
+function uvLabel(uv: number): string {
+  if (uv < 3) return "low";
+  if (uv < 6) return "moderate";
+  if (uv < 8) return "high";
+  return uv < 11 ? "very high" : "extreme";
+}
+
+function aqiLabel(aqi: number): string {
+  if (aqi <= 50) return "good";
+  if (aqi <= 100) return "moderate";
+  if (aqi <= 150) return "unhealthy for kids";
+  return aqi <= 200 ? "unhealthy" : "very unhealthy";
+}
+
+function KidRiskCard({ weather }: { weather: Weather | null }) {
+  const days = (weather?.forecast || []).filter(
+    (day) => day.uvIndex !== undefined || day.aqi !== undefined,
+  );
+  if (days.length === 0) return null;
+  const unit = weather?.units?.temperature === "C" ? "°C" : "°F";
+
+  return (
+    <View style={safetyStyles.riskCard}>
+      <Text style={safetyStyles.riskTitle}>☀️ Sun, Air & Heat</Text>
+      {days.map((day, i) => (
+        <View key={day.date || i} style={safetyStyles.alertRow}>
+          <Text style={safetyStyles.alertEvent}>{day.name}</Text>
+          <Text style={safetyStyles.alertDetail}>
+            {[
+              day.uvIndex !== undefined ? `UV ${day.uvIndex} (${uvLabel(day.uvIndex)})` : null,
+              day.aqi !== undefined ? `AQI ${day.aqi} (${aqiLabel(day.aqi)})` : null,
+              day.heatIndex !== undefined && day.heatRisk && day.heatRisk !== "low"
+                ? `feels like ${day.heatIndex}${unit} (${day.heatRisk} heat risk)`
+                : null,
+            ].filter(Boolean).join(" · ")}
+          </Text>
+          {day.aqi !== undefined && day.aqi > 100 ? (
+            <Text style={safetyStyles.alertDetail}>
+              Plan indoor activities; kid-size masks for ages 2+ only.
+            </Text>
+          ) : null}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const ESSENTIAL_GROUPS = [
+  { key: "urgentCare", label: "🩺 Urgent care" },
+  { key: "hospitals", label: "🏥 Hospitals" },
+  { key: "pharmacies", label: "💊 Pharmacies" },
+  { key: "changingTables", label: "🚻 Changing tables" },
+  { key: "playgrounds", label: "🛝 Playgrounds" },
+] as const;
+
+function formatMiles(miles: number): string {
+  return currentUnitSystem() === "metric" ? `${Math.round(miles * 16.09344) / 10} km` : `${miles} mi`;
+}
+
+// Nearest three of each essential around the destination (OpenStreetMap via the backend).
+function FamilyEssentialsCard({ locations }: { locations: FamilyEssentialsLocation[] | null }) {
+  const essentials = (locations || []).find((location) => location.essentials)?.essentials;
+  if (!essentials) return null;
+
+  return (
+    <View style={safetyStyles.essentialsCard}>
+      <Text style={safetyStyles.riskTitle}>📍 Family Essentials Nearby</Text>
+      {ESSENTIAL_GROUPS.map(({ key, label }) => {
+        const places = essentials[key].slice(0, 3);
+        if (places.length === 0) return null;
+        return (
+          <View key={key} style={safetyStyles.alertRow}>
+            <Text style={safetyStyles.alertEvent}>{label}</Text>
+            {places.map((place) => (
+              <Text key={place.id} style={safetyStyles.alertDetail}>
+                {[
+                  place.name,
+                  place.pediatric && key === "urgentCare" ? "pediatric" : null,
+                  place.emergency ? "ER" : null,
+                  formatMiles(place.distanceMiles),
+                ].filter(Boolean).join(" · ")}
+              </Text>
+            ))}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+// Plain-text card for the share sheet — saves to Notes/Files or prints from there.
+function emergencyCardText(card: EmergencyCard): string {
+  const { emergencyNumbers: numbers } = card;
+  const lines = [
+    `EMERGENCY INFO — ${card.destination}`,
+    `Emergency: ${numbers.general}`,
+    ...(["police", "ambulance", "fire"] as const)
+      .filter((key) => numbers[key] && numbers[key] !== numbers.general)
+      .map((key) => `${key[0].toUpperCase()}${key.slice(1)}: ${numbers[key]}`),
+    `Poison control: ${card.poisonControl ? `${card.poisonControl.phone} (${card.poisonControl.name})` : numbers.general}`,
+  ];
+  for (const [label, hospital] of [
+    ["Nearest ER", card.nearestEmergencyRoom],
+    ["Children's hospital", card.nearestChildrensHospital],
+  ] as const) {
+    if (hospital) lines.push(`${label}: ${[hospital.name, hospital.address, hospital.phone].filter(Boolean).join(", ")}`);
+  }
+  if (card.embassy) lines.push(`${card.embassy.name}: ${card.embassy.url} · 24/7 ${card.embassy.emergencyPhone}`);
+  card.children.forEach((child, i) => {
+    lines.push(
+      `Child ${i + 1} (age ${child.age}) — allergies: ${child.allergies.join(", ") || "none listed"}; ` +
+        `medications: ${child.medications.join(", ") || "none listed"}`,
+    );
+  });
+  return lines.join("\n");
+}
+
+// Saved with the trip, so it shows offline.
+function EmergencyInfoCard({ card }: { card: EmergencyCard | null }) {
+  if (!card) return null;
+  const { emergencyNumbers: numbers } = card;
+  const hospitals = [
+    ["Nearest ER", card.nearestEmergencyRoom],
+    ["Children's hospital", card.nearestChildrensHospital],
+  ] as const;
+
+  return (
+    <View style={safetyStyles.emergencyCard}>
+      <View style={safetyStyles.emergencyHeader}>
+        <Text style={safetyStyles.alertTitle}>🚑 Emergency Info</Text>
+        <TouchableOpacity onPress={() => Share.share({ message: emergencyCardText(card) })} activeOpacity={0.7}>
+          <Text style={safetyStyles.link}>Share / Print</Text>
+        </TouchableOpacity>
+      </View>
+      <Text style={safetyStyles.emergencyNumber}>{numbers.general}</Text>
+      <Text style={safetyStyles.alertDetail}>
+        {[
+          numbers.police && numbers.police !== numbers.general ? `Police ${numbers.police}` : null,
+          numbers.ambulance && numbers.ambulance !== numbers.general ? `Ambulance ${numbers.ambulance}` : null,
+          numbers.fire && numbers.fire !== numbers.general ? `Fire ${numbers.fire}` : null,
+          `Poison control ${card.poisonControl?.phone ?? numbers.general}`,
+        ].filter(Boolean).join(" · ")}
+      </Text>
+      {hospitals.map(([label, hospital]) =>
+        hospital ? (
+          <View key={label} style={safetyStyles.alertRow}>
+            <Text style={safetyStyles.alertEvent}>{label}: {hospital.name}</Text>
+            <Text style={safetyStyles.alertDetail}>
+              {[hospital.address, hospital.phone, formatMiles(hospital.distanceMiles)].filter(Boolean).join(" · ")}
+            </Text>
+          </View>
+        ) : null,
+      )}
+      {!card.hospitalsChecked ? (
+        <Text style={safetyStyles.alertDetail}>Hospitals couldn't be looked up — note the nearest ER when you arrive.</Text>
+      ) : null}
+      {card.embassy ? (
+        <View style={safetyStyles.alertRow}>
+          <Text style={safetyStyles.alertEvent}>{card.embassy.name}</Text>
+          <Text style={safetyStyles.alertDetail}>
+            {card.embassy.url} · U.S. citizens 24/7 {card.embassy.emergencyPhone}
+          </Text>
+        </View>
+      ) : null}
+      {card.children.map((child, i) => (
+        <View key={i} style={safetyStyles.alertRow}>
+          <Text style={safetyStyles.alertEvent}>Child {i + 1} · age {child.age}</Text>
+          <Text style={safetyStyles.alertDetail}>
+            Allergies: {child.allergies.join(", ") || "none listed"} · Medications:{" "}
+            {child.medications.join(", ") || "none listed"}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
 function SafetyTab() {
-  const { safetyGuidance } = getState();
+  const { safetyGuidance, weatherAlerts, weather, familyEssentials, emergencyCard } = getState();
 
   if (!safetyGuidance) {
     return (
-      <View style={safetyStyles.emptyCard}>
-        <Text style={safetyStyles.emptyTitle}>
-          Safety Information Unavailable
-        </Text>
-        <Text style={safetyStyles.emptyText}>
-          We couldn't load car seat guidance for your destination. Please check{" "}
-          <Text style={safetyStyles.link}>seatcheck.org</Text> for official
-          guidelines.
-        </Text>
+      <View>
+        <EmergencyInfoCard card={emergencyCard} />
+        <WeatherAlertsCard alerts={weatherAlerts} />
+        <KidRiskCard weather={weather} />
+        <FamilyEssentialsCard locations={familyEssentials} />
+        <View style={safetyStyles.emptyCard}>
+          <Text style={safetyStyles.emptyTitle}>
+            Safety Information Unavailable
+          </Text>
+          <Text style={safetyStyles.emptyText}>
+            We couldn't load car seat guidance for your destination. Please check{" "}
+            <Text style={safetyStyles.link}>seatcheck.org</Text> for official
+            guidelines.
+          </Text>
+        </View>
       </View>
     );
   }
 
   return (
     <View>
+      <EmergencyInfoCard card={emergencyCard} />
+      <WeatherAlertsCard alerts={weatherAlerts} />
+      <KidRiskCard weather={weather} />
+      <FamilyEssentialsCard locations={familyEssentials} />
+
       {/* Jurisdiction header */}
       <View style={safetyStyles.jurisdictionCard}>
         <Text style={safetyStyles.jurisdictionTitle}>
@@ -880,6 +1203,70 @@ const safetyStyles = StyleSheet.create({
     lineHeight: 20,
   },
   link: { color: Colors.skyDark, textDecorationLine: "underline" },
+  alertCard: {
+    backgroundColor: Colors.redLight,
+    borderRadius: BorderRadius.lg,
+    borderWidth: 1,
+    borderColor: Colors.redBorder,
+    padding: Spacing[4],
+    marginBottom: Spacing[4],
+  },
+  alertTitle: {
+    fontFamily: FontFamily.headingBold,
+    fontSize: FontSize.base,
+    color: Colors.red,
+    marginBottom: Spacing[2],
+  },
+  alertRow: { marginTop: Spacing[2] },
+  riskCard: {
+    backgroundColor: Colors.sunLight,
+    borderRadius: BorderRadius.lg,
+    borderWidth: 1,
+    borderColor: Colors.sun,
+    padding: Spacing[4],
+    marginBottom: Spacing[4],
+  },
+  emergencyCard: {
+    backgroundColor: Colors.background,
+    borderRadius: BorderRadius.lg,
+    borderWidth: 2,
+    borderColor: Colors.red,
+    padding: Spacing[4],
+    marginBottom: Spacing[4],
+  },
+  emergencyHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  emergencyNumber: {
+    fontFamily: FontFamily.headingBold,
+    fontSize: FontSize["3xl"],
+    color: Colors.red,
+  },
+  essentialsCard: {
+    backgroundColor: Colors.sproutLight,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing[4],
+    marginBottom: Spacing[4],
+  },
+  riskTitle: {
+    fontFamily: FontFamily.headingBold,
+    fontSize: FontSize.base,
+    color: Colors.slateText,
+    marginBottom: Spacing[2],
+  },
+  alertEvent: {
+    fontFamily: FontFamily.bodySemiBold,
+    fontSize: FontSize.sm,
+    color: Colors.slateText,
+  },
+  alertDetail: {
+    fontFamily: FontFamily.body,
+    fontSize: FontSize.xs,
+    color: Colors.muted,
+    marginTop: 2,
+  },
   jurisdictionCard: {
     backgroundColor: Colors.sproutLight,
     borderRadius: BorderRadius.lg,
@@ -1142,7 +1529,7 @@ export default function ResultsScreen() {
   const [showCustomize, setShowCustomize] = useState(false);
   const [isRegenerating, setIsRegenerating] = useState(false);
 
-  const { tripPlan, trip, weather, packingList } = getState();
+  const { tripPlan, trip, weather, packingList, tripId } = getState();
 
   // Build activity lookup map
   const activityMap = new Map<string, Activity>();
@@ -1155,14 +1542,44 @@ export default function ResultsScreen() {
     loadCheckedItems().then(setCheckedItems);
   }, []);
 
+  // Saved trips sync checks with the rest of the family; AsyncStorage mirrors the merged state.
+  const checklistSyncRef = useRef<ChecklistSync | null>(null);
+  const checkedItemsRef = useRef(checkedItems);
+  checkedItemsRef.current = checkedItems;
+
+  useEffect(() => {
+    if (!tripId) return undefined;
+    const sync = createChecklistSync({
+      initial: { checked: [...checkedItemsRef.current] },
+      sendOps: (ops) => patchChecklist(tripId, ops),
+      subscribe: createPollingSubscription(() => getChecklist(tripId)),
+      onChange: (checklist) => {
+        const next = new Set(checklist.checked);
+        setCheckedItems(next);
+        saveCheckedItems(next);
+      },
+    });
+    checklistSyncRef.current = sync;
+    return () => {
+      sync.stop();
+      checklistSyncRef.current = null;
+    };
+  }, [tripId]);
+
   const handleToggleItem = useCallback(async (id: string) => {
     Haptics.selectionAsync();
+    const willCheck = !checkedItemsRef.current.has(id);
+    if (checklistSyncRef.current) {
+      // The sync engine's onChange updates state + storage with the optimistic view.
+      checklistSyncRef.current.apply(buildCheckOp(id, willCheck));
+      return;
+    }
     setCheckedItems((prev) => {
       const next = new Set(prev);
-      if (next.has(id)) {
-        next.delete(id);
-      } else {
+      if (willCheck) {
         next.add(id);
+      } else {
+        next.delete(id);
       }
       saveCheckedItems(next); // fire-and-forget
       return next;
@@ -1292,6 +1709,8 @@ export default function ResultsScreen() {
           tripType: currentTripType,
         } = getState();
         const children = buildChildrenPayload();
+        const dietary = dietaryPayload();
+        const accessibility = accessibilityPayload();
 
         const bundleResult = await bundleTripPlan({
           destination: resolvedDestination,
@@ -1299,19 +1718,26 @@ export default function ResultsScreen() {
           endDate,
           activities: selectedActivities,
           children,
+          unitSystem: currentUnitSystem(),
           ...(currentTripType ? { tripType: currentTripType } : {}),
+          ...(dietary ? { dietary } : {}),
+          ...(accessibility ? { accessibility } : {}),
         });
 
         setState({
+          tripId: bundleResult.tripId ?? null,
           tripPlan: bundleResult.tripPlan,
           packingList: bundleResult.packingList,
           weather: bundleResult.weather,
+          weatherAlerts: bundleResult.alerts ?? [],
           trip: bundleResult.trip,
         });
 
         await saveTripData({
+          tripId: bundleResult.tripId ?? null,
           trip: bundleResult.trip,
           weather: bundleResult.weather,
+          alerts: bundleResult.alerts ?? [],
           tripPlan: bundleResult.tripPlan,
           packingList: bundleResult.packingList,
           safetyGuidance: getState().safetyGuidance,
@@ -1455,6 +1881,9 @@ export default function ResultsScreen() {
               </>
             ) : null}
 
+            {/* Budget */}
+            {tripPlan.budget ? <BudgetCard budget={tripPlan.budget} /> : null}
+
             {/* Tips */}
             {(tripPlan.tips || []).length > 0 ? (
               <View style={styles.tipsCard}>
@@ -1601,6 +2030,40 @@ const styles = StyleSheet.create({
     marginBottom: Spacing[3],
     marginTop: Spacing[2],
   },
+  budgetCard: {
+    backgroundColor: Colors.skyLight,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing[4],
+    marginTop: Spacing[2],
+    marginBottom: Spacing[2],
+  },
+  budgetTotal: {
+    fontFamily: FontFamily.headingBold,
+    fontSize: FontSize.xl,
+    color: Colors.skyDark,
+    marginBottom: Spacing[2],
+  },
+  budgetRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginBottom: Spacing[1],
+  },
+  budgetLabel: {
+    fontFamily: FontFamily.body,
+    fontSize: FontSize.sm,
+    color: Colors.slateText,
+  },
+  budgetValue: {
+    fontFamily: FontFamily.bodySemiBold,
+    fontSize: FontSize.sm,
+    color: Colors.slateText,
+  },
+  budgetFootnote: {
+    fontFamily: FontFamily.body,
+    fontSize: FontSize.xs,
+    color: Colors.muted,
+    marginTop: Spacing[2],
+  },
   tipsCard: {
     backgroundColor: Colors.sunLight,
     borderRadius: BorderRadius.lg,
@@ -38,12 +38,17 @@ import {
   getState,
   setState,
   buildChildrenPayload,
+  currentUnitSystem,
+  dietaryPayload,
+  accessibilityPayload,
 } from "../../src/utils/wizardStore";
 import {
   bundleTripPlan,
   getCarSeatGuidance,
   getTravelAdvisory,
   getNeighborhoodSafety,
+  getFamilyEssentials,
+  getEmergencyCard,
 } from "../../src/services/api";
 import { saveTripData } from "../../src/utils/checklist";
 import {
@@ -257,6 +262,9 @@ export default function ActivitiesScreen() {
 
     const { resolvedDestination, startDate, endDate } = getState();
     const children = buildChildrenPayload();
+    const unitSystem = currentUnitSystem();
+    const dietary = dietaryPayload();
+    const accessibility = accessibilityPayload();
 
     const { tripType } = getState();
     const tripData = {
@@ -265,7 +273,10 @@ export default function ActivitiesScreen() {
       endDate,
       activities,
       children,
+      unitSystem,
       ...(tripType ? { tripType } : {}),
+      ...(dietary ? { dietary } : {}),
+      ...(accessibility ? { accessibility } : {}),
     };
 
     const controller = new AbortController();
@@ -283,9 +294,11 @@ export default function ActivitiesScreen() {
       setLoadingPhaseIdx(3);
       const countryCode = bundleResult.trip?.countryCode || null;
 
-      const [safetyGuidance, travelAdvisory, neighborhoodSafety] = await Promise.all([
+      const tripLat = bundleResult.trip?.lat;
+      const tripLon = bundleResult.trip?.lon;
+      const [safetyGuidance, travelAdvisory, neighborhoodSafety, familyEssentials, emergencyCard] = await Promise.all([
         getCarSeatGuidance(
-          { destination: resolvedDestination, tripDate: startDate, children, countryCode: countryCode || undefined },
+          { destination: resolvedDestination, tripDate: startDate, children, countryCode: countryCode || undefined, unitSystem },
           { signal: controller.signal },
         ).catch(() => null),
         countryCode && countryCode !== "US"
@@ -293,35 +306,61 @@ export default function ActivitiesScreen() {
               .then((r) => r?.advisory ?? null)
               .catch(() => null)
           : Promise.resolve(null),
-        bundleResult.trip?.lat != null && bundleResult.trip?.lon != null
-          ? getNeighborhoodSafety(bundleResult.trip.lat, bundleResult.trip.lon, { signal: controller.signal })
+        tripLat != null && tripLon != null
+          ? getNeighborhoodSafety(tripLat, tripLon, { signal: controller.signal })
               .then((r) => r?.safety ?? null)
               .catch(() => null)
           : Promise.resolve(null),
+        tripLat != null && tripLon != null
+          ? getFamilyEssentials(tripLat, tripLon, { signal: controller.signal })
+              .then((r) => r?.locations ?? null)
+              .catch(() => null)
+          : Promise.resolve(null),
+        getEmergencyCard(
+          {
+            destination: bundleResult.trip?.destination || resolvedDestination,
+            countryCode: countryCode || "US",
+            lat: tripLat ?? undefined,
+            lon: tripLon ?? undefined,
+            children,
+            unitSystem,
+          },
+          { signal: controller.signal },
+        )
+          .then((r) => r?.card ?? null)
+          .catch(() => null),
       ]);
 
       setLoadingPhaseIdx(4);
 
       setState({
+        tripId: bundleResult.tripId ?? null,
         trip: bundleResult.trip,
         weather: bundleResult.weather,
+        weatherAlerts: bundleResult.alerts ?? [],
         tripPlan: bundleResult.tripPlan,
         packingList: bundleResult.packingList,
         safetyGuidance,
         travelAdvisory,
         neighborhoodSafety,
+        familyEssentials,
+        emergencyCard,
         loadingPhase: null,
         error: null,
       });
 
       await saveTripData({
+        tripId: bundleResult.tripId ?? null,
         trip: bundleResult.trip,
         weather: bundleResult.weather,
+        alerts: bundleResult.alerts ?? [],
         tripPlan: bundleResult.tripPlan,
         packingList: bundleResult.packingList,
         safetyGuidance,
         travelAdvisory,
         neighborhoodSafety,
+        familyEssentials,
+        emergencyCard,
         lastModified: new Date().toISOString(),
       });
 
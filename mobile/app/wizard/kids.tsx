@@ -2,6 +2,9 @@
  * Step 3 — Kids
  * Number of children, ages, optional weight + height.
  * Weight/height show a helper explaining why they're needed (car seat safety).
+ * Weight/height are typed in lbs/in or kg/cm — defaults to the destination country's system.
+ * Optional nap window + bedtime ("HH:MM") per child — each itinerary day is scheduled around them.
+ * Optional family food allergies and diets — meals and packing are planned around them.
  * Routes to activities screen on submit.
  */
 import React, { useState, useCallback, useEffect } from "react";
@@ -18,7 +21,21 @@ import WizardLayout from "../../src/components/WizardLayout";
 import {
   getState,
   setState,
+  currentUnitSystem,
+  type ChildRoutine,
+  type ChildMedical,
 } from "../../src/utils/wizardStore";
+import { MEASUREMENT_UNITS, convertMeasurements } from "../../src/utils/units";
+import type {
+  Accessibility,
+  Diet,
+  Dietary,
+  FoodAllergy,
+  MedicalEquipment,
+  MobilityNeed,
+  SensoryNeed,
+  UnitSystem,
+} from "../../src/types/trip";
 import {
   Colors,
   FontFamily,
@@ -28,6 +45,47 @@ import {
   Shadows,
 } from "../../src/constants/theme";
 
+const FOOD_ALLERGY_OPTIONS: [FoodAllergy, string][] = [
+  ["peanut", "Peanuts"],
+  ["tree_nut", "Tree nuts"],
+  ["dairy", "Dairy"],
+  ["egg", "Eggs"],
+  ["gluten", "Gluten"],
+  ["shellfish", "Shellfish"],
+  ["fish", "Fish"],
+  ["soy", "Soy"],
+  ["sesame", "Sesame"],
+];
+
+const DIET_OPTIONS: [Diet, string][] = [
+  ["vegetarian", "Vegetarian"],
+  ["vegan", "Vegan"],
+  ["halal", "Halal"],
+  ["kosher", "Kosher"],
+];
+
+const MOBILITY_OPTIONS: [MobilityNeed, string][] = [
+  ["wheelchair", "Uses a wheelchair"],
+  ["limited_walking", "Short walks only"],
+];
+
+const SENSORY_OPTIONS: [SensoryNeed, string][] = [
+  ["noise", "Noise"],
+  ["crowds", "Crowds"],
+  ["light", "Bright/flashing light"],
+  ["quiet_space", "Needs quiet breaks"],
+];
+
+const EQUIPMENT_OPTIONS: [MedicalEquipment, string][] = [
+  ["power_wheelchair", "Power wheelchair"],
+  ["manual_wheelchair", "Manual wheelchair"],
+  ["oxygen", "Oxygen"],
+  ["feeding_pump", "Feeding pump"],
+  ["cpap", "CPAP/BiPAP"],
+  ["hearing_aids", "Hearing aids"],
+  ["communication_device", "AAC device"],
+];
+
 // ── Stepper ──────────────────────────────────────────────────────────────────
 
 function Stepper({
@@ -123,6 +181,31 @@ export default function KidsScreen() {
   const [childHeights, setChildHeights] = useState<string[]>(
     initial.childHeights.map(String),
   );
+  const [childRoutines, setChildRoutines] = useState<ChildRoutine[]>(
+    initial.childRoutines.map((routine) => ({ ...routine })),
+  );
+  const [childMedical, setChildMedical] = useState<ChildMedical[]>(
+    initial.childMedical.map((medical) => ({ ...medical })),
+  );
+  const [dietary, setDietary] = useState<Dietary>({
+    foodAllergies: [...initial.dietary.foodAllergies],
+    diets: [...initial.dietary.diets],
+  });
+  const [accessibility, setAccessibility] = useState<Accessibility>({
+    mobility: [...initial.accessibility.mobility],
+    sensory: [...initial.accessibility.sensory],
+    equipment: [...initial.accessibility.equipment],
+  });
+  const [unitSystem, setUnitSystem] = useState<UnitSystem>(currentUnitSystem());
+  const units = MEASUREMENT_UNITS[unitSystem];
+
+  const switchUnits = (next: UnitSystem) => {
+    if (next === unitSystem) return;
+    Haptics.selectionAsync();
+    setChildWeights((prev) => convertMeasurements(prev, "weight", unitSystem, next));
+    setChildHeights((prev) => convertMeasurements(prev, "height", unitSystem, next));
+    setUnitSystem(next);
+  };
 
   // Sync arrays when numChildren changes
   useEffect(() => {
@@ -141,8 +224,55 @@ export default function KidsScreen() {
       while (arr.length < numChildren) arr.push("");
       return arr.slice(0, numChildren);
     });
+    setChildRoutines((prev) => {
+      const arr = [...prev];
+      while (arr.length < numChildren) arr.push({ napStart: "", napEnd: "", bedtime: "" });
+      return arr.slice(0, numChildren);
+    });
+    setChildMedical((prev) => {
+      const arr = [...prev];
+      while (arr.length < numChildren) arr.push({ allergies: "", medications: "" });
+      return arr.slice(0, numChildren);
+    });
   }, [numChildren]);
 
+  const updateRoutine = (index: number, field: keyof ChildRoutine, value: string) => {
+    setChildRoutines((prev) => prev.map((routine, i) => (i === index ? { ...routine, [field]: value.trim() } : routine)));
+  };
+
+  const updateMedical = (index: number, field: keyof ChildMedical, value: string) => {
+    setChildMedical((prev) => prev.map((medical, i) => (i === index ? { ...medical, [field]: value } : medical)));
+  };
+
+  const toggleAllergy = (key: FoodAllergy) => {
+    Haptics.selectionAsync();
+    setDietary((prev) => ({
+      ...prev,
+      foodAllergies: prev.foodAllergies.includes(key)
+        ? prev.foodAllergies.filter((value) => value !== key)
+        : [...prev.foodAllergies, key],
+    }));
+  };
+
+  const toggleDiet = (key: Diet) => {
+    Haptics.selectionAsync();
+    setDietary((prev) => ({
+      ...prev,
+      diets: prev.diets.includes(key) ? prev.diets.filter((value) => value !== key) : [...prev.diets, key],
+    }));
+  };
+
+  const toggleAccessibility = (field: keyof Accessibility, key: string) => {
+    Haptics.selectionAsync();
+    setAccessibility((prev) => {
+      const current: string[] = prev[field];
+      return {
+        ...prev,
+        [field]: current.includes(key) ? current.filter((value) => value !== key) : [...current, key],
+      };
+    });
+  };
+
   const handleNext = useCallback(() => {
     // Persist kid data to store
     setState({
@@ -150,11 +280,16 @@ export default function KidsScreen() {
       childAges,
       childWeights,
       childHeights,
+      childRoutines,
+      childMedical,
+      dietary,
+      accessibility,
+      unitSystem,
     });
 
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
     router.push("/wizard/activities");
-  }, [numChildren, childAges, childWeights, childHeights, router]);
+  }, [numChildren, childAges, childWeights, childHeights, childRoutines, childMedical, dietary, accessibility, unitSystem, router]);
 
   return (
     <WizardLayout
@@ -179,6 +314,22 @@ export default function KidsScreen() {
             Adults-only trip — no car seat guidance needed.
           </Text>
         )}
+        {numChildren > 0 && (
+          <View style={styles.unitRow}>
+            <Text style={styles.childFieldLabel}>Units</Text>
+            {(["imperial", "metric"] as const).map((system) => (
+              <TouchableOpacity
+                key={system}
+                style={[styles.unitChip, unitSystem === system && styles.unitChipActive]}
+                onPress={() => switchUnits(system)}
+              >
+                <Text style={[styles.unitChipText, unitSystem === system && styles.unitChipTextActive]}>
+                  {MEASUREMENT_UNITS[system].weight} / {MEASUREMENT_UNITS[system].height}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
       </View>
 
       {/* Per-child info (hidden when 0 kids) */}
@@ -203,7 +354,7 @@ export default function KidsScreen() {
           <View style={styles.childOptionalRow}>
             <View style={styles.childOptionalField}>
               <Text style={styles.childFieldLabel}>
-                Weight (lbs) <Text style={styles.optional}>optional</Text>
+                Weight ({units.weight}) <Text style={styles.optional}>optional</Text>
               </Text>
               <TextInput
                 style={styles.childInput}
@@ -213,7 +364,7 @@ export default function KidsScreen() {
                   w[i] = t;
                   setChildWeights(w);
                 }}
-                placeholder="e.g. 35"
+                placeholder={units.weightExample}
                 placeholderTextColor={Colors.muted}
                 keyboardType="numeric"
                 returnKeyType="done"
@@ -221,7 +372,7 @@ export default function KidsScreen() {
             </View>
             <View style={styles.childOptionalField}>
               <Text style={styles.childFieldLabel}>
-                Height (in) <Text style={styles.optional}>optional</Text>
+                Height ({units.height}) <Text style={styles.optional}>optional</Text>
               </Text>
               <TextInput
                 style={styles.childInput}
@@ -231,7 +382,7 @@ export default function KidsScreen() {
                   h[i] = t;
                   setChildHeights(h);
                 }}
-                placeholder="e.g. 42"
+                placeholder={units.heightExample}
                 placeholderTextColor={Colors.muted}
                 keyboardType="numeric"
                 returnKeyType="done"
@@ -241,9 +392,154 @@ export default function KidsScreen() {
           <Text style={styles.weightHint}>
             Used for car seat safety recommendations
           </Text>
+
+          <Text style={[styles.childFieldLabel, styles.routineTitle]}>
+            Daily routine <Text style={styles.optional}>optional</Text>
+          </Text>
+          <View style={styles.childOptionalRow}>
+            <View style={styles.childOptionalField}>
+              <Text style={styles.childFieldLabel}>Nap from</Text>
+              <TextInput
+                style={styles.childInput}
+                value={childRoutines[i]?.napStart ?? ""}
+                onChangeText={(t) => updateRoutine(i, "napStart", t)}
+                placeholder="12:30"
+                placeholderTextColor={Colors.muted}
+                keyboardType="numbers-and-punctuation"
+                maxLength={5}
+                returnKeyType="done"
+              />
+            </View>
+            <View style={styles.childOptionalField}>
+              <Text style={styles.childFieldLabel}>Nap until</Text>
+              <TextInput
+                style={styles.childInput}
+                value={childRoutines[i]?.napEnd ?? ""}
+                onChangeText={(t) => updateRoutine(i, "napEnd", t)}
+                placeholder="14:30"
+                placeholderTextColor={Colors.muted}
+                keyboardType="numbers-and-punctuation"
+                maxLength={5}
+                returnKeyType="done"
+              />
+            </View>
+            <View style={styles.childOptionalField}>
+              <Text style={styles.childFieldLabel}>Bedtime</Text>
+              <TextInput
+                style={styles.childInput}
+                value={childRoutines[i]?.bedtime ?? ""}
+                onChangeText={(t) => updateRoutine(i, "bedtime", t)}
+                placeholder="19:30"
+                placeholderTextColor={Colors.muted}
+                keyboardType="numbers-and-punctuation"
+                maxLength={5}
+                returnKeyType="done"
+              />
+            </View>
+          </View>
+          <Text style={styles.weightHint}>
+            24-hour times — each day is planned around naps and bedtime
+          </Text>
+
+          <Text style={[styles.childFieldLabel, styles.routineTitle]}>
+            Medical details <Text style={styles.optional}>optional</Text>
+          </Text>
+          <Text style={styles.childFieldLabel}>Allergies</Text>
+          <TextInput
+            style={styles.childInput}
+            value={childMedical[i]?.allergies ?? ""}
+            onChangeText={(t) => updateMedical(i, "allergies", t)}
+            placeholder="peanuts, penicillin"
+            placeholderTextColor={Colors.muted}
+            maxLength={200}
+            returnKeyType="done"
+          />
+          <Text style={[styles.childFieldLabel, styles.medicalLabel]}>Medications</Text>
+          <TextInput
+            style={styles.childInput}
+            value={childMedical[i]?.medications ?? ""}
+            onChangeText={(t) => updateMedical(i, "medications", t)}
+            placeholder="EpiPen Jr, albuterol inhaler"
+            placeholderTextColor={Colors.muted}
+            maxLength={200}
+            returnKeyType="done"
+          />
+          <Text style={styles.weightHint}>
+            Separate with commas — shown on the emergency info card
+          </Text>
         </View>
       ))}
 
+      {/* Family food allergies + diets */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>
+          Food allergies & diets <Text style={styles.optional}>optional</Text>
+        </Text>
+        <View style={styles.chipWrap}>
+          {FOOD_ALLERGY_OPTIONS.map(([key, label]) => {
+            const selected = dietary.foodAllergies.includes(key);
+            return (
+              <TouchableOpacity
+                key={key}
+                style={[styles.unitChip, selected && styles.unitChipActive]}
+                onPress={() => toggleAllergy(key)}
+              >
+                <Text style={[styles.unitChipText, selected && styles.unitChipTextActive]}>{label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        <View style={styles.chipWrap}>
+          {DIET_OPTIONS.map(([key, label]) => {
+            const selected = dietary.diets.includes(key);
+            return (
+              <TouchableOpacity
+                key={key}
+                style={[styles.unitChip, selected && styles.unitChipActive]}
+                onPress={() => toggleDiet(key)}
+              >
+                <Text style={[styles.unitChipText, selected && styles.unitChipTextActive]}>{label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        <Text style={styles.weightHint}>
+          For everyone on the trip — meal ideas and snacks are planned around them
+        </Text>
+      </View>
+
+      {/* Accessibility + medical equipment */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>
+          Accessibility & special needs <Text style={styles.optional}>optional</Text>
+        </Text>
+        {(
+          [
+            ["mobility", MOBILITY_OPTIONS],
+            ["sensory", SENSORY_OPTIONS],
+            ["equipment", EQUIPMENT_OPTIONS],
+          ] as [keyof Accessibility, [string, string][]][]
+        ).map(([field, options]) => (
+          <View key={field} style={styles.chipWrap}>
+            {options.map(([key, label]) => {
+              const selected = (accessibility[field] as string[]).includes(key);
+              return (
+                <TouchableOpacity
+                  key={key}
+                  style={[styles.unitChip, selected && styles.unitChipActive]}
+                  onPress={() => toggleAccessibility(field, key)}
+                >
+                  <Text style={[styles.unitChipText, selected && styles.unitChipTextActive]}>{label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        ))}
+        <Text style={styles.weightHint}>
+          Mobility, sensitivities, then equipment — favors step-free, quieter options and adds chargers and supplies to packing
+        </Text>
+      </View>
+
       {/* Next button */}
       <TouchableOpacity
         style={styles.nextButton}
@@ -299,6 +595,32 @@ const styles = StyleSheet.create({
     fontSize: FontSize.xs,
     color: Colors.muted,
   },
+  unitRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: Spacing[2],
+    marginTop: Spacing[3],
+  },
+  unitChip: {
+    paddingHorizontal: Spacing[3],
+    paddingVertical: Spacing[1],
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    backgroundColor: Colors.surface,
+  },
+  unitChipActive: {
+    backgroundColor: Colors.sproutLight,
+    borderColor: Colors.sproutBase,
+  },
+  unitChipText: {
+    fontFamily: FontFamily.bodyMedium,
+    fontSize: FontSize.xs,
+    color: Colors.slateText,
+  },
+  unitChipTextActive: {
+    color: Colors.sproutDark,
+  },
   childOptionalRow: {
     flexDirection: "row",
     gap: Spacing[3],
@@ -319,6 +641,18 @@ const styles = StyleSheet.create({
     color: Colors.text,
     marginTop: Spacing[1],
   },
+  routineTitle: {
+    marginTop: Spacing[4],
+  },
+  medicalLabel: {
+    marginTop: Spacing[2],
+  },
+  chipWrap: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: Spacing[2],
+    marginBottom: Spacing[3],
+  },
   weightHint: {
     fontFamily: FontFamily.body,
     fontSize: FontSize.xs,
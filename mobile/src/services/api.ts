@@ -18,7 +18,11 @@ import type {
   SafetyGuidance,
   TravelAdvisory,
   NeighborhoodSafety,
+  FamilyEssentialsLocation,
+  EmergencyCard,
   Child,
+  UnitSystem,
+  WeatherAlert,
 } from "../types/trip";
 
 // Railway production URL — always HTTPS in mobile (no localhost fallback needed)
@@ -298,6 +302,7 @@ export const getCarSeatGuidance = async (
     tripDate?: string;
     children: Child[];
     countryCode?: string;
+    unitSystem?: UnitSystem;
   },
   opts: ApiOptions = {},
 ): Promise<SafetyGuidance> =>
@@ -310,8 +315,12 @@ export const getCarSeatGuidance = async (
 // ── Phase 6 bundle + safety APIs ──────────────────────────────────────────────
 
 export interface BundleTripPlanResponse {
+  /** Server-side trip store ID; null if the backend could not persist the trip */
+  tripId: string | null;
   trip: TripData;
   weather: Weather;
+  /** Official weather alerts overlapping the trip — empty when none are active */
+  alerts?: WeatherAlert[];
   tripPlan: TripPlan;
   packingList: PackingList;
 }
@@ -350,6 +359,118 @@ export const getNeighborhoodSafety = async (
     { maxRetries: 1, timeoutMs: 10000, ...opts },
   ) as Promise<{ safety: NeighborhoodSafety }>;
 
+/** Find playgrounds, changing tables, pharmacies, urgent care and hospitals near coordinates. */
+export const getFamilyEssentials = async (
+  lat: number,
+  lon: number,
+  opts: ApiOptions = {},
+): Promise<{ locations: FamilyEssentialsLocation[] }> =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/places/family-essentials?lat=${lat}&lon=${lon}`,
+    {},
+    { maxRetries: 1, timeoutMs: 30000, ...opts },
+  ) as Promise<{ locations: FamilyEssentialsLocation[] }>;
+
+/** Build the emergency info card (numbers, poison control, nearest ER, embassy, children's medical details). */
+export const getEmergencyCard = async (
+  payload: {
+    destination: string;
+    countryCode: string;
+    lat?: number;
+    lon?: number;
+    children: Child[];
+    unitSystem?: UnitSystem;
+  },
+  opts: ApiOptions = {},
+): Promise<{ card: EmergencyCard }> =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/safety/emergency-card`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    },
+    { maxRetries: 1, timeoutMs: 30000, ...opts },
+  ) as Promise<{ card: EmergencyCard }>;
+
+// ── Saved trips (server-side trip store) ─────────────────────────────────────
+
+export interface ChecklistState {
+  checked: string[];
+  customItems: Record<string, Array<{ name: string; quantity: string; reason: string; source: "custom" }>>;
+  /** Person/bag assignments keyed by item ID */
+  assignments?: Record<string, { person: string | null; bag: string | null }>;
+  updatedAt: string | null;
+  /** Increments on every merged change — polling clients compare it to skip no-op updates */
+  version?: number;
+}
+
+export type ChecklistOp =
+  | { type: "check"; itemId: string; checked: boolean; at: string }
+  | { type: "addCustom"; category: string; item: { name: string; quantity: string; reason: string; source: "custom" }; at: string }
+  | { type: "removeCustom"; category: string; itemId: string; at: string }
+  | { type: "assign"; itemId: string; person: string | null; bag: string | null; at: string };
+
+export interface SavedTripResponse {
+  tripId: string;
+  createdAt: string;
+  updatedAt: string;
+  trip: TripData;
+  weather: Weather | null;
+  tripPlan: TripPlan | null;
+  packingList: PackingList | null;
+  checklist: ChecklistState;
+}
+
+/** Load a saved trip by its server-side tripId. */
+export const getSavedTrip = async (
+  tripId: string,
+  opts: ApiOptions = {},
+): Promise<SavedTripResponse> =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}`,
+    {},
+    { maxRetries: 1, timeoutMs: 15000, ...opts },
+  ) as Promise<SavedTripResponse>;
+
+/** Partially update a saved trip (any of trip, weather, tripPlan, packingList, checklist). */
+export const updateSavedTrip = async (
+  tripId: string,
+  patch: Partial<Omit<SavedTripResponse, "tripId" | "createdAt" | "updatedAt" | "checklist">> & {
+    checklist?: Partial<ChecklistState>;
+  },
+  opts: ApiOptions = {},
+): Promise<SavedTripResponse> =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}`,
+    { ...POST_OPTS(patch), method: "PUT" },
+    { maxRetries: 1, timeoutMs: 15000, ...opts },
+  ) as Promise<SavedTripResponse>;
+
+/** Current collaborative checklist for a saved trip (polled — React Native has no EventSource). */
+export const getChecklist = async (
+  tripId: string,
+  opts: ApiOptions = {},
+): Promise<{ tripId: string; checklist: ChecklistState }> =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}/checklist`,
+    {},
+    { maxRetries: 0, timeoutMs: 10000, ...opts },
+  ) as Promise<{ tripId: string; checklist: ChecklistState }>;
+
+/** Send checklist ops; the server merges them per item (last-writer-wins) and returns the merged state. */
+export const patchChecklist = async (
+  tripId: string,
+  ops: ChecklistOp[],
+  clientId?: string,
+  opts: ApiOptions = {},
+): Promise<{ tripId: string; applied: number; checklist: ChecklistState }> =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}/checklist`,
+    { ...POST_OPTS({ ops, clientId }), method: "PATCH" },
+    { maxRetries: 1, timeoutMs: 15000, ...opts },
+  ) as Promise<{ tripId: string; applied: number; checklist: ChecklistState }>;
+
 /** Health check — used for connectivity test on app launch. */
 export const checkHealth = async (): Promise<{ status: string }> =>
   fetchWithRetry(
@@ -2,11 +2,51 @@
  * SproutRoute shared types — ported from strollerscout/src/shared/types/trip.ts
  */
 
+/** Measurement system for child weight/height and weather */
+export type UnitSystem = "imperial" | "metric";
+
 export interface Child {
   id?: string;
   age: number;
   weightLb?: number | null;
   heightIn?: number | null;
+  /** Sent instead of weightLb/heightIn when unitSystem is "metric" */
+  weightKg?: number | null;
+  heightCm?: number | null;
+  /** Daily routine, 24h "HH:MM" at the destination — itinerary days are scheduled around it */
+  napStart?: string;
+  napEnd?: string;
+  bedtime?: string;
+  /** Shown on the emergency info card */
+  allergies?: string[];
+  medications?: string[];
+}
+
+/** Family food allergies and diets — keys match the server allowlist */
+export type FoodAllergy = "peanut" | "tree_nut" | "dairy" | "egg" | "gluten" | "shellfish" | "fish" | "soy" | "sesame";
+export type Diet = "vegetarian" | "vegan" | "halal" | "kosher";
+
+export interface Dietary {
+  foodAllergies: FoodAllergy[];
+  diets: Diet[];
+}
+
+/** Accessibility needs of a family member — keys match the server allowlist */
+export type MobilityNeed = "wheelchair" | "limited_walking";
+export type SensoryNeed = "noise" | "crowds" | "light" | "quiet_space";
+export type MedicalEquipment =
+  | "power_wheelchair"
+  | "manual_wheelchair"
+  | "oxygen"
+  | "feeding_pump"
+  | "cpap"
+  | "hearing_aids"
+  | "communication_device";
+
+export interface Accessibility {
+  mobility: MobilityNeed[];
+  sensory: SensoryNeed[];
+  equipment: MedicalEquipment[];
 }
 
 export interface TripRequest {
@@ -16,6 +56,11 @@ export interface TripRequest {
   activities: string[];
   children: Child[];
   tripType?: string;
+  unitSystem?: UnitSystem;
+  /** Meals and packing are planned around it */
+  dietary?: Dietary;
+  /** Activities favor step-free, quieter options; packing adds equipment items */
+  accessibility?: Accessibility;
 }
 
 export interface WeatherDay {
@@ -23,12 +68,45 @@ export interface WeatherDay {
   high: number;
   low: number;
   condition: string;
+  /** Chance of rain, 0-100 */
   precipitation: number;
+  /** Expected amount — inches for imperial weather, mm for metric */
+  precipitationIn?: number | null;
+  precipitationMm?: number | null;
+  date?: string;
+  /** "climatology" days are climate averages for trips past the forecast horizon */
+  source?: "forecast" | "climatology";
+  /** Hour-by-hour forecast ("HH:MM" local time) when the provider has one */
+  hourly?: { time: string; temp: number; precipitation: number; humidity?: number | null; condition?: string }[];
+  /** Relative humidity, % */
+  humidity?: number | null;
+  /** Peak UV index; present within ~5 days of the forecast */
+  uvIndex?: number;
+  /** Peak US AQI; present within ~5 days of the forecast */
+  aqi?: number;
+  /** "Feels like" temperature, in the day's temperature unit */
+  heatIndex?: number;
+  heatRisk?: "low" | "moderate" | "high" | "extreme";
 }
 
 export interface Weather {
   summary: string;
   forecast: WeatherDay[];
+  /** Present on metric weather; absent means °F */
+  units?: { temperature: "C"; precipitation: "mm" };
+}
+
+/** Official weather alert (NWS or an international equivalent) covering part of the trip */
+export interface WeatherAlert {
+  id: string;
+  event: string;
+  severity: "extreme" | "severe" | "moderate" | "minor";
+  headline: string;
+  instruction?: string | null;
+  /** Trip dates (YYYY-MM-DD) the alert covers */
+  dates: string[];
+  /** Road-trip stop the alert applies to */
+  stop?: string;
 }
 
 export interface Activity {
@@ -41,6 +119,8 @@ export interface Activity {
   weatherDependent: boolean;
   bestDays: string[];
   reason: string;
+  /** Step-free access, noise level and what to ask ahead — only when the trip has accessibility needs */
+  accessibilityNotes?: string;
 }
 
 export interface ItineraryDay {
@@ -48,6 +128,23 @@ export interface ItineraryDay {
   activities: string[];
   meals: string;
   notes: string;
+  /** Alerts in effect that day; outdoor activities were moved off it */
+  weatherAlerts?: string[];
+  /** Allergies/diets whose conflicting meal ideas were removed from `meals` */
+  dietaryConflicts?: string[];
+  /** Timed blocks for the day: outings fitted around naps, meals and bedtime */
+  schedule?: ScheduleBlock[];
+}
+
+export interface ScheduleBlock {
+  start: string;
+  end: string;
+  kind: "outing" | "meal" | "nap" | "bedtime";
+  label: string;
+  /** Activity ids planned in this block (outings only) */
+  activities: string[];
+  /** Hot or rainy hours the block overlaps, or siblings' separate nap windows */
+  note?: string;
 }
 
 export interface TripPlan {
@@ -55,6 +152,21 @@ export interface TripPlan {
   suggestedActivities: Activity[];
   dailyItinerary: ItineraryDay[];
   tips: string[];
+  /** Cost estimate in the destination's currency */
+  budget?: TripBudget;
+}
+
+export interface MoneyRange {
+  low: number;
+  high: number;
+}
+
+export interface TripBudget {
+  currency: string;
+  ratesLastUpdated: string;
+  assumptions: { adults: number; children: number; lodging: string };
+  days: { day: string; date: string | null; total: MoneyRange }[];
+  totals: { admission: number; meals: MoneyRange; lodging: MoneyRange; fuel: number; total: MoneyRange };
 }
 
 export interface PackingItem {
@@ -110,6 +222,9 @@ export interface TripData {
   countryCode?: string | null;
   lat?: number;
   lon?: number;
+  unitSystem?: UnitSystem;
+  dietary?: Dietary;
+  accessibility?: Accessibility;
 }
 
 export interface TravelAdvisory {
@@ -125,14 +240,80 @@ export interface NeighborhoodSafety {
   summary: string;
 }
 
+/** A nearby place from GET /api/v1/places/family-essentials (OpenStreetMap). */
+export interface EssentialPlace {
+  /** OSM "node/123", "way/456" or "relation/789" */
+  id: string;
+  name: string;
+  lat: number;
+  lon: number;
+  /** Always miles, rounded to 0.1 */
+  distanceMiles: number;
+  address?: string;
+  openingHours?: string;
+  phone?: string;
+  /** Urgent care and hospitals only */
+  pediatric?: boolean;
+  /** Hospitals only — has an emergency department */
+  emergency?: boolean;
+}
+
+export interface FamilyEssentials {
+  playgrounds: EssentialPlace[];
+  changingTables: EssentialPlace[];
+  pharmacies: EssentialPlace[];
+  urgentCare: EssentialPlace[];
+  hospitals: EssentialPlace[];
+}
+
+export interface FamilyEssentialsLocation {
+  /** Stop or destination name; null for a lat/lon lookup */
+  name: string | null;
+  lat: number;
+  lon: number;
+  radiusMiles?: number;
+  /** null when the lookup for this location failed */
+  essentials: FamilyEssentials | null;
+}
+
+/** POST /api/v1/safety/emergency-card — cached with the trip so it shows offline */
+export interface EmergencyCard {
+  destination: string;
+  countryCode: string;
+  /** `general` is the number to dial first in a medical emergency */
+  emergencyNumbers: { general: string; police?: string; ambulance?: string; fire?: string };
+  poisonControl: { name: string; phone: string } | null;
+  /** U.S. embassy — international trips only */
+  embassy: { name: string; url: string; emergencyPhone: string } | null;
+  nearestEmergencyRoom: EssentialPlace | null;
+  nearestChildrensHospital: EssentialPlace | null;
+  /** False when the hospital lookup failed or had no coordinates */
+  hospitalsChecked: boolean;
+  children: Array<{
+    age: number;
+    birthDate?: string;
+    weightLb?: number;
+    weightKg?: number;
+    allergies: string[];
+    medications: string[];
+  }>;
+  contactsLastUpdated: string;
+  generatedAt: string;
+}
+
 export interface SavedTrip {
+  /** Server-side trip store ID — null when the trip was never persisted */
+  tripId?: string | null;
   trip: TripData;
   weather: Weather;
+  alerts?: WeatherAlert[];
   tripPlan: TripPlan;
   packingList: PackingList;
   safetyGuidance: SafetyGuidance | null;
   travelAdvisory?: TravelAdvisory | null;
   neighborhoodSafety?: NeighborhoodSafety | null;
+  familyEssentials?: FamilyEssentialsLocation[] | null;
+  emergencyCard?: EmergencyCard | null;
   lastModified: string;
 }
 
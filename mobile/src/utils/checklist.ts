@@ -3,11 +3,14 @@
  *
  * Key changes for React Native:
  * - loadCustomItems / saveCustomItems use AsyncStorage instead of localStorage
+ * - Live sync polls the checklist endpoint (no EventSource in React Native) via
+ *   createPollingSubscription; the merge engine (createChecklistSync) matches the web version
  * - Everything else is identical to the web version
  */
 
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import type { PackingList } from "../types/trip";
+import type { ChecklistOp, ChecklistState } from "../services/api";
 
 const CUSTOM_ITEMS_KEY = "sproutroute_custom_items";
 const CHECKED_ITEMS_KEY = "sproutroute_checked";
@@ -86,6 +89,217 @@ export function filterCheckedItems(
   return result;
 }
 
+// ── Collaborative sync ────────────────────────────────────────────────────────
+
+const MAX_OPS_PER_FLUSH = 100; // server cap per PATCH
+const EMPTY_CHECKLIST: ChecklistState = {
+  checked: [],
+  customItems: {},
+  assignments: {},
+  updatedAt: null,
+  version: 0,
+};
+
+export function buildCheckOp(
+  itemId: string,
+  checked: boolean,
+  at: string = new Date().toISOString(),
+): ChecklistOp {
+  return { type: "check", itemId, checked, at };
+}
+
+export function buildAddCustomOp(
+  categoryName: string,
+  item: CustomItems[string][number],
+  at: string = new Date().toISOString(),
+): ChecklistOp {
+  return { type: "addCustom", category: categoryName, item, at };
+}
+
+/** Assign an item to a person and/or bag; pass nulls to clear. */
+export function buildAssignOp(
+  itemId: string,
+  { person = null, bag = null }: { person?: string | null; bag?: string | null } = {},
+  at: string = new Date().toISOString(),
+): ChecklistOp {
+  return { type: "assign", itemId, person: person || null, bag: bag || null, at };
+}
+
+export function buildRemoveCustomOp(
+  categoryName: string,
+  item: { name: string; quantity: string },
+  at: string = new Date().toISOString(),
+): ChecklistOp {
+  return {
+    type: "removeCustom",
+    category: categoryName,
+    itemId: makeItemId(categoryName, item.name, item.quantity),
+    at,
+  };
+}
+
+/**
+ * Apply ops to a checklist locally (optimistic view while ops are unacknowledged).
+ * Ordering conflicts are the server's job; locally, later ops simply win.
+ */
+export function applyLocalOps(
+  checklist: ChecklistState | null,
+  ops: ChecklistOp[],
+): ChecklistState {
+  const checked = new Set(checklist?.checked || []);
+  const customItems: CustomItems = { ...(checklist?.customItems || {}) };
+  const assignments = { ...(checklist?.assignments || {}) };
+
+  for (const op of ops) {
+    if (op.type === "check") {
+      if (op.checked) checked.add(op.itemId);
+      else checked.delete(op.itemId);
+    } else if (op.type === "addCustom") {
+      const existing = customItems[op.category] || [];
+      const itemId = makeItemId(op.category, op.item.name, op.item.quantity);
+      if (!existing.some((i) => makeItemId(op.category, i.name, i.quantity) === itemId)) {
+        customItems[op.category] = [...existing, { ...op.item, source: "custom" }];
+      }
+    } else if (op.type === "removeCustom") {
+      const remaining = (customItems[op.category] || []).filter(
+        (i) => makeItemId(op.category, i.name, i.quantity) !== op.itemId,
+      );
+      if (remaining.length > 0) customItems[op.category] = remaining;
+      else delete customItems[op.category];
+      checked.delete(op.itemId);
+      delete assignments[op.itemId];
+    } else {
+      if (op.person || op.bag) assignments[op.itemId] = { person: op.person, bag: op.bag };
+      else delete assignments[op.itemId];
+    }
+  }
+
+  return {
+    ...EMPTY_CHECKLIST,
+    ...checklist,
+    checked: [...checked],
+    customItems,
+    assignments,
+  };
+}
+
+export interface ChecklistSync {
+  apply: (op: ChecklistOp) => void;
+  flush: () => Promise<void>;
+  getState: () => ChecklistState;
+  stop: () => void;
+}
+
+/**
+ * Keep one trip's checklist in sync with the server.
+ * apply() updates the local view immediately and queues the op; queued ops are
+ * batched into one send, retried on failure, and replayed on top of remote updates.
+ */
+export function createChecklistSync({
+  sendOps,
+  subscribe,
+  onChange,
+  initial = null,
+  flushDelayMs = 400,
+  retryDelayMs = 5000,
+}: {
+  sendOps: (ops: ChecklistOp[]) => Promise<{ checklist: ChecklistState }>;
+  subscribe: (onRemote: (payload: { checklist: ChecklistState }) => void) => () => void;
+  onChange: (checklist: ChecklistState) => void;
+  initial?: Partial<ChecklistState> | null;
+  flushDelayMs?: number;
+  retryDelayMs?: number;
+}): ChecklistSync {
+  let serverState: ChecklistState = initial ? { ...EMPTY_CHECKLIST, ...initial } : EMPTY_CHECKLIST;
+  let pending: ChecklistOp[] = [];
+  let inFlight: ChecklistOp[] = [];
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let stopped = false;
+
+  const getState = () => applyLocalOps(serverState, [...inFlight, ...pending]);
+  const notify = () => {
+    if (!stopped) onChange(getState());
+  };
+
+  const receive = (checklist?: ChecklistState) => {
+    // Polls can race the PATCH response; never step back to an older version.
+    if (!checklist || (checklist.version || 0) < (serverState.version || 0)) return;
+    serverState = checklist;
+    notify();
+  };
+
+  const schedule = (delay: number) => {
+    if (stopped || timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delay);
+  };
+
+  async function flush(): Promise<void> {
+    if (stopped || inFlight.length > 0 || pending.length === 0) return;
+    inFlight = pending.slice(0, MAX_OPS_PER_FLUSH);
+    pending = pending.slice(MAX_OPS_PER_FLUSH);
+    try {
+      const result = await sendOps(inFlight);
+      inFlight = [];
+      receive(result?.checklist);
+    } catch {
+      // Keep the ops (original timestamps preserve LWW order) and retry later.
+      pending = [...inFlight, ...pending];
+      inFlight = [];
+      schedule(retryDelayMs);
+      return;
+    }
+    if (pending.length > 0) schedule(flushDelayMs);
+  }
+
+  const unsubscribe = subscribe((payload) => receive(payload?.checklist));
+
+  return {
+    apply(op) {
+      pending.push(op);
+      notify();
+      schedule(flushDelayMs);
+    },
+    flush,
+    getState,
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      unsubscribe();
+      // Best-effort send of queued ticks so leaving the screen right after a tap doesn't lose it.
+      if (pending.length > 0) sendOps(pending.slice(0, MAX_OPS_PER_FLUSH)).catch(() => null);
+    },
+  };
+}
+
+/**
+ * Subscription source for createChecklistSync that polls instead of streaming.
+ * Only forwards checklists whose version changed.
+ */
+export function createPollingSubscription(
+  fetchChecklist: () => Promise<{ checklist: ChecklistState }>,
+  intervalMs = 5000,
+) {
+  return (onRemote: (payload: { checklist: ChecklistState }) => void) => {
+    let lastVersion = -1;
+    const poll = () =>
+      fetchChecklist()
+        .then(({ checklist }) => {
+          if ((checklist.version || 0) === lastVersion) return;
+          lastVersion = checklist.version || 0;
+          onRemote({ checklist });
+        })
+        .catch(() => {
+          /* offline — try again next tick */
+        });
+    poll();
+    const interval = setInterval(poll, intervalMs);
+    return () => clearInterval(interval);
+  };
+}
+
 // ── AsyncStorage persistence ──────────────────────────────────────────────────
 
 /** Load custom items from AsyncStorage (async — returns empty object on failure). */
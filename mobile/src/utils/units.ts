@@ -0,0 +1,41 @@
+/**
+ * Unit system helpers — ported from strollerscout/src/frontend/src/utils/units.js
+ *
+ * v1 requests carry unitSystem ("imperial" | "metric"). Metric trips send each
+ * child's weightKg/heightCm instead of weightLb/heightIn, and weather comes back
+ * in °C with `units: { temperature: "C", precipitation: "mm" }`. New trips
+ * default to the destination country's system.
+ */
+
+import type { UnitSystem } from "../types/trip";
+
+// Everywhere else uses metric for everyday measurements.
+const IMPERIAL_COUNTRIES = new Set(["US", "LR", "MM"]);
+
+const round1 = (value: number) => Math.round(value * 10) / 10;
+
+export function defaultUnitSystem(countryCode: string | null | undefined): UnitSystem {
+  return countryCode && !IMPERIAL_COUNTRIES.has(countryCode.toUpperCase()) ? "metric" : "imperial";
+}
+
+export const MEASUREMENT_UNITS: Record<UnitSystem, { weight: string; height: string; weightExample: string; heightExample: string }> = {
+  imperial: { weight: "lbs", height: "in", weightExample: "e.g. 35", heightExample: "e.g. 42" },
+  metric: { weight: "kg", height: "cm", weightExample: "e.g. 16", heightExample: "e.g. 105" },
+};
+
+const TO_METRIC = { weight: 0.453592, height: 2.54 };
+
+/** Convert typed-in weight or height strings when the parent switches units. */
+export function convertMeasurements(
+  values: string[],
+  kind: "weight" | "height",
+  from: UnitSystem,
+  to: UnitSystem,
+): string[] {
+  if (from === to) return values;
+  const factor = to === "metric" ? TO_METRIC[kind] : 1 / TO_METRIC[kind];
+  return values.map((value) => {
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) ? String(round1(parsed * factor)) : value;
+  });
+}
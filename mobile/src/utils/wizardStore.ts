@@ -13,8 +13,15 @@ import type {
   SafetyGuidance,
   TravelAdvisory,
   NeighborhoodSafety,
+  FamilyEssentialsLocation,
+  EmergencyCard,
+  Dietary,
+  Accessibility,
   DestinationSuggestion,
+  UnitSystem,
+  WeatherAlert,
 } from "../types/trip";
+import { defaultUnitSystem } from "./units";
 
 export interface WizardState {
   // Wizard inputs
@@ -26,6 +33,16 @@ export interface WizardState {
   childAges: number[];
   childWeights: (string | number)[];
   childHeights: (string | number)[];
+  /** Optional "HH:MM" nap window and bedtime per child */
+  childRoutines: ChildRoutine[];
+  /** Optional allergies/medications per child, as typed (comma-separated) — for the emergency card */
+  childMedical: ChildMedical[];
+  /** Family food allergies and diets — meals and packing are planned around them */
+  dietary: Dietary;
+  /** A family member's mobility, sensory and medical-equipment needs */
+  accessibility: Accessibility;
+  /** null until the parent picks one — then the destination country decides (see currentUnitSystem) */
+  unitSystem: UnitSystem | null;
 
   // Phase 6 inputs
   tripType: string | null;
@@ -40,13 +57,17 @@ export interface WizardState {
   vibeDescription: string | null;
 
   // Results
+  tripId: string | null;
   trip: TripData | null;
   weather: Weather | null;
+  weatherAlerts: WeatherAlert[];
   tripPlan: TripPlan | null;
   packingList: PackingList | null;
   safetyGuidance: SafetyGuidance | null;
   travelAdvisory: TravelAdvisory | null;
   neighborhoodSafety: NeighborhoodSafety | null;
+  familyEssentials: FamilyEssentialsLocation[] | null;
+  emergencyCard: EmergencyCard | null;
 
   // Loading state
   loadingPhase: "resolving" | "weather" | "planning" | "packing" | null;
@@ -54,6 +75,20 @@ export interface WizardState {
   rateLimitResetAt: number | null;
 }
 
+export interface ChildRoutine {
+  napStart: string;
+  napEnd: string;
+  bedtime: string;
+}
+
+export interface ChildMedical {
+  allergies: string;
+  medications: string;
+}
+
+const splitList = (text: string | undefined): string[] =>
+  (text || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+
 function todayStr(): string {
   return new Date().toISOString().split("T")[0];
 }
@@ -72,6 +107,11 @@ const defaultState: WizardState = {
   childAges: [],
   childWeights: [],
   childHeights: [],
+  childRoutines: [],
+  childMedical: [],
+  dietary: { foodAllergies: [], diets: [] },
+  accessibility: { mobility: [], sensory: [], equipment: [] },
+  unitSystem: null,
   tripType: null,
   countryCode: null,
   lat: null,
@@ -80,13 +120,17 @@ const defaultState: WizardState = {
   aiSuggestedActivities: [],
   aiSuggestions: [],
   vibeDescription: null,
+  tripId: null,
   trip: null,
   weather: null,
+  weatherAlerts: [],
   tripPlan: null,
   packingList: null,
   safetyGuidance: null,
   travelAdvisory: null,
   neighborhoodSafety: null,
+  familyEssentials: null,
+  emergencyCard: null,
   loadingPhase: null,
   error: null,
   rateLimitResetAt: null,
@@ -114,20 +158,43 @@ export function subscribe(listener: () => void): () => void {
   return () => listeners.delete(listener);
 }
 
+export function currentUnitSystem(): UnitSystem {
+  return state.unitSystem ?? defaultUnitSystem(state.countryCode);
+}
+
 export function buildChildrenPayload(): Child[] {
-  const { numChildren, childAges, childWeights, childHeights } = state;
+  const { numChildren, childAges, childWeights, childHeights, childRoutines, childMedical } = state;
+  const metric = currentUnitSystem() === "metric";
   return childAges.slice(0, numChildren).map((age, i) => {
     const weightRaw = childWeights[i];
     const heightRaw = childHeights[i];
-    const weightLb =
+    const weight =
       weightRaw !== "" && !isNaN(Number(weightRaw)) ? Number(weightRaw) : null;
-    const heightIn =
+    const height =
       heightRaw !== "" && !isNaN(Number(heightRaw)) ? Number(heightRaw) : null;
-    return {
-      id: `child-${i + 1}`,
-      age,
-      weightLb,
-      heightIn,
+    const routine = childRoutines[i];
+    const extras: Partial<Child> = {
+      ...(routine?.napStart && routine?.napEnd ? { napStart: routine.napStart, napEnd: routine.napEnd } : {}),
+      ...(routine?.bedtime ? { bedtime: routine.bedtime } : {}),
     };
+    const allergies = splitList(childMedical[i]?.allergies);
+    const medications = splitList(childMedical[i]?.medications);
+    if (allergies.length > 0) extras.allergies = allergies;
+    if (medications.length > 0) extras.medications = medications;
+    return metric
+      ? { id: `child-${i + 1}`, age, weightKg: weight, heightCm: height, ...extras }
+      : { id: `child-${i + 1}`, age, weightLb: weight, heightIn: height, ...extras };
   });
 }
+
+/** The trip's dietary needs for a request, or undefined when none are picked */
+export function dietaryPayload(): Dietary | undefined {
+  const { dietary } = state;
+  return dietary.foodAllergies.length > 0 || dietary.diets.length > 0 ? dietary : undefined;
+}
+
+/** The trip's accessibility needs for a request, or undefined when none are picked */
+export function accessibilityPayload(): Accessibility | undefined {
+  const { accessibility } = state;
+  return Object.values(accessibility).some((keys) => keys.length > 0) ? accessibility : undefined;
+}
@@ -0,0 +1,223 @@
+// --- Accessibility needs the trip wizard offers ---
+// The keys are the only values sanitizeTripData keeps. Needs have:
+// - `label`: how prompts name it ("uses a wheelchair")
+// - `prefer`: what the itinerary should favor for it
+// - `addressed`: wording in an activity's accessibilityNotes that shows the need was considered
+// - `cautions`: activity category → a note added when the notes don't address the need
+// - `items`: packing items, each with a `match` that finds it in a generated list
+// Equipment only has `label` and `items`.
+
+const MEDICAL_LETTER = {
+  name: "Doctor's letter listing medical equipment and medications",
+  quantity: "1",
+  reason: "Airlines and security may ask; medical devices don't count toward carry-on limits",
+  match: /\b(?:doctor|physician|medical)'?s?\b.*\b(?:letter|statement|certificate)\b/i,
+};
+
+export const MOBILITY_NEEDS = {
+  wheelchair: {
+    label: "uses a wheelchair",
+    prefer: "step-free entrances, elevators, accessible restrooms and paved paths",
+    addressed: /\b(?:step[- ]free|wheelchair|paved|boardwalk|ramps?|elevators?|lifts?|level access|accessible)\b/i,
+    cautions: {
+      hiking: "Trails are rarely step-free — pick a paved or boardwalk route and check the grade.",
+      beach: "Sand is hard going in a wheelchair — look for beach mats or a loaner beach wheelchair.",
+      camping: "Book an accessible campsite with a paved pad and accessible restrooms.",
+      theme_park: "Ask guest services about ride transfers and an accessibility pass.",
+      wildlife: "Check that viewing areas and paths are step-free.",
+    },
+    items: [
+      {
+        name: "Wheelchair info card (weight, dimensions, folding and battery details)",
+        quantity: "1",
+        reason: "Airline, rail and tour staff need it to handle the chair safely",
+        match: /\bwheelchair\b.*\b(?:info|instructions?|card|tags?)\b|gate[- ]check/i,
+      },
+    ],
+  },
+  limited_walking: {
+    label: "can only walk short distances",
+    prefer: "short walks, places to sit, and drop-off points close to entrances",
+    addressed: /\b(?:short|benches|seating|scooters?|strollers?|shuttles?|trams?|drop[- ]off|accessible)\b/i,
+    cautions: {
+      hiking: "Choose a short loop with benches, or a viewpoint you can drive to.",
+      theme_park: "Parks mean long walks — rent a stroller or scooter and ask about an accessibility pass.",
+      city: "Plan short hops by transit or taxi between sights.",
+      shopping: "Large malls and markets are long walks — plan seated breaks.",
+    },
+    items: [
+      {
+        name: "Lightweight folding seat or adaptive stroller",
+        quantity: "1",
+        reason: "For rests in lines and on longer walks",
+        match: /\bfolding (?:seat|stool)|seat cane|adaptive (?:stroller|buggy)|special needs stroller/i,
+      },
+    ],
+  },
+};
+
+export const SENSORY_NEEDS = {
+  noise: {
+    label: "is sensitive to noise",
+    prefer: "low-noise venues and sensory-friendly sessions",
+    addressed: /\b(?:quiet|noise|ear defenders?|headphones|sensory[- ]friendly|calm)\b/i,
+    cautions: {
+      theme_park: "Loud rides and shows — bring ear defenders and ask about quiet rooms.",
+      sports: "Stadiums get very loud — bring ear defenders and pick seats near an exit.",
+      city: "Busy streets can be loud — plan quieter side trips between stops.",
+    },
+    items: [
+      {
+        name: "Noise-cancelling headphones or ear defenders",
+        quantity: "1 per child",
+        reason: "For loud venues, flights and crowds",
+        match: /noise[- ]cancel|ear defenders?|ear ?muffs|earplugs/i,
+      },
+    ],
+  },
+  crowds: {
+    label: "is overwhelmed by crowds",
+    prefer: "off-peak times, timed entry and less crowded alternatives",
+    addressed: /\b(?:off[- ]peak|crowds?|quiet|early|timed entry|less busy|calm)\b/i,
+    cautions: {
+      theme_park: "Go at opening or on a weekday, and ask about accessibility passes that skip long lines.",
+      shopping: "Go early on a weekday, before the crowds.",
+      sports: "Arrive early and leave before the final rush.",
+      museums: "Book the first timed entry of the day, when it's quietest.",
+    },
+    items: [
+      {
+        name: "Fidget toys and a favorite comfort item",
+        quantity: "1 set",
+        reason: "Helps with waits and busy places",
+        match: /fidget|comfort (?:item|toy|object)|weighted (?:lap|blanket|vest)/i,
+      },
+    ],
+  },
+  light: {
+    label: "is sensitive to bright or flashing light",
+    prefer: "venues without strobe or flashing effects",
+    addressed: /\b(?:flash(?:ing)?|strobe|lights?|dim)\b/i,
+    cautions: {
+      theme_park: "Rides and shows may use strobe or flashing lights — check the warnings.",
+      museums: "Some exhibits use flashing effects — ask staff which rooms to skip.",
+    },
+    items: [
+      {
+        name: "Sunglasses and a brimmed cap",
+        quantity: "1 each per child",
+        reason: "Cuts glare outdoors and under bright lights",
+        match: /sunglasses/i,
+      },
+    ],
+  },
+  quiet_space: {
+    label: "needs quiet breaks",
+    prefer: "venues with a quiet room or calm space, and downtime between activities",
+    addressed: /\b(?:quiet (?:room|space|area)|calm(?:ing)? (?:room|space|area)|sensory (?:room|space|bag)|break)\b/i,
+    cautions: {
+      theme_park: "Ask guest services where the quiet room is before you need it.",
+      museums: "Ask at the desk about a quiet room or sensory map.",
+      sports: "Find a quiet concourse spot for breaks.",
+    },
+    items: [
+      {
+        name: "Visual schedule or social story for each day",
+        quantity: "1",
+        reason: "Knowing what comes next makes new places easier",
+        match: /visual schedule|social stor(?:y|ies)/i,
+      },
+    ],
+  },
+};
+
+export const MEDICAL_EQUIPMENT = {
+  power_wheelchair: {
+    label: "power wheelchair",
+    items: [
+      {
+        name: "Power wheelchair charger and plug adapters",
+        quantity: "1",
+        reason: "Charge every night — bring adapters for the destination's outlets",
+        match: /\b(?:wheelchair|chair)\b.*\bcharger\b|\bcharger\b.*\bwheelchair\b/i,
+      },
+      {
+        name: "Wheelchair battery spec sheet (type and watt-hours)",
+        quantity: "1",
+        reason: "Airlines check the battery before boarding",
+        match: /battery (?:spec|information|documentation|details)/i,
+      },
+      MEDICAL_LETTER,
+    ],
+  },
+  manual_wheelchair: {
+    label: "manual wheelchair",
+    items: [
+      {
+        name: "Wheelchair repair kit (tire patches, pump, hex keys)",
+        quantity: "1",
+        reason: "Flat tires and loose parts are common after flights",
+        match: /repair kit|tire (?:patch|pump)|hex keys?/i,
+      },
+      MEDICAL_LETTER,
+    ],
+  },
+  oxygen: {
+    label: "oxygen",
+    items: [
+      {
+        name: "Portable oxygen concentrator with spare batteries",
+        quantity: "Batteries for 150% of the longest travel day",
+        reason: "Airlines require enough battery for the flight plus delays",
+        match: /oxygen|concentrator/i,
+      },
+      MEDICAL_LETTER,
+    ],
+  },
+  feeding_pump: {
+    label: "feeding pump",
+    items: [
+      {
+        name: "Feeding pump charger and spare supplies (extension sets, syringes, formula)",
+        quantity: "Trip supply + 2 days",
+        reason: "Medical supplies can be hard to replace away from home",
+        match: /feeding (?:pump|supplies)|extension sets?|g-?tube/i,
+      },
+      MEDICAL_LETTER,
+    ],
+  },
+  cpap: {
+    label: "CPAP/BiPAP machine",
+    items: [
+      {
+        name: "CPAP/BiPAP with power cord, extension cord and distilled water",
+        quantity: "1",
+        reason: "Outlets are often far from hotel beds",
+        match: /\b(?:c|bi)pap\b/i,
+      },
+      MEDICAL_LETTER,
+    ],
+  },
+  hearing_aids: {
+    label: "hearing aids",
+    items: [
+      {
+        name: "Hearing aid charger or spare batteries, plus a drying kit",
+        quantity: "1",
+        reason: "Pools, beaches and humidity are hard on hearing aids",
+        match: /hearing aids?/i,
+      },
+    ],
+  },
+  communication_device: {
+    label: "communication device (AAC)",
+    items: [
+      {
+        name: "Communication device charger and a portable power bank",
+        quantity: "1 each",
+        reason: "Long days out drain the device",
+        match: /\b(?:aac|communication device)\b/i,
+      },
+    ],
+  },
+};
@@ -0,0 +1,90 @@
+// --- Cost baselines for trip budget estimates ---
+// Ballpark US prices in USD for a family trip, scaled per country by `costLevel` and converted to
+// the local currency. Estimates are ranges for planning, not quotes. Exchange rates and fuel prices
+// are as of 2026-10; ⚠️ refresh them before each release, like the emergency contacts.
+
+export const BUDGET_RATES_LAST_UPDATED = "2026-10-19";
+
+// Adults aren't collected by the wizard; budgets assume two.
+export const DEFAULT_ADULTS = 2;
+
+// Children under this age get in free; from CHILD_PRICE_MAX_AGE + 1 they pay adult prices.
+export const FREE_ADMISSION_UNDER_AGE = 3;
+export const CHILD_PRICE_MAX_AGE = 12;
+
+// Meals per person per day: low is casual spots and groceries, high is sit-down restaurants.
+export const MEALS_PER_DAY_USD = {
+  adult: { low: 35, high: 70 },
+  child: { low: 20, high: 40 },
+  infant: { low: 5, high: 10 },
+};
+
+// Per night for a family hotel room or small rental. Five or more travelers need a bigger room.
+export const LODGING_PER_NIGHT_USD = { low: 130, high: 260 };
+export const LODGING_BAND = "mid-range family hotel room or rental";
+export const LARGE_FAMILY_SIZE = 5;
+export const LARGE_FAMILY_LODGING_FACTOR = 1.4;
+
+// Typical admission per person by activity category, used when the plan gives no price.
+export const ADMISSION_USD = {
+  beach: { adult: 0, child: 0 },
+  hiking: { adult: 0, child: 0 },
+  parks: { adult: 0, child: 0 },
+  city: { adult: 15, child: 8 },
+  museums: { adult: 25, child: 12 },
+  dining: { adult: 0, child: 0 }, // Covered by meals
+  shopping: { adult: 0, child: 0 },
+  sports: { adult: 45, child: 30 },
+  water: { adult: 35, child: 25 },
+  wildlife: { adult: 30, child: 20 },
+  theme_park: { adult: 120, child: 110 },
+  camping: { adult: 15, child: 8 },
+  cruise: { adult: 0, child: 0 }, // Onboard activities are in the fare
+  shore_excursion: { adult: 80, child: 55 },
+};
+export const DEFAULT_ADMISSION_USD = { adult: 20, child: 10 };
+
+// Family car or minivan.
+export const FUEL_MPG = 25;
+
+// `perUsd`: local currency units per US dollar. `fuelUsdPerGallon`: pump price converted to USD.
+// Countries not listed are budgeted in USD at US prices.
+export const COUNTRY_COSTS = {
+  US: { currency: "USD", perUsd: 1, costLevel: 1, fuelUsdPerGallon: 3.5 },
+  CA: { currency: "CAD", perUsd: 1.38, costLevel: 0.95, fuelUsdPerGallon: 4.2 },
+  MX: { currency: "MXN", perUsd: 18.4, costLevel: 0.55, fuelUsdPerGallon: 4.3 },
+  CR: { currency: "CRC", perUsd: 505, costLevel: 0.75, fuelUsdPerGallon: 5.4 },
+  BR: { currency: "BRL", perUsd: 5.4, costLevel: 0.55, fuelUsdPerGallon: 5.3 },
+  GB: { currency: "GBP", perUsd: 0.76, costLevel: 1.1, fuelUsdPerGallon: 6.6 },
+  IE: { currency: "EUR", perUsd: 0.86, costLevel: 1.05, fuelUsdPerGallon: 7.2 },
+  FR: { currency: "EUR", perUsd: 0.86, costLevel: 1, fuelUsdPerGallon: 7.4 },
+  DE: { currency: "EUR", perUsd: 0.86, costLevel: 0.95, fuelUsdPerGallon: 7.3 },
+  NL: { currency: "EUR", perUsd: 0.86, costLevel: 1.05, fuelUsdPerGallon: 8.2 },
+  BE: { currency: "EUR", perUsd: 0.86, costLevel: 1, fuelUsdPerGallon: 7.3 },
+  AT: { currency: "EUR", perUsd: 0.86, costLevel: 0.95, fuelUsdPerGallon: 6.6 },
+  IT: { currency: "EUR", perUsd: 0.86, costLevel: 0.9, fuelUsdPerGallon: 7.6 },
+  ES: { currency: "EUR", perUsd: 0.86, costLevel: 0.8, fuelUsdPerGallon: 6.5 },
+  PT: { currency: "EUR", perUsd: 0.86, costLevel: 0.75, fuelUsdPerGallon: 7.4 },
+  GR: { currency: "EUR", perUsd: 0.86, costLevel: 0.75, fuelUsdPerGallon: 7.7 },
+  CH: { currency: "CHF", perUsd: 0.8, costLevel: 1.4, fuelUsdPerGallon: 8 },
+  DK: { currency: "DKK", perUsd: 6.4, costLevel: 1.2, fuelUsdPerGallon: 8.1 },
+  NO: { currency: "NOK", perUsd: 10, costLevel: 1.3, fuelUsdPerGallon: 8.4 },
+  SE: { currency: "SEK", perUsd: 9.4, costLevel: 1.05, fuelUsdPerGallon: 7 },
+  IS: { currency: "ISK", perUsd: 122, costLevel: 1.4, fuelUsdPerGallon: 8.6 },
+  TR: { currency: "TRY", perUsd: 41.5, costLevel: 0.5, fuelUsdPerGallon: 5.3 },
+  AE: { currency: "AED", perUsd: 3.67, costLevel: 1, fuelUsdPerGallon: 2.9 },
+  ZA: { currency: "ZAR", perUsd: 17.4, costLevel: 0.5, fuelUsdPerGallon: 5.2 },
+  IN: { currency: "INR", perUsd: 88, costLevel: 0.3, fuelUsdPerGallon: 4.5 },
+  TH: { currency: "THB", perUsd: 32.5, costLevel: 0.4, fuelUsdPerGallon: 4 },
+  VN: { currency: "VND", perUsd: 26300, costLevel: 0.35, fuelUsdPerGallon: 3.6 },
+  ID: { currency: "IDR", perUsd: 16500, costLevel: 0.4, fuelUsdPerGallon: 3.8 },
+  SG: { currency: "SGD", perUsd: 1.29, costLevel: 1.1, fuelUsdPerGallon: 7.9 },
+  JP: { currency: "JPY", perUsd: 150, costLevel: 0.85, fuelUsdPerGallon: 4.2 },
+  KR: { currency: "KRW", perUsd: 1400, costLevel: 0.8, fuelUsdPerGallon: 4.8 },
+  CN: { currency: "CNY", perUsd: 7.1, costLevel: 0.55, fuelUsdPerGallon: 4.4 },
+  AU: { currency: "AUD", perUsd: 1.52, costLevel: 1.05, fuelUsdPerGallon: 4.7 },
+  NZ: { currency: "NZD", perUsd: 1.72, costLevel: 1.05, fuelUsdPerGallon: 6 },
+};
+
+// What a family can log against the budget.
+export const EXPENSE_CATEGORIES = ["admission", "meals", "lodging", "fuel", "other"];
@@ -212,6 +212,33 @@ export function lookupCarSeatRules(countryCode, regionCode) {
   return null;
 }
 
+// --- Vehicle-type exemptions (US) ---
+// A rule set may carry `vehicleExemptions: { [vehicleType]: { status, note } }` saying whether its car seat
+// law applies in that kind of vehicle. status is "exempt", "not_exempt" or "unclear".
+// States without their own entry for a vehicle type fall back to DEFAULT_VEHICLE_EXEMPTIONS, which
+// describes the common pattern and never claims an exemption for cars (taxi stays "unclear").
+export const EXEMPTION_VEHICLE_TYPES = ["taxi", "rideshare", "bus", "rv"];
+export const EXEMPTION_STATUSES = ["exempt", "not_exempt", "unclear"];
+
+export const DEFAULT_VEHICLE_EXEMPTIONS = {
+  taxi: {
+    status: "unclear",
+    note: "Many states exempt licensed taxis, but this state's taxi rule is not in the repo. Assume the car seat law applies.",
+  },
+  rideshare: {
+    status: "not_exempt",
+    note: "Rideshare cars (Uber, Lyft) are usually treated as private vehicles, so the car seat law applies and drivers may refuse a ride without a seat.",
+  },
+  bus: {
+    status: "exempt",
+    note: "Transit and charter buses are generally outside child restraint laws. Use a seat where belts are fitted.",
+  },
+  rv: {
+    status: "not_exempt",
+    note: "In a motorhome, children must ride in a belted seating position with the restraint the law requires — never in beds or side-facing sofas while moving.",
+  },
+};
+
 export const CAR_SEAT_RULES = {
   CA: {
     jurisdictionCode: "CA",
@@ -251,6 +278,10 @@ export const CAR_SEAT_RULES = {
     lastUpdated: "2026-02-15",
     verificationStatus: "Needs review",
     notes: "State laws change. Verify legal requirements before travel using the official source.",
+    vehicleExemptions: {
+      taxi: { status: "exempt", note: "Texas's child safety seat law does not apply to vehicles transporting passengers for hire." },
+      rideshare: { status: "unclear", note: "Rideshare trips are for hire, but whether the Texas for-hire exemption covers them is not settled. Bring a seat or book a car-seat ride option." },
+    },
     rules: [
       { priority: 1, requiredRestraint: "rear_facing", seatPosition: "rear_seat_required_if_available", minAgeMonths: 0, maxAgeMonths: 23, maxWeightLb: 40, maxHeightIn: 40 },
       { priority: 2, requiredRestraint: "forward_facing_harness", seatPosition: "rear_seat_required_if_available", minAgeMonths: 24, maxAgeMonths: 95, minWeightLb: 22, maxWeightLb: 65, maxHeightIn: 57 },
@@ -266,6 +297,11 @@ export const CAR_SEAT_RULES = {
     lastUpdated: "2026-02-15",
     verificationStatus: "Needs review",
     notes: "State laws change. Verify legal requirements before travel using the official source.",
+    vehicleExemptions: {
+      taxi: { status: "exempt", note: "New York's child restraint law does not apply in taxis and liveries. Children may ride on a lap, but a seat is still safest." },
+      rideshare: { status: "unclear", note: "In New York City, TLC-licensed for-hire vehicles (including app rides) are treated like taxis. Outside NYC, rideshare cars are generally private vehicles." },
+      bus: { status: "exempt", note: "Buses other than school buses are not covered by the child restraint law." },
+    },
     rules: [
       { priority: 1, requiredRestraint: "rear_facing", seatPosition: "rear_seat_required_if_available", minAgeMonths: 0, maxAgeMonths: 23, maxWeightLb: 40, maxHeightIn: 40 },
       { priority: 2, requiredRestraint: "forward_facing_harness", seatPosition: "rear_seat_required_if_available", minAgeMonths: 24, maxAgeMonths: 95, minWeightLb: 22, maxWeightLb: 65, maxHeightIn: 57 },
@@ -0,0 +1,220 @@
+// Monthly climate normals for reference stations, used when trip dates are past the forecast horizon.
+// Values are rounded 1991–2020 normals (NOAA for US stations, national met services elsewhere):
+// high/low are average daily temperatures in °F and wetDays is the percentage of days with measurable
+// precipitation. Twelve entries each, January first.
+// Locations not near any station fall back to the latitude model in services/climateNormals.js.
+
+export const CLIMATE_STATIONS = [
+  // ── United States ──────────────────────────────────────────────────────────
+  {
+    name: "Seattle, WA", lat: 47.61, lon: -122.33,
+    high: [48, 50, 54, 59, 65, 70, 76, 77, 71, 60, 51, 46],
+    low: [37, 37, 39, 42, 47, 52, 56, 56, 52, 46, 40, 36],
+    wetDays: [63, 55, 58, 48, 37, 30, 14, 16, 27, 48, 62, 63],
+  },
+  {
+    name: "San Francisco, CA", lat: 37.77, lon: -122.42,
+    high: [58, 61, 63, 64, 66, 68, 68, 69, 71, 70, 64, 58],
+    low: [46, 48, 49, 50, 52, 54, 55, 56, 56, 54, 50, 46],
+    wetDays: [35, 35, 32, 20, 10, 3, 1, 2, 4, 13, 27, 33],
+  },
+  {
+    name: "Los Angeles, CA", lat: 34.05, lon: -118.24,
+    high: [68, 69, 70, 73, 75, 79, 84, 85, 84, 79, 73, 67],
+    low: [49, 50, 52, 55, 58, 62, 65, 66, 65, 60, 53, 48],
+    wetDays: [20, 21, 18, 10, 5, 2, 1, 1, 3, 6, 10, 18],
+  },
+  {
+    name: "San Diego, CA", lat: 32.72, lon: -117.16,
+    high: [66, 66, 67, 69, 70, 73, 77, 78, 78, 75, 70, 65],
+    low: [49, 51, 53, 56, 60, 63, 66, 68, 66, 61, 54, 49],
+    wetDays: [21, 22, 20, 12, 6, 3, 2, 2, 3, 7, 12, 20],
+  },
+  {
+    name: "Phoenix, AZ", lat: 33.45, lon: -112.07,
+    high: [67, 71, 77, 85, 95, 104, 106, 105, 100, 89, 76, 66],
+    low: [46, 49, 54, 61, 70, 79, 84, 83, 78, 66, 53, 45],
+    wetDays: [13, 14, 12, 5, 3, 2, 13, 15, 9, 7, 7, 13],
+  },
+  {
+    name: "Las Vegas, NV", lat: 36.17, lon: -115.14,
+    high: [58, 62, 70, 78, 88, 99, 105, 103, 95, 81, 67, 57],
+    low: [40, 44, 50, 57, 67, 77, 83, 81, 73, 60, 47, 39],
+    wetDays: [10, 11, 9, 5, 3, 1, 6, 7, 5, 4, 5, 9],
+  },
+  {
+    name: "Denver, CO", lat: 39.74, lon: -104.99,
+    high: [45, 46, 54, 61, 71, 82, 89, 87, 79, 66, 53, 45],
+    low: [19, 20, 27, 34, 44, 53, 59, 57, 48, 36, 26, 19],
+    wetDays: [17, 20, 26, 30, 36, 31, 32, 30, 22, 17, 17, 17],
+  },
+  {
+    name: "Salt Lake City, UT", lat: 40.76, lon: -111.89,
+    high: [38, 44, 54, 61, 71, 83, 93, 91, 80, 65, 50, 38],
+    low: [23, 27, 34, 40, 48, 57, 66, 64, 54, 42, 31, 23],
+    wetDays: [29, 29, 32, 32, 29, 16, 13, 15, 17, 21, 25, 28],
+  },
+  {
+    name: "Dallas, TX", lat: 32.78, lon: -96.8,
+    high: [57, 61, 69, 77, 84, 92, 96, 97, 89, 79, 67, 58],
+    low: [37, 41, 49, 57, 66, 73, 77, 77, 70, 59, 47, 39],
+    wetDays: [23, 24, 26, 24, 27, 21, 15, 16, 19, 22, 22, 24],
+  },
+  {
+    name: "Houston, TX", lat: 29.76, lon: -95.37,
+    high: [63, 67, 73, 79, 86, 91, 94, 95, 90, 82, 72, 65],
+    low: [44, 48, 54, 61, 69, 75, 77, 77, 72, 63, 53, 46],
+    wetDays: [33, 31, 30, 26, 28, 37, 33, 32, 31, 25, 28, 32],
+  },
+  {
+    name: "Chicago, IL", lat: 41.88, lon: -87.63,
+    high: [32, 36, 47, 59, 70, 80, 84, 82, 75, 62, 48, 36],
+    low: [18, 21, 30, 40, 50, 60, 66, 65, 57, 45, 34, 23],
+    wetDays: [36, 33, 37, 40, 38, 35, 32, 30, 30, 34, 34, 36],
+  },
+  {
+    name: "Minneapolis, MN", lat: 44.98, lon: -93.27,
+    high: [23, 28, 41, 56, 69, 78, 83, 80, 72, 58, 41, 27],
+    low: [8, 12, 24, 36, 48, 58, 63, 61, 52, 39, 26, 13],
+    wetDays: [29, 27, 33, 37, 40, 40, 33, 33, 33, 33, 30, 30],
+  },
+  {
+    name: "New Orleans, LA", lat: 29.95, lon: -90.07,
+    high: [63, 66, 72, 78, 85, 90, 92, 92, 88, 80, 71, 65],
+    low: [46, 50, 55, 61, 68, 74, 76, 76, 72, 63, 54, 48],
+    wetDays: [32, 32, 29, 25, 26, 45, 50, 48, 37, 23, 27, 32],
+  },
+  {
+    name: "Atlanta, GA", lat: 33.75, lon: -84.39,
+    high: [53, 58, 65, 73, 80, 86, 89, 88, 83, 74, 64, 55],
+    low: [35, 38, 44, 51, 60, 67, 71, 70, 65, 54, 43, 37],
+    wetDays: [35, 33, 33, 29, 30, 37, 39, 32, 25, 23, 28, 35],
+  },
+  {
+    name: "Nashville, TN", lat: 36.16, lon: -86.78,
+    high: [49, 54, 63, 72, 80, 87, 90, 89, 84, 73, 61, 51],
+    low: [31, 34, 41, 49, 58, 66, 70, 69, 62, 50, 39, 33],
+    wetDays: [35, 36, 38, 35, 36, 33, 33, 28, 25, 26, 31, 36],
+  },
+  {
+    name: "Orlando, FL", lat: 28.54, lon: -81.38,
+    high: [72, 75, 79, 84, 89, 91, 92, 92, 90, 85, 79, 74],
+    low: [51, 54, 58, 62, 68, 73, 74, 74, 73, 67, 59, 54],
+    wetDays: [19, 23, 23, 19, 23, 47, 53, 55, 47, 26, 18, 19],
+  },
+  {
+    name: "Miami, FL", lat: 25.76, lon: -80.19,
+    high: [76, 78, 80, 83, 87, 89, 91, 91, 89, 86, 82, 78],
+    low: [61, 63, 66, 70, 74, 77, 78, 78, 77, 74, 69, 64],
+    wetDays: [23, 21, 23, 20, 27, 57, 53, 58, 57, 40, 27, 23],
+  },
+  {
+    name: "Washington, DC", lat: 38.91, lon: -77.04,
+    high: [44, 48, 56, 67, 76, 85, 89, 87, 80, 69, 58, 48],
+    low: [30, 32, 38, 48, 57, 67, 72, 70, 63, 52, 41, 34],
+    wetDays: [32, 30, 35, 33, 37, 33, 32, 30, 27, 25, 27, 32],
+  },
+  {
+    name: "New York, NY", lat: 40.71, lon: -74.01,
+    high: [39, 42, 50, 62, 72, 80, 85, 84, 76, 65, 54, 44],
+    low: [28, 29, 35, 45, 55, 65, 70, 69, 62, 51, 42, 33],
+    wetDays: [35, 32, 35, 37, 37, 33, 33, 30, 27, 28, 30, 35],
+  },
+  {
+    name: "Boston, MA", lat: 42.36, lon: -71.06,
+    high: [37, 39, 46, 56, 66, 76, 82, 80, 73, 62, 52, 42],
+    low: [23, 25, 31, 41, 50, 60, 66, 65, 58, 47, 38, 29],
+    wetDays: [35, 32, 35, 37, 37, 33, 30, 30, 28, 30, 32, 35],
+  },
+  {
+    name: "Anchorage, AK", lat: 61.22, lon: -149.9,
+    high: [23, 26, 33, 44, 55, 63, 66, 64, 56, 41, 28, 24],
+    low: [11, 13, 18, 29, 39, 48, 52, 50, 42, 29, 16, 12],
+    wetDays: [26, 25, 22, 18, 20, 27, 40, 50, 50, 37, 30, 32],
+  },
+  {
+    name: "Honolulu, HI", lat: 21.31, lon: -157.86,
+    high: [80, 80, 81, 83, 85, 87, 88, 89, 89, 87, 84, 81],
+    low: [66, 66, 68, 69, 71, 73, 74, 75, 74, 73, 71, 68],
+    wetDays: [30, 27, 30, 27, 23, 20, 23, 20, 23, 27, 30, 33],
+  },
+  // ── International ──────────────────────────────────────────────────────────
+  {
+    name: "Toronto, ON", lat: 43.65, lon: -79.38,
+    high: [30, 32, 40, 53, 65, 75, 80, 79, 71, 58, 46, 35],
+    low: [19, 19, 26, 37, 47, 57, 63, 62, 55, 44, 35, 25],
+    wetDays: [40, 33, 35, 37, 37, 33, 33, 30, 30, 33, 37, 40],
+  },
+  {
+    name: "Vancouver, BC", lat: 49.28, lon: -123.12,
+    high: [44, 47, 51, 56, 62, 66, 71, 72, 66, 56, 48, 43],
+    low: [35, 36, 39, 42, 48, 53, 56, 57, 52, 45, 39, 35],
+    wetDays: [65, 55, 60, 50, 45, 37, 20, 20, 30, 55, 65, 65],
+  },
+  {
+    name: "Mexico City", lat: 19.43, lon: -99.13,
+    high: [71, 74, 78, 80, 80, 77, 74, 74, 73, 72, 72, 71],
+    low: [45, 47, 50, 53, 55, 56, 55, 55, 55, 52, 48, 46],
+    wetDays: [7, 7, 10, 20, 35, 55, 65, 65, 55, 30, 10, 7],
+  },
+  {
+    name: "Cancún", lat: 21.16, lon: -86.85,
+    high: [83, 84, 86, 88, 90, 91, 92, 92, 91, 88, 86, 84],
+    low: [68, 69, 71, 73, 76, 77, 77, 77, 76, 75, 72, 70],
+    wetDays: [20, 15, 12, 10, 15, 30, 25, 30, 40, 40, 25, 22],
+  },
+  {
+    name: "London", lat: 51.51, lon: -0.13,
+    high: [47, 48, 53, 59, 65, 71, 75, 74, 68, 60, 52, 48],
+    low: [38, 37, 40, 43, 48, 54, 58, 57, 53, 48, 42, 39],
+    wetDays: [36, 30, 30, 30, 30, 27, 27, 27, 27, 36, 36, 36],
+  },
+  {
+    name: "Paris", lat: 48.86, lon: 2.35,
+    high: [45, 48, 55, 61, 68, 73, 78, 77, 70, 61, 51, 46],
+    low: [36, 36, 40, 44, 50, 55, 59, 59, 54, 48, 41, 37],
+    wetDays: [33, 30, 33, 30, 33, 27, 23, 23, 27, 33, 33, 37],
+  },
+  {
+    name: "Berlin", lat: 52.52, lon: 13.4,
+    high: [38, 41, 48, 58, 66, 72, 76, 75, 67, 56, 45, 39],
+    low: [29, 29, 33, 39, 47, 53, 57, 56, 50, 43, 36, 31],
+    wetDays: [33, 30, 30, 27, 30, 30, 30, 27, 27, 27, 33, 33],
+  },
+  {
+    name: "Barcelona", lat: 41.39, lon: 2.17,
+    high: [58, 59, 62, 65, 71, 77, 83, 84, 79, 72, 64, 59],
+    low: [44, 45, 48, 51, 57, 64, 70, 70, 65, 58, 50, 46],
+    wetDays: [17, 17, 20, 23, 23, 17, 10, 17, 20, 23, 20, 20],
+  },
+  {
+    name: "Rome", lat: 41.9, lon: 12.5,
+    high: [55, 57, 62, 67, 75, 83, 89, 89, 81, 72, 63, 56],
+    low: [38, 39, 42, 47, 54, 61, 66, 66, 60, 53, 45, 40],
+    wetDays: [25, 25, 23, 27, 20, 13, 7, 10, 17, 25, 30, 27],
+  },
+  {
+    name: "Tokyo", lat: 35.68, lon: 139.69,
+    high: [50, 51, 57, 66, 73, 78, 85, 88, 81, 71, 62, 54],
+    low: [35, 36, 42, 51, 60, 67, 74, 76, 70, 60, 49, 39],
+    wetDays: [17, 20, 30, 33, 33, 40, 37, 27, 37, 33, 23, 17],
+  },
+  {
+    name: "Sydney", lat: -33.87, lon: 151.21,
+    high: [80, 79, 77, 73, 68, 64, 63, 65, 69, 72, 75, 78],
+    low: [66, 66, 64, 59, 53, 49, 47, 48, 53, 57, 61, 64],
+    wetDays: [40, 43, 43, 40, 37, 40, 30, 27, 30, 37, 37, 37],
+  },
+];
+
+// Fallback model by absolute latitude: northern-hemisphere January and July averages (°F).
+// Southern-hemisphere locations use the same bands with the seasons swapped.
+export const LATITUDE_BANDS = [
+  { maxLat: 15, jan: { high: 88, low: 73 }, jul: { high: 87, low: 73 }, wetDays: 40 },
+  { maxLat: 25, jan: { high: 78, low: 62 }, jul: { high: 91, low: 76 }, wetDays: 30 },
+  { maxLat: 35, jan: { high: 63, low: 43 }, jul: { high: 91, low: 71 }, wetDays: 25 },
+  { maxLat: 45, jan: { high: 45, low: 29 }, jul: { high: 84, low: 63 }, wetDays: 30 },
+  { maxLat: 55, jan: { high: 36, low: 24 }, jul: { high: 75, low: 55 }, wetDays: 35 },
+  { maxLat: 65, jan: { high: 25, low: 11 }, jul: { high: 67, low: 50 }, wetDays: 35 },
+  { maxLat: 90, jan: { high: 5, low: -12 }, jul: { high: 55, low: 40 }, wetDays: 30 },
+];
@@ -0,0 +1,158 @@
+// --- Food allergies and diets the trip wizard offers ---
+// The keys are the only values sanitizeTripData keeps. Each entry has:
+// - `label`: how prompts and notes name it ("peanut allergy", "halal")
+// - `free`: how a safe meal is described ("peanut-free", "halal")
+// - `conflicts`: dishes and ingredients in a meal suggestion that break it
+// - `safe`: wording that says a suggestion already accounts for it ("gluten-free pasta")
+// Keyword lists are deliberately broad: a dropped meal idea costs less than a reaction.
+
+const MEAT =
+  "steaks?|beef|burgers?|cheeseburgers?|hot ?dogs?|bacon|ham|sausages?|chicken|pork|lamb|turkey|ribs|brisket|bbq|barbecue|meatballs?|pepperoni|salami|prosciutto|chorizo|wings|kebabs?|gyros?|carnitas|veal|duck|jerky|pastrami|schnitzel|bratwurst|cheesesteaks?";
+const PORK =
+  "pork|bacon|ham|prosciutto|pancetta|pepperoni|salami|chorizo|carnitas|lard|sausages?|hot ?dogs?|bratwurst|ribs";
+const FISH =
+  "fish|salmon|tuna|cod|halibut|trout|tilapia|mahi(?:[- ]mahi)?|sushi|sashimi|anchov(?:y|ies)|sardines?|ceviche|poke|lox|seafood";
+const SHELLFISH =
+  "shellfish|seafood|shrimp|prawns?|crabs?|lobsters?|clams?|mussels?|oysters?|scallops?|crawfish|crayfish|langoustines?|paella|chowder|calamari|squid|octopus";
+const DAIRY =
+  "milk|milkshakes?|cheese|cheesy|(?<!(?:peanut|nut|apple|almond) )butter|cream|creamy|gelato|yogh?urt|custard|pizza|lattes?|queso|fondue|alfredo|paneer|ghee|lassi|mozzarella|parmesan";
+const EGG = "eggs?|omelett?es?|frittatas?|quiche|meringues?|mayo(?:nnaise)?|aioli|custard|french toast|benedict|carbonara";
+
+const words = (pattern) => new RegExp(`\\b(?:${pattern})\\b`, "i");
+
+export const FOOD_ALLERGIES = {
+  peanut: {
+    label: "peanut allergy",
+    free: "peanut-free",
+    conflicts: words("peanuts?|satay|pad thai|pb ?& ?j|pbj|kung pao"),
+    safe: /\b(?:pea)?nut[- ]free\b/i,
+  },
+  tree_nut: {
+    label: "tree nut allergy",
+    free: "tree-nut-free",
+    conflicts: words(
+      "nuts|almonds?|cashews?|walnuts?|pecans?|pistachios?|hazelnuts?|macadamias?|pine nuts?|pralines?|nutella|marzipan|pesto|baklava|nougat",
+    ),
+    safe: /\b(?:tree[- ])?nut[- ]free\b/i,
+  },
+  dairy: {
+    label: "dairy allergy",
+    free: "dairy-free",
+    conflicts: words(DAIRY),
+    safe: /\b(?:dairy[- ]free|non[- ]dairy|vegan)\b/i,
+  },
+  egg: {
+    label: "egg allergy",
+    free: "egg-free",
+    conflicts: words(EGG),
+    safe: /\b(?:egg[- ]free|vegan)\b/i,
+  },
+  gluten: {
+    label: "gluten allergy",
+    free: "gluten-free",
+    conflicts: words(
+      "bread|baguettes?|bagels?|sandwich(?:es)?|subs|burgers?|pasta|spaghetti|noodles?|ramen|udon|pizza|pancakes?|waffles?|crepes?|croissants?|pastr(?:y|ies)|muffins?|donuts?|doughnuts?|pretzels?|dumplings?|pies?|cakes?|cupcakes?|cookies?|biscuits?|beer|wraps?|pita|naan|tempura|couscous|churros?|toast|brioche|focaccia",
+    ),
+    safe: /\b(?:gluten[- ]free|celiac|coeliac)\b/i,
+  },
+  shellfish: {
+    label: "shellfish allergy",
+    free: "shellfish-free",
+    conflicts: words(SHELLFISH),
+    safe: /\bshellfish[- ]free\b/i,
+  },
+  fish: {
+    label: "fish allergy",
+    free: "fish-free",
+    conflicts: words(FISH),
+    safe: /\b(?:fish|seafood)[- ]free\b/i,
+  },
+  soy: {
+    label: "soy allergy",
+    free: "soy-free",
+    conflicts: words("soy|soya|tofu|edamame|miso|tempeh|teriyaki|tamari"),
+    safe: /\bsoy[- ]free\b/i,
+  },
+  sesame: {
+    label: "sesame allergy",
+    free: "sesame-free",
+    conflicts: words("sesame|tahini|hummus|halvah?|baba ganoush|falafel|za'?atar"),
+    safe: /\bsesame[- ]free\b/i,
+  },
+};
+
+export const DIETS = {
+  vegetarian: {
+    label: "vegetarian",
+    free: "vegetarian",
+    conflicts: words(`${MEAT}|${FISH}|${SHELLFISH}`),
+    safe: /\b(?:vegetarian|veggie|vegan|plant[- ]based|meatless)\b/i,
+  },
+  vegan: {
+    label: "vegan",
+    free: "vegan",
+    conflicts: words(`${MEAT}|${FISH}|${SHELLFISH}|${DAIRY}|${EGG}|honey`),
+    safe: /\b(?:vegan|plant[- ]based)\b/i,
+  },
+  halal: {
+    label: "halal",
+    free: "halal",
+    conflicts: words(`${PORK}|beer|wine|cocktails?|brewery|brewpub|winery`),
+    safe: /\bhalal\b/i,
+  },
+  kosher: {
+    label: "kosher",
+    free: "kosher",
+    conflicts: words(`${PORK}|${SHELLFISH}|cheeseburgers?|cheesesteaks?`),
+    safe: /\bkosher\b/i,
+  },
+};
+
+// Food allergies serious enough that a prescribed epinephrine auto-injector is usually carried.
+export const ANAPHYLAXIS_ALLERGIES = new Set(["peanut", "tree_nut", "shellfish", "fish", "sesame", "egg", "dairy"]);
+
+// Language for a printed allergy card, by country; English-speaking countries need none.
+export const ALLERGY_CARD_LANGUAGES = {
+  MX: "Spanish",
+  ES: "Spanish",
+  CR: "Spanish",
+  PA: "Spanish",
+  DO: "Spanish",
+  CL: "Spanish",
+  AR: "Spanish",
+  PE: "Spanish",
+  CO: "Spanish",
+  FR: "French",
+  BE: "French",
+  CH: "German",
+  DE: "German",
+  AT: "German",
+  IT: "Italian",
+  PT: "Portuguese",
+  BR: "Portuguese",
+  NL: "Dutch",
+  GR: "Greek",
+  TR: "Turkish",
+  DK: "Danish",
+  SE: "Swedish",
+  NO: "Norwegian",
+  FI: "Finnish",
+  IS: "Icelandic",
+  PL: "Polish",
+  CZ: "Czech",
+  HR: "Croatian",
+  JP: "Japanese",
+  KR: "Korean",
+  CN: "Chinese (Simplified)",
+  TW: "Chinese (Traditional)",
+  HK: "Chinese (Traditional)",
+  TH: "Thai",
+  VN: "Vietnamese",
+  ID: "Indonesian",
+  AE: "Arabic",
+  EG: "Arabic",
+  MA: "Arabic",
+  IL: "Hebrew",
+};
+
+export const ENGLISH_SPEAKING_COUNTRIES = new Set(["US", "CA", "GB", "IE", "AU", "NZ", "SG", "PH", "IN", "ZA"]);
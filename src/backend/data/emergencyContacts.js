@@ -0,0 +1,103 @@
+// --- Emergency contacts for the emergency info card ---
+// Bundled so the card never depends on a network lookup. Numbers are from national government and
+// EU (112) sources as of 2026-10; ⚠️ re-check before each release, like the car seat rules.
+// - `general` is the number to dial first in a medical emergency; police/ambulance/fire are listed
+//   where the country uses separate numbers.
+// - Poison control is listed where there is one national line; elsewhere the card says to call `general`.
+// - Embassies are U.S. missions (travel advisories are U.S. State Department data too). Unlisted
+//   countries fall back to the usembassy.gov directory.
+
+export const EMERGENCY_CONTACTS_LAST_UPDATED = "2026-10-19";
+
+// EU member states without their own entry below: 112 reaches police, ambulance and fire.
+const EU_GENERAL = { general: "112" };
+
+export const EMERGENCY_NUMBERS = {
+  US: { general: "911" },
+  CA: { general: "911" },
+  MX: { general: "911" },
+  CR: { general: "911" },
+  PA: { general: "911" },
+  DO: { general: "911" },
+  PH: { general: "911" },
+  GB: { general: "999" },
+  IE: { general: "112" },
+  AU: { general: "000" },
+  NZ: { general: "111" },
+  FR: { general: "112", ambulance: "15", police: "17", fire: "18" },
+  DE: { general: "112", police: "110" },
+  IT: EU_GENERAL,
+  ES: EU_GENERAL,
+  PT: EU_GENERAL,
+  NL: EU_GENERAL,
+  BE: EU_GENERAL,
+  AT: { general: "112", police: "133", ambulance: "144", fire: "122" },
+  GR: EU_GENERAL,
+  DK: EU_GENERAL,
+  SE: EU_GENERAL,
+  FI: EU_GENERAL,
+  PL: EU_GENERAL,
+  CZ: EU_GENERAL,
+  HR: EU_GENERAL,
+  CH: { general: "112", police: "117", ambulance: "144", fire: "118" },
+  NO: { general: "112", ambulance: "113", fire: "110" },
+  IS: { general: "112" },
+  TR: { general: "112" },
+  JP: { general: "119", police: "110", ambulance: "119", fire: "119" },
+  KR: { general: "119", police: "112", ambulance: "119", fire: "119" },
+  CN: { general: "120", police: "110", ambulance: "120", fire: "119" },
+  IN: { general: "112", ambulance: "108" },
+  SG: { general: "995", police: "999", ambulance: "995", fire: "995" },
+  TH: { general: "1669", police: "191", ambulance: "1669", fire: "199" },
+  AE: { general: "999", police: "999", ambulance: "998", fire: "997" },
+  IL: { general: "101", police: "100", ambulance: "101", fire: "102" },
+  BR: { general: "192", police: "190", ambulance: "192", fire: "193" },
+  CL: { general: "131", police: "133", ambulance: "131", fire: "132" },
+  ZA: { general: "112", police: "10111", ambulance: "10177" },
+};
+
+// Most of the world also routes 112 from a mobile phone, so it is the last-resort fallback.
+export const DEFAULT_EMERGENCY_NUMBERS = { general: "112" };
+
+export const POISON_CONTROL = {
+  US: { name: "Poison Help (America's Poison Centers)", phone: "1-800-222-1222" },
+  GB: { name: "NHS 111", phone: "111" },
+  IE: { name: "National Poisons Information Centre", phone: "01 809 2166" },
+  AU: { name: "Poisons Information Centre", phone: "13 11 26" },
+  NZ: { name: "National Poisons Centre", phone: "0800 764 766" },
+};
+
+// U.S. Department of State Overseas Citizens Services, 24/7 from abroad.
+export const US_CITIZEN_EMERGENCY_LINE = "+1-202-501-4444";
+export const US_EMBASSY_DIRECTORY_URL = "https://www.usembassy.gov/";
+
+// Country → [embassy city, usembassy.gov subdomain]
+export const US_EMBASSIES = {
+  CA: ["Ottawa", "ca"],
+  MX: ["Mexico City", "mx"],
+  CR: ["San José", "cr"],
+  GB: ["London", "uk"],
+  IE: ["Dublin", "ie"],
+  AU: ["Canberra", "au"],
+  NZ: ["Wellington", "nz"],
+  FR: ["Paris", "fr"],
+  DE: ["Berlin", "de"],
+  IT: ["Rome", "it"],
+  ES: ["Madrid", "es"],
+  PT: ["Lisbon", "pt"],
+  NL: ["The Hague", "nl"],
+  BE: ["Brussels", "be"],
+  AT: ["Vienna", "at"],
+  CH: ["Bern", "ch"],
+  GR: ["Athens", "gr"],
+  DK: ["Copenhagen", "dk"],
+  SE: ["Stockholm", "se"],
+  NO: ["Oslo", "no"],
+  IS: ["Reykjavik", "is"],
+  JP: ["Tokyo", "jp"],
+  KR: ["Seoul", "kr"],
+  IN: ["New Delhi", "in"],
+  SG: ["Singapore", "sg"],
+  TH: ["Bangkok", "th"],
+  PH: ["Manila", "ph"],
+};
@@ -10,19 +10,52 @@ import {
   geocodeLocation,
   resolveDestinationQuery,
 } from "./services/geocoding.js";
-import { getWeatherForecast } from "./services/weather.js";
+import { describeWeatherProviderChains, getWeatherAlerts, getWeatherForecast } from "./services/weather.js";
 import { generatePackingList } from "./services/packingListAI.js";
 import { generateTripPlan } from "./services/tripPlanAI.js";
-import { getCarSeatGuidance } from "./services/safetyRules.js";
+import {
+  getAirTravelGuidance,
+  getCarSeatGuidance,
+  getRouteCarSeatGuidance,
+  getCarSeatRuleCoverage,
+  getStrictestCarSeatGuidance,
+  VEHICLE_TYPES,
+} from "./services/safetyRules.js";
 import { getTravelAdvisory } from "./services/travelAdvisory.js";
 import { getNeighborhoodSafety } from "./services/neighborhoodSafety.js";
+import { getFamilyEssentials } from "./services/familyEssentials.js";
+import { buildEmergencyCard, HOSPITAL_SEARCH_RADIUS_MILES } from "./services/emergencyCard.js";
 import { resolveAiDestination } from "./services/aiDestinationResolver.js";
+import { createTripStore } from "./services/tripStore.js";
+import { createResearchStore, createRuleStore } from "./services/ruleStore.js";
+import { createRuleReviewService } from "./services/ruleReview.js";
+import { createResearchCache, startResearchRefreshJob } from "./services/researchCache.js";
+import { buildItineraryCalendar } from "./services/itineraryCalendar.js";
+import { renderTripPacket } from "./services/tripPacket.js";
+import {
+  combineLegWeather,
+  fetchLegAlerts,
+  fetchLegWeather,
+  geocodeTripStops,
+  routeLabel,
+  toTripStops,
+} from "./services/tripRoute.js";
+import {
+  applyChecklistOps,
+  createChecklistHub,
+  sanitizeChecklistOps,
+  toPublicChecklist,
+} from "./services/checklistSync.js";
 import {
   sanitizeString,
   sanitizeChildren,
+  sanitizeChecklistState,
+  sanitizeExpenses,
   sanitizeTripData,
+  sanitizeWeatherAlerts,
   validateTripData,
 } from "./utils/sanitize.js";
+import { UNIT_SYSTEMS, toImperialWeather, toUnitSystemWeather } from "./utils/units.js";
 import { log } from "./utils/logger.js";
 
 dotenv.config();
@@ -55,14 +88,31 @@ export function createApp(deps = {}) {
     resolveDestinationQueryFn = resolveDestinationQuery,
     resolveAiDestinationFn = resolveAiDestination,
     getWeatherForecastFn = getWeatherForecast,
+    getWeatherAlertsFn = getWeatherAlerts,
     generatePackingListFn = generatePackingList,
     generateTripPlanFn = generateTripPlan,
-    getCarSeatGuidanceFn = getCarSeatGuidance,
+    getCarSeatGuidanceFn: injectedCarSeatGuidanceFn,
     getTravelAdvisoryFn = getTravelAdvisory,
     getNeighborhoodSafetyFn = getNeighborhoodSafety,
+    getFamilyEssentialsFn = getFamilyEssentials,
+    tripStore = createTripStore(),
+    checklistHub = createChecklistHub(),
+    ruleReview = createRuleReviewService({ store: createRuleStore() }),
+    researchCache = createResearchCache({ store: createResearchStore() }),
+    adminToken = process.env.ADMIN_API_TOKEN || "",
     enableRequestLogging = process.env.NODE_ENV !== "test",
   } = deps;
 
+  // Guidance always applies the current reviewed version of a state's rules; states without one
+  // fall back to AI research through the persistent cache.
+  const getCarSeatGuidanceFn =
+    injectedCarSeatGuidanceFn ||
+    ((input) =>
+      getCarSeatGuidance(input, {
+        ruleSetFn: (code) => ruleReview.getCurrentRuleSet(code),
+        researchFn: (request) => researchCache.research(request),
+      }));
+
   const app = express();
 
   // Railway sits behind a reverse proxy — trust first hop so express-rate-limit
@@ -95,7 +145,10 @@ export function createApp(deps = {}) {
     }),
   );
 
-  // Enforce reasonable request body size limits to prevent memory exhaustion attacks
+  // Enforce reasonable request body size limits to prevent memory exhaustion attacks.
+  // Saved trips carry the full plan + packing list, so the trip store routes get a larger cap;
+  // body-parser skips already-parsed bodies, so the global 10kb parser below leaves them alone.
+  app.use("/api/v1/trips", express.json({ limit: "256kb" }));
   app.use(express.json({ limit: "10kb" }));
   app.use(express.urlencoded({ limit: "10kb", extended: false }));
 
@@ -148,6 +201,23 @@ export function createApp(deps = {}) {
     },
   });
 
+  // Trip store writes are cheap (no AI/weather calls) but frequent — every checklist tick syncs —
+  // so they get their own, more generous budget instead of sharing apiLimiter.
+  const tripStoreLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      log.warn("Rate limit hit", { ip: req.ip, path: req.path });
+      res.status(429).json({
+        error: "Too many requests. Please try again in 15 minutes.",
+        retryAfter: "15 minutes",
+        rateLimitReset: Math.ceil(Date.now() / 1000) + 15 * 60,
+      });
+    },
+  });
+
   app.get("/api/health", (req, res) => {
     // Fast liveness probe for local dev and hosting health checks.
     res.json({
@@ -255,6 +325,10 @@ export function createApp(deps = {}) {
           endDate,
           activities: safeActivities,
           children,
+          dietary: sanitizedData.dietary,
+          accessibility: sanitizedData.accessibility,
+          countryCode: coords.countryCode || "US",
+          destinationQuery: sanitizedData.destinationQuery,
         },
         weather,
       );
@@ -342,8 +416,19 @@ export function createApp(deps = {}) {
       const weather = await getWeatherForecastFn(coords.lat, coords.lon, coords.countryCode || "US", startDate, endDate);
       devLog(`Weather fetched successfully`);
 
+      // The web app regenerates packing lists here, so honor the trip's unitSystem in the prompt.
       const packingList = await generatePackingListFn(
-        { destination, startDate, endDate, activities, children },
+        {
+          destination,
+          startDate,
+          endDate,
+          activities,
+          children,
+          countryCode: coords.countryCode || "US",
+          unitSystem: sanitizedData.unitSystem,
+          dietary: sanitizedData.dietary,
+          accessibility: sanitizedData.accessibility,
+        },
         weather,
       );
       devLog(
@@ -411,7 +496,8 @@ export function createApp(deps = {}) {
         2,
       ).toUpperCase();
       const tripDate = sanitizeString(req.body?.tripDate || "", 20);
-      const children = sanitizeChildren(req.body?.children, 10);
+      const tripEndDate = sanitizeString(req.body?.tripEndDate || "", 20);
+      const children = sanitizeChildren(req.body?.children, 10, { unitSystem: req.body?.unitSystem });
       // countryCode used to route non-US destinations to international guidance
       const VALID_COUNTRY_RE = /^[A-Za-z]{2}$/;
       const rawCountryCode = req.body?.countryCode;
@@ -431,6 +517,7 @@ export function createApp(deps = {}) {
           destination,
           jurisdictionCode,
           tripDate,
+          tripEndDate,
           children,
           countryCode,
         }),
@@ -462,20 +549,156 @@ export function createApp(deps = {}) {
     });
   }
 
+  // Helper: persist a freshly generated bundle so clients can reopen it by tripId.
+  // Storage is best-effort here — a store failure must never fail trip generation.
+  async function persistGeneratedTrip({ trip, weather, tripPlan, packingList }, requestId) {
+    try {
+      const saved = await tripStore.create({ trip, weather, tripPlan, packingList });
+      return saved.id;
+    } catch (error) {
+      log.warn("trip store: failed to persist generated trip", { requestId, error: error.message });
+      return null;
+    }
+  }
+
+  // Helper: geocode a trip. Road trips geocode every stop and report the first stop as `coords`
+  // (named after the whole route), so the single-destination response shape still applies.
+  async function geocodeTrip({ destination, stops }) {
+    if (!stops) return { coords: await geocodeLocationFn(destination), legs: null };
+    const legs = await geocodeTripStops(stops, geocodeLocationFn);
+    return { coords: { ...legs[0].coords, displayName: routeLabel(legs) }, legs };
+  }
+
+  // Helper: forecast a geocoded trip. Road-trip legs are forecast per stop and merged into one weather object.
+  // Active weather alerts are looked up alongside; like safety guidance they are best-effort.
+  async function forecastTrip({ coords, legs }, startDate, endDate) {
+    const alertsPromise = (
+      legs
+        ? fetchLegAlerts(legs, getWeatherAlertsFn)
+        : getWeatherAlertsFn(coords.lat, coords.lon, coords.countryCode || "US", startDate, endDate)
+    ).catch((error) => {
+      log.warn("weather alerts lookup failed", { error: error.message });
+      return [];
+    });
+    if (!legs) {
+      const [weather, alerts] = await Promise.all([
+        getWeatherForecastFn(coords.lat, coords.lon, coords.countryCode || "US", startDate, endDate),
+        alertsPromise,
+      ]);
+      return { weather, legs: null, alerts };
+    }
+    const [forecastLegs, alerts] = await Promise.all([fetchLegWeather(legs, getWeatherForecastFn), alertsPromise]);
+    return { weather: combineLegWeather(forecastLegs), legs: forecastLegs, alerts };
+  }
+
+  // Helper: car seat guidance for every state/country a road trip stays in.
+  // Best-effort like trip persistence — a safety lookup failure must not fail trip generation.
+  async function routeSafetyGuidance(tripStops, { tripDate, tripEndDate, children }, requestId) {
+    if (!tripStops || children.length === 0) return null;
+    try {
+      return await getRouteCarSeatGuidance(
+        { stops: tripStops, tripDate, tripEndDate, children },
+        { guidanceFn: getCarSeatGuidanceFn, rules: await ruleReview.currentRules() },
+      );
+    } catch (error) {
+      log.warn("road trip car seat guidance failed", { requestId, error: error.message });
+      return null;
+    }
+  }
+
+  // Helper: validate a client-supplied trip record payload (create or partial update).
+  // Returns { record, errors } where record only holds the writable fields present in body.
+  function parseTripRecordPayload(body, { requireTrip }) {
+    const errors = [];
+    const record = {};
+    const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+    if (body?.trip !== undefined) {
+      if (!isPlainObject(body.trip) || !sanitizeString(body.trip.destination || "", 200)) {
+        errors.push("trip must be an object with a destination");
+      } else {
+        record.trip = body.trip;
+      }
+    } else if (requireTrip) {
+      errors.push("trip is required");
+    }
+
+    for (const field of ["weather", "tripPlan", "packingList"]) {
+      if (body?.[field] === undefined) continue;
+      if (body[field] !== null && !isPlainObject(body[field])) {
+        errors.push(`${field} must be an object or null`);
+      } else {
+        record[field] = body[field];
+      }
+    }
+
+    if (body?.checklist !== undefined) {
+      record.checklist = sanitizeChecklistState(body.checklist);
+    }
+
+    if (body?.expenses !== undefined) {
+      record.expenses = sanitizeExpenses(body.expenses);
+    }
+
+    if (!requireTrip && Object.keys(record).length === 0 && errors.length === 0) {
+      errors.push("At least one of trip, weather, tripPlan, packingList, checklist, expenses is required");
+    }
+
+    return { record, errors };
+  }
+
+  // Share links: read-only, expiring, revocable access to one saved trip.
+  const SHARE_DEFAULT_DAYS = 14;
+  const SHARE_MAX_DAYS = 90;
+
+  // Helper: shape a share record for v1 responses (the tripId is omitted from public views).
+  function toShareResponse(share) {
+    return {
+      token: share.token,
+      path: `/shared/${share.token}`,
+      createdAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      revokedAt: share.revokedAt,
+      active: !share.revokedAt && new Date(share.expiresAt) > new Date(),
+    };
+  }
+
+  // Helper: shape a stored trip record for v1 responses.
+  function toTripResponse(record, requestId) {
+    const { id, ...rest } = record;
+    // Records saved before expenses existed have none.
+    return { requestId, tripId: id, ...rest, checklist: toPublicChecklist(record.checklist), expenses: record.expenses || [] };
+  }
+
+  // Helper: filename-safe slug of a trip's destination for download names ("Seattle, WA" → "seattle").
+  function downloadSlug(record) {
+    const slug = String(record.trip?.destination || "trip")
+      .split(",")[0]
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+    return slug || "trip";
+  }
+
   // GET /api/v1/meta/capabilities
   // Returns feature flags, supported countries, weather providers, safety modes.
   app.get("/api/v1/meta/capabilities", (req, res) => {
     const requestId = crypto.randomUUID();
     const client = req.query?.client || req.body?.client || "web";
+    const weatherProviderChains = describeWeatherProviderChains();
 
     const payload = {
       requestId,
       schemaVersion: "1",
       supportedCountries: ["US", "CA", "GB", "AU"],
-      weatherProviders: {
-        US: "weathergov",
-        other: "openweathermap",
-      },
+      // Send unitSystem on v1 requests; clients default to the destination country's system.
+      unitSystems: UNIT_SYSTEMS,
+      defaultUnitSystems: { US: "imperial", CA: "metric", GB: "metric", AU: "metric" },
+      // Primary provider per country, then the full fallback chain actually in use (configured providers only).
+      weatherProviders: Object.fromEntries(
+        Object.entries(weatherProviderChains).map(([country, chain]) => [country, chain[0] ?? "climatology"]),
+      ),
+      weatherProviderChains,
       safetyModes: {
         US: "us_state_law",
         CA: "country_general",
@@ -488,7 +711,21 @@ export function createApp(deps = {}) {
         neighborhoodSafety: !!process.env.AMADEUS_API_KEY,
       },
       featureFlags: {
-        shareLinks: false,
+        shareLinks: true,
+        checklistSync: true,
+        calendarExport: true,
+        tripPacket: true,
+        roadTrips: true,
+        airTravelGuidance: true,
+        metricUnits: true,
+        weatherAlerts: true,
+        daySchedules: true,
+        kidWeatherRisk: true,
+        familyEssentials: true,
+        emergencyCard: true,
+        dietaryNeeds: true,
+        accessibilityNeeds: true,
+        tripBudget: true,
         customItems: false,
         darkMode: false,
         pwa: false,
@@ -554,18 +791,32 @@ export function createApp(deps = {}) {
         });
       }
 
-      const { destination, startDate, endDate, activities, children } = sanitizedData;
+      const { destination, startDate, endDate, activities, children, unitSystem } = sanitizedData;
       const safeActivities =
         Array.isArray(activities) && activities.length > 0
           ? activities
           : ["family-friendly", "parks", "city"];
 
       devLog("v1/trip/plan: geocoding...");
-      const coords = await geocodeLocationFn(destination);
+      const located = await geocodeTrip(sanitizedData);
+      const { coords } = located;
       const resolvedCountry = coords.countryCode || "US";
-      const weather = await getWeatherForecastFn(coords.lat, coords.lon, resolvedCountry, startDate, endDate);
+      const { weather, legs, alerts } = await forecastTrip(located, startDate, endDate);
       const tripPlan = await generateTripPlanFn(
-        { destination, startDate, endDate, activities: safeActivities, children },
+        {
+          destination,
+          startDate,
+          endDate,
+          activities: safeActivities,
+          children,
+          stops: sanitizedData.stops,
+          unitSystem,
+          alerts,
+          dietary: sanitizedData.dietary,
+          accessibility: sanitizedData.accessibility,
+          countryCode: resolvedCountry,
+          destinationQuery: sanitizedData.destinationQuery,
+        },
         weather,
       );
 
@@ -584,14 +835,19 @@ export function createApp(deps = {}) {
           duration: tripDuration,
           activities: safeActivities,
           children,
+          ...(sanitizedData.dietary ? { dietary: sanitizedData.dietary } : {}),
+          ...(sanitizedData.accessibility ? { accessibility: sanitizedData.accessibility } : {}),
+          ...(sanitizedData.destinationQuery ? { destinationQuery: sanitizedData.destinationQuery } : {}),
           // v1 extended fields
           countryCode: resolvedCountry,
           regionCode: coords.regionCode || null,
-          unitSystem: req.body?.unitSystem || "imperial",
+          ...(legs ? { stops: toTripStops(legs) } : {}),
+          unitSystem,
           client: req.body?.client || "web",
           schemaVersion: req.body?.schemaVersion || "1",
         },
-        weather,
+        weather: toUnitSystemWeather(weather, unitSystem),
+        alerts,
         tripPlan,
       });
     } catch (error) {
@@ -643,7 +899,7 @@ export function createApp(deps = {}) {
         });
       }
 
-      const { destination, startDate, endDate, activities, children } = sanitizedData;
+      const { destination, startDate, endDate, activities, children, unitSystem } = sanitizedData;
       const safeActivities =
         Array.isArray(activities) && activities.length > 0
           ? activities
@@ -659,21 +915,36 @@ export function createApp(deps = {}) {
       // Phase 1: Geocode
       const geocodeStart = Date.now();
       rlog.info("bundle: geocoding", { destination });
-      const coords = await geocodeLocationFn(destination);
+      const located = await geocodeTrip(sanitizedData);
+      const { coords } = located;
       const resolvedCountry = coords.countryCode || "US";
       timings.geocode = Date.now() - geocodeStart;
       rlog.info("bundle: geocoded", { lat: coords.lat, lon: coords.lon, country: resolvedCountry, ms: timings.geocode });
 
       // Phase 2: Weather
       const weatherStart = Date.now();
-      const weather = await getWeatherForecastFn(coords.lat, coords.lon, resolvedCountry, startDate, endDate);
+      const { weather, legs, alerts } = await forecastTrip(located, startDate, endDate);
       timings.weather = Date.now() - weatherStart;
       rlog.info("bundle: weather fetched", { ms: timings.weather });
 
       // Phase 3: Trip plan + Packing list in parallel
       const aiStart = Date.now();
       rlog.info("bundle: AI starting (trip + packing)");
-      const tripPayload = { destination, startDate, endDate, activities: safeActivities, children, tripType, countryCode: resolvedCountry };
+      const tripPayload = {
+        destination,
+        startDate,
+        endDate,
+        activities: safeActivities,
+        children,
+        tripType,
+        countryCode: resolvedCountry,
+        stops: sanitizedData.stops,
+        unitSystem,
+        alerts,
+        dietary: sanitizedData.dietary,
+        accessibility: sanitizedData.accessibility,
+        destinationQuery: sanitizedData.destinationQuery,
+      };
       const [tripPlan, packingList] = await Promise.all([
         generateTripPlanFn(tripPayload, weather),
         generatePackingListFn(tripPayload, weather),
@@ -687,28 +958,42 @@ export function createApp(deps = {}) {
         (new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24),
       );
 
+      const trip = {
+        destination: coords.displayName || destination,
+        jurisdictionCode: coords.stateCode || null,
+        jurisdictionName: coords.stateName || null,
+        startDate,
+        endDate,
+        duration: tripDuration,
+        activities: safeActivities,
+        children,
+        ...(sanitizedData.dietary ? { dietary: sanitizedData.dietary } : {}),
+        ...(sanitizedData.accessibility ? { accessibility: sanitizedData.accessibility } : {}),
+        ...(sanitizedData.destinationQuery ? { destinationQuery: sanitizedData.destinationQuery } : {}),
+        countryCode: resolvedCountry,
+        regionCode: coords.regionCode || null,
+        lat: coords.lat,
+        lon: coords.lon,
+        timeZone: weather?.timeZone || null,
+        ...(legs ? { stops: toTripStops(legs) } : {}),
+        unitSystem,
+        client: req.body?.client || "mobile",
+        schemaVersion: req.body?.schemaVersion || "1",
+      };
+      // Clients (and the stored trip) get weather in the trip's unit system; AI prompts above used °F.
+      const clientWeather = toUnitSystemWeather(weather, unitSystem);
+      const tripId = await persistGeneratedTrip({ trip, weather: clientWeather, tripPlan, packingList }, requestId);
+      const safetyGuidance = await routeSafetyGuidance(trip.stops, { tripDate: startDate, tripEndDate: endDate, children }, requestId);
+
       return res.json({
         requestId,
-        trip: {
-          destination: coords.displayName || destination,
-          jurisdictionCode: coords.stateCode || null,
-          jurisdictionName: coords.stateName || null,
-          startDate,
-          endDate,
-          duration: tripDuration,
-          activities: safeActivities,
-          children,
-          countryCode: resolvedCountry,
-          regionCode: coords.regionCode || null,
-          lat: coords.lat,
-          lon: coords.lon,
-          unitSystem: req.body?.unitSystem || "imperial",
-          client: req.body?.client || "mobile",
-          schemaVersion: req.body?.schemaVersion || "1",
-        },
-        weather,
+        tripId,
+        trip,
+        weather: clientWeather,
+        alerts,
         tripPlan,
         packingList,
+        ...(safetyGuidance ? { safetyGuidance } : {}),
         timings,
       });
     } catch (error) {
@@ -778,7 +1063,7 @@ export function createApp(deps = {}) {
     }
 
     try {
-      const { destination, startDate, endDate, activities, children } = sanitizedData;
+      const { destination, startDate, endDate, activities, children, unitSystem } = sanitizedData;
       const VALID_TRIP_TYPES = new Set(["beach", "city", "adventure", "cruise", "international"]);
       const rawTripType = req.body?.tripType;
       const tripType = VALID_TRIP_TYPES.has(rawTripType) ? rawTripType : null;
@@ -792,7 +1077,8 @@ export function createApp(deps = {}) {
 
       // Phase 1: Geocode
       rlog.info("stream: geocoding", { destination });
-      const coords = await geocodeLocationFn(destination);
+      const located = await geocodeTrip(sanitizedData);
+      const { coords } = located;
       const resolvedCountry = coords.countryCode || "US";
       rlog.info("stream: geocoded", { lat: coords.lat, lon: coords.lon, country: resolvedCountry, ms: Date.now() - streamStart });
       emit("destination", {
@@ -800,14 +1086,16 @@ export function createApp(deps = {}) {
         lat: coords.lat,
         lon: coords.lon,
         countryCode: resolvedCountry,
+        ...(located.legs ? { stops: located.legs.map((leg) => leg.coords.displayName || leg.destination) } : {}),
       });
       flush();
 
       // Phase 2: Weather
       const weatherStart = Date.now();
-      const weather = await getWeatherForecastFn(coords.lat, coords.lon, resolvedCountry, startDate, endDate);
+      const { weather, legs, alerts } = await forecastTrip(located, startDate, endDate);
       rlog.info("stream: weather fetched", { ms: Date.now() - weatherStart });
-      emit("weather", { weather });
+      const clientWeather = toUnitSystemWeather(weather, unitSystem);
+      emit("weather", { weather: clientWeather, alerts });
       flush();
 
       // Phase 3: Trip plan + Packing list in parallel
@@ -821,6 +1109,12 @@ export function createApp(deps = {}) {
         children,
         tripType,
         countryCode: resolvedCountry,
+        stops: sanitizedData.stops,
+        unitSystem,
+        alerts,
+        dietary: sanitizedData.dietary,
+        accessibility: sanitizedData.accessibility,
+        destinationQuery: sanitizedData.destinationQuery,
       };
 
       emit("itinerary-chunk", { status: "generating", message: "Crafting your itinerary…" });
@@ -842,23 +1136,41 @@ export function createApp(deps = {}) {
         (new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24),
       );
 
+      const trip = {
+        destination: coords.displayName || destination,
+        jurisdictionCode: coords.stateCode || null,
+        jurisdictionName: coords.stateName || null,
+        startDate,
+        endDate,
+        duration: tripDuration,
+        activities: safeActivities,
+        children,
+        ...(sanitizedData.dietary ? { dietary: sanitizedData.dietary } : {}),
+        ...(sanitizedData.accessibility ? { accessibility: sanitizedData.accessibility } : {}),
+        ...(sanitizedData.destinationQuery ? { destinationQuery: sanitizedData.destinationQuery } : {}),
+        countryCode: resolvedCountry,
+        regionCode: coords.regionCode || null,
+        lat: coords.lat,
+        lon: coords.lon,
+        timeZone: weather?.timeZone || null,
+        ...(legs ? { stops: toTripStops(legs) } : {}),
+        unitSystem,
+      };
+
+      const safetyGuidance = await routeSafetyGuidance(trip.stops, { tripDate: startDate, tripEndDate: endDate, children }, requestId);
+      if (safetyGuidance) {
+        emit("safety", safetyGuidance);
+        flush();
+      }
+
+      const tripId = await persistGeneratedTrip({ trip, weather: clientWeather, tripPlan, packingList }, requestId);
+
       emit("done", {
         requestId,
-        trip: {
-          destination: coords.displayName || destination,
-          jurisdictionCode: coords.stateCode || null,
-          jurisdictionName: coords.stateName || null,
-          startDate,
-          endDate,
-          duration: tripDuration,
-          activities: safeActivities,
-          children,
-          countryCode: resolvedCountry,
-          regionCode: coords.regionCode || null,
-          lat: coords.lat,
-          lon: coords.lon,
-        },
-        weather,
+        tripId,
+        trip,
+        weather: clientWeather,
+        alerts,
         tripPlan,
         packingList,
       });
@@ -885,6 +1197,7 @@ export function createApp(deps = {}) {
   // Regenerates ONLY the trip itinerary (no geocoding or weather fetch).
   // Used when the user customizes activities after the initial plan is generated.
   // Requires: destination, startDate, endDate, activities, children, weather (cached).
+  // Optional: alerts (as returned by bundle/stream) so the new plan keeps outdoor plans off alert days.
   app.post("/api/v1/trip/replan", apiLimiter, async (req, res) => {
     const requestId = crypto.randomUUID();
     try {
@@ -900,10 +1213,11 @@ export function createApp(deps = {}) {
         });
       }
 
-      const { destination, startDate, endDate, activities, children } = sanitizedData;
+      const { destination, startDate, endDate, activities, children, unitSystem } = sanitizedData;
 
       // weather must be provided by the client — we skip geocoding and weather fetch.
-      const weather = req.body.weather;
+      // Metric clients send back the °C weather they were given; prompts expect °F.
+      const weather = toImperialWeather(req.body.weather);
       if (!weather || !Array.isArray(weather.forecast)) {
         return v1Error(res, 400, {
           code: "VALIDATION_ERROR",
@@ -915,8 +1229,22 @@ export function createApp(deps = {}) {
       }
 
       devLog("v1/trip/replan: regenerating itinerary with activities:", activities);
+      const alerts = sanitizeWeatherAlerts(req.body.alerts);
       const tripPlan = await generateTripPlanFn(
-        { destination, startDate, endDate, activities, children },
+        {
+          destination,
+          startDate,
+          endDate,
+          activities,
+          children,
+          stops: sanitizedData.stops,
+          unitSystem,
+          alerts,
+          dietary: sanitizedData.dietary,
+          accessibility: sanitizedData.accessibility,
+          countryCode: sanitizedData.countryCode,
+          destinationQuery: sanitizedData.destinationQuery,
+        },
         weather,
       );
 
@@ -949,14 +1277,26 @@ export function createApp(deps = {}) {
         });
       }
 
-      const { destination, startDate, endDate, activities, children } = sanitizedData;
+      const { destination, startDate, endDate, activities, children, unitSystem } = sanitizedData;
 
       devLog("v1/trip/packing: geocoding...");
-      const coords = await geocodeLocationFn(destination);
+      const located = await geocodeTrip(sanitizedData);
+      const { coords } = located;
       const resolvedCountry = coords.countryCode || "US";
-      const weather = await getWeatherForecastFn(coords.lat, coords.lon, resolvedCountry, startDate, endDate);
+      const { weather, legs } = await forecastTrip(located, startDate, endDate);
       const packingList = await generatePackingListFn(
-        { destination, startDate, endDate, activities, children },
+        {
+          destination,
+          startDate,
+          endDate,
+          activities,
+          children,
+          countryCode: resolvedCountry,
+          stops: sanitizedData.stops,
+          unitSystem,
+          dietary: sanitizedData.dietary,
+          accessibility: sanitizedData.accessibility,
+        },
         weather,
       );
 
@@ -975,13 +1315,17 @@ export function createApp(deps = {}) {
           duration: tripDuration,
           activities,
           children,
+          ...(sanitizedData.dietary ? { dietary: sanitizedData.dietary } : {}),
+          ...(sanitizedData.accessibility ? { accessibility: sanitizedData.accessibility } : {}),
+          ...(sanitizedData.destinationQuery ? { destinationQuery: sanitizedData.destinationQuery } : {}),
           countryCode: resolvedCountry,
           regionCode: coords.regionCode || null,
-          unitSystem: req.body?.unitSystem || "imperial",
+          ...(legs ? { stops: toTripStops(legs) } : {}),
+          unitSystem,
           client: req.body?.client || "web",
           schemaVersion: req.body?.schemaVersion || "1",
         },
-        weather,
+        weather: toUnitSystemWeather(weather, unitSystem),
         packingList,
       });
     } catch (error) {
@@ -1015,14 +1359,20 @@ export function createApp(deps = {}) {
   });
 
   // POST /api/v1/safety/car-seat-check
+  // Optional `stops` ([{ destination?, jurisdictionCode?, countryCode? }], in route order) evaluates
+  // every state/country on a road trip and returns { guidanceMode: "route", jurisdictions: [...] }.
   app.post("/api/v1/safety/car-seat-check", apiLimiter, async (req, res) => {
     const requestId = crypto.randomUUID();
     try {
       const destination = sanitizeString(req.body?.destination || "", 120);
       const jurisdictionCode = sanitizeString(req.body?.jurisdictionCode || "", 2).toUpperCase();
       const tripDate = sanitizeString(req.body?.tripDate || "", 20);
+      // Optional last day of the trip: car seat thresholds crossed between tripDate and here are flagged.
+      const tripEndDate = sanitizeString(req.body?.tripEndDate || "", 20);
       const countryCode = sanitizeString(req.body?.countryCode || "US", 2).toUpperCase();
-      const children = sanitizeChildren(req.body?.children, 10);
+      // Metric clients send children's weightKg/heightCm; rules are evaluated in lb/in.
+      const children = sanitizeChildren(req.body?.children, 10, { unitSystem: req.body?.unitSystem });
+      const vehicleType = req.body?.vehicleType ?? null;
 
       if (children.length === 0) {
         return v1Error(res, 400, {
@@ -1033,9 +1383,48 @@ export function createApp(deps = {}) {
           requestId,
         });
       }
+      if (vehicleType !== null && !VEHICLE_TYPES.includes(vehicleType)) {
+        return v1Error(res, 400, {
+          code: "INVALID_VEHICLE_TYPE",
+          message: `vehicleType must be one of ${VEHICLE_TYPES.join(", ")}.`,
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+
+      // States driven through (e.g. ["CA", "OR", "WA"]): strictest-rule summary only.
+      const routeJurisdictions = Array.isArray(req.body?.jurisdictionCodes)
+        ? req.body.jurisdictionCodes
+            .slice(0, 51)
+            .map((code) => sanitizeString(String(code || ""), 2).toUpperCase())
+            .filter((code) => /^[A-Z]{2}$/.test(code))
+        : [];
+      if (routeJurisdictions.length > 0) {
+        const strictest = getStrictestCarSeatGuidance(
+          { jurisdictionCodes: routeJurisdictions, tripDate, children, vehicleType },
+          { rules: await ruleReview.currentRules() },
+        );
+        return res.json({ requestId, ...strictest });
+      }
+
+      const stops = Array.isArray(req.body?.stops)
+        ? req.body.stops.slice(0, 8).map((stop) => ({
+            destination: sanitizeString(stop?.destination || "", 120),
+            jurisdictionCode: sanitizeString(stop?.jurisdictionCode || "", 2).toUpperCase() || null,
+            countryCode: sanitizeString(stop?.countryCode || "US", 2).toUpperCase(),
+          }))
+        : [];
+      if (stops.length > 1) {
+        const routeGuidance = await getRouteCarSeatGuidance(
+          { stops, tripDate, tripEndDate, children, vehicleType },
+          { guidanceFn: getCarSeatGuidanceFn, rules: await ruleReview.currentRules() },
+        );
+        return res.json({ requestId, ...routeGuidance });
+      }
 
       const guidance = await Promise.resolve(
-        getCarSeatGuidanceFn({ destination, jurisdictionCode, tripDate, children }),
+        getCarSeatGuidanceFn({ destination, jurisdictionCode, tripDate, tripEndDate, children, vehicleType }),
       );
 
       // Ensure guidanceMode is always present in v1 responses
@@ -1063,29 +1452,29 @@ export function createApp(deps = {}) {
     }
   });
 
-  // GET /api/v1/safety/travel-advisory/:countryCode
-  // Returns US State Dept travel advisory for a country. Graceful: returns null if unavailable.
-  app.get("/api/v1/safety/travel-advisory/:countryCode", async (req, res) => {
+  // POST /api/v1/safety/air-travel
+  // Flight restraint guidance per child (lap infant, FAA-approved car seat, CARES, gate checks).
+  app.post("/api/v1/safety/air-travel", apiLimiter, async (req, res) => {
     const requestId = crypto.randomUUID();
     try {
-      const countryCode = sanitizeString(req.params.countryCode || "", 3).toUpperCase();
-      if (!countryCode || countryCode.length < 2) {
+      const children = sanitizeChildren(req.body?.children, 10, { unitSystem: req.body?.unitSystem });
+      if (children.length === 0) {
         return v1Error(res, 400, {
-          code: "INVALID_COUNTRY_CODE",
-          message: "A valid 2-letter country code is required.",
+          code: "MISSING_CHILDREN",
+          message: "At least one child profile is required for air travel guidance.",
           category: "validation",
           retryable: false,
           requestId,
         });
       }
-
-      const advisory = await getTravelAdvisoryFn(countryCode);
-      return res.json({ requestId, advisory });
+      // Optional: with birth dates, lap-infant and CARES checks use each child's age on the flight date.
+      const tripDate = sanitizeString(req.body?.tripDate || "", 20);
+      return res.json({ requestId, ...getAirTravelGuidance({ children, tripDate }) });
     } catch (error) {
-      log.error("v1/safety/travel-advisory failed", { requestId, error: error.message });
+      log.error("v1/safety/air-travel failed", { requestId, error: error.message });
       return v1Error(res, 500, {
-        code: "ADVISORY_FAILED",
-        message: "Failed to fetch travel advisory. Trip planning will continue without it.",
+        code: "SAFETY_CHECK_FAILED",
+        message: "Failed to retrieve air travel guidance. Please try again.",
         category: "server",
         retryable: true,
         requestId,
@@ -1093,31 +1482,52 @@ export function createApp(deps = {}) {
     }
   });
 
-  // GET /api/v1/safety/neighborhood?lat=X&lon=Y
-  // Returns Amadeus/GeoSure neighborhood safety scores. Graceful: returns null if unavailable.
-  app.get("/api/v1/safety/neighborhood", async (req, res) => {
+  // POST /api/v1/safety/emergency-card
+  // Emergency numbers, poison control, the U.S. embassy (international trips), the nearest ER and
+  // children's hospital, and each child's allergies/medications. lat/lon are optional; without them,
+  // or when the hospital lookup fails, the card comes back without hospitals (hospitalsChecked: false).
+  app.post("/api/v1/safety/emergency-card", apiLimiter, async (req, res) => {
     const requestId = crypto.randomUUID();
     try {
-      const lat = parseFloat(req.query?.lat);
-      const lon = parseFloat(req.query?.lon);
-
-      if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      const countryCode = String(req.body?.countryCode || "").toUpperCase();
+      if (!/^[A-Z]{2}$/.test(countryCode)) {
         return v1Error(res, 400, {
-          code: "INVALID_COORDINATES",
-          message: "Valid lat and lon query parameters are required.",
+          code: "VALIDATION_ERROR",
+          message: "countryCode must be an ISO 3166-1 alpha-2 code.",
           category: "validation",
           retryable: false,
           requestId,
         });
       }
+      const children = sanitizeChildren(req.body?.children, 10, { unitSystem: req.body?.unitSystem });
+      const lat = parseFloat(req.body?.lat);
+      const lon = parseFloat(req.body?.lon);
+
+      let hospitals = null;
+      if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+        try {
+          const found = await getFamilyEssentialsFn(lat, lon, {
+            radiusMiles: HOSPITAL_SEARCH_RADIUS_MILES,
+            categories: ["hospitals"],
+          });
+          hospitals = found.essentials.hospitals;
+        } catch (error) {
+          log.warn("v1/safety/emergency-card hospital lookup failed", { requestId, error: error.message });
+        }
+      }
 
-      const safety = await getNeighborhoodSafetyFn(lat, lon);
-      return res.json({ requestId, safety });
+      const card = buildEmergencyCard({
+        destination: sanitizeString(req.body?.destination || "", 120),
+        countryCode,
+        children,
+        hospitals,
+      });
+      return res.json({ requestId, card: { ...card, generatedAt: new Date().toISOString() } });
     } catch (error) {
-      log.error("v1/safety/neighborhood failed", { requestId, error: error.message });
+      log.error("v1/safety/emergency-card failed", { requestId, error: error.message });
       return v1Error(res, 500, {
-        code: "SAFETY_FAILED",
-        message: "Failed to fetch neighborhood safety data.",
+        code: "SAFETY_CHECK_FAILED",
+        message: "Failed to build the emergency card. Please try again.",
         category: "server",
         retryable: true,
         requestId,
@@ -1125,36 +1535,953 @@ export function createApp(deps = {}) {
     }
   });
 
-  // ── Serve the built Vite frontend in production.
-  const __filename = fileURLToPath(import.meta.url);
-  const __dirname = path.dirname(__filename);
-  const frontendDist = path.join(__dirname, "../frontend/dist");
+  // GET /api/v1/safety/coverage
+  // Lists every US state + DC (and the international rule sets) with review status and source.
+  app.get("/api/v1/safety/coverage", async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      return res.json({ requestId, ...getCarSeatRuleCoverage({ rules: await ruleReview.currentRules() }) });
+    } catch (error) {
+      log.error("v1/safety/coverage failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "COVERAGE_FAILED",
+        message: "Failed to load car seat rule coverage.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
 
-  if (process.env.NODE_ENV === "production") {
-    app.use(express.static(frontendDist));
-    // SPA fallback: any non-API route returns index.html
-    app.get("*", (req, res) => {
-      res.sendFile(path.join(frontendDist, "index.html"));
-    });
-  } else {
-    app.use((req, res) => {
-      res.status(404).json({ error: "Endpoint not found" });
-    });
+  // ── Admin: car seat rule review ──────────────────────────────────────────
+  // Reviewers propose rule changes, inspect the diff, and approve them into a new version.
+  // Requires ADMIN_API_TOKEN as a bearer token; without one configured the routes are disabled.
+
+  function requireAdmin(req, res, next) {
+    const requestId = crypto.randomUUID();
+    if (!adminToken) {
+      return v1Error(res, 503, {
+        code: "ADMIN_DISABLED",
+        message: "Admin routes are not configured on this server.",
+        category: "server",
+        retryable: false,
+        requestId,
+      });
+    }
+    const header = req.headers?.authorization || "";
+    const supplied = header.startsWith("Bearer ") ? header.slice(7) : "";
+    // Compare digests so the check takes the same time whatever the supplied length.
+    const digest = (value) => crypto.createHash("sha256").update(value).digest();
+    if (!supplied || !crypto.timingSafeEqual(digest(supplied), digest(adminToken))) {
+      return v1Error(res, 401, {
+        code: "UNAUTHORIZED",
+        message: "A valid admin token is required.",
+        category: "auth",
+        retryable: false,
+        requestId,
+      });
+    }
+    return next();
   }
 
-  return app;
-}
+  const ruleCodeParam = (req) => sanitizeString(req.params.code || "", 2).toUpperCase();
 
-export function startServer(port, deps = {}) {
-  // Runtime entrypoint used by local dev/prod boot while reusing createApp().
-  // Validate environment before attempting to start the app
-  validateEnvironmentVariables();
+  // Map a review-service result to an error response; returns null when the result is a success.
+  function ruleReviewFailure(res, result, requestId, notFound) {
+    if (!result) {
+      return v1Error(res, 404, { ...notFound, category: "validation", retryable: false, requestId });
+    }
+    if (result.errors) {
+      return v1Error(res, 400, {
+        code: "VALIDATION_ERROR",
+        message: result.errors.join("; "),
+        category: "validation",
+        retryable: false,
+        requestId,
+      });
+    }
+    if (result.error) {
+      const messages = {
+        PROPOSAL_NOT_PENDING: "This proposal has already been reviewed.",
+        STALE_PROPOSAL: "The rules changed since this proposal was made. Propose again against the current version.",
+        TOO_MANY_PENDING: "Too many pending proposals for this jurisdiction. Review or reject some first.",
+      };
+      return v1Error(res, 409, {
+        code: result.error,
+        message: messages[result.error] || "Conflicting review state.",
+        category: "validation",
+        retryable: false,
+        requestId,
+      });
+    }
+    return null;
+  }
 
-  const app = createApp(deps);
-  const PORT = Number(port ?? process.env.PORT ?? 8080);
-  const server = app.listen(PORT, "0.0.0.0", () => {
-    console.log(`Server listening on port ${PORT}`);
-  });
+  const RULESET_NOT_FOUND = { code: "RULESET_NOT_FOUND", message: "No car seat rule set for that jurisdiction." };
+  const PROPOSAL_NOT_FOUND = { code: "PROPOSAL_NOT_FOUND", message: "Proposal not found." };
+
+  function ruleReviewServerError(res, requestId, action, error) {
+    log.error(`car seat rule review ${action} failed`, { requestId, error: error.message });
+    return v1Error(res, 500, {
+      code: "RULE_REVIEW_FAILED",
+      message: "Failed to update car seat rule review. Please try again.",
+      category: "server",
+      retryable: true,
+      requestId,
+    });
+  }
+
+  // GET /api/v1/admin/car-seat-rules/:code — current version, full version history and proposals
+  app.get("/api/v1/admin/car-seat-rules/:code", apiLimiter, requireAdmin, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const code = ruleCodeParam(req);
+      const history = await ruleReview.getHistory(code);
+      const failure = ruleReviewFailure(res, history, requestId, RULESET_NOT_FOUND);
+      if (failure) return failure;
+      const current = await ruleReview.getCurrentRuleSet(code);
+      return res.json({ requestId, current, ...history });
+    } catch (error) {
+      return ruleReviewServerError(res, requestId, "history", error);
+    }
+  });
+
+  // POST /api/v1/admin/car-seat-rules/:code/proposals — body { ruleSet, proposedBy, note? }
+  app.post("/api/v1/admin/car-seat-rules/:code/proposals", apiLimiter, requireAdmin, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const result = await ruleReview.propose(ruleCodeParam(req), {
+        ruleSet: req.body?.ruleSet,
+        proposedBy: req.body?.proposedBy,
+        note: req.body?.note,
+      });
+      const failure = ruleReviewFailure(res, result, requestId, RULESET_NOT_FOUND);
+      if (failure) return failure;
+      return res.status(201).json({ requestId, ...result });
+    } catch (error) {
+      return ruleReviewServerError(res, requestId, "propose", error);
+    }
+  });
+
+  // GET /api/v1/admin/car-seat-rules/:code/proposals/:proposalId — proposal plus diff against current
+  app.get("/api/v1/admin/car-seat-rules/:code/proposals/:proposalId", apiLimiter, requireAdmin, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const result = await ruleReview.getProposal(ruleCodeParam(req), req.params.proposalId);
+      const failure = ruleReviewFailure(res, result, requestId, PROPOSAL_NOT_FOUND);
+      if (failure) return failure;
+      return res.json({ requestId, ...result });
+    } catch (error) {
+      return ruleReviewServerError(res, requestId, "proposal lookup", error);
+    }
+  });
+
+  // POST /api/v1/admin/car-seat-rules/:code/proposals/:proposalId/approve — body { reviewedBy, reviewedOn?, note? }
+  app.post(
+    "/api/v1/admin/car-seat-rules/:code/proposals/:proposalId/approve",
+    apiLimiter,
+    requireAdmin,
+    async (req, res) => {
+      const requestId = crypto.randomUUID();
+      try {
+        const result = await ruleReview.approve(ruleCodeParam(req), req.params.proposalId, {
+          reviewedBy: req.body?.reviewedBy,
+          reviewedOn: req.body?.reviewedOn,
+          note: req.body?.note,
+        });
+        const failure = ruleReviewFailure(res, result, requestId, PROPOSAL_NOT_FOUND);
+        if (failure) return failure;
+        log.info("car seat rule version approved", {
+          requestId,
+          jurisdictionCode: result.ruleSet.jurisdictionCode,
+          version: result.version.version,
+        });
+        return res.json({ requestId, ...result });
+      } catch (error) {
+        return ruleReviewServerError(res, requestId, "approve", error);
+      }
+    },
+  );
+
+  // POST /api/v1/admin/car-seat-rules/:code/proposals/:proposalId/reject — body { reviewedBy, note? }
+  app.post(
+    "/api/v1/admin/car-seat-rules/:code/proposals/:proposalId/reject",
+    apiLimiter,
+    requireAdmin,
+    async (req, res) => {
+      const requestId = crypto.randomUUID();
+      try {
+        const result = await ruleReview.reject(ruleCodeParam(req), req.params.proposalId, {
+          reviewedBy: req.body?.reviewedBy,
+          note: req.body?.note,
+        });
+        const failure = ruleReviewFailure(res, result, requestId, PROPOSAL_NOT_FOUND);
+        if (failure) return failure;
+        return res.json({ requestId, ...result });
+      } catch (error) {
+        return ruleReviewServerError(res, requestId, "reject", error);
+      }
+    },
+  );
+
+  // GET /api/v1/admin/car-seat-research — AI-researched rule sets in the cache, with hash and timestamps
+  app.get("/api/v1/admin/car-seat-research", apiLimiter, requireAdmin, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const entries = await researchCache.list();
+      return res.json({ requestId, entries });
+    } catch (error) {
+      return ruleReviewServerError(res, requestId, "research list", error);
+    }
+  });
+
+  // POST /api/v1/admin/car-seat-research/refresh — run the scheduled source re-check now
+  app.post("/api/v1/admin/car-seat-research/refresh", apiLimiter, requireAdmin, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const summary = await researchCache.refresh();
+      log.info("car seat research refresh triggered", { requestId, ...summary });
+      return res.json({ requestId, ...summary });
+    } catch (error) {
+      return ruleReviewServerError(res, requestId, "research refresh", error);
+    }
+  });
+
+  // GET /api/v1/safety/travel-advisory/:countryCode
+  // Returns US State Dept travel advisory for a country. Graceful: returns null if unavailable.
+  app.get("/api/v1/safety/travel-advisory/:countryCode", async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const countryCode = sanitizeString(req.params.countryCode || "", 3).toUpperCase();
+      if (!countryCode || countryCode.length < 2) {
+        return v1Error(res, 400, {
+          code: "INVALID_COUNTRY_CODE",
+          message: "A valid 2-letter country code is required.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+
+      const advisory = await getTravelAdvisoryFn(countryCode);
+      return res.json({ requestId, advisory });
+    } catch (error) {
+      log.error("v1/safety/travel-advisory failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "ADVISORY_FAILED",
+        message: "Failed to fetch travel advisory. Trip planning will continue without it.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // GET /api/v1/safety/neighborhood?lat=X&lon=Y
+  // Returns Amadeus/GeoSure neighborhood safety scores. Graceful: returns null if unavailable.
+  app.get("/api/v1/safety/neighborhood", async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const lat = parseFloat(req.query?.lat);
+      const lon = parseFloat(req.query?.lon);
+
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+        return v1Error(res, 400, {
+          code: "INVALID_COORDINATES",
+          message: "Valid lat and lon query parameters are required.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+
+      const safety = await getNeighborhoodSafetyFn(lat, lon);
+      return res.json({ requestId, safety });
+    } catch (error) {
+      log.error("v1/safety/neighborhood failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "SAFETY_FAILED",
+        message: "Failed to fetch neighborhood safety data.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // GET /api/v1/places/family-essentials?lat=X&lon=Y | ?destination=… | ?stops=…&stops=…
+  // Playgrounds, changing tables, pharmacies, urgent care and hospitals near the destination or each
+  // road-trip stop, nearest first (OpenStreetMap via Overpass). Optional radiusMiles (default 3, max 10).
+  // A stop whose lookup fails comes back with essentials: null; if every lookup fails the request does.
+  app.get("/api/v1/places/family-essentials", apiLimiter, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const lat = parseFloat(req.query?.lat);
+      const lon = parseFloat(req.query?.lon);
+      const stopNames = [req.query?.stops ?? []]
+        .flat()
+        .map((stop) => sanitizeString(String(stop), 120))
+        .filter(Boolean)
+        .slice(0, 8);
+      const destination = sanitizeString(String(req.query?.destination || ""), 120);
+      const radiusMiles = req.query?.radiusMiles !== undefined ? parseFloat(req.query.radiusMiles) : undefined;
+
+      let points;
+      if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+        points = [{ name: null, lat, lon }];
+      } else if (stopNames.length > 0 || destination) {
+        points = [];
+        for (const name of stopNames.length > 0 ? stopNames : [destination]) {
+          const located = await geocodeLocationFn(name);
+          points.push({ name, lat: located.lat, lon: located.lon });
+        }
+      } else {
+        return v1Error(res, 400, {
+          code: "VALIDATION_ERROR",
+          message: "Provide lat and lon, a destination, or stops.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+
+      // One stop at a time: Overpass allows only a couple of concurrent queries per client.
+      const locations = [];
+      for (const point of points) {
+        try {
+          const found = await getFamilyEssentialsFn(point.lat, point.lon, { radiusMiles });
+          locations.push({ ...point, radiusMiles: found.radiusMiles, essentials: found.essentials });
+        } catch (error) {
+          log.warn("v1/places/family-essentials lookup failed", { requestId, error: error.message });
+          locations.push({ ...point, essentials: null });
+        }
+      }
+
+      if (locations.every((location) => location.essentials === null)) {
+        return v1Error(res, 502, {
+          code: "PLACES_UNAVAILABLE",
+          message: "Nearby places are temporarily unavailable. Please try again in a moment.",
+          category: "server",
+          retryable: true,
+          requestId,
+        });
+      }
+      return res.json({ requestId, locations });
+    } catch (error) {
+      log.error("v1/places/family-essentials failed", { requestId, error: error.message });
+      if (error.message?.includes("Location not found") || error.message?.includes("geocode")) {
+        return v1Error(res, 422, {
+          code: "LOCATION_NOT_FOUND",
+          message: "Could not find that location. Please try a more specific address.",
+          category: "geocoding",
+          retryable: false,
+          requestId,
+        });
+      }
+      return v1Error(res, 500, {
+        code: "PLACES_FAILED",
+        message: "Failed to look up nearby places.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // ── Trip store ─────────────────────────────────────────────────────────────
+  // Saved trips live under a stable server-side tripId so a plan can be reopened on another
+  // device or after the 7-day local cache expires. Bundle + stream responses already persist
+  // and return a tripId; these routes let clients save, reload, update, and delete them.
+
+  // POST /api/v1/trips
+  app.post("/api/v1/trips", tripStoreLimiter, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const { record, errors } = parseTripRecordPayload(req.body, { requireTrip: true });
+      if (errors.length > 0) {
+        return v1Error(res, 400, {
+          code: "VALIDATION_ERROR",
+          message: errors.join("; "),
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+
+      const saved = await tripStore.create(record);
+      return res.status(201).json(toTripResponse(saved, requestId));
+    } catch (error) {
+      log.error("v1/trips create failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "TRIP_SAVE_FAILED",
+        message: "Failed to save trip. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // GET /api/v1/trips/:id
+  app.get("/api/v1/trips/:id", async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const record = await tripStore.get(req.params.id);
+      if (!record) {
+        return v1Error(res, 404, {
+          code: "TRIP_NOT_FOUND",
+          message: "Trip not found. It may have been deleted.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+      return res.json(toTripResponse(record, requestId));
+    } catch (error) {
+      log.error("v1/trips get failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "TRIP_LOAD_FAILED",
+        message: "Failed to load trip. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // PUT /api/v1/trips/:id
+  // Partial update: only the fields present in the body are replaced.
+  app.put("/api/v1/trips/:id", tripStoreLimiter, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const { record, errors } = parseTripRecordPayload(req.body, { requireTrip: false });
+      if (errors.length > 0) {
+        return v1Error(res, 400, {
+          code: "VALIDATION_ERROR",
+          message: errors.join("; "),
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+
+      // A whole-checklist PUT keeps the merge clock so late ops from other clients still resolve LWW,
+      // and it is pushed to live subscribers like any other checklist change.
+      const updated = await checklistHub.withLock(req.params.id, async () => {
+        if (record.checklist) {
+          const existing = await tripStore.get(req.params.id);
+          if (!existing) return null;
+          record.checklist = {
+            ...record.checklist,
+            version: (existing.checklist?.version || 0) + 1,
+            clock: existing.checklist?.clock || {},
+          };
+        }
+        return tripStore.update(req.params.id, record);
+      });
+      if (updated && record.checklist) {
+        checklistHub.publish(updated.id, { checklist: toPublicChecklist(updated.checklist), clientId: null });
+      }
+      if (!updated) {
+        return v1Error(res, 404, {
+          code: "TRIP_NOT_FOUND",
+          message: "Trip not found. It may have been deleted.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+      return res.json(toTripResponse(updated, requestId));
+    } catch (error) {
+      log.error("v1/trips update failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "TRIP_SAVE_FAILED",
+        message: "Failed to save trip. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // DELETE /api/v1/trips/:id
+  app.delete("/api/v1/trips/:id", tripStoreLimiter, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const deleted = await tripStore.delete(req.params.id);
+      if (!deleted) {
+        return v1Error(res, 404, {
+          code: "TRIP_NOT_FOUND",
+          message: "Trip not found. It may have been deleted.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+      return res.json({ requestId, tripId: req.params.id, deleted: true });
+    } catch (error) {
+      log.error("v1/trips delete failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "TRIP_DELETE_FAILED",
+        message: "Failed to delete trip. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // GET /api/v1/trips/:id/checklist
+  // Current collaborative checklist. Clients without SSE (mobile) poll this and compare `version`.
+  app.get("/api/v1/trips/:id/checklist", async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const record = await tripStore.get(req.params.id);
+      if (!record) {
+        return v1Error(res, 404, {
+          code: "TRIP_NOT_FOUND",
+          message: "Trip not found. It may have been deleted.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+      return res.json({ requestId, tripId: record.id, checklist: toPublicChecklist(record.checklist) });
+    } catch (error) {
+      log.error("v1/trips checklist load failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "TRIP_LOAD_FAILED",
+        message: "Failed to load checklist. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // PATCH /api/v1/trips/:id/checklist
+  // Body: { ops: [{ type: "check"|"addCustom"|"removeCustom", itemId?, checked?, category?, item?, at }], clientId? }
+  // Ops merge per item (last-writer-wins by `at`) and the merged checklist is pushed to every subscriber.
+  app.patch("/api/v1/trips/:id/checklist", tripStoreLimiter, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const { ops, errors } = sanitizeChecklistOps(req.body?.ops);
+      if (errors.length > 0) {
+        return v1Error(res, 400, {
+          code: "VALIDATION_ERROR",
+          message: errors.join("; "),
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+      const clientId = sanitizeString(req.body?.clientId || "", 64) || null;
+
+      const result = await checklistHub.withLock(req.params.id, async () => {
+        const record = await tripStore.get(req.params.id);
+        if (!record) return null;
+        const merged = applyChecklistOps(record.checklist, ops);
+        if (merged.applied === 0) return { record, applied: 0 };
+        const updated = await tripStore.update(record.id, { checklist: merged.checklist });
+        return { record: updated, applied: merged.applied };
+      });
+
+      if (!result) {
+        return v1Error(res, 404, {
+          code: "TRIP_NOT_FOUND",
+          message: "Trip not found. It may have been deleted.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+
+      const checklist = toPublicChecklist(result.record.checklist);
+      if (result.applied > 0) {
+        checklistHub.publish(result.record.id, { checklist, clientId });
+      }
+      return res.json({ requestId, tripId: result.record.id, applied: result.applied, checklist });
+    } catch (error) {
+      log.error("v1/trips checklist update failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "TRIP_SAVE_FAILED",
+        message: "Failed to save checklist. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // GET /api/v1/trips/:id/checklist/events
+  // SSE feed: one `checklist` event on connect, then one per change ({ checklist, clientId }).
+  // Comment heartbeats keep proxies from closing idle connections.
+  app.get("/api/v1/trips/:id/checklist/events", async (req, res) => {
+    const requestId = crypto.randomUUID();
+    let record;
+    try {
+      record = await tripStore.get(req.params.id);
+    } catch (error) {
+      log.error("v1/trips checklist events failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "TRIP_LOAD_FAILED",
+        message: "Failed to load checklist. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+    if (!record) {
+      return v1Error(res, 404, {
+        code: "TRIP_NOT_FOUND",
+        message: "Trip not found. It may have been deleted.",
+        category: "validation",
+        retryable: false,
+        requestId,
+      });
+    }
+
+    const emit = (payload) => {
+      res.write(`event: checklist\ndata: ${JSON.stringify(payload)}\n\n`);
+      if (typeof res.flush === "function") res.flush();
+    };
+
+    const unsubscribe = checklistHub.subscribe(record.id, emit);
+    if (!unsubscribe) {
+      return v1Error(res, 429, {
+        code: "TOO_MANY_SUBSCRIBERS",
+        message: "Too many devices are following this checklist. Close it on another device and retry.",
+        category: "rate_limit",
+        retryable: true,
+        requestId,
+      });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      "X-Request-Id": requestId,
+    });
+    emit({ checklist: toPublicChecklist(record.checklist), clientId: null });
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+    heartbeat.unref?.();
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  // GET /api/v1/trips/:id/itinerary.ics
+  // Daily itinerary as an iCalendar file for family calendars (Google, Apple, Outlook).
+  app.get("/api/v1/trips/:id/itinerary.ics", async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const record = await tripStore.get(req.params.id);
+      if (!record) {
+        return v1Error(res, 404, {
+          code: "TRIP_NOT_FOUND",
+          message: "Trip not found. It may have been deleted.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+      if (!Array.isArray(record.tripPlan?.dailyItinerary) || record.tripPlan.dailyItinerary.length === 0) {
+        return v1Error(res, 404, {
+          code: "ITINERARY_NOT_AVAILABLE",
+          message: "This trip doesn't have a daily itinerary yet.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+
+      res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="sproutroute-${downloadSlug(record)}.ics"`);
+      return res.send(buildItineraryCalendar(record));
+    } catch (error) {
+      log.error("v1/trips itinerary export failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "ITINERARY_EXPORT_FAILED",
+        message: "Failed to export the itinerary. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // GET /api/v1/trips/:id/packet.pdf
+  // Printable trip packet: itinerary, weather, packing checklist, car seat guidance, travel advisory.
+  // Guidance and advisory are looked up fresh; if either fails the packet still renders without it.
+  app.get("/api/v1/trips/:id/packet.pdf", apiLimiter, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const record = await tripStore.get(req.params.id);
+      if (!record) {
+        return v1Error(res, 404, {
+          code: "TRIP_NOT_FOUND",
+          message: "Trip not found. It may have been deleted.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+
+      const trip = record.trip || {};
+      const countryCode = trip.countryCode || "US";
+      const children = Array.isArray(trip.children) ? trip.children : [];
+      // A road trip's destination is the joined stop label, so evaluate every state on the route instead.
+      const isRoadTrip = Array.isArray(trip.stops) && trip.stops.length > 1;
+      let guidancePromise = null;
+      if (isRoadTrip) {
+        guidancePromise = routeSafetyGuidance(
+          trip.stops,
+          { tripDate: trip.startDate, tripEndDate: trip.endDate, children },
+          requestId,
+        );
+      } else if (children.length > 0) {
+        guidancePromise = Promise.resolve(
+          getCarSeatGuidanceFn({
+            destination: trip.destination,
+            jurisdictionCode: trip.jurisdictionCode,
+            tripDate: trip.startDate,
+            children,
+            countryCode,
+          }),
+        ).catch((error) => {
+          log.warn("v1/trips packet: car seat guidance unavailable", { requestId, error: error.message });
+          return null;
+        });
+      }
+      const [safetyGuidance, advisory] = await Promise.all([
+        guidancePromise,
+        Promise.resolve(getTravelAdvisoryFn(countryCode)).catch((error) => {
+          log.warn("v1/trips packet: travel advisory unavailable", { requestId, error: error.message });
+          return null;
+        }),
+      ]);
+
+      const pdf = await renderTripPacket(record, { safetyGuidance, advisory });
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="sproutroute-${downloadSlug(record)}-packet.pdf"`);
+      return res.send(pdf);
+    } catch (error) {
+      log.error("v1/trips packet export failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "PACKET_EXPORT_FAILED",
+        message: "Failed to build the trip packet. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // POST /api/v1/trips/:id/shares
+  // Creates a read-only share token. Body: { expiresInDays? } (1–90, default 14).
+  // The tripId itself grants edit access, so share links never expose it.
+  app.post("/api/v1/trips/:id/shares", tripStoreLimiter, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const rawDays = req.body?.expiresInDays;
+      const expiresInDays = rawDays === undefined ? SHARE_DEFAULT_DAYS : Number.parseInt(String(rawDays), 10);
+      if (!Number.isFinite(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_MAX_DAYS) {
+        return v1Error(res, 400, {
+          code: "VALIDATION_ERROR",
+          message: `expiresInDays must be between 1 and ${SHARE_MAX_DAYS}`,
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+
+      const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+      const share = await tripStore.createShare(req.params.id, { expiresAt });
+      if (!share) {
+        return v1Error(res, 404, {
+          code: "TRIP_NOT_FOUND",
+          message: "Trip not found. It may have been deleted.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+      return res.status(201).json({ requestId, ...toShareResponse(share) });
+    } catch (error) {
+      log.error("v1/trips share create failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "SHARE_CREATE_FAILED",
+        message: "Failed to create share link. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // GET /api/v1/trips/:id/shares
+  app.get("/api/v1/trips/:id/shares", async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      if (!(await tripStore.get(req.params.id))) {
+        return v1Error(res, 404, {
+          code: "TRIP_NOT_FOUND",
+          message: "Trip not found. It may have been deleted.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+      const shares = await tripStore.listShares(req.params.id);
+      return res.json({ requestId, shares: shares.map(toShareResponse) });
+    } catch (error) {
+      log.error("v1/trips share list failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "SHARE_LIST_FAILED",
+        message: "Failed to load share links. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // DELETE /api/v1/trips/:id/shares/:token
+  // Revokes a share link. Revoked tokens stay on record so viewers get SHARE_REVOKED, not a 404.
+  app.delete("/api/v1/trips/:id/shares/:token", tripStoreLimiter, async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const share = await tripStore.getShare(req.params.token);
+      if (!share || share.tripId !== req.params.id) {
+        return v1Error(res, 404, {
+          code: "SHARE_NOT_FOUND",
+          message: "Share link not found.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+      const revoked = await tripStore.revokeShare(share.token);
+      return res.json({ requestId, ...toShareResponse(revoked) });
+    } catch (error) {
+      log.error("v1/trips share revoke failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "SHARE_REVOKE_FAILED",
+        message: "Failed to revoke share link. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // GET /api/v1/shared/:token
+  // Public, read-only view of a shared trip. Child weight/height are stripped — viewers only need ages.
+  app.get("/api/v1/shared/:token", async (req, res) => {
+    const requestId = crypto.randomUUID();
+    try {
+      const share = await tripStore.getShare(req.params.token);
+      const record = share ? await tripStore.get(share.tripId) : null;
+      if (!share || !record) {
+        return v1Error(res, 404, {
+          code: "SHARE_NOT_FOUND",
+          message: "This share link doesn't exist or the trip was deleted.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+      if (share.revokedAt) {
+        return v1Error(res, 410, {
+          code: "SHARE_REVOKED",
+          message: "This share link has been turned off by the trip owner.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+      if (new Date(share.expiresAt) <= new Date()) {
+        return v1Error(res, 410, {
+          code: "SHARE_EXPIRED",
+          message: "This share link has expired. Ask the trip owner for a new one.",
+          category: "validation",
+          retryable: false,
+          requestId,
+        });
+      }
+
+      const trip = record.trip
+        ? {
+            ...record.trip,
+            children: (record.trip.children || []).map((child) => ({ age: child.age })),
+          }
+        : null;
+
+      return res.json({
+        requestId,
+        readOnly: true,
+        expiresAt: share.expiresAt,
+        updatedAt: record.updatedAt,
+        trip,
+        weather: record.weather,
+        tripPlan: record.tripPlan,
+        packingList: record.packingList,
+        checklist: toPublicChecklist(record.checklist),
+      });
+    } catch (error) {
+      log.error("v1/shared failed", { requestId, error: error.message });
+      return v1Error(res, 500, {
+        code: "SHARE_LOAD_FAILED",
+        message: "Failed to load shared trip. Please try again.",
+        category: "server",
+        retryable: true,
+        requestId,
+      });
+    }
+  });
+
+  // ── Serve the built Vite frontend in production.
+  const __filename = fileURLToPath(import.meta.url);
+  const __dirname = path.dirname(__filename);
+  const frontendDist = path.join(__dirname, "../frontend/dist");
+
+  if (process.env.NODE_ENV === "production") {
+    app.use(express.static(frontendDist));
+    // SPA fallback: any non-API route returns index.html
+    app.get("*", (req, res) => {
+      res.sendFile(path.join(frontendDist, "index.html"));
+    });
+  } else {
+    app.use((req, res) => {
+      res.status(404).json({ error: "Endpoint not found" });
+    });
+  }
+
+  return app;
+}
+
+export function startServer(port, deps = {}) {
+  // Runtime entrypoint used by local dev/prod boot while reusing createApp().
+  // Validate environment before attempting to start the app
+  validateEnvironmentVariables();
+
+  // The research cache is built here so the refresh job and the routes share one instance.
+  const researchCache = deps.researchCache || createResearchCache({ store: createResearchStore() });
+  const app = createApp({ ...deps, researchCache });
+  const PORT = Number(port ?? process.env.PORT ?? 8080);
+  const server = app.listen(PORT, "0.0.0.0", () => {
+    console.log(`Server listening on port ${PORT}`);
+  });
+
+  // RESEARCH_REFRESH_HOURS=0 disables the scheduled re-check of researched source pages.
+  const refreshHours = Number(process.env.RESEARCH_REFRESH_HOURS ?? 24);
+  if (Number.isFinite(refreshHours) && refreshHours > 0) {
+    const stopRefresh = startResearchRefreshJob(researchCache, { intervalMs: refreshHours * 60 * 60 * 1000 });
+    server.on("close", stopRefresh);
+  }
   return { app, server };
 }
 
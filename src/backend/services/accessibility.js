@@ -0,0 +1,90 @@
+// Accessibility needs (mobility, sensory sensitivity and medical equipment from the trip wizard) in
+// planning and packing. The trip planner is asked to prefer step-free, low-noise and quiet-room
+// options and to note how accessible each activity is; annotateActivityAccessibility then makes sure
+// every activity has a note, with cautions for activity types that are often hard for the family.
+// Tables live in data/accessibilityRules.js.
+import { MEDICAL_EQUIPMENT, MOBILITY_NEEDS, SENSORY_NEEDS } from "../data/accessibilityRules.js";
+import { addMissingPackingItems } from "./packingItems.js";
+
+export const ACCESSIBILITY_PACKING_CATEGORY = "Accessibility & Medical Equipment";
+
+function needsOf(accessibility) {
+  return [
+    ...(accessibility?.mobility || []).map((key) => MOBILITY_NEEDS[key]),
+    ...(accessibility?.sensory || []).map((key) => SENSORY_NEEDS[key]),
+  ].filter(Boolean);
+}
+
+function equipmentOf(accessibility) {
+  return (accessibility?.equipment || []).map((key) => MEDICAL_EQUIPMENT[key]).filter(Boolean);
+}
+
+export function hasAccessibilityNeeds(accessibility) {
+  return needsOf(accessibility).length > 0 || equipmentOf(accessibility).length > 0;
+}
+
+/** "uses a wheelchair; is sensitive to noise; brings a power wheelchair, hearing aids" */
+export function accessibilityNeedsText(accessibility) {
+  const equipment = equipmentOf(accessibility).map((entry) => entry.label);
+  return [
+    ...needsOf(accessibility).map((need) => need.label),
+    equipment.length > 0 ? `brings ${equipment.join(", ")}` : null,
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
+/** What the itinerary should favor: "step-free entrances, …; low-noise venues …" */
+export function accessibilityPreferencesText(accessibility) {
+  return needsOf(accessibility).map((need) => need.prefer).join("; ");
+}
+
+/**
+ * Make sure every suggested activity has `accessibilityNotes`. Activities the model left without
+ * notes get a generic "check ahead" note. Activity categories that are often hard for a need
+ * (trails for a wheelchair, theme parks for noise) get a ⚠️ caution unless the notes already
+ * address that need.
+ *
+ * @param {object} tripPlan
+ * @param {{ mobility?: string[], sensory?: string[], equipment?: string[] } | null} accessibility - Sanitized
+ * @returns {object} The plan
+ */
+export function annotateActivityAccessibility(tripPlan, accessibility) {
+  if (!hasAccessibilityNeeds(accessibility) || !Array.isArray(tripPlan?.suggestedActivities)) return tripPlan;
+
+  const needs = needsOf(accessibility);
+  const preferences = accessibilityPreferencesText(accessibility);
+  const fallback = preferences
+    ? `Check ahead for ${preferences}.`
+    : `Ask ahead about power outlets and storage for the ${equipmentOf(accessibility).map((entry) => entry.label).join(", ")}.`;
+
+  const suggestedActivities = tripPlan.suggestedActivities.map((activity) => {
+    const given = typeof activity.accessibilityNotes === "string" ? activity.accessibilityNotes.trim() : "";
+    const notes = given || fallback;
+    const cautions = needs
+      .filter((need) => need.cautions[activity.category] && !need.addressed.test(notes))
+      .map((need) => `⚠️ ${need.cautions[activity.category]}`);
+    return { ...activity, accessibilityNotes: [notes, ...cautions].join(" ") };
+  });
+
+  return { ...tripPlan, suggestedActivities };
+}
+
+/**
+ * Items the family's needs and equipment call for: chargers and spare supplies for equipment, a
+ * doctor's letter, noise-cancelling headphones, a visual schedule and so on.
+ * @returns {Array<{ name: string, quantity: string, reason: string, match: RegExp }>}
+ */
+export function accessibilityPackingItems(accessibility) {
+  const items = [...needsOf(accessibility), ...equipmentOf(accessibility)].flatMap((entry) => entry.items);
+  // Equipment shares the doctor's letter; list it once.
+  return [...new Set(items)];
+}
+
+/**
+ * Add any accessibility item the model left out, under an "Accessibility & Medical Equipment" category.
+ * @returns {object} The packing list
+ */
+export function ensureAccessibilityPackingItems(packingList, accessibility) {
+  return addMissingPackingItems(packingList, accessibilityPackingItems(accessibility), ACCESSIBILITY_PACKING_CATEGORY);
+}
@@ -0,0 +1,193 @@
+// Trip budget estimates: admission per activity, meals, lodging and fuel for each itinerary day,
+// in the destination's currency. Everything is computed from the plan and the tables in
+// data/budgetRules.js. The model only adds typical ticket prices (`admissionUsd`) when it knows
+// them. Fuel is counted for drive-time and distance searches ("2 hours from Denver"), read back
+// from the destination query with parseLocationQuery.
+import {
+  ADMISSION_USD,
+  BUDGET_RATES_LAST_UPDATED,
+  CHILD_PRICE_MAX_AGE,
+  COUNTRY_COSTS,
+  DEFAULT_ADMISSION_USD,
+  DEFAULT_ADULTS,
+  FREE_ADMISSION_UNDER_AGE,
+  FUEL_MPG,
+  LARGE_FAMILY_LODGING_FACTOR,
+  LARGE_FAMILY_SIZE,
+  LODGING_BAND,
+  LODGING_PER_NIGHT_USD,
+  MEALS_PER_DAY_USD,
+} from "../data/budgetRules.js";
+import { addDaysIso } from "../utils/childAge.js";
+import { DEFAULT_DRIVE_SPEED_MPH, parseLocationQuery } from "./geocoding.js";
+import { resolveItineraryActivity } from "./itineraryCalendar.js";
+
+// Ticket prices above this are taken as a model mistake and replaced by the category price.
+const MAX_ADMISSION_USD = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round-trip miles for a drive-time or distance search ("3 hours from Denver", "100 miles from
+ * Austin"), at DEFAULT_DRIVE_SPEED_MPH. Null for any other destination query.
+ * @param {string | null | undefined} destinationQuery - What the family typed in the wizard
+ * @returns {number | null}
+ */
+export function roundTripDriveMiles(destinationQuery) {
+  if (!destinationQuery) return null;
+  const parsed = parseLocationQuery(String(destinationQuery));
+  const oneWay =
+    parsed.type === "drive_time" ? parsed.hours * DEFAULT_DRIVE_SPEED_MPH : parsed.type === "distance" ? parsed.miles : 0;
+  return oneWay > 0 ? Math.round(oneWay * 2) : null;
+}
+
+function travelersOf(children) {
+  const ages = (children || []).map((child) => Number(child?.age)).filter(Number.isFinite);
+  const teens = ages.filter((age) => age > CHILD_PRICE_MAX_AGE).length;
+  return {
+    children: ages.length,
+    adultTickets: DEFAULT_ADULTS + teens,
+    childTickets: ages.filter((age) => age >= FREE_ADMISSION_UNDER_AGE && age <= CHILD_PRICE_MAX_AGE).length,
+    adultMeals: DEFAULT_ADULTS + teens,
+    childMeals: ages.filter((age) => age >= 2 && age <= CHILD_PRICE_MAX_AGE).length,
+    infantMeals: ages.filter((age) => age < 2).length,
+  };
+}
+
+function isValidAdmission(admission) {
+  return (
+    admission !== null &&
+    typeof admission === "object" &&
+    [admission.adult, admission.child].every((price) => Number.isFinite(price) && price >= 0 && price <= MAX_ADMISSION_USD)
+  );
+}
+
+function sumRanges(ranges) {
+  return ranges.reduce((sum, range) => ({ low: sum.low + range.low, high: sum.high + range.high }), { low: 0, high: 0 });
+}
+
+function nightsBetween(startDate, endDate, dayCount) {
+  const nights = Math.round((new Date(endDate) - new Date(startDate)) / DAY_MS);
+  return Number.isFinite(nights) && nights >= 0 ? nights : Math.max(0, dayCount - 1);
+}
+
+/**
+ * Estimate what the trip costs, per activity and per itinerary day.
+ *
+ * Admission uses the plan's `admissionUsd` when it is a sane price, otherwise a typical price for
+ * the activity category. Children under 3 get in free and teens pay adult prices. Meals and
+ * lodging are ranges (casual to sit-down, and a mid-range family room); a cruise fare covers both,
+ * so they are left out. Fuel for a round trip is split between the first and last day.
+ *
+ * @param {object} tripPlan - Needs `dailyItinerary`; `suggestedActivities` supply the prices
+ * @param {object} options
+ * @param {string} options.startDate
+ * @param {string} options.endDate
+ * @param {Array<{ age: number }>} [options.children]
+ * @param {string} [options.countryCode] - Picks the currency and price level; unlisted countries use USD
+ * @param {string | null} [options.tripType]
+ * @param {string | null} [options.destinationQuery] - Raw wizard query, for drive-time fuel
+ * @returns {object | null} null when the plan has no itinerary days
+ */
+export function estimateTripBudget(tripPlan, options = {}) {
+  const { startDate, endDate, children = [], countryCode = "US", tripType = null, destinationQuery = null } = options;
+  const itinerary = Array.isArray(tripPlan?.dailyItinerary) ? tripPlan.dailyItinerary : [];
+  if (itinerary.length === 0) return null;
+
+  const country = COUNTRY_COSTS[countryCode] || COUNTRY_COSTS.US;
+  const scaled = (usd) => Math.round(usd * country.costLevel * country.perUsd);
+  const travelers = travelersOf(children);
+  const isCruise = tripType === "cruise";
+
+  const suggested = Array.isArray(tripPlan.suggestedActivities) ? tripPlan.suggestedActivities : [];
+  const activities = suggested.map((activity) => {
+    const fromPlan = isValidAdmission(activity.admissionUsd);
+    const price = fromPlan ? activity.admissionUsd : ADMISSION_USD[activity.category] || DEFAULT_ADMISSION_USD;
+    // The model's prices are already for this destination; only the category table needs the price level.
+    const toLocal = (usd) => (fromPlan ? Math.round(usd * country.perUsd) : scaled(usd));
+    const perAdult = toLocal(price.adult);
+    const perChild = toLocal(price.child);
+    return {
+      id: activity.id,
+      name: activity.name,
+      category: activity.category,
+      perAdult,
+      perChild,
+      total: perAdult * travelers.adultTickets + perChild * travelers.childTickets,
+      source: fromPlan ? "plan" : "typical",
+    };
+  });
+  const pricedBySuggested = new Map(suggested.map((activity, index) => [activity, activities[index]]));
+
+  const mealsPerDay = isCruise
+    ? { low: 0, high: 0 }
+    : sumRanges(
+        [
+          [MEALS_PER_DAY_USD.adult, travelers.adultMeals],
+          [MEALS_PER_DAY_USD.child, travelers.childMeals],
+          [MEALS_PER_DAY_USD.infant, travelers.infantMeals],
+        ].map(([rate, count]) => ({ low: scaled(rate.low) * count, high: scaled(rate.high) * count })),
+      );
+  const roomFactor = DEFAULT_ADULTS + travelers.children >= LARGE_FAMILY_SIZE ? LARGE_FAMILY_LODGING_FACTOR : 1;
+  const lodgingPerNight = isCruise
+    ? { low: 0, high: 0 }
+    : { low: scaled(LODGING_PER_NIGHT_USD.low * roomFactor), high: scaled(LODGING_PER_NIGHT_USD.high * roomFactor) };
+  const nights = nightsBetween(startDate, endDate, itinerary.length);
+
+  const driveMiles = roundTripDriveMiles(destinationQuery);
+  const fuel = driveMiles ? Math.round((driveMiles / FUEL_MPG) * country.fuelUsdPerGallon * country.perUsd) : 0;
+  const lastIndex = itinerary.length - 1;
+  const hasStartDate = !Number.isNaN(Date.parse(startDate));
+  const outboundFuel = lastIndex === 0 ? fuel : Math.round(fuel / 2);
+
+  const days = itinerary.map((day, index) => {
+    // Entries are ids or names, matched like the calendar export; one listed twice (by id and by name) is paid once.
+    const planned = new Set(
+      (Array.isArray(day?.activities) ? day.activities : []).map((ref) => resolveItineraryActivity(ref, suggested)),
+    );
+    const admission = [...planned].reduce((sum, activity) => sum + (pricedBySuggested.get(activity)?.total || 0), 0);
+    const lodging = index < nights ? lodgingPerNight : { low: 0, high: 0 };
+    const dayFuel = index === 0 ? outboundFuel : index === lastIndex ? fuel - outboundFuel : 0;
+    const fixed = admission + dayFuel;
+    return {
+      day: day?.day ?? `Day ${index + 1}`,
+      date: hasStartDate ? addDaysIso(startDate, index) : null,
+      admission,
+      meals: mealsPerDay,
+      lodging,
+      fuel: dayFuel,
+      total: { low: fixed + mealsPerDay.low + lodging.low, high: fixed + mealsPerDay.high + lodging.high },
+    };
+  });
+
+  return {
+    currency: country.currency,
+    perUsd: country.perUsd,
+    ratesLastUpdated: BUDGET_RATES_LAST_UPDATED,
+    assumptions: {
+      adults: DEFAULT_ADULTS,
+      children: travelers.children,
+      lodging: isCruise ? "Included in the cruise fare (not estimated)" : LODGING_BAND,
+      roundTripDriveMiles: driveMiles,
+      mpg: driveMiles ? FUEL_MPG : null,
+    },
+    activities,
+    days,
+    totals: {
+      admission: days.reduce((sum, day) => sum + day.admission, 0),
+      meals: sumRanges(days.map((day) => day.meals)),
+      lodging: sumRanges(days.map((day) => day.lodging)),
+      fuel,
+      total: sumRanges(days.map((day) => day.total)),
+    },
+  };
+}
+
+/**
+ * Attach `budget` to a generated plan (see estimateTripBudget).
+ * @returns {object} The plan
+ */
+export function addTripBudget(tripPlan, options) {
+  const budget = estimateTripBudget(tripPlan, options);
+  return budget ? { ...tripPlan, budget } : tripPlan;
+}
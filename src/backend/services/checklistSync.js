@@ -0,0 +1,272 @@
+// Collaborative packing checklist: merges per-item edits from several clients and fans changes out live.
+// - Clients send small ops ({ type, itemId, at }) instead of whole checklists, so two parents packing at once
+//   don't overwrite each other's unrelated ticks.
+// - Conflicts on the same item resolve last-writer-wins using a per-key clock stored with the checklist.
+// - "assign" ops tag an item with a person and/or bag; like checks they are keyed by makeItemId IDs,
+//   so assignments survive packing-list regeneration.
+// - createChecklistHub() is an in-process pub/sub for SSE subscribers plus a per-trip write lock.
+//   Single-instance only: a multi-instance deploy would need a shared broker (e.g. Redis pub/sub).
+import { sanitizeString } from "../utils/sanitize.js";
+
+// Bounds mirror sanitizeChecklistState so merged state never outgrows what a PUT could store.
+const MAX_CHECKED_ITEMS = 1000;
+const MAX_CUSTOM_CATEGORIES = 30;
+const MAX_CUSTOM_ITEMS_PER_CATEGORY = 50;
+const MAX_CLOCK_ENTRIES = 2000;
+const MAX_OPS_PER_REQUEST = 100;
+const MAX_ASSIGNMENTS = 1000;
+
+export const CHECKLIST_OP_TYPES = ["check", "addCustom", "removeCustom", "assign"];
+
+/**
+ * Stable item ID — same format as makeItemId in the web and mobile checklist utilities.
+ * @returns {string} "<category>||<item>||<quantity>", lowercased and trimmed
+ */
+export function checklistItemId(categoryName, itemName, quantity = "") {
+  const cat = (categoryName || "").toLowerCase().trim();
+  const name = (itemName || "").toLowerCase().trim();
+  const qty = String(quantity || "").toLowerCase().trim();
+  return `${cat}||${name}||${qty}`;
+}
+
+/**
+ * Strip merge bookkeeping before a checklist leaves the server.
+ * @returns {{ checked: string[], customItems: object, assignments: object, updatedAt: string|null, version: number }}
+ */
+export function toPublicChecklist(checklist) {
+  return {
+    checked: checklist?.checked || [],
+    customItems: checklist?.customItems || {},
+    assignments: checklist?.assignments || {},
+    updatedAt: checklist?.updatedAt || null,
+    version: checklist?.version || 0,
+  };
+}
+
+// Timestamps from clients are trusted for ordering but clamped to server time,
+// so one device with a fast clock can't lock an item against later edits.
+function clampTimestamp(at, now) {
+  const parsed = Date.parse(at);
+  if (Number.isNaN(parsed)) return now;
+  return new Date(Math.min(parsed, Date.parse(now))).toISOString();
+}
+
+function opKey(op) {
+  if (op.type === "check") return `check:${op.itemId}`;
+  if (op.type === "assign") return `assign:${op.itemId}`;
+  return `custom:${op.itemId}`;
+}
+
+function trimClock(clock) {
+  const entries = Object.entries(clock);
+  if (entries.length <= MAX_CLOCK_ENTRIES) return clock;
+  // Drop the oldest tombstones first — they are the least likely to see a conflicting late write.
+  entries.sort((a, b) => (a[1] < b[1] ? 1 : -1));
+  return Object.fromEntries(entries.slice(0, MAX_CLOCK_ENTRIES));
+}
+
+/**
+ * Apply already-sanitized ops to a stored checklist with per-item last-writer-wins.
+ * Pure — returns a new checklist; the input is not mutated.
+ * @param {object} checklist - Stored checklist ({ checked, customItems, updatedAt, version?, clock? })
+ * @param {Array} ops - Output of sanitizeChecklistOps
+ * @param {{ now?: string }} [options]
+ * @returns {{ checklist: object, applied: number }}
+ */
+export function applyChecklistOps(checklist, ops, { now = new Date().toISOString() } = {}) {
+  const checked = new Set(checklist?.checked || []);
+  const customItems = structuredClone(checklist?.customItems || {});
+  const assignments = { ...(checklist?.assignments || {}) };
+  const clock = { ...(checklist?.clock || {}) };
+  let applied = 0;
+
+  for (const op of ops) {
+    const key = opKey(op);
+    const at = clampTimestamp(op.at, now);
+    // Strictly older writes lose; equal timestamps go to the later arrival.
+    if (clock[key] && clock[key] > at) continue;
+
+    if (op.type === "check") {
+      if (op.checked) {
+        if (!checked.has(op.itemId) && checked.size >= MAX_CHECKED_ITEMS) continue;
+        checked.add(op.itemId);
+      } else {
+        checked.delete(op.itemId);
+      }
+    } else if (op.type === "addCustom") {
+      const existing = customItems[op.category] || [];
+      const alreadyThere = existing.some(
+        (item) => checklistItemId(op.category, item.name, item.quantity) === op.itemId,
+      );
+      if (!alreadyThere) {
+        const isNewCategory = !customItems[op.category];
+        if (isNewCategory && Object.keys(customItems).length >= MAX_CUSTOM_CATEGORIES) continue;
+        if (existing.length >= MAX_CUSTOM_ITEMS_PER_CATEGORY) continue;
+        customItems[op.category] = [...existing, op.item];
+      }
+    } else if (op.type === "removeCustom") {
+      const existing = customItems[op.category] || [];
+      const remaining = existing.filter(
+        (item) => checklistItemId(op.category, item.name, item.quantity) !== op.itemId,
+      );
+      if (remaining.length > 0) customItems[op.category] = remaining;
+      else delete customItems[op.category];
+      checked.delete(op.itemId);
+      delete assignments[op.itemId];
+    } else if (op.type === "assign") {
+      if (!op.person && !op.bag) {
+        delete assignments[op.itemId];
+      } else {
+        if (!assignments[op.itemId] && Object.keys(assignments).length >= MAX_ASSIGNMENTS) continue;
+        assignments[op.itemId] = { person: op.person, bag: op.bag };
+      }
+    }
+
+    clock[key] = at;
+    applied += 1;
+  }
+
+  if (applied === 0) return { checklist, applied };
+
+  return {
+    checklist: {
+      checked: [...checked],
+      customItems,
+      assignments,
+      updatedAt: now,
+      version: (checklist?.version || 0) + 1,
+      clock: trimClock(clock),
+    },
+    applied,
+  };
+}
+
+/**
+ * Validate and bound a client op batch. Invalid ops are reported, not silently dropped.
+ * @param {unknown} ops
+ * @returns {{ ops: Array, errors: string[] }}
+ */
+export function sanitizeChecklistOps(ops) {
+  if (!Array.isArray(ops) || ops.length === 0) {
+    return { ops: [], errors: ["ops must be a non-empty array"] };
+  }
+  if (ops.length > MAX_OPS_PER_REQUEST) {
+    return { ops: [], errors: [`At most ${MAX_OPS_PER_REQUEST} ops per request`] };
+  }
+
+  const errors = [];
+  const clean = [];
+  ops.forEach((op, index) => {
+    const type = op?.type;
+    if (!CHECKLIST_OP_TYPES.includes(type)) {
+      errors.push(`ops[${index}].type must be one of ${CHECKLIST_OP_TYPES.join(", ")}`);
+      return;
+    }
+    const at = typeof op.at === "string" && !Number.isNaN(Date.parse(op.at)) ? op.at : null;
+    if (!at) {
+      errors.push(`ops[${index}].at must be an ISO timestamp`);
+      return;
+    }
+
+    if (type === "check") {
+      const itemId = sanitizeString(String(op.itemId ?? ""), 300);
+      if (!itemId || typeof op.checked !== "boolean") {
+        errors.push(`ops[${index}] needs itemId and boolean checked`);
+        return;
+      }
+      clean.push({ type, itemId, checked: op.checked, at });
+      return;
+    }
+
+    if (type === "assign") {
+      const itemId = sanitizeString(String(op.itemId ?? ""), 300);
+      if (!itemId) {
+        errors.push(`ops[${index}].itemId is required`);
+        return;
+      }
+      // null/empty clears that half of the assignment; both empty removes it.
+      const person = sanitizeString(op.person || "", 40) || null;
+      const bag = sanitizeString(op.bag || "", 40) || null;
+      clean.push({ type, itemId, person, bag, at });
+      return;
+    }
+
+    const category = sanitizeString(op.category, 100);
+    if (!category) {
+      errors.push(`ops[${index}].category is required`);
+      return;
+    }
+
+    if (type === "addCustom") {
+      const name = sanitizeString(op.item?.name, 100);
+      if (!name) {
+        errors.push(`ops[${index}].item.name is required`);
+        return;
+      }
+      const item = {
+        name,
+        quantity: sanitizeString(String(op.item?.quantity ?? "1"), 20) || "1",
+        reason: sanitizeString(op.item?.reason || "Added by you", 200),
+        source: "custom",
+      };
+      clean.push({ type, category, item, itemId: checklistItemId(category, item.name, item.quantity), at });
+      return;
+    }
+
+    const itemId = sanitizeString(String(op.itemId ?? ""), 300);
+    if (!itemId) {
+      errors.push(`ops[${index}].itemId is required`);
+      return;
+    }
+    clean.push({ type, category, itemId, at });
+  });
+
+  return { ops: clean, errors };
+}
+
+/**
+ * In-process fan-out of checklist changes to live subscribers, keyed by trip ID.
+ * withLock serializes read-modify-write per trip so concurrent ops can't lose updates.
+ * @param {{ maxSubscribersPerTrip?: number }} [options]
+ */
+export function createChecklistHub({ maxSubscribersPerTrip = 25 } = {}) {
+  const subscribers = new Map();
+  const locks = new Map();
+
+  return {
+    /** @returns {(() => void) | null} unsubscribe, or null when the trip is at its subscriber cap */
+    subscribe(tripId, listener) {
+      const set = subscribers.get(tripId) || new Set();
+      if (set.size >= maxSubscribersPerTrip) return null;
+      set.add(listener);
+      subscribers.set(tripId, set);
+      return () => {
+        set.delete(listener);
+        if (set.size === 0) subscribers.delete(tripId);
+      };
+    },
+    publish(tripId, payload) {
+      for (const listener of subscribers.get(tripId) || []) {
+        try {
+          listener(payload);
+        } catch {
+          // A broken subscriber (closed socket) must not stop delivery to the others.
+        }
+      }
+    },
+    subscriberCount(tripId) {
+      return subscribers.get(tripId)?.size || 0;
+    },
+    async withLock(tripId, fn) {
+      const previous = locks.get(tripId) || Promise.resolve();
+      const run = previous.then(fn, fn);
+      const tail = run.catch(() => {});
+      locks.set(tripId, tail);
+      try {
+        return await run;
+      } finally {
+        if (locks.get(tripId) === tail) locks.delete(tripId);
+      }
+    },
+  };
+}
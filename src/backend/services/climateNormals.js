@@ -0,0 +1,93 @@
+// Climate normals stand-in for trip dates past the forecast horizon.
+// Uses the nearest bundled station (data/climateNormals.js) within MAX_STATION_DISTANCE_MILES,
+// otherwise a coarse latitude-band model. Days come back in the same shape as forecast days,
+// tagged `source: "climatology"` so prompts and the UI can tell typical conditions from forecasts.
+
+import { CLIMATE_STATIONS, LATITUDE_BANDS } from "../data/climateNormals.js";
+import { haversineDistanceMiles } from "./geocoding.js";
+
+const MAX_STATION_DISTANCE_MILES = 200;
+
+const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+function nearestStation(lat, lon) {
+  let best = null;
+  for (const station of CLIMATE_STATIONS) {
+    const miles = haversineDistanceMiles(lat, lon, station.lat, station.lon);
+    if (!best || miles < best.miles) best = { station, miles };
+  }
+  return best && best.miles <= MAX_STATION_DISTANCE_MILES ? best.station : null;
+}
+
+// Cosine between the January and July values: month 0 → January, month 6 → July.
+function bandValue(jan, jul, monthIndex) {
+  return Math.round(jan + ((jul - jan) * (1 - Math.cos((Math.PI * monthIndex) / 6))) / 2);
+}
+
+function latitudeNormal(lat, monthIndex) {
+  const band = LATITUDE_BANDS.find((b) => Math.abs(lat) <= b.maxLat) || LATITUDE_BANDS.at(-1);
+  // Southern hemisphere: January is midsummer.
+  const seasonMonth = lat < 0 ? (monthIndex + 6) % 12 : monthIndex;
+  return {
+    high: bandValue(band.jan.high, band.jul.high, seasonMonth),
+    low: bandValue(band.jan.low, band.jul.low, seasonMonth),
+    precipitation: band.wetDays,
+  };
+}
+
+/**
+ * Typical conditions for a location and calendar month.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ high: number, low: number, precipitation: number, basis: "station"|"latitude", station: string|null }}
+ */
+export function getClimateNormal(lat, lon, date) {
+  const monthIndex = Number(String(date).slice(5, 7)) - 1;
+  const station = nearestStation(lat, lon);
+  if (station) {
+    return {
+      high: station.high[monthIndex],
+      low: station.low[monthIndex],
+      precipitation: station.wetDays[monthIndex],
+      basis: "station",
+      station: station.name,
+    };
+  }
+  return { ...latitudeNormal(lat, monthIndex), basis: "latitude", station: null };
+}
+
+function typicalCondition({ low, precipitation }) {
+  if (precipitation >= 25 && low <= 32) return "Snow possible";
+  if (precipitation >= 50) return "Rain likely";
+  if (precipitation >= 25) return "Showers possible";
+  return "Mostly dry";
+}
+
+/**
+ * A forecast-shaped day built from climate normals.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {string} date - YYYY-MM-DD
+ */
+export function climatologyDay(lat, lon, date) {
+  const normal = getClimateNormal(lat, lon, date);
+  const month = MONTH_NAMES[Number(date.slice(5, 7)) - 1];
+  const near = normal.station ? ` near ${normal.station}` : " for this latitude";
+  return {
+    date,
+    name: new Date(`${date}T12:00:00Z`).toLocaleDateString("en-US", { weekday: "long", timeZone: "UTC" }),
+    high: normal.high,
+    low: normal.low,
+    condition: typicalCondition(normal),
+    detailedForecast:
+      `Typical ${month} weather${near}, with precipitation on about ${normal.precipitation}% of days. ` +
+      "This is a climate average, not a forecast.",
+    precipitation: normal.precipitation,
+    precipitationIn: null,
+    source: "climatology",
+  };
+}
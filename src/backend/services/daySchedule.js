@@ -0,0 +1,216 @@
+// Timed daily schedules for itinerary days:
+// - Each day becomes blocks: morning outing, lunch, nap, afternoon outing, dinner and wind-down, fitted
+//   around the children's nap windows and the earliest bedtime (24h "HH:MM" on each child). Without
+//   a bedtime, dinner is at 19:00 and the day ends there.
+// - Siblings' naps merge into one quiet-time block covering every window.
+// - Weather-dependent activities go to the outing with the fewest hot (≥ 90°F) or rainy (≥ 50%)
+//   hours, read from the forecast day's `hourly` entries. Days without hourly data (climatology,
+//   providers without it) assume the hottest hours are 13:00–17:00 when the high reaches 90°F.
+// - Blocks are local times at the destination, like the hourly forecast.
+
+import { addDaysIso } from "../utils/childAge.js";
+import { resolveItineraryActivity } from "./itineraryCalendar.js";
+
+const DAY_START = "08:30";
+const DEFAULT_BEDTIME = "20:00";
+const LUNCH_MINUTES = 45;
+const DINNER_MINUTES = 60;
+const WIND_DOWN_MINUTES = 60;
+const MIN_OUTING_MINUTES = 60;
+const HOT_F = 90;
+const WET_PERCENT = 50;
+
+export function toMinutes(time) {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+export function fromMinutes(total) {
+  const clamped = Math.max(0, Math.min(24 * 60 - 1, Math.round(total)));
+  return `${String(Math.floor(clamped / 60)).padStart(2, "0")}:${String(clamped % 60).padStart(2, "0")}`;
+}
+
+/**
+ * The family's shared routine: one nap block spanning every child's nap window, and the earliest bedtime.
+ * @param {Array<{ age: number, napStart?: string, napEnd?: string, bedtime?: string }>} children
+ * @returns {{ nap: { start: string, end: string, naps: string[] } | null, bedtime: string | null }}
+ */
+export function familyRoutine(children = []) {
+  const nappers = children.filter((child) => child?.napStart && child?.napEnd);
+  const bedtimes = children.map((child) => child?.bedtime).filter(Boolean).sort();
+  const nap =
+    nappers.length > 0
+      ? {
+          start: nappers.map((child) => child.napStart).sort()[0],
+          end: nappers.map((child) => child.napEnd).sort().at(-1),
+          naps: nappers.map((child) => `age ${child.age}: ${child.napStart}–${child.napEnd}`),
+        }
+      : null;
+  return { nap, bedtime: bedtimes[0] || null };
+}
+
+// Contiguous runs of hours matching `test`, as { start, end } windows.
+function hourRuns(hourly, test) {
+  const runs = [];
+  for (const hour of hourly) {
+    if (!test(hour)) continue;
+    const start = toMinutes(hour.time);
+    const last = runs.at(-1);
+    if (last && last.end === start) last.end = start + 60;
+    else runs.push({ start, end: start + 60 });
+  }
+  return runs.map(({ start, end }) => ({ start: fromMinutes(start), end: fromMinutes(end) }));
+}
+
+/**
+ * Hours to keep outdoor plans away from on a forecast day (°F weather).
+ * @returns {{ hot: Array<{start: string, end: string}>, wet: Array<{start: string, end: string}>, estimated: boolean }}
+ */
+export function weatherWindows(day) {
+  const hourly = Array.isArray(day?.hourly) ? day.hourly.filter((hour) => /^\d{2}:\d{2}$/.test(hour?.time || "")) : [];
+  if (hourly.length > 0) {
+    return {
+      hot: hourRuns(hourly, (hour) => hour.temp >= HOT_F),
+      wet: hourRuns(hourly, (hour) => hour.precipitation >= WET_PERCENT),
+      estimated: false,
+    };
+  }
+  return {
+    hot: Number.isFinite(day?.high) && day.high >= HOT_F ? [{ start: "13:00", end: "17:00" }] : [],
+    wet: [],
+    estimated: true,
+  };
+}
+
+function overlapMinutes(block, windows) {
+  return windows.reduce(
+    (sum, window) =>
+      sum +
+      Math.max(0, Math.min(toMinutes(block.end), toMinutes(window.end)) - Math.max(toMinutes(block.start), toMinutes(window.start))),
+    0,
+  );
+}
+
+function windowNote(block, { hot, wet }) {
+  const parts = [
+    ...hot.filter((window) => overlapMinutes(block, [window]) > 0).map((window) => `hot ${window.start}–${window.end}`),
+    ...wet.filter((window) => overlapMinutes(block, [window]) > 0).map((window) => `rain likely ${window.start}–${window.end}`),
+  ];
+  return parts.length > 0 ? `Weather: ${parts.join(", ")} — keep outdoor time outside these hours.` : null;
+}
+
+// Lunch sits right before a midday nap, otherwise at 12:00 (or straight after a nap that covers noon).
+function lunchBlock(nap) {
+  if (nap && toMinutes(nap.start) >= toMinutes("11:30") && toMinutes(nap.start) <= toMinutes("14:30")) {
+    return { start: toMinutes(nap.start) - LUNCH_MINUTES, end: toMinutes(nap.start) };
+  }
+  const noon = { start: toMinutes("12:00"), end: toMinutes("12:00") + LUNCH_MINUTES };
+  if (nap && toMinutes(nap.start) < noon.end && toMinutes(nap.end) > noon.start) {
+    return { start: toMinutes(nap.end), end: toMinutes(nap.end) + LUNCH_MINUTES };
+  }
+  return noon;
+}
+
+/**
+ * Timed blocks for one itinerary day. Lunch, nap, dinner and wind-down are fixed; the gaps between
+ * them (an hour or longer) become outings.
+ * @param {string[]} activityIds - The day's activities (ids or names), in the planned order
+ * @param {object} options
+ * @param {object[]} options.activities - The plan's suggestedActivities
+ * @param {ReturnType<typeof familyRoutine>} options.routine
+ * @param {object} [options.weatherDay] - Forecast day (°F) for this date
+ * @returns {Array<{ start: string, end: string, kind: "outing"|"meal"|"nap"|"bedtime", label: string, activities: string[], note?: string }>}
+ */
+export function buildDaySchedule(activityIds, { activities = [], routine, weatherDay }) {
+  const isOutdoor = (ref) => Boolean(resolveItineraryActivity(ref, activities)?.weatherDependent);
+  const bedtime = toMinutes(routine.bedtime || DEFAULT_BEDTIME);
+  const windDownStart = routine.bedtime ? bedtime - WIND_DOWN_MINUTES : bedtime;
+  const dinnerStart = windDownStart - DINNER_MINUTES;
+  const lunch = lunchBlock(routine.nap);
+
+  const fixed = [
+    { start: lunch.start, end: lunch.end, kind: "meal", label: "Lunch" },
+    ...(routine.nap
+      ? [{
+          start: toMinutes(routine.nap.start),
+          end: toMinutes(routine.nap.end),
+          kind: "nap",
+          label: "Nap & quiet time",
+          ...(routine.nap.naps.length > 1 ? { note: `Naps — ${routine.nap.naps.join("; ")}` } : {}),
+        }]
+      : []),
+    { start: dinnerStart, end: windDownStart, kind: "meal", label: "Dinner" },
+    ...(routine.bedtime ? [{ start: windDownStart, end: bedtime, kind: "bedtime", label: "Wind down & bedtime" }] : []),
+  ]
+    .filter((block) => block.end > block.start)
+    .sort((a, b) => a.start - b.start);
+
+  const outings = [];
+  let cursor = toMinutes(DAY_START);
+  for (const block of [...fixed, { start: dinnerStart, end: dinnerStart }]) {
+    if (block.start - cursor >= MIN_OUTING_MINUTES && cursor < dinnerStart) {
+      outings.push({
+        start: fromMinutes(cursor),
+        end: fromMinutes(Math.min(block.start, dinnerStart)),
+        kind: "outing",
+        label: cursor < toMinutes("12:00") ? "Morning outing" : "Afternoon outing",
+        activities: [],
+      });
+    }
+    cursor = Math.max(cursor, block.end);
+  }
+
+  const windows = weatherWindows(weatherDay);
+  if (outings.length > 0) {
+    const badMinutes = (block) => overlapMinutes(block, [...windows.hot, ...windows.wet]);
+    const outdoorBlock = outings.reduce((best, block) => (badMinutes(block) < badMinutes(best) ? block : best));
+    // Indoor plans fill the worst-weather outing when the day has outdoor ones, else the first outing.
+    const hasOutdoor = activityIds.some(isOutdoor);
+    const others = outings.filter((block) => block !== outdoorBlock);
+    const indoorBlock = !hasOutdoor
+      ? outings[0]
+      : others.reduce((worst, block) => (badMinutes(block) > badMinutes(worst) ? block : worst), others[0] || outdoorBlock);
+    for (const id of activityIds) {
+      (isOutdoor(id) ? outdoorBlock : indoorBlock).activities.push(id);
+    }
+    for (const block of outings) {
+      const note = block.activities.some(isOutdoor) && windowNote(block, windows);
+      if (note) block.note = windows.estimated ? note.replace("Weather:", "Weather (typical):") : note;
+    }
+  }
+
+  return [
+    ...outings,
+    ...fixed.map((block) => ({ ...block, start: fromMinutes(block.start), end: fromMinutes(block.end), activities: [] })),
+  ].sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Attach a timed `schedule` to every itinerary day. Days are matched to forecast days by date
+ * (startDate + index), or by position when the forecast has no dates.
+ *
+ * @param {object} tripPlan
+ * @param {{ startDate?: string, children?: Array<object>, forecast?: Array<object> }} options
+ * @returns {object} The plan with `schedule` on each dailyItinerary day
+ */
+export function addDaySchedules(tripPlan, { startDate, children = [], forecast = [] }) {
+  if (!Array.isArray(tripPlan?.dailyItinerary)) return tripPlan;
+  const activities = Array.isArray(tripPlan.suggestedActivities) ? tripPlan.suggestedActivities : [];
+  const routine = familyRoutine(children);
+  const byDate = new Map(forecast.filter((day) => day?.date).map((day) => [day.date, day]));
+
+  return {
+    ...tripPlan,
+    dailyItinerary: tripPlan.dailyItinerary.map((day, index) => {
+      const weatherDay = startDate && byDate.size > 0 ? byDate.get(addDaysIso(startDate, index)) : forecast[index];
+      return {
+        ...day,
+        schedule: buildDaySchedule(Array.isArray(day.activities) ? day.activities : [], {
+          activities,
+          routine,
+          weatherDay,
+        }),
+      };
+    }),
+  };
+}
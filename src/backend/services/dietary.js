@@ -0,0 +1,144 @@
+// Family dietary needs (food allergies and diets from the trip wizard) in planning and packing.
+// Prompts ask the model for safe meals and packing items; the functions here then enforce the
+// needs on the output, since a model can still suggest fish tacos to a family with a fish allergy.
+// Keyword tables live in data/dietaryRules.js.
+import {
+  ALLERGY_CARD_LANGUAGES,
+  ANAPHYLAXIS_ALLERGIES,
+  DIETS,
+  ENGLISH_SPEAKING_COUNTRIES,
+  FOOD_ALLERGIES,
+} from "../data/dietaryRules.js";
+import { addMissingPackingItems } from "./packingItems.js";
+
+export const DIETARY_PACKING_CATEGORY = "Dietary Needs";
+
+// Meal suggestions are judged a sentence or clause at a time: "Lunch: fish tacos; dinner: pizza."
+const MEAL_SEGMENT_SPLIT = /(?<=[.;!])\s+|\s*\n\s*|\s+\|\s+/;
+
+function restrictionsOf(dietary) {
+  return [
+    ...(dietary?.foodAllergies || []).map((key) => FOOD_ALLERGIES[key]),
+    ...(dietary?.diets || []).map((key) => DIETS[key]),
+  ].filter(Boolean);
+}
+
+export function hasDietaryNeeds(dietary) {
+  return restrictionsOf(dietary).length > 0;
+}
+
+/** "peanut allergy, dairy allergy, halal" — for prompts and packing reasons. */
+export function dietaryNeedsText(dietary) {
+  return restrictionsOf(dietary).map((restriction) => restriction.label).join(", ");
+}
+
+/** "peanut-free, dairy-free, halal" — what every meal and snack has to be. */
+export function safeFoodText(dietary) {
+  return restrictionsOf(dietary).map((restriction) => restriction.free).join(", ");
+}
+
+/** Labels of the allergies and diets a meal suggestion breaks. */
+export function mealConflicts(text, dietary) {
+  return restrictionsOf(dietary)
+    .filter((restriction) => restriction.conflicts.test(text) && !restriction.safe.test(text))
+    .map((restriction) => restriction.label);
+}
+
+/**
+ * Enforce dietary needs on a generated plan's meals. Meal ideas that name a dish or ingredient
+ * conflicting with an allergy or diet — and don't say they are made safe, like "gluten-free
+ * pasta" — are dropped, and the day's notes say so. A day left with no meal ideas gets a generic one.
+ *
+ * @param {object} tripPlan
+ * @param {{ foodAllergies?: string[], diets?: string[] } | null} dietary - Sanitized (see sanitizeDietary)
+ * @returns {object} The plan, with `dietaryConflicts` on adjusted itinerary days
+ */
+export function enforceDietaryMeals(tripPlan, dietary) {
+  if (!hasDietaryNeeds(dietary) || !Array.isArray(tripPlan?.dailyItinerary)) return tripPlan;
+
+  const safeText = safeFoodText(dietary);
+  const days = tripPlan.dailyItinerary.map((day) => {
+    if (typeof day.meals !== "string" || !day.meals.trim()) return day;
+    const conflicts = new Set();
+    const kept = day.meals.split(MEAL_SEGMENT_SPLIT).filter((segment) => {
+      const found = mealConflicts(segment, dietary);
+      found.forEach((label) => conflicts.add(label));
+      return found.length === 0;
+    });
+    if (conflicts.size === 0) return day;
+
+    return {
+      ...day,
+      meals:
+        kept.length > 0
+          ? kept.join(" ").replace(/;$/, ".")
+          : `Look for ${safeText} options and ask about ingredients before ordering.`,
+      notes: [day.notes, `🍽️ Removed meal ideas that may not be ${safeText} — check menus before you go.`]
+        .filter(Boolean)
+        .join(" "),
+      dietaryConflicts: [...conflicts],
+    };
+  });
+
+  return { ...tripPlan, dailyItinerary: days };
+}
+
+/** Language for a printed allergy card, or null where English is spoken. */
+export function allergyCardLanguage(countryCode) {
+  if (!countryCode || ENGLISH_SPEAKING_COUNTRIES.has(countryCode)) return null;
+  return ALLERGY_CARD_LANGUAGES[countryCode] || "the local language";
+}
+
+/**
+ * Items a family with these dietary needs has to pack: safe snacks, epinephrine auto-injectors
+ * and antihistamine for food allergies, and allergy cards in the local language abroad.
+ * `match` finds the item in a generated list, however the model worded it.
+ * @returns {Array<{ name: string, quantity: string, reason: string, match: RegExp }>}
+ */
+export function dietaryPackingItems(dietary, { countryCode } = {}) {
+  if (!hasDietaryNeeds(dietary)) return [];
+  const allergies = (dietary.foodAllergies || []).filter((key) => FOOD_ALLERGIES[key]);
+
+  const items = [
+    {
+      name: `Safe snacks (${safeFoodText(dietary)})`,
+      quantity: "2-3 per child per day",
+      reason: "Safe options aren't always sold at stops, venues or on flights",
+      match: /safe snack|snack.*\b(?:free|vegetarian|vegan|halal|kosher)\b/i,
+    },
+  ];
+  if (allergies.some((key) => ANAPHYLAXIS_ALLERGIES.has(key))) {
+    items.push(
+      {
+        name: "Epinephrine auto-injectors (EpiPen), if prescribed",
+        quantity: "2 per allergic child",
+        reason: "Carry two at all times for a severe reaction — in your day bag, never in checked luggage",
+        match: /epi-?pen|epinephrine|auto-?injector|auvi-?q/i,
+      },
+      {
+        name: "Children's antihistamine",
+        quantity: "1",
+        reason: "For mild reactions — follow your child's allergy action plan",
+        match: /antihistamine|benadryl|diphenhydramine|cetirizine|zyrtec|loratadine|claritin/i,
+      },
+    );
+  }
+  const language = allergyCardLanguage(countryCode);
+  if (language) {
+    items.push({
+      name: `${allergies.length > 0 ? "Allergy" : "Diet"} cards in ${language}`,
+      quantity: "2-3",
+      reason: `To show restaurant staff: ${dietaryNeedsText(dietary)}`,
+      match: /\b(?:allergy|diet(?:ary)?|chef)\b.*\bcards?\b/i,
+    });
+  }
+  return items;
+}
+
+/**
+ * Add any dietary packing item the model left out, under a "Dietary Needs" category.
+ * @returns {object} The packing list
+ */
+export function ensureDietaryPackingItems(packingList, dietary, { countryCode } = {}) {
+  return addMissingPackingItems(packingList, dietaryPackingItems(dietary, { countryCode }), DIETARY_PACKING_CATEGORY);
+}
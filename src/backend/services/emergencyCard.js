@@ -0,0 +1,81 @@
+// Emergency info card: what a parent needs in the first minutes of an emergency, on one card.
+// - Numbers to dial, poison control and (outside the US) the U.S. embassy come from the bundled
+//   table in data/emergencyContacts.js.
+// - The nearest hospital with an emergency department and the nearest children's hospital come
+//   from OpenStreetMap (familyEssentials.js); the card is still built when that lookup fails.
+// - Each child's age, weight, allergies and medications come from the sanitized trip profile.
+// The card is self-contained, so clients store it with the trip and show or print it offline.
+import {
+  DEFAULT_EMERGENCY_NUMBERS,
+  EMERGENCY_CONTACTS_LAST_UPDATED,
+  EMERGENCY_NUMBERS,
+  POISON_CONTROL,
+  US_CITIZEN_EMERGENCY_LINE,
+  US_EMBASSIES,
+  US_EMBASSY_DIRECTORY_URL,
+} from "../data/emergencyContacts.js";
+
+// Hospitals are searched farther out than other essentials: the nearest ER may be a drive away.
+export const HOSPITAL_SEARCH_RADIUS_MILES = 10;
+
+/** @returns {{ general: string, police?: string, ambulance?: string, fire?: string }} */
+export function emergencyNumbersFor(countryCode) {
+  return EMERGENCY_NUMBERS[countryCode] || DEFAULT_EMERGENCY_NUMBERS;
+}
+
+/**
+ * The U.S. embassy for an international trip, or null at home.
+ * @returns {{ name: string, url: string, emergencyPhone: string } | null}
+ */
+export function embassyFor(countryCode) {
+  if (!countryCode || countryCode === "US") return null;
+  const embassy = US_EMBASSIES[countryCode];
+  return {
+    name: embassy ? `U.S. Embassy ${embassy[0]}` : "Nearest U.S. embassy or consulate",
+    url: embassy ? `https://${embassy[1]}.usembassy.gov/` : US_EMBASSY_DIRECTORY_URL,
+    emergencyPhone: US_CITIZEN_EMERGENCY_LINE,
+  };
+}
+
+/**
+ * The nearest hospital with an emergency department (the nearest hospital when none is tagged as
+ * having one — OSM often leaves it off) and the nearest children's hospital, if it is another one.
+ * @param {Array<object>} hospitals - familyEssentials hospitals, nearest first
+ */
+export function pickHospitals(hospitals = []) {
+  const emergencyRoom = hospitals.find((hospital) => hospital.emergency) || hospitals[0] || null;
+  const childrens = hospitals.find((hospital) => hospital.pediatric) || null;
+  return {
+    nearestEmergencyRoom: emergencyRoom,
+    nearestChildrensHospital: childrens && childrens.id !== emergencyRoom?.id ? childrens : null,
+  };
+}
+
+/**
+ * Build the card. Pure: hospitals are looked up by the caller.
+ * @param {object} params
+ * @param {string} [params.destination]
+ * @param {string} params.countryCode - ISO 3166-1 alpha-2
+ * @param {Array<object>} [params.children] - Sanitized children (see sanitizeChildren)
+ * @param {Array<object>|null} [params.hospitals] - Nearest first; null when the lookup failed or was skipped
+ */
+export function buildEmergencyCard({ destination = "", countryCode, children = [], hospitals = null }) {
+  return {
+    destination,
+    countryCode,
+    emergencyNumbers: emergencyNumbersFor(countryCode),
+    poisonControl: POISON_CONTROL[countryCode] || null,
+    embassy: embassyFor(countryCode),
+    ...pickHospitals(hospitals || []),
+    hospitalsChecked: Array.isArray(hospitals),
+    children: children.map((child) => ({
+      age: child.age,
+      ...(child.birthDate ? { birthDate: child.birthDate } : {}),
+      ...(child.weightLb !== undefined ? { weightLb: child.weightLb } : {}),
+      ...(child.weightKg !== undefined ? { weightKg: child.weightKg } : {}),
+      allergies: child.allergies || [],
+      medications: child.medications || [],
+    })),
+    contactsLastUpdated: EMERGENCY_CONTACTS_LAST_UPDATED,
+  };
+}
@@ -0,0 +1,190 @@
+// Family essentials near a point, from OpenStreetMap via Overpass:
+// playgrounds, public toilets with a baby changing table, pharmacies, urgent care (pediatric first)
+// and hospitals. One Overpass query per point covers every category, with a separate output per
+// category; results are ranked by distance, capped per category and cached by rounded coordinates
+// + radius.
+import { haversineDistanceMiles, milesToMeters, queryOverpass } from "./geocoding.js";
+import { log } from "../utils/logger.js";
+
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours — map data changes slowly
+const CACHE_MAX_ENTRIES = 300;
+const MAX_PER_CATEGORY = 5;
+// Overpass returns elements in id order, not by distance. Capping each category's output on its own
+// keeps dense playgrounds or toilets from pushing the nearest hospitals out of a shared cap.
+const FETCH_LIMIT_PER_CATEGORY = 100;
+const MAX_TAG_LENGTH = 120;
+
+export const DEFAULT_RADIUS_MILES = 3;
+export const MAX_RADIUS_MILES = 10;
+
+export const ESSENTIAL_CATEGORIES = ["playgrounds", "changingTables", "pharmacies", "urgentCare", "hospitals"];
+
+// Overpass filters per category. Pediatric specialities are fetched for urgent care; a children's
+// hospital also matches amenity=hospital.
+const CATEGORY_FILTERS = {
+  playgrounds: ['["leisure"="playground"]'],
+  changingTables: ['["amenity"="toilets"]["changing_table"="yes"]'],
+  pharmacies: ['["amenity"="pharmacy"]'],
+  urgentCare: ['["urgent_care"="yes"]', '["healthcare:speciality"~"paediatric|pediatric"]'],
+  hospitals: ['["amenity"="hospital"]'],
+};
+
+// Display names for places OSM has no name for (common for playgrounds and toilets).
+const FALLBACK_NAMES = {
+  playgrounds: "Playground",
+  changingTables: "Public restroom with changing table",
+  pharmacies: "Pharmacy",
+  urgentCare: "Urgent care",
+  hospitals: "Hospital",
+};
+
+/** @type {Map<string, { value: object, timestamp: number }>} */
+const essentialsCache = new Map();
+
+/**
+ * Reset the essentials cache. Only works in test environment.
+ */
+export function __resetFamilyEssentialsCacheForTests() {
+  if (process.env.NODE_ENV !== "test") return;
+  essentialsCache.clear();
+}
+
+function getCached(key) {
+  const entry = essentialsCache.get(key);
+  if (!entry) return null;
+  if (Date.now() - entry.timestamp > CACHE_TTL_MS) {
+    essentialsCache.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+function setCached(key, value) {
+  if (essentialsCache.size >= CACHE_MAX_ENTRIES) {
+    essentialsCache.delete(essentialsCache.keys().next().value);
+  }
+  essentialsCache.set(key, { value, timestamp: Date.now() });
+}
+
+const isPediatric = (tags) => /paediatric|pediatric/i.test(tags["healthcare:speciality"] || "");
+
+/**
+ * Which essentials category an OSM element belongs to, or null.
+ * Hospitals win over urgent care so a pediatric hospital is listed once, as a hospital.
+ * @param {Record<string, string>} tags
+ * @returns {string|null}
+ */
+export function classifyEssential(tags = {}) {
+  if (tags.amenity === "hospital" || tags.healthcare === "hospital") return "hospitals";
+  if (tags.urgent_care === "yes" || (isPediatric(tags) && /clinic|doctors?/.test(tags.amenity || tags.healthcare || ""))) {
+    return "urgentCare";
+  }
+  if (tags.amenity === "pharmacy" || tags.healthcare === "pharmacy") return "pharmacies";
+  if (tags.amenity === "toilets" && tags.changing_table === "yes") return "changingTables";
+  if (tags.leisure === "playground") return "playgrounds";
+  return null;
+}
+
+const tag = (value) => (typeof value === "string" && value.trim() ? value.trim().slice(0, MAX_TAG_LENGTH) : null);
+
+function toPlace(element, category, originLat, originLon) {
+  const tags = element.tags || {};
+  const lat = element.lat ?? element.center?.lat;
+  const lon = element.lon ?? element.center?.lon;
+  const street = [tags["addr:housenumber"], tags["addr:street"]].filter(Boolean).join(" ");
+  const place = {
+    id: `${element.type}/${element.id}`,
+    name: tag(tags.name) || FALLBACK_NAMES[category],
+    lat,
+    lon,
+    distanceMiles: Math.round(haversineDistanceMiles(originLat, originLon, lat, lon) * 10) / 10,
+  };
+  const address = tag(street);
+  const openingHours = tag(tags.opening_hours);
+  const phone = tag(tags.phone || tags["contact:phone"]);
+  if (address) place.address = address;
+  if (openingHours) place.openingHours = openingHours;
+  if (phone) place.phone = phone;
+  if (category === "urgentCare" || category === "hospitals") place.pediatric = isPediatric(tags);
+  if (category === "hospitals") place.emergency = tags.emergency === "yes";
+  return place;
+}
+
+/**
+ * Group Overpass elements into essentials categories, nearest first. Urgent care lists pediatric
+ * clinics ahead of general ones at a similar distance (within a mile).
+ * @returns {Record<string, Array<object>>}
+ */
+export function rankEssentials(elements, originLat, originLon) {
+  const essentials = Object.fromEntries(ESSENTIAL_CATEGORIES.map((category) => [category, []]));
+  const seen = new Set();
+  for (const element of elements) {
+    const category = classifyEssential(element.tags);
+    const lat = element.lat ?? element.center?.lat;
+    const lon = element.lon ?? element.center?.lon;
+    if (!category || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+    const key = `${element.type}/${element.id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    essentials[category].push(toPlace(element, category, originLat, originLon));
+  }
+
+  for (const category of ESSENTIAL_CATEGORIES) {
+    const pediatricBonus = (place) => (category === "urgentCare" && place.pediatric ? 1 : 0);
+    essentials[category] = essentials[category]
+      .sort((a, b) => a.distanceMiles - pediatricBonus(a) - (b.distanceMiles - pediatricBonus(b)))
+      .slice(0, MAX_PER_CATEGORY);
+  }
+  return essentials;
+}
+
+/**
+ * Family essentials within `radiusMiles` of a point.
+ * Throws when Overpass is unavailable; callers decide whether that is fatal.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {object} [options]
+ * @param {number} [options.radiusMiles=3] - Clamped to 0.5–10 miles
+ * @param {string[]} [options.categories] - Look up only these categories; the rest come back empty
+ * @returns {Promise<{ lat: number, lon: number, radiusMiles: number, essentials: Record<string, Array<{
+ *   id: string, name: string, lat: number, lon: number, distanceMiles: number,
+ *   address?: string, openingHours?: string, phone?: string, pediatric?: boolean, emergency?: boolean
+ * }>> }>}
+ */
+export async function getFamilyEssentials(
+  lat,
+  lon,
+  { radiusMiles = DEFAULT_RADIUS_MILES, categories = ESSENTIAL_CATEGORIES } = {},
+) {
+  const radius = Math.min(MAX_RADIUS_MILES, Math.max(0.5, Number(radiusMiles) || DEFAULT_RADIUS_MILES));
+  const wanted = ESSENTIAL_CATEGORIES.filter((category) => categories.includes(category));
+  const cacheKey = `${lat.toFixed(3)},${lon.toFixed(3)}:${radius}:${wanted.join(",")}`;
+  const cached = getCached(cacheKey);
+  if (cached) return cached;
+
+  const around = `(around:${Math.round(milesToMeters(radius))},${lat},${lon})`;
+  const statements = wanted.map((category) => {
+    const clauses = CATEGORY_FILTERS[category].map((filter) => `nwr${filter}${around};`);
+    return `(${clauses.join(" ")}); out center tags ${FETCH_LIMIT_PER_CATEGORY};`;
+  });
+  const query = `
+    [out:json][timeout:25];
+    ${statements.join("\n    ")}
+  `;
+
+  try {
+    const elements = await queryOverpass(query);
+    const essentials = rankEssentials(elements, lat, lon);
+    // A filter can match places of another category (a pediatric pharmacy); keep only what was asked for.
+    for (const category of ESSENTIAL_CATEGORIES) {
+      if (!wanted.includes(category)) essentials[category] = [];
+    }
+    const result = { lat, lon, radiusMiles: radius, essentials };
+    setCached(cacheKey, result);
+    return result;
+  } catch (error) {
+    log.warn("Family essentials lookup failed", { error: error.message, lat, lon });
+    throw error.name === "AbortError" ? new Error("Nearby places service timed out") : error;
+  }
+}
@@ -1,6 +1,7 @@
 // Geocoding + destination-intent resolver:
 // - Converts user text into concrete coordinates worldwide (Nominatim).
 // - Expands fuzzy intents ("2 hours from X") into nearby destination suggestions (Overpass).
+// - Shares its Overpass client and distance helpers with familyEssentials.js.
 // - Uses bounded caching and radius limits to stay fast and abuse-resistant.
 import { log } from "../utils/logger.js";
 
@@ -11,8 +12,8 @@ const CACHE_MAX_ENTRIES = 500;
 
 // 500 mi ceiling prevents abuse via giant Overpass queries while staying generous for road trips.
 const MAX_RADIUS_MILES = 500;
-// 60 mph average chosen over routing APIs to keep MVP cost-free.
-const DEFAULT_DRIVE_SPEED_MPH = 60;
+// 60 mph average chosen over routing APIs to keep MVP cost-free. Budgets use it for fuel too.
+export const DEFAULT_DRIVE_SPEED_MPH = 60;
 const MAX_SUGGESTIONS = 3;
 
 const geocodeCache = new Map();
@@ -180,7 +181,7 @@ export async function geocodeLocation(locationString) {
   }
 }
 
-function parseLocationQuery(input) {
+export function parseLocationQuery(input) {
   // Lightweight NLP parser: classify query as city, distance, drive-time, or "near".
   const normalized = input.trim();
   const hoursMatch = normalized.match(
@@ -216,12 +217,12 @@ function parseLocationQuery(input) {
   return { type: "city", query: normalized };
 }
 
-function milesToMeters(miles) {
+export function milesToMeters(miles) {
   // Overpass "around" operator uses meters, but product UX speaks miles.
   return miles * 1609.34;
 }
 
-function haversineDistanceMiles(lat1, lon1, lat2, lon2) {
+export function haversineDistanceMiles(lat1, lon1, lat2, lon2) {
   // Great-circle distance approximation: good enough for ranking nearby options.
   const toRad = (deg) => (deg * Math.PI) / 180;
   const R = 3958.8; // Earth radius in miles
@@ -272,23 +273,14 @@ function extractNearbyCities(elements, originLat, originLon) {
   return unique;
 }
 
-async function getNearbyCities(lat, lon, radiusMiles) {
-  // Queries Overpass for populated places near origin; intentionally capped + filtered.
-  // Defense-in-depth: cap even if upstream validation is bypassed.
-  const radiusMeters = Math.min(
-    milesToMeters(MAX_RADIUS_MILES),
-    Math.max(10000, milesToMeters(radiusMiles)),
-  );
-  const query = `
-    [out:json][timeout:25];
-    (
-      node["place"~"city|town|village"](around:${Math.round(
-        radiusMeters,
-      )},${lat},${lon});
-    );
-    out body 20;
-  `;
-
+/**
+ * Run an Overpass QL query and return its elements ([] when the response has none).
+ * Throws "Nearby places service unavailable" on a non-2xx response; timeouts abort after
+ * OVERPASS_TIMEOUT_MS.
+ * @param {string} query - Overpass QL, including its [out:json] header
+ * @returns {Promise<Array<object>>}
+ */
+export async function queryOverpass(query) {
   const response = await fetchWithTimeout(
     "https://overpass-api.de/api/interpreter",
     {
@@ -307,9 +299,28 @@ async function getNearbyCities(lat, lon, radiusMiles) {
   }
 
   const data = await response.json();
-  if (!data.elements) return [];
+  return Array.isArray(data.elements) ? data.elements : [];
+}
+
+async function getNearbyCities(lat, lon, radiusMiles) {
+  // Queries Overpass for populated places near origin; intentionally capped + filtered.
+  // Defense-in-depth: cap even if upstream validation is bypassed.
+  const radiusMeters = Math.min(
+    milesToMeters(MAX_RADIUS_MILES),
+    Math.max(10000, milesToMeters(radiusMiles)),
+  );
+  const query = `
+    [out:json][timeout:25];
+    (
+      node["place"~"city|town|village"](around:${Math.round(
+        radiusMeters,
+      )},${lat},${lon});
+    );
+    out body 20;
+  `;
 
-  return extractNearbyCities(data.elements, lat, lon);
+  const elements = await queryOverpass(query);
+  return extractNearbyCities(elements, lat, lon);
 }
 
 async function buildNearbyResult(parsed, baseCoords, cacheKey) {
@@ -155,6 +155,23 @@ export function sanitizeActivities(activities) {
     .slice(0, 20); // cap at 20 activities max
 }
 
+/**
+ * Sanitize road-trip stops for prompt use: destination text and ISO dates only.
+ * @param {Array<{ destination: string, startDate: string, endDate: string }>} stops
+ * @returns {Array<{ destination: string, startDate: string, endDate: string }>}
+ */
+export function sanitizeStops(stops) {
+  if (!Array.isArray(stops)) return [];
+  return stops
+    .slice(0, 8)
+    .map((stop) => ({
+      destination: sanitizeDestination(stop?.destination || ""),
+      startDate: sanitizeDate(stop?.startDate),
+      endDate: sanitizeDate(stop?.endDate),
+    }))
+    .filter((stop) => stop.destination.length > 0);
+}
+
 /**
  * Validate and sanitize child age.
  * @param {number} age
@@ -188,6 +205,7 @@ export function sanitizeTripPayload(tripData) {
   if (tripData.lat !== undefined) sanitized.lat = tripData.lat;
   if (tripData.lon !== undefined) sanitized.lon = tripData.lon;
   if (tripData.tripType) sanitized.tripType = tripData.tripType;
+  if (Array.isArray(tripData.stops)) sanitized.stops = sanitizeStops(tripData.stops);
 
   return sanitized;
 }
@@ -0,0 +1,248 @@
+// iCalendar (RFC 5545) export of a saved trip's daily itinerary.
+// - Each itinerary day becomes an all-day summary event (meals, notes, plan) on its trip date.
+// - Activities are resolved against tripPlan.suggestedActivities; ones with a parseable duration are
+//   laid out back to back from 9:00 local time, the rest become all-day events. Days with a timed
+//   `schedule` (daySchedule.js) lay each activity out inside its outing block instead.
+// - Timed events are written in UTC, converted from the destination's IANA time zone, so no VTIMEZONE
+//   block is needed. Trips saved without a time zone fall back to floating (viewer-local) times.
+
+const DAY_START_MINUTES = 9 * 60;
+const DAY_END_MINUTES = 20 * 60;
+const GAP_MINUTES = 30; // transitions, snacks, bathroom breaks
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Turn an AI duration string into minutes.
+ * Handles "2 hours", "2-3 hours" (midpoint), "90 minutes", "half day", "full day".
+ * @param {string} text
+ * @returns {number|null} Minutes, or null when the duration is missing, vague, or multi-day
+ */
+export function parseDurationMinutes(text) {
+  if (typeof text !== "string") return null;
+  const value = text.toLowerCase();
+
+  if (/\b(full|whole|all)[\s-]day\b/.test(value)) return 8 * 60;
+  if (/\bhalf[\s-]day\b/.test(value)) return 4 * 60;
+
+  const range = value.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?)\b/);
+  if (range) {
+    const mid = (parseFloat(range[1]) + parseFloat(range[2])) / 2;
+    return Math.round(range[3].startsWith("m") ? mid : mid * 60);
+  }
+
+  const single = value.match(/(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?)\b/);
+  if (single) {
+    const amount = parseFloat(single[1]);
+    return Math.round(single[2].startsWith("m") ? amount : amount * 60);
+  }
+
+  return null;
+}
+
+/**
+ * @param {unknown} timeZone
+ * @returns {boolean} Whether the runtime recognises the IANA zone name
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Offset (ms) of `timeZone` from UTC at the given instant.
+function zoneOffsetMs(instantMs, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(instantMs));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - instantMs;
+}
+
+/**
+ * Convert a wall-clock time at the destination into a UTC Date.
+ * @param {string} isoDate - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone - IANA zone, e.g. "America/Los_Angeles"
+ */
+export function zonedTimeToUtc(isoDate, minutes, timeZone) {
+  const [y, m, d] = isoDate.split("-").map(Number);
+  const wallClockMs = Date.UTC(y, m - 1, d, 0, minutes);
+  // Two passes settle the offset across DST transitions.
+  let utcMs = wallClockMs - zoneOffsetMs(wallClockMs, timeZone);
+  utcMs = wallClockMs - zoneOffsetMs(utcMs, timeZone);
+  return new Date(utcMs);
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+const clockMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+const formatDate = (isoDate) => isoDate.replace(/-/g, "");
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const formatFloating = (isoDate, minutes) =>
+  `${formatDate(isoDate)}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 §3.1: lines longer than 75 octets are folded with CRLF + space.
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= MAX_LINE_OCTETS) return line;
+  const out = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, "utf8");
+    const limit = out.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentBytes + size > limit) {
+      out.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+/**
+ * Look up an itinerary entry (activity ID or name) in tripPlan.suggestedActivities.
+ * @returns {object|null} The matching activity, a name-only stub for unknown refs, or null for blanks
+ */
+export function resolveItineraryActivity(ref, activities) {
+  const key = String(ref ?? "").trim();
+  if (!key) return null;
+  return (
+    activities.find((a) => a.id === key) ||
+    activities.find((a) => (a.name || "").toLowerCase() === key.toLowerCase()) ||
+    { id: key, name: key }
+  );
+}
+
+/**
+ * Build an .ics calendar for a saved trip record.
+ * @param {{ id: string, trip: object, tripPlan: object }} record - Trip store record
+ * @param {{ timeZone?: string|null, now?: Date }} [options] - timeZone defaults to the trip's, then the forecast's
+ * @returns {string} CRLF-delimited iCalendar text
+ */
+export function buildItineraryCalendar(
+  record,
+  { timeZone = record?.trip?.timeZone || record?.weather?.timeZone, now = new Date() } = {},
+) {
+  const trip = record?.trip || {};
+  const plan = record?.tripPlan || {};
+  const days = Array.isArray(plan.dailyItinerary) ? plan.dailyItinerary : [];
+  const activities = Array.isArray(plan.suggestedActivities) ? plan.suggestedActivities : [];
+  const zone = isValidTimeZone(timeZone) ? timeZone : null;
+  const destination = trip.destination || "Trip";
+  const shortDestination = destination.split(",")[0].trim();
+  const stamp = formatUtc(now);
+  const uidFor = (suffix) => `${record.id}-${suffix}@sproutroute.app`;
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//SproutRoute//Trip Itinerary//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(`SproutRoute: ${shortDestination}`)}`,
+  ];
+  if (zone) lines.push(`X-WR-TIMEZONE:${zone}`);
+
+  const pushEvent = (fields) => {
+    lines.push("BEGIN:VEVENT", `DTSTAMP:${stamp}`, ...fields, "END:VEVENT");
+  };
+
+  days.forEach((day, dayIndex) => {
+    if (!trip.startDate) return;
+    const date = addDays(trip.startDate, dayIndex);
+    const refs = Array.isArray(day?.activities) ? day.activities : [];
+    const resolved = refs.map((ref) => resolveItineraryActivity(ref, activities)).filter(Boolean);
+
+    const summaryLines = [
+      resolved.length > 0 ? `Plan: ${resolved.map((a) => a.name).join(", ")}` : null,
+      day?.meals ? `Meals: ${day.meals}` : null,
+      day?.notes ? `Notes: ${day.notes}` : null,
+    ].filter(Boolean);
+
+    pushEvent([
+      `UID:${uidFor(`d${dayIndex + 1}`)}`,
+      `DTSTART;VALUE=DATE:${formatDate(date)}`,
+      `DTEND;VALUE=DATE:${formatDate(addDays(date, 1))}`,
+      `SUMMARY:${escapeText(`${day?.day || `Day ${dayIndex + 1}`} · ${shortDestination}`)}`,
+      `DESCRIPTION:${escapeText(summaryLines.join("\n"))}`,
+      `LOCATION:${escapeText(destination)}`,
+      "TRANSP:TRANSPARENT",
+    ]);
+
+    // Outing block per activity id, with a cursor of its own.
+    const outingFor = new Map();
+    for (const block of Array.isArray(day?.schedule) ? day.schedule : []) {
+      if (block?.kind !== "outing" || !/^\d{2}:\d{2}$/.test(block.start) || !/^\d{2}:\d{2}$/.test(block.end)) continue;
+      const slot = { cursor: clockMinutes(block.start), end: clockMinutes(block.end) };
+      for (const id of block.activities || []) outingFor.set(id, slot);
+    }
+    const daySlot = { cursor: DAY_START_MINUTES, end: DAY_END_MINUTES };
+
+    resolved.forEach((activity, activityIndex) => {
+      const slot = outingFor.get(activity.id) || outingFor.get(activity.name) || daySlot;
+      const minutes = parseDurationMinutes(activity.duration);
+      const description = [activity.description, activity.duration ? `Duration: ${activity.duration}` : null]
+        .filter(Boolean)
+        .join("\n");
+      const common = [
+        `UID:${uidFor(`d${dayIndex + 1}-a${activityIndex + 1}`)}`,
+        `SUMMARY:${escapeText(activity.name)}`,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        `LOCATION:${escapeText(destination)}`,
+        ...(activity.category ? [`CATEGORIES:${escapeText(activity.category)}`] : []),
+      ];
+
+      // Unknown duration, or the day is already full — keep it on the day without a time slot.
+      if (!minutes || slot.cursor + minutes > slot.end) {
+        pushEvent([
+          ...common,
+          `DTSTART;VALUE=DATE:${formatDate(date)}`,
+          `DTEND;VALUE=DATE:${formatDate(addDays(date, 1))}`,
+          "TRANSP:TRANSPARENT",
+        ]);
+        return;
+      }
+
+      const start = slot.cursor;
+      const end = slot.cursor + minutes;
+      slot.cursor = end + GAP_MINUTES;
+      pushEvent([
+        ...common,
+        zone ? `DTSTART:${formatUtc(zonedTimeToUtc(date, start, zone))}` : `DTSTART:${formatFloating(date, start)}`,
+        zone ? `DTEND:${formatUtc(zonedTimeToUtc(date, end, zone))}` : `DTEND:${formatFloating(date, end)}`,
+      ]);
+    });
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
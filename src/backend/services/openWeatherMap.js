@@ -1,68 +1,16 @@
-// OpenWeatherMap adapter for international weather forecasts.
-// Returns the same { summary, forecast[] } shape as weather.js for seamless integration.
-// Uses the free-tier 5-day/3-hour forecast API, aggregating intervals into daily forecasts.
+// OpenWeatherMap provider — worldwide, free-tier 5-day/3-hour forecast API,
+// aggregating intervals into daily forecasts.
 
-import { log } from "../utils/logger.js";
+import { mmToIn } from "../utils/units.js";
+import { dateToWeekday, fetchForecast, clearForecastCache } from "./weatherProvider.js";
 
-const owmCache = new Map();
-const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
-const MAX_CACHE_SIZE = 100;
 const OWM_TIMEOUT_MS = 8000;
 
 /**
- * Reset the OWM cache — test helper only, no-op outside NODE_ENV=test.
+ * Reset the shared forecast cache — test helper only.
  */
 export function __resetOwmCacheForTests() {
-  owmCache.clear();
-}
-
-/**
- * Fetch with an abort-controller timeout, matching weather.js pattern.
- * @param {string} url
- * @param {RequestInit} options
- * @returns {Promise<Response>}
- */
-async function fetchWithTimeout(url, options) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), OWM_TIMEOUT_MS);
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-    });
-    return response;
-  } catch (error) {
-    if (error.name === "AbortError") {
-      throw new Error("OpenWeatherMap service timed out. Please try again.");
-    }
-    throw error;
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
-
-// Removes expired cache entries so memory stays bounded.
-function cleanExpiredCache() {
-  const now = Date.now();
-  for (const [key, value] of owmCache.entries()) {
-    if (now - value.timestamp > CACHE_DURATION) {
-      owmCache.delete(key);
-    }
-  }
-}
-
-/**
- * Write data into cache, evicting oldest when at capacity.
- * @param {string} key
- * @param {object} data
- */
-function addToCache(key, data) {
-  cleanExpiredCache();
-  if (owmCache.size >= MAX_CACHE_SIZE) {
-    const firstKey = owmCache.keys().next().value;
-    owmCache.delete(firstKey);
-  }
-  owmCache.set(key, { data, timestamp: Date.now() });
+  clearForecastCache();
 }
 
 /**
@@ -113,68 +61,38 @@ function dominantCondition(intervals) {
   return best;
 }
 
-/**
- * Format a date string (YYYY-MM-DD) into a weekday name (e.g. "Monday").
- * @param {string} dateStr
- * @returns {string}
- */
-function dateToWeekday(dateStr) {
-  const date = new Date(dateStr + "T12:00:00Z");
-  return date.toLocaleDateString("en-US", { weekday: "long", timeZone: "UTC" });
-}
-
-/**
- * Fetch weather forecast from OpenWeatherMap for international destinations.
- * Uses the free 5-day/3-hour forecast endpoint and aggregates into daily forecasts.
- *
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @param {number} [days=7] - Max days to return (capped at 5 due to free tier)
- * @returns {Promise<{summary: string, forecast: Array<{name: string, high: number, low: number, condition: string, precipitation: number}>}>}
- */
-export async function getOpenWeatherForecast(lat, lon, days = 7) {
-  const apiKey = process.env.OPENWEATHERMAP_API_KEY;
-  if (!apiKey) {
-    throw new Error(
-      "OpenWeatherMap API key not configured. Set OPENWEATHERMAP_API_KEY environment variable.",
-    );
-  }
-
-  // Coarse cache key (2dp) groups nearby points for better hit-rate.
-  const cacheKey = `owm:${lat.toFixed(2)},${lon.toFixed(2)}`;
-  const cached = owmCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    return cached.data;
-  }
-
-  try {
-    const url =
+export const openWeatherMapProvider = {
+  id: "openweathermap",
+  name: "OpenWeatherMap",
+  countries: null,
+  horizonDays: 5,
+  usesDateRange: false,
+  apiKeyEnv: "OPENWEATHERMAP_API_KEY",
+  isConfigured: () => Boolean(process.env.OPENWEATHERMAP_API_KEY),
+
+  /**
+   * @param {object} options
+   * @param {number} [options.days=7] - Max days to return (capped at 5 due to free tier)
+   */
+  async fetchForecast(lat, lon, { days = 7 } = {}, fetchJson) {
+    const data = await fetchJson(
       `https://api.openweathermap.org/data/2.5/forecast` +
-      `?lat=${lat.toFixed(4)}&lon=${lon.toFixed(4)}` +
-      `&appid=${apiKey}` +
-      `&cnt=40`; // max 40 intervals = 5 days
-
-    const response = await fetchWithTimeout(url, {
-      headers: {
-        "User-Agent": "SproutRoute/1.0",
-      },
-    });
-
-    if (!response.ok) {
-      const text = await response.text().catch(() => "");
-      throw new Error(
-        `OpenWeatherMap API error (${response.status}): ${text.slice(0, 200)}`,
-      );
-    }
-
-    const data = await response.json();
+        `?lat=${lat.toFixed(4)}&lon=${lon.toFixed(4)}` +
+        `&appid=${process.env.OPENWEATHERMAP_API_KEY}` +
+        `&cnt=40`, // max 40 intervals = 5 days
+      { timeoutMs: OWM_TIMEOUT_MS },
+    );
 
     if (!data.list || !Array.isArray(data.list) || data.list.length === 0) {
-      throw new Error("No forecast data returned from OpenWeatherMap");
+      return { forecast: [] };
     }
 
     // Group 3-hour intervals by date
     const dayMap = new Map();
+    // Hourly entries by local date (city.timezone is the UTC offset in seconds); each 3-hour
+    // interval fills its three hours.
+    const hourlyMap = new Map();
+    const offsetSeconds = Number(data.city?.timezone) || 0;
 
     for (const interval of data.list) {
       const dateStr = interval.dt_txt.split(" ")[0];
@@ -184,18 +102,38 @@ export async function getOpenWeatherForecast(lat, lon, days = 7) {
           highs: [],
           lows: [],
           conditions: [],
+          humidities: [],
+          precipMm: 0,
         });
       }
 
       const dayData = dayMap.get(dateStr);
       dayData.highs.push(interval.main.temp_max);
       dayData.lows.push(interval.main.temp_min);
+      if (Number.isFinite(interval.main.humidity)) dayData.humidities.push(interval.main.humidity);
+      dayData.precipMm += (interval.rain?.["3h"] || 0) + (interval.snow?.["3h"] || 0);
 
       const conditionId =
         interval.weather && interval.weather[0]
           ? interval.weather[0].id
           : 800;
       dayData.conditions.push(mapConditionCode(conditionId));
+
+      if (Number.isFinite(interval.dt)) {
+        const local = new Date((interval.dt + offsetSeconds) * 1000).toISOString();
+        const localDate = local.slice(0, 10);
+        const hour = Number(local.slice(11, 13));
+        if (!hourlyMap.has(localDate)) hourlyMap.set(localDate, []);
+        for (let h = hour; h < Math.min(hour + 3, 24); h++) {
+          hourlyMap.get(localDate).push({
+            time: `${String(h).padStart(2, "0")}:00`,
+            temp: kelvinToFahrenheit(interval.main.temp ?? interval.main.temp_max),
+            precipitation: Math.round((interval.pop || 0) * 100),
+            humidity: interval.main.humidity ?? null,
+            condition: mapConditionCode(conditionId),
+          });
+        }
+      }
     }
 
     // Build daily forecast array
@@ -205,8 +143,6 @@ export async function getOpenWeatherForecast(lat, lon, days = 7) {
     for (const [dateStr, dayData] of dayMap.entries()) {
       if (forecast.length >= maxDays) break;
 
-      const high = kelvinToFahrenheit(Math.max(...dayData.highs));
-      const low = kelvinToFahrenheit(Math.min(...dayData.lows));
       const condition = dominantCondition(dayData.conditions);
 
       // Estimate precipitation chance based on condition
@@ -226,72 +162,32 @@ export async function getOpenWeatherForecast(lat, lon, days = 7) {
       forecast.push({
         date: dateStr,
         name: dateToWeekday(dateStr),
-        high,
-        low,
+        high: kelvinToFahrenheit(Math.max(...dayData.highs)),
+        low: kelvinToFahrenheit(Math.min(...dayData.lows)),
         condition,
         precipitation,
+        precipitationIn: mmToIn(dayData.precipMm),
+        humidity:
+          dayData.humidities.length > 0
+            ? Math.round(dayData.humidities.reduce((sum, value) => sum + value, 0) / dayData.humidities.length)
+            : null,
+        ...(hourlyMap.has(dateStr) ? { hourly: hourlyMap.get(dateStr) } : {}),
       });
     }
 
-    const summary = generateOwmSummary(forecast);
-
-    const result = { summary, forecast };
-    addToCache(cacheKey, result);
-    return result;
-  } catch (error) {
-    log.error("OpenWeatherMap fetch failed", { error: error.message });
-    throw new Error("Failed to fetch weather: " + error.message);
-  }
-}
+    // No timeZone: OWM reports a UTC offset, not an IANA zone.
+    return { forecast };
+  },
+};
 
 /**
- * Build a compact summary sentence from the daily forecast array.
- * @param {Array} forecast
- * @returns {string}
+ * Fetch weather forecast from OpenWeatherMap.
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} [days=7] - Max days to return (capped at 5 due to free tier)
+ * @returns {Promise<{summary: string, forecast: Array, provider: string}>}
  */
-function generateOwmSummary(forecast) {
-  if (!forecast || forecast.length === 0) {
-    return "Weather data unavailable";
-  }
-
-  const conditionCounts = {};
-  for (const day of forecast) {
-    conditionCounts[day.condition] =
-      (conditionCounts[day.condition] || 0) + 1;
-  }
-
-  let dominantCond = forecast[0].condition;
-  let bestCount = 0;
-  for (const [cond, count] of Object.entries(conditionCounts)) {
-    if (count > bestCount) {
-      dominantCond = cond;
-      bestCount = count;
-    }
-  }
-
-  const highs = forecast.map((f) => f.high);
-  const avgHigh = Math.round(
-    highs.reduce((sum, h) => sum + h, 0) / highs.length,
-  );
-
-  const conditionDescriptors = {
-    Sunny: "sunny skies",
-    "Partly Cloudy": "partly cloudy skies",
-    Cloudy: "cloudy skies",
-    Rainy: "rain",
-    Snowy: "snow",
-    Stormy: "storms",
-    Foggy: "fog",
-    Unknown: "mixed conditions",
-  };
-
-  const descriptor = conditionDescriptors[dominantCond] || "mixed conditions";
-
-  return `Expect ${descriptor} with highs around ${avgHigh}°F.`;
-}
-
-// Periodic cleanup without keeping Node alive in tests.
-const cacheCleanupInterval = setInterval(cleanExpiredCache, 5 * 60 * 1000);
-if (typeof cacheCleanupInterval.unref === "function") {
-  cacheCleanupInterval.unref();
+export function getOpenWeatherForecast(lat, lon, days = 7) {
+  return fetchForecast(openWeatherMapProvider, lat, lon, { days });
 }
@@ -0,0 +1,32 @@
+// Required packing items for a family's needs (dietary.js, accessibility.js), added to a generated
+// list when the model left them out.
+
+/**
+ * Add each required item that no packed item matches, under `categoryName` (created at the end
+ * of the list when missing). An item counts as packed when its `match` finds the name or reason
+ * of any item in the list, however the model worded it.
+ *
+ * @param {object} packingList
+ * @param {Array<{ name: string, quantity: string, reason: string, match: RegExp }>} required
+ * @param {string} categoryName
+ * @returns {object} The packing list
+ */
+export function addMissingPackingItems(packingList, required, categoryName) {
+  if (required.length === 0 || !Array.isArray(packingList?.categories)) return packingList;
+
+  const packed = packingList.categories
+    .flatMap((category) => category.items || [])
+    .map((item) => `${item.name} ${item.reason || ""}`);
+  const missing = required
+    .filter((item) => !packed.some((text) => item.match.test(text)))
+    .map(({ name, quantity, reason }) => ({ name, quantity, reason }));
+  if (missing.length === 0) return packingList;
+
+  const existing = packingList.categories.find((category) => category.name === categoryName);
+  const categories = existing
+    ? packingList.categories.map((category) =>
+        category === existing ? { ...category, items: [...(category.items || []), ...missing] } : category,
+      )
+    : [...packingList.categories, { name: categoryName, items: missing }];
+  return { ...packingList, categories };
+}
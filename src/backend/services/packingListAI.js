@@ -2,12 +2,18 @@
 // Uses aiClient.js abstraction — supports Anthropic (Haiku) and DeepSeek V3 via AI_PROVIDER env var.
 import { callModel } from "../utils/aiClient.js";
 import { log } from "../utils/logger.js";
-import { sanitizeDestination, sanitizeActivities, isAiResponseSafe } from "./inputSafety.js";
+import { formatTemperature, normalizeUnitSystem, toUnitSystemWeather, unitInstruction } from "../utils/units.js";
+import { childAgeMonthsOn } from "../utils/childAge.js";
+import { sanitizeDestination, sanitizeActivities, sanitizeStops, isAiResponseSafe } from "./inputSafety.js";
 import { getPackingBaseTemplate, detectClimateZone } from "./ragTemplates.js";
+import { isBadAirDay, isHeatRiskDay, kidRiskText } from "./weatherRisk.js";
+import { dietaryNeedsText, dietaryPackingItems, ensureDietaryPackingItems, safeFoodText } from "./dietary.js";
+import { accessibilityNeedsText, accessibilityPackingItems, ensureAccessibilityPackingItems } from "./accessibility.js";
 import {
   MAX_RETRIES,
   requestWithRetry,
   extractJsonCandidates,
+  climatologyNote,
 } from "../utils/aiHelpers.js";
 
 const MAX_TOKENS = 4096;
@@ -84,11 +90,22 @@ export async function generatePackingList(tripData, weatherForecast, deps = {})
     activities: rawActivities,
     children,
     tripType = null,
+    countryCode = "US",
+    stops: rawStops,
+    unitSystem: rawUnitSystem,
+    dietary = null,
+    accessibility = null,
   } = tripData;
+  const unitSystem = normalizeUnitSystem(rawUnitSystem);
+  // Safe snacks, EpiPens, allergy cards and equipment items are added when the model leaves them out.
+  // Applied once to the list that parsed, so a bug here never costs a retry or repair call.
+  const finish = (packingList) =>
+    ensureAccessibilityPackingItems(ensureDietaryPackingItems(packingList, dietary, { countryCode }), accessibility);
 
   // Sanitize user-supplied fields before interpolating into AI prompts
   const destination = sanitizeDestination(rawDestination);
   const activities = sanitizeActivities(rawActivities);
+  const stops = sanitizeStops(rawStops);
 
   const primaryPrompt = buildPrompt(
     destination,
@@ -97,9 +114,10 @@ export async function generatePackingList(tripData, weatherForecast, deps = {})
     activities,
     children,
     weatherForecast,
-    { compact: false, tripType },
+    { compact: false, tripType, countryCode, stops, unitSystem, dietary, accessibility },
   );
 
+  let packingList;
   try {
     const firstAttempt = await requestWithRetry(
       () => requestPackingList(primaryPrompt, deps, { cache: true }),
@@ -111,7 +129,7 @@ export async function generatePackingList(tripData, weatherForecast, deps = {})
     }
 
     try {
-      return parsePackingListResponse(firstAttempt.responseText);
+      packingList = parsePackingListResponse(firstAttempt.responseText);
     } catch (firstParseError) {
       log.warn("Packing-list parse failed (attempt 1), retrying compact", { error: firstParseError.message });
 
@@ -122,7 +140,7 @@ export async function generatePackingList(tripData, weatherForecast, deps = {})
         activities,
         children,
         weatherForecast,
-        { compact: true, tripType },
+        { compact: true, tripType, countryCode, stops, unitSystem, dietary, accessibility },
       );
 
       const secondAttempt = await requestWithRetry(
@@ -131,7 +149,7 @@ export async function generatePackingList(tripData, weatherForecast, deps = {})
       );
 
       try {
-        return parsePackingListResponse(secondAttempt.responseText);
+        packingList = parsePackingListResponse(secondAttempt.responseText);
       } catch (secondParseError) {
         log.warn("Packing-list parse failed (attempt 2), trying repair", { error: secondParseError.message });
 
@@ -139,7 +157,7 @@ export async function generatePackingList(tripData, weatherForecast, deps = {})
         const repairAttempt = await repairPackingListJson(repairSource, deps);
 
         try {
-          return parsePackingListResponse(repairAttempt.responseText);
+          packingList = parsePackingListResponse(repairAttempt.responseText);
         } catch (repairParseError) {
           log.error("Packing-list parse failed after all 3 attempts", {
             error: repairParseError.message,
@@ -162,6 +180,8 @@ export async function generatePackingList(tripData, weatherForecast, deps = {})
     }
     throw new Error("Failed to generate packing list: " + error.message);
   }
+
+  return finish(packingList);
 }
 
 function buildPrompt(
@@ -175,11 +195,28 @@ function buildPrompt(
 ) {
   // Returns { system, user } so static instructions are isolated from user-controlled data,
   // which prevents injected content in trip fields from overriding model instructions.
-  const { compact = false, tripType = null } = options;
+  const {
+    compact = false,
+    tripType = null,
+    countryCode = "US",
+    stops = [],
+    unitSystem = "imperial",
+    dietary = null,
+    accessibility = null,
+  } = options;
   const isCruise = tripType === "cruise";
+  const isRoadTrip = stops.length > 1;
+  // Ages as of the first travel day; children with a birthDate are projected forward from today.
+  const childAgesMonths = children.map((c) => childAgeMonthsOn(c, startDate));
   const childrenInfo =
     children.length > 0
-      ? children.map((c) => `age ${c.age}`).join(", ")
+      ? children
+          .map((c, i) => {
+            const years = Math.floor(childAgesMonths[i] / 12);
+            const yearsAtEnd = Math.floor(childAgeMonthsOn(c, endDate) / 12);
+            return yearsAtEnd > years ? `age ${years} (turns ${yearsAtEnd} during the trip)` : `age ${years}`;
+          })
+          .join(", ")
       : "no children";
 
   const sizeGuardrail = compact
@@ -195,11 +232,10 @@ function buildPrompt(
 - Keep each reason concise.`;
 
   // Build strict age-based guardrails from actual child ages
-  const childAges = children.map((c) => c.age);
-  const hasInfant = childAges.some((a) => a < 1);
-  const hasToddler = childAges.some((a) => a >= 1 && a < 3);
-  const hasPreschooler = childAges.some((a) => a >= 3 && a < 5);
-  const oldestAge = childAges.length > 0 ? Math.max(...childAges) : 0;
+  const hasInfant = childAgesMonths.some((m) => m < 12);
+  const hasToddler = childAgesMonths.some((m) => m >= 12 && m < 36);
+  const hasPreschooler = childAgesMonths.some((m) => m >= 36 && m < 60);
+  const oldestAge = childAgesMonths.length > 0 ? Math.floor(Math.max(...childAgesMonths) / 12) : 0;
 
   const ageGuards = `**STRICT AGE-APPROPRIATE RULES (must follow exactly):**
 - Diapers/pull-ups: ONLY if a child is under ${hasToddler ? "3" : "— NO children under 3, DO NOT include diapers"} years old
@@ -211,6 +247,23 @@ function buildPrompt(
 - Entertainment/toys: scale complexity to the OLDEST child's age (${oldestAge} years old)${oldestAge >= 6 ? "; include books, games, tablets for school-age children, NOT baby toys" : ""}
 - Swim diapers: ONLY if a child is under 3 years old and activities include water${hasToddler || hasInfant ? "" : " — DO NOT include"}`;
 
+  // Sun, smoke and heat gear, only for the risks the forecast actually shows.
+  const forecastDays = weatherForecast.forecast;
+  const riskGear = [
+    forecastDays.some((f) => f.uvIndex >= 6) &&
+      "- UV index 6 or higher: wide-brim sun hats, UPF clothing, SPF 50 mineral sunscreen, kids' sunglasses; shade for infants under 6 months (no sunscreen for them)",
+    forecastDays.some(isBadAirDay) &&
+      "- AQI above 100: well-fitting kid-size N95/KN95 masks for children aged 2 and up only (never for under 2s), plus indoor activities for bad-air days",
+    forecastDays.some(isHeatRiskDay) &&
+      "- High heat risk: extra water bottles, electrolyte drinks, cooling towels, a stroller fan or clip-on shade, light loose clothing",
+  ].filter(Boolean);
+
+  // Allergies and diets: every food item must be safe, plus the items they call for.
+  const dietaryNeeds = dietaryNeedsText(dietary);
+  const dietaryGear = dietaryPackingItems(dietary, { countryCode }).map((item) => `- ${item.name}: ${item.reason}`);
+  const accessibilityNeeds = accessibilityNeedsText(accessibility);
+  const accessibilityGear = accessibilityPackingItems(accessibility).map((item) => `- ${item.name}: ${item.reason}`);
+
   const system = `You are a helpful travel planning assistant for parents. Generate packing lists as strict JSON only.
 
 Generate a detailed packing list with the following structure:
@@ -248,7 +301,17 @@ ${ageGuards}
    - Reusable water bottle (port stops — ship water not always available)
    - Sunscreen (SPF 50+ for poolside and beach port stops)
    - Small backpack or daypack (for shore excursions)
-   - Do NOT include car seat, stroller, or booster unless children are under 3` : ""}
+   - Do NOT include car seat, stroller, or booster unless children are under 3` : ""}${isRoadTrip ? `
+${isCruise ? "8" : "7"}. **ROAD TRIP (${stops.length} stops):** pack for the widest weather range across all stops, and add a "Car" category with car snacks, travel entertainment, motion sickness supplies, and a bag for overnight essentials so the main luggage can stay packed between stops` : ""}
+${riskGear.length > 0 ? `
+**Sun, air quality and heat (from the forecast — include these):**
+${riskGear.join("\n")}` : ""}${dietaryNeeds ? `
+**Dietary needs — ${dietaryNeeds} (include these):**
+- Every snack and food item must be ${safeFoodText(dietary)}
+${dietaryGear.join("\n")}` : ""}${accessibilityNeeds ? `
+**Accessibility — a family member ${accessibilityNeeds} (include these):**
+${accessibilityGear.join("\n")}` : ""}
+**Units:** ${unitInstruction(unitSystem)}
 ${sizeGuardrail}
 Return ONLY the JSON, no additional text.`;
 
@@ -265,20 +328,23 @@ Return ONLY the JSON, no additional text.`;
 **Trip Details:**
 - Destination: ${destination}${isCruise ? " (cruise)" : ""}
 - Trip Type: ${tripType || "general"}
-- Dates: ${startDate} to ${endDate}
+- Dates: ${startDate} to ${endDate}${isRoadTrip ? `
+- Route: ${stops.map((s, i) => `${i + 1}. ${s.destination} (${s.startDate} to ${s.endDate})`).join(" → ")}` : ""}
 - Activities: ${activities.join(", ")}
-- Children: ${children.length} child(ren) — ages: ${childrenInfo} (oldest is ${oldestAge} years old)
+- Children: ${children.length} child(ren) — ages: ${childrenInfo} (oldest is ${oldestAge} years old)${dietaryNeeds ? `
+- Dietary needs: ${dietaryNeeds}` : ""}${accessibilityNeeds ? `
+- Accessibility: ${accessibilityNeeds}` : ""}
 
 **Weather Forecast:**
-${weatherForecast.summary}
+${toUnitSystemWeather(weatherForecast, unitSystem).summary}
 
 ${weatherForecast.forecast
-  .slice(0, 7)
+  .slice(0, isRoadTrip ? 14 : 7)
   .map(
     (f) =>
-      `${f.name}: ${f.high}°F, ${f.condition}, ${f.precipitation}% rain chance`,
+      `${f.stop ? `[${f.stop}] ` : ""}${f.name}: ${formatTemperature(f.high, unitSystem)}, ${f.condition}, ${f.precipitation}% rain chance${f.source === "climatology" ? " (typical for the date, not a forecast)" : ""}${kidRiskText(f, unitSystem)}`,
   )
-  .join("\n")}${ragSection}`;
+  .join("\n")}${climatologyNote(weatherForecast.forecast)}${ragSection}`;
 
   return { system, user };
 }
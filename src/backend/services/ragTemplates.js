@@ -12,8 +12,13 @@
 
 // ── Climate detection ─────────────────────────────────────────────────────────
 
+// Climatology lows are monthly averages; individual nights routinely run this much colder.
+const CLIMATOLOGY_LOW_MARGIN_F = 8;
+
 /**
  * Infer climate zone from weather forecast data.
+ * Days with `source: "climatology"` are averages, so their lows are widened by
+ * CLIMATOLOGY_LOW_MARGIN_F before the cold check.
  * Returns: "tropical" | "temperate" | "cold" | "desert"
  */
 export function detectClimateZone(forecast) {
@@ -21,7 +26,9 @@ export function detectClimateZone(forecast) {
 
   const avgHigh = forecast.reduce((sum, d) => sum + (d.high || 70), 0) / forecast.length;
   const avgRain = forecast.reduce((sum, d) => sum + (d.precipitation || 0), 0) / forecast.length;
-  const minLow = Math.min(...forecast.map((d) => d.low ?? 50));
+  const minLow = Math.min(
+    ...forecast.map((d) => (d.low ?? 50) - (d.source === "climatology" ? CLIMATOLOGY_LOW_MARGIN_F : 0)),
+  );
 
   if (avgHigh >= 82 && avgRain >= 40) return "tropical";
   if (avgHigh >= 85 && avgRain < 20) return "desert";
@@ -0,0 +1,163 @@
+// Persistent cache for AI-researched car seat rule sets, plus the job that keeps it honest.
+// - research() answers from the cache when a rule set for that jurisdiction and source URL exists,
+//   so identical requests get identical guidance and no model call.
+// - refresh() re-fetches every cached source page and compares its text hash. Unchanged pages only
+//   get a new lastCheckedAt. Changed pages are re-researched; if that fails the old rule set is kept
+//   and flagged `sourceChanged` so guidance can say the page moved on since it was researched.
+// - startResearchRefreshJob() runs refresh() on an interval from startServer().
+import {
+  fetchOfficialSourceText,
+  hashSourceText,
+  researchCarSeatRulesFromOfficialSource,
+} from "./safetyLawResearch.js";
+import { log } from "../utils/logger.js";
+
+const DEFAULT_REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {{ store: { get, put, list }, researchFn?: Function, fetchSourceTextFn?: Function, now?: () => Date }} options
+ *   store is a rule store (see ruleStore.js createResearchStore)
+ */
+export function createResearchCache({
+  store,
+  researchFn = researchCarSeatRulesFromOfficialSource,
+  fetchSourceTextFn = fetchOfficialSourceText,
+  now = () => new Date(),
+}) {
+  // One model call per jurisdiction at a time; concurrent misses share it.
+  const inFlight = new Map();
+
+  function toRuleSet(entry) {
+    return {
+      ...entry.ruleSet,
+      sourceHash: entry.sourceHash,
+      researchedAt: entry.researchedAt,
+      sourceChanged: entry.sourceChanged,
+    };
+  }
+
+  async function researchAndStore(input, sourceText, previous) {
+    const ruleSet = await researchFn({ ...input, sourceText });
+    if (!ruleSet?.rules?.length) return null;
+    const timestamp = now().toISOString();
+    const entry = {
+      jurisdictionCode: input.jurisdictionCode,
+      sourceUrl: input.sourceUrl,
+      sourceHash: ruleSet.sourceHash || hashSourceText(sourceText),
+      researchedAt: timestamp,
+      lastCheckedAt: timestamp,
+      sourceChanged: false,
+      sourceChangedAt: previous?.sourceChangedAt ?? null,
+      refreshError: null,
+      ruleSet: { ...ruleSet, researchedAt: timestamp },
+    };
+    await store.put(input.jurisdictionCode, entry);
+    return entry;
+  }
+
+  return {
+    /**
+     * Drop-in researchFn for getCarSeatGuidance: cached rule set, or a fresh one that is then cached.
+     * @returns {Promise<object|null>} Rule set with researchedAt, sourceHash and sourceChanged
+     */
+    async research(input) {
+      const { jurisdictionCode, sourceUrl } = input || {};
+      const cached = await store.get(jurisdictionCode);
+      if (cached && cached.sourceUrl === sourceUrl) return toRuleSet(cached);
+
+      if (!inFlight.has(jurisdictionCode)) {
+        const pending = (async () => {
+          const sourceText = await fetchSourceTextFn(sourceUrl);
+          if (!sourceText) return null;
+          return researchAndStore(input, sourceText, null);
+        })().finally(() => inFlight.delete(jurisdictionCode));
+        inFlight.set(jurisdictionCode, pending);
+      }
+      const entry = await inFlight.get(jurisdictionCode);
+      return entry ? toRuleSet(entry) : null;
+    },
+
+    /** @returns {Promise<object[]>} Cache entries sorted by jurisdiction code */
+    async list() {
+      const entries = await store.list();
+      return entries.sort((a, b) => a.jurisdictionCode.localeCompare(b.jurisdictionCode));
+    },
+
+    /**
+     * Re-check every cached source page.
+     * @returns {Promise<{ checked: number, unchanged: string[], reResearched: string[], flagged: string[], failed: string[] }>}
+     *   flagged: page changed but re-research produced no rules, so the old rule set is kept
+     */
+    async refresh() {
+      const summary = { checked: 0, unchanged: [], reResearched: [], flagged: [], failed: [] };
+      for (const entry of await store.list()) {
+        const code = entry.jurisdictionCode;
+        summary.checked += 1;
+        const checkedAt = now().toISOString();
+
+        let sourceText;
+        try {
+          sourceText = await fetchSourceTextFn(entry.sourceUrl);
+        } catch (error) {
+          await store.put(code, { ...entry, lastCheckedAt: checkedAt, refreshError: error.message });
+          summary.failed.push(code);
+          continue;
+        }
+
+        if (hashSourceText(sourceText) === entry.sourceHash) {
+          await store.put(code, { ...entry, lastCheckedAt: checkedAt, refreshError: null });
+          summary.unchanged.push(code);
+          continue;
+        }
+
+        const changed = { ...entry, sourceChangedAt: checkedAt };
+        let reResearched = null;
+        try {
+          reResearched = await researchAndStore(
+            { jurisdictionCode: code, jurisdictionName: entry.ruleSet?.jurisdictionName, sourceUrl: entry.sourceUrl },
+            sourceText,
+            changed,
+          );
+        } catch (error) {
+          changed.refreshError = error.message;
+        }
+        if (reResearched) {
+          summary.reResearched.push(code);
+        } else {
+          await store.put(code, { ...changed, lastCheckedAt: checkedAt, sourceChanged: true });
+          summary.flagged.push(code);
+        }
+      }
+      return summary;
+    },
+  };
+}
+
+/**
+ * Run cache.refresh() every intervalMs. The timer is unref'd so it never keeps the process alive.
+ * @returns {() => void} Stops the job
+ */
+export function startResearchRefreshJob(cache, { intervalMs = DEFAULT_REFRESH_INTERVAL_MS } = {}) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await cache.refresh();
+      if (summary.checked > 0) {
+        log.info("Car seat research refresh complete", {
+          checked: summary.checked,
+          reResearched: summary.reResearched,
+          flagged: summary.flagged,
+          failed: summary.failed,
+        });
+      }
+    } catch (error) {
+      log.error("Car seat research refresh failed", { error: error.message });
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
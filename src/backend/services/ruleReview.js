@@ -0,0 +1,385 @@
+// Car seat rule review workflow with versioned history.
+// - Version 1 of every US jurisdiction is the repo baseline in data/carSeatRules.js.
+// - A reviewer proposes a replacement rule set against the current version and gets a field-level diff.
+// - Approving a proposal creates the next version, marked "Verified" with the reviewer's name and date.
+//   Approving a proposal made against an older version is refused, so reviews never silently overwrite
+//   each other. Rejected proposals stay in the history.
+// - getCarSeatGuidance reads the current version through getCurrentRuleSet, so every answer can name
+//   the rule version and effectiveDate it applied.
+import crypto from "crypto";
+import { CAR_SEAT_RULES, EXEMPTION_STATUSES, EXEMPTION_VEHICLE_TYPES } from "../data/carSeatRules.js";
+import { sanitizeString } from "../utils/sanitize.js";
+
+export const RESTRAINT_TYPES = ["rear_facing", "forward_facing_harness", "booster", "seat_belt"];
+export const SEAT_POSITIONS = [
+  "rear_seat_required",
+  "rear_seat_required_if_available",
+  "rear_seat_required_under_8",
+  "rear_seat_required_under_9",
+  "rear_seat_required_under_13",
+  "rear_seat_recommended",
+  "rear_seat_preferred",
+  "not_specified",
+];
+
+const RULE_RANGE_FIELDS = [
+  ["minAgeMonths", "maxAgeMonths"],
+  ["minWeightLb", "maxWeightLb"],
+  ["minHeightIn", "maxHeightIn"],
+];
+const RULE_NUMBER_FIELDS = RULE_RANGE_FIELDS.flat();
+const RULE_FIELDS = ["requiredRestraint", "seatPosition", ...RULE_NUMBER_FIELDS];
+const RULE_SET_TEXT_FIELDS = ["sourceUrl", "effectiveDate", "notes", "citationSnippet"];
+const MAX_RULES = 12;
+const MAX_PENDING_PROPOSALS = 20;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate a proposed rule set. Only the reviewable fields are kept.
+ * @param {unknown} input - { rules, effectiveDate, sourceUrl?, notes?, citationSnippet? }
+ * @returns {{ ruleSet: object|null, errors: string[] }}
+ */
+export function sanitizeRuleSetProposal(input) {
+  const errors = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { ruleSet: null, errors: ["ruleSet must be an object"] };
+  }
+
+  const effectiveDate = sanitizeString(String(input.effectiveDate ?? ""), 10);
+  if (!ISO_DATE.test(effectiveDate) || Number.isNaN(Date.parse(effectiveDate))) {
+    errors.push("ruleSet.effectiveDate must be a YYYY-MM-DD date");
+  }
+  const sourceUrl = sanitizeString(String(input.sourceUrl ?? ""), 300);
+  if (sourceUrl && !/^https:\/\//.test(sourceUrl)) {
+    errors.push("ruleSet.sourceUrl must be an https URL");
+  }
+
+  const rawRules = Array.isArray(input.rules) ? input.rules : [];
+  if (rawRules.length === 0 || rawRules.length > MAX_RULES) {
+    errors.push(`ruleSet.rules must have 1-${MAX_RULES} rules`);
+  }
+
+  const priorities = new Set();
+  const rules = rawRules.slice(0, MAX_RULES).map((raw, index) => {
+    const label = `ruleSet.rules[${index}]`;
+    const rule = {
+      priority: Number(raw?.priority),
+      requiredRestraint: raw?.requiredRestraint,
+      seatPosition: raw?.seatPosition,
+    };
+    if (!Number.isInteger(rule.priority) || rule.priority < 1 || rule.priority > 99) {
+      errors.push(`${label}.priority must be an integer from 1 to 99`);
+    } else if (priorities.has(rule.priority)) {
+      errors.push(`${label}.priority ${rule.priority} is used more than once`);
+    }
+    priorities.add(rule.priority);
+    if (!RESTRAINT_TYPES.includes(rule.requiredRestraint)) {
+      errors.push(`${label}.requiredRestraint must be one of ${RESTRAINT_TYPES.join(", ")}`);
+    }
+    if (!SEAT_POSITIONS.includes(rule.seatPosition)) {
+      errors.push(`${label}.seatPosition must be one of ${SEAT_POSITIONS.join(", ")}`);
+    }
+    for (const field of RULE_NUMBER_FIELDS) {
+      if (raw?.[field] === undefined || raw?.[field] === null) continue;
+      const value = Number(raw[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        errors.push(`${label}.${field} must be a non-negative number`);
+      } else {
+        rule[field] = value;
+      }
+    }
+    for (const [minField, maxField] of RULE_RANGE_FIELDS) {
+      if (Number.isFinite(rule[minField]) && Number.isFinite(rule[maxField]) && rule[minField] > rule[maxField]) {
+        errors.push(`${label}.${minField} must not exceed ${maxField}`);
+      }
+    }
+    return rule;
+  });
+
+  const vehicleExemptions = sanitizeVehicleExemptions(input.vehicleExemptions, errors);
+
+  if (errors.length > 0) return { ruleSet: null, errors };
+
+  const ruleSet = { effectiveDate, rules };
+  if (vehicleExemptions) ruleSet.vehicleExemptions = vehicleExemptions;
+  if (sourceUrl) ruleSet.sourceUrl = sourceUrl;
+  for (const field of ["notes", "citationSnippet"]) {
+    const value = sanitizeString(String(input[field] ?? ""), 500);
+    if (value) ruleSet[field] = value;
+  }
+  return { ruleSet, errors };
+}
+
+// Optional { taxi?, rideshare?, bus?, rv? } → { status, note }; unknown vehicle types are errors.
+function sanitizeVehicleExemptions(input, errors) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) {
+    errors.push("ruleSet.vehicleExemptions must be an object");
+    return null;
+  }
+  const exemptions = {};
+  for (const [vehicleType, raw] of Object.entries(input)) {
+    const label = `ruleSet.vehicleExemptions.${vehicleType}`;
+    if (!EXEMPTION_VEHICLE_TYPES.includes(vehicleType)) {
+      errors.push(`${label} is not one of ${EXEMPTION_VEHICLE_TYPES.join(", ")}`);
+      continue;
+    }
+    if (!EXEMPTION_STATUSES.includes(raw?.status)) {
+      errors.push(`${label}.status must be one of ${EXEMPTION_STATUSES.join(", ")}`);
+      continue;
+    }
+    exemptions[vehicleType] = { status: raw.status, note: sanitizeString(String(raw.note ?? ""), 300) };
+  }
+  return Object.keys(exemptions).length > 0 ? exemptions : null;
+}
+
+const valueOrNull = (value) => (value === undefined ? null : value);
+
+/**
+ * Field-level differences between two rule sets. Rules are matched by priority.
+ * @returns {Array<{ path: string, from: unknown, to: unknown }>}
+ */
+export function diffRuleSets(current, proposed) {
+  const changes = [];
+  for (const field of RULE_SET_TEXT_FIELDS) {
+    const from = valueOrNull(current?.[field]);
+    const to = valueOrNull(proposed?.[field]);
+    if (from !== to) changes.push({ path: field, from, to });
+  }
+
+  const byPriority = (ruleSet) => new Map((ruleSet?.rules || []).map((rule) => [rule.priority, rule]));
+  const currentRules = byPriority(current);
+  const proposedRules = byPriority(proposed);
+  const priorities = [...new Set([...currentRules.keys(), ...proposedRules.keys()])].sort((a, b) => a - b);
+
+  for (const priority of priorities) {
+    const from = currentRules.get(priority);
+    const to = proposedRules.get(priority);
+    const path = `rules[priority=${priority}]`;
+    if (!from || !to) {
+      changes.push({ path, from: from || null, to: to || null });
+      continue;
+    }
+    for (const field of RULE_FIELDS) {
+      if (valueOrNull(from[field]) !== valueOrNull(to[field])) {
+        changes.push({ path: `${path}.${field}`, from: valueOrNull(from[field]), to: valueOrNull(to[field]) });
+      }
+    }
+  }
+
+  for (const vehicleType of EXEMPTION_VEHICLE_TYPES) {
+    for (const field of ["status", "note"]) {
+      const from = valueOrNull(current?.vehicleExemptions?.[vehicleType]?.[field]);
+      const to = valueOrNull(proposed?.vehicleExemptions?.[vehicleType]?.[field]);
+      if (from !== to) changes.push({ path: `vehicleExemptions.${vehicleType}.${field}`, from, to });
+    }
+  }
+  return changes;
+}
+
+function pickReviewable(ruleSet) {
+  const picked = { rules: ruleSet.rules };
+  for (const field of [...RULE_SET_TEXT_FIELDS, "vehicleExemptions"]) {
+    if (ruleSet[field] !== undefined) picked[field] = ruleSet[field];
+  }
+  return picked;
+}
+
+function baselineVersion(base) {
+  return {
+    version: 1,
+    ruleSet: pickReviewable(base),
+    verificationStatus: base.verificationStatus || "Needs review",
+    approvedBy: null,
+    approvedOn: null,
+    approvedAt: null,
+    proposalId: null,
+    changes: [],
+  };
+}
+
+/**
+ * Review service over a rule store (see ruleStore.js).
+ * @param {{ store: { get, put, list }, baseRules?: object, now?: () => Date }} options
+ */
+export function createRuleReviewService({ store, baseRules = CAR_SEAT_RULES, now = () => new Date() }) {
+  const locks = new Map();
+
+  // Serializes read-modify-write per jurisdiction, like the checklist hub's withLock.
+  async function withLock(code, fn) {
+    const previous = locks.get(code) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const tail = run.catch(() => {});
+    locks.set(code, tail);
+    try {
+      return await run;
+    } finally {
+      if (locks.get(code) === tail) locks.delete(code);
+    }
+  }
+
+  async function loadDoc(code) {
+    const base = baseRules[code];
+    if (!base) return null;
+    return (await store.get(code)) || { jurisdictionCode: code, versions: [baselineVersion(base)], proposals: [] };
+  }
+
+  const currentVersion = (doc) => doc.versions[doc.versions.length - 1];
+
+  function toRuleSet(code, version) {
+    const base = baseRules[code];
+    return {
+      jurisdictionCode: base.jurisdictionCode || code,
+      jurisdictionName: base.jurisdictionName,
+      lastUpdated: version.approvedOn || base.lastUpdated,
+      ...version.ruleSet,
+      effectiveDate: version.ruleSet.effectiveDate || "Not found in repo",
+      verificationStatus: version.verificationStatus,
+      version: version.version,
+      reviewedBy: version.approvedBy,
+      reviewedOn: version.approvedOn,
+    };
+  }
+
+  function findProposal(doc, proposalId) {
+    return doc.proposals.find((proposal) => proposal.id === proposalId) || null;
+  }
+
+  return {
+    /** @returns {Promise<object|null>} Current rule set with version metadata, or null for unknown codes */
+    async getCurrentRuleSet(code) {
+      const doc = await loadDoc(code);
+      return doc ? toRuleSet(code, currentVersion(doc)) : null;
+    },
+
+    /** @returns {Promise<object>} Current rule set for every jurisdiction, keyed by code */
+    async currentRules() {
+      const reviewed = new Map((await store.list()).map((doc) => [doc.jurisdictionCode, doc]));
+      return Object.fromEntries(
+        Object.keys(baseRules).map((code) => {
+          const doc = reviewed.get(code);
+          return [code, toRuleSet(code, doc ? currentVersion(doc) : baselineVersion(baseRules[code]))];
+        }),
+      );
+    },
+
+    /** @returns {Promise<object|null>} { jurisdictionCode, currentVersion, versions, proposals } */
+    async getHistory(code) {
+      const doc = await loadDoc(code);
+      if (!doc) return null;
+      return {
+        jurisdictionCode: code,
+        currentVersion: currentVersion(doc).version,
+        versions: doc.versions,
+        proposals: doc.proposals,
+      };
+    },
+
+    /**
+     * @returns {Promise<{ proposal: object, diff: Array } | { errors: string[] } | { error: string } | null>}
+     */
+    async propose(code, { ruleSet: rawRuleSet, proposedBy, note }) {
+      const { ruleSet, errors } = sanitizeRuleSetProposal(rawRuleSet);
+      const author = sanitizeString(String(proposedBy ?? ""), 80);
+      if (!author) errors.push("proposedBy is required");
+      if (errors.length > 0) return { errors };
+
+      return withLock(code, async () => {
+        const doc = await loadDoc(code);
+        if (!doc) return null;
+        if (doc.proposals.filter((proposal) => proposal.status === "pending").length >= MAX_PENDING_PROPOSALS) {
+          return { error: "TOO_MANY_PENDING" };
+        }
+        const current = currentVersion(doc);
+        const proposal = {
+          id: crypto.randomUUID(),
+          status: "pending",
+          baseVersion: current.version,
+          ruleSet,
+          proposedBy: author,
+          proposedAt: now().toISOString(),
+          note: sanitizeString(String(note ?? ""), 500) || null,
+          reviewedBy: null,
+          reviewedOn: null,
+          reviewNote: null,
+        };
+        doc.proposals.push(proposal);
+        await store.put(code, doc);
+        return { proposal, diff: diffRuleSets(current.ruleSet, ruleSet) };
+      });
+    },
+
+    /** @returns {Promise<{ proposal: object, currentVersion: number, diff: Array } | null>} Diff is against the current version */
+    async getProposal(code, proposalId) {
+      const doc = await loadDoc(code);
+      const proposal = doc && findProposal(doc, proposalId);
+      if (!proposal) return null;
+      const current = currentVersion(doc);
+      return { proposal, currentVersion: current.version, diff: diffRuleSets(current.ruleSet, proposal.ruleSet) };
+    },
+
+    /**
+     * Approve a pending proposal as the next version.
+     * @param {{ reviewedBy: string, reviewedOn?: string, note?: string }} review - reviewedOn defaults to today
+     * @returns {Promise<{ version: object, ruleSet: object } | { errors: string[] } | { error: string } | null>}
+     */
+    async approve(code, proposalId, { reviewedBy, reviewedOn, note }) {
+      const reviewer = sanitizeString(String(reviewedBy ?? ""), 80);
+      const day = reviewedOn === undefined || reviewedOn === null ? now().toISOString().slice(0, 10) : String(reviewedOn);
+      const errors = [];
+      if (!reviewer) errors.push("reviewedBy is required");
+      if (!ISO_DATE.test(day) || Number.isNaN(Date.parse(day))) errors.push("reviewedOn must be a YYYY-MM-DD date");
+      if (errors.length > 0) return { errors };
+
+      return withLock(code, async () => {
+        const doc = await loadDoc(code);
+        const proposal = doc && findProposal(doc, proposalId);
+        if (!proposal) return null;
+        if (proposal.status !== "pending") return { error: "PROPOSAL_NOT_PENDING" };
+        const current = currentVersion(doc);
+        if (proposal.baseVersion !== current.version) return { error: "STALE_PROPOSAL" };
+
+        const version = {
+          version: current.version + 1,
+          ruleSet: proposal.ruleSet,
+          verificationStatus: "Verified",
+          approvedBy: reviewer,
+          approvedOn: day,
+          approvedAt: now().toISOString(),
+          proposalId: proposal.id,
+          changes: diffRuleSets(current.ruleSet, proposal.ruleSet),
+        };
+        Object.assign(proposal, {
+          status: "approved",
+          reviewedBy: reviewer,
+          reviewedOn: day,
+          reviewNote: sanitizeString(String(note ?? ""), 500) || null,
+        });
+        doc.versions.push(version);
+        await store.put(code, doc);
+        return { version, ruleSet: toRuleSet(code, version) };
+      });
+    },
+
+    /** @returns {Promise<{ proposal: object } | { errors: string[] } | { error: string } | null>} */
+    async reject(code, proposalId, { reviewedBy, note }) {
+      const reviewer = sanitizeString(String(reviewedBy ?? ""), 80);
+      if (!reviewer) return { errors: ["reviewedBy is required"] };
+
+      return withLock(code, async () => {
+        const doc = await loadDoc(code);
+        const proposal = doc && findProposal(doc, proposalId);
+        if (!proposal) return null;
+        if (proposal.status !== "pending") return { error: "PROPOSAL_NOT_PENDING" };
+        Object.assign(proposal, {
+          status: "rejected",
+          reviewedBy: reviewer,
+          reviewedOn: now().toISOString().slice(0, 10),
+          reviewNote: sanitizeString(String(note ?? ""), 500) || null,
+        });
+        await store.put(code, doc);
+        return { proposal };
+      });
+    },
+  };
+}
@@ -0,0 +1,111 @@
+// Car seat rule persistence: one JSON document per US jurisdiction.
+// - Rule review store: { jurisdictionCode, versions, proposals }; ruleReview.js owns what goes in it.
+// - Research cache store: AI-researched rule sets with their source hash; researchCache.js owns those.
+// Backends share one async interface, like tripStore.js:
+//   - createFileRuleStore(dir): one `<CODE>.json` file per jurisdiction (default).
+//   - createMemoryRuleStore(): Map-backed, used in tests and when RULE_STORE=memory.
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RULE_STORE_DIR = path.join(__dirname, "../.data/car-seat-rules");
+const DEFAULT_RESEARCH_STORE_DIR = path.join(__dirname, "../.data/car-seat-research");
+
+// US state / DC codes only — also keeps file lookups inside the store directory.
+const JURISDICTION_CODE_PATTERN = /^[A-Z]{2}$/;
+
+/**
+ * In-memory rule store. Data lives only as long as the process.
+ * @returns {{ get, put, list, kind: string }}
+ */
+export function createMemoryRuleStore() {
+  const docs = new Map();
+  const clone = (value) => (value ? structuredClone(value) : null);
+
+  return {
+    kind: "memory",
+    async get(code) {
+      if (!JURISDICTION_CODE_PATTERN.test(code)) return null;
+      return clone(docs.get(code));
+    },
+    async put(code, doc) {
+      if (!JURISDICTION_CODE_PATTERN.test(code)) return null;
+      docs.set(code, clone(doc));
+      return clone(doc);
+    },
+    async list() {
+      return [...docs.values()].map(clone);
+    },
+  };
+}
+
+/**
+ * File-backed rule store: one `<CODE>.json` per jurisdiction that has review activity.
+ * Writes go to a temp file and are renamed into place so readers never see a partial document.
+ * @param {string} dir - Directory to hold review files (created on first write)
+ * @returns {{ get, put, list, kind: string }}
+ */
+export function createFileRuleStore(dir = DEFAULT_RULE_STORE_DIR) {
+  const fileFor = (code) => path.join(dir, `${code}.json`);
+
+  async function readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  return {
+    kind: "file",
+    async get(code) {
+      if (!JURISDICTION_CODE_PATTERN.test(code)) return null;
+      return readJson(fileFor(code));
+    },
+    async put(code, doc) {
+      if (!JURISDICTION_CODE_PATTERN.test(code)) return null;
+      await fs.mkdir(dir, { recursive: true });
+      const tmpPath = `${fileFor(code)}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(doc), "utf8");
+      await fs.rename(tmpPath, fileFor(code));
+      return doc;
+    },
+    async list() {
+      let entries;
+      try {
+        entries = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      const docs = await Promise.all(
+        entries.filter((name) => name.endsWith(".json")).map((name) => readJson(path.join(dir, name))),
+      );
+      return docs.filter(Boolean);
+    },
+  };
+}
+
+/**
+ * Build the rule store selected by environment.
+ * RULE_STORE=memory|file (default: file, memory under NODE_ENV=test).
+ * RULE_STORE_DIR overrides the file store location.
+ */
+export function createRuleStore(env = process.env) {
+  const kind = env.RULE_STORE || (env.NODE_ENV === "test" ? "memory" : "file");
+  if (kind === "memory") return createMemoryRuleStore();
+  return createFileRuleStore(env.RULE_STORE_DIR || DEFAULT_RULE_STORE_DIR);
+}
+
+/**
+ * Build the research cache store selected by environment.
+ * RESEARCH_STORE=memory|file (default: file, memory under NODE_ENV=test).
+ * RESEARCH_STORE_DIR overrides the file store location.
+ */
+export function createResearchStore(env = process.env) {
+  const kind = env.RESEARCH_STORE || (env.NODE_ENV === "test" ? "memory" : "file");
+  if (kind === "memory") return createMemoryRuleStore();
+  return createFileRuleStore(env.RESEARCH_STORE_DIR || DEFAULT_RESEARCH_STORE_DIR);
+}
@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import Anthropic from "@anthropic-ai/sdk";
 
 const FETCH_TIMEOUT_MS = 12000;
@@ -78,7 +79,11 @@ function parseJsonFromResponse(responseText) {
   return null;
 }
 
-async function fetchSourceText(sourceUrl, fetchFn = fetch) {
+/**
+ * Fetch an official source page and reduce it to the plain text the model reads.
+ * @returns {Promise<string>} At most MAX_TEXT_CHARS of tag-free text
+ */
+export async function fetchOfficialSourceText(sourceUrl, fetchFn = fetch) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
 
@@ -103,6 +108,14 @@ async function fetchSourceText(sourceUrl, fetchFn = fetch) {
   }
 }
 
+/**
+ * Fingerprint of a source page's extracted text. Markup-only edits don't change it.
+ * @returns {string} sha256 hex digest
+ */
+export function hashSourceText(sourceText) {
+  return crypto.createHash("sha256").update(String(sourceText || "")).digest("hex");
+}
+
 function buildPrompt({ jurisdictionCode, jurisdictionName, sourceUrl, sourceText }) {
   return `You are extracting child passenger safety law signals from an official source page.
 
@@ -152,8 +165,13 @@ function getTextContent(message) {
     .trim();
 }
 
+/**
+ * Extract a structured rule set from an official source page with the model.
+ * Pass `sourceText` when the page was already fetched (the refresh job does, to hash it first).
+ * @returns {Promise<object|null>} Rule set with `sourceHash` and `researchedAt`, or null
+ */
 export async function researchCarSeatRulesFromOfficialSource(
-  { jurisdictionCode, jurisdictionName, sourceUrl },
+  { jurisdictionCode, jurisdictionName, sourceUrl, sourceText: prefetchedText },
   deps = {},
 ) {
   const {
@@ -170,7 +188,7 @@ export async function researchCarSeatRulesFromOfficialSource(
     return null;
   }
 
-  const sourceText = await fetchSourceText(sourceUrl, fetchFn);
+  const sourceText = prefetchedText ?? (await fetchOfficialSourceText(sourceUrl, fetchFn));
   if (!sourceText) return null;
 
   const anthropic = anthropicFactory(process.env.ANTHROPIC_API_KEY);
@@ -218,15 +236,19 @@ export async function researchCarSeatRulesFromOfficialSource(
     .map((rule, index) => normalizeRule(rule, index))
     .filter((rule) => rule.requiredRestraint !== "not_found");
 
+  const researchedAt = new Date().toISOString();
+
   return {
     jurisdictionCode,
     jurisdictionName,
     sourceUrl,
+    sourceHash: hashSourceText(sourceText),
+    researchedAt,
     effectiveDate:
       typeof parsed.effectiveDate === "string" && parsed.effectiveDate.trim()
         ? parsed.effectiveDate.trim()
         : "Not found in repo",
-    lastUpdated: new Date().toISOString().slice(0, 10),
+    lastUpdated: researchedAt.slice(0, 10),
     verificationStatus: "Needs review",
     notes:
       typeof parsed.summary === "string" && parsed.summary.trim()
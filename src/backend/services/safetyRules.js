@@ -1,5 +1,11 @@
-import { CAR_SEAT_RULES } from "../data/carSeatRules.js";
+import {
+  CAR_SEAT_RULES,
+  DEFAULT_VEHICLE_EXEMPTIONS,
+  EXEMPTION_VEHICLE_TYPES,
+  INTL_CAR_SEAT_RULES,
+} from "../data/carSeatRules.js";
 import { researchCarSeatRulesFromOfficialSource } from "./safetyLawResearch.js";
+import { addDaysIso, childAgeMonthsOn } from "../utils/childAge.js";
 
 // Safety rules engine:
 // - Resolves destination to a jurisdiction.
@@ -12,6 +18,28 @@ const STATUS_RANK = {
   Unavailable: 2,
 };
 
+// Strictness order for "strictest across route" guidance: a higher rank keeps the child in a more
+// protective restraint or seat for longer.
+const RESTRAINT_RANK = {
+  not_found: 0,
+  seat_belt: 1,
+  booster: 2,
+  forward_facing_harness: 3,
+  rear_facing: 4,
+};
+
+const SEAT_POSITION_RANK = {
+  not_found: 0,
+  not_specified: 0,
+  rear_seat_preferred: 1,
+  rear_seat_recommended: 2,
+  rear_seat_required_if_available: 3,
+  rear_seat_required_under_8: 4,
+  rear_seat_required_under_9: 5,
+  rear_seat_required_under_13: 6,
+  rear_seat_required: 7,
+};
+
 const US_STATE_NAME_TO_CODE = {
   alabama: "AL",
   alaska: "AK",
@@ -80,18 +108,13 @@ const STATE_NAME_MATCH_ORDER = Object.entries(US_STATE_NAME_TO_CODE).sort(
   (a, b) => b[0].length - a[0].length,
 );
 
-const OFFICIAL_SOURCE_REGISTRY = {
-  CA: "https://www.chp.ca.gov/programs-services/programs/child-safety-seats",
-  WA: "https://wtsc.wa.gov/child-passenger-safety/",
-  TX: "https://www.dshs.texas.gov/injury-prevention/safe-riders",
-  NY: "https://dmv.ny.gov/more-info/safety-restraints",
-  FL: "https://www.flhsmv.gov/safety-center/child-safety/",
-  CO: "https://www.codot.gov/safety/carseats",
-  VA: "https://www.dmv.virginia.gov/safety/#occupant-protection/children.asp",
-  GA: "https://www.gahighwaysafety.org/child-passenger-safety/",
-  PA: "https://www.penndot.pa.gov/TravelInPA/Safety/TrafficSafetyAndDriverTopics/Pages/Child-Passenger-Safety.aspx",
-  MN: "https://dps.mn.gov/divisions/ots/child-passenger-safety/Pages/default.aspx",
-};
+// Official source per jurisdiction, used for research fallback and coverage reporting.
+// Every US state + DC has a repo rule set, so the registry is derived from it.
+const OFFICIAL_SOURCE_REGISTRY = Object.fromEntries(
+  Object.values(US_STATE_NAME_TO_CODE)
+    .filter((code) => CAR_SEAT_RULES[code]?.sourceUrl)
+    .map((code) => [code, CAR_SEAT_RULES[code].sourceUrl]),
+);
 
 function normalizeAgeMonths(child) {
   // Uses months as canonical comparison unit because legal thresholds are often month-based.
@@ -106,19 +129,27 @@ function normalizeAgeMonths(child) {
   return 0;
 }
 
-function normalizeChildren(children) {
+function normalizeChildren(children, onDate) {
   // Produces a stable child shape so downstream evaluation logic stays deterministic.
+  // Children with a birthDate get their age on onDate (the trip date) instead of the age entered today.
   if (!Array.isArray(children)) return [];
 
-  return children.map((child, index) => ({
-    id: child.id || `child-${index + 1}`,
-    ageMonths: normalizeAgeMonths(child),
-    ageYears: Number.isFinite(child.age)
-      ? child.age
-      : Math.floor(normalizeAgeMonths(child) / 12),
-    weightLb: Number.isFinite(child.weightLb) ? child.weightLb : null,
-    heightIn: Number.isFinite(child.heightIn) ? child.heightIn : null,
-  }));
+  return children.map((child, index) => {
+    const projectedMonths = child.birthDate ? childAgeMonthsOn(child, onDate) : null;
+    return {
+      id: child.id || `child-${index + 1}`,
+      ageMonths: projectedMonths ?? normalizeAgeMonths(child),
+      ageYears:
+        projectedMonths !== null
+          ? Math.floor(projectedMonths / 12)
+          : Number.isFinite(child.age)
+            ? child.age
+            : Math.floor(normalizeAgeMonths(child) / 12),
+      weightLb: Number.isFinite(child.weightLb) ? child.weightLb : null,
+      heightIn: Number.isFinite(child.heightIn) ? child.heightIn : null,
+      birthDate: child.birthDate || null,
+    };
+  });
 }
 
 function withinRange(value, min, max) {
@@ -308,6 +339,7 @@ function buildUnavailableResult({
     sourceUrl,
     effectiveDate: "Not found in repo",
     lastUpdated: "Not found in repo",
+    ruleVersion: null,
     tripDate,
     results: children.map((child) => ({
       childId: child.id,
@@ -320,23 +352,80 @@ function buildUnavailableResult({
   };
 }
 
-function buildGuidanceFromRuleSet({ ruleSet, children, tripDate }) {
+// ── Age thresholds crossed before / during the trip ──────────────────────────
+// Only children with a birthDate can be projected. Weight and height stay as entered today.
+
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+// Upper bound on the day-by-day scan so a far-future tripDate can't run away.
+const MAX_CROSSING_SCAN_DAYS = 3 * 366;
+
+function restraintOn(child, ruleSet, isoDate) {
+  return evaluateChild({ ...child, ageMonths: childAgeMonthsOn(child, isoDate) }, ruleSet);
+}
+
+function firstRestraintChange(child, ruleSet, fromDate, toDate) {
+  const start = restraintOn(child, ruleSet, fromDate);
+  let day = fromDate;
+  for (let i = 0; i < MAX_CROSSING_SCAN_DAYS && day < toDate; i += 1) {
+    day = addDaysIso(day, 1);
+    const next = restraintOn(child, ruleSet, day);
+    if (next.requiredRestraint !== start.requiredRestraint) {
+      return {
+        date: day,
+        fromRestraint: start.requiredRestraint,
+        fromLabel: start.requiredRestraintLabel,
+        toRestraint: next.requiredRestraint,
+        toLabel: next.requiredRestraintLabel,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * @returns {Array<{ when: "before_trip"|"during_trip", date: string, fromRestraint: string, toRestraint: string,
+ *   fromLabel: string, toLabel: string }>} Empty when the child has no birthDate or no threshold is crossed
+ */
+function findThresholdCrossings(child, ruleSet, { today, tripDate, tripEndDate }) {
+  if (!child.birthDate || !ISO_DAY.test(tripDate || "")) return [];
+  const crossings = [];
+  if (today < tripDate) {
+    const before = firstRestraintChange(child, ruleSet, today, tripDate);
+    if (before) crossings.push({ when: "before_trip", ...before });
+  }
+  if (ISO_DAY.test(tripEndDate || "") && tripDate < tripEndDate) {
+    const during = firstRestraintChange(child, ruleSet, tripDate, tripEndDate);
+    if (during) crossings.push({ when: "during_trip", ...during });
+  }
+  return crossings;
+}
+
+function buildGuidanceFromRuleSet({ ruleSet, children, tripDate, tripEndDate, today }) {
   // Builds final API payload from a rule set plus normalized child profiles.
   const results = children.map((child) => {
     const evaluated = evaluateChild(child, ruleSet);
+    const thresholdCrossings = findThresholdCrossings(child, ruleSet, { today, tripDate, tripEndDate });
+    const duringTrip = thresholdCrossings.find((crossing) => crossing.when === "during_trip");
 
     return {
       childId: child.id,
       ageYears: child.ageYears,
+      ageMonths: child.ageMonths,
+      // True when age came from birthDate as of tripDate rather than the age entered today.
+      ageProjected: Boolean(child.birthDate),
+      thresholdCrossings,
       weightLb: child.weightLb,
       heightIn: child.heightIn,
       status: evaluated.status,
       requiredRestraint: evaluated.requiredRestraint,
       requiredRestraintLabel: evaluated.requiredRestraintLabel,
       seatPosition: evaluated.seatPosition,
-      rationale: evaluated.rationale,
+      rationale: duringTrip
+        ? `${evaluated.rationale} On ${duringTrip.date}, during the trip, the required restraint changes to ${duringTrip.toLabel}.`
+        : evaluated.rationale,
       sourceUrl: ruleSet.sourceUrl,
       effectiveDate: ruleSet.effectiveDate,
+      ruleVersion: ruleSet.version ?? null,
       citationSnippet: ruleSet.citationSnippet || undefined,
     };
   });
@@ -349,11 +438,54 @@ function buildGuidanceFromRuleSet({ ruleSet, children, tripDate }) {
     sourceUrl: ruleSet.sourceUrl,
     effectiveDate: ruleSet.effectiveDate,
     lastUpdated: ruleSet.lastUpdated,
+    // Which reviewed version of the rules produced this answer (null for AI-researched rules).
+    ruleVersion: ruleSet.version ?? null,
+    reviewedBy: ruleSet.reviewedBy ?? null,
+    reviewedOn: ruleSet.reviewedOn ?? null,
+    // Set only for AI-researched rules served from the research cache (see researchCache.js).
+    researchedAt: ruleSet.researchedAt ?? null,
+    sourceChanged: ruleSet.sourceChanged ?? false,
     tripDate: tripDate || null,
     results,
   };
 }
 
+// ── Vehicle types ────────────────────────────────────────────────────────────
+// "car" is the family's own car (no exemption block). Rental cars follow the full law;
+// the other types can be exempt per state (see vehicleExemptions in data/carSeatRules.js).
+export const VEHICLE_TYPES = ["car", "rental_car", ...EXEMPTION_VEHICLE_TYPES];
+
+const RENTAL_CAR_NOTE =
+  "The car seat law applies in rental cars. Counters rent seats subject to availability and staff can't install them — reserve ahead, check the seat's expiry date and labels, or bring your own.";
+
+/**
+ * Whether a jurisdiction's car seat law applies in the given vehicle type.
+ * legallyRequired is null when the rule is unclear; the recommended restraint is still the safe choice.
+ * @returns {{ vehicleType: string, status: string, legallyRequired: boolean|null, note: string,
+ *   source: "jurisdiction"|"default" } | null} null for the family's own car or an unknown type
+ */
+function buildVehicleExemption(vehicleType, ruleSet) {
+  if (vehicleType === "rental_car") {
+    return { vehicleType, status: "not_exempt", legallyRequired: true, note: RENTAL_CAR_NOTE, source: "default" };
+  }
+  if (!EXEMPTION_VEHICLE_TYPES.includes(vehicleType)) return null;
+
+  const own = ruleSet.vehicleExemptions?.[vehicleType];
+  const exemption = own || DEFAULT_VEHICLE_EXEMPTIONS[vehicleType];
+  return {
+    vehicleType,
+    status: exemption.status,
+    legallyRequired: exemption.status === "exempt" ? false : exemption.status === "not_exempt" ? true : null,
+    note: exemption.note,
+    source: own ? "jurisdiction" : "default",
+  };
+}
+
+// Repo baseline rule sets are version 1 until a review approves a newer one (see ruleReview.js).
+async function baselineRuleSet(code) {
+  return CAR_SEAT_RULES[code] ? { ...CAR_SEAT_RULES[code], version: 1 } : null;
+}
+
 export function resolveJurisdictionCode({ jurisdictionCode, destination }) {
   // Trust explicit 2-letter code first; otherwise infer from destination text.
   if (
@@ -414,7 +546,7 @@ const EU_COUNTRIES = new Set([
 function buildInternationalGuidance({ countryCode, children, destination, tripDate }) {
   // Returns structured guidance for non-US destinations using country-level rules.
   // Note: Always advise users to verify current local regulations before travel.
-  const normalizedChildren = normalizeChildren(children);
+  const normalizedChildren = normalizeChildren(children, tripDate);
   const countryInfo = COUNTRY_GUIDANCE[countryCode];
   const isEU = EU_COUNTRIES.has(countryCode);
 
@@ -520,10 +652,12 @@ export async function getCarSeatGuidance(input, deps = {}) {
   const {
     sourceRegistry = OFFICIAL_SOURCE_REGISTRY,
     researchFn = researchCarSeatRulesFromOfficialSource,
+    ruleSetFn = baselineRuleSet,
+    now = () => new Date(),
   } = deps;
 
-  const { jurisdictionCode, destination, tripDate, children, countryCode } = input || {};
-  const normalizedChildren = normalizeChildren(children);
+  const { jurisdictionCode, destination, tripDate, tripEndDate, children, countryCode, vehicleType } = input || {};
+  const normalizedChildren = normalizeChildren(children, tripDate);
 
   // Non-US country: return international guidance immediately (no state-rule lookup)
   const effectiveCountry = countryCode || null;
@@ -550,7 +684,7 @@ export async function getCarSeatGuidance(input, deps = {}) {
     });
   }
 
-  let ruleSet = CAR_SEAT_RULES[resolvedJurisdictionCode];
+  let ruleSet = await ruleSetFn(resolvedJurisdictionCode);
 
   if (!ruleSet) {
     const sourceUrl = sourceRegistry[resolvedJurisdictionCode] || null;
@@ -605,9 +739,351 @@ export async function getCarSeatGuidance(input, deps = {}) {
     }
   }
 
-  return buildGuidanceFromRuleSet({
+  const guidance = buildGuidanceFromRuleSet({
     ruleSet,
     children: normalizedChildren,
     tripDate,
+    tripEndDate,
+    today: now().toISOString().slice(0, 10),
+  });
+  const vehicleExemption = buildVehicleExemption(vehicleType, ruleSet);
+  return vehicleExemption ? { ...guidance, vehicleType, vehicleExemption } : guidance;
+}
+
+/**
+ * Car seat guidance for every jurisdiction a multi-stop trip stays in, in route order.
+ * Each distinct state (or country, outside the US) is evaluated once with `guidanceFn`.
+ * @param {{ stops: Array<{ destination?: string, jurisdictionCode?: string|null, countryCode?: string }>,
+ *   tripDate?: string, tripEndDate?: string, children: Array<object>, vehicleType?: string|null }} input - tripEndDate
+ *   and vehicleType are passed through so each jurisdiction can flag thresholds crossed during the trip and note
+ *   its own vehicle exemption
+ * @param {{ guidanceFn?: Function, rules?: object }} [deps] - guidanceFn defaults to getCarSeatGuidance;
+ *   rules (for the strictest summary) defaults to CAR_SEAT_RULES
+ * @returns {Promise<{ guidanceMode: "route", status: string, jurisdictionCodes: string[], jurisdictions: Array<object>,
+ *   strictest?: object }>} strictest is present when the route spans two or more US states
+ */
+export async function getRouteCarSeatGuidance(input, deps = {}) {
+  const { guidanceFn = getCarSeatGuidance, rules = CAR_SEAT_RULES } = deps;
+  const { stops, tripDate, tripEndDate, children, vehicleType = null } = input || {};
+
+  const seen = new Set();
+  const uniqueStops = [];
+  for (const stop of Array.isArray(stops) ? stops : []) {
+    const countryCode = (stop.countryCode || "US").toUpperCase();
+    const jurisdictionCode =
+      countryCode === "US"
+        ? resolveJurisdictionCode({ jurisdictionCode: stop.jurisdictionCode, destination: stop.destination })
+        : null;
+    const key = countryCode === "US" ? jurisdictionCode || stop.destination : countryCode;
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    uniqueStops.push({ ...stop, countryCode, jurisdictionCode, key });
+  }
+
+  const jurisdictions = [];
+  for (const stop of uniqueStops) {
+    jurisdictions.push(
+      await guidanceFn({
+        destination: stop.destination,
+        jurisdictionCode: stop.jurisdictionCode,
+        countryCode: stop.countryCode,
+        tripDate,
+        tripEndDate,
+        children,
+        vehicleType,
+      }),
+    );
+  }
+
+  const usCodes = uniqueStops.filter((stop) => stop.countryCode === "US" && stop.jurisdictionCode).map((stop) => stop.key);
+
+  return {
+    guidanceMode: "route",
+    status: aggregateStatus(jurisdictions.map((guidance) => guidance.status)),
+    jurisdictionCodes: uniqueStops.map((stop) => stop.key),
+    jurisdictions,
+    // One summary the family can follow across every state line.
+    ...(usCodes.length > 1
+      ? { strictest: getStrictestCarSeatGuidance({ jurisdictionCodes: usCodes, tripDate, children }, { rules }) }
+      : {}),
+  };
+}
+
+// Picks the entry with the highest rank; ties go to the earliest state on the route.
+function strictestBy(evaluations, field, ranks) {
+  return evaluations.reduce((best, current) =>
+    (ranks[current[field]] ?? 0) > (ranks[best[field]] ?? 0) ? current : best,
+  );
+}
+
+/**
+ * "Strictest across route" guidance: each child is evaluated against the CAR_SEAT_RULES entry of
+ * every US state on the route, and the most restrictive restraint and seat position win.
+ * Each requirement names the state that drives it. States whose rule set is not "Verified" are
+ * listed in jurisdictionsNeedingReview; states without repo data are listed in uncoveredJurisdictions.
+ * With a vehicleType other than the family's car, `vehicleExemptions` says per state whether the law applies.
+ * @param {{ jurisdictionCodes: string[], tripDate?: string, children: Array<object>, vehicleType?: string|null }} input
+ * @param {{ rules?: object }} [deps] - rules defaults to CAR_SEAT_RULES; pass ruleReview.currentRules() for reviewed versions
+ */
+export function getStrictestCarSeatGuidance(input, deps = {}) {
+  const { rules = CAR_SEAT_RULES } = deps;
+  const { jurisdictionCodes, tripDate, children, vehicleType = null } = input || {};
+  const normalizedChildren = normalizeChildren(children, tripDate);
+  const codes = [
+    ...new Set((Array.isArray(jurisdictionCodes) ? jurisdictionCodes : []).map((code) => String(code).toUpperCase())),
+  ];
+  const ruleSets = codes.map((code) => rules[code]).filter(Boolean);
+  const uncoveredJurisdictions = codes.filter((code) => !rules[code]);
+
+  const jurisdictionsNeedingReview = ruleSets
+    .filter((ruleSet) => ruleSet.verificationStatus !== "Verified")
+    .map((ruleSet) => ({
+      jurisdictionCode: ruleSet.jurisdictionCode,
+      jurisdictionName: ruleSet.jurisdictionName,
+      verificationStatus: ruleSet.verificationStatus || "Needs review",
+      sourceUrl: ruleSet.sourceUrl,
+    }));
+
+  const results = normalizedChildren.map((child) => {
+    const evaluations = ruleSets.map((ruleSet) => ({
+      jurisdictionCode: ruleSet.jurisdictionCode,
+      jurisdictionName: ruleSet.jurisdictionName,
+      ruleVersion: ruleSet.version ?? 1,
+      ...evaluateChild(child, ruleSet),
+    }));
+    const matched = evaluations.filter((evaluation) => evaluation.requiredRestraint !== "not_found");
+
+    if (matched.length === 0) {
+      return {
+        childId: child.id,
+        ageYears: child.ageYears,
+        weightLb: child.weightLb,
+        heightIn: child.heightIn,
+        status: "Unavailable",
+        requiredRestraint: "not_found",
+        requiredRestraintLabel: "Not found in repo",
+        seatPosition: "not_found",
+        restraintJurisdictionCode: null,
+        seatPositionJurisdictionCode: null,
+        rationale: "No matching rule found for this child profile in any state on the route.",
+        byJurisdiction: evaluations,
+      };
+    }
+
+    const restraint = strictestBy(matched, "requiredRestraint", RESTRAINT_RANK);
+    const seat = strictestBy(matched, "seatPosition", SEAT_POSITION_RANK);
+    const unmatched = evaluations.filter((evaluation) => evaluation.requiredRestraint === "not_found");
+
+    return {
+      childId: child.id,
+      ageYears: child.ageYears,
+      weightLb: child.weightLb,
+      heightIn: child.heightIn,
+      status: aggregateStatus(evaluations.map((evaluation) => evaluation.status)),
+      requiredRestraint: restraint.requiredRestraint,
+      requiredRestraintLabel: restraint.requiredRestraintLabel,
+      seatPosition: seat.seatPosition,
+      restraintJurisdictionCode: restraint.jurisdictionCode,
+      seatPositionJurisdictionCode: seat.jurisdictionCode,
+      rationale:
+        `${restraint.requiredRestraintLabel} is the strictest requirement on the route (${restraint.jurisdictionName}); ` +
+        `seat position follows ${seat.jurisdictionName}. Meeting these should satisfy every state evaluated.` +
+        (unmatched.length > 0
+          ? ` No matching rule in ${unmatched.map((evaluation) => evaluation.jurisdictionCode).join(", ")} — check separately.`
+          : ""),
+      byJurisdiction: evaluations,
+    };
   });
+
+  const statuses = results.map((result) => result.status);
+  if (uncoveredJurisdictions.length > 0) statuses.push("Needs review");
+  const vehicleExemptions = ruleSets
+    .map((ruleSet) => {
+      const exemption = buildVehicleExemption(vehicleType, ruleSet);
+      return exemption && { jurisdictionCode: ruleSet.jurisdictionCode, jurisdictionName: ruleSet.jurisdictionName, ...exemption };
+    })
+    .filter(Boolean);
+
+  return {
+    guidanceMode: "route_strictest",
+    status: aggregateStatus(statuses),
+    jurisdictionCodes: codes,
+    jurisdictionsNeedingReview,
+    uncoveredJurisdictions,
+    message:
+      uncoveredJurisdictions.length > 0
+        ? `No rule data for ${uncoveredJurisdictions.join(", ")} — check those states' official sources separately.`
+        : "Requirements are the strictest across every state on the route. Verify legal requirements before travel.",
+    tripDate: tripDate || null,
+    results,
+    ...(vehicleExemptions.length > 0 ? { vehicleType, vehicleExemptions } : {}),
+  };
+}
+
+function toCoverageEntry(code, ruleSet, sourceUrl) {
+  return {
+    jurisdictionCode: code,
+    jurisdictionName: ruleSet?.jurisdictionName || STATE_CODE_TO_NAME[code] || code,
+    hasRules: Boolean(ruleSet?.rules?.length),
+    ruleCount: ruleSet?.rules?.length || 0,
+    verificationStatus: ruleSet?.verificationStatus || "Unavailable",
+    ruleVersion: ruleSet ? ruleSet.version ?? 1 : null,
+    effectiveDate: ruleSet?.effectiveDate || null,
+    lastUpdated: ruleSet?.lastUpdated || null,
+    sourceUrl: ruleSet?.sourceUrl || sourceUrl || null,
+  };
+}
+
+/**
+ * Rule data coverage for every US state + DC, plus the international rule sets.
+ * @param {{ rules?: object, intlRules?: object, sourceRegistry?: object }} [deps]
+ * @returns {{ summary: object, jurisdictions: Array<object>, international: Array<object> }}
+ */
+export function getCarSeatRuleCoverage(deps = {}) {
+  const {
+    rules = CAR_SEAT_RULES,
+    intlRules = INTL_CAR_SEAT_RULES,
+    sourceRegistry = OFFICIAL_SOURCE_REGISTRY,
+  } = deps;
+
+  const jurisdictions = [...new Set(Object.values(US_STATE_NAME_TO_CODE))]
+    .sort()
+    .map((code) => toCoverageEntry(code, rules[code], sourceRegistry[code]));
+  const international = Object.entries(intlRules).map(([code, ruleSet]) => toCoverageEntry(code, ruleSet));
+
+  const count = (status) => jurisdictions.filter((entry) => entry.verificationStatus === status).length;
+  return {
+    summary: {
+      total: jurisdictions.length,
+      withRules: jurisdictions.filter((entry) => entry.hasRules).length,
+      verified: count("Verified"),
+      needsReview: count("Needs review"),
+      missing: jurisdictions.filter((entry) => !entry.hasRules).map((entry) => entry.jurisdictionCode),
+    },
+    jurisdictions,
+    international,
+  };
+}
+
+// ── Air travel restraint guidance ────────────────────────────────────────────
+// FAA guidance for flights, per child. It applies to US carriers, and most airlines follow it.
+// These are federal recommendations and airline policies, not state law, so
+// there is no per-jurisdiction lookup.
+
+const FAA_CHILDREN_URL = "https://www.faa.gov/travelers/fly_children";
+const LAP_INFANT_MAX_MONTHS = 23;
+// CARES (Child Aviation Restraint System) is FAA-approved for 22–44 lb, up to 40 in tall.
+const CARES_LIMITS = { minWeightLb: 22, maxWeightLb: 44, maxHeightIn: 40 };
+
+const AIR_RESTRAINT_LABELS = {
+  rear_facing_car_seat: "FAA-approved rear-facing car seat",
+  forward_facing_car_seat: "FAA-approved forward-facing car seat",
+  car_seat_or_cares: "FAA-approved car seat or CARES harness",
+  cares_or_seat_belt: "CARES harness or aircraft seat belt",
+  seat_belt: "Aircraft seat belt",
+};
+
+const AIR_TRAVEL_GENERAL_RULES = [
+  'FAA-approved car seats carry the label "This restraint is certified for use in motor vehicles and aircraft" in red lettering.',
+  "Booster seats, vests and harnesses other than CARES can't be used during taxi, takeoff or landing.",
+  "Install car seats in a window seat, never in an exit row or a row where they block another passenger.",
+  "Most airplane seats are about 16–17 in wide — check the car seat's width before you fly.",
+];
+
+function caresFit(child) {
+  if (!Number.isFinite(child.weightLb)) {
+    return { fit: "unknown", note: "Add your child's weight to check CARES harness limits (22–44 lb, up to 40 in)." };
+  }
+  if (child.weightLb < CARES_LIMITS.minWeightLb) {
+    return { fit: "too_small", note: `CARES needs at least ${CARES_LIMITS.minWeightLb} lb.` };
+  }
+  if (child.weightLb > CARES_LIMITS.maxWeightLb) {
+    return { fit: "too_large", note: `CARES is rated up to ${CARES_LIMITS.maxWeightLb} lb.` };
+  }
+  if (Number.isFinite(child.heightIn) && child.heightIn > CARES_LIMITS.maxHeightIn) {
+    return { fit: "too_large", note: `CARES is rated up to ${CARES_LIMITS.maxHeightIn} in tall.` };
+  }
+  return {
+    fit: "fits",
+    note: "Within CARES limits (22–44 lb, up to 40 in). Your child must be able to sit upright in their own seat.",
+  };
+}
+
+// FAA recommends rear-facing under 20 lb and a forward-facing car seat for 20–40 lb.
+// Age stands in for weight when no weight was given.
+function airRestraintFor(child, cares) {
+  const weight = child.weightLb;
+  if (Number.isFinite(weight)) {
+    if (weight < 20) return "rear_facing_car_seat";
+    if (weight <= 40) return cares.fit === "fits" ? "car_seat_or_cares" : "forward_facing_car_seat";
+    return cares.fit === "fits" ? "cares_or_seat_belt" : "seat_belt";
+  }
+  if (child.ageMonths < 12) return "rear_facing_car_seat";
+  if (child.ageMonths < 48) return "forward_facing_car_seat";
+  return "seat_belt";
+}
+
+function gateCheckNotes(child, restraint, lapInfantEligible) {
+  const notes = [];
+  const usesCarSeat = restraint.includes("car_seat");
+  if (usesCarSeat && lapInfantEligible) {
+    notes.push("Flying as a lap infant? Gate-check the car seat (free on most US airlines) so it's ready when you land.");
+  } else if (usesCarSeat) {
+    notes.push("Bring the car seat onboard for your child's own seat. If there's no room, gate-check it free of charge.");
+  }
+  if (restraint === "seat_belt" && child.ageMonths >= 48 && !(child.heightIn >= 57)) {
+    notes.push("A booster can't be used in flight — pack it in checked bags or gate-check it for the drive.");
+  }
+  if (child.ageYears < 5) {
+    notes.push("Strollers can usually be gate-checked free — ask for a gate-check tag at the counter or gate.");
+  }
+  return notes;
+}
+
+/**
+ * Flight restraint guidance per child: lap-infant eligibility, FAA-approved car seat use,
+ * CARES harness fit and gate-check tips. Uses the same child normalization as car seat guidance.
+ * @param {{ children: Array<object>, tripDate?: string }} input - tripDate projects ages of children with a birthDate
+ * @returns {{ guidanceMode: "air_travel", sourceAuthority: string, sourceUrl: string, message: string,
+ *   generalRules: string[], results: Array<object> }}
+ */
+export function getAirTravelGuidance(input) {
+  const results = normalizeChildren(input?.children, input?.tripDate).map((child) => {
+    const lapInfantEligible = child.ageMonths <= LAP_INFANT_MAX_MONTHS;
+    const caresHarness = caresFit(child);
+    const recommendedRestraint = airRestraintFor(child, caresHarness);
+    const label = AIR_RESTRAINT_LABELS[recommendedRestraint];
+    const measured = Number.isFinite(child.weightLb);
+
+    return {
+      childId: child.id,
+      ageYears: child.ageYears,
+      weightLb: child.weightLb,
+      heightIn: child.heightIn,
+      // "Needs review" when the restraint was picked from age because no weight was given.
+      status: measured ? "OK" : "Needs review",
+      lapInfant: {
+        eligible: lapInfantEligible,
+        note: lapInfantEligible
+          ? "Under 2 can fly on an adult's lap (one lap child per adult), but the FAA strongly recommends their own seat with an approved car seat."
+          : "Age 2 and up needs their own ticketed seat.",
+      },
+      recommendedRestraint,
+      recommendedRestraintLabel: label,
+      caresHarness,
+      gateCheck: gateCheckNotes(child, recommendedRestraint, lapInfantEligible),
+      rationale: measured
+        ? `${label} matches FAA guidance for a ${child.weightLb} lb child.`
+        : `${label} is based on age only — add weight for a firmer answer.`,
+    };
+  });
+
+  return {
+    guidanceMode: "air_travel",
+    sourceAuthority: "Federal Aviation Administration (FAA)",
+    sourceUrl: FAA_CHILDREN_URL,
+    message: "Airline policies vary. Check your airline's rules for car seats, lap infants and gate checks before you fly.",
+    generalRules: AIR_TRAVEL_GENERAL_RULES,
+    results,
+  };
 }
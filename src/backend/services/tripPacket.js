@@ -0,0 +1,402 @@
+// Server-rendered PDF "trip packet" for a saved trip.
+// - One document: itinerary, weather table, packing checklist with checkboxes, car seat guidance,
+//   travel advisory. Built with PDFKit (pure JS, bundled Helvetica), so it needs no browser or network.
+// - The standard PDF fonts only cover WinAnsi (Latin-1 plus smart punctuation); emoji and other
+//   characters the AI likes to sprinkle in are stripped rather than rendered as garbage.
+import PDFDocument from "pdfkit";
+import { checklistItemId } from "./checklistSync.js";
+import { resolveItineraryActivity } from "./itineraryCalendar.js";
+import {
+  cmToIn,
+  inToCm,
+  kgToLb,
+  lbToKg,
+  normalizeUnitSystem,
+  toImperialWeather,
+  toUnitSystemWeather,
+} from "../utils/units.js";
+
+const PAGE_MARGIN = 54;
+const COLORS = {
+  heading: "#2E7D32",
+  text: "#334155",
+  muted: "#64748B",
+  rule: "#C8E6C9",
+  band: "#E8F5E9",
+};
+
+const STATUS_LABELS = {
+  Verified: "Verified",
+  "Needs review": "Needs review - confirm before travel",
+  Unavailable: "Unavailable",
+};
+
+// WinAnsi extras above Latin-1 that Helvetica can draw.
+const WIN_ANSI_EXTRAS = "–—‘’‚“”„•…€™";
+
+/**
+ * Reduce text to characters the built-in PDF fonts can render.
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function toPdfText(value) {
+  // Road trip labels join stops with "→", which Helvetica can't draw.
+  return Array.from(String(value ?? "").replace(/\s*→\s*/g, " to "))
+    .filter((char) => {
+      const code = char.codePointAt(0);
+      return (
+        code === 0x0a ||
+        (code >= 0x20 && code <= 0x7e) ||
+        (code >= 0xa0 && code <= 0xff) ||
+        WIN_ANSI_EXTRAS.includes(char)
+      );
+    })
+    .join("")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+}
+
+function formatDay(isoDate) {
+  if (!isoDate) return "";
+  return new Date(`${isoDate}T12:00:00Z`).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Metric children keep the weightKg/heightCm they were entered in; lb/in is converted as a fallback.
+function describeChild(child, index, unitSystem) {
+  const parts = [`Child ${index + 1}`];
+  if (Number.isFinite(child?.age)) parts.push(`${child.age} yr`);
+  const measure = (value, fallback, convert, unit) => {
+    const shown = Number.isFinite(value) ? value : Number.isFinite(fallback) ? convert(fallback) : null;
+    if (shown !== null) parts.push(`${shown} ${unit}`);
+  };
+  if (unitSystem === "metric") {
+    measure(child?.weightKg, child?.weightLb, lbToKg, "kg");
+    measure(child?.heightCm, child?.heightIn, inToCm, "cm");
+  } else {
+    measure(child?.weightLb, child?.weightKg, kgToLb, "lb");
+    measure(child?.heightIn, child?.heightCm, cmToIn, "in");
+  }
+  return parts.join(", ");
+}
+
+/**
+ * Render the trip packet PDF.
+ * @param {object} record - Trip store record ({ id, trip, weather, tripPlan, packingList, checklist })
+ * @param {{ safetyGuidance?: object|null, advisory?: object|null, now?: Date }} [options]
+ *   safetyGuidance is a getCarSeatGuidance result (a getRouteCarSeatGuidance result for road trips);
+ *   advisory a getTravelAdvisory result (null when none applies).
+ * @returns {Promise<Buffer>}
+ */
+export function renderTripPacket(record, { safetyGuidance = null, advisory = null, now = new Date() } = {}) {
+  const trip = record?.trip || {};
+  const destination = toPdfText(trip.destination) || "Your trip";
+  const unitSystem = normalizeUnitSystem(trip.unitSystem);
+  // Saved weather is normally already in the trip's units; convert it if it isn't.
+  const weather =
+    unitSystem === "metric" ? toUnitSystemWeather(record?.weather, "metric") : toImperialWeather(record?.weather);
+
+  const doc = new PDFDocument({
+    size: "LETTER",
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `SproutRoute trip packet: ${destination}`,
+      Author: "SproutRoute",
+      Subject: "Family trip packet",
+      CreationDate: now,
+    },
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const bottomLimit = () => doc.page.height - PAGE_MARGIN - 20; // leave room for the footer
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottomLimit()) doc.addPage();
+  };
+
+  const body = (text, options = {}) => {
+    doc.font("Helvetica").fontSize(10).fillColor(COLORS.text).text(toPdfText(text), PAGE_MARGIN, doc.y, {
+      width: contentWidth,
+      ...options,
+    });
+  };
+
+  const muted = (text) => {
+    doc.font("Helvetica").fontSize(9).fillColor(COLORS.muted).text(toPdfText(text), PAGE_MARGIN, doc.y, {
+      width: contentWidth,
+    });
+  };
+
+  const sectionHeading = (title) => {
+    ensureSpace(60);
+    doc.moveDown(0.8);
+    doc.font("Helvetica-Bold").fontSize(15).fillColor(COLORS.heading).text(title, PAGE_MARGIN, doc.y);
+    const y = doc.y + 2;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + contentWidth, y).lineWidth(1).strokeColor(COLORS.rule).stroke();
+    doc.y = y + 8;
+  };
+
+  const subHeading = (title) => {
+    ensureSpace(40);
+    doc.moveDown(0.4);
+    doc.font("Helvetica-Bold").fontSize(11).fillColor(COLORS.text).text(toPdfText(title), PAGE_MARGIN, doc.y, {
+      width: contentWidth,
+    });
+    doc.moveDown(0.2);
+  };
+
+  // ── Cover block ──────────────────────────────────────────────────────────
+  doc.font("Helvetica-Bold").fontSize(22).fillColor(COLORS.heading).text(destination, { width: contentWidth });
+  const dateLine = [trip.startDate && formatDay(trip.startDate), trip.endDate && formatDay(trip.endDate)]
+    .filter(Boolean)
+    .join(" - ");
+  if (dateLine) {
+    doc.font("Helvetica").fontSize(12).fillColor(COLORS.muted).text(dateLine);
+  }
+  const children = Array.isArray(trip.children) ? trip.children : [];
+  if (children.length > 0) {
+    doc.moveDown(0.3);
+    muted(`Travelers: ${children.map((child, index) => describeChild(child, index, unitSystem)).join("; ")}`);
+  }
+  if (record?.tripPlan?.overview) {
+    doc.moveDown(0.6);
+    body(record.tripPlan.overview);
+  }
+
+  // ── Itinerary ────────────────────────────────────────────────────────────
+  const plan = record?.tripPlan || {};
+  const days = Array.isArray(plan.dailyItinerary) ? plan.dailyItinerary : [];
+  const activities = Array.isArray(plan.suggestedActivities) ? plan.suggestedActivities : [];
+  sectionHeading("Itinerary");
+  if (days.length === 0) {
+    muted("No daily itinerary was saved with this trip.");
+  }
+  days.forEach((day, index) => {
+    const date = trip.startDate ? formatDay(addDays(trip.startDate, index)) : "";
+    subHeading([day?.day || `Day ${index + 1}`, date].filter(Boolean).join(" - "));
+    const refs = Array.isArray(day?.activities) ? day.activities : [];
+    refs
+      .map((ref) => resolveItineraryActivity(ref, activities))
+      .filter(Boolean)
+      .forEach((activity) => {
+        ensureSpace(28);
+        const label = activity.duration ? `${activity.name} (${activity.duration})` : activity.name;
+        body(`•  ${label}`, { indent: 8 });
+        if (activity.description) {
+          doc.font("Helvetica").fontSize(9).fillColor(COLORS.muted).text(toPdfText(activity.description), PAGE_MARGIN + 18, doc.y, {
+            width: contentWidth - 18,
+          });
+        }
+      });
+    if (day?.meals) body(`Meals: ${day.meals}`);
+    if (day?.notes) muted(`Notes: ${day.notes}`);
+  });
+
+  const tips = Array.isArray(plan.tips) ? plan.tips.filter(Boolean) : [];
+  if (tips.length > 0) {
+    subHeading("Tips");
+    tips.forEach((tip) => {
+      ensureSpace(16);
+      body(`•  ${tip}`, { indent: 8 });
+    });
+  }
+
+  // ── Weather ──────────────────────────────────────────────────────────────
+  const forecast = Array.isArray(weather?.forecast) ? weather.forecast : [];
+  sectionHeading("Weather");
+  if (weather?.summary) {
+    body(weather.summary);
+    doc.moveDown(0.4);
+  }
+  if (forecast.length === 0) {
+    muted("No forecast was available when this trip was saved.");
+  } else {
+    const columns = [
+      { label: "Day", width: 110 },
+      { label: "High", width: 50 },
+      { label: "Low", width: 50 },
+      { label: "Rain", width: 50 },
+      { label: "Conditions", width: contentWidth - 260 },
+    ];
+    const drawRow = (cells, { header = false, shaded = false } = {}) => {
+      doc.font(header ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+      const height =
+        Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: columns[i].width - 8 }))) + 8;
+      ensureSpace(height);
+      const top = doc.y;
+      if (header || shaded) {
+        doc.rect(PAGE_MARGIN, top, contentWidth, height).fill(header ? COLORS.rule : COLORS.band);
+      }
+      let x = PAGE_MARGIN;
+      cells.forEach((cell, i) => {
+        doc.fillColor(COLORS.text).text(cell, x + 4, top + 4, { width: columns[i].width - 8 });
+        x += columns[i].width;
+      });
+      doc.x = PAGE_MARGIN;
+      doc.y = top + height;
+    };
+    const degreeUnit = unitSystem === "metric" ? "°C" : "°F";
+    const degrees = (value) => (Number.isFinite(value) ? `${Math.round(value)}${degreeUnit}` : "-");
+    drawRow(columns.map((c) => c.label), { header: true });
+    forecast.forEach((period, index) => {
+      drawRow(
+        [
+          toPdfText([period.name, period.date && formatDay(period.date)].filter(Boolean).join(" · ")),
+          degrees(period.high),
+          degrees(period.low),
+          Number.isFinite(period.precipitation) ? `${period.precipitation}%` : "-",
+          toPdfText(period.condition || ""),
+        ],
+        { shaded: index % 2 === 1 },
+      );
+    });
+  }
+
+  // ── Packing checklist ────────────────────────────────────────────────────
+  const checked = new Set(record?.checklist?.checked || []);
+  const assignments = record?.checklist?.assignments || {};
+  const categories = (Array.isArray(record?.packingList?.categories) ? record.packingList.categories : []).map(
+    (category) => ({ name: category.name, items: Array.isArray(category.items) ? [...category.items] : [] }),
+  );
+  for (const [categoryName, items] of Object.entries(record?.checklist?.customItems || {})) {
+    const existing = categories.find((c) => c.name === categoryName);
+    if (existing) existing.items.push(...items);
+    else categories.push({ name: categoryName, items: [...items] });
+  }
+
+  sectionHeading("Packing checklist");
+  if (categories.length === 0) {
+    muted("No packing list was saved with this trip.");
+  }
+  categories.forEach((category) => {
+    subHeading(category.name);
+    category.items.forEach((item) => {
+      const id = checklistItemId(category.name, item.name, item.quantity);
+      const assignment = assignments[id];
+      const who = [assignment?.person, assignment?.bag].filter(Boolean).join(" / ");
+      const label = [item.quantity && item.quantity !== "1" ? `${item.name} x${item.quantity}` : item.name, who && `(${who})`]
+        .filter(Boolean)
+        .join("  ");
+      doc.font("Helvetica").fontSize(10);
+      const height = doc.heightOfString(toPdfText(label), { width: contentWidth - 20 });
+      ensureSpace(height + 4);
+
+      const top = doc.y;
+      doc.rect(PAGE_MARGIN, top + 1, 9, 9).lineWidth(0.8).strokeColor(COLORS.muted).stroke();
+      if (checked.has(id)) {
+        doc
+          .moveTo(PAGE_MARGIN + 2, top + 5.5)
+          .lineTo(PAGE_MARGIN + 4, top + 8)
+          .lineTo(PAGE_MARGIN + 8, top + 2.5)
+          .lineWidth(1.2)
+          .strokeColor(COLORS.heading)
+          .stroke();
+      }
+      doc.fillColor(COLORS.text).text(toPdfText(label), PAGE_MARGIN + 16, top, { width: contentWidth - 20 });
+      doc.x = PAGE_MARGIN;
+      doc.y = Math.max(doc.y, top + 12) + 2;
+    });
+  });
+
+  // ── Car seat guidance ────────────────────────────────────────────────────
+  sectionHeading("Car seat guidance");
+  const childResults = (results) => {
+    (results || []).forEach((result, index) => {
+      subHeading(
+        describeChild({ age: result.ageYears, weightLb: result.weightLb, heightIn: result.heightIn }, index, unitSystem),
+      );
+      if (result.requiredRestraintLabel) body(result.requiredRestraintLabel);
+      if (result.rationale) muted(result.rationale);
+    });
+  };
+  const carSeatGuidance = (guidance) => {
+    const where = guidance.jurisdictionName || guidance.jurisdictionCode || destination;
+    body(`${where}: ${STATUS_LABELS[guidance.status] || guidance.status || "Unknown"}`);
+    if (guidance.message) muted(guidance.message);
+    childResults(guidance.results);
+    const provenance = [
+      guidance.effectiveDate && `Effective ${guidance.effectiveDate}`,
+      guidance.sourceUrl && `Source: ${guidance.sourceUrl}`,
+    ].filter(Boolean);
+    if (provenance.length > 0) {
+      doc.moveDown(0.3);
+      muted(provenance.join(" · "));
+    }
+  };
+  if (!safetyGuidance) {
+    muted("Car seat guidance could not be loaded for this trip. Check local laws before you drive.");
+  } else if (safetyGuidance.guidanceMode === "route") {
+    const { strictest } = safetyGuidance;
+    if (strictest) {
+      body(`Strictest across the route: ${STATUS_LABELS[strictest.status] || strictest.status || "Unknown"}`);
+      if (strictest.message) muted(strictest.message);
+      childResults(strictest.results);
+    }
+    (safetyGuidance.jurisdictions || []).forEach((guidance, index) => {
+      if (strictest || index > 0) doc.moveDown(0.5);
+      carSeatGuidance(guidance);
+    });
+  } else {
+    carSeatGuidance(safetyGuidance);
+  }
+
+  // ── Travel advisory ──────────────────────────────────────────────────────
+  sectionHeading("Travel advisory");
+  if (advisory) {
+    body(`Level ${advisory.level}: ${advisory.title}`);
+    if (advisory.summary) {
+      doc.moveDown(0.2);
+      muted(advisory.summary);
+    }
+    const provenance = [advisory.lastUpdated && `Updated ${advisory.lastUpdated}`, advisory.sourceUrl]
+      .filter(Boolean)
+      .join(" - ");
+    if (provenance) muted(provenance);
+  } else if (!trip.countryCode || trip.countryCode === "US") {
+    muted("Domestic trip - no State Department advisory applies.");
+  } else {
+    muted("No State Department advisory was available. Check travel.state.gov before you go.");
+  }
+
+  // ── Footer on every page ─────────────────────────────────────────────────
+  const range = doc.bufferedPageRange();
+  const generated = now.toISOString().slice(0, 10);
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise trigger an automatic page break.
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor(COLORS.muted)
+      .text(
+        `SproutRoute trip packet - ${destination} - generated ${generated} - page ${i + 1} of ${range.count}`,
+        PAGE_MARGIN,
+        doc.page.height - PAGE_MARGIN + 12,
+        { width: contentWidth, align: "center", lineBreak: false },
+      );
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+  return done;
+}
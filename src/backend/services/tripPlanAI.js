@@ -2,14 +2,25 @@
 // Uses aiClient.js abstraction — supports Anthropic (Haiku) and DeepSeek V3 via AI_PROVIDER env var.
 import { callModel } from "../utils/aiClient.js";
 import { log } from "../utils/logger.js";
-import { sanitizeDestination, sanitizeActivities, isAiResponseSafe } from "./inputSafety.js";
+import { formatTemperature, normalizeUnitSystem, toUnitSystemWeather, unitInstruction } from "../utils/units.js";
+import { addDaysIso } from "../utils/childAge.js";
+import { addDaySchedules, weatherWindows } from "./daySchedule.js";
+import { isBadAirDay, isHeatRiskDay, kidRiskText } from "./weatherRisk.js";
+import { dietaryNeedsText, enforceDietaryMeals, safeFoodText } from "./dietary.js";
+import { accessibilityNeedsText, accessibilityPreferencesText, annotateActivityAccessibility } from "./accessibility.js";
+import { addTripBudget } from "./budget.js";
+import { resolveItineraryActivity } from "./itineraryCalendar.js";
+import { sanitizeDestination, sanitizeActivity, sanitizeActivities, sanitizeStops, isAiResponseSafe } from "./inputSafety.js";
 import {
   MAX_RETRIES,
   requestWithRetry,
   extractJsonCandidates,
+  climatologyNote,
 } from "../utils/aiHelpers.js";
 
 const MAX_TOKENS = 4096;
+// Alert severities that keep outdoor activities off a day; minor statements only go in the prompt.
+const DISRUPTIVE_ALERT_SEVERITIES = new Set(["extreme", "severe", "moderate"]);
 const REPAIR_INPUT_MAX_CHARS = 28000;
 
 function parseTripPlanResponse(responseText) {
@@ -101,11 +112,35 @@ export async function generateTripPlan(tripData, weatherForecast, deps = {}) {
     children,
     tripType = null,
     countryCode = "US",
+    stops: rawStops,
+    unitSystem: rawUnitSystem,
+    alerts = [],
+    dietary = null,
+    accessibility = null,
+    destinationQuery = null,
   } = tripData;
+  const unitSystem = normalizeUnitSystem(rawUnitSystem);
+  const alertDays = alertDaysFrom(alerts);
+  // Applied once to the plan that parsed, outside the parse-failure handling, so a bug here never
+  // costs a retry or repair call. Alert days first, so timed blocks are built from where outdoor
+  // activities end up. Meals and activity notes are checked against the family's needs whatever the
+  // prompt got back. The budget is priced last, from the days as they were finally laid out.
+  const finish = (tripPlan) =>
+    addTripBudget(
+      addDaySchedules(
+        annotateActivityAccessibility(
+          enforceDietaryMeals(moveOutdoorActivitiesOffAlertDays(tripPlan, { startDate, alertDays }), dietary),
+          accessibility,
+        ),
+        { startDate, children, forecast: weatherForecast.forecast },
+      ),
+      { startDate, endDate, children, countryCode, tripType, destinationQuery },
+    );
 
   // Sanitize user-supplied fields before interpolating into AI prompts
   const destination = sanitizeDestination(rawDestination);
   const activities = sanitizeActivities(rawActivities);
+  const stops = sanitizeStops(rawStops);
 
   const primaryPrompt = buildTripPlanPrompt(
     destination,
@@ -114,9 +149,10 @@ export async function generateTripPlan(tripData, weatherForecast, deps = {}) {
     activities,
     children,
     weatherForecast,
-    { compact: false, tripType, countryCode },
+    { compact: false, tripType, countryCode, stops, unitSystem, alertDays, dietary, accessibility },
   );
 
+  let tripPlan;
   try {
     const firstAttempt = await requestWithRetry(
       () => requestTripPlan(primaryPrompt, deps, { cache: true }),
@@ -129,7 +165,7 @@ export async function generateTripPlan(tripData, weatherForecast, deps = {}) {
     }
 
     try {
-      return parseTripPlanResponse(firstAttempt.responseText);
+      tripPlan = parseTripPlanResponse(firstAttempt.responseText);
     } catch (firstParseError) {
       log.warn("Trip-plan parse failed (attempt 1), retrying compact", { error: firstParseError.message });
 
@@ -140,7 +176,7 @@ export async function generateTripPlan(tripData, weatherForecast, deps = {}) {
         activities,
         children,
         weatherForecast,
-        { compact: true, tripType, countryCode },
+        { compact: true, tripType, countryCode, stops, unitSystem, alertDays, dietary, accessibility },
       );
 
       const secondAttempt = await requestWithRetry(
@@ -149,7 +185,7 @@ export async function generateTripPlan(tripData, weatherForecast, deps = {}) {
       );
 
       try {
-        return parseTripPlanResponse(secondAttempt.responseText);
+        tripPlan = parseTripPlanResponse(secondAttempt.responseText);
       } catch (secondParseError) {
         log.warn("Trip-plan parse failed (attempt 2), trying repair", { error: secondParseError.message });
 
@@ -157,7 +193,7 @@ export async function generateTripPlan(tripData, weatherForecast, deps = {}) {
         const repairAttempt = await repairTripPlanJson(repairSource, deps);
 
         try {
-          return parseTripPlanResponse(repairAttempt.responseText);
+          tripPlan = parseTripPlanResponse(repairAttempt.responseText);
         } catch (repairParseError) {
           log.error("Trip-plan parse failed after all 3 attempts", {
             error: repairParseError.message,
@@ -180,6 +216,8 @@ export async function generateTripPlan(tripData, weatherForecast, deps = {}) {
     }
     throw new Error("Failed to generate trip plan: " + error.message);
   }
+
+  return finish(tripPlan);
 }
 
 function buildTripPlanPrompt(
@@ -193,14 +231,43 @@ function buildTripPlanPrompt(
 ) {
   // Returns { system, user } so static instructions are isolated from user-controlled data,
   // which prevents injected content in trip fields from overriding model instructions.
-  const { compact = false, tripType = null, countryCode = "US" } = options;
+  const {
+    compact = false,
+    tripType = null,
+    countryCode = "US",
+    stops = [],
+    unitSystem = "imperial",
+    alertDays = new Map(),
+    dietary = null,
+    accessibility = null,
+  } = options;
 
   const isCruise = tripType === "cruise";
+  const isRoadTrip = stops.length > 1;
   const isInternational = countryCode && countryCode !== "US" && countryCode !== "CA";
   const isAdultsOnly = children.length === 0;
   const childrenInfo = isAdultsOnly
     ? "Adults-only trip, no children"
-    : children.map((c) => `age ${c.age}`).join(", ");
+    : children.map((c) => `age ${c.age}${childRoutineText(c)}`).join(", ");
+  const hasRoutine = children.some((c) => c.napStart || c.bedtime);
+  const hasHourly = weatherForecast.forecast.some((f) => Array.isArray(f.hourly) && f.hourly.length > 0);
+  const hasRiskDays = weatherForecast.forecast.some((f) => isBadAirDay(f) || isHeatRiskDay(f));
+  const dietaryNeeds = dietaryNeedsText(dietary);
+  const accessibilityNeeds = accessibilityNeedsText(accessibility);
+  const accessibilityPreferences = accessibilityPreferencesText(accessibility);
+  const extraRequirements = [
+    alertDays.size > 0 &&
+      "Weather alerts are in effect on some days (listed with the forecast). Do not schedule weatherDependent activities on those days; plan indoor or sheltered alternatives and mention the alert in that day's notes",
+    (hasRoutine || hasHourly) &&
+      "Each day is laid out in timed blocks (morning outing, lunch, nap, afternoon outing, dinner) around the children's naps and bedtime. List each day's activities in the order they should happen, keep weatherDependent activities out of the hot or rainy hours listed with the forecast, and fit the day between naps and bedtime",
+    hasRiskDays &&
+      "Children are especially sensitive to smoke and heat. On days listed with AQI above 100 or a high or extreme heat risk, plan indoor alternatives (museums, aquariums, indoor play) and keep outdoor time short and shaded; say why in that day's notes",
+    dietaryNeeds &&
+      `The family's dietary needs are: ${dietaryNeeds}. Every "meals" suggestion must be ${safeFoodText(dietary)}: never suggest a dish that contains or is usually made with those allergens or breaks those diets, prefer restaurants known for clear allergen menus${isInternational ? ", and mention a local phrase for the allergy or diet" : ""}. Say "${safeFoodText(dietary)}" in the suggestion when a dish is adapted (e.g. "gluten-free pasta")`,
+    accessibilityNeeds &&
+      `A family member ${accessibilityNeeds}. ${accessibilityPreferences ? `Prefer activities with ${accessibilityPreferences}, and leave out ones they can't reasonably do. ` : ""}In every suggested activity's "accessibilityNotes", say how accessible it is for them (step-free access, accessible restrooms, noise and crowd levels, quiet rooms, sensory-friendly hours, places to charge equipment) and what to book or ask ahead`,
+    `Give every suggested activity "admissionUsd": the typical ticket price per adult and per child (ages 3-12) in US dollars, as numbers — 0 when it's free`,
+  ].filter(Boolean);
 
   const sizeGuardrail = compact
     ? `**Output Size Limits (strict):**
@@ -233,6 +300,14 @@ function buildTripPlanPrompt(
 - Include a tip about local emergency number (e.g., EU 112, UK 999) in the tips array
 - Consider time zone adjustment in the first-day itinerary if cross-continental travel` : "";
 
+  // Road-trip additions: days belong to the stop the family sleeps at
+  const roadTripInstructions = isRoadTrip ? `
+**ROAD TRIP FORMAT RULES:**
+- The trip visits ${stops.length} stops in order; plan each day at the stop the family is staying at
+- Include the stop in each day label, e.g. "Day 3 (date) — Portland"
+- On days that move between stops, plan around the drive: fewer activities, rest stops, car-friendly meals
+- Spread suggestedActivities across all stops, naming the stop in each description` : "";
+
   const system = `You are a helpful travel planning assistant${isAdultsOnly ? "" : " specialising in family trips"}. Generate trip itineraries as strict JSON only.
 
 Generate a trip plan with the following structure:
@@ -249,7 +324,9 @@ Generate a trip plan with the following structure:
       "kidFriendly": true,
       "weatherDependent": false,
       "bestDays": ["Day names from forecast when this activity is recommended"],
-      "reason": "Why this activity is recommended (weather, season, family-friendly, etc.)"
+      "reason": "Why this activity is recommended (weather, season, family-friendly, etc.)",
+      "admissionUsd": { "adult": 0, "child": 0 }${accessibilityNeeds ? `,
+      "accessibilityNotes": "Step-free access, noise level, quiet rooms and what to ask ahead for this family"` : ""}
     }
   ],
   "dailyItinerary": [
@@ -265,6 +342,7 @@ Generate a trip plan with the following structure:
   ]
 }
 ${cruiseInstructions}
+${roadTripInstructions}
 ${internationalContext}
 **Requirements:**
 1. Include a mix of indoor and outdoor activities based on weather
@@ -272,7 +350,9 @@ ${internationalContext}
 3. Prioritise activities that match their stated interests
 4. Include weather-appropriate suggestions (rainy day alternatives, sun protection needs)
 5. Be specific to the destination (not generic advice)
-6. Create a balanced daily itinerary that's not too packed
+6. Create a balanced daily itinerary that's not too packed${extraRequirements.map((requirement, i) => `
+${7 + i}. ${requirement}`).join("")}
+**Units:** ${unitInstruction(unitSystem)}
 ${sizeGuardrail}
 Return ONLY the JSON, no additional text.`;
 
@@ -281,20 +361,112 @@ Return ONLY the JSON, no additional text.`;
 **Trip Details:**
 - Destination: ${destination}${isCruise ? " (cruise itinerary)" : ""}
 - Trip Type: ${tripType || "general"}
-- Dates: ${startDate} to ${endDate}
+- Dates: ${startDate} to ${endDate}${isRoadTrip ? `
+- Route: ${stops.map((s, i) => `${i + 1}. ${s.destination} (${s.startDate} to ${s.endDate})`).join(" → ")}` : ""}
 - Interested Activities: ${activities.join(", ")}
-- ${isAdultsOnly ? "Travelers: Adults only (no children)" : `Children: ${children.length} child(ren) - ${childrenInfo}`}
+- ${isAdultsOnly ? "Travelers: Adults only (no children)" : `Children: ${children.length} child(ren) - ${childrenInfo}`}${dietaryNeeds ? `
+- Dietary needs: ${dietaryNeeds}` : ""}${accessibilityNeeds ? `
+- Accessibility: ${accessibilityNeeds}` : ""}
 
 **Weather Forecast:**
-${weatherForecast.summary}
+${toUnitSystemWeather(weatherForecast, unitSystem).summary}
 
 ${weatherForecast.forecast
-  .slice(0, 7)
+  .slice(0, isRoadTrip ? 14 : 7)
   .map(
     (f) =>
-      `${f.name}: ${f.high}°F, ${f.condition}, ${f.precipitation}% rain chance`,
+      `${f.stop ? `[${f.stop}] ` : ""}${f.name}: ${formatTemperature(f.high, unitSystem)}, ${f.condition}, ${f.precipitation}% rain chance${f.source === "climatology" ? " (typical for the date, not a forecast)" : ""}${hourlyWindowsText(f)}${kidRiskText(f, unitSystem)}`,
   )
-  .join("\n")}`;
+  .join("\n")}${climatologyNote(weatherForecast.forecast)}${alertDays.size > 0 ? `
+
+**Active Weather Alerts:**
+${[...alertDays].map(([date, events]) => `- ${date}: ${events.join(", ")}`).join("\n")}` : ""}`;
 
   return { system, user };
 }
+
+// " (naps 12:30–14:30, bedtime 19:00)" for a child with a routine.
+function childRoutineText(child) {
+  const parts = [
+    child.napStart && child.napEnd ? `naps ${child.napStart}–${child.napEnd}` : null,
+    child.bedtime ? `bedtime ${child.bedtime}` : null,
+  ].filter(Boolean);
+  return parts.length > 0 ? ` (${parts.join(", ")})` : "";
+}
+
+// "; hot 13:00–16:00; rain likely 15:00–17:00" from a forecast day's hourly data.
+function hourlyWindowsText(day) {
+  const { hot, wet, estimated } = weatherWindows(day);
+  if (estimated) return "";
+  return [
+    ...hot.map((window) => `; hot ${window.start}–${window.end}`),
+    ...wet.map((window) => `; rain likely ${window.start}–${window.end}`),
+  ].join("");
+}
+
+/**
+ * Trip dates with disruptive alerts (moderate or worse) → alert names, in date order.
+ * Alerts come from getWeatherAlerts, which lists the trip dates each one covers.
+ * @returns {Map<string, string[]>}
+ */
+function alertDaysFrom(alerts) {
+  const days = new Map();
+  for (const alert of Array.isArray(alerts) ? alerts : []) {
+    if (!DISRUPTIVE_ALERT_SEVERITIES.has(alert?.severity) || !Array.isArray(alert.dates)) continue;
+    const name = sanitizeActivity(String(alert.event || "")) || "Weather alert";
+    for (const date of alert.dates) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) continue;
+      const events = days.get(date) || [];
+      if (!events.includes(name)) events.push(name);
+      days.set(date, events);
+    }
+  }
+  return new Map([...days].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Enforce alert days on a generated plan: weatherDependent activities scheduled on an alert day
+ * move to the nearest day without an alert, and the day's notes name the alert. Itinerary days are
+ * matched to dates in order from startDate. Days keep their outdoor plans (with a warning) when
+ * every day has an alert.
+ *
+ * @param {object} tripPlan
+ * @param {{ startDate: string, alertDays: Map<string, string[]> }} options
+ * @returns {object} The plan, with `weatherAlerts` on affected itinerary days
+ */
+export function moveOutdoorActivitiesOffAlertDays(tripPlan, { startDate, alertDays }) {
+  if (!alertDays?.size || !startDate || !Array.isArray(tripPlan?.dailyItinerary)) return tripPlan;
+
+  // Itinerary entries may name an activity instead of using its id.
+  const activities = Array.isArray(tripPlan.suggestedActivities) ? tripPlan.suggestedActivities : [];
+  const isOutdoor = (ref) => Boolean(resolveItineraryActivity(ref, activities)?.weatherDependent);
+  const days = tripPlan.dailyItinerary.map((day) => ({
+    ...day,
+    activities: Array.isArray(day.activities) ? [...day.activities] : [],
+  }));
+  const eventsOn = (index) => alertDays.get(addDaysIso(startDate, index));
+  const clearIndexes = days.map((_, index) => index).filter((index) => !eventsOn(index));
+
+  days.forEach((day, index) => {
+    const events = eventsOn(index);
+    if (!events) return;
+    const moved = day.activities.filter(isOutdoor);
+    let note = `⚠️ ${events.join(", ")} in effect — favor indoor or sheltered plans.`;
+    if (moved.length > 0 && clearIndexes.length > 0) {
+      const target = days[
+        clearIndexes.reduce((best, candidate) =>
+          Math.abs(candidate - index) < Math.abs(best - index) ? candidate : best,
+        )
+      ];
+      day.activities = day.activities.filter((ref) => !isOutdoor(ref));
+      target.activities.push(...moved.filter((ref) => !target.activities.includes(ref)));
+      note += ` Outdoor plans moved to ${target.day || "another day"}.`;
+    } else if (moved.length > 0) {
+      note += " Every day has an alert, so check conditions before outdoor plans.";
+    }
+    day.notes = [note, day.notes].filter(Boolean).join(" ");
+    day.weatherAlerts = events;
+  });
+
+  return { ...tripPlan, dailyItinerary: days };
+}
@@ -0,0 +1,124 @@
+// Multi-stop road trips (Seattle → Portland → Bend):
+// - Each stop is geocoded and forecast on its own, then merged into one weather object so the
+//   AI prompts and UI keep working with a single `weather.forecast` list.
+// - Forecast days are kept for the stop the family is at on that date; every entry is tagged
+//   with `stop` so clients can show where each day's weather applies.
+// - Stops are geocoded one at a time to stay polite to Nominatim; forecasts run in parallel.
+
+function shortName(destination) {
+  return String(destination || "").split(",")[0].trim();
+}
+
+/**
+ * Geocode stops in route order.
+ * @param {Array<{ destination: string, startDate: string, endDate: string }>} stops - Sanitized stops
+ * @param {(query: string) => Promise<object>} geocodeLocationFn
+ * @returns {Promise<Array<object>>} Legs: the stop plus its geocode result as `coords`
+ */
+export async function geocodeTripStops(stops, geocodeLocationFn) {
+  const legs = [];
+  for (const stop of stops) {
+    const coords = await geocodeLocationFn(stop.destination);
+    legs.push({
+      ...stop,
+      coords,
+      label: shortName(coords.displayName || stop.destination),
+    });
+  }
+  return legs;
+}
+
+/**
+ * Fetch a forecast for every leg, each for its own date range.
+ * @returns {Promise<Array<object>>} Legs with `weather` attached
+ */
+export async function fetchLegWeather(legs, getWeatherForecastFn) {
+  const forecasts = await Promise.all(
+    legs.map((leg) =>
+      getWeatherForecastFn(leg.coords.lat, leg.coords.lon, leg.coords.countryCode || "US", leg.startDate, leg.endDate),
+    ),
+  );
+  return legs.map((leg, index) => ({ ...leg, weather: forecasts[index] }));
+}
+
+/**
+ * Active weather alerts for every stop, tagged with `stop`. An alert issued for more than one
+ * stop (same id) is listed once, under the first stop it covers.
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchLegAlerts(legs, getWeatherAlertsFn) {
+  const perLeg = await Promise.all(
+    legs.map((leg) =>
+      getWeatherAlertsFn(leg.coords.lat, leg.coords.lon, leg.coords.countryCode || "US", leg.startDate, leg.endDate),
+    ),
+  );
+  const seen = new Set();
+  return legs.flatMap((leg, index) =>
+    perLeg[index]
+      .filter((alert) => !alert.id || (!seen.has(alert.id) && seen.add(alert.id)))
+      .map((alert) => ({ ...alert, stop: shortName(leg.coords.displayName || leg.destination) })),
+  );
+}
+
+function nightsAt(leg) {
+  const nights = Math.round((new Date(leg.endDate) - new Date(leg.startDate)) / (1000 * 60 * 60 * 24));
+  return Math.max(1, nights);
+}
+
+/**
+ * Merge per-leg forecasts into one weather object.
+ * A leg keeps the forecast days that fall within its stay (the final leg includes its end date).
+ * When the stay is past the provider's forecast window, the leg's nearest days stand in instead.
+ * @returns {{ summary: string, forecast: Array<object>, provider?: string, timeZone?: string }}
+ */
+export function combineLegWeather(legs) {
+  const forecast = legs.flatMap((leg, index) => {
+    const isLast = index === legs.length - 1;
+    const periods = Array.isArray(leg.weather?.forecast) ? leg.weather.forecast : [];
+    const during = periods.filter(
+      (period) =>
+        period.date &&
+        period.date >= leg.startDate &&
+        (isLast ? period.date <= leg.endDate : period.date < leg.endDate),
+    );
+    const chosen = during.length > 0 ? during : periods.slice(0, nightsAt(leg));
+    return chosen.map((period) => ({ ...period, stop: leg.label }));
+  });
+
+  const summary = legs
+    .filter((leg) => leg.weather?.summary)
+    .map((leg) => `${leg.label}: ${leg.weather.summary}`)
+    .join(" ");
+  const timeZone = legs.find((leg) => leg.weather?.timeZone)?.weather.timeZone;
+  const providers = [...new Set(legs.map((leg) => leg.weather?.provider).filter(Boolean))];
+
+  return {
+    summary: summary || "Weather data unavailable",
+    forecast,
+    ...(providers.length > 0 ? { provider: providers.length === 1 ? providers[0] : "mixed" } : {}),
+    ...(timeZone ? { timeZone } : {}),
+  };
+}
+
+/** "Seattle → Portland → Bend" */
+export function routeLabel(legs) {
+  return legs.map((leg) => leg.label).join(" → ");
+}
+
+/**
+ * Public per-stop metadata stored on `trip.stops`.
+ * @returns {Array<object>}
+ */
+export function toTripStops(legs) {
+  return legs.map((leg) => ({
+    destination: leg.coords.displayName || leg.destination,
+    startDate: leg.startDate,
+    endDate: leg.endDate,
+    jurisdictionCode: leg.coords.stateCode || null,
+    jurisdictionName: leg.coords.stateName || null,
+    countryCode: leg.coords.countryCode || "US",
+    lat: leg.coords.lat,
+    lon: leg.coords.lon,
+    timeZone: leg.weather?.timeZone || null,
+  }));
+}
@@ -0,0 +1,259 @@
+// Trip persistence: saves generated trip bundles under stable server-side trip IDs.
+// Backends share one async interface so the storage engine can be swapped without touching routes:
+//   - createFileTripStore(dir): one JSON file per trip, survives restarts (default).
+//   - createMemoryTripStore(): Map-backed, used in tests and when TRIP_STORE=memory.
+// Records hold { id, createdAt, updatedAt, trip, weather, tripPlan, packingList, checklist, expenses }.
+// Share records { token, tripId, createdAt, expiresAt, revokedAt } grant read-only access to one trip.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_TRIP_STORE_DIR = path.join(__dirname, "../.data/trips");
+
+// Fields a client may write; anything else in a create/update payload is ignored.
+export const TRIP_RECORD_FIELDS = ["trip", "weather", "tripPlan", "packingList", "checklist", "expenses"];
+
+// Trip IDs are UUID v4 — also keeps file-backed lookups from escaping the store directory.
+const TRIP_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Share tokens are 24 random bytes, base64url-encoded (32 chars) — unguessable and path-safe.
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+/**
+ * Check whether a string is a well-formed share token.
+ * @param {unknown} token
+ * @returns {boolean}
+ */
+export function isValidShareToken(token) {
+  return typeof token === "string" && SHARE_TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Check whether a string is a well-formed trip ID.
+ * @param {unknown} id
+ * @returns {boolean}
+ */
+export function isValidTripId(id) {
+  return typeof id === "string" && TRIP_ID_PATTERN.test(id);
+}
+
+function emptyChecklist() {
+  return { checked: [], customItems: {}, assignments: {}, updatedAt: null };
+}
+
+function pickRecordFields(data = {}) {
+  const picked = {};
+  for (const field of TRIP_RECORD_FIELDS) {
+    if (data[field] !== undefined) picked[field] = data[field];
+  }
+  return picked;
+}
+
+function buildNewRecord(data) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    trip: null,
+    weather: null,
+    tripPlan: null,
+    packingList: null,
+    checklist: emptyChecklist(),
+    expenses: [],
+    ...pickRecordFields(data),
+  };
+}
+
+function buildShareRecord(tripId, expiresAt) {
+  return {
+    token: crypto.randomBytes(24).toString("base64url"),
+    tripId,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    revokedAt: null,
+  };
+}
+
+function applyPatch(record, patch) {
+  return {
+    ...record,
+    ...pickRecordFields(patch),
+    id: record.id,
+    createdAt: record.createdAt,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * In-memory trip store. Data lives only as long as the process.
+ * @returns {{ create, get, update, delete, createShare, getShare, listShares, revokeShare, kind: string }}
+ */
+export function createMemoryTripStore() {
+  const records = new Map();
+  const shares = new Map();
+  // structuredClone keeps callers from mutating stored records by reference.
+  const clone = (value) => (value ? structuredClone(value) : null);
+
+  return {
+    kind: "memory",
+    async create(data) {
+      const record = buildNewRecord(data);
+      records.set(record.id, clone(record));
+      return clone(record);
+    },
+    async get(id) {
+      if (!isValidTripId(id)) return null;
+      return clone(records.get(id));
+    },
+    async update(id, patch) {
+      if (!isValidTripId(id) || !records.has(id)) return null;
+      const updated = applyPatch(records.get(id), patch);
+      records.set(id, clone(updated));
+      return clone(updated);
+    },
+    async delete(id) {
+      if (!isValidTripId(id)) return false;
+      for (const [token, share] of shares) {
+        if (share.tripId === id) shares.delete(token);
+      }
+      return records.delete(id);
+    },
+    async createShare(tripId, { expiresAt }) {
+      if (!isValidTripId(tripId) || !records.has(tripId)) return null;
+      const share = buildShareRecord(tripId, expiresAt);
+      shares.set(share.token, clone(share));
+      return clone(share);
+    },
+    async getShare(token) {
+      if (!isValidShareToken(token)) return null;
+      return clone(shares.get(token));
+    },
+    async listShares(tripId) {
+      if (!isValidTripId(tripId)) return [];
+      return [...shares.values()].filter((share) => share.tripId === tripId).map(clone);
+    },
+    async revokeShare(token) {
+      if (!isValidShareToken(token) || !shares.has(token)) return null;
+      const revoked = { ...shares.get(token), revokedAt: new Date().toISOString() };
+      shares.set(token, clone(revoked));
+      return clone(revoked);
+    },
+  };
+}
+
+/**
+ * File-backed trip store: one `<id>.json` file per trip.
+ * Writes go to a temp file and are renamed into place so readers never see a partial record.
+ * @param {string} dir - Directory to hold trip files (created on first write)
+ * @returns {{ create, get, update, delete, createShare, getShare, listShares, revokeShare, kind: string }}
+ */
+export function createFileTripStore(dir = DEFAULT_TRIP_STORE_DIR) {
+  const sharesDir = path.join(dir, "shares");
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+  const shareFileFor = (token) => path.join(sharesDir, `${token}.json`);
+
+  async function readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function writeJson(filePath, value) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(value), "utf8");
+    await fs.rename(tmpPath, filePath);
+  }
+
+  const readRecord = (id) => readJson(fileFor(id));
+  const writeRecord = (record) => writeJson(fileFor(record.id), record);
+
+  // Share files are few per trip; a directory scan keeps the file layout index-free.
+  async function readSharesForTrip(tripId) {
+    let entries;
+    try {
+      entries = await fs.readdir(sharesDir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    const shares = await Promise.all(
+      entries
+        .filter((name) => name.endsWith(".json"))
+        .map((name) => readJson(path.join(sharesDir, name))),
+    );
+    return shares.filter((share) => share?.tripId === tripId);
+  }
+
+  return {
+    kind: "file",
+    async create(data) {
+      const record = buildNewRecord(data);
+      await writeRecord(record);
+      return record;
+    },
+    async get(id) {
+      if (!isValidTripId(id)) return null;
+      return readRecord(id);
+    },
+    async update(id, patch) {
+      if (!isValidTripId(id)) return null;
+      const existing = await readRecord(id);
+      if (!existing) return null;
+      const updated = applyPatch(existing, patch);
+      await writeRecord(updated);
+      return updated;
+    },
+    async delete(id) {
+      if (!isValidTripId(id)) return false;
+      try {
+        await fs.unlink(fileFor(id));
+      } catch (err) {
+        if (err.code === "ENOENT") return false;
+        throw err;
+      }
+      const shares = await readSharesForTrip(id);
+      await Promise.all(shares.map((share) => fs.rm(shareFileFor(share.token), { force: true })));
+      return true;
+    },
+    async createShare(tripId, { expiresAt }) {
+      if (!isValidTripId(tripId) || !(await readRecord(tripId))) return null;
+      const share = buildShareRecord(tripId, expiresAt);
+      await writeJson(shareFileFor(share.token), share);
+      return share;
+    },
+    async getShare(token) {
+      if (!isValidShareToken(token)) return null;
+      return readJson(shareFileFor(token));
+    },
+    async listShares(tripId) {
+      if (!isValidTripId(tripId)) return [];
+      return readSharesForTrip(tripId);
+    },
+    async revokeShare(token) {
+      if (!isValidShareToken(token)) return null;
+      const share = await readJson(shareFileFor(token));
+      if (!share) return null;
+      const revoked = { ...share, revokedAt: new Date().toISOString() };
+      await writeJson(shareFileFor(token), revoked);
+      return revoked;
+    },
+  };
+}
+
+/**
+ * Build the trip store selected by environment.
+ * TRIP_STORE=memory|file (default: file, memory under NODE_ENV=test).
+ * TRIP_STORE_DIR overrides the file store location.
+ */
+export function createTripStore(env = process.env) {
+  const kind = env.TRIP_STORE || (env.NODE_ENV === "test" ? "memory" : "file");
+  if (kind === "memory") return createMemoryTripStore();
+  return createFileTripStore(env.TRIP_STORE_DIR || DEFAULT_TRIP_STORE_DIR);
+}
@@ -1,199 +1,230 @@
-// Weather service adapter:
-// - Routes weather requests by country: US → Weather.gov, other → OpenWeatherMap.
-// - Normalizes Weather.gov's day/night periods into simple daily data for UI + AI.
-// - Uses an in-memory cache to reduce latency and external API load.
-import { getVisualCrossingForecast } from "./visualCrossing.js";
+// Weather service:
+// - Runs weather providers as an ordered, per-country fallback chain. A provider that times out,
+//   fails at the network level or returns 5xx hands over to the next one; 4xx errors stop the chain.
+// - Chains come from WEATHER_PROVIDER_CHAINS (see parseProviderChains) or DEFAULT_PROVIDER_CHAINS.
+//   Unconfigured providers (missing API key) and providers that don't cover the country are skipped.
+// - Fills trip days past the forecast horizon with climate normals, tagging every day with
+//   `source: "forecast" | "climatology"`. The result's `provider` names who served it.
+// - Looks up active severe weather alerts through the same chain (getWeatherAlerts), best-effort.
+// - Adds kid-safety risk to every day: heat index, plus UV index and AQI inside the air quality window
+//   (see weatherRisk.js), best-effort.
+import { weatherGovProvider } from "./weatherGov.js";
+import { visualCrossingProvider } from "./visualCrossing.js";
+import { openWeatherMapProvider } from "./openWeatherMap.js";
+import { clearForecastCache, fetchAlerts, fetchForecast, summarizeForecast } from "./weatherProvider.js";
+import { climatologyDay } from "./climateNormals.js";
+import { addKidSafetyRisk, getAirQuality } from "./weatherRisk.js";
+import { addDaysIso } from "../utils/childAge.js";
 import { log } from "../utils/logger.js";
 
-const weatherCache = new Map();
-const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
-const MAX_CACHE_SIZE = 100;
-const WEATHER_TIMEOUT_MS = 10000;
-
-async function fetchWithTimeout(url, options) {
-  // Prevents Weather.gov slow responses from hanging request handlers indefinitely.
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), WEATHER_TIMEOUT_MS);
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-    });
-    return response;
-  } catch (error) {
-    if (error.name === "AbortError") {
-      throw new Error("Weather service timed out. Please try again.");
-    }
-    throw error;
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
+export const WEATHER_PROVIDERS = {
+  [weatherGovProvider.id]: weatherGovProvider,
+  [visualCrossingProvider.id]: visualCrossingProvider,
+  [openWeatherMapProvider.id]: openWeatherMapProvider,
+};
 
-// Removes expired cache entries so memory stays bounded during long-running sessions.
-function cleanExpiredCache() {
-  const now = Date.now();
-  let deletedCount = 0;
+// Priority order by country; "other" covers every country without its own entry.
+export const DEFAULT_PROVIDER_CHAINS = {
+  US: ["weathergov", "visualcrossing", "openweathermap"],
+  other: ["visualcrossing", "openweathermap"],
+};
 
-  for (const [key, value] of weatherCache.entries()) {
-    if (now - value.timestamp > CACHE_DURATION) {
-      weatherCache.delete(key);
-      deletedCount++;
-    }
-  }
+// Longest trip filled day by day; matches the trip duration cap in sanitizeTripData.
+const MAX_TRIP_DAYS = 14;
+// Alerts are only issued a few days ahead; trips starting later skip the lookup.
+const ALERT_LOOKAHEAD_DAYS = 7;
 
-  if (deletedCount > 0 && process.env.NODE_ENV !== "production") {
-    console.log(`Cleaned ${deletedCount} expired weather cache entries`);
-  }
+/**
+ * Reset the weather cache — test helper only, no-op outside NODE_ENV=test.
+ */
+export function __resetWeatherCacheForTests() {
+  clearForecastCache();
 }
 
-// Writes forecast data into cache and evicts oldest entries when capacity is reached.
-function addToCache(key, data) {
-  // Clean expired entries first
-  cleanExpiredCache();
-
-  // If still too large, remove oldest entries
-  if (weatherCache.size >= MAX_CACHE_SIZE) {
-    const firstKey = weatherCache.keys().next().value;
-    weatherCache.delete(firstKey);
+/**
+ * Parse a chain spec like "US=weathergov,visualcrossing;other=visualcrossing,openweathermap".
+ * Unknown provider ids are dropped with a warning; an empty or invalid spec yields the defaults.
+ * @returns {Record<string, string[]>}
+ */
+export function parseProviderChains(spec) {
+  if (!spec || typeof spec !== "string") return DEFAULT_PROVIDER_CHAINS;
+  const chains = {};
+  for (const entry of spec.split(";")) {
+    const [rawCountry, rawIds = ""] = entry.split("=");
+    const country = rawCountry.trim();
+    const key = country.toLowerCase() === "other" ? "other" : country.toUpperCase();
+    const ids = rawIds
+      .split(",")
+      .map((id) => id.trim().toLowerCase())
+      .filter(Boolean);
+    const known = ids.filter((id) => WEATHER_PROVIDERS[id]);
+    if (known.length < ids.length) {
+      log.warn("Ignoring unknown weather providers", { country: key, ids: ids.filter((id) => !WEATHER_PROVIDERS[id]) });
+    }
+    if (/^([A-Z]{2}|other)$/.test(key) && known.length > 0) chains[key] = known;
   }
-
-  weatherCache.set(key, {
-    data,
-    timestamp: Date.now(),
-  });
+  return Object.keys(chains).length > 0 ? { ...DEFAULT_PROVIDER_CHAINS, ...chains } : DEFAULT_PROVIDER_CHAINS;
 }
 
-// Run cleanup periodically (every 5 minutes) without keeping Node alive in tests.
-const cacheCleanupInterval = setInterval(cleanExpiredCache, 5 * 60 * 1000);
-if (typeof cacheCleanupInterval.unref === "function") {
-  cacheCleanupInterval.unref();
+// Configured providers from a list of ids that cover the country (null: a country without its own chain).
+function configuredProviders(ids, country) {
+  return ids
+    .map((id) => WEATHER_PROVIDERS[id])
+    .filter((provider) => provider?.isConfigured())
+    .filter((provider) => !provider.countries || (country && provider.countries.includes(country)));
 }
 
 /**
- * Reset the weather cache — test helper only, no-op outside NODE_ENV=test.
+ * Providers that will actually be tried for a country, in order.
+ * @param {string} countryCode
+ * @param {Record<string, string[]>} [chains]
+ * @returns {object[]}
  */
-export function __resetWeatherCacheForTests() {
-  weatherCache.clear();
+export function getWeatherProviderChain(countryCode, chains = parseProviderChains(process.env.WEATHER_PROVIDER_CHAINS)) {
+  const country = (countryCode || "US").toUpperCase();
+  return configuredProviders(chains[country] || chains.other || [], country);
 }
 
-export async function getWeatherForecast(lat, lon, countryCode, startDate, endDate) {
-  // Route international requests to Visual Crossing; US stays on Weather.gov.
-  // Visual Crossing also used for US when trip dates are provided (better date-range support).
-  if (countryCode && countryCode.toUpperCase() !== "US") {
-    return getVisualCrossingForecast(lat, lon, { startDate, endDate });
-  }
-
-  // Coarse cache key (2dp) intentionally groups nearby points to improve hit-rate.
-  const cacheKey = `${lat.toFixed(2)},${lon.toFixed(2)}`;
+/**
+ * The chain each country key will actually use, for GET /api/v1/meta/capabilities.
+ * @returns {Record<string, string[]>}
+ */
+export function describeWeatherProviderChains(chains = parseProviderChains(process.env.WEATHER_PROVIDER_CHAINS)) {
+  return Object.fromEntries(
+    Object.entries(chains).map(([key, ids]) => [
+      key,
+      configuredProviders(ids, key === "other" ? null : key).map((provider) => provider.id),
+    ]),
+  );
+}
 
-  const cached = weatherCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    return cached.data;
+/**
+ * Daily weather for a location, covering the trip dates when they are given.
+ * Days no provider can forecast are filled from climate normals.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {string} countryCode
+ * @param {string} [startDate] - YYYY-MM-DD
+ * @param {string} [endDate]   - YYYY-MM-DD
+ * @param {object} [options]
+ * @param {Date} [options.now] - Clock for the forecast horizon check (tests)
+ * @param {Record<string, string[]>} [options.chains] - Override the configured chains (tests)
+ * @returns {Promise<{summary: string, forecast: Array, provider: string, timeZone?: string}>}
+ */
+export async function getWeatherForecast(lat, lon, countryCode, startDate, endDate, { now = new Date(), chains } = {}) {
+  const tripDates = listTripDates(startDate, endDate);
+  const today = now.toISOString().slice(0, 10);
+
+  // A provider whose window ends before the trip starts has nothing to add.
+  const chain = getWeatherProviderChain(countryCode, chains).filter(
+    (provider) =>
+      tripDates.length === 0 ||
+      provider.horizonDays === null ||
+      tripDates[0] <= addDaysIso(today, provider.horizonDays - 1),
+  );
+
+  if (chain.length === 0) {
+    if (tripDates.length > 0) return withKidSafetyRisk(withClimatology(null, tripDates, lat, lon), lat, lon, tripDates, today);
+    throw new Error(`Failed to fetch weather: no weather provider is configured for ${countryCode || "US"}`);
   }
 
-  try {
-    // Weather.gov requires a two-step flow:
-    // 1) /points maps coordinates to the correct local forecast endpoint.
-    // 2) The returned forecast URL provides period-by-period weather details.
-    const pointsResponse = await fetchWithTimeout(
-      `https://api.weather.gov/points/${lat.toFixed(4)},${lon.toFixed(4)}`,
-      {
-        headers: {
-          "User-Agent": "SproutRoute/1.0 (contact@sproutroute.app)",
-        },
-      },
-    );
-
-    if (!pointsResponse.ok) {
-      throw new Error(
-        "Weather service unavailable for this location. Please try a US location.",
-      );
-    }
-
-    const pointsData = await pointsResponse.json();
-    const forecastUrl = pointsData.properties.forecast;
-
-    const forecastResponse = await fetchWithTimeout(forecastUrl, {
-      headers: {
-        "User-Agent": "SproutRoute/1.0 (contact@sproutroute.app)",
-      },
-    });
-
-    if (!forecastResponse.ok) {
-      throw new Error("Failed to fetch weather forecast");
+  let lastError = null;
+  for (const provider of chain) {
+    try {
+      const weather = await fetchForecast(provider, lat, lon, { startDate, endDate });
+      if (lastError) {
+        log.warn("Weather provider fallback", { from: lastError.provider, to: provider.id, reason: lastError.message });
+      }
+      return withKidSafetyRisk(withClimatology(weather, tripDates, lat, lon), lat, lon, tripDates, today);
+    } catch (error) {
+      lastError = error;
+      if (!error.retryable) break;
     }
+  }
+  throw new Error("Failed to fetch weather: " + lastError.message);
+}
 
-    const forecastData = await forecastResponse.json();
-    const periods = forecastData.properties.periods.slice(0, 14);
-
-    // Weather.gov returns alternating day/night periods; fold each pair into one day.
-    const forecast = [];
-    for (let i = 0; i < periods.length; i += 2) {
-      const day = periods[i];
-      const night = periods[i + 1];
-
-      forecast.push({
-        date: day.startTime.split("T")[0],
-        name: day.name,
-        high: day.temperature,
-        low: night ? night.temperature : null,
-        condition: day.shortForecast,
-        detailedForecast: day.detailedForecast,
-        precipitation: extractPrecipitationChance(day.detailedForecast),
-        icon: day.icon,
-      });
+/**
+ * Active weather alerts that overlap the trip, from the first provider in the chain that
+ * supports alerts. Each alert gains `dates`: the trip dates it covers. Alerts never fail a
+ * trip — provider errors return an empty list.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {string} countryCode
+ * @param {string} [startDate] - YYYY-MM-DD; without dates every active alert is returned
+ * @param {string} [endDate]   - YYYY-MM-DD
+ * @param {object} [options] - { now, chains } as for getWeatherForecast
+ * @returns {Promise<Array<object>>}
+ */
+export async function getWeatherAlerts(lat, lon, countryCode, startDate, endDate, { now = new Date(), chains } = {}) {
+  const tripDates = listTripDates(startDate, endDate);
+  const today = now.toISOString().slice(0, 10);
+  if (tripDates.length > 0 && tripDates[0] > addDaysIso(today, ALERT_LOOKAHEAD_DAYS - 1)) return [];
+
+  const chain = getWeatherProviderChain(countryCode, chains).filter((provider) => typeof provider.fetchAlerts === "function");
+  for (const provider of chain) {
+    try {
+      const alerts = await fetchAlerts(provider, lat, lon, { startDate, endDate });
+      return alerts
+        .map((alert) => ({ ...alert, dates: alertTripDates(alert, tripDates) }))
+        .filter((alert) => tripDates.length === 0 || alert.dates.length > 0);
+    } catch (error) {
+      if (!error.retryable) break;
     }
-
-    const summary = generateWeatherSummary(forecast);
-
-    const result = {
-      forecast,
-      summary,
-    };
-
-    addToCache(cacheKey, result);
-
-    return result;
-  } catch (error) {
-    log.error("Weather.gov fetch failed", { error: error.message, lat, lon });
-    throw new Error("Failed to fetch weather: " + error.message);
   }
+  return [];
 }
 
-function extractPrecipitationChance(forecast) {
-  // Pulls a coarse rain probability from free-form forecast text for lightweight scoring.
-  const match = forecast.match(/(\d+)%\s+chance/i);
-  return match ? parseInt(match[1]) : 0;
+// Trip dates between the alert's onset and end, compared on the local calendar date in the timestamps.
+function alertTripDates(alert, tripDates) {
+  const from = String(alert.onset || "").slice(0, 10);
+  const to = String(alert.ends || alert.onset || "").slice(0, 10);
+  if (!from && !to) return tripDates.slice(0, 1);
+  return tripDates.filter((date) => (!from || date >= from) && (!to || date <= to));
 }
 
-// Creates a compact summary sentence for fast UI reading and AI prompt context.
-function generateWeatherSummary(forecast) {
-  if (!forecast || forecast.length === 0) {
-    return "Weather data unavailable";
+function listTripDates(startDate, endDate) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || "")) return [];
+  const last = /^\d{4}-\d{2}-\d{2}$/.test(endDate || "") && endDate >= startDate ? endDate : startDate;
+  const dates = [];
+  for (let date = startDate; date <= last && dates.length < MAX_TRIP_DAYS; date = addDaysIso(date, 1)) {
+    dates.push(date);
   }
+  return dates;
+}
 
-  const temps = forecast.map((f) => f.high).filter(Boolean);
-  const minTemp = Math.min(...temps);
-  const maxTemp = Math.max(...temps);
-
-  const avgPrecip =
-    forecast.reduce((sum, f) => sum + f.precipitation, 0) / forecast.length;
-
-  const conditions = [];
-  if (avgPrecip > 50) {
-    conditions.push("high chance of rain");
-  } else if (avgPrecip > 30) {
-    conditions.push("possible rain");
-  }
+// Heat index on every day; UV index and AQI where the air quality forecast reaches.
+async function withKidSafetyRisk(weather, lat, lon, tripDates, today) {
+  const airQuality = await getAirQuality(lat, lon, tripDates, today);
+  return { ...weather, forecast: addKidSafetyRisk(weather.forecast, airQuality) };
+}
 
-  if (maxTemp > 80) {
-    conditions.push("warm weather");
-  } else if (minTemp < 50) {
-    conditions.push("cool temperatures");
+/**
+ * One day per trip date: the provider's forecast when it has that date, climate normals otherwise.
+ * Without trip dates the provider's days are returned as they are, tagged as forecasts.
+ */
+function withClimatology(weather, tripDates, lat, lon) {
+  const provided = (weather?.forecast || []).map((day) => ({ ...day, source: day.source || "forecast" }));
+  if (tripDates.length === 0) return { ...weather, forecast: provided };
+
+  const byDate = new Map(provided.filter((day) => day.date).map((day) => [day.date, day]));
+  const forecast = tripDates.map((date) => byDate.get(date) || climatologyDay(lat, lon, date));
+  const forecastDays = forecast.filter((day) => day.source === "forecast");
+
+  let summary = summarizeForecast(forecast);
+  if (forecastDays.length === 0) {
+    summary = `These dates are beyond the forecast range, so this uses typical conditions. ${summary}`;
+  } else if (forecastDays.length < forecast.length) {
+    summary += ` Forecast through ${forecastDays.at(-1).date}; later days use typical conditions.`;
   }
 
-  return `Expect temperatures between ${minTemp}°F and ${maxTemp}°F${
-    conditions.length > 0 ? " with " + conditions.join(" and ") : ""
-  }.`;
+  return {
+    summary,
+    forecast,
+    // Visual Crossing's statistical days count as its own; only bundled normals are "climatology".
+    provider: weather && forecast.some((day) => byDate.has(day.date)) ? weather.provider : "climatology",
+    ...(weather?.timeZone ? { timeZone: weather.timeZone } : {}),
+  };
 }
@@ -0,0 +1,95 @@
+// Weather.gov (National Weather Service) provider — US only, free, no API key.
+// Normalizes Weather.gov's day/night periods into simple daily data for UI + AI.
+
+const HEADERS = { "User-Agent": "SproutRoute/1.0 (contact@sproutroute.app)" };
+
+function extractPrecipitationChance(forecast) {
+  // Pulls a coarse rain probability from free-form forecast text for lightweight scoring.
+  const match = String(forecast || "").match(/(\d+)%\s+chance/i);
+  return match ? parseInt(match[1]) : 0;
+}
+
+// Hourly periods grouped by local date: { time: "HH:MM", temp, precipitation, humidity, condition }.
+function groupHourly(periods) {
+  const byDate = new Map();
+  for (const period of Array.isArray(periods) ? periods : []) {
+    const [date, clock = ""] = String(period.startTime || "").split("T");
+    if (!date || !clock) continue;
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push({
+      time: clock.slice(0, 5),
+      temp: period.temperature,
+      precipitation: period.probabilityOfPrecipitation?.value ?? 0,
+      humidity: period.relativeHumidity?.value ?? null,
+      condition: period.shortForecast,
+    });
+  }
+  return byDate;
+}
+
+export const weatherGovProvider = {
+  id: "weathergov",
+  name: "Weather.gov",
+  countries: ["US"],
+  horizonDays: 7,
+  usesDateRange: false,
+  isConfigured: () => true,
+
+  async fetchForecast(lat, lon, _options, fetchJson) {
+    // Weather.gov requires a two-step flow:
+    // 1) /points maps coordinates to the correct local forecast endpoint.
+    // 2) The returned forecast URL provides period-by-period weather details.
+    const pointsData = await fetchJson(`https://api.weather.gov/points/${lat.toFixed(4)},${lon.toFixed(4)}`, {
+      headers: HEADERS,
+    });
+    const forecastData = await fetchJson(pointsData.properties.forecast, { headers: HEADERS });
+    const periods = forecastData.properties.periods.slice(0, 14);
+    // Hourly periods feed heat- and nap-aware day schedules; the daily forecast stands without them.
+    const hourlyByDate = pointsData.properties.forecastHourly
+      ? await fetchJson(pointsData.properties.forecastHourly, { headers: HEADERS })
+          .then((data) => groupHourly(data?.properties?.periods))
+          .catch(() => new Map())
+      : new Map();
+
+    // Weather.gov returns alternating day/night periods; fold each pair into one day.
+    const forecast = [];
+    for (let i = 0; i < periods.length; i += 2) {
+      const day = periods[i];
+      const night = periods[i + 1];
+
+      const date = day.startTime.split("T")[0];
+      forecast.push({
+        date,
+        name: day.name,
+        high: day.temperature,
+        low: night ? night.temperature : null,
+        condition: day.shortForecast,
+        detailedForecast: day.detailedForecast,
+        precipitation: extractPrecipitationChance(day.detailedForecast),
+        icon: day.icon,
+        ...(hourlyByDate.has(date) ? { hourly: hourlyByDate.get(date) } : {}),
+      });
+    }
+
+    // IANA zone for the forecast point — used for timed calendar exports.
+    return { forecast, timeZone: pointsData.properties.timeZone || null };
+  },
+
+  // Active NWS alerts (warnings, watches, advisories) whose area contains the point.
+  async fetchAlerts(lat, lon, _options, fetchJson) {
+    const data = await fetchJson(`https://api.weather.gov/alerts/active?point=${lat.toFixed(4)},${lon.toFixed(4)}`, {
+      headers: { ...HEADERS, Accept: "application/geo+json" },
+    });
+    return (data?.features || []).map(({ properties: p = {} }) => ({
+      id: p.id,
+      event: p.event,
+      severity: p.severity,
+      headline: p.headline,
+      description: p.description,
+      instruction: p.instruction,
+      onset: p.onset || p.effective,
+      ends: p.ends || p.expires,
+      area: p.areaDesc,
+    }));
+  },
+};
@@ -0,0 +1,242 @@
+// Shared layer for weather providers (weatherGov.js, visualCrossing.js, openWeatherMap.js).
+// A provider is a plain object:
+//   { id, name, countries, horizonDays, usesDateRange, isConfigured(), fetchForecast(lat, lon, options, fetchJson),
+//     fetchAlerts?(lat, lon, options, fetchJson) }
+// - countries: ISO codes the provider covers, or null for worldwide
+// - horizonDays: how far ahead it forecasts, or null when it answers any date (statistical data)
+// - fetchForecast returns { forecast: Day[], timeZone? } in °F with `date` on every day; days may
+//   carry `humidity` (%) and `hourly: [{ time: "HH:MM" (local), temp, precipitation, humidity, condition }]`
+// - fetchAlerts (optional) returns active severe weather alerts in the shape documented on fetchAlerts below
+// Air quality sources (weatherRisk.js) are the same kind of object with fetchAirQuality instead.
+// This module adds the pieces every provider shares: HTTP with a timeout and retryable errors,
+// one TTL cache, and the summary sentence. weather.js runs providers as an ordered fallback chain.
+
+import { log } from "../utils/logger.js";
+
+const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
+// Alerts are issued and cancelled within minutes; keep them fresh.
+const ALERT_CACHE_DURATION = 10 * 60 * 1000;
+const MAX_CACHE_SIZE = 200;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const forecastCache = new Map();
+
+/** Clear cached forecasts for every provider — test helper only. */
+export function clearForecastCache() {
+  forecastCache.clear();
+}
+
+// Removes expired cache entries so memory stays bounded during long-running sessions.
+function cleanExpiredCache() {
+  const now = Date.now();
+  for (const [key, value] of forecastCache.entries()) {
+    if (now >= value.expiresAt) {
+      forecastCache.delete(key);
+    }
+  }
+}
+
+function addToCache(key, data, ttlMs = CACHE_DURATION) {
+  cleanExpiredCache();
+  if (forecastCache.size >= MAX_CACHE_SIZE) {
+    const firstKey = forecastCache.keys().next().value;
+    forecastCache.delete(firstKey);
+  }
+  forecastCache.set(key, { data, expiresAt: Date.now() + ttlMs });
+}
+
+function getCached(key) {
+  const cached = forecastCache.get(key);
+  return cached && Date.now() < cached.expiresAt ? cached.data : null;
+}
+
+// Run cleanup periodically (every 5 minutes) without keeping Node alive in tests.
+const cacheCleanupInterval = setInterval(cleanExpiredCache, 5 * 60 * 1000);
+if (typeof cacheCleanupInterval.unref === "function") {
+  cacheCleanupInterval.unref();
+}
+
+function providerError(provider, message, { status = 0, retryable = false } = {}) {
+  return Object.assign(new Error(message), { provider: provider.id, status, retryable });
+}
+
+/**
+ * GET a provider URL as JSON. Timeouts, network failures and 5xx responses throw with
+ * `retryable: true` so the chain moves on to the next provider; 4xx responses do not.
+ * @returns {Promise<any>}
+ */
+export async function fetchProviderJson(provider, url, { timeoutMs = DEFAULT_TIMEOUT_MS, headers = {} } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { "User-Agent": "SproutRoute/1.0 (contact@sproutroute.app)", ...headers },
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw providerError(provider, `${provider.name} service timed out. Please try again.`, { retryable: true });
+    }
+    throw providerError(provider, `${provider.name} request failed: ${error.message}`, { retryable: true });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => "");
+    throw providerError(provider, `${provider.name} API error (${response.status}): ${text.slice(0, 200)}`, {
+      status: response.status,
+      retryable: response.status >= 500,
+    });
+  }
+  return response.json();
+}
+
+/**
+ * Forecast from one provider, cached per provider and location (and date range for providers
+ * that use it). Coarse 2dp keys intentionally group nearby points to improve hit-rate.
+ *
+ * @param {object} provider
+ * @param {number} lat
+ * @param {number} lon
+ * @param {object} [options] - { startDate, endDate, days } passed through to the provider
+ * @returns {Promise<{summary: string, forecast: Array, provider: string, timeZone?: string}>}
+ */
+export async function fetchForecast(provider, lat, lon, options = {}) {
+  if (!provider.isConfigured()) {
+    throw providerError(provider, `${provider.name} API key not configured. Set ${provider.apiKeyEnv} environment variable.`);
+  }
+
+  const range = provider.usesDateRange ? `:${options.startDate || ""}/${options.endDate || ""}` : "";
+  const cacheKey = `${provider.id}:${lat.toFixed(2)},${lon.toFixed(2)}${range}`;
+  const cached = getCached(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const { forecast, timeZone } = await provider.fetchForecast(lat, lon, options, (url, init) =>
+      fetchProviderJson(provider, url, init),
+    );
+    if (!Array.isArray(forecast) || forecast.length === 0) {
+      throw providerError(provider, `No forecast data returned from ${provider.name}`);
+    }
+    const result = {
+      summary: summarizeForecast(forecast),
+      forecast,
+      provider: provider.id,
+      ...(timeZone ? { timeZone } : {}),
+    };
+    addToCache(cacheKey, result);
+    return result;
+  } catch (error) {
+    log.error("Weather provider fetch failed", { provider: provider.id, error: error.message, lat, lon });
+    throw error.provider ? error : providerError(provider, error.message);
+  }
+}
+
+export const ALERT_SEVERITIES = ["extreme", "severe", "moderate", "minor", "unknown"];
+
+/**
+ * Normalize a provider's severity, or infer one from the alert name when the provider has none
+ * ("Flood Warning" → severe, "Heat Advisory" → moderate, "Special Weather Statement" → minor).
+ * @returns {"extreme"|"severe"|"moderate"|"minor"|"unknown"}
+ */
+export function normalizeAlertSeverity(severity, event = "") {
+  const value = String(severity || "").toLowerCase();
+  if (ALERT_SEVERITIES.includes(value) && value !== "unknown") return value;
+  if (/warning/i.test(event)) return "severe";
+  if (/watch|advisory/i.test(event)) return "moderate";
+  if (/statement|outlook/i.test(event)) return "minor";
+  return "unknown";
+}
+
+/**
+ * Active weather alerts for a point from one provider, cached for ALERT_CACHE_DURATION.
+ * Each alert: { id, event, severity, headline, description, instruction, onset, ends, area, provider }
+ * where onset/ends are ISO timestamps in the location's local time when the provider gives them.
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchAlerts(provider, lat, lon, options = {}) {
+  const cacheKey = `alerts:${provider.id}:${lat.toFixed(2)},${lon.toFixed(2)}`;
+  const cached = getCached(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const alerts = (await provider.fetchAlerts(lat, lon, options, (url, init) => fetchProviderJson(provider, url, init)))
+      .filter((alert) => alert?.event)
+      .map((alert) => ({
+        id: String(alert.id || `${provider.id}:${alert.event}:${alert.onset || ""}`),
+        event: String(alert.event).slice(0, 120),
+        severity: normalizeAlertSeverity(alert.severity, alert.event),
+        headline: String(alert.headline || alert.event).slice(0, 300),
+        description: String(alert.description || "").trim().slice(0, 1200),
+        instruction: alert.instruction ? String(alert.instruction).trim().slice(0, 600) : null,
+        onset: alert.onset || null,
+        ends: alert.ends || null,
+        area: alert.area || null,
+        provider: provider.id,
+      }));
+    addToCache(cacheKey, alerts, ALERT_CACHE_DURATION);
+    return alerts;
+  } catch (error) {
+    log.warn("Weather alerts fetch failed", { provider: provider.id, error: error.message, lat, lon });
+    throw error.provider ? error : providerError(provider, error.message);
+  }
+}
+
+/**
+ * Daily air quality for a point from one source, cached like forecasts.
+ * Each day: { date, aqi, uvIndex } — daily maxima, null when the source has no value.
+ * @returns {Promise<Array<{date: string, aqi: number|null, uvIndex: number|null}>>}
+ */
+export async function fetchAirQuality(source, lat, lon, options = {}) {
+  const cacheKey = `air:${source.id}:${lat.toFixed(2)},${lon.toFixed(2)}:${options.startDate || ""}/${options.endDate || ""}`;
+  const cached = getCached(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const days = await source.fetchAirQuality(lat, lon, options, (url, init) => fetchProviderJson(source, url, init));
+    addToCache(cacheKey, days);
+    return days;
+  } catch (error) {
+    log.warn("Air quality fetch failed", { source: source.id, error: error.message, lat, lon });
+    throw error.provider ? error : providerError(source, error.message);
+  }
+}
+
+/** Weekday name for a YYYY-MM-DD date, e.g. "Monday". */
+export function dateToWeekday(dateStr) {
+  const date = new Date(dateStr + "T12:00:00Z");
+  return date.toLocaleDateString("en-US", { weekday: "long", timeZone: "UTC" });
+}
+
+// Creates a compact summary sentence for fast UI reading and AI prompt context.
+export function summarizeForecast(forecast) {
+  if (!forecast || forecast.length === 0) {
+    return "Weather data unavailable";
+  }
+
+  const temps = forecast.map((f) => f.high).filter(Boolean);
+  const minTemp = Math.min(...temps);
+  const maxTemp = Math.max(...temps);
+
+  const avgPrecip =
+    forecast.reduce((sum, f) => sum + (f.precipitation || 0), 0) / forecast.length;
+
+  const conditions = [];
+  if (avgPrecip > 50) {
+    conditions.push("high chance of rain");
+  } else if (avgPrecip > 30) {
+    conditions.push("possible rain");
+  }
+
+  if (maxTemp > 80) {
+    conditions.push("warm weather");
+  } else if (minTemp < 50) {
+    conditions.push("cool temperatures");
+  }
+
+  return `Expect temperatures between ${minTemp}°F and ${maxTemp}°F${
+    conditions.length > 0 ? " with " + conditions.join(" and ") : ""
+  }.`;
+}
@@ -0,0 +1,183 @@
+// Kid-safety risk per forecast day: UV index, air quality (US AQI) and heat index.
+// - UV and AQI come from Open-Meteo's air quality API (free, worldwide, no key, ~5 days ahead).
+//   A provider's own UV index (Visual Crossing) is kept when it has one.
+// - Heat index is computed from temperature and relative humidity with the NWS formula, using the
+//   hottest hour when the day has hourly humidity, else the daily high and humidity, else the high alone.
+// - Everything here is best-effort: a failed air quality lookup leaves uvIndex/aqi off the days.
+// Levels use the EPA/WHO UV scale, EPA AQI categories and NWS heat index bands; children count as a
+// sensitive group, so "unhealthy for sensitive groups" air already calls for indoor plans.
+
+import { fetchAirQuality } from "./weatherProvider.js";
+import { addDaysIso } from "../utils/childAge.js";
+import { formatTemperature } from "../utils/units.js";
+
+export const AIR_QUALITY_HORIZON_DAYS = 5;
+
+export const openMeteoAirQualitySource = {
+  id: "openmeteo",
+  name: "Open-Meteo Air Quality",
+
+  // Daily maxima of the hourly US AQI and UV index, by local date.
+  async fetchAirQuality(lat, lon, { startDate, endDate }, fetchJson) {
+    const range = startDate ? `&start_date=${startDate}&end_date=${endDate || startDate}` : `&forecast_days=${AIR_QUALITY_HORIZON_DAYS}`;
+    const data = await fetchJson(
+      `https://air-quality-api.open-meteo.com/v1/air-quality` +
+        `?latitude=${lat.toFixed(4)}&longitude=${lon.toFixed(4)}` +
+        `&hourly=us_aqi,uv_index&timezone=auto${range}`,
+    );
+    const { time = [], us_aqi: aqi = [], uv_index: uv = [] } = data?.hourly || {};
+    const byDate = new Map();
+    time.forEach((stamp, i) => {
+      const date = String(stamp).slice(0, 10);
+      const day = byDate.get(date) || { date, aqi: null, uvIndex: null };
+      if (Number.isFinite(aqi[i])) day.aqi = Math.max(day.aqi ?? 0, Math.round(aqi[i]));
+      if (Number.isFinite(uv[i])) day.uvIndex = Math.max(day.uvIndex ?? 0, Math.round(uv[i]));
+      byDate.set(date, day);
+    });
+    return [...byDate.values()];
+  },
+};
+
+/**
+ * NWS heat index (°F) from air temperature (°F) and relative humidity (%).
+ * Below 80°F the heat index is about the temperature, so the simple formula is used there.
+ * @returns {number}
+ */
+export function heatIndexF(tempF, humidity) {
+  const t = tempF;
+  const rh = humidity;
+  const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if ((simple + t) / 2 < 80) return Math.round(simple);
+
+  let hi =
+    -42.379 +
+    2.04901523 * t +
+    10.14333127 * rh -
+    0.22475541 * t * rh -
+    0.00683783 * t * t -
+    0.05481717 * rh * rh +
+    0.00122874 * t * t * rh +
+    0.00085282 * t * rh * rh -
+    0.00000199 * t * t * rh * rh;
+  if (rh < 13 && t >= 80 && t <= 112) hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+  if (rh > 85 && t >= 80 && t <= 87) hi += ((rh - 85) / 10) * ((87 - t) / 5);
+  return Math.round(hi);
+}
+
+/**
+ * A forecast day's heat index (°F): the hottest hour's when hourly humidity is known, otherwise the
+ * high with the daily humidity, otherwise the high itself. Null without a high.
+ * @returns {number|null}
+ */
+export function dayHeatIndex(day) {
+  const hours = (Array.isArray(day?.hourly) ? day.hourly : []).filter(
+    (hour) => Number.isFinite(hour?.temp) && Number.isFinite(hour?.humidity),
+  );
+  if (hours.length > 0) return Math.max(...hours.map((hour) => heatIndexF(hour.temp, hour.humidity)));
+  if (!Number.isFinite(day?.high)) return null;
+  return Number.isFinite(day.humidity) ? Math.max(day.high, heatIndexF(day.high, day.humidity)) : day.high;
+}
+
+/** @returns {"low"|"moderate"|"high"|"extreme"} NWS bands: caution 80°F, extreme caution 90°F, danger 103°F */
+export function heatRisk(heatIndex) {
+  if (!Number.isFinite(heatIndex) || heatIndex < 80) return "low";
+  if (heatIndex < 90) return "moderate";
+  if (heatIndex < 103) return "high";
+  return "extreme";
+}
+
+/** @returns {"low"|"moderate"|"high"|"very-high"|"extreme"|null} */
+export function uvLevel(uvIndex) {
+  if (!Number.isFinite(uvIndex)) return null;
+  if (uvIndex < 3) return "low";
+  if (uvIndex < 6) return "moderate";
+  if (uvIndex < 8) return "high";
+  if (uvIndex < 11) return "very-high";
+  return "extreme";
+}
+
+/** @returns {"good"|"moderate"|"unhealthy-sensitive"|"unhealthy"|"very-unhealthy"|"hazardous"|null} */
+export function aqiLevel(aqi) {
+  if (!Number.isFinite(aqi)) return null;
+  if (aqi <= 50) return "good";
+  if (aqi <= 100) return "moderate";
+  if (aqi <= 150) return "unhealthy-sensitive";
+  if (aqi <= 200) return "unhealthy";
+  if (aqi <= 300) return "very-unhealthy";
+  return "hazardous";
+}
+
+/** True when the air is unhealthy for children (AQI over 100): plan indoors and limit exertion outside. */
+export function isBadAirDay(day) {
+  return Number.isFinite(day?.aqi) && day.aqi > 100;
+}
+
+/** True when the heat index reaches the "high" band (90°F+): shade, water and short outdoor stints. */
+export function isHeatRiskDay(day) {
+  return Number.isFinite(day?.heatIndex) && day.heatIndex >= 90;
+}
+
+/**
+ * Add `heatIndex` (°F), `heatRisk`, and `uvIndex`/`aqi` when known, to each forecast day.
+ * @param {Array<object>} forecast - Days in °F
+ * @param {Array<{date: string, aqi: number|null, uvIndex: number|null}>} [airQuality]
+ * @returns {Array<object>}
+ */
+export function addKidSafetyRisk(forecast, airQuality = []) {
+  const airByDate = new Map(airQuality.map((day) => [day.date, day]));
+  return forecast.map((day) => {
+    const air = airByDate.get(day.date) || {};
+    const heatIndex = dayHeatIndex(day);
+    const uvIndex = Number.isFinite(day.uvIndex) ? day.uvIndex : air.uvIndex;
+    return {
+      ...day,
+      ...(Number.isFinite(uvIndex) ? { uvIndex } : {}),
+      ...(Number.isFinite(air.aqi) ? { aqi: air.aqi } : {}),
+      ...(heatIndex !== null ? { heatIndex, heatRisk: heatRisk(heatIndex) } : {}),
+    };
+  });
+}
+
+/**
+ * Air quality for the trip days that fall inside the air quality forecast window. Best-effort:
+ * failures and trips starting past the window return [].
+ * @returns {Promise<Array<{date: string, aqi: number|null, uvIndex: number|null}>>}
+ */
+export async function getAirQuality(lat, lon, tripDates, today) {
+  const horizonEnd = addDaysIso(today, AIR_QUALITY_HORIZON_DAYS - 1);
+  const dates = tripDates.filter((date) => date >= today && date <= horizonEnd);
+  if (tripDates.length > 0 && dates.length === 0) return [];
+  try {
+    return await fetchAirQuality(openMeteoAirQualitySource, lat, lon, {
+      startDate: dates[0],
+      endDate: dates.at(-1),
+    });
+  } catch {
+    return [];
+  }
+}
+
+const UV_LABELS = { moderate: "moderate", high: "high", "very-high": "very high", extreme: "extreme" };
+const AQI_LABELS = {
+  moderate: "moderate",
+  "unhealthy-sensitive": "unhealthy for kids",
+  unhealthy: "unhealthy",
+  "very-unhealthy": "very unhealthy",
+  hazardous: "hazardous",
+};
+
+/**
+ * Prompt suffix for a forecast day (°F) with the risks worth acting on, e.g.
+ * "; UV 9 (very high); AQI 160 (unhealthy); feels like 104°F (extreme heat risk)".
+ */
+export function kidRiskText(day, unitSystem) {
+  const uv = UV_LABELS[uvLevel(day?.uvIndex)];
+  const air = AQI_LABELS[aqiLevel(day?.aqi)];
+  // Weather can come back from the client (replan, packing), so only known levels reach the prompt.
+  const heat = Number.isFinite(day?.heatIndex) && heatRisk(day.heatIndex) !== "low" ? heatRisk(day.heatIndex) : null;
+  return [
+    uv ? `; UV ${day.uvIndex} (${uv})` : "",
+    air ? `; AQI ${day.aqi} (${air})` : "",
+    heat ? `; feels like ${formatTemperature(day.heatIndex, unitSystem)} (${heat} heat risk)` : "",
+  ].join("");
+}
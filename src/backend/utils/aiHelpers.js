@@ -80,3 +80,9 @@ export function extractJsonCandidates(responseText) {
 
   return candidates;
 }
+
+export function climatologyNote(forecast) {
+  // Prompt suffix when some days are climate normals rather than forecasts (trips past the forecast horizon).
+  if (!Array.isArray(forecast) || !forecast.some((day) => day.source === "climatology")) return "";
+  return "\n\nDays marked typical are climate averages for the date, not forecasts. Actual weather can run well above or below them, so plan for both and keep indoor backups for outdoor days.";
+}
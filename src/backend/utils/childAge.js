@@ -0,0 +1,73 @@
+// Child age as of a given date, from an optional birth date.
+// Parents plan trips months ahead, so car seat thresholds and packing age guards use the child's age
+// on the travel date rather than the age typed in today. Birth dates are "YYYY-MM-DD" or, when only
+// the month is known, "YYYY-MM". A month-only birth date is treated as the LAST day of that month,
+// so the child is never assumed older than they are (younger keeps the stricter restraint).
+
+const BIRTH_DATE = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/;
+const MAX_AGE_YEARS = 18;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+function toUtcParts(date) {
+  const value = date instanceof Date ? date : new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+  if (Number.isNaN(value.getTime())) return null;
+  return { year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() };
+}
+
+function parseBirthDate(birthDate) {
+  const match = BIRTH_DATE.exec(String(birthDate ?? ""));
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  if (month < 1 || month > 12) return null;
+  const day = match[3] === undefined ? daysInMonth(year, month) : Number(match[3]);
+  if (day < 1 || day > daysInMonth(year, month)) return null;
+  return { year, month, day };
+}
+
+/**
+ * Validate a birth date for a child profile.
+ * @returns {string|null} The birth date unchanged, or null when malformed, in the future, or over 18 years ago
+ */
+export function sanitizeBirthDate(value, today = new Date()) {
+  if (!parseBirthDate(value)) return null;
+  const months = ageInMonthsOn(value, today);
+  if (months === null || months < 0 || months >= (MAX_AGE_YEARS + 1) * 12) return null;
+  return value;
+}
+
+/**
+ * Completed months between a birth date and onDate.
+ * @param {string} birthDate - "YYYY-MM-DD" or "YYYY-MM"
+ * @param {Date|string} onDate - Date or "YYYY-MM-DD"
+ * @returns {number|null} Negative before birth; null for unparseable input
+ */
+export function ageInMonthsOn(birthDate, onDate) {
+  const birth = parseBirthDate(birthDate);
+  const on = toUtcParts(onDate);
+  if (!birth || !on) return null;
+  let months = (on.year - birth.year) * 12 + (on.month - birth.month);
+  // A birthday on the 31st falls on the last day of shorter months.
+  if (on.day < Math.min(birth.day, daysInMonth(on.year, on.month))) months -= 1;
+  return months;
+}
+
+/**
+ * A child's age in months on a date: from birthDate when present, otherwise ageMonths or age (years).
+ * @returns {number} Never negative
+ */
+export function childAgeMonthsOn(child, onDate) {
+  const fromBirth = child?.birthDate ? ageInMonthsOn(child.birthDate, onDate || new Date()) : null;
+  if (Number.isFinite(fromBirth)) return Math.max(0, fromBirth);
+  if (Number.isFinite(child?.ageMonths)) return Math.max(0, child.ageMonths);
+  if (Number.isFinite(child?.age)) return Math.max(0, child.age) * 12;
+  return 0;
+}
+
+/** @returns {string} "YYYY-MM-DD" of isoDate plus days (UTC) */
+export function addDaysIso(isoDate, days) {
+  const date = new Date(`${String(isoDate).slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
@@ -2,6 +2,11 @@
  * Sanitizes and validates user input before it reaches external APIs.
  * This keeps prompts clean and reduces basic injection risks.
  */
+import { ageInMonthsOn, sanitizeBirthDate } from "./childAge.js";
+import { cmToIn, inToCm, kgToLb, lbToKg, normalizeUnitSystem } from "./units.js";
+import { DIETS, FOOD_ALLERGIES } from "../data/dietaryRules.js";
+import { MEDICAL_EQUIPMENT, MOBILITY_NEEDS, SENSORY_NEEDS } from "../data/accessibilityRules.js";
+import { EXPENSE_CATEGORIES } from "../data/budgetRules.js";
 
 export function sanitizeString(str, maxLength = 200) {
   // Normalizes free-text fields to reduce XSS/prompt-injection risk and keep payloads bounded.
@@ -31,14 +36,29 @@ function parseOptionalNumber(value, min, max) {
   return Math.max(min, Math.min(max, parsed));
 }
 
-export function sanitizeChildren(children, maxLength = 10) {
+function sanitizeClockTime(value) {
+  // 24-hour local time "HH:MM" ("9:30" is padded); anything else is dropped.
+  const match = String(value ?? "").trim().match(/^(\d{1,2}):([0-5]\d)$/);
+  if (!match || Number(match[1]) > 23) return null;
+  return `${match[1].padStart(2, "0")}:${match[2]}`;
+}
+
+export function sanitizeChildren(children, maxLength = 10, { unitSystem } = {}) {
   // Clamps child profile data to safe ranges; strictly validates age to prevent prompt injection.
+  // Metric clients send weightKg/heightCm; they are converted to weightLb/heightIn (what the car seat
+  // rules use) and kept alongside so the trip echoes back the values the parent typed.
   if (!Array.isArray(children)) return [];
+  const metric = normalizeUnitSystem(unitSystem) === "metric";
 
   return children.slice(0, maxLength)
     .map((child) => {
+      // Optional birth date lets safety + packing use the child's age on the trip date (see childAge.js).
+      const birthDate = sanitizeBirthDate(child?.birthDate);
       // Validate age is numeric integer (not injection attempt like "5), ignore")
-      const ageNum = Number.parseInt(String(child.age), 10);
+      let ageNum = Number.parseInt(String(child?.age), 10);
+      if (!Number.isFinite(ageNum) && birthDate) {
+        ageNum = Math.floor(ageInMonthsOn(birthDate, new Date()) / 12);
+      }
       if (!Number.isFinite(ageNum)) {
         // Skip children with non-numeric ages to prevent injection
         return null;
@@ -47,6 +67,44 @@ export function sanitizeChildren(children, maxLength = 10) {
       const safeChild = {
         age: Math.max(0, Math.min(18, ageNum)),
       };
+      if (birthDate) {
+        safeChild.birthDate = birthDate;
+      }
+
+      // Nap window and bedtime shape each day's timed schedule (see daySchedule.js).
+      const napStart = sanitizeClockTime(child.napStart);
+      const napEnd = sanitizeClockTime(child.napEnd);
+      if (napStart && napEnd && napStart < napEnd) {
+        safeChild.napStart = napStart;
+        safeChild.napEnd = napEnd;
+      }
+      const bedtime = sanitizeClockTime(child.bedtime);
+      if (bedtime && bedtime >= "17:00") {
+        safeChild.bedtime = bedtime;
+      }
+
+      // Free-text medical details for the emergency info card (see emergencyCard.js).
+      for (const field of ["allergies", "medications"]) {
+        const entries = sanitizeArray(child[field], 10).map((entry) => entry.slice(0, 60));
+        if (entries.length > 0) safeChild[field] = entries;
+      }
+
+      if (metric) {
+        const safeWeightKg = parseOptionalNumber(child.weightKg, lbToKg(2), lbToKg(300));
+        const safeHeightCm = parseOptionalNumber(child.heightCm, inToCm(10), inToCm(90));
+
+        if (safeWeightKg !== null) {
+          safeChild.weightKg = safeWeightKg;
+          safeChild.weightLb = kgToLb(safeWeightKg);
+        }
+
+        if (safeHeightCm !== null) {
+          safeChild.heightCm = safeHeightCm;
+          safeChild.heightIn = cmToIn(safeHeightCm);
+        }
+
+        return safeChild;
+      }
 
       const safeWeightLb = parseOptionalNumber(child.weightLb, 2, 300);
       const safeHeightIn = parseOptionalNumber(child.heightIn, 10, 90);
@@ -64,6 +122,61 @@ export function sanitizeChildren(children, maxLength = 10) {
     .filter(child => child !== null);
 }
 
+const MAX_TRIP_STOPS = 8;
+
+export function sanitizeTripStops(stops, maxLength = MAX_TRIP_STOPS) {
+  // Ordered road-trip stops, each with its own date range.
+  if (!Array.isArray(stops)) return [];
+
+  return stops.slice(0, maxLength).map((stop) => ({
+    destination: sanitizeString(stop?.destination, 100),
+    startDate: sanitizeString(String(stop?.startDate ?? ""), 30),
+    endDate: sanitizeString(String(stop?.endDate ?? ""), 30),
+  }));
+}
+
+const ALERT_SEVERITIES = new Set(["extreme", "severe", "moderate", "minor"]);
+
+export function sanitizeWeatherAlerts(alerts) {
+  // Weather alerts a client sends back with a replan; only the fields the planner reads are kept.
+  if (!Array.isArray(alerts)) return [];
+
+  return alerts
+    .slice(0, 20)
+    .map((alert) => ({
+      event: sanitizeString(alert?.event, 100),
+      severity: ALERT_SEVERITIES.has(alert?.severity) ? alert.severity : "minor",
+      dates: (Array.isArray(alert?.dates) ? alert.dates : [])
+        .slice(0, 14)
+        .filter((date) => typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)),
+    }))
+    .filter((alert) => alert.event.length > 0 && alert.dates.length > 0);
+}
+
+function pickAllowed(values, allowed) {
+  // Distinct string keys of `allowed`, in the order given; anything else is dropped.
+  return [...new Set(Array.isArray(values) ? values : [])].filter(
+    (value) => typeof value === "string" && Object.hasOwn(allowed, value),
+  );
+}
+
+export function sanitizeDietary(dietary) {
+  // Family food allergies and diets, kept only when they are on the allowlists in dietaryRules.js.
+  // Returns null when nothing valid is selected, so trips without dietary needs stay unchanged.
+  const foodAllergies = pickAllowed(dietary?.foodAllergies, FOOD_ALLERGIES);
+  const diets = pickAllowed(dietary?.diets, DIETS);
+  return foodAllergies.length > 0 || diets.length > 0 ? { foodAllergies, diets } : null;
+}
+
+export function sanitizeAccessibility(accessibility) {
+  // Mobility, sensory and medical-equipment needs from the allowlists in accessibilityRules.js;
+  // null when nothing valid is selected.
+  const mobility = pickAllowed(accessibility?.mobility, MOBILITY_NEEDS);
+  const sensory = pickAllowed(accessibility?.sensory, SENSORY_NEEDS);
+  const equipment = pickAllowed(accessibility?.equipment, MEDICAL_EQUIPMENT);
+  return mobility.length > 0 || sensory.length > 0 || equipment.length > 0 ? { mobility, sensory, equipment } : null;
+}
+
 export function sanitizeTripData(data) {
   // Canonical payload sanitizer for trip-related endpoints.
   const safeData = data || {};
@@ -74,9 +187,39 @@ export function sanitizeTripData(data) {
     endDate: sanitizeString(String(safeData.endDate ?? ""), 30),
     activities: sanitizeArray(safeData.activities),
     children: [],
+    unitSystem: normalizeUnitSystem(safeData.unitSystem),
   };
 
-  sanitized.children = sanitizeChildren(safeData.children);
+  sanitized.children = sanitizeChildren(safeData.children, 10, { unitSystem: sanitized.unitSystem });
+
+  const dietary = sanitizeDietary(safeData.dietary);
+  if (dietary) {
+    sanitized.dietary = dietary;
+  }
+  const accessibility = sanitizeAccessibility(safeData.accessibility);
+  if (accessibility) {
+    sanitized.accessibility = accessibility;
+  }
+
+  // What the family typed ("2 hours from Denver"): budgets count fuel for drive-time searches.
+  const destinationQuery = sanitizeString(safeData.destinationQuery, 200);
+  if (destinationQuery) {
+    sanitized.destinationQuery = destinationQuery;
+  }
+  // Replan clients echo the resolved country back, since replans skip geocoding.
+  const countryCode = String(safeData.countryCode ?? "").toUpperCase();
+  if (/^[A-Z]{2}$/.test(countryCode)) {
+    sanitized.countryCode = countryCode;
+  }
+
+  // Two or more stops make a road trip: the overall destination and dates come from the route.
+  const stops = sanitizeTripStops(safeData.stops);
+  if (stops.length > 1) {
+    sanitized.stops = stops;
+    sanitized.destination = stops.map((stop) => stop.destination).join(" → ");
+    sanitized.startDate = stops[0].startDate;
+    sanitized.endDate = stops[stops.length - 1].endDate;
+  }
 
   return sanitized;
 }
@@ -125,6 +268,10 @@ export function validateTripData(data, options = {}) {
     errors.push("Trip duration cannot exceed 14 days");
   }
 
+  if (Array.isArray(data.stops)) {
+    errors.push(...validateTripStops(data.stops));
+  }
+
   if (
     requireActivities &&
     (!Array.isArray(data.activities) || data.activities.length === 0)
@@ -134,3 +281,97 @@ export function validateTripData(data, options = {}) {
 
   return errors;
 }
+
+function validateTripStops(stops) {
+  // Each stop needs a place and a stay; stays run in route order without overlapping.
+  const errors = [];
+  let previousEnd = null;
+
+  stops.forEach((stop, index) => {
+    const label = `Stop ${index + 1}`;
+    if (!stop.destination) {
+      errors.push(`${label}: destination is required`);
+    }
+    const start = new Date(stop.startDate);
+    const end = new Date(stop.endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      errors.push(`${label}: invalid date format`);
+      return;
+    }
+    if (start > end) {
+      errors.push(`${label}: end date must not be before start date`);
+    }
+    if (previousEnd && start < previousEnd) {
+      errors.push(`${label}: must start on or after the previous stop ends`);
+    }
+    previousEnd = end;
+  });
+
+  return errors;
+}
+
+export function sanitizeChecklistState(checklist) {
+  // Bounds persisted packing-checklist state: checked item IDs (makeItemId format), custom items by category,
+  // and per-item person/bag assignments.
+  const safe = checklist && typeof checklist === "object" ? checklist : {};
+
+  const checked = Array.isArray(safe.checked)
+    ? [...new Set(
+        safe.checked
+          .slice(0, 1000)
+          .map((id) => sanitizeString(String(id), 300))
+          .filter((id) => id.length > 0),
+      )]
+    : [];
+
+  const customItems = {};
+  if (safe.customItems && typeof safe.customItems === "object" && !Array.isArray(safe.customItems)) {
+    for (const [rawCategory, items] of Object.entries(safe.customItems).slice(0, 30)) {
+      const category = sanitizeString(rawCategory, 100);
+      if (!category || !Array.isArray(items)) continue;
+      customItems[category] = items
+        .slice(0, 50)
+        .map((item) => ({
+          name: sanitizeString(item?.name, 100),
+          quantity: sanitizeString(String(item?.quantity ?? "1"), 20) || "1",
+          reason: sanitizeString(item?.reason || "Added by you", 200),
+          source: "custom",
+        }))
+        .filter((item) => item.name.length > 0);
+    }
+  }
+
+  // Item assignments: { [itemId]: { person, bag } } — at least one of the two must be set.
+  const assignments = {};
+  if (safe.assignments && typeof safe.assignments === "object" && !Array.isArray(safe.assignments)) {
+    for (const [rawId, value] of Object.entries(safe.assignments).slice(0, 1000)) {
+      const itemId = sanitizeString(String(rawId), 300);
+      const person = sanitizeString(value?.person || "", 40) || null;
+      const bag = sanitizeString(value?.bag || "", 40) || null;
+      if (itemId && (person || bag)) assignments[itemId] = { person, bag };
+    }
+  }
+
+  return { checked, customItems, assignments, updatedAt: new Date().toISOString() };
+}
+
+export function sanitizeExpenses(expenses) {
+  // Bounds the expenses logged against a trip budget. Amounts are in the budget's currency; entries
+  // without a positive amount are dropped.
+  if (!Array.isArray(expenses)) return [];
+
+  return expenses
+    .slice(0, 500)
+    .map((expense, index) => {
+      const amount = Number.parseFloat(expense?.amount);
+      const date = String(expense?.date ?? "");
+      return {
+        id: sanitizeString(String(expense?.id ?? ""), 64) || `expense-${index + 1}`,
+        date: /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : null,
+        category: EXPENSE_CATEGORIES.includes(expense?.category) ? expense.category : "other",
+        description: sanitizeString(expense?.description, 100),
+        amount: Number.isFinite(amount) ? Math.round(Math.min(amount, 1e9) * 100) / 100 : 0,
+      };
+    })
+    .filter((expense) => expense.amount > 0);
+}
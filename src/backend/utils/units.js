@@ -0,0 +1,99 @@
+// Unit system helpers for v1 `unitSystem: "imperial" | "metric"`.
+// Internally the backend stays imperial: car seat rules are written in lb/in and weather thresholds,
+// climate zones and summaries in °F. Metric is handled at the edges:
+// - input: children's weightKg/heightCm are converted to weightLb/heightIn (see sanitizeChildren)
+// - output: weather is converted to °C/mm and marked with `units` (toUnitSystemWeather)
+// - prompts: AI prompts print temperatures and ask for quantities in the trip's unit system
+// Weather that comes back from a metric client (replan, packing) is converted back with toImperialWeather.
+
+export const UNIT_SYSTEMS = ["imperial", "metric"];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/** @returns {"imperial"|"metric"} Anything other than "metric" is imperial */
+export function normalizeUnitSystem(value) {
+  return value === "metric" ? "metric" : "imperial";
+}
+
+export const fahrenheitToCelsius = (f) => Math.round(((f - 32) * 5) / 9);
+export const celsiusToFahrenheit = (c) => Math.round((c * 9) / 5 + 32);
+export const kgToLb = (kg) => round1(kg * 2.20462);
+export const lbToKg = (lb) => round1(lb / 2.20462);
+export const cmToIn = (cm) => round1(cm / 2.54);
+export const inToCm = (inches) => round1(inches * 2.54);
+export const inToMm = (inches) => round1(inches * 25.4);
+export const mmToIn = (mm) => Math.round((mm / 25.4) * 100) / 100;
+
+/** Temperature (given in °F) for prompts and summaries, e.g. "72°F" or "22°C". */
+export function formatTemperature(fahrenheit, unitSystem) {
+  if (!Number.isFinite(fahrenheit)) return "?";
+  return unitSystem === "metric" ? `${fahrenheitToCelsius(fahrenheit)}°C` : `${Math.round(fahrenheit)}°F`;
+}
+
+/** One line for AI prompts telling the model which units to write quantities in. */
+export function unitInstruction(unitSystem) {
+  return unitSystem === "metric"
+    ? "Use metric units in all quantities and text (°C, km, m, kg, cm, ml, L). Never use °F, miles, lb or oz."
+    : "Use US customary units in all quantities and text (°F, miles, lb, inches, oz).";
+}
+
+function convertDay(day, convertTemp, convertPrecip, precipFrom, precipTo) {
+  const next = {
+    ...day,
+    high: Number.isFinite(day.high) ? convertTemp(day.high) : day.high,
+    low: Number.isFinite(day.low) ? convertTemp(day.low) : day.low,
+  };
+  if (Number.isFinite(day.heatIndex)) next.heatIndex = convertTemp(day.heatIndex);
+  if (Array.isArray(day.hourly)) {
+    next.hourly = day.hourly.map((hour) => ({
+      ...hour,
+      temp: Number.isFinite(hour.temp) ? convertTemp(hour.temp) : hour.temp,
+    }));
+  }
+  if (precipFrom in day) {
+    delete next[precipFrom];
+    next[precipTo] = Number.isFinite(day[precipFrom]) ? convertPrecip(day[precipFrom]) : null;
+  }
+  return next;
+}
+
+/**
+ * Weather as returned to a client. Imperial weather is returned unchanged; metric weather has daily
+ * high/low, heat index and hourly temps in °C, precipitationIn replaced by precipitationMm, °F
+ * figures in the summary rewritten, and `units: { temperature: "C", precipitation: "mm" }`.
+ * Already-metric weather is returned as is.
+ */
+export function toUnitSystemWeather(weather, unitSystem) {
+  if (unitSystem !== "metric" || !weather || weather.units?.temperature === "C") return weather;
+  return {
+    ...weather,
+    summary:
+      typeof weather.summary === "string"
+        ? weather.summary.replace(/(-?\d+(?:\.\d+)?)°F/g, (_, f) => `${fahrenheitToCelsius(Number(f))}°C`)
+        : weather.summary,
+    forecast: Array.isArray(weather.forecast)
+      ? weather.forecast.map((day) =>
+          convertDay(day, fahrenheitToCelsius, inToMm, "precipitationIn", "precipitationMm"),
+        )
+      : weather.forecast,
+    units: { temperature: "C", precipitation: "mm" },
+  };
+}
+
+/** Inverse of toUnitSystemWeather, for weather a metric client sends back. Imperial input is unchanged. */
+export function toImperialWeather(weather) {
+  if (weather?.units?.temperature !== "C") return weather;
+  const { units, ...rest } = weather;
+  return {
+    ...rest,
+    summary:
+      typeof rest.summary === "string"
+        ? rest.summary.replace(/(-?\d+(?:\.\d+)?)°C/g, (_, c) => `${celsiusToFahrenheit(Number(c))}°F`)
+        : rest.summary,
+    forecast: Array.isArray(rest.forecast)
+      ? rest.forecast.map((day) =>
+          convertDay(day, celsiusToFahrenheit, mmToIn, "precipitationMm", "precipitationIn"),
+        )
+      : rest.forecast,
+  };
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef, useCallback } from "react";
+import { useState, useEffect, useRef } from "react";
 import { format, addDays, differenceInDays } from "date-fns";
 import { AnimatePresence, motion } from "framer-motion";
 import Header from "./components/Header";
@@ -13,8 +13,10 @@ import DatesStep from "./components/wizard/DatesStep";
 import KidsStep from "./components/wizard/KidsStep";
 import ActivitiesStep from "./components/wizard/ActivitiesStep";
 import TripPlanDisplay from "./components/TripPlanDisplay";
+import TripBudget from "./components/TripBudget";
 import PackingChecklist from "./components/PackingChecklist";
 import TravelSafetyCard from "./components/TravelSafetyCard";
+import EmergencyCard from "./components/EmergencyCard";
 import ResultTabs from "./components/ResultTabs";
 import {
   replanTrip,
@@ -22,37 +24,17 @@ import {
   resolveDestination,
   streamTripPlan,
   getTravelAdvisory,
+  getAirTravelGuidance,
   getNeighborhoodSafety,
+  getFamilyEssentials,
+  getEmergencyCard,
+  getSavedTrip,
+  updateSavedTrip,
 } from "./services/api";
-
-// ── useTheme ─────────────────────────────────────────────────────────────────
-
-function useTheme() {
-  const getInitial = () => {
-    const stored = localStorage.getItem("sproutroute-theme");
-    if (stored === "dark" || stored === "light") return stored;
-    return window.matchMedia("(prefers-color-scheme: dark)").matches
-      ? "dark"
-      : "light";
-  };
-
-  const [theme, setTheme] = useState(getInitial);
-
-  useEffect(() => {
-    if (theme === "dark") {
-      document.documentElement.classList.add("dark");
-    } else {
-      document.documentElement.classList.remove("dark");
-    }
-    localStorage.setItem("sproutroute-theme", theme);
-  }, [theme]);
-
-  const toggle = useCallback(
-    () => setTheme((t) => (t === "dark" ? "light" : "dark")),
-    [],
-  );
-  return { theme, toggle };
-}
+import useTheme from "./hooks/useTheme";
+import { saveAssignments, saveCustomItems } from "./utils/checklist";
+import { scheduleStops } from "./utils/tripStops";
+import { defaultUnitSystem } from "./utils/units";
 
 // ── App ──────────────────────────────────────────────────────────────────────
 
@@ -67,13 +49,24 @@ function App() {
   const [wizardStep, setWizardStep] = useState("destination");
   const [activeResultTab, setActiveResultTab] = useState("itinerary");
   const [selectedActivities, setSelectedActivities] = useState([]);
+  // Server-side trip ID (trip store) — lets a plan be reopened via ?trip=<id> on any device.
+  const [tripId, setTripId] = useState(null);
   const [tripData, setTripData] = useState(null);
   const [tripPlan, setTripPlan] = useState(null);
   const [weather, setWeather] = useState(null);
+  // Active weather alerts from generation time — transient, so not saved to the trip store.
+  const [weatherAlerts, setWeatherAlerts] = useState([]);
   const [packingList, setPackingList] = useState(null);
   const [safetyGuidance, setSafetyGuidance] = useState(null);
   const [travelAdvisory, setTravelAdvisory] = useState(null);
   const [neighborhoodSafety, setNeighborhoodSafety] = useState(null);
+  // Nearby playgrounds, changing tables, pharmacies and urgent care, per destination/stop.
+  const [familyEssentials, setFamilyEssentials] = useState(null);
+  // Emergency info card — cached with the local trip so it shows offline.
+  const [emergencyCard, setEmergencyCard] = useState(null);
+  const [airTravelGuidance, setAirTravelGuidance] = useState(null);
+  // Logged spending against tripPlan.budget — cached locally and stored on saved trips.
+  const [expenses, setExpenses] = useState([]);
   const [showCustomize, setShowCustomize] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -102,10 +95,23 @@ function App() {
 
   const [startDate, setStartDate] = useState(today);
   const [endDate, setEndDate] = useState(tomorrow);
+  // Road trip stops ({ destination, nights }); empty for a single-destination trip.
+  const [roadTripStops, setRoadTripStops] = useState([]);
   const [numChildren, setNumChildren] = useState(0);
   const [childAges, setChildAges] = useState([]);
   const [childWeights, setChildWeights] = useState([]);
   const [childHeights, setChildHeights] = useState([]);
+  // Optional "YYYY-MM-DD" per child; lets safety guidance use the child's age on the trip date.
+  const [childBirthDates, setChildBirthDates] = useState([]);
+  // Optional { napStart, napEnd, bedtime } ("HH:MM") per child; days are scheduled around them.
+  const [childRoutines, setChildRoutines] = useState([]);
+  // Optional { allergies, medications } per child, as typed (comma-separated) — for the emergency card.
+  const [childMedical, setChildMedical] = useState([]);
+  // Family food allergies and diets (allowlisted keys); meals and packing are planned around them.
+  const [dietary, setDietary] = useState({ foodAllergies: [], diets: [] });
+  const [accessibility, setAccessibility] = useState({ mobility: [], sensory: [], equipment: [] });
+  // "imperial" | "metric" — child measurements are typed in this system and weather comes back in it.
+  const [unitSystem, setUnitSystem] = useState("imperial");
 
   // ── Helpers ──────────────────────────────────────────────────────────────
 
@@ -114,19 +120,79 @@ function App() {
       const child = { age };
       const weight = Number.parseFloat(childWeights[index]);
       const height = Number.parseFloat(childHeights[index]);
-      if (Number.isFinite(weight) && weight > 0) child.weightLb = Math.round(weight * 10) / 10;
-      if (Number.isFinite(height) && height > 0) child.heightIn = Math.round(height * 10) / 10;
+      const [weightKey, heightKey] = unitSystem === "metric" ? ["weightKg", "heightCm"] : ["weightLb", "heightIn"];
+      if (Number.isFinite(weight) && weight > 0) child[weightKey] = Math.round(weight * 10) / 10;
+      if (Number.isFinite(height) && height > 0) child[heightKey] = Math.round(height * 10) / 10;
+      if (childBirthDates[index]) child.birthDate = childBirthDates[index];
+      const routine = childRoutines[index] || {};
+      if (routine.napStart && routine.napEnd) Object.assign(child, { napStart: routine.napStart, napEnd: routine.napEnd });
+      if (routine.bedtime) child.bedtime = routine.bedtime;
+      for (const field of ["allergies", "medications"]) {
+        const entries = String(childMedical[index]?.[field] || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+        if (entries.length > 0) child[field] = entries;
+      }
       return child;
     });
   };
 
+  // Stop 1 always follows the step-1 destination, even if it changed after stops were added.
+  const scheduleRoadTrip = () =>
+    scheduleStops(
+      roadTripStops.map((stop, i) => (i === 0 ? { ...stop, destination: resolvedDestination } : stop)),
+      startDate,
+      endDate,
+    );
+
   const wizardStepIndex = { destination: 1, suggestions: 1, dates: 2, kids: 3, activities: 4 };
   const currentStepNum = wizardStepIndex[wizardStep] || 1;
 
   // ── Restore saved trip ──────────────────────────────────────────────────
 
   const SAVED_TRIP_TTL_MS = 7 * 24 * 60 * 60 * 1000;
-  useEffect(() => {
+
+  // Populate results state from a saved trip (local cache or server trip store).
+  const hydrateSavedTrip = (saved) => {
+    setTripId(saved.tripId || null);
+    setTripData(saved.trip);
+    setTripPlan(saved.tripPlan);
+    setWeather(saved.weather);
+    setWeatherAlerts(saved.alerts || []);
+    setPackingList(saved.packingList);
+    setSafetyGuidance(saved.safetyGuidance || null);
+    setTravelAdvisory(saved.travelAdvisory || null);
+    setNeighborhoodSafety(saved.neighborhoodSafety || null);
+    setFamilyEssentials(saved.familyEssentials || null);
+    setEmergencyCard(saved.emergencyCard || null);
+    setAirTravelGuidance(saved.airTravelGuidance || null);
+    setExpenses(saved.expenses || []);
+    setResolvedDestination(saved.trip.destination || "");
+    setStartDate(saved.trip.startDate || today);
+    setEndDate(saved.trip.endDate || tomorrow);
+    const savedChildren = saved.trip.children || [];
+    setNumChildren(savedChildren.length || 0);
+    setChildAges(savedChildren.map((c) => c.age));
+    const savedUnits = saved.trip.unitSystem === "metric" ? "metric" : "imperial";
+    const [weightKey, heightKey] = savedUnits === "metric" ? ["weightKg", "heightCm"] : ["weightLb", "heightIn"];
+    setUnitSystem(savedUnits);
+    setChildWeights(savedChildren.map((c) => (Number.isFinite(c[weightKey]) ? String(c[weightKey]) : "")));
+    setChildHeights(savedChildren.map((c) => (Number.isFinite(c[heightKey]) ? String(c[heightKey]) : "")));
+    setChildBirthDates(savedChildren.map((c) => c.birthDate || ""));
+    setChildRoutines(
+      savedChildren.map((c) => ({ napStart: c.napStart || "", napEnd: c.napEnd || "", bedtime: c.bedtime || "" })),
+    );
+    setChildMedical(
+      savedChildren.map((c) => ({ allergies: (c.allergies || []).join(", "), medications: (c.medications || []).join(", ") })),
+    );
+    setDietary({ foodAllergies: saved.trip.dietary?.foodAllergies || [], diets: saved.trip.dietary?.diets || [] });
+    setAccessibility({
+      mobility: saved.trip.accessibility?.mobility || [],
+      sensory: saved.trip.accessibility?.sensory || [],
+      equipment: saved.trip.accessibility?.equipment || [],
+    });
+    setStep("results");
+  };
+
+  const restoreLocalTrip = () => {
     const savedData = localStorage.getItem("sproutroute_trip");
     if (savedData) {
       try {
@@ -136,31 +202,42 @@ function App() {
           if (ageMs > SAVED_TRIP_TTL_MS) {
             localStorage.removeItem("sproutroute_trip");
             localStorage.removeItem("sproutroute_checked");
+            localStorage.removeItem("sproutroute_assignments");
             return;
           }
         }
-        if (parsed.trip) {
-          setTripData(parsed.trip);
-          setTripPlan(parsed.tripPlan);
-          setWeather(parsed.weather);
-          setPackingList(parsed.packingList);
-          setSafetyGuidance(parsed.safetyGuidance || null);
-          setTravelAdvisory(parsed.travelAdvisory || null);
-          setNeighborhoodSafety(parsed.neighborhoodSafety || null);
-          setResolvedDestination(parsed.trip.destination || "");
-          setStartDate(parsed.trip.startDate || today);
-          setEndDate(parsed.trip.endDate || tomorrow);
-          const savedChildren = parsed.trip.children || [];
-          setNumChildren(savedChildren.length || 0);
-          setChildAges(savedChildren.map((c) => c.age));
-          setChildWeights(savedChildren.map((c) => (Number.isFinite(c.weightLb) ? String(c.weightLb) : "")));
-          setChildHeights(savedChildren.map((c) => (Number.isFinite(c.heightIn) ? String(c.heightIn) : "")));
-          setStep("results");
-        }
+        if (parsed.trip) hydrateSavedTrip(parsed);
       } catch (err) {
         console.error("Failed to load saved trip:", err);
       }
     }
+  };
+
+  useEffect(() => {
+    // ?trip=<id> reopens a server-saved trip; otherwise fall back to the local cache.
+    const sharedTripId = new URLSearchParams(window.location.search).get("trip");
+    if (!sharedTripId) {
+      restoreLocalTrip();
+      return;
+    }
+
+    getSavedTrip(sharedTripId)
+      .then((saved) => {
+        // Seed checklist storage before PackingChecklist mounts so progress carries over.
+        localStorage.setItem("sproutroute_checked", JSON.stringify(saved.checklist?.checked || []));
+        saveCustomItems(saved.checklist?.customItems || {});
+        saveAssignments(saved.checklist?.assignments || {});
+        localStorage.setItem("sproutroute_trip", JSON.stringify({
+          tripId: saved.tripId, trip: saved.trip, weather: saved.weather,
+          tripPlan: saved.tripPlan, packingList: saved.packingList, expenses: saved.expenses || [],
+          lastModified: new Date().toISOString(),
+        }));
+        hydrateSavedTrip(saved);
+      })
+      .catch((err) => {
+        setError(err.status === 404 ? "That saved trip could not be found." : err.message);
+        restoreLocalTrip();
+      });
   }, []);
 
   // Rate limit countdown
@@ -208,7 +285,10 @@ function App() {
         onRateLimitInfo: ({ remaining }) => setRateLimitRemaining(remaining),
       });
       if (result.tripType) setTripType(result.tripType);
-      if (result.countryCode) setCountryCode(result.countryCode);
+      if (result.countryCode) {
+        setCountryCode(result.countryCode);
+        setUnitSystem(defaultUnitSystem(result.countryCode));
+      }
       if (result.coords) {
         setLat(result.coords.lat);
         setLon(result.coords.lon);
@@ -232,7 +312,10 @@ function App() {
   const handleSelectSuggestion = (place) => {
     setResolvedDestination(place.displayName || place.name);
     if (place.tripType) setTripType(place.tripType);
-    if (place.countryCode) setCountryCode(place.countryCode);
+    if (place.countryCode) {
+      setCountryCode(place.countryCode);
+      setUnitSystem(defaultUnitSystem(place.countryCode));
+    }
     if (place.coords) {
       setLat(place.coords.lat);
       setLon(place.coords.lon);
@@ -259,6 +342,13 @@ function App() {
       setError("Trip duration cannot exceed 14 days.");
       return;
     }
+    if (roadTripStops.length > 1) {
+      const { error: stopsError } = scheduleRoadTrip();
+      if (stopsError) {
+        setError(stopsError);
+        return;
+      }
+    }
     setError(null);
     setWizardStep("kids");
   };
@@ -288,7 +378,20 @@ function App() {
       activities: likedActivities,
       tripType: tripType || undefined,
       countryCode: countryCode || undefined,
+      unitSystem,
     };
+    if (destinationQuery.trim()) {
+      formData.destinationQuery = destinationQuery.trim();
+    }
+    if (dietary.foodAllergies.length > 0 || dietary.diets.length > 0) {
+      formData.dietary = dietary;
+    }
+    if (Object.values(accessibility).some((keys) => keys.length > 0)) {
+      formData.accessibility = accessibility;
+    }
+    if (roadTripStops.length > 1) {
+      formData.stops = scheduleRoadTrip().stops;
+    }
 
     try {
       const result = await streamTripPlan(
@@ -296,6 +399,7 @@ function App() {
         (event) => {
           setLoadingPhases((prev) => new Set([...prev, event.type]));
           if (event.type === "weather" && event.data) setWeather(event.data);
+          if (event.type === "weather") setWeatherAlerts(event.alerts || []);
           if (event.type === "itinerary" && event.data) setTripPlan(event.data);
           if (event.type === "packing" && event.data) setPackingList(event.data);
           if (event.type === "fallback") {
@@ -306,11 +410,14 @@ function App() {
       );
 
       const tripResult = result.trip || formData;
+      setTripId(result.tripId || null);
       setTripData(tripResult);
       if (result.tripPlan) setTripPlan(result.tripPlan);
       if (result.weather) setWeather(result.weather);
+      setWeatherAlerts(result.alerts || []);
       if (result.packingList) setPackingList(result.packingList);
       setSafetyGuidance(result.safetyGuidance || null);
+      setExpenses([]);
       setActiveResultTab("itinerary");
       setStep("results");
       setShowLoadingOverlay(false);
@@ -329,10 +436,32 @@ function App() {
           .then((r) => setNeighborhoodSafety(r?.safety ?? null))
           .catch(() => null);
       }
+      const stopNames = (tripResult.stops || []).map((stop) => stop.destination);
+      if (stopNames.length > 1 || (tripLat != null && tripLon != null)) {
+        getFamilyEssentials({ lat: tripLat, lon: tripLon, stops: stopNames })
+          .then((r) => setFamilyEssentials(r?.locations ?? null))
+          .catch(() => null);
+      }
+      getEmergencyCard({ destination: tripResult.destination, countryCode: cc || "US", lat: tripLat, lon: tripLon, children, unitSystem })
+        .then((r) => {
+          if (!r?.card) return;
+          setEmergencyCard(r.card);
+          // The trip was cached below before this resolved; add the card so it is there offline.
+          const cached = JSON.parse(localStorage.getItem("sproutroute_trip") || "null");
+          if (cached) localStorage.setItem("sproutroute_trip", JSON.stringify({ ...cached, emergencyCard: r.card }));
+        })
+        .catch(() => null);
+      if (children.length > 0) {
+        getAirTravelGuidance(children, { tripDate: startDate, unitSystem })
+          .then((r) => setAirTravelGuidance(r?.results ? r : null))
+          .catch(() => null);
+      }
 
       const dataToSave = {
+        tripId: result.tripId || null,
         trip: tripResult,
         weather: result.weather,
+        alerts: result.alerts || [],
         tripPlan: result.tripPlan,
         packingList: result.packingList,
         safetyGuidance: result.safetyGuidance || null,
@@ -367,7 +496,7 @@ function App() {
       const activityCategories = approvedActivities.map((a) => a.category);
       const updatedTripData = { ...tripData, activities: activityCategories };
       const [tripPlanResult, packingResult] = await Promise.all([
-        replanTrip({ ...updatedTripData, weather, approvedActivities }, { onRetry: () => {} }),
+        replanTrip({ ...updatedTripData, weather, alerts: weatherAlerts, approvedActivities }, { onRetry: () => {} }),
         generatePackingList({ ...updatedTripData, activities: activityCategories, approvedActivities }, { onRetry: () => {} }),
       ]);
 
@@ -377,10 +506,17 @@ function App() {
       setShowCustomize(false);
 
       localStorage.setItem("sproutroute_trip", JSON.stringify({
-        trip: updatedTripData, weather, tripPlan: tripPlanResult.tripPlan,
-        packingList: packingResult.packingList, safetyGuidance,
+        tripId, trip: updatedTripData, weather, alerts: weatherAlerts, tripPlan: tripPlanResult.tripPlan,
+        packingList: packingResult.packingList, safetyGuidance, expenses,
         lastModified: new Date().toISOString(),
       }));
+      if (tripId) {
+        updateSavedTrip(tripId, {
+          trip: updatedTripData,
+          tripPlan: tripPlanResult.tripPlan,
+          packingList: packingResult.packingList,
+        }).catch(() => null);
+      }
     } catch (err) {
       setError(err.message || "Failed to update trip plan");
       if (err.rateLimitReset) setRateLimitResetAt(err.rateLimitReset);
@@ -389,6 +525,13 @@ function App() {
     }
   };
 
+  const handleExpensesChange = (nextExpenses) => {
+    setExpenses(nextExpenses);
+    const cached = JSON.parse(localStorage.getItem("sproutroute_trip") || "null");
+    if (cached) localStorage.setItem("sproutroute_trip", JSON.stringify({ ...cached, expenses: nextExpenses }));
+    if (tripId) updateSavedTrip(tripId, { expenses: nextExpenses }).catch(() => null);
+  };
+
   const handleReset = () => setShowResetModal(true);
 
   const confirmReset = () => {
@@ -396,13 +539,19 @@ function App() {
     setWizardStep("destination");
     setActiveResultTab("itinerary");
     setSelectedActivities([]);
+    setTripId(null);
     setTripData(null);
     setTripPlan(null);
     setWeather(null);
+    setWeatherAlerts([]);
     setPackingList(null);
     setSafetyGuidance(null);
     setTravelAdvisory(null);
     setNeighborhoodSafety(null);
+    setFamilyEssentials(null);
+    setEmergencyCard(null);
+    setAirTravelGuidance(null);
+    setExpenses([]);
     setError(null);
     setDestinationQuery("");
     setResolvedDestination("");
@@ -413,13 +562,21 @@ function App() {
     setLon(null);
     setStartDate(today);
     setEndDate(tomorrow);
+    setRoadTripStops([]);
     setNumChildren(0);
     setChildAges([]);
     setChildWeights([]);
     setChildHeights([]);
+    setChildBirthDates([]);
+    setChildRoutines([]);
+    setChildMedical([]);
+    setDietary({ foodAllergies: [], diets: [] });
+    setAccessibility({ mobility: [], sensory: [], equipment: [] });
+    setUnitSystem("imperial");
     localStorage.removeItem("sproutroute_trip");
     localStorage.removeItem("sproutroute_checked");
     localStorage.removeItem("sproutroute_custom_items");
+    localStorage.removeItem("sproutroute_assignments");
     setShowResetModal(false);
   };
 
@@ -504,6 +661,9 @@ function App() {
                         endDate={endDate}
                         onStartDateChange={setStartDate}
                         onEndDateChange={setEndDate}
+                        stops={roadTripStops}
+                        onStopsChange={setRoadTripStops}
+                        firstStop={resolvedDestination}
                         onNext={handleNextDates}
                         onBack={handleBack}
                       />
@@ -519,6 +679,18 @@ function App() {
                         onChildWeightsChange={setChildWeights}
                         childHeights={childHeights}
                         onChildHeightsChange={setChildHeights}
+                        childBirthDates={childBirthDates}
+                        onChildBirthDatesChange={setChildBirthDates}
+                        childRoutines={childRoutines}
+                        onChildRoutinesChange={setChildRoutines}
+                        childMedical={childMedical}
+                        onChildMedicalChange={setChildMedical}
+                        dietary={dietary}
+                        onDietaryChange={setDietary}
+                        accessibility={accessibility}
+                        onAccessibilityChange={setAccessibility}
+                        unitSystem={unitSystem}
+                        onUnitSystemChange={setUnitSystem}
                         onNext={handleNextKids}
                         onBack={handleBack}
                       />
@@ -570,7 +742,7 @@ function App() {
                     )}
                   </div>
                   <div className="flex items-center gap-2">
-                    <ShareExport tripData={tripData} isVisible={true} />
+                    <ShareExport tripData={tripData} tripId={tripId} isVisible={true} />
                     <motion.button
                       whileHover={{ scale: 1.02 }}
                       whileTap={{ scale: 0.98 }}
@@ -597,21 +769,27 @@ function App() {
                 <AnimatePresence mode="wait">
                   {activeResultTab === "itinerary" && !isLoading && tripPlan && (
                     <motion.div key="itinerary" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0 }}
-                      id="tabpanel-itinerary" role="tabpanel" className="overflow-hidden min-w-0">
+                      id="tabpanel-itinerary" role="tabpanel" className="overflow-hidden min-w-0 space-y-4">
                       <TripPlanDisplay tripPlan={tripPlan} weather={weather} onApprove={handleApprovePlan} isVisible={showCustomize} startDate={tripData?.startDate} />
+                      {tripPlan.budget && (
+                        <TripBudget budget={tripPlan.budget} expenses={expenses} onExpensesChange={handleExpensesChange} />
+                      )}
                     </motion.div>
                   )}
                   {activeResultTab === "packing" && !isLoading && packingList && (
                     <motion.div key="packing" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0 }}
                       id="tabpanel-packing" role="tabpanel">
-                      <PackingChecklist packingList={packingList} />
+                      <PackingChecklist packingList={packingList} tripId={tripId} travelers={tripData?.children || []} />
                     </motion.div>
                   )}
                   {activeResultTab === "safety" && !isLoading && (
                     <motion.div key="safety" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0 }}
-                      id="tabpanel-safety" role="tabpanel">
+                      id="tabpanel-safety" role="tabpanel" className="space-y-4">
+                      <EmergencyCard card={emergencyCard} unitSystem={unitSystem} />
                       <TravelSafetyCard safetyGuidance={safetyGuidance} travelAdvisory={travelAdvisory} neighborhoodSafety={neighborhoodSafety}
-                        hasChildren={numChildren > 0} weather={weather} tripPlan={tripPlan} />
+                        familyEssentials={familyEssentials}
+                        airTravelGuidance={airTravelGuidance} hasChildren={numChildren > 0} weather={weather} weatherAlerts={weatherAlerts} tripPlan={tripPlan}
+                        unitSystem={unitSystem} />
                     </motion.div>
                   )}
                 </AnimatePresence>
@@ -0,0 +1,145 @@
+// Emergency info card on the Safety tab: numbers to dial, poison control, nearest ER and
+// children's hospital, the U.S. embassy abroad, and each child's allergies and medications.
+// - The card comes from POST /api/v1/safety/emergency-card and is cached with the local trip,
+//   so it shows without a connection.
+// - "Print card" prints only this card (see the print-emergency-card rules in index.css).
+import { formatChildMeasurements, formatDistance } from "../utils/units";
+
+const NUMBER_LABELS = [
+  ["police", "Police"],
+  ["ambulance", "Ambulance"],
+  ["fire", "Fire"],
+];
+
+function PhoneLink({ number, className = "" }) {
+  return (
+    <a href={`tel:${number.replace(/[^\d+]/g, "")}`} className={`font-bold text-earth dark:text-dark-text hover:underline ${className}`}>
+      {number}
+    </a>
+  );
+}
+
+function HospitalRow({ label, hospital, unitSystem }) {
+  if (!hospital) return null;
+  return (
+    <div>
+      <p className="text-[11px] font-medium text-muted">{label}</p>
+      <p className="text-sm font-semibold text-slate-text dark:text-dark-text">
+        {hospital.name}
+        <span className="ml-1 font-normal text-muted">· {formatDistance(hospital.distanceMiles, unitSystem)}</span>
+      </p>
+      {hospital.address && <p className="text-xs text-slate-text dark:text-dark-text">{hospital.address}</p>}
+      {hospital.phone && <PhoneLink number={hospital.phone} className="text-xs" />}
+      {!hospital.emergency && (
+        <p className="text-[11px] text-muted">Emergency department not confirmed — call ahead or dial emergency services.</p>
+      )}
+    </div>
+  );
+}
+
+export default function EmergencyCard({ card, unitSystem = "imperial" }) {
+  if (!card) return null;
+  const { emergencyNumbers = {}, poisonControl, embassy, children = [] } = card;
+
+  const handlePrint = () => {
+    document.body.classList.add("print-emergency-card");
+    window.print();
+    document.body.classList.remove("print-emergency-card");
+  };
+
+  return (
+    <div id="emergency-card" className="space-y-4 rounded-2xl border-2 border-red-300 dark:border-red-800 bg-white dark:bg-dark-card shadow-soft dark:shadow-soft-dark p-6">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="text-xs font-bold uppercase tracking-wider text-red-600 dark:text-red-400">🚑 Emergency info</p>
+          <h3 className="font-heading text-xl font-bold text-earth dark:text-dark-text mt-1">
+            {card.destination || "Your destination"}
+          </h3>
+        </div>
+        <button
+          type="button"
+          onClick={handlePrint}
+          className="print:hidden rounded-xl border border-earth/20 dark:border-dark-border px-3 py-1.5 text-xs font-semibold text-earth dark:text-dark-text hover:bg-earth/5"
+        >
+          🖨 Print card
+        </button>
+      </div>
+
+      <div className="rounded-xl bg-red-50 dark:bg-red-900/20 p-4">
+        <p className="text-[11px] font-medium text-muted">Emergency</p>
+        <PhoneLink number={emergencyNumbers.general} className="text-3xl" />
+        <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-text dark:text-dark-text">
+          {NUMBER_LABELS.filter(([key]) => emergencyNumbers[key] && emergencyNumbers[key] !== emergencyNumbers.general).map(
+            ([key, label]) => (
+              <span key={key}>
+                {label}: <PhoneLink number={emergencyNumbers[key]} />
+              </span>
+            ),
+          )}
+          <span>
+            Poison control:{" "}
+            {poisonControl ? (
+              <>
+                <PhoneLink number={poisonControl.phone} /> <span className="text-muted">({poisonControl.name})</span>
+              </>
+            ) : (
+              <>call <PhoneLink number={emergencyNumbers.general} /></>
+            )}
+          </span>
+        </div>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        {card.hospitalsChecked ? (
+          <>
+            <HospitalRow label="Nearest emergency room" hospital={card.nearestEmergencyRoom} unitSystem={unitSystem} />
+            <HospitalRow label="Nearest children's hospital" hospital={card.nearestChildrensHospital} unitSystem={unitSystem} />
+            {!card.nearestEmergencyRoom && (
+              <p className="text-xs text-muted">No hospital found within {formatDistance(10, unitSystem)} — ask your host or dial emergency services.</p>
+            )}
+          </>
+        ) : (
+          <p className="text-xs text-muted">Hospitals couldn't be looked up — note the nearest ER when you arrive.</p>
+        )}
+        {embassy && (
+          <div>
+            <p className="text-[11px] font-medium text-muted">{embassy.name}</p>
+            <a href={embassy.url} target="_blank" rel="noopener noreferrer" className="text-xs text-sky-dark hover:underline break-all">
+              {embassy.url}
+            </a>
+            <p className="text-xs text-slate-text dark:text-dark-text">
+              U.S. citizens 24/7: <PhoneLink number={embassy.emergencyPhone} />
+            </p>
+          </div>
+        )}
+      </div>
+
+      {children.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs font-bold uppercase tracking-wider text-muted">Children</p>
+          {children.map((child, index) => (
+            <div key={index} className="text-sm text-slate-text dark:text-dark-text">
+              <span className="font-semibold">
+                Child {index + 1} · age {child.age}
+                {child.birthDate && ` (born ${child.birthDate})`}
+              </span>
+              {Number.isFinite(child.weightLb) && (
+                <span className="ml-1 text-muted">· {formatChildMeasurements({ weightLb: child.weightLb }, unitSystem)}</span>
+              )}
+              <p className="text-xs">
+                <span className="font-medium">Allergies:</span> {child.allergies.length > 0 ? child.allergies.join(", ") : "none listed"}
+              </p>
+              <p className="text-xs">
+                <span className="font-medium">Medications:</span> {child.medications.length > 0 ? child.medications.join(", ") : "none listed"}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-[10px] text-muted">
+        Emergency numbers checked {card.contactsLastUpdated}. Hospitals from OpenStreetMap — confirm before you need them.
+      </p>
+    </div>
+  );
+}
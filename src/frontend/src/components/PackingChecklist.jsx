@@ -3,22 +3,70 @@
 // - Persists progress to localStorage across refreshes.
 // - Uses content-hash item IDs so check state survives list regeneration.
 // - Lets users add custom items per category (stored in localStorage).
+// - Saved trips (tripId) sync checks and custom items live across family members;
+//   localStorage then mirrors the merged server state for offline reloads.
+// - Items can be assigned to a person and/or bag (keyed by item ID like check state), with
+//   "by person" / "by bag" views and per-person progress bars.
+// - readOnly mode (shared trip links) renders a fixed checklist snapshot with no local persistence.
 import { useState, useEffect, useMemo } from "react";
 import {
+  UNASSIGNED,
+  buildAddCustomOp,
+  buildAssignOp,
+  buildCheckOp,
+  buildRemoveCustomOp,
+  filterAssignments,
   filterCheckedItems,
+  getAssignmentProgress,
+  getBagSuggestions,
   getPackingItemIds,
+  getPeopleSuggestions,
+  groupItemsByAssignment,
   makeItemId,
+  loadAssignments,
   loadCustomItems,
+  saveAssignments,
   saveCustomItems,
 } from "../utils/checklist";
+import useChecklistSync from "../hooks/useChecklistSync";
 
-export default function PackingChecklist({ packingList, onUpdate }) {
-  const [checkedItems, setCheckedItems] = useState(new Set());
+export default function PackingChecklist({
+  packingList,
+  onUpdate,
+  tripId = null,
+  travelers = [],
+  readOnly = false,
+  checklist = null,
+}) {
+  const [checkedItems, setCheckedItems] = useState(
+    () => new Set(readOnly ? checklist?.checked || [] : []),
+  );
   const [collapsedCategories, setCollapsedCategories] = useState(new Set());
   // customItems: { [categoryName]: Array<{ name, quantity, reason, source: "custom" }> }
-  const [customItems, setCustomItems] = useState(() => loadCustomItems());
+  const [customItems, setCustomItems] = useState(() =>
+    readOnly ? checklist?.customItems || {} : loadCustomItems(),
+  );
   // Per-category "add item" input state
   const [addInputs, setAddInputs] = useState({});
+  // assignments: { [itemId]: { person, bag } }
+  const [assignments, setAssignments] = useState(() =>
+    readOnly ? checklist?.assignments || {} : loadAssignments(),
+  );
+  // "category" (AI model order) | "person" | "bag"
+  const [viewMode, setViewMode] = useState("category");
+  const [editingItemId, setEditingItemId] = useState(null);
+
+  const sync = useChecklistSync(readOnly ? null : tripId, {
+    initial: { checked: [...checkedItems], customItems, assignments },
+    onChange: (synced) => {
+      setCheckedItems(new Set(synced.checked));
+      setCustomItems(synced.customItems);
+      setAssignments(synced.assignments || {});
+      localStorage.setItem("sproutroute_checked", JSON.stringify(synced.checked));
+      saveCustomItems(synced.customItems);
+      saveAssignments(synced.assignments || {});
+    },
+  });
 
   const validItemIds = useMemo(
     () => getPackingItemIds(packingList, customItems),
@@ -27,6 +75,7 @@ export default function PackingChecklist({ packingList, onUpdate }) {
 
   useEffect(() => {
     // Reload saved checks and drop IDs that no longer exist in the current list version.
+    if (readOnly) return;
     const saved = localStorage.getItem("sproutroute_checked");
     if (saved) {
       try {
@@ -37,9 +86,15 @@ export default function PackingChecklist({ packingList, onUpdate }) {
         console.error("Failed to load checked items:", err);
       }
     }
-  }, [validItemIds]);
+    setAssignments((prev) => {
+      const filtered = filterAssignments(prev, validItemIds);
+      saveAssignments(filtered);
+      return filtered;
+    });
+  }, [validItemIds, readOnly]);
 
   const toggleItem = (itemId) => {
+    if (readOnly) return;
     // Single source of truth for item toggles + persistence sync.
     const newChecked = new Set(checkedItems);
     if (newChecked.has(itemId)) {
@@ -52,6 +107,7 @@ export default function PackingChecklist({ packingList, onUpdate }) {
       "sproutroute_checked",
       JSON.stringify([...newChecked]),
     );
+    if (sync.active) sync.apply(buildCheckOp(itemId, newChecked.has(itemId)));
     if (onUpdate) onUpdate(newChecked);
   };
 
@@ -82,18 +138,33 @@ export default function PackingChecklist({ packingList, onUpdate }) {
     };
     setCustomItems(updated);
     saveCustomItems(updated);
+    if (sync.active) sync.apply(buildAddCustomOp(categoryName, newItem));
     setAddInputs((prev) => ({ ...prev, [categoryName]: "" }));
   };
 
-  const handleRemoveCustomItem = (categoryName, itemName) => {
+  const handleRemoveCustomItem = (categoryName, item) => {
     const updated = {
       ...customItems,
       [categoryName]: (customItems[categoryName] || []).filter(
-        (i) => i.name !== itemName,
+        (i) => i.name !== item.name,
       ),
     };
     setCustomItems(updated);
     saveCustomItems(updated);
+    if (sync.active) sync.apply(buildRemoveCustomOp(categoryName, item));
+  };
+
+  const handleAssign = (itemId, field, rawValue) => {
+    const value = rawValue.trim().slice(0, 40) || null;
+    const current = assignments[itemId] || { person: null, bag: null };
+    if ((current[field] || null) === value) return;
+    const next = { ...current, [field]: value };
+    const updated = { ...assignments };
+    if (next.person || next.bag) updated[itemId] = next;
+    else delete updated[itemId];
+    setAssignments(updated);
+    saveAssignments(updated);
+    if (sync.active) sync.apply(buildAssignOp(itemId, next));
   };
 
   // Count all items including custom items.
@@ -120,6 +191,129 @@ export default function PackingChecklist({ packingList, onUpdate }) {
     window.print();
   };
 
+  // One checklist row — shared by the category view and the person/bag views.
+  const renderItem = (categoryName, item, { showCategory = false } = {}) => {
+    const itemId = makeItemId(categoryName, item.name, item.quantity);
+    const isChecked = checkedItems.has(itemId);
+    const isCustom = item.source === "custom";
+    const assignment = assignments[itemId];
+    const isEditing = editingItemId === itemId;
+
+    return (
+      <div key={itemId}>
+        <label
+          className={`flex items-start gap-3 p-2.5 rounded-xl transition-all ${
+            readOnly ? "cursor-default" : "cursor-pointer"
+          } ${
+            isChecked
+              ? "bg-sprout-light/60 dark:bg-dark-border"
+              : "hover:bg-gray-50 dark:hover:bg-dark-bg"
+          }`}
+        >
+          <input
+            type="checkbox"
+            checked={isChecked}
+            onChange={() => toggleItem(itemId)}
+            disabled={readOnly}
+            className="mt-0.5 h-4 w-4 rounded"
+          />
+          <div className="flex-1 min-w-0">
+            <div className="flex items-baseline gap-1.5 flex-wrap">
+              <span
+                className={`text-sm font-medium ${
+                  isChecked
+                    ? "line-through text-muted"
+                    : "text-slate-text"
+                }`}
+              >
+                {item.name}
+              </span>
+              <span className="text-xs text-muted shrink-0">
+                ×{item.quantity}
+              </span>
+              {isCustom && (
+                <span className="text-xs bg-sun/20 text-earth px-1.5 py-0 rounded-full font-semibold">
+                  Custom
+                </span>
+              )}
+              {showCategory && (
+                <span className="text-xs text-muted">· {categoryName}</span>
+              )}
+            </div>
+            {item.reason && (
+              <p className="text-xs text-muted mt-0.5">
+                {item.reason}
+              </p>
+            )}
+            {(assignment?.person || assignment?.bag) && (
+              <div className="flex flex-wrap gap-1 mt-1">
+                {assignment.person && viewMode !== "person" && (
+                  <span className="text-[11px] bg-sky-light text-sky-dark px-1.5 rounded-full font-semibold">
+                    👤 {assignment.person}
+                  </span>
+                )}
+                {assignment.bag && viewMode !== "bag" && (
+                  <span className="text-[11px] bg-sun/20 text-earth px-1.5 rounded-full font-semibold">
+                    🧳 {assignment.bag}
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+          {!readOnly && (
+            <button
+              onClick={(e) => {
+                e.preventDefault();
+                setEditingItemId(isEditing ? null : itemId);
+              }}
+              className="text-muted hover:text-sprout-dark transition-colors text-xs shrink-0 mt-0.5 print:hidden"
+              aria-label={`Assign ${item.name}`}
+              aria-expanded={isEditing}
+            >
+              👤
+            </button>
+          )}
+          {isCustom && !readOnly && (
+            <button
+              onClick={(e) => {
+                e.preventDefault();
+                handleRemoveCustomItem(categoryName, item);
+              }}
+              className="text-muted hover:text-red-500 transition-colors text-xs shrink-0 mt-0.5"
+              aria-label={`Remove ${item.name}`}
+            >
+              ✕
+            </button>
+          )}
+        </label>
+
+        {/* Assignment editor — free text with suggestions, saved on blur/Enter */}
+        {isEditing && !readOnly && (
+          <div className="flex gap-2 px-2.5 pb-2 print:hidden">
+            {[
+              ["person", "packing-people", "Who packs it?"],
+              ["bag", "packing-bags", "Which bag?"],
+            ].map(([field, listId, placeholder]) => (
+              <input
+                key={field}
+                type="text"
+                list={listId}
+                defaultValue={assignment?.[field] || ""}
+                onBlur={(e) => handleAssign(itemId, field, e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") e.currentTarget.blur();
+                }}
+                placeholder={placeholder}
+                aria-label={`${field === "person" ? "Person" : "Bag"} for ${item.name}`}
+                className="flex-1 min-w-0 text-xs rounded-lg border border-gray-200 dark:border-dark-border bg-gray-50 dark:bg-dark-bg px-3 py-1.5 text-slate-text dark:text-dark-text placeholder:text-muted dark:placeholder:text-dark-muted focus:border-sprout-base focus:ring-1 focus:ring-sprout-light dark:focus:ring-dark-border focus:outline-none transition"
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   if (!packingList || !packingList.categories) {
     return null;
   }
@@ -127,6 +321,13 @@ export default function PackingChecklist({ packingList, onUpdate }) {
   const progress = getProgress();
   const checkedCount = getCheckedCount();
   const totalItems = getTotalItems();
+  const personProgress = getAssignmentProgress(
+    packingList, customItems, assignments, checkedItems, "person",
+  );
+  const assignmentGroups =
+    viewMode === "category"
+      ? []
+      : groupItemsByAssignment(packingList, customItems, assignments, viewMode);
 
   return (
     <div className="rounded-2xl border border-sprout-light dark:border-dark-border bg-white dark:bg-dark-card shadow-soft dark:shadow-soft-dark p-6">
@@ -141,6 +342,8 @@ export default function PackingChecklist({ packingList, onUpdate }) {
           </h3>
           <p className="text-sm text-muted mt-0.5">
             {checkedCount} of {totalItems} items packed
+            {readOnly && " · view only"}
+            {sync.active && " · synced with your family"}
           </p>
         </div>
         <button
@@ -175,162 +378,195 @@ export default function PackingChecklist({ packingList, onUpdate }) {
         </div>
       </div>
 
-      {/* Categories — two-column grid on desktop */}
-      <div className="grid gap-4 md:grid-cols-2">
-        {packingList.categories.map((category, catIndex) => {
-          const isCollapsed = collapsedCategories.has(category.name);
-          const catCustoms = customItems[category.name] || [];
-          const allItems = [
-            ...category.items.map((item) => ({ ...item, source: "ai" })),
-            ...catCustoms,
-          ];
-          const categoryChecked = allItems.filter((item) =>
-            checkedItems.has(
-              makeItemId(category.name, item.name, item.quantity),
-            ),
-          ).length;
-          const categoryTotal = allItems.length;
-          const categoryDone =
-            categoryChecked === categoryTotal && categoryTotal > 0;
+      {/* Per-person progress — only once someone has been assigned items */}
+      {personProgress.length > 0 && (
+        <div className="mb-6 space-y-2">
+          {personProgress.map(({ name, checked, total }) => {
+            const pct = total > 0 ? Math.round((checked / total) * 100) : 0;
+            return (
+              <div key={name}>
+                <div className="flex items-center justify-between text-xs mb-1">
+                  <span className="font-semibold text-slate-text">👤 {name}</span>
+                  <span className="text-muted">
+                    {checked}/{total}
+                  </span>
+                </div>
+                <div className="w-full bg-gray-100 dark:bg-dark-bg rounded-full h-1.5 overflow-hidden">
+                  <div
+                    className="h-1.5 rounded-full bg-sky-base transition-all duration-500"
+                    style={{ width: `${pct}%` }}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
 
-          return (
-            <div
-              key={catIndex}
-              className="rounded-xl border border-sprout-light dark:border-dark-border overflow-hidden"
-            >
-              {/* Category header */}
-              <button
-                onClick={() => toggleCategory(category.name)}
-                className={`w-full px-4 py-3 flex justify-between items-center transition-colors print:pointer-events-none ${
-                  categoryDone
-                    ? "bg-sprout-dark text-white"
-                    : "bg-sprout-light dark:bg-dark-bg hover:bg-sprout-base/20 dark:hover:bg-dark-border"
-                }`}
+      {/* View switcher */}
+      <div className="flex gap-1 mb-4 print:hidden" role="group" aria-label="Group packing list by">
+        {[
+          ["category", "By category"],
+          ["person", "By person"],
+          ["bag", "By bag"],
+        ].map(([mode, label]) => (
+          <button
+            key={mode}
+            onClick={() => setViewMode(mode)}
+            aria-pressed={viewMode === mode}
+            className={`text-xs font-semibold rounded-lg px-3 py-1.5 transition-colors ${
+              viewMode === mode
+                ? "bg-sprout-dark text-white"
+                : "text-sprout-dark border border-sprout-light dark:border-dark-border hover:bg-sprout-light dark:hover:bg-dark-border"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {!readOnly && (
+        <>
+          <datalist id="packing-people">
+            {getPeopleSuggestions(travelers, assignments).map((name) => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+          <datalist id="packing-bags">
+            {getBagSuggestions(assignments).map((name) => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+        </>
+      )}
+
+      {/* Person / bag groups — same rows, regrouped by assignment */}
+      {viewMode !== "category" && (
+        <div className="grid gap-4 md:grid-cols-2">
+          {assignmentGroups.map((group) => {
+            const groupChecked = group.items.filter(({ itemId }) =>
+              checkedItems.has(itemId),
+            ).length;
+            return (
+              <div
+                key={group.name}
+                className="rounded-xl border border-sprout-light dark:border-dark-border overflow-hidden"
               >
-                <div className="flex items-center gap-2">
-                  <span className="text-sm print:hidden">
-                    {isCollapsed ? "▶" : "▼"}
-                  </span>
-                  <h4
-                    className={`font-semibold text-sm ${
-                      categoryDone ? "text-white" : "text-sprout-dark"
-                    }`}
-                  >
-                    {category.name}
+                <div className="w-full px-4 py-3 flex justify-between items-center bg-sprout-light dark:bg-dark-bg">
+                  <h4 className={`font-semibold text-sm ${group.name === UNASSIGNED ? "text-muted" : "text-sprout-dark"}`}>
+                    {viewMode === "person" ? "👤" : "🧳"} {group.name}
                   </h4>
+                  <span className="text-xs font-semibold px-2 py-0.5 rounded-full bg-white text-sprout-dark">
+                    {groupChecked}/{group.items.length}
+                  </span>
+                </div>
+                <div className="p-3 space-y-1.5 bg-white dark:bg-dark-card">
+                  {group.items.map(({ categoryName, item }) =>
+                    renderItem(categoryName, item, { showCategory: true }),
+                  )}
                 </div>
-                <span
-                  className={`text-xs font-semibold px-2 py-0.5 rounded-full ${
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Categories — two-column grid on desktop */}
+      {viewMode === "category" && (
+        <div className="grid gap-4 md:grid-cols-2">
+          {packingList.categories.map((category, catIndex) => {
+            const isCollapsed = collapsedCategories.has(category.name);
+            const catCustoms = customItems[category.name] || [];
+            const allItems = [
+              ...category.items.map((item) => ({ ...item, source: "ai" })),
+              ...catCustoms,
+            ];
+            const categoryChecked = allItems.filter((item) =>
+              checkedItems.has(
+                makeItemId(category.name, item.name, item.quantity),
+              ),
+            ).length;
+            const categoryTotal = allItems.length;
+            const categoryDone =
+              categoryChecked === categoryTotal && categoryTotal > 0;
+
+            return (
+              <div
+                key={catIndex}
+                className="rounded-xl border border-sprout-light dark:border-dark-border overflow-hidden"
+              >
+                {/* Category header */}
+                <button
+                  onClick={() => toggleCategory(category.name)}
+                  className={`w-full px-4 py-3 flex justify-between items-center transition-colors print:pointer-events-none ${
                     categoryDone
-                      ? "bg-white/20 text-white"
-                      : "bg-white text-sprout-dark"
+                      ? "bg-sprout-dark text-white"
+                      : "bg-sprout-light dark:bg-dark-bg hover:bg-sprout-base/20 dark:hover:bg-dark-border"
                   }`}
                 >
-                  {categoryChecked}/{categoryTotal}
-                </span>
-              </button>
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm print:hidden">
+                      {isCollapsed ? "▶" : "▼"}
+                    </span>
+                    <h4
+                      className={`font-semibold text-sm ${
+                        categoryDone ? "text-white" : "text-sprout-dark"
+                      }`}
+                    >
+                      {category.name}
+                    </h4>
+                  </div>
+                  <span
+                    className={`text-xs font-semibold px-2 py-0.5 rounded-full ${
+                      categoryDone
+                        ? "bg-white/20 text-white"
+                        : "bg-white text-sprout-dark"
+                    }`}
+                  >
+                    {categoryChecked}/{categoryTotal}
+                  </span>
+                </button>
 
-              {/* Items */}
-              {!isCollapsed && (
-                <div className="p-3 space-y-1.5 bg-white dark:bg-dark-card">
-                  {allItems.map((item) => {
-                    const itemId = makeItemId(
-                      category.name,
-                      item.name,
-                      item.quantity,
-                    );
-                    const isChecked = checkedItems.has(itemId);
-                    const isCustom = item.source === "custom";
+                {/* Items */}
+                {!isCollapsed && (
+                  <div className="p-3 space-y-1.5 bg-white dark:bg-dark-card">
+                    {allItems.map((item) => renderItem(category.name, item))}
 
-                    return (
-                      <label
-                        key={itemId}
-                        className={`flex items-start gap-3 p-2.5 rounded-xl cursor-pointer transition-all ${
-                          isChecked
-                            ? "bg-sprout-light/60 dark:bg-dark-border"
-                            : "hover:bg-gray-50 dark:hover:bg-dark-bg"
-                        }`}
-                      >
+                    {/* Add custom item input */}
+                    {!readOnly && (
+                      <div className="flex gap-2 pt-2 print:hidden">
                         <input
-                          type="checkbox"
-                          checked={isChecked}
-                          onChange={() => toggleItem(itemId)}
-                          className="mt-0.5 h-4 w-4 rounded"
+                          type="text"
+                          value={addInputs[category.name] || ""}
+                          onChange={(e) =>
+                            setAddInputs((prev) => ({
+                              ...prev,
+                              [category.name]: e.target.value,
+                            }))
+                          }
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter")
+                              handleAddCustomItem(category.name);
+                          }}
+                          placeholder={`Add item to ${category.name}…`}
+                          className="flex-1 text-xs rounded-lg border border-gray-200 dark:border-dark-border bg-gray-50 dark:bg-dark-bg px-3 py-1.5 text-slate-text dark:text-dark-text placeholder:text-muted dark:placeholder:text-dark-muted focus:border-sprout-base focus:ring-1 focus:ring-sprout-light dark:focus:ring-dark-border focus:outline-none transition"
                         />
-                        <div className="flex-1 min-w-0">
-                          <div className="flex items-baseline gap-1.5 flex-wrap">
-                            <span
-                              className={`text-sm font-medium ${
-                                isChecked
-                                  ? "line-through text-muted"
-                                  : "text-slate-text"
-                              }`}
-                            >
-                              {item.name}
-                            </span>
-                            <span className="text-xs text-muted shrink-0">
-                              ×{item.quantity}
-                            </span>
-                            {isCustom && (
-                              <span className="text-xs bg-sun/20 text-earth px-1.5 py-0 rounded-full font-semibold">
-                                Custom
-                              </span>
-                            )}
-                          </div>
-                          {item.reason && (
-                            <p className="text-xs text-muted mt-0.5">
-                              {item.reason}
-                            </p>
-                          )}
-                        </div>
-                        {isCustom && (
-                          <button
-                            onClick={(e) => {
-                              e.preventDefault();
-                              handleRemoveCustomItem(category.name, item.name);
-                            }}
-                            className="text-muted hover:text-red-500 transition-colors text-xs shrink-0 mt-0.5"
-                            aria-label={`Remove ${item.name}`}
-                          >
-                            ✕
-                          </button>
-                        )}
-                      </label>
-                    );
-                  })}
-
-                  {/* Add custom item input */}
-                  <div className="flex gap-2 pt-2 print:hidden">
-                    <input
-                      type="text"
-                      value={addInputs[category.name] || ""}
-                      onChange={(e) =>
-                        setAddInputs((prev) => ({
-                          ...prev,
-                          [category.name]: e.target.value,
-                        }))
-                      }
-                      onKeyDown={(e) => {
-                        if (e.key === "Enter")
-                          handleAddCustomItem(category.name);
-                      }}
-                      placeholder={`Add item to ${category.name}…`}
-                      className="flex-1 text-xs rounded-lg border border-gray-200 dark:border-dark-border bg-gray-50 dark:bg-dark-bg px-3 py-1.5 text-slate-text dark:text-dark-text placeholder:text-muted dark:placeholder:text-dark-muted focus:border-sprout-base focus:ring-1 focus:ring-sprout-light dark:focus:ring-dark-border focus:outline-none transition"
-                    />
-                    <button
-                      onClick={() => handleAddCustomItem(category.name)}
-                      disabled={!(addInputs[category.name] || "").trim()}
-                      className="text-xs rounded-lg border border-sprout-light dark:border-dark-border px-2.5 py-1.5 text-sprout-dark dark:text-dark-sprout font-semibold hover:bg-sprout-light dark:hover:bg-dark-border transition-colors disabled:opacity-40"
-                    >
-                      + Add
-                    </button>
+                        <button
+                          onClick={() => handleAddCustomItem(category.name)}
+                          disabled={!(addInputs[category.name] || "").trim()}
+                          className="text-xs rounded-lg border border-sprout-light dark:border-dark-border px-2.5 py-1.5 text-sprout-dark dark:text-dark-sprout font-semibold hover:bg-sprout-light dark:hover:bg-dark-border transition-colors disabled:opacity-40"
+                        >
+                          + Add
+                        </button>
+                      </div>
+                    )}
                   </div>
-                </div>
-              )}
-            </div>
-          );
-        })}
-      </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 }
@@ -6,14 +6,16 @@ const TABS = [
   { id: "safety", label: "Safety", icon: "🛡" },
 ];
 
-export default function ResultTabs({ activeTab, onTabChange }) {
+// `tabs` optionally limits which tab ids render (the shared view has no Safety tab).
+export default function ResultTabs({ activeTab, onTabChange, tabs }) {
+  const visibleTabs = tabs ? TABS.filter((tab) => tabs.includes(tab.id)) : TABS;
   return (
     <div
       className="flex border-b border-sprout-light dark:border-dark-border mb-6 print:hidden relative"
       role="tablist"
       aria-label="Trip results"
     >
-      {TABS.map((tab) => {
+      {visibleTabs.map((tab) => {
         const isActive = activeTab === tab.id;
         return (
           <button
@@ -1,26 +1,108 @@
-import { useState } from "react";
+// Share/export menu for a generated trip:
+// - Share links are read-only server tokens (/shared/:token) with expiry + revocation,
+//   offered only when the backend advertises featureFlags.shareLinks and the trip was saved (tripId).
+// - The active link is remembered per trip in localStorage so it can be turned off later.
+// - Saved trips can be downloaded as an .ics calendar (featureFlags.calendarExport) and as a
+//   server-rendered PDF packet (featureFlags.tripPacket).
+// - Print is always available.
+import { useState, useEffect } from "react";
 import { motion, AnimatePresence } from "framer-motion";
+import { format } from "date-fns";
+import {
+  createShareLink,
+  getCapabilities,
+  getItineraryCalendarUrl,
+  getTripPacketUrl,
+  revokeShareLink,
+} from "../services/api";
 
-export default function ShareExport({ tripData, isVisible }) {
+const SHARE_STORAGE_KEY = "sproutroute_share";
+
+function loadStoredShare(tripId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SHARE_STORAGE_KEY) || "null");
+    if (!stored || stored.tripId !== tripId) return null;
+    if (new Date(stored.expiresAt) <= new Date()) return null;
+    return stored;
+  } catch {
+    return null;
+  }
+}
+
+function storeShare(share) {
+  try {
+    if (share) localStorage.setItem(SHARE_STORAGE_KEY, JSON.stringify(share));
+    else localStorage.removeItem(SHARE_STORAGE_KEY);
+  } catch {
+    // Storage quota or private browsing — the link still works, it just can't be revoked after reload.
+  }
+}
+
+export default function ShareExport({ tripData, tripId, isVisible }) {
   const [showMenu, setShowMenu] = useState(false);
   const [copied, setCopied] = useState(false);
+  const [shareLinksEnabled, setShareLinksEnabled] = useState(false);
+  const [calendarEnabled, setCalendarEnabled] = useState(false);
+  const [packetEnabled, setPacketEnabled] = useState(false);
+  const [share, setShare] = useState(() => (tripId ? loadStoredShare(tripId) : null));
+  const [isWorking, setIsWorking] = useState(false);
+  const [shareError, setShareError] = useState(null);
+
+  useEffect(() => {
+    getCapabilities("web")
+      .then((caps) => {
+        setShareLinksEnabled(caps?.featureFlags?.shareLinks === true);
+        setCalendarEnabled(caps?.featureFlags?.calendarExport === true);
+        setPacketEnabled(caps?.featureFlags?.tripPacket === true);
+      })
+      .catch(() => {
+        setShareLinksEnabled(false);
+        setCalendarEnabled(false);
+        setPacketEnabled(false);
+      });
+  }, []);
+
+  useEffect(() => {
+    setShare(tripId ? loadStoredShare(tripId) : null);
+  }, [tripId]);
 
   if (!isVisible) return null;
 
+  const canShareLink = shareLinksEnabled && Boolean(tripId);
+  const canExportCalendar = calendarEnabled && Boolean(tripId);
+  const canDownloadPacket = packetEnabled && Boolean(tripId);
+  const urlFor = (s) => `${window.location.origin}/shared/${s.token}`;
+
   const shareText = tripData
     ? `Check out my ${tripData.destination} trip plan on SproutRoute!`
     : "Check out my trip plan on SproutRoute!";
 
+  // Reuse the active link for this trip; mint a new one only when there is none.
+  const ensureShareLink = async () => {
+    if (share) return share;
+    const created = await createShareLink(tripId);
+    const next = { tripId, token: created.token, expiresAt: created.expiresAt };
+    setShare(next);
+    storeShare(next);
+    return next;
+  };
+
   const handleShare = async () => {
-    if (navigator.share) {
+    setShareError(null);
+    if (canShareLink && navigator.share) {
       try {
+        setIsWorking(true);
+        const active = await ensureShareLink();
         await navigator.share({
           title: "SproutRoute Trip Plan",
           text: shareText,
-          url: window.location.href,
+          url: urlFor(active),
         });
-      } catch {
-        // User cancelled or share failed — no action needed
+      } catch (err) {
+        // AbortError = user dismissed the native share sheet — no action needed.
+        if (err?.name !== "AbortError") setShowMenu(true);
+      } finally {
+        setIsWorking(false);
       }
     } else {
       setShowMenu((prev) => !prev);
@@ -28,21 +110,50 @@ export default function ShareExport({ tripData, isVisible }) {
   };
 
   const handleCopyLink = async () => {
+    setShareError(null);
+    let url;
     try {
-      await navigator.clipboard.writeText(window.location.href);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
+      setIsWorking(true);
+      url = urlFor(await ensureShareLink());
+    } catch (err) {
+      setShareError(err.message || "Couldn't create a share link.");
+      return;
+    } finally {
+      setIsWorking(false);
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
     } catch {
       // Fallback
       const input = document.createElement("input");
-      input.value = window.location.href;
+      input.value = url;
       document.body.appendChild(input);
       input.select();
       document.execCommand("copy");
       document.body.removeChild(input);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
     }
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const handleStopSharing = async () => {
+    if (!share) return;
+    setShareError(null);
+    try {
+      setIsWorking(true);
+      await revokeShareLink(tripId, share.token);
+    } catch (err) {
+      // Already gone server-side (404) is fine — forget it locally either way.
+      if (err.status !== 404) {
+        setShareError(err.message || "Couldn't turn off the share link.");
+        return;
+      }
+    } finally {
+      setIsWorking(false);
+    }
+    setShare(null);
+    storeShare(null);
   };
 
   const handlePrint = () => {
@@ -56,7 +167,8 @@ export default function ShareExport({ tripData, isVisible }) {
         whileHover={{ scale: 1.03 }}
         whileTap={{ scale: 0.97 }}
         onClick={handleShare}
-        className="rounded-xl border border-sprout-light dark:border-dark-border px-4 py-2 text-sm font-semibold text-sprout-dark dark:text-dark-sprout transition hover:bg-sprout-light dark:hover:bg-dark-border"
+        disabled={isWorking}
+        className="rounded-xl border border-sprout-light dark:border-dark-border px-4 py-2 text-sm font-semibold text-sprout-dark dark:text-dark-sprout transition hover:bg-sprout-light dark:hover:bg-dark-border disabled:opacity-60"
       >
         📤 Share
       </motion.button>
@@ -67,17 +179,68 @@ export default function ShareExport({ tripData, isVisible }) {
             initial={{ opacity: 0, y: -8, scale: 0.95 }}
             animate={{ opacity: 1, y: 0, scale: 1 }}
             exit={{ opacity: 0, y: -8, scale: 0.95 }}
-            className="absolute right-0 top-full mt-2 w-48 rounded-xl border border-sprout-light dark:border-dark-border bg-white dark:bg-dark-card shadow-xl z-10 overflow-hidden"
+            className="absolute right-0 top-full mt-2 w-60 rounded-xl border border-sprout-light dark:border-dark-border bg-white dark:bg-dark-card shadow-xl z-10 overflow-hidden"
           >
-            <button
-              onClick={handleCopyLink}
-              className="w-full px-4 py-3 text-sm text-left text-slate-text dark:text-dark-text hover:bg-sprout-light/40 dark:hover:bg-dark-border transition-colors flex items-center gap-2"
-            >
-              {copied ? "✅ Copied!" : "🔗 Copy link"}
-            </button>
+            {canShareLink && (
+              <button
+                onClick={handleCopyLink}
+                disabled={isWorking}
+                className="w-full px-4 py-3 text-sm text-left text-slate-text dark:text-dark-text hover:bg-sprout-light/40 dark:hover:bg-dark-border transition-colors flex items-center gap-2 disabled:opacity-60"
+              >
+                {copied ? "✅ Copied!" : "🔗 Copy view-only link"}
+              </button>
+            )}
+            {canShareLink && share && (
+              <div className="px-4 pb-3 -mt-1 space-y-1">
+                <p className="text-[11px] text-muted dark:text-dark-muted break-all">{urlFor(share)}</p>
+                <p className="text-[11px] text-muted dark:text-dark-muted">
+                  Expires {format(new Date(share.expiresAt), "MMM d, yyyy")}
+                </p>
+                <button
+                  onClick={handleStopSharing}
+                  disabled={isWorking}
+                  className="text-[11px] font-semibold text-red-600 dark:text-red-400 hover:underline disabled:opacity-60"
+                >
+                  Stop sharing
+                </button>
+              </div>
+            )}
+            {shareError && (
+              <p className="px-4 pb-3 text-[11px] text-red-600 dark:text-red-400" role="alert">
+                {shareError}
+              </p>
+            )}
+            {canExportCalendar && (
+              <a
+                href={getItineraryCalendarUrl(tripId)}
+                download
+                onClick={() => setShowMenu(false)}
+                className={`w-full px-4 py-3 text-sm text-left text-slate-text dark:text-dark-text hover:bg-sprout-light/40 dark:hover:bg-dark-border transition-colors flex items-center gap-2 ${
+                  canShareLink ? "border-t border-sprout-light/60 dark:border-dark-border" : ""
+                }`}
+              >
+                📅 Add to calendar
+              </a>
+            )}
+            {canDownloadPacket && (
+              <a
+                href={getTripPacketUrl(tripId)}
+                download
+                onClick={() => setShowMenu(false)}
+                className={`w-full px-4 py-3 text-sm text-left text-slate-text dark:text-dark-text hover:bg-sprout-light/40 dark:hover:bg-dark-border transition-colors flex items-center gap-2 ${
+                  canShareLink || canExportCalendar ? "border-t border-sprout-light/60 dark:border-dark-border" : ""
+                }`}
+              >
+                📄 Download trip packet (PDF)
+              </a>
+            )}
             <button
               onClick={handlePrint}
-              className="w-full px-4 py-3 text-sm text-left text-slate-text dark:text-dark-text hover:bg-sprout-light/40 dark:hover:bg-dark-border transition-colors flex items-center gap-2 border-t border-sprout-light/60 dark:border-dark-border"
+              className={`w-full px-4 py-3 text-sm text-left text-slate-text dark:text-dark-text hover:bg-sprout-light/40 dark:hover:bg-dark-border transition-colors flex items-center gap-2 ${
+                canShareLink || canExportCalendar || canDownloadPacket
+                  ? "border-t border-sprout-light/60 dark:border-dark-border"
+                  : ""
+              }`}
             >
               🖨 Print
             </button>
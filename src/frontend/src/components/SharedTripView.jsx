@@ -0,0 +1,106 @@
+// Read-only shared trip presenter (/shared/:token):
+// - Loads a trip snapshot via the public share endpoint — no wizard, no local persistence.
+// - Renders the itinerary and packing checklist in view-only mode for co-parents/grandparents.
+// - Expired/revoked links show a friendly explanation instead of the generic error copy.
+import { useState, useEffect } from "react";
+import { format } from "date-fns";
+import { motion } from "framer-motion";
+import Header from "./Header";
+import Footer from "./Footer";
+import TripPlanDisplay from "./TripPlanDisplay";
+import PackingChecklist from "./PackingChecklist";
+import ResultTabs from "./ResultTabs";
+import { getSharedTrip } from "../services/api";
+import useTheme from "../hooks/useTheme";
+
+const VIEW_TABS = ["itinerary", "packing"];
+
+export default function SharedTripView({ token }) {
+  const { theme, toggle: toggleTheme } = useTheme();
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState(null);
+  const [activeTab, setActiveTab] = useState("itinerary");
+
+  useEffect(() => {
+    getSharedTrip(token)
+      .then(setShared)
+      .catch((err) => setError(err.message || "This shared trip could not be loaded."));
+  }, [token]);
+
+  const trip = shared?.trip;
+
+  return (
+    <div className="min-h-screen bg-paper dark:bg-dark-bg text-slate-text dark:text-dark-text relative overflow-hidden">
+      <Header theme={theme} onToggleTheme={toggleTheme} showStartOver={false} />
+
+      <div className="mx-auto max-w-4xl px-6 py-8 relative z-10">
+        <section className="min-h-[60vh] min-w-0 overflow-hidden rounded-2xl border border-sprout-light dark:border-dark-border bg-white/80 dark:bg-dark-card/80 backdrop-blur-sm shadow-soft dark:shadow-soft-dark p-8 space-y-6">
+          {!shared && !error && (
+            <div className="flex items-center gap-3 text-sm text-muted dark:text-dark-muted" role="status">
+              <div className="w-5 h-5 border-2 border-sprout-base/30 border-t-sprout-base rounded-full animate-spin" />
+              <span>Loading shared trip...</span>
+            </div>
+          )}
+
+          {error && (
+            <div className="rounded-xl border border-red-200 dark:border-red-800 bg-red-50 dark:bg-red-900/20 px-4 py-3 text-sm text-red-700 dark:text-red-400 flex items-start gap-2" role="alert">
+              <span className="text-base" aria-hidden="true">⚠️</span>
+              <div className="flex-1 space-y-2">
+                <p>{error}</p>
+                <a href="/" className="font-semibold underline hover:text-red-900 dark:hover:text-red-300">
+                  Plan your own trip →
+                </a>
+              </div>
+            </div>
+          )}
+
+          {shared && trip && (
+            <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-6">
+              <div>
+                <p className="text-xs font-bold uppercase tracking-wider text-muted dark:text-dark-muted">
+                  👀 Shared trip · view only
+                </p>
+                <h2 className="font-heading text-3xl font-bold text-sprout-dark dark:text-dark-sprout mt-1">
+                  {trip.destination}
+                </h2>
+                {trip.startDate && trip.endDate && (
+                  <p className="text-sm text-muted dark:text-dark-muted">
+                    {format(new Date(trip.startDate + "T12:00:00"), "MMM d")}
+                    {" → "}
+                    {format(new Date(trip.endDate + "T12:00:00"), "MMM d, yyyy")}
+                  </p>
+                )}
+                {shared.expiresAt && (
+                  <p className="text-xs text-muted dark:text-dark-muted mt-1">
+                    Link expires {format(new Date(shared.expiresAt), "MMM d, yyyy")}
+                  </p>
+                )}
+              </div>
+
+              <ResultTabs activeTab={activeTab} onTabChange={setActiveTab} tabs={VIEW_TABS} />
+
+              {activeTab === "itinerary" && shared.tripPlan && (
+                <div id="tabpanel-itinerary" role="tabpanel" className="overflow-hidden min-w-0">
+                  <TripPlanDisplay
+                    tripPlan={shared.tripPlan}
+                    weather={shared.weather}
+                    onApprove={() => {}}
+                    isVisible={false}
+                    startDate={trip.startDate}
+                  />
+                </div>
+              )}
+              {activeTab === "packing" && shared.packingList && (
+                <div id="tabpanel-packing" role="tabpanel">
+                  <PackingChecklist packingList={shared.packingList} checklist={shared.checklist} readOnly />
+                </div>
+              )}
+            </motion.div>
+          )}
+        </section>
+      </div>
+
+      <Footer />
+    </div>
+  );
+}
@@ -1,9 +1,15 @@
 // Safety tab presenter — restructured to match mobile layout:
-// 1. Weather Safety — auto-generated alerts from weather data
+// 1. Weather Safety — official alerts (NWS and international equivalents) for the trip dates,
+//    then auto-generated tips from weather data and a per-day UV / air quality / heat index table
 // 2. Travel Advisory — State Dept levels 1-4 (non-US)
-// 3. Neighborhood Safety — Amadeus/GeoSure scores
+// 3. Neighborhood Safety — Amadeus/GeoSure scores, then family essentials nearby (playgrounds,
+//    changing tables, pharmacies, urgent care, hospitals) for the destination or each road-trip stop
 // 4. Travel Tips — from tripPlan.tips array
-// 5. Car Seat Laws — from safetyGuidance (hidden if no children)
+// 5. Car Seat Laws — from safetyGuidance (hidden if no children); road trips
+//    (guidanceMode "route") get one block per state/country on the route, led by the
+//    strictest-across-route summary when the trip crosses US state lines
+// 6. Flying With Kids — FAA lap-infant, car seat, CARES and gate-check guidance per child
+import { formatChildMeasurements, formatDistance, temperatureUnit, toFahrenheit } from "../utils/units";
 
 function statusStyles(status) {
   if (status === "Verified") {
@@ -32,8 +38,10 @@ function statusStyles(status) {
 
 function prettySeatPosition(seatPosition) {
   const labels = {
+    rear_seat_required: "Rear seat required",
     rear_seat_required_if_available: "Rear seat required when available",
     rear_seat_required_under_8: "Rear seat required for children under 8",
+    rear_seat_required_under_9: "Rear seat required for children under 9",
     rear_seat_required_under_13: "Rear seat required for children under 13",
     rear_seat_recommended: "Rear seat recommended",
     rear_seat_preferred: "Rear seat preferred",
@@ -53,21 +61,126 @@ function advisoryLevelBadge(level) {
   return levels[level] || levels[2];
 }
 
+const ALERT_SEVERITY_STYLES = {
+  extreme: "border-red-300 bg-red-100 text-red-800",
+  severe: "border-orange-300 bg-orange-100 text-orange-800",
+  moderate: "border-sun/50 bg-sun/20 text-earth",
+  minor: "border-sky-light bg-sky-light/30 text-sky-dark",
+};
+
+function formatAlertDates(dates = []) {
+  const label = (date) =>
+    new Date(`${date}T12:00:00Z`).toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric", timeZone: "UTC" });
+  if (dates.length === 0) return "";
+  return dates.length === 1 ? label(dates[0]) : `${label(dates[0])} – ${label(dates[dates.length - 1])}`;
+}
+
+function OfficialAlerts({ alerts }) {
+  return (
+    <ul className="space-y-2" aria-label="Active weather alerts">
+      {alerts.map((alert) => (
+        <li key={alert.id || alert.event} className={`rounded-lg border p-3 ${ALERT_SEVERITY_STYLES[alert.severity] || ALERT_SEVERITY_STYLES.minor}`}>
+          <div className="flex items-start justify-between gap-2">
+            <p className="text-sm font-bold">⚠️ {alert.event}</p>
+            <span className="shrink-0 text-[10px] font-bold uppercase tracking-wider">{alert.severity}</span>
+          </div>
+          <p className="text-xs mt-0.5">
+            {[formatAlertDates(alert.dates), alert.stop].filter(Boolean).join(" · ")}
+          </p>
+          {alert.headline && alert.headline !== alert.event && <p className="text-sm mt-1">{alert.headline}</p>}
+          {alert.instruction && <p className="text-xs mt-1 opacity-90">{alert.instruction}</p>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Level → label and chip style for the kid-risk table. Bands match backend services/weatherRisk.js.
+const RISK_CHIP = {
+  good: "bg-sprout-light text-sprout-dark",
+  moderate: "bg-sun/20 text-earth",
+  high: "bg-orange-100 text-orange-800",
+  extreme: "bg-red-100 text-red-800",
+};
+
+function uvRisk(uvIndex) {
+  if (!Number.isFinite(uvIndex)) return null;
+  if (uvIndex < 3) return { label: "Low", level: "good" };
+  if (uvIndex < 6) return { label: "Moderate", level: "moderate" };
+  if (uvIndex < 8) return { label: "High", level: "high" };
+  return { label: uvIndex < 11 ? "Very high" : "Extreme", level: "extreme" };
+}
+
+function aqiRisk(aqi) {
+  if (!Number.isFinite(aqi)) return null;
+  if (aqi <= 50) return { label: "Good", level: "good" };
+  if (aqi <= 100) return { label: "Moderate", level: "moderate" };
+  if (aqi <= 150) return { label: "Unhealthy for kids", level: "high" };
+  return { label: aqi <= 200 ? "Unhealthy" : "Very unhealthy", level: "extreme" };
+}
+
+const HEAT_RISK = {
+  low: { label: "Low", level: "good" },
+  moderate: { label: "Caution", level: "moderate" },
+  high: { label: "High", level: "high" },
+  extreme: { label: "Extreme", level: "extreme" },
+};
+
+function RiskChip({ value, risk }) {
+  if (!risk) return <span className="text-muted dark:text-dark-muted">—</span>;
+  return (
+    <span className={`inline-block rounded-full px-2 py-0.5 text-[10px] font-semibold ${RISK_CHIP[risk.level]}`}>
+      {value} · {risk.label}
+    </span>
+  );
+}
+
+function KidRiskTable({ forecast, unit }) {
+  const days = forecast.filter((day) => Number.isFinite(day.uvIndex) || Number.isFinite(day.aqi) || day.heatRisk);
+  if (days.length === 0) return null;
+  return (
+    <table className="w-full text-xs" aria-label="Sun, air quality and heat by day">
+      <thead>
+        <tr className="text-left text-muted dark:text-dark-muted">
+          <th className="font-semibold py-1">Day</th>
+          <th className="font-semibold py-1">☀️ UV</th>
+          <th className="font-semibold py-1">😷 Air</th>
+          <th className="font-semibold py-1">🌡 Feels like</th>
+        </tr>
+      </thead>
+      <tbody>
+        {days.map((day, i) => (
+          <tr key={day.date || i} className="text-slate-text dark:text-dark-text">
+            <td className="py-1 pr-2">{day.name}</td>
+            <td className="py-1 pr-2"><RiskChip value={day.uvIndex} risk={uvRisk(day.uvIndex)} /></td>
+            <td className="py-1 pr-2"><RiskChip value={day.aqi} risk={aqiRisk(day.aqi)} /></td>
+            <td className="py-1"><RiskChip value={`${day.heatIndex}${unit}`} risk={HEAT_RISK[day.heatRisk]} /></td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
 // ── Section 1: Weather Safety ────────────────────────────────────────────────
-function WeatherSafetySection({ weather }) {
-  if (!weather?.forecast || weather.forecast.length === 0) return null;
+function WeatherSafetySection({ weather, officialAlerts = [] }) {
+  if (!weather?.forecast?.length && officialAlerts.length === 0) return null;
 
+  // Thresholds are in °F; metric weather is compared after conversion but shown in °C.
+  const unit = temperatureUnit(weather);
   const alerts = [];
-  for (const day of weather.forecast) {
-    if (day.high > 100) {
-      alerts.push({ icon: "🔥", text: `Extreme heat on ${day.day || "a day"}: ${day.high}°F. Stay hydrated and seek shade.` });
-    } else if (day.high > 90) {
-      alerts.push({ icon: "☀️", text: `Hot weather on ${day.day || "a day"}: ${day.high}°F. Pack sunscreen and water.` });
+  for (const day of weather?.forecast || []) {
+    const highF = toFahrenheit(day.high, weather);
+    const lowF = toFahrenheit(day.low, weather);
+    if (highF > 100) {
+      alerts.push({ icon: "🔥", text: `Extreme heat on ${day.day || "a day"}: ${day.high}${unit}. Stay hydrated and seek shade.` });
+    } else if (highF > 90) {
+      alerts.push({ icon: "☀️", text: `Hot weather on ${day.day || "a day"}: ${day.high}${unit}. Pack sunscreen and water.` });
     }
-    if (day.low < 32) {
-      alerts.push({ icon: "🥶", text: `Freezing temps on ${day.day || "a day"}: low of ${day.low}°F. Bundle up!` });
-    } else if (day.low < 40) {
-      alerts.push({ icon: "🧥", text: `Cold weather on ${day.day || "a day"}: low of ${day.low}°F. Pack warm layers.` });
+    if (lowF < 32) {
+      alerts.push({ icon: "🥶", text: `Freezing temps on ${day.day || "a day"}: low of ${day.low}${unit}. Bundle up!` });
+    } else if (lowF < 40) {
+      alerts.push({ icon: "🧥", text: `Cold weather on ${day.day || "a day"}: low of ${day.low}${unit}. Pack warm layers.` });
     }
     if (day.precipitation > 80) {
       alerts.push({ icon: "🌧", text: `Heavy rain likely on ${day.day || "a day"}: ${day.precipitation}% chance. Pack rain gear.` });
@@ -81,6 +194,15 @@ function WeatherSafetySection({ weather }) {
     if (cond.includes("snow")) {
       alerts.push({ icon: "❄️", text: `Snow expected on ${day.day || "a day"}. Check road conditions.` });
     }
+    if (day.aqi > 100) {
+      alerts.push({ icon: "😷", text: `Unhealthy air for kids on ${day.name || "a day"}: AQI ${day.aqi}. Plan indoor activities; kid-size masks for ages 2+.` });
+    }
+    if (day.uvIndex >= 8) {
+      alerts.push({ icon: "🧢", text: `Very high UV on ${day.name || "a day"}: UV ${day.uvIndex}. Hats, shade from 10–4 and sunscreen every 2 hours.` });
+    }
+    if (day.heatRisk === "extreme" && highF <= 100) {
+      alerts.push({ icon: "🥵", text: `Dangerous heat index on ${day.name || "a day"}: feels like ${day.heatIndex}${unit}. Keep outdoor time short.` });
+    }
   }
 
   // De-duplicate similar alerts (keep first 6 max)
@@ -92,13 +214,16 @@ function WeatherSafetySection({ weather }) {
     return true;
   }).slice(0, 6);
 
-  if (unique.length === 0) return null;
+  const forecast = weather?.forecast || [];
+  const hasRiskData = forecast.some((day) => Number.isFinite(day.uvIndex) || Number.isFinite(day.aqi));
+  if (unique.length === 0 && officialAlerts.length === 0 && !hasRiskData) return null;
 
   return (
     <div className="rounded-xl border border-sky-light dark:border-dark-border bg-sky-light/20 dark:bg-dark-bg p-4 space-y-2">
       <p className="text-xs font-bold uppercase tracking-wider text-muted dark:text-dark-muted">
         🌤 Weather Safety
       </p>
+      {officialAlerts.length > 0 && <OfficialAlerts alerts={officialAlerts} />}
       <ul className="space-y-1.5">
         {unique.map((alert, i) => (
           <li key={i} className="flex items-start gap-2 text-sm text-slate-text dark:text-dark-text">
@@ -107,6 +232,7 @@ function WeatherSafetySection({ weather }) {
           </li>
         ))}
       </ul>
+      {hasRiskData && <KidRiskTable forecast={forecast} unit={unit} />}
     </div>
   );
 }
@@ -199,6 +325,59 @@ function NeighborhoodSafetySection({ safety }) {
   );
 }
 
+const ESSENTIAL_GROUPS = [
+  { key: "urgentCare", label: "Urgent care", icon: "🩺" },
+  { key: "hospitals", label: "Hospitals", icon: "🏥" },
+  { key: "pharmacies", label: "Pharmacies", icon: "💊" },
+  { key: "changingTables", label: "Changing tables", icon: "🚻" },
+  { key: "playgrounds", label: "Playgrounds", icon: "🛝" },
+];
+
+function FamilyEssentialsSection({ locations, unitSystem }) {
+  const found = (locations || []).filter((location) => location.essentials);
+  if (found.length === 0) return null;
+
+  return (
+    <div className="rounded-xl border border-earth/15 bg-earth/5 dark:bg-dark-bg p-4 space-y-3">
+      <p className="text-xs font-bold uppercase tracking-wider text-muted">
+        📍 Family essentials nearby
+      </p>
+      {found.map((location, index) => (
+        <div key={location.name || index} className="space-y-2">
+          {location.name && found.length > 1 && (
+            <p className="text-sm font-semibold text-earth dark:text-dark-text">{location.name}</p>
+          )}
+          {ESSENTIAL_GROUPS.map(({ key, label, icon }) => {
+            const places = (location.essentials[key] || []).slice(0, 3);
+            if (places.length === 0) return null;
+            return (
+              <div key={key}>
+                <p className="text-[11px] font-medium text-muted">{icon} {label}</p>
+                <ul className="space-y-0.5">
+                  {places.map((place) => (
+                    <li key={place.id} className="flex justify-between gap-2 text-xs text-slate-text dark:text-dark-text">
+                      <span>
+                        {place.name}
+                        {place.pediatric && key === "urgentCare" && <span className="ml-1 text-sprout-dark">· pediatric</span>}
+                        {place.emergency && <span className="ml-1 text-red-600">· ER</span>}
+                        {place.openingHours && <span className="ml-1 text-muted">· {place.openingHours}</span>}
+                      </span>
+                      <span className="shrink-0 text-muted">{formatDistance(place.distanceMiles, unitSystem)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+      <p className="text-[10px] text-muted">
+        Within {formatDistance(found[0].radiusMiles, unitSystem)}. Source: OpenStreetMap — call ahead to confirm hours.
+      </p>
+    </div>
+  );
+}
+
 // ── Section 4: Travel Tips ───────────────────────────────────────────────────
 function TravelTipsSection({ tips }) {
   if (!tips || tips.length === 0) return null;
@@ -221,8 +400,42 @@ function TravelTipsSection({ tips }) {
 }
 
 // ── Section 5: Car Seat Laws ─────────────────────────────────────────────────
-function CarSeatSection({ safetyGuidance }) {
+const VEHICLE_LABELS = {
+  rental_car: "Rental car",
+  taxi: "Taxi",
+  rideshare: "Rideshare",
+  bus: "Bus",
+  rv: "RV / motorhome",
+};
+
+const EXEMPTION_HEADLINES = {
+  exempt: "Car seat law doesn't apply",
+  not_exempt: "Car seat law applies",
+  unclear: "Unclear — plan to use a car seat",
+};
+
+function VehicleExemptionNote({ exemption }) {
+  return (
+    <div className="rounded-xl border border-sky-light bg-sky-light/30 dark:bg-dark-bg px-4 py-3 text-sm text-slate-text dark:text-dark-text">
+      <p className="font-semibold">
+        {VEHICLE_LABELS[exemption.vehicleType] || exemption.vehicleType}:{" "}
+        {EXEMPTION_HEADLINES[exemption.status] || EXEMPTION_HEADLINES.unclear}
+      </p>
+      <p className="mt-1 text-xs text-muted dark:text-dark-muted">{exemption.note}</p>
+      {exemption.status === "exempt" && (
+        <p className="mt-1 text-xs text-muted dark:text-dark-muted">
+          Crash forces are the same in any vehicle. The restraint below is still the safest choice.
+        </p>
+      )}
+    </div>
+  );
+}
+
+function CarSeatSection({ safetyGuidance, nested = false, unitSystem }) {
   if (!safetyGuidance) return null;
+  if (safetyGuidance.guidanceMode === "route") {
+    return <RouteCarSeatSection guidance={safetyGuidance} unitSystem={unitSystem} />;
+  }
 
   const {
     status,
@@ -232,6 +445,12 @@ function CarSeatSection({ safetyGuidance }) {
     sourceUrl,
     effectiveDate,
     lastUpdated,
+    ruleVersion,
+    reviewedBy,
+    reviewedOn,
+    researchedAt,
+    sourceChanged,
+    vehicleExemption,
     results = [],
   } = safetyGuidance;
 
@@ -246,10 +465,18 @@ function CarSeatSection({ safetyGuidance }) {
     <div className="space-y-3">
       <div className="flex flex-wrap items-start justify-between gap-3">
         <div>
-          <p className="text-xs font-bold uppercase tracking-wider text-muted dark:text-dark-muted">
-            🚗 Car Seat &amp; Booster Guidance
-          </p>
-          <p className="text-sm text-muted dark:text-dark-muted mt-0.5">
+          {!nested && (
+            <p className="text-xs font-bold uppercase tracking-wider text-muted dark:text-dark-muted">
+              🚗 Car Seat &amp; Booster Guidance
+            </p>
+          )}
+          <p
+            className={
+              nested
+                ? "text-sm font-bold text-earth dark:text-dark-text"
+                : "text-sm text-muted dark:text-dark-muted mt-0.5"
+            }
+          >
             {displayJurisdiction}
             {jurisdictionCode && jurisdictionCode !== displayJurisdiction
               ? ` (${jurisdictionCode})`
@@ -269,6 +496,8 @@ function CarSeatSection({ safetyGuidance }) {
         </div>
       )}
 
+      {vehicleExemption && <VehicleExemptionNote exemption={vehicleExemption} />}
+
       {results.length > 0 && (
         <div className="space-y-3">
           {results.map((result) => {
@@ -301,11 +530,19 @@ function CarSeatSection({ safetyGuidance }) {
                 </p>
                 {typeof result.ageYears === "number" && (
                   <p className="mt-1 text-xs text-muted">
-                    Age: {result.ageYears}y
-                    {Number.isFinite(result.weightLb) ? ` · ${result.weightLb} lb` : ""}
-                    {Number.isFinite(result.heightIn) ? ` · ${result.heightIn} in` : ""}
+                    Age: {result.ageYears}y{result.ageProjected ? " on the trip date" : ""}
+                    {formatChildMeasurements(result, unitSystem) && ` · ${formatChildMeasurements(result, unitSystem)}`}
                   </p>
                 )}
+                {(result.thresholdCrossings || []).map((crossing) => (
+                  <p
+                    key={crossing.when}
+                    className="mt-2 rounded-lg bg-sun/20 px-3 py-2 text-xs font-semibold text-slate-text dark:text-dark-text"
+                  >
+                    🎂 {crossing.when === "during_trip" ? "During the trip" : "Before the trip"}, on{" "}
+                    {crossing.date}: {crossing.fromLabel} → {crossing.toLabel}
+                  </p>
+                ))}
                 <p className="mt-2 text-sm text-muted dark:text-dark-muted">{result.rationale}</p>
               </article>
             );
@@ -320,6 +557,18 @@ function CarSeatSection({ safetyGuidance }) {
         {lastUpdated && lastUpdated !== "Not found in repo" && (
           <p>Last updated: {lastUpdated}</p>
         )}
+        {ruleVersion > 1 && reviewedBy && (
+          <p>
+            Rule version {ruleVersion} · reviewed by {reviewedBy}
+            {reviewedOn ? ` on ${reviewedOn}` : ""}
+          </p>
+        )}
+        {researchedAt && <p>Researched from the official source on {researchedAt.slice(0, 10)}</p>}
+        {sourceChanged && (
+          <p className="font-semibold text-amber-700 dark:text-amber-300">
+            The official page has changed since this was researched — check it before you travel.
+          </p>
+        )}
         {sourceUrl ? (
           <a
             href={sourceUrl}
@@ -347,21 +596,194 @@ function CarSeatSection({ safetyGuidance }) {
   );
 }
 
+function StrictestRouteSummary({ strictest }) {
+  const { results = [], jurisdictionsNeedingReview = [], uncoveredJurisdictions = [] } = strictest;
+  const stateLabel = (code) => code || "—";
+
+  return (
+    <div className="rounded-xl border border-sprout-light dark:border-dark-border bg-sprout-light/20 dark:bg-dark-bg p-4 space-y-3">
+      <div>
+        <p className="text-sm font-bold text-earth dark:text-dark-text">
+          Strictest rules across {strictest.jurisdictionCodes.join(", ")}
+        </p>
+        <p className="text-xs text-muted dark:text-dark-muted mt-0.5">
+          Follow these for the whole drive to stay within every state's rules on the route.
+        </p>
+      </div>
+      <ul className="space-y-2">
+        {results.map((result) => (
+          <li key={result.childId} className="text-sm text-slate-text dark:text-dark-text">
+            <span className="font-semibold">🌱 {result.childId}:</span>{" "}
+            {result.requiredRestraint === "not_found" ? (
+              "No matching rule — see AAP recommendations"
+            ) : (
+              <>
+                {result.requiredRestraintLabel}{" "}
+                <span className="text-xs text-muted">({stateLabel(result.restraintJurisdictionCode)})</span>
+                {" · "}
+                {prettySeatPosition(result.seatPosition)}{" "}
+                <span className="text-xs text-muted">({stateLabel(result.seatPositionJurisdictionCode)})</span>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+      {jurisdictionsNeedingReview.length > 0 && (
+        <p className="text-xs text-earth dark:text-dark-text">
+          ⚠️ Rule data needs review for{" "}
+          {jurisdictionsNeedingReview.map((j, i) => (
+            <span key={j.jurisdictionCode}>
+              {i > 0 && ", "}
+              <a
+                href={j.sourceUrl}
+                target="_blank"
+                rel="noreferrer"
+                className="text-sky-dark underline hover:text-sprout-dark transition-colors"
+              >
+                {j.jurisdictionCode}
+              </a>
+            </span>
+          ))}
+          . Check the official sources before you go.
+        </p>
+      )}
+      {uncoveredJurisdictions.length > 0 && (
+        <p className="text-xs text-muted dark:text-dark-muted">
+          No rule data for {uncoveredJurisdictions.join(", ")} — not included above.
+        </p>
+      )}
+    </div>
+  );
+}
+
+function RouteCarSeatSection({ guidance, unitSystem }) {
+  const { status, jurisdictions = [], strictest } = guidance;
+  const overallStyles = statusStyles(status);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <p className="text-xs font-bold uppercase tracking-wider text-muted dark:text-dark-muted">
+            🚗 Car Seat &amp; Booster Guidance — Road Trip
+          </p>
+          <p className="text-sm text-muted dark:text-dark-muted mt-0.5">
+            Rules change at state lines. Follow the rules for wherever you are driving.
+          </p>
+        </div>
+        <span
+          className={`rounded-full px-3 py-1 text-xs font-bold uppercase tracking-wider ${overallStyles.badge}`}
+        >
+          {status || "General guidelines"}
+        </span>
+      </div>
+      {strictest && <StrictestRouteSummary strictest={strictest} />}
+      {jurisdictions.map((jurisdiction, index) => (
+        <div
+          key={jurisdiction.jurisdictionCode || index}
+          className="border-l-2 border-sprout-light dark:border-dark-border pl-4"
+        >
+          <CarSeatSection safetyGuidance={jurisdiction} nested unitSystem={unitSystem} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ── Section 6: Flying With Kids ──────────────────────────────────────────────
+const CARES_FIT_LABELS = {
+  fits: "CARES harness fits",
+  too_small: "Too small for CARES",
+  too_large: "Too big for CARES",
+  unknown: "CARES fit unknown",
+};
+
+function AirTravelSection({ guidance, unitSystem }) {
+  if (!guidance?.results?.length) return null;
+  const { results, generalRules = [], sourceUrl, message } = guidance;
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <p className="text-xs font-bold uppercase tracking-wider text-muted dark:text-dark-muted">
+          ✈️ Flying With Kids
+        </p>
+        {message && <p className="text-sm text-muted dark:text-dark-muted mt-0.5">{message}</p>}
+      </div>
+
+      <div className="space-y-3">
+        {results.map((result, index) => (
+          <article
+            key={result.childId}
+            className={`rounded-xl border p-4 ${statusStyles(result.status === "OK" ? "Verified" : result.status).card}`}
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <p className="text-sm font-bold text-earth dark:text-dark-text">
+                Child {index + 1}: {result.recommendedRestraintLabel}
+              </p>
+              <span className="rounded-full px-2 py-0.5 text-[11px] font-semibold bg-white/70 dark:bg-dark-bg text-muted dark:text-dark-muted">
+                {CARES_FIT_LABELS[result.caresHarness?.fit] || CARES_FIT_LABELS.unknown}
+              </span>
+            </div>
+            <p className="mt-1 text-xs text-muted dark:text-dark-muted">
+              Age {result.ageYears}
+              {formatChildMeasurements(result, unitSystem) && ` · ${formatChildMeasurements(result, unitSystem)}`}
+              {result.lapInfant?.eligible ? " · Can fly as a lap infant" : " · Needs own seat"}
+            </p>
+            <p className="mt-2 text-sm text-muted dark:text-dark-muted">{result.rationale}</p>
+            <ul className="mt-2 space-y-1 text-xs text-slate-text dark:text-dark-text">
+              <li>{result.lapInfant?.note}</li>
+              <li>{result.caresHarness?.note}</li>
+              {(result.gateCheck || []).map((note) => (
+                <li key={note}>{note}</li>
+              ))}
+            </ul>
+          </article>
+        ))}
+      </div>
+
+      {generalRules.length > 0 && (
+        <div className="rounded-xl border border-earth/15 bg-earth/5 dark:bg-dark-bg px-4 py-3 text-xs text-muted dark:text-dark-muted space-y-1">
+          {generalRules.map((rule) => (
+            <p key={rule}>{rule}</p>
+          ))}
+          {sourceUrl && (
+            <a
+              href={sourceUrl}
+              target="_blank"
+              rel="noreferrer"
+              className="text-sky-dark underline hover:text-sprout-dark transition-colors"
+            >
+              FAA: Flying with children →
+            </a>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ── Main component ───────────────────────────────────────────────────────────
 export default function TravelSafetyCard({
   safetyGuidance,
   travelAdvisory,
   neighborhoodSafety,
+  familyEssentials,
+  airTravelGuidance,
   hasChildren = true,
   weather,
+  weatherAlerts = [],
   tripPlan,
+  unitSystem = "imperial",
 }) {
   const hasSomething =
     weather?.forecast?.length > 0 ||
+    weatherAlerts.length > 0 ||
     travelAdvisory ||
     neighborhoodSafety ||
+    familyEssentials?.length > 0 ||
     tripPlan?.tips?.length > 0 ||
-    (hasChildren && safetyGuidance);
+    (hasChildren && (safetyGuidance || airTravelGuidance));
 
   if (!hasSomething) {
     return (
@@ -386,19 +808,23 @@ export default function TravelSafetyCard({
       </div>
 
       {/* 1. Weather Safety */}
-      <WeatherSafetySection weather={weather} />
+      <WeatherSafetySection weather={weather} officialAlerts={weatherAlerts} />
 
       {/* 2. Travel Advisory (non-US) */}
       <TravelAdvisorySection advisory={travelAdvisory} />
 
       {/* 3. Neighborhood Safety */}
       <NeighborhoodSafetySection safety={neighborhoodSafety} />
+      <FamilyEssentialsSection locations={familyEssentials} unitSystem={unitSystem} />
 
       {/* 4. Travel Tips */}
       <TravelTipsSection tips={tripPlan?.tips} />
 
       {/* 5. Car Seat Laws (hidden if no children) */}
-      {hasChildren && <CarSeatSection safetyGuidance={safetyGuidance} />}
+      {hasChildren && <CarSeatSection safetyGuidance={safetyGuidance} unitSystem={unitSystem} />}
+
+      {/* 6. Flying With Kids (hidden if no children) */}
+      {hasChildren && <AirTravelSection guidance={airTravelGuidance} unitSystem={unitSystem} />}
     </div>
   );
 }
@@ -0,0 +1,218 @@
+// Trip budget on the Itinerary tab: the estimate range, a per-day breakdown, ticket prices per
+// activity, and an expense tracker.
+// - The estimate is `tripPlan.budget`, priced by the backend in the destination's currency.
+// - Expenses are owned by App: cached with the local trip and stored on saved trips.
+import { useState } from "react";
+import { EXPENSE_CATEGORIES, createExpense, formatMoney, summarizeSpending } from "../utils/expenses";
+
+const CATEGORY_LABELS = Object.fromEntries(EXPENSE_CATEGORIES);
+
+const STATUS_TEXT = {
+  under: "Under the low estimate",
+  within: "Within the estimate",
+  over: "⚠️ Over the high estimate",
+};
+
+const INPUT_CLASS =
+  "text-xs rounded-lg border border-gray-200 dark:border-dark-border bg-gray-50 dark:bg-dark-bg px-3 py-1.5 text-slate-text dark:text-dark-text placeholder:text-muted dark:placeholder:text-dark-muted focus:border-sprout-base focus:ring-1 focus:ring-sprout-light dark:focus:ring-dark-border focus:outline-none transition";
+
+const EMPTY_FORM = { description: "", amount: "", category: "admission", date: "" };
+
+export default function TripBudget({ budget, expenses = [], onExpensesChange }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const { currency, totals, days, activities, assumptions } = budget;
+  const money = (amount, options) => formatMoney(amount, currency, options);
+  const range = ({ low, high }) => (low === high ? money(low) : `${money(low)}–${money(high)}`);
+  const { spent, byDate, status, percentOfHigh } = summarizeSpending(expenses, budget);
+  const pricedActivities = activities.filter((activity) => activity.total > 0);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const expense = createExpense(form);
+    if (!expense) return;
+    onExpensesChange([...expenses, expense]);
+    setForm({ ...EMPTY_FORM, category: form.category, date: form.date });
+  };
+
+  const handleRemove = (id) => onExpensesChange(expenses.filter((expense) => expense.id !== id));
+
+  return (
+    <div className="rounded-2xl border border-sprout-light dark:border-dark-border bg-white dark:bg-dark-card shadow-soft dark:shadow-soft-dark p-6">
+      {/* Header */}
+      <div className="mb-5">
+        <p className="text-xs font-bold uppercase tracking-wider text-muted">💰 Budget</p>
+        <h3 className="font-heading text-xl font-bold text-sprout-dark mt-1">{range(totals.total)}</h3>
+        <p className="text-sm text-muted mt-0.5">
+          Estimated for {assumptions.adults} adults and {assumptions.children}{" "}
+          {assumptions.children === 1 ? "child" : "children"}
+        </p>
+      </div>
+
+      {/* Spent vs. estimate */}
+      <div className="mb-6">
+        <div className="w-full bg-gray-100 dark:bg-dark-bg rounded-full h-3 overflow-hidden">
+          <div
+            className="h-3 rounded-full transition-all duration-500"
+            style={{
+              width: `${percentOfHigh}%`,
+              background: status === "over" ? "#E57373" : "linear-gradient(90deg, #4FC3F7, #81C784)",
+            }}
+          />
+        </div>
+        <div className="flex items-center justify-between mt-1.5">
+          <span className="text-xs text-muted">{expenses.length > 0 ? STATUS_TEXT[status] : "No expenses logged yet"}</span>
+          <span className="text-xs font-semibold text-sprout-dark">
+            {money(spent, { cents: true })} spent
+          </span>
+        </div>
+      </div>
+
+      {/* Per day */}
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-muted">
+              <th className="py-1 pr-2 font-semibold">Day</th>
+              <th className="py-1 pr-2 font-semibold">Tickets</th>
+              <th className="py-1 pr-2 font-semibold">Meals</th>
+              <th className="py-1 pr-2 font-semibold">Lodging</th>
+              {totals.fuel > 0 && <th className="py-1 pr-2 font-semibold">Fuel</th>}
+              <th className="py-1 pr-2 font-semibold">Estimate</th>
+              <th className="py-1 font-semibold">Spent</th>
+            </tr>
+          </thead>
+          <tbody className="text-slate-text dark:text-dark-text">
+            {days.map((day, index) => (
+              <tr key={day.date || index} className="border-t border-gray-100 dark:border-dark-border">
+                <td className="py-1.5 pr-2 font-semibold">{day.day}</td>
+                <td className="py-1.5 pr-2">{money(day.admission)}</td>
+                <td className="py-1.5 pr-2">{range(day.meals)}</td>
+                <td className="py-1.5 pr-2">{range(day.lodging)}</td>
+                {totals.fuel > 0 && <td className="py-1.5 pr-2">{money(day.fuel)}</td>}
+                <td className="py-1.5 pr-2 font-semibold">{range(day.total)}</td>
+                <td className="py-1.5">{day.date && byDate[day.date] ? money(byDate[day.date], { cents: true }) : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Tickets per activity */}
+      {pricedActivities.length > 0 && (
+        <div className="mb-6">
+          <p className="text-xs font-bold uppercase tracking-wider text-muted mb-2">🎟 Tickets</p>
+          <ul className="space-y-1">
+            {pricedActivities.map((activity) => (
+              <li key={activity.id || activity.name} className="flex items-center justify-between gap-2 text-xs">
+                <span className="text-slate-text dark:text-dark-text">
+                  {activity.name}
+                  {activity.source === "typical" && (
+                    <span className="ml-1.5 rounded-full bg-gray-100 dark:bg-dark-bg px-2 py-0.5 text-[10px] text-muted">
+                      typical price
+                    </span>
+                  )}
+                </span>
+                <span className="text-muted whitespace-nowrap">
+                  {money(activity.perAdult)} / {money(activity.perChild)} child ·{" "}
+                  <span className="font-semibold text-sprout-dark">{money(activity.total)}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Expense tracker */}
+      <div className="mb-4">
+        <p className="text-xs font-bold uppercase tracking-wider text-muted mb-2">🧾 Expenses</p>
+        <form onSubmit={handleAdd} className="flex flex-wrap gap-2 print:hidden">
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+            placeholder="What for…"
+            maxLength={100}
+            className={`flex-1 min-w-[8rem] ${INPUT_CLASS}`}
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            inputMode="decimal"
+            value={form.amount}
+            onChange={(e) => setForm((prev) => ({ ...prev, amount: e.target.value }))}
+            placeholder={currency}
+            aria-label={`Amount in ${currency}`}
+            className={`w-24 ${INPUT_CLASS}`}
+          />
+          <select
+            value={form.category}
+            onChange={(e) => setForm((prev) => ({ ...prev, category: e.target.value }))}
+            aria-label="Category"
+            className={INPUT_CLASS}
+          >
+            {EXPENSE_CATEGORIES.map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={form.date}
+            onChange={(e) => setForm((prev) => ({ ...prev, date: e.target.value }))}
+            aria-label="Day"
+            className={INPUT_CLASS}
+          >
+            <option value="">Whole trip</option>
+            {days
+              .filter((day) => day.date)
+              .map((day) => (
+                <option key={day.date} value={day.date}>
+                  {day.day}
+                </option>
+              ))}
+          </select>
+          <button
+            type="submit"
+            disabled={!(Number.parseFloat(form.amount) > 0)}
+            className="text-xs rounded-lg border border-sprout-light dark:border-dark-border px-2.5 py-1.5 text-sprout-dark dark:text-dark-sprout font-semibold hover:bg-sprout-light dark:hover:bg-dark-border transition-colors disabled:opacity-40"
+          >
+            + Add
+          </button>
+        </form>
+
+        {expenses.length > 0 && (
+          <ul className="mt-3 space-y-1">
+            {expenses.map((expense) => (
+              <li key={expense.id} className="flex items-center justify-between gap-2 text-xs">
+                <span className="text-slate-text dark:text-dark-text">
+                  {CATEGORY_LABELS[expense.category] || CATEGORY_LABELS.other}
+                  {expense.description && ` · ${expense.description}`}
+                  {expense.date && <span className="text-muted"> · {days.find((day) => day.date === expense.date)?.day || expense.date}</span>}
+                </span>
+                <span className="flex items-center gap-2">
+                  <span className="font-semibold text-sprout-dark">{money(expense.amount, { cents: true })}</span>
+                  <button
+                    onClick={() => handleRemove(expense.id)}
+                    aria-label={`Remove ${expense.description || "expense"}`}
+                    className="text-muted hover:text-red-500 print:hidden"
+                  >
+                    ✕
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Assumptions */}
+      <p className="text-[11px] text-muted">
+        Ballpark figures, not quotes. Lodging: {assumptions.lodging}.
+        {assumptions.roundTripDriveMiles &&
+          ` Fuel: ${assumptions.roundTripDriveMiles} miles round trip at ${assumptions.mpg} mpg.`}{" "}
+        Prices and exchange rates as of {budget.ratesLastUpdated}.
+      </p>
+    </div>
+  );
+}
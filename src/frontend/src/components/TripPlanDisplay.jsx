@@ -1,6 +1,7 @@
 // Trip-plan presenter:
 // - Activity customizer ABOVE day cards (fixes CLAUDE.md #7)
 // - Day cards with actual calendar dates + inline weather
+// - Timed day schedules (outings around naps and bedtime) when the plan has them
 // - Weather carousel summary
 // - Vertical layout on desktop, horizontal scroll on mobile
 import { useState, useEffect, useRef } from "react";
@@ -187,6 +188,11 @@ export default function TripPlanDisplay({
                           </span>
                         )}
                       </div>
+                      {activity.accessibilityNotes && (
+                        <p className="text-[11px] text-slate-text dark:text-dark-text mt-2 line-clamp-3">
+                          ♿ {activity.accessibilityNotes}
+                        </p>
+                      )}
                     </div>
                   </div>
                 </label>
@@ -238,6 +244,16 @@ export default function TripPlanDisplay({
                 <p className="text-[10px] text-muted dark:text-dark-muted truncate mt-0.5">
                   {day.condition}
                 </p>
+                {day.source === "climatology" && (
+                  <p className="text-[10px] font-semibold text-earth dark:text-dark-text mt-0.5" title="Climate average for this date — beyond the forecast range">
+                    Typical
+                  </p>
+                )}
+                {day.stop && (
+                  <p className="text-[10px] font-semibold text-earth dark:text-dark-text truncate mt-0.5">
+                    📍 {day.stop}
+                  </p>
+                )}
                 {day.precipitation > 0 && (
                   <p className="text-[10px] text-sky-dark mt-0.5">
                     💧 {day.precipitation}%
@@ -287,7 +303,9 @@ export default function TripPlanDisplay({
                   )}
                 </div>
 
-                {day.activities && day.activities.length > 0 && (
+                {day.schedule?.length > 0 ? (
+                  <DaySchedule schedule={day.schedule} activityNameMap={activityNameMap} />
+                ) : day.activities && day.activities.length > 0 && (
                   <div className="space-y-1.5">
                     {day.activities.map((id, ai) => (
                       <p key={ai} className="text-sm text-slate-text dark:text-dark-text flex items-start gap-2">
@@ -345,7 +363,9 @@ export default function TripPlanDisplay({
                     </div>
                   )}
 
-                  {day.activities && day.activities.length > 0 && (
+                  {day.schedule?.length > 0 ? (
+                    <DaySchedule schedule={day.schedule} activityNameMap={activityNameMap} />
+                  ) : day.activities && day.activities.length > 0 && (
                     <div className="space-y-1">
                       {day.activities.map((id, ai) => (
                         <p key={ai} className="text-sm text-slate-text dark:text-dark-text">
@@ -383,3 +403,31 @@ export default function TripPlanDisplay({
     </div>
   );
 }
+
+const SCHEDULE_ICONS = { outing: "🌳", meal: "🍽", nap: "😴", bedtime: "🌙" };
+
+// Timed blocks for one day; outings list their activities, weather notes flag hot or rainy hours.
+function DaySchedule({ schedule, activityNameMap }) {
+  return (
+    <ol className="space-y-1.5">
+      {schedule.map((block, bi) => (
+        <li key={bi} className="flex items-start gap-2 text-sm">
+          <span className="w-24 shrink-0 text-xs font-semibold tabular-nums text-muted dark:text-dark-muted mt-0.5">
+            {block.start}–{block.end}
+          </span>
+          <div className="min-w-0">
+            <p className={block.kind === "outing" ? "font-medium text-slate-text dark:text-dark-text" : "text-muted dark:text-dark-muted"}>
+              {SCHEDULE_ICONS[block.kind] || "•"} {block.label}
+            </p>
+            {block.activities?.map((id) => (
+              <p key={id} className="text-slate-text dark:text-dark-text">
+                <span className="text-sprout-base">●</span> {activityNameMap[id] || id}
+              </p>
+            ))}
+            {block.note && <p className="text-xs text-amber-700 dark:text-amber-300">{block.note}</p>}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -15,6 +15,7 @@ import {
   isAfter,
   differenceInDays,
 } from "date-fns";
+import RoadTripStops from "./RoadTripStops";
 
 const DAY_NAMES = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
 
@@ -127,6 +128,9 @@ export default function DatesStep({
   endDate,
   onStartDateChange,
   onEndDateChange,
+  stops = [],
+  onStopsChange,
+  firstStop,
   onNext,
   onBack,
 }) {
@@ -271,6 +275,16 @@ export default function DatesStep({
         </motion.div>
       )}
 
+      {onStopsChange && (
+        <RoadTripStops
+          stops={stops}
+          onStopsChange={onStopsChange}
+          firstStop={firstStop}
+          startDate={startDate}
+          endDate={endDate}
+        />
+      )}
+
       <div className="flex items-center gap-4">
         <motion.button
           whileHover={{ scale: 1.02 }}
@@ -1,4 +1,79 @@
 import { motion } from "framer-motion";
+import { MEASUREMENT_UNITS, convertMeasurements } from "../../utils/units";
+
+// Keys match the backend allowlist (src/backend/data/dietaryRules.js).
+const FOOD_ALLERGY_OPTIONS = [
+  ["peanut", "Peanuts"],
+  ["tree_nut", "Tree nuts"],
+  ["dairy", "Dairy"],
+  ["egg", "Eggs"],
+  ["gluten", "Gluten"],
+  ["shellfish", "Shellfish"],
+  ["fish", "Fish"],
+  ["soy", "Soy"],
+  ["sesame", "Sesame"],
+];
+const DIET_OPTIONS = [
+  ["vegetarian", "Vegetarian"],
+  ["vegan", "Vegan"],
+  ["halal", "Halal"],
+  ["kosher", "Kosher"],
+];
+// Keys match src/backend/data/accessibilityRules.js.
+const MOBILITY_OPTIONS = [
+  ["wheelchair", "Uses a wheelchair"],
+  ["limited_walking", "Short walks only"],
+];
+const SENSORY_OPTIONS = [
+  ["noise", "Noise"],
+  ["crowds", "Crowds"],
+  ["light", "Bright/flashing light"],
+  ["quiet_space", "Needs quiet breaks"],
+];
+const EQUIPMENT_OPTIONS = [
+  ["power_wheelchair", "Power wheelchair"],
+  ["manual_wheelchair", "Manual wheelchair"],
+  ["oxygen", "Oxygen"],
+  ["feeding_pump", "Feeding pump"],
+  ["cpap", "CPAP/BiPAP"],
+  ["hearing_aids", "Hearing aids"],
+  ["communication_device", "AAC device"],
+];
+
+/** Rows of toggle chips; `value` maps each row's field to its selected keys. */
+function ChipGroups({ groups, value, onChange }) {
+  const toggle = (field, key) => {
+    const current = value[field] || [];
+    onChange?.({
+      ...value,
+      [field]: current.includes(key) ? current.filter((selectedKey) => selectedKey !== key) : [...current, key],
+    });
+  };
+
+  return groups.map(([field, label, options]) => (
+    <div key={field} className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-muted dark:text-dark-muted">{label}:</span>
+      {options.map(([key, optionLabel]) => {
+        const selected = (value[field] || []).includes(key);
+        return (
+          <button
+            key={key}
+            type="button"
+            onClick={() => toggle(field, key)}
+            aria-pressed={selected}
+            className={`rounded-full border px-3 py-1 text-xs font-semibold transition-colors ${
+              selected
+                ? "border-sprout-base bg-sprout-light text-sprout-dark"
+                : "border-gray-200 dark:border-dark-border text-muted dark:text-dark-muted hover:border-sprout-base"
+            }`}
+          >
+            {optionLabel}
+          </button>
+        );
+      })}
+    </div>
+  ));
+}
 
 export default function KidsStep({
   numChildren,
@@ -9,6 +84,18 @@ export default function KidsStep({
   onChildWeightsChange,
   childHeights,
   onChildHeightsChange,
+  childBirthDates = [],
+  onChildBirthDatesChange,
+  childRoutines = [],
+  onChildRoutinesChange,
+  childMedical = [],
+  onChildMedicalChange,
+  dietary = { foodAllergies: [], diets: [] },
+  onDietaryChange,
+  accessibility = { mobility: [], sensory: [], equipment: [] },
+  onAccessibilityChange,
+  unitSystem = "imperial",
+  onUnitSystemChange,
   onNext,
   onBack,
 }) {
@@ -19,10 +106,16 @@ export default function KidsStep({
       onChildAgesChange(Array(n).fill(0).map((_, i) => childAges[i] ?? 2));
       onChildWeightsChange(Array(n).fill("").map((_, i) => childWeights[i] ?? ""));
       onChildHeightsChange(Array(n).fill("").map((_, i) => childHeights[i] ?? ""));
+      onChildBirthDatesChange(Array(n).fill("").map((_, i) => childBirthDates[i] ?? ""));
+      onChildRoutinesChange?.(Array(n).fill(null).map((_, i) => childRoutines[i] ?? {}));
+      onChildMedicalChange?.(Array(n).fill(null).map((_, i) => childMedical[i] ?? {}));
     } else {
       onChildAgesChange([]);
       onChildWeightsChange([]);
       onChildHeightsChange([]);
+      onChildBirthDatesChange([]);
+      onChildRoutinesChange?.([]);
+      onChildMedicalChange?.([]);
     }
   };
 
@@ -33,6 +126,41 @@ export default function KidsStep({
     onChildAgesChange(next);
   };
 
+  // A birthday also fills in the age (as of today) so the two fields never disagree.
+  const updateBirthDate = (index, value) => {
+    const next = [...childBirthDates];
+    next[index] = value;
+    onChildBirthDatesChange(next);
+    const born = value ? new Date(`${value}T00:00:00`) : null;
+    if (born && !Number.isNaN(born.getTime())) {
+      const now = new Date();
+      let years = now.getFullYear() - born.getFullYear();
+      if (now < new Date(now.getFullYear(), born.getMonth(), born.getDate())) years -= 1;
+      if (years >= 0) updateAge(index, years);
+    }
+  };
+
+  const updateRoutine = (index, field, value) => {
+    const next = [...childRoutines];
+    next[index] = { ...next[index], [field]: value };
+    onChildRoutinesChange?.(next);
+  };
+
+  const updateMedical = (index, field, value) => {
+    const next = [...childMedical];
+    next[index] = { ...next[index], [field]: value };
+    onChildMedicalChange?.(next);
+  };
+
+  // Switching units converts anything already typed so the numbers keep meaning the same thing.
+  const switchUnits = (next) => {
+    if (next === unitSystem) return;
+    onChildWeightsChange(convertMeasurements(childWeights, "weight", unitSystem, next));
+    onChildHeightsChange(convertMeasurements(childHeights, "height", unitSystem, next));
+    onUnitSystemChange(next);
+  };
+  const units = MEASUREMENT_UNITS[unitSystem] || MEASUREMENT_UNITS.imperial;
+
   const updateWeight = (index, value) => {
     const next = [...childWeights];
     next[index] = value;
@@ -86,6 +214,31 @@ export default function KidsStep({
         </motion.button>
       </div>
 
+      {/* Units for weight + height */}
+      {numChildren > 0 && (
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-muted dark:text-dark-muted">Units:</span>
+          {[
+            ["imperial", "lb / in"],
+            ["metric", "kg / cm"],
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => switchUnits(value)}
+              aria-pressed={unitSystem === value}
+              className={`rounded-full border px-3 py-1 text-xs font-semibold transition-colors ${
+                unitSystem === value
+                  ? "border-sprout-base bg-sprout-light text-sprout-dark"
+                  : "border-gray-200 dark:border-dark-border text-muted dark:text-dark-muted hover:border-sprout-base"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Per-child cards */}
       {numChildren > 0 && (
         <div className="grid gap-3 md:grid-cols-2">
@@ -113,16 +266,29 @@ export default function KidsStep({
                     className="mt-1 w-full rounded-xl border border-gray-200 dark:border-dark-border bg-white dark:bg-dark-bg px-3 py-2 text-slate-text dark:text-dark-text focus:border-sprout-base focus:ring-2 focus:ring-sprout-light dark:focus:ring-dark-border focus:outline-none transition"
                   />
                 </label>
+                <label className="block text-sm font-medium text-slate-text dark:text-dark-text">
+                  Birthday
+                  <span className="block text-[10px] text-muted font-normal">
+                    Optional — car seat advice uses their age on the trip date
+                  </span>
+                  <input
+                    type="date"
+                    max={new Date().toISOString().slice(0, 10)}
+                    value={childBirthDates[index] || ""}
+                    onChange={(e) => updateBirthDate(index, e.target.value)}
+                    className="mt-1 w-full rounded-xl border border-gray-200 dark:border-dark-border bg-white dark:bg-dark-bg px-3 py-2 text-sm text-slate-text dark:text-dark-text focus:border-sprout-base focus:ring-2 focus:ring-sprout-light dark:focus:ring-dark-border focus:outline-none transition"
+                  />
+                </label>
                 <div className="grid gap-3 grid-cols-2">
                   <label className="block text-sm font-medium text-slate-text dark:text-dark-text">
-                    Weight (lb)
+                    Weight ({units.weight})
                     <span className="block text-[10px] text-muted font-normal">
                       For car seat safety
                     </span>
                     <input
                       type="number"
-                      min="2"
-                      max="300"
+                      min={units.weightRange[0]}
+                      max={units.weightRange[1]}
                       step="0.1"
                       value={childWeights[index] || ""}
                       onChange={(e) => updateWeight(index, e.target.value)}
@@ -131,14 +297,14 @@ export default function KidsStep({
                     />
                   </label>
                   <label className="block text-sm font-medium text-slate-text dark:text-dark-text">
-                    Height (in)
+                    Height ({units.height})
                     <span className="block text-[10px] text-muted font-normal">
                       For car seat safety
                     </span>
                     <input
                       type="number"
-                      min="10"
-                      max="90"
+                      min={units.heightRange[0]}
+                      max={units.heightRange[1]}
                       step="0.1"
                       value={childHeights[index] || ""}
                       onChange={(e) => updateHeight(index, e.target.value)}
@@ -147,11 +313,103 @@ export default function KidsStep({
                     />
                   </label>
                 </div>
+                <div>
+                  <p className="text-sm font-medium text-slate-text dark:text-dark-text">Daily routine</p>
+                  <p className="text-[10px] text-muted">Optional — each day is planned around naps and bedtime</p>
+                </div>
+                <div className="grid gap-3 grid-cols-3">
+                  <label className="block text-sm font-medium text-slate-text dark:text-dark-text">
+                    Nap from
+                    <input
+                      type="time"
+                      value={childRoutines[index]?.napStart || ""}
+                      onChange={(e) => updateRoutine(index, "napStart", e.target.value)}
+                      className="mt-1 w-full rounded-xl border border-gray-200 dark:border-dark-border bg-white dark:bg-dark-bg px-3 py-2 text-sm text-slate-text dark:text-dark-text focus:border-sprout-base focus:ring-2 focus:ring-sprout-light dark:focus:ring-dark-border focus:outline-none transition"
+                    />
+                  </label>
+                  <label className="block text-sm font-medium text-slate-text dark:text-dark-text">
+                    Nap until
+                    <input
+                      type="time"
+                      value={childRoutines[index]?.napEnd || ""}
+                      onChange={(e) => updateRoutine(index, "napEnd", e.target.value)}
+                      className="mt-1 w-full rounded-xl border border-gray-200 dark:border-dark-border bg-white dark:bg-dark-bg px-3 py-2 text-sm text-slate-text dark:text-dark-text focus:border-sprout-base focus:ring-2 focus:ring-sprout-light dark:focus:ring-dark-border focus:outline-none transition"
+                    />
+                  </label>
+                  <label className="block text-sm font-medium text-slate-text dark:text-dark-text">
+                    Bedtime
+                    <input
+                      type="time"
+                      value={childRoutines[index]?.bedtime || ""}
+                      onChange={(e) => updateRoutine(index, "bedtime", e.target.value)}
+                      className="mt-1 w-full rounded-xl border border-gray-200 dark:border-dark-border bg-white dark:bg-dark-bg px-3 py-2 text-sm text-slate-text dark:text-dark-text focus:border-sprout-base focus:ring-2 focus:ring-sprout-light dark:focus:ring-dark-border focus:outline-none transition"
+                    />
+                  </label>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-slate-text dark:text-dark-text">Medical details</p>
+                  <p className="text-[10px] text-muted">Optional — shown on the emergency info card; separate with commas</p>
+                </div>
+                <div className="grid gap-3 sm:grid-cols-2">
+                  <label className="block text-sm font-medium text-slate-text dark:text-dark-text">
+                    Allergies
+                    <input
+                      type="text"
+                      placeholder="e.g. peanuts, penicillin"
+                      value={childMedical[index]?.allergies || ""}
+                      onChange={(e) => updateMedical(index, "allergies", e.target.value)}
+                      className="mt-1 w-full rounded-xl border border-gray-200 dark:border-dark-border bg-white dark:bg-dark-bg px-3 py-2 text-sm text-slate-text dark:text-dark-text placeholder:text-muted dark:placeholder:text-dark-muted focus:border-sprout-base focus:ring-2 focus:ring-sprout-light dark:focus:ring-dark-border focus:outline-none transition"
+                    />
+                  </label>
+                  <label className="block text-sm font-medium text-slate-text dark:text-dark-text">
+                    Medications
+                    <input
+                      type="text"
+                      placeholder="e.g. EpiPen Jr, albuterol inhaler"
+                      value={childMedical[index]?.medications || ""}
+                      onChange={(e) => updateMedical(index, "medications", e.target.value)}
+                      className="mt-1 w-full rounded-xl border border-gray-200 dark:border-dark-border bg-white dark:bg-dark-bg px-3 py-2 text-sm text-slate-text dark:text-dark-text placeholder:text-muted dark:placeholder:text-dark-muted focus:border-sprout-base focus:ring-2 focus:ring-sprout-light dark:focus:ring-dark-border focus:outline-none transition"
+                    />
+                  </label>
+                </div>
               </motion.div>
             ))}
         </div>
       )}
 
+      {/* Family food allergies + diets */}
+      <div className="space-y-3">
+        <div>
+          <p className="text-sm font-medium text-slate-text dark:text-dark-text">Food allergies &amp; diets</p>
+          <p className="text-[10px] text-muted">Optional — meal ideas and snacks are planned around them for everyone on the trip</p>
+        </div>
+        <ChipGroups
+          groups={[
+            ["foodAllergies", "Allergies", FOOD_ALLERGY_OPTIONS],
+            ["diets", "Diets", DIET_OPTIONS],
+          ]}
+          value={dietary}
+          onChange={onDietaryChange}
+        />
+      </div>
+
+      {/* Accessibility + medical equipment */}
+      <div className="space-y-3">
+        <div>
+          <p className="text-sm font-medium text-slate-text dark:text-dark-text">Accessibility &amp; special needs</p>
+          <p className="text-[10px] text-muted">Optional — favors step-free, quieter options and adds equipment to the packing list</p>
+        </div>
+        <ChipGroups
+          groups={[
+            ["mobility", "Mobility", MOBILITY_OPTIONS],
+            ["sensory", "Sensitive to", SENSORY_OPTIONS],
+            ["equipment", "Equipment", EQUIPMENT_OPTIONS],
+          ]}
+          value={accessibility}
+          onChange={onAccessibilityChange}
+        />
+      </div>
+
       <div className="flex items-center gap-4">
         <motion.button
           whileHover={{ scale: 1.02 }}
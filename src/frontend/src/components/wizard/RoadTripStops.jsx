@@ -0,0 +1,111 @@
+import { motion } from "framer-motion";
+import { MAX_TRIP_STOPS, remainingNights } from "../../utils/tripStops";
+
+// Optional road-trip editor under the date picker. Stop 1 is always the step-1 destination;
+// every stop but the last picks its nights, and the last stop gets the rest of the trip.
+export default function RoadTripStops({ stops, onStopsChange, firstStop, startDate, endDate }) {
+  const firstLabel = (firstStop || "").split(",")[0].trim() || "Your destination";
+
+  if (stops.length === 0) {
+    return (
+      <button
+        onClick={() => onStopsChange([{ destination: firstStop, nights: 1 }, { destination: "" }])}
+        className="self-start text-sm font-semibold text-sprout-dark dark:text-dark-sprout hover:text-sprout-base transition-colors"
+      >
+        🚗 Road trip? Add more stops
+      </button>
+    );
+  }
+
+  const lastNights = remainingNights(stops, startDate, endDate);
+
+  const updateStop = (index, patch) => {
+    onStopsChange(stops.map((stop, i) => (i === index ? { ...stop, ...patch } : stop)));
+  };
+
+  const removeStop = (index) => {
+    const next = stops.filter((_, i) => i !== index);
+    // Back to a single destination — drop the editor entirely.
+    onStopsChange(next.length > 1 ? next : []);
+  };
+
+  const addStop = () => {
+    // The old last stop now needs its own nights.
+    const withNights = stops.map((stop, i) => (i === stops.length - 1 ? { ...stop, nights: stop.nights || 1 } : stop));
+    onStopsChange([...withNights, { destination: "" }]);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 6 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="rounded-2xl border border-sprout-light dark:border-dark-border bg-white dark:bg-dark-bg p-4 md:p-5 space-y-3"
+    >
+      <div>
+        <p className="text-sm font-bold text-sprout-dark dark:text-dark-sprout">🚗 Road trip stops</p>
+        <p className="text-xs text-muted dark:text-dark-muted mt-0.5">
+          Visited in order. The last stop gets the remaining nights.
+        </p>
+      </div>
+
+      {stops.map((stop, index) => {
+        const isFirst = index === 0;
+        const isLast = index === stops.length - 1;
+        return (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <span className="w-6 h-6 rounded-full bg-sprout-light dark:bg-dark-border text-xs font-bold text-sprout-dark dark:text-dark-sprout flex items-center justify-center">
+              {index + 1}
+            </span>
+            {isFirst ? (
+              <span className="flex-1 min-w-[160px] text-sm font-medium">{firstLabel}</span>
+            ) : (
+              <input
+                type="text"
+                value={stop.destination}
+                onChange={(e) => updateStop(index, { destination: e.target.value })}
+                placeholder="e.g. Portland, OR"
+                maxLength={200}
+                className="flex-1 min-w-[160px] rounded-lg border border-sprout-light dark:border-dark-border bg-white dark:bg-dark-card px-3 py-1.5 text-sm focus:outline-none focus:border-sprout-base"
+              />
+            )}
+            {isLast ? (
+              <span className="text-xs text-muted dark:text-dark-muted w-24 text-right">
+                {lastNights > 0 ? `${lastNights} night${lastNights !== 1 ? "s" : ""}` : "no nights left"}
+              </span>
+            ) : (
+              <label className="flex items-center gap-1 text-xs text-muted dark:text-dark-muted w-24 justify-end">
+                <input
+                  type="number"
+                  min={1}
+                  max={14}
+                  value={stop.nights ?? ""}
+                  onChange={(e) => updateStop(index, { nights: e.target.value === "" ? "" : Number(e.target.value) })}
+                  className="w-12 rounded-lg border border-sprout-light dark:border-dark-border bg-white dark:bg-dark-card px-2 py-1 text-sm text-slate-text dark:text-dark-text"
+                />
+                nights
+              </label>
+            )}
+            {!isFirst && (
+              <button
+                onClick={() => removeStop(index)}
+                aria-label={`Remove stop ${index + 1}`}
+                className="w-6 h-6 rounded-lg text-muted hover:text-red-500 transition-colors"
+              >
+                ×
+              </button>
+            )}
+          </div>
+        );
+      })}
+
+      {stops.length < MAX_TRIP_STOPS && (
+        <button
+          onClick={addStop}
+          className="text-xs font-semibold text-sprout-dark dark:text-dark-sprout hover:text-sprout-base transition-colors"
+        >
+          + Add stop
+        </button>
+      )}
+    </motion.div>
+  );
+}
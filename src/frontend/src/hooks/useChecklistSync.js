@@ -0,0 +1,37 @@
+// Live checklist sync for a saved trip: wires createChecklistSync to the PATCH + SSE endpoints.
+// Returns null `apply` when there is no tripId (unsaved trip) so callers fall back to local-only state.
+import { useEffect, useRef, useState } from "react";
+import { createChecklistSync } from "../utils/checklist";
+import { patchChecklist, subscribeToChecklist } from "../services/api";
+
+export default function useChecklistSync(tripId, { onChange, initial } = {}) {
+  const syncRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  const [active, setActive] = useState(false);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    if (!tripId) return undefined;
+    // One ID per mounted list so echoes of our own edits can be told apart in server logs/events.
+    const clientId = crypto.randomUUID?.() || String(Date.now());
+    const sync = createChecklistSync({
+      initial,
+      sendOps: (ops) => patchChecklist(tripId, ops, clientId),
+      subscribe: (onRemote) => subscribeToChecklist(tripId, onRemote),
+      onChange: (checklist) => onChangeRef.current?.(checklist),
+    });
+    syncRef.current = sync;
+    setActive(true);
+    return () => {
+      sync.stop();
+      syncRef.current = null;
+      setActive(false);
+    };
+    // `initial` only seeds the first render of a trip; later values come from the server.
+  }, [tripId]);
+
+  return {
+    active,
+    apply: (op) => syncRef.current?.apply(op),
+  };
+}
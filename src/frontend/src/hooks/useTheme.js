@@ -0,0 +1,30 @@
+// Theme hook shared by the main app and the read-only shared-trip view:
+// persists light/dark choice in localStorage and toggles the `dark` class on <html>.
+import { useState, useEffect, useCallback } from "react";
+
+export default function useTheme() {
+  const getInitial = () => {
+    const stored = localStorage.getItem("sproutroute-theme");
+    if (stored === "dark" || stored === "light") return stored;
+    return window.matchMedia("(prefers-color-scheme: dark)").matches
+      ? "dark"
+      : "light";
+  };
+
+  const [theme, setTheme] = useState(getInitial);
+
+  useEffect(() => {
+    if (theme === "dark") {
+      document.documentElement.classList.add("dark");
+    } else {
+      document.documentElement.classList.remove("dark");
+    }
+    localStorage.setItem("sproutroute-theme", theme);
+  }, [theme]);
+
+  const toggle = useCallback(
+    () => setTheme((t) => (t === "dark" ? "light" : "dark")),
+    [],
+  );
+  return { theme, toggle };
+}
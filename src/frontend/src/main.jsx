@@ -1,11 +1,16 @@
-// React entry point: mount the App into #root.
+// React entry point: mount the App (or the shared-trip view) into #root.
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import SharedTripView from "./components/SharedTripView.jsx";
 import "./index.css";
 
+// /shared/:token opens a read-only trip view; every other path is the planner.
+// The backend SPA fallback serves index.html for these paths in production.
+const sharedMatch = window.location.pathname.match(/^\/shared\/([A-Za-z0-9_-]+)\/?$/);
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
-    <App />
+    {sharedMatch ? <SharedTripView token={sharedMatch[1]} /> : <App />}
   </React.StrictMode>,
 );
@@ -181,7 +181,7 @@ export const replanTrip = async (tripData, { onRetry, onRateLimitInfo } = {}) =>
 /**
  * Bundle endpoint — single call for plan + packing + weather + geocoding.
  * Replaces sequential generateTripPlan → generatePackingList flow.
- * Returns { trip, weather, tripPlan, packingList, safetyGuidance?, timings }.
+ * Returns { trip, weather, alerts, tripPlan, packingList, safetyGuidance?, timings }.
  */
 export const bundleTripPlan = async (tripData, { onRetry, onRateLimitInfo } = {}) =>
   fetchWithRetry(
@@ -218,6 +218,14 @@ export const getCarSeatGuidance = async (payload, { onRetry, onRateLimitInfo } =
     { maxRetries: 1, timeoutMs: 20000, onRetry, onRateLimitInfo },
   );
 
+/** Flight restraint guidance per child (lap infant, FAA-approved car seat, CARES, gate checks). */
+export const getAirTravelGuidance = async (children, { tripDate, unitSystem, onRetry, onRateLimitInfo } = {}) =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/safety/air-travel`,
+    POST_OPTS({ children, tripDate, unitSystem }),
+    { maxRetries: 1, timeoutMs: 10000, onRetry, onRateLimitInfo },
+  );
+
 /** Fetch /api/v1/meta/capabilities for feature flags. */
 export const getCapabilities = async (client = "web") =>
   fetchWithRetry(
@@ -244,6 +252,130 @@ export const getNeighborhoodSafety = async (lat, lon, { onRetry, onRateLimitInfo
     { maxRetries: 1, timeoutMs: 20000, onRetry, onRateLimitInfo },
   );
 
+/**
+ * Find playgrounds, changing tables, pharmacies, urgent care and hospitals near a point, or near each
+ * road-trip stop (names, in route order). Returns { locations: [{ name, lat, lon, radiusMiles, essentials }] }.
+ */
+export const getFamilyEssentials = async ({ lat, lon, stops } = {}, { onRetry, onRateLimitInfo } = {}) => {
+  const params = new URLSearchParams();
+  if (stops?.length > 1) {
+    stops.forEach((stop) => params.append("stops", stop));
+  } else {
+    params.set("lat", lat.toFixed(4));
+    params.set("lon", lon.toFixed(4));
+  }
+  return fetchWithRetry(
+    `${API_BASE_URL}/api/v1/places/family-essentials?${params}`,
+    {},
+    { maxRetries: 1, timeoutMs: 30000, onRetry, onRateLimitInfo },
+  );
+};
+
+/**
+ * Build the emergency info card: { destination, countryCode, children, unitSystem, lat?, lon? }.
+ * Returns { card }; clients cache the card with the trip so it works offline.
+ */
+export const getEmergencyCard = async (payload, { onRetry, onRateLimitInfo } = {}) =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/safety/emergency-card`,
+    POST_OPTS(payload),
+    { maxRetries: 1, timeoutMs: 30000, onRetry, onRateLimitInfo },
+  );
+
+// --- Saved trips (server-side trip store) ---
+
+const JSON_OPTS = (method, body) => ({
+  method,
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(body),
+});
+
+/** Save a trip bundle server-side. Returns { tripId, trip, weather, tripPlan, packingList, checklist }. */
+export const saveTrip = async (savedTrip) =>
+  fetchWithRetry(`${API_BASE_URL}/api/v1/trips`, JSON_OPTS("POST", savedTrip), { maxRetries: 1, timeoutMs: 15000 });
+
+/** Load a saved trip by its server-side tripId. */
+export const getSavedTrip = async (tripId) =>
+  fetchWithRetry(`${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}`, {}, { maxRetries: 1, timeoutMs: 15000 });
+
+/** Partially update a saved trip (any of trip, weather, tripPlan, packingList, checklist, expenses). */
+export const updateSavedTrip = async (tripId, patch) =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}`,
+    JSON_OPTS("PUT", patch),
+    { maxRetries: 1, timeoutMs: 15000 },
+  );
+
+/** Delete a saved trip. */
+export const deleteSavedTrip = async (tripId) =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}`,
+    { method: "DELETE" },
+    { maxRetries: 0, timeoutMs: 15000 },
+  );
+
+/** Create a read-only share link for a saved trip. Returns { token, path, expiresAt, active }. */
+export const createShareLink = async (tripId, expiresInDays) =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}/shares`,
+    JSON_OPTS("POST", expiresInDays ? { expiresInDays } : {}),
+    { maxRetries: 1, timeoutMs: 15000 },
+  );
+
+/** Revoke a share link so it stops working immediately. */
+export const revokeShareLink = async (tripId, token) =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}/shares/${encodeURIComponent(token)}`,
+    { method: "DELETE" },
+    { maxRetries: 0, timeoutMs: 15000 },
+  );
+
+/** Load the public read-only view of a shared trip. */
+export const getSharedTrip = async (token) =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/shared/${encodeURIComponent(token)}`,
+    {},
+    { maxRetries: 1, timeoutMs: 15000 },
+  );
+
+/** Download URL for a saved trip's itinerary as an iCalendar (.ics) file. */
+export const getItineraryCalendarUrl = (tripId) =>
+  `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}/itinerary.ics`;
+
+/** Download URL for a saved trip's printable PDF packet (itinerary, weather, checklist, safety). */
+export const getTripPacketUrl = (tripId) =>
+  `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}/packet.pdf`;
+
+// --- Collaborative checklist ---
+
+/** Send checklist ops ({ type, itemId, checked, category, item, at }) for last-writer-wins merge. */
+export const patchChecklist = async (tripId, ops, clientId) =>
+  fetchWithRetry(
+    `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}/checklist`,
+    JSON_OPTS("PATCH", { ops, clientId }),
+    { maxRetries: 1, timeoutMs: 15000 },
+  );
+
+/**
+ * Follow live checklist changes for a saved trip over SSE.
+ * EventSource reconnects on its own; the first event after (re)connect is the full current state.
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeToChecklist(tripId, onChecklist) {
+  if (API_CONFIG_ERROR || typeof EventSource === "undefined") return () => {};
+  const source = new EventSource(
+    `${API_BASE_URL}/api/v1/trips/${encodeURIComponent(tripId)}/checklist/events`,
+  );
+  source.addEventListener("checklist", (event) => {
+    try {
+      onChecklist(JSON.parse(event.data));
+    } catch {
+      // Malformed event — the next one carries full state anyway.
+    }
+  });
+  return () => source.close();
+}
+
 // ── SSE Streaming ──────────────────────────────────────────────────────────
 
 /**
@@ -253,13 +385,13 @@ export const getNeighborhoodSafety = async (lat, lon, { onRetry, onRateLimitInfo
  * @param {object} tripData - Trip request payload
  * @param {function} onEvent - Called with { type, data } for each SSE event
  * @param {AbortSignal} signal - Optional abort signal for cancellation
- * @returns {Promise<object>} Accumulated result { trip, weather, tripPlan, packingList, safetyGuidance }
+ * @returns {Promise<object>} Accumulated result { tripId, trip, weather, alerts, tripPlan, packingList, safetyGuidance }
  */
 export async function streamTripPlan(tripData, onEvent, signal) {
   if (API_CONFIG_ERROR) throw new Error(API_CONFIG_ERROR);
 
   const url = `${API_BASE_URL}/api/v1/trip/stream`;
-  const result = { trip: null, weather: null, tripPlan: null, packingList: null, safetyGuidance: null };
+  const result = { tripId: null, trip: null, weather: null, alerts: [], tripPlan: null, packingList: null, safetyGuidance: null };
 
   try {
     const response = await fetch(url, {
@@ -302,7 +434,8 @@ export async function streamTripPlan(tripData, onEvent, signal) {
               onEvent({ type: "destination", data });
             } else if (type === "weather") {
               result.weather = data.weather || data;
-              onEvent({ type: "weather", data: result.weather });
+              result.alerts = data.alerts || [];
+              onEvent({ type: "weather", data: result.weather, alerts: result.alerts });
             } else if (type === "itinerary-chunk") {
               if (data.tripPlan) {
                 result.tripPlan = data.tripPlan;
@@ -316,6 +449,7 @@ export async function streamTripPlan(tripData, onEvent, signal) {
             } else if (type === "safety") {
               result.safetyGuidance = data;
             } else if (type === "done") {
+              result.tripId = data.tripId ?? null;
               onEvent({ type: "done", data: result });
             } else if (type === "error") {
               const err = new Error(data.message || data.error || "Stream error");
@@ -338,8 +472,10 @@ export async function streamTripPlan(tripData, onEvent, signal) {
     console.warn("SSE stream failed, falling back to bundle:", err.message);
     onEvent({ type: "fallback", data: null });
     const bundleResult = await bundleTripPlan(tripData, {});
+    result.tripId = bundleResult.tripId ?? null;
     result.trip = bundleResult.trip || tripData;
     result.weather = bundleResult.weather;
+    result.alerts = bundleResult.alerts || [];
     result.tripPlan = bundleResult.tripPlan;
     result.packingList = bundleResult.packingList;
     result.safetyGuidance = bundleResult.safetyGuidance || null;
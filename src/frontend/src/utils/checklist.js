@@ -6,7 +6,14 @@
  * the item order within a category changes.
  *
  * Custom items added by the user are stored in localStorage under
- * "sproutroute_custom_items" keyed by category name.
+ * "sproutroute_custom_items" keyed by category name. Items can be assigned to
+ * a person and/or bag ("sproutroute_assignments", keyed by item ID), so
+ * assignments survive regeneration the same way check state does.
+ *
+ * Saved trips sync the checklist across family members: edits become small
+ * ops (check / addCustom / removeCustom) that the server merges per item,
+ * last-writer-wins. createChecklistSync is transport-agnostic so the web
+ * (EventSource) and mobile (polling) clients share the same merge logic.
  */
 
 /**
@@ -51,6 +58,30 @@ export function filterCheckedItems(checkedItemIds, validItemIds) {
   return checkedItemIds.filter((itemId) => validItemIds.has(itemId));
 }
 
+/**
+ * Load item assignments from localStorage.
+ * Returns: { [itemId]: { person: string|null, bag: string|null } }
+ */
+export function loadAssignments() {
+  try {
+    const raw = localStorage.getItem("sproutroute_assignments");
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Persist item assignments to localStorage.
+ */
+export function saveAssignments(assignments) {
+  try {
+    localStorage.setItem("sproutroute_assignments", JSON.stringify(assignments));
+  } catch {
+    // Storage quota or private browsing — fail silently.
+  }
+}
+
 /**
  * Load custom items from localStorage.
  * Returns: { [categoryName]: Array<{ name, quantity, reason, source: "custom" }> }
@@ -77,3 +108,228 @@ export function saveCustomItems(customItems) {
     // Storage quota or private browsing — fail silently.
   }
 }
+
+// ── Assignments (person / bag) ──────────────────────────────────────────────
+
+export const DEFAULT_BAGS = ["Carry-on", "Diaper bag", "Checked bag", "Trunk"];
+export const UNASSIGNED = "Unassigned";
+
+/**
+ * Suggested people for assignment pickers: two parents plus one entry per child,
+ * followed by any names already used in assignments (e.g. typed by a partner).
+ */
+export function getPeopleSuggestions(children = [], assignments = {}) {
+  const base = ["Parent 1", "Parent 2", ...children.map((_, i) => `Child ${i + 1}`)];
+  const used = Object.values(assignments).map((a) => a?.person).filter(Boolean);
+  return [...new Set([...base, ...used])];
+}
+
+/** Bag suggestions: the defaults plus any bag names already in use. */
+export function getBagSuggestions(assignments = {}) {
+  const used = Object.values(assignments).map((a) => a?.bag).filter(Boolean);
+  return [...new Set([...DEFAULT_BAGS, ...used])];
+}
+
+/**
+ * Drop assignments for items no longer in the list (same idea as filterCheckedItems).
+ */
+export function filterAssignments(assignments, validItemIds) {
+  return Object.fromEntries(
+    Object.entries(assignments || {}).filter(([itemId]) => validItemIds.has(itemId)),
+  );
+}
+
+/**
+ * Regroup the category model by assignment field.
+ * @param {"person"|"bag"} field
+ * @returns {Array<{ name: string, items: Array<{ itemId, categoryName, item }> }>}
+ *   Groups in first-seen order with "Unassigned" last.
+ */
+export function groupItemsByAssignment(packingList, customItems = {}, assignments = {}, field = "person") {
+  if (!packingList?.categories) return [];
+  const groups = new Map();
+
+  packingList.categories.forEach((category) => {
+    const items = [
+      ...category.items.map((item) => ({ ...item, source: "ai" })),
+      ...(customItems[category.name] || []),
+    ];
+    items.forEach((item) => {
+      const itemId = makeItemId(category.name, item.name, item.quantity);
+      const name = assignments[itemId]?.[field] || UNASSIGNED;
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push({ itemId, categoryName: category.name, item });
+    });
+  });
+
+  const ordered = [...groups.entries()].filter(([name]) => name !== UNASSIGNED);
+  if (groups.has(UNASSIGNED)) ordered.push([UNASSIGNED, groups.get(UNASSIGNED)]);
+  return ordered.map(([name, items]) => ({ name, items }));
+}
+
+/**
+ * Packed/total counts per assigned person (or bag), excluding unassigned items.
+ * @returns {Array<{ name: string, checked: number, total: number }>}
+ */
+export function getAssignmentProgress(packingList, customItems, assignments, checkedIds, field = "person") {
+  const checked = checkedIds instanceof Set ? checkedIds : new Set(checkedIds || []);
+  return groupItemsByAssignment(packingList, customItems, assignments, field)
+    .filter((group) => group.name !== UNASSIGNED)
+    .map((group) => ({
+      name: group.name,
+      checked: group.items.filter(({ itemId }) => checked.has(itemId)).length,
+      total: group.items.length,
+    }));
+}
+
+// ── Collaborative sync ──────────────────────────────────────────────────────
+
+const MAX_OPS_PER_FLUSH = 100; // server cap per PATCH
+const EMPTY_CHECKLIST = { checked: [], customItems: {}, assignments: {}, updatedAt: null, version: 0 };
+
+export function buildCheckOp(itemId, checked, at = new Date().toISOString()) {
+  return { type: "check", itemId, checked, at };
+}
+
+export function buildAddCustomOp(categoryName, item, at = new Date().toISOString()) {
+  return { type: "addCustom", category: categoryName, item, at };
+}
+
+/** Assign an item to a person and/or bag; pass null for both to clear. */
+export function buildAssignOp(itemId, { person = null, bag = null } = {}, at = new Date().toISOString()) {
+  return { type: "assign", itemId, person: person || null, bag: bag || null, at };
+}
+
+export function buildRemoveCustomOp(categoryName, item, at = new Date().toISOString()) {
+  return {
+    type: "removeCustom",
+    category: categoryName,
+    itemId: makeItemId(categoryName, item.name, item.quantity),
+    at,
+  };
+}
+
+/**
+ * Apply ops to a checklist locally (optimistic view while ops are unacknowledged).
+ * Ordering conflicts are the server's job; locally, later ops simply win.
+ */
+export function applyLocalOps(checklist, ops) {
+  const checked = new Set(checklist?.checked || []);
+  const customItems = { ...(checklist?.customItems || {}) };
+  const assignments = { ...(checklist?.assignments || {}) };
+
+  ops.forEach((op) => {
+    if (op.type === "check") {
+      if (op.checked) checked.add(op.itemId);
+      else checked.delete(op.itemId);
+    } else if (op.type === "addCustom") {
+      const existing = customItems[op.category] || [];
+      const itemId = makeItemId(op.category, op.item.name, op.item.quantity);
+      if (!existing.some((i) => makeItemId(op.category, i.name, i.quantity) === itemId)) {
+        customItems[op.category] = [...existing, { ...op.item, source: "custom" }];
+      }
+    } else if (op.type === "removeCustom") {
+      const remaining = (customItems[op.category] || []).filter(
+        (i) => makeItemId(op.category, i.name, i.quantity) !== op.itemId,
+      );
+      if (remaining.length > 0) customItems[op.category] = remaining;
+      else delete customItems[op.category];
+      checked.delete(op.itemId);
+      delete assignments[op.itemId];
+    } else if (op.type === "assign") {
+      if (op.person || op.bag) assignments[op.itemId] = { person: op.person, bag: op.bag };
+      else delete assignments[op.itemId];
+    }
+  });
+
+  return { ...EMPTY_CHECKLIST, ...checklist, checked: [...checked], customItems, assignments };
+}
+
+/**
+ * Keep one trip's checklist in sync with the server.
+ *
+ * - apply(op) updates the local view immediately and queues the op.
+ * - Queued ops are batched and sent via sendOps after flushDelayMs; failures retry.
+ * - Remote checklists arrive through subscribe; pending ops are replayed on top
+ *   so a partner's update never hides a tick that is still in flight.
+ *
+ * @param {object} options
+ * @param {(ops: object[]) => Promise<{ checklist: object }>} options.sendOps
+ * @param {(onRemote: (payload: { checklist: object }) => void) => () => void} options.subscribe
+ * @param {(checklist: object) => void} options.onChange
+ * @param {object} [options.initial] - Last known checklist, shown until the server answers
+ * @param {number} [options.flushDelayMs] - Batching window for queued ops
+ * @param {number} [options.retryDelayMs] - Wait before resending after a failed send
+ * @returns {{ apply: (op: object) => void, flush: () => Promise<void>, getState: () => object, stop: () => void }}
+ */
+export function createChecklistSync({
+  sendOps,
+  subscribe,
+  onChange,
+  initial = null,
+  flushDelayMs = 400,
+  retryDelayMs = 5000,
+}) {
+  let serverState = initial ? { ...EMPTY_CHECKLIST, ...initial } : EMPTY_CHECKLIST;
+  let pending = [];
+  let inFlight = [];
+  let timer = null;
+  let stopped = false;
+
+  const getState = () => applyLocalOps(serverState, [...inFlight, ...pending]);
+  const notify = () => {
+    if (!stopped) onChange(getState());
+  };
+
+  const receive = (checklist) => {
+    // Events can race the PATCH response; never step back to an older version.
+    if (!checklist || (checklist.version || 0) < (serverState.version || 0)) return;
+    serverState = checklist;
+    notify();
+  };
+
+  const schedule = (delay) => {
+    if (stopped || timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delay);
+  };
+
+  async function flush() {
+    if (stopped || inFlight.length > 0 || pending.length === 0) return;
+    inFlight = pending.slice(0, MAX_OPS_PER_FLUSH);
+    pending = pending.slice(MAX_OPS_PER_FLUSH);
+    try {
+      const result = await sendOps(inFlight);
+      inFlight = [];
+      receive(result?.checklist);
+    } catch {
+      // Keep the ops (original timestamps preserve LWW order) and retry later.
+      pending = [...inFlight, ...pending];
+      inFlight = [];
+      schedule(retryDelayMs);
+      return;
+    }
+    if (pending.length > 0) schedule(flushDelayMs);
+  }
+
+  const unsubscribe = subscribe((payload) => receive(payload?.checklist));
+
+  return {
+    apply(op) {
+      pending.push(op);
+      notify();
+      schedule(flushDelayMs);
+    },
+    flush,
+    getState,
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      unsubscribe?.();
+      // Best-effort send of queued ticks so closing the list right after a tap doesn't lose it.
+      if (pending.length > 0) sendOps(pending.slice(0, MAX_OPS_PER_FLUSH)).catch(() => null);
+    },
+  };
+}
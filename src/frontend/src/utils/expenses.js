@@ -0,0 +1,63 @@
+/**
+ * Expense tracker helpers for the trip budget.
+ *
+ * Expenses are { id, date, category, description, amount } in the budget's
+ * currency. They are cached with the local trip and, for saved trips, stored
+ * on the server record (PUT /api/v1/trips/:id { expenses }).
+ */
+
+// Keys match the backend allowlist (src/backend/data/budgetRules.js).
+export const EXPENSE_CATEGORIES = [
+  ["admission", "🎟 Tickets"],
+  ["meals", "🍽 Meals"],
+  ["lodging", "🛏 Lodging"],
+  ["fuel", "⛽ Fuel"],
+  ["other", "🛍 Other"],
+];
+
+/** "$1,240" / "€54" — whole units unless `cents` is set. */
+export function formatMoney(amount, currency = "USD", { cents = false } = {}) {
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: "currency",
+      currency,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: cents ? 2 : 0,
+    }).format(amount);
+  } catch {
+    return `${Math.round(amount)} ${currency}`;
+  }
+}
+
+/**
+ * Build an expense from the add form, or null when the amount isn't a positive number.
+ * @returns {{ id: string, date: string|null, category: string, description: string, amount: number } | null}
+ */
+export function createExpense({ description, amount, category, date }) {
+  const value = Math.round(Number.parseFloat(amount) * 100) / 100;
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return {
+    id: crypto.randomUUID?.() || `expense-${Date.now()}`,
+    date: date || null,
+    category: EXPENSE_CATEGORIES.some(([key]) => key === category) ? category : "other",
+    description: String(description || "").trim().slice(0, 100),
+    amount: value,
+  };
+}
+
+/**
+ * Spending against the budget: total spent, spent per day (by date), and where it
+ * stands against the estimate range.
+ * @returns {{ spent: number, byDate: Record<string, number>, status: "under"|"within"|"over", percentOfHigh: number }}
+ */
+export function summarizeSpending(expenses, budget) {
+  const spent = Math.round(expenses.reduce((sum, expense) => sum + expense.amount, 0) * 100) / 100;
+  const byDate = {};
+  for (const expense of expenses) {
+    if (expense.date) byDate[expense.date] = (byDate[expense.date] || 0) + expense.amount;
+  }
+  const { low = 0, high = 0 } = budget?.totals?.total || {};
+  const status = spent > high ? "over" : spent > low ? "within" : "under";
+  const percentOfHigh = high > 0 ? Math.min(100, Math.round((spent / high) * 100)) : 0;
+  return { spent, byDate, status, percentOfHigh };
+}
@@ -0,0 +1,58 @@
+/**
+ * Road trip stop helpers for the dates step.
+ *
+ * The wizard collects stops as { destination, nights } in route order; the
+ * first stop is the destination chosen in step 1. The last stop has no nights
+ * field — it gets whatever is left of the trip. scheduleStops turns that into
+ * the dated { destination, startDate, endDate } list the API expects.
+ */
+
+export const MAX_TRIP_STOPS = 8;
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function nightsBetween(startDate, endDate) {
+  return Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Nights left for the final stop after every earlier stop's nights.
+ * @returns {number} May be zero or negative when earlier stops use up the trip
+ */
+export function remainingNights(stops, startDate, endDate) {
+  if (!startDate || !endDate) return 0;
+  const used = stops.slice(0, -1).reduce((sum, stop) => sum + (Number(stop.nights) || 0), 0);
+  return nightsBetween(startDate, endDate) - used;
+}
+
+/**
+ * Assign dates to each stop in order.
+ * @param {Array<{ destination: string, nights?: number|string }>} stops
+ * @returns {{ stops: Array<{ destination: string, startDate: string, endDate: string }>, error: string|null }}
+ */
+export function scheduleStops(stops, startDate, endDate) {
+  const named = stops.map((stop) => ({ ...stop, destination: String(stop.destination || "").trim() }));
+  if (named.some((stop) => !stop.destination)) {
+    return { stops: [], error: "Add a place for every stop, or remove the empty ones." };
+  }
+  if (named.slice(0, -1).some((stop) => !Number.isInteger(Number(stop.nights)) || Number(stop.nights) < 1)) {
+    return { stops: [], error: "Each stop before the last needs at least 1 night." };
+  }
+  if (remainingNights(named, startDate, endDate) < 1) {
+    return { stops: [], error: "Your stops add up to more nights than the trip — shorten one or pick later dates." };
+  }
+
+  let cursor = startDate;
+  const scheduled = named.map((stop, index) => {
+    const isLast = index === named.length - 1;
+    const stopEnd = isLast ? endDate : addDays(cursor, Number(stop.nights));
+    const entry = { destination: stop.destination, startDate: cursor, endDate: stopEnd };
+    cursor = stopEnd;
+    return entry;
+  });
+  return { stops: scheduled, error: null };
+}
@@ -0,0 +1,64 @@
+/**
+ * Unit system helpers for the wizard and results.
+ *
+ * v1 requests carry unitSystem ("imperial" | "metric"). Metric trips send each
+ * child's weightKg/heightCm instead of weightLb/heightIn, and weather comes back
+ * in °C with `units: { temperature: "C", precipitation: "mm" }`. Weather without
+ * `units` is imperial. New trips default to the destination country's system.
+ */
+
+// Everywhere else uses metric for everyday measurements.
+const IMPERIAL_COUNTRIES = new Set(["US", "LR", "MM"]);
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+export function defaultUnitSystem(countryCode) {
+  return countryCode && !IMPERIAL_COUNTRIES.has(countryCode.toUpperCase()) ? "metric" : "imperial";
+}
+
+export const MEASUREMENT_UNITS = {
+  imperial: { weight: "lb", height: "in", weightRange: [2, 300], heightRange: [10, 90] },
+  metric: { weight: "kg", height: "cm", weightRange: [1, 136], heightRange: [25, 229] },
+};
+
+const TO_METRIC = { weight: 0.453592, height: 2.54 };
+
+/**
+ * Convert typed-in weight or height strings when the parent switches units.
+ * Empty or unparseable entries stay as they are.
+ * @param {string[]} values
+ * @param {"weight"|"height"} kind
+ */
+export function convertMeasurements(values, kind, from, to) {
+  if (from === to) return values;
+  const factor = to === "metric" ? TO_METRIC[kind] : 1 / TO_METRIC[kind];
+  return values.map((value) => {
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) ? String(round1(parsed * factor)) : value;
+  });
+}
+
+export function temperatureUnit(weather) {
+  return weather?.units?.temperature === "C" ? "°C" : "°F";
+}
+
+/** A forecast temperature in °F, whichever unit the weather object uses. */
+export function toFahrenheit(value, weather) {
+  if (!Number.isFinite(value)) return value;
+  return weather?.units?.temperature === "C" ? (value * 9) / 5 + 32 : value;
+}
+
+/** "30 lb · 38 in" or "13.6 kg · 96.5 cm" for car seat results, which are always in lb/in. */
+export function formatChildMeasurements({ weightLb, heightIn }, unitSystem) {
+  const metric = unitSystem === "metric";
+  const parts = [];
+  if (Number.isFinite(weightLb)) parts.push(metric ? `${round1(weightLb * TO_METRIC.weight)} kg` : `${weightLb} lb`);
+  if (Number.isFinite(heightIn)) parts.push(metric ? `${round1(heightIn * TO_METRIC.height)} cm` : `${heightIn} in`);
+  return parts.join(" · ");
+}
+
+/** "1.2 mi" or "1.9 km" for nearby-place distances, which are always in miles. */
+export function formatDistance(miles, unitSystem) {
+  if (!Number.isFinite(miles)) return "";
+  return unitSystem === "metric" ? `${round1(miles * 1.609344)} km` : `${miles} mi`;
+}
@@ -21,6 +21,7 @@ export type ErrorCategory =
   | "ai"
   | "safety"
   | "rate_limit"
+  | "auth"
   | "server";
 
 /**
@@ -70,8 +71,8 @@ export interface V1RequestBase {
 
 // ── Capabilities Endpoint ────────────────────────────────────────────────────
 
-/** Weather provider identifiers */
-export type WeatherProvider = "weathergov" | "openweathermap" | "weatherkit";
+/** Weather provider identifiers ("climatology": bundled climate normals, no live provider) */
+export type WeatherProvider = "weathergov" | "visualcrossing" | "openweathermap" | "weatherkit" | "climatology";
 
 /** Safety guidance mode */
 export type GuidanceMode = "us_state_law" | "country_general";
@@ -87,6 +88,33 @@ export interface Ios26Features {
 /** Feature flags for progressive rollout */
 export interface FeatureFlags {
   shareLinks: boolean;
+  /** Saved-trip checklists sync live across devices (PATCH ops + SSE) */
+  checklistSync: boolean;
+  /** Saved trips export their itinerary as .ics (GET /api/v1/trips/:id/itinerary.ics) */
+  calendarExport: boolean;
+  /** Saved trips download as a PDF packet (GET /api/v1/trips/:id/packet.pdf) */
+  tripPacket: boolean;
+  /** Plan/bundle/packing accept `stops` for multi-stop road trips */
+  roadTrips: boolean;
+  /** POST /api/v1/safety/air-travel is available */
+  airTravelGuidance: boolean;
+  /** v1 requests accept unitSystem "metric" (weightKg/heightCm in, °C/mm weather out) */
+  metricUnits: boolean;
+  weatherAlerts: boolean;
+  /** Itinerary days carry a timed `schedule` built around children's napStart/napEnd/bedtime */
+  daySchedules: boolean;
+  /** Forecast days carry uvIndex, aqi, heatIndex and heatRisk (see WeatherPeriod) */
+  kidWeatherRisk: boolean;
+  /** GET /api/v1/places/family-essentials is available */
+  familyEssentials: boolean;
+  /** POST /api/v1/safety/emergency-card is available */
+  emergencyCard: boolean;
+  /** Plan/bundle/packing accept `dietary` (food allergies + diets) */
+  dietaryNeeds: boolean;
+  /** Plan/bundle/packing accept `accessibility` (mobility, sensory, medical equipment) */
+  accessibilityNeeds: boolean;
+  /** Plans include `tripPlan.budget`; saved trips store `expenses` */
+  tripBudget: boolean;
   customItems: boolean;
   darkMode: boolean;
   pwa: boolean;
@@ -100,10 +128,16 @@ export interface CapabilityPayload {
   schemaVersion: string;
   /** ISO 3166-1 alpha-2 codes of supported destination countries */
   supportedCountries: string[];
-  /** Maps country code → weather provider key */
+  /** Maps country code ("other" for the rest) → first provider in its chain */
   weatherProviders: Record<string, WeatherProvider>;
+  /** Maps country code ("other" for the rest) → configured providers, tried in order on timeout/5xx */
+  weatherProviderChains: Record<string, WeatherProvider[]>;
   /** Maps country code → safety guidance mode */
   safetyModes: Record<string, GuidanceMode>;
+  /** Accepted unitSystem values */
+  unitSystems: UnitSystem[];
+  /** Maps country code → unit system new trips should default to */
+  defaultUnitSystems: Record<string, UnitSystem>;
   featureFlags: FeatureFlags;
   /** Only present when client=ios */
   ios26Features?: Ios26Features;
@@ -40,4 +40,13 @@ export type {
   CarSeatCheckRequest,
   CarSeatCheckResponse,
   ChildCarSeatResult,
+  ChecklistState,
+  ItemAssignment,
+  ChecklistOp,
+  ChecklistPatchRequest,
+  ChecklistChangeEvent,
+  SaveTripRequest,
+  SavedTripResponse,
+  ShareLink,
+  SharedTripResponse,
 } from "./trip.js";
@@ -6,7 +6,7 @@
  * Update here first when changing the data model.
  */
 
-import type { V1RequestBase, GuidanceMode } from "./api.js";
+import type { V1RequestBase, GuidanceMode, UnitSystem, WeatherProvider } from "./api.js";
 
 // ── Children ─────────────────────────────────────────────────────────────────
 
@@ -17,8 +17,68 @@ export interface ChildProfile {
   weightLb?: number;
   /** Height in inches — used for car seat guidance */
   heightIn?: number;
+  /** Weight in kilograms — read instead of weightLb when unitSystem is "metric" */
+  weightKg?: number;
+  /** Height in centimetres — read instead of heightIn when unitSystem is "metric" */
+  heightCm?: number;
   /** Optional stable identifier for this child */
   id?: string;
+  /**
+   * Optional birth date, "YYYY-MM-DD" or "YYYY-MM" (treated as the last day of that month).
+   * When present, safety guidance and packing use the child's age on the trip date.
+   */
+  birthDate?: string;
+  /** Usual nap window, 24h "HH:MM" at the destination; both ends are needed */
+  napStart?: string;
+  napEnd?: string;
+  /** Usual bedtime, 24h "HH:MM" (17:00 or later); the earliest sibling's bedtime ends the day */
+  bedtime?: string;
+  /** Free text for the emergency info card, up to 10 entries of 60 chars */
+  allergies?: string[];
+  medications?: string[];
+}
+
+// ── Dietary needs ────────────────────────────────────────────────────────────
+
+/** Food allergies the wizard offers; anything else is dropped by sanitizeTripData */
+export type FoodAllergy = "peanut" | "tree_nut" | "dairy" | "egg" | "gluten" | "shellfish" | "fish" | "soy" | "sesame";
+
+/** Diets the wizard offers */
+export type Diet = "vegetarian" | "vegan" | "halal" | "kosher";
+
+/**
+ * The family's food allergies and diets, for the whole trip. Itinerary meals that conflict are
+ * removed, and packing adds safe snacks, epinephrine auto-injectors and (abroad) allergy cards.
+ */
+export interface DietaryNeeds {
+  foodAllergies: FoodAllergy[];
+  diets: Diet[];
+}
+
+// ── Accessibility ────────────────────────────────────────────────────────────
+
+export type MobilityNeed = "wheelchair" | "limited_walking";
+
+export type SensoryNeed = "noise" | "crowds" | "light" | "quiet_space";
+
+export type MedicalEquipment =
+  | "power_wheelchair"
+  | "manual_wheelchair"
+  | "oxygen"
+  | "feeding_pump"
+  | "cpap"
+  | "hearing_aids"
+  | "communication_device";
+
+/**
+ * A family member's mobility, sensory and medical-equipment needs. The itinerary favors step-free,
+ * low-noise and quiet-room options and notes accessibility on each suggested activity; packing adds
+ * chargers, supplies and noise-cancelling headphones.
+ */
+export interface AccessibilityNeeds {
+  mobility: MobilityNeed[];
+  sensory: SensoryNeed[];
+  equipment: MedicalEquipment[];
 }
 
 // ── Trip Resolve ─────────────────────────────────────────────────────────────
@@ -51,6 +111,15 @@ export interface TripResolveResponse {
 
 // ── Trip Plan ─────────────────────────────────────────────────────────────────
 
+/** One leg of a multi-stop road trip, as sent by clients */
+export interface TripStopInput {
+  destination: string;
+  /** YYYY-MM-DD — must be on or after the previous stop's endDate */
+  startDate: string;
+  /** YYYY-MM-DD */
+  endDate: string;
+}
+
 /** POST /api/v1/trip/plan request */
 export interface TripPlanRequest extends V1RequestBase {
   destination: string;
@@ -61,6 +130,12 @@ export interface TripPlanRequest extends V1RequestBase {
   /** Activity slugs (e.g. ["parks", "hiking"]) */
   activities: string[];
   children: ChildProfile[];
+  /** Road trip stops in route order (2-8). When present, destination and dates are derived from them. */
+  stops?: TripStopInput[];
+  dietary?: DietaryNeeds;
+  accessibility?: AccessibilityNeeds;
+  /** What was typed in the wizard; drive-time and distance searches add fuel to the budget */
+  destinationQuery?: string;
 }
 
 /** A single day in the itinerary */
@@ -69,6 +144,25 @@ export interface ItineraryDay {
   date?: string;
   activities: string[];
   notes?: string;
+  /** Alerts in effect that day (moderate or worse); weather-dependent activities were moved off it */
+  weatherAlerts?: string[];
+  /** Labels of the allergies and diets ("peanut allergy", "halal") whose conflicting meal ideas were removed */
+  dietaryConflicts?: string[];
+  /** Timed blocks for the day, fitted around the children's naps and bedtime and the hourly forecast */
+  schedule?: ScheduleBlock[];
+}
+
+/** One timed block in an itinerary day's schedule */
+export interface ScheduleBlock {
+  /** "HH:MM" local time at the destination */
+  start: string;
+  end: string;
+  kind: "outing" | "meal" | "nap" | "bedtime";
+  label: string;
+  /** Activity ids planned in this block; only outings have any */
+  activities: string[];
+  /** Hot or rainy hours the outing overlaps ("Weather (typical):" without an hourly forecast), or siblings' nap windows */
+  note?: string;
 }
 
 /** The AI-generated trip plan */
@@ -77,6 +171,79 @@ export interface TripPlanResult {
   suggestedActivities: string[];
   dailyItinerary: ItineraryDay[];
   tips: string[];
+  /** Cost estimate in the destination's currency, priced after the days are laid out */
+  budget?: TripBudget;
+}
+
+/** Low/high ends of an estimate, in whole units of the budget currency */
+export interface MoneyRange {
+  low: number;
+  high: number;
+}
+
+/** Ticket prices for one suggested activity */
+export interface BudgetActivity {
+  id?: string;
+  name: string;
+  category: string;
+  perAdult: number;
+  /** Ages 3-12; under-3s are free and teens pay adult prices */
+  perChild: number;
+  /** For the whole family */
+  total: number;
+  /** "plan": the model's typical ticket price; "typical": the category baseline */
+  source: "plan" | "typical";
+}
+
+export interface BudgetDay {
+  day: number | string;
+  /** YYYY-MM-DD, null without a start date */
+  date: string | null;
+  admission: number;
+  meals: MoneyRange;
+  lodging: MoneyRange;
+  /** Round-trip fuel, split between the first and last day */
+  fuel: number;
+  total: MoneyRange;
+}
+
+/** tripPlan.budget */
+export interface TripBudget {
+  /** ISO 4217, e.g. "EUR"; unlisted countries are budgeted in USD */
+  currency: string;
+  /** Currency units per US dollar */
+  perUsd: number;
+  /** YYYY-MM-DD the price tables and exchange rates were last refreshed */
+  ratesLastUpdated: string;
+  assumptions: {
+    adults: number;
+    children: number;
+    lodging: string;
+    /** Only for drive-time and distance searches ("2 hours from Denver") */
+    roundTripDriveMiles: number | null;
+    mpg: number | null;
+  };
+  activities: BudgetActivity[];
+  days: BudgetDay[];
+  totals: {
+    admission: number;
+    meals: MoneyRange;
+    lodging: MoneyRange;
+    fuel: number;
+    total: MoneyRange;
+  };
+}
+
+export type ExpenseCategory = "admission" | "meals" | "lodging" | "fuel" | "other";
+
+/** Spending a family logged against the budget, in the budget currency */
+export interface TripExpense {
+  id: string;
+  /** YYYY-MM-DD itinerary day, null for the whole trip */
+  date: string | null;
+  category: ExpenseCategory;
+  description: string;
+  amount: number;
 }
 
 /** Resolved trip metadata returned in plan + packing responses */
@@ -92,17 +259,74 @@ export interface TripMeta {
   children: ChildProfile[];
   // v1 extended fields
   countryCode: string;
-  unitSystem: string;
+  unitSystem: UnitSystem;
   client: string;
   schemaVersion: string;
+  /** Destination IANA time zone from the weather provider, e.g. "America/Denver" */
+  timeZone?: string | null;
+  /** Resolved road trip stops, in route order (multi-stop trips only) */
+  stops?: TripStop[];
+  /** Echoed when the request had dietary needs */
+  dietary?: DietaryNeeds;
+  /** Echoed when the request had accessibility needs */
+  accessibility?: AccessibilityNeeds;
+  /** Echoed when the request had a destination query */
+  destinationQuery?: string;
+}
+
+/** A geocoded road trip stop stored on TripMeta */
+export interface TripStop extends TripStopInput {
+  jurisdictionCode: string | null;
+  jurisdictionName: string | null;
+  countryCode: string;
+  lat: number;
+  lon: number;
+  timeZone: string | null;
 }
 
 /** Weather forecast for a single period */
 export interface WeatherPeriod {
   name: string;
+  /** °F, or °C when the forecast has `units.temperature: "C"` */
   high?: number;
   low?: number;
+  /** Chance of precipitation, 0–100 */
   precipitation?: number;
+  /** Expected precipitation in inches (imperial) */
+  precipitationIn?: number | null;
+  /** Expected precipitation in millimetres (metric) */
+  precipitationMm?: number | null;
+  condition?: string;
+  /** YYYY-MM-DD; one entry per trip date when the request had dates */
+  date?: string;
+  /** "climatology" days are climate normals for dates past the forecast horizon */
+  source?: "forecast" | "climatology";
+  /** Hour-by-hour forecast in local time, when the provider has one (never on climatology days) */
+  hourly?: HourlyWeather[];
+  /** Relative humidity, %, when the provider reports it */
+  humidity?: number | null;
+  /** Peak UV index for the day; within the ~5-day air quality window or from Visual Crossing */
+  uvIndex?: number;
+  /** Peak US AQI for the day (0–500); within the ~5-day air quality window */
+  aqi?: number;
+  /** Heat index ("feels like"), same unit as high/low; the high itself when humidity is unknown */
+  heatIndex?: number;
+  /** NWS heat index bands: moderate ≥ 80°F, high ≥ 90°F, extreme ≥ 103°F */
+  heatRisk?: "low" | "moderate" | "high" | "extreme";
+  /** Road trips: short name of the stop this day's forecast is for */
+  stop?: string;
+}
+
+/** One hour of a forecast day */
+export interface HourlyWeather {
+  /** "HH:MM" local time at the destination */
+  time: string;
+  /** Same unit as the day's high/low */
+  temp: number;
+  /** Chance of precipitation, 0–100 */
+  precipitation: number;
+  /** Relative humidity, % */
+  humidity?: number | null;
   condition?: string;
 }
 
@@ -110,13 +334,40 @@ export interface WeatherPeriod {
 export interface WeatherForecast {
   summary: string;
   forecast: WeatherPeriod[];
+  /** Provider that served the forecast days; "climatology" when every day is a climate normal; "mixed" across road trip stops */
+  provider?: WeatherProvider | "mixed";
+  /** Present when the trip's unitSystem is "metric"; absent means °F and inches */
+  units?: { temperature: "C"; precipitation: "mm" };
+  /** IANA time zone of the forecast location, when the provider reports one */
+  timeZone?: string;
+}
+
+/** Official weather alert (NWS, or a national weather service via Visual Crossing) overlapping the trip */
+export interface WeatherAlert {
+  id: string;
+  event: string;
+  severity: "extreme" | "severe" | "moderate" | "minor";
+  headline: string;
+  description: string;
+  instruction: string | null;
+  /** ISO 8601 timestamps with the local offset */
+  onset: string | null;
+  ends: string | null;
+  area: string | null;
+  provider: WeatherProvider;
+  /** Trip dates (YYYY-MM-DD) the alert covers */
+  dates: string[];
+  /** Road trips: short name of the stop the alert was issued for */
+  stop?: string;
 }
 
-/** POST /api/v1/trip/plan response — success */
+/** POST /api/v1/trip/plan response — success. Bundle and stream `done` responses carry `alerts` too. */
 export interface TripPlanResponse {
   requestId: string;
   trip: TripMeta;
   weather: WeatherForecast;
+  /** Active alerts for the trip dates; empty when none or when the lookup failed */
+  alerts: WeatherAlert[];
   tripPlan: TripPlanResult;
 }
 
@@ -130,6 +381,9 @@ export interface TripPackingRequest extends V1RequestBase {
   /** Must have at least one activity */
   activities: string[];
   children: ChildProfile[];
+  stops?: TripStopInput[];
+  dietary?: DietaryNeeds;
+  accessibility?: AccessibilityNeeds;
 }
 
 /** A single packing item */
@@ -167,7 +421,28 @@ export interface CarSeatCheckRequest extends V1RequestBase {
   destination: string;
   jurisdictionCode?: string;
   tripDate?: string;
+  /** Last day of the trip; car seat thresholds crossed between tripDate and here are flagged */
+  tripEndDate?: string;
   children: ChildProfile[];
+  /** Road trips: evaluate every state/country these stops are in */
+  stops?: Array<{ destination: string; jurisdictionCode?: string | null; countryCode?: string }>;
+  /** US states driven through; returns only the strictest-across-route summary */
+  jurisdictionCodes?: string[];
+  /** Vehicle the children will ride in; omitted or "car" means the family's own car */
+  vehicleType?: VehicleType;
+}
+
+export type VehicleType = "car" | "rental_car" | "taxi" | "rideshare" | "bus" | "rv";
+
+/** Whether the jurisdiction's car seat law applies in the requested vehicle type */
+export interface VehicleExemption {
+  vehicleType: Exclude<VehicleType, "car">;
+  status: "exempt" | "not_exempt" | "unclear";
+  /** null when the rule is unclear */
+  legallyRequired: boolean | null;
+  note: string;
+  /** "default" when the state has no entry for this vehicle type */
+  source: "jurisdiction" | "default";
 }
 
 /** Guidance result for a single child */
@@ -177,6 +452,25 @@ export interface ChildCarSeatResult {
   requiredRestraint: string;
   requiredRestraintLabel: string;
   rationale: string;
+  /** Rule set version applied (null when no rule set was found) */
+  ruleVersion?: number | null;
+  /** Age in months on tripDate */
+  ageMonths?: number;
+  /** True when the age was projected from birthDate rather than taken from the entered age */
+  ageProjected?: boolean;
+  /** Restraint changes from the child's birthday; weight and height are not projected */
+  thresholdCrossings?: CarSeatThresholdCrossing[];
+}
+
+/** A birthday that changes the required restraint between today and tripDate, or during the trip */
+export interface CarSeatThresholdCrossing {
+  when: "before_trip" | "during_trip";
+  /** First day the new restraint applies (YYYY-MM-DD) */
+  date: string;
+  fromRestraint: string;
+  fromLabel: string;
+  toRestraint: string;
+  toLabel: string;
 }
 
 /** POST /api/v1/safety/car-seat-check response — success */
@@ -195,5 +489,430 @@ export interface CarSeatCheckResponse {
   lastReviewed: string;
   message: string;
   sourceUrl: string;
+  /** Version of the jurisdiction's reviewed rule set; 1 is the repo baseline */
+  ruleVersion?: number | null;
+  effectiveDate?: string;
+  /** Reviewer and YYYY-MM-DD date of the approval that produced ruleVersion */
+  reviewedBy?: string | null;
+  reviewedOn?: string | null;
+  /** ISO timestamp of the cached AI research these rules came from (null for repo/reviewed rules) */
+  researchedAt?: string | null;
+  /** The official page changed after researchedAt and re-research did not succeed */
+  sourceChanged?: boolean;
+  /** Present when a vehicleType other than "car" was requested (US only) */
+  vehicleType?: VehicleType;
+  vehicleExemption?: VehicleExemption;
   results: ChildCarSeatResult[];
 }
+
+/** POST /api/v1/safety/car-seat-check response when `stops` were sent */
+export interface RouteCarSeatCheckResponse {
+  requestId: string;
+  guidanceMode: "route";
+  /** Least certain status across all jurisdictions */
+  status: string;
+  /** State codes (US) or country codes, in route order, deduplicated */
+  jurisdictionCodes: string[];
+  jurisdictions: Omit<CarSeatCheckResponse, "requestId">[];
+  /** Present when the route spans two or more US states */
+  strictest?: Omit<StrictestCarSeatCheckResponse, "requestId">;
+}
+
+/** One child's strictest requirement across every state on a route */
+export interface StrictestChildCarSeatResult extends ChildCarSeatResult {
+  seatPosition: string;
+  /** State whose rule sets the restraint */
+  restraintJurisdictionCode: string | null;
+  /** State whose rule sets the seat position */
+  seatPositionJurisdictionCode: string | null;
+  byJurisdiction: Array<{
+    jurisdictionCode: string;
+    jurisdictionName: string;
+    status: string;
+    requiredRestraint: string;
+    seatPosition: string;
+  }>;
+}
+
+/** POST /api/v1/safety/car-seat-check response when `jurisdictionCodes` were sent */
+export interface StrictestCarSeatCheckResponse {
+  requestId: string;
+  guidanceMode: "route_strictest";
+  status: string;
+  jurisdictionCodes: string[];
+  /** States on the route whose rule data is not "Verified" */
+  jurisdictionsNeedingReview: Array<{
+    jurisdictionCode: string;
+    jurisdictionName: string;
+    verificationStatus: string;
+    sourceUrl: string;
+  }>;
+  /** States on the route with no rule data in the repo */
+  uncoveredJurisdictions: string[];
+  message: string;
+  tripDate: string | null;
+  results: StrictestChildCarSeatResult[];
+  /** Present when a vehicleType other than "car" was requested: one entry per state with rule data */
+  vehicleType?: VehicleType;
+  vehicleExemptions?: Array<VehicleExemption & { jurisdictionCode: string; jurisdictionName: string }>;
+}
+
+/** One jurisdiction in GET /api/v1/safety/coverage */
+export interface CarSeatCoverageEntry {
+  jurisdictionCode: string;
+  jurisdictionName: string;
+  hasRules: boolean;
+  ruleCount: number;
+  verificationStatus: "Verified" | "Needs review" | "Unavailable";
+  lastUpdated: string | null;
+  sourceUrl: string | null;
+  ruleVersion?: number | null;
+  effectiveDate?: string | null;
+}
+
+/** GET /api/v1/safety/coverage response */
+export interface CarSeatCoverageResponse {
+  requestId: string;
+  summary: {
+    total: number;
+    withRules: number;
+    verified: number;
+    needsReview: number;
+    /** Codes of US jurisdictions with no rule set */
+    missing: string[];
+  };
+  /** Every US state + DC, sorted by code */
+  jurisdictions: CarSeatCoverageEntry[];
+  international: CarSeatCoverageEntry[];
+}
+
+/** POST /api/v1/safety/air-travel request */
+export interface AirTravelGuidanceRequest extends V1RequestBase {
+  children: ChildProfile[];
+  /** Flight date; ages of children with a birthDate are projected to it */
+  tripDate?: string;
+}
+
+/** One child's flight restraint guidance */
+export interface AirTravelChildResult {
+  childId: string;
+  ageYears: number;
+  weightLb: number | null;
+  heightIn: number | null;
+  /** "Needs review" when the restraint was chosen from age because weight is missing */
+  status: "OK" | "Needs review";
+  lapInfant: { eligible: boolean; note: string };
+  recommendedRestraint:
+    | "rear_facing_car_seat"
+    | "forward_facing_car_seat"
+    | "car_seat_or_cares"
+    | "cares_or_seat_belt"
+    | "seat_belt";
+  recommendedRestraintLabel: string;
+  caresHarness: { fit: "fits" | "too_small" | "too_large" | "unknown"; note: string };
+  /** Gate-check tips for the car seat, booster and stroller */
+  gateCheck: string[];
+  rationale: string;
+}
+
+/** POST /api/v1/safety/air-travel response */
+export interface AirTravelGuidanceResponse {
+  requestId: string;
+  guidanceMode: "air_travel";
+  sourceAuthority: string;
+  sourceUrl: string;
+  message: string;
+  /** Rules that apply to every child: FAA label wording, booster ban, seat placement */
+  generalRules: string[];
+  results: AirTravelChildResult[];
+}
+
+// ── Family essentials ────────────────────────────────────────────────────────
+
+export type EssentialCategory = "playgrounds" | "changingTables" | "pharmacies" | "urgentCare" | "hospitals";
+
+/** A nearby place from OpenStreetMap */
+export interface EssentialPlace {
+  /** OSM element, e.g. "node/123" or "way/456" */
+  id: string;
+  name: string;
+  lat: number;
+  lon: number;
+  /** Always miles, rounded to 0.1 */
+  distanceMiles: number;
+  address?: string;
+  /** Raw OSM opening_hours, e.g. "Mo-Fr 08:00-20:00" */
+  openingHours?: string;
+  phone?: string;
+  /** urgentCare and hospitals only */
+  pediatric?: boolean;
+  /** hospitals only — has an emergency department */
+  emergency?: boolean;
+}
+
+/** GET /api/v1/places/family-essentials — one entry per point, destination or stop (in route order) */
+export interface FamilyEssentialsLocation {
+  /** Destination or stop name; null for a lat/lon lookup */
+  name: string | null;
+  lat: number;
+  lon: number;
+  /** Search radius actually used (clamped to 0.5–10); absent when the lookup failed */
+  radiusMiles?: number;
+  /** Up to 5 places per category, nearest first (pediatric urgent care first within a mile); null when the lookup failed */
+  essentials: Record<EssentialCategory, EssentialPlace[]> | null;
+}
+
+/** GET /api/v1/places/family-essentials response */
+export interface FamilyEssentialsResponse {
+  requestId: string;
+  locations: FamilyEssentialsLocation[];
+}
+
+// ── Emergency info card ──────────────────────────────────────────────────────
+
+/** POST /api/v1/safety/emergency-card request */
+export interface EmergencyCardRequest {
+  /** ISO 3166-1 alpha-2 */
+  countryCode: string;
+  destination?: string;
+  /** Without coordinates the card has no hospitals */
+  lat?: number;
+  lon?: number;
+  children?: ChildProfile[];
+  unitSystem?: "imperial" | "metric";
+}
+
+/** Self-contained, so clients store it with the trip and show or print it offline */
+export interface EmergencyCard {
+  destination: string;
+  countryCode: string;
+  /** `general` is the number to dial first in a medical emergency (112 for unlisted countries) */
+  emergencyNumbers: { general: string; police?: string; ambulance?: string; fire?: string };
+  /** National poison line, or null — then call `general` */
+  poisonControl: { name: string; phone: string } | null;
+  /** U.S. embassy (directory link when the country is not listed); null for US trips */
+  embassy: { name: string; url: string; emergencyPhone: string } | null;
+  /** Nearest hospital tagged with an emergency department, else the nearest hospital */
+  nearestEmergencyRoom: EssentialPlace | null;
+  /** Only when it is not already nearestEmergencyRoom */
+  nearestChildrensHospital: EssentialPlace | null;
+  /** False when there were no coordinates or the hospital lookup failed */
+  hospitalsChecked: boolean;
+  children: Array<{
+    age: number;
+    birthDate?: string;
+    weightLb?: number;
+    weightKg?: number;
+    allergies: string[];
+    medications: string[];
+  }>;
+  /** Date the bundled numbers were last checked */
+  contactsLastUpdated: string;
+  generatedAt: string;
+}
+
+/** POST /api/v1/safety/emergency-card response */
+export interface EmergencyCardResponse {
+  requestId: string;
+  card: EmergencyCard;
+}
+
+// ── Admin: car seat rule review ──────────────────────────────────────────────
+
+/** One rule row in a reviewable rule set */
+export interface CarSeatRule {
+  priority: number;
+  requiredRestraint: "rear_facing" | "forward_facing_harness" | "booster" | "seat_belt";
+  seatPosition: string;
+  minAgeMonths?: number;
+  maxAgeMonths?: number;
+  minWeightLb?: number;
+  maxWeightLb?: number;
+  minHeightIn?: number;
+  maxHeightIn?: number;
+}
+
+/** The reviewable part of a jurisdiction's rule set */
+export interface CarSeatRuleSetInput {
+  rules: CarSeatRule[];
+  /** YYYY-MM-DD */
+  effectiveDate: string;
+  sourceUrl?: string;
+  notes?: string;
+  citationSnippet?: string;
+  vehicleExemptions?: Partial<
+    Record<"taxi" | "rideshare" | "bus" | "rv", { status: VehicleExemption["status"]; note: string }>
+  >;
+}
+
+/** One field-level change between two rule sets */
+export interface CarSeatRuleChange {
+  /** e.g. "effectiveDate" or "rules[priority=3].seatPosition" */
+  path: string;
+  from: unknown;
+  to: unknown;
+}
+
+/** POST /api/v1/admin/car-seat-rules/:code/proposals request */
+export interface CarSeatRuleProposalRequest {
+  ruleSet: CarSeatRuleSetInput;
+  proposedBy: string;
+  note?: string;
+}
+
+export interface CarSeatRuleProposal {
+  id: string;
+  status: "pending" | "approved" | "rejected";
+  /** Version the proposal was made against; approval fails if it is no longer current */
+  baseVersion: number;
+  ruleSet: CarSeatRuleSetInput;
+  proposedBy: string;
+  proposedAt: string;
+  note: string | null;
+  reviewedBy: string | null;
+  reviewedOn: string | null;
+  reviewNote: string | null;
+}
+
+export interface CarSeatRuleVersion {
+  version: number;
+  ruleSet: CarSeatRuleSetInput;
+  verificationStatus: string;
+  approvedBy: string | null;
+  approvedOn: string | null;
+  approvedAt: string | null;
+  proposalId: string | null;
+  changes: CarSeatRuleChange[];
+}
+
+/** GET /api/v1/admin/car-seat-rules/:code response */
+export interface CarSeatRuleHistoryResponse {
+  requestId: string;
+  jurisdictionCode: string;
+  currentVersion: number;
+  current: CarSeatRuleSetInput & { version: number; verificationStatus: string };
+  versions: CarSeatRuleVersion[];
+  proposals: CarSeatRuleProposal[];
+}
+
+/** One entry in GET /api/v1/admin/car-seat-research */
+export interface CarSeatResearchCacheEntry {
+  jurisdictionCode: string;
+  sourceUrl: string;
+  /** sha256 of the source page's extracted text at research time */
+  sourceHash: string;
+  researchedAt: string;
+  lastCheckedAt: string;
+  sourceChanged: boolean;
+  sourceChangedAt: string | null;
+  refreshError: string | null;
+  ruleSet: CarSeatRuleSetInput & { jurisdictionName: string };
+}
+
+/** POST /api/v1/admin/car-seat-research/refresh response */
+export interface CarSeatResearchRefreshResponse {
+  requestId: string;
+  checked: number;
+  unchanged: string[];
+  reResearched: string[];
+  /** Page changed but re-research failed; the old rule set is still served, flagged */
+  flagged: string[];
+  failed: string[];
+}
+
+// ── Saved Trips ──────────────────────────────────────────────────────────────
+
+/** Persisted packing-checklist state for a saved trip */
+export interface ChecklistState {
+  /** Checked item IDs in makeItemId format: "category||item||quantity" */
+  checked: string[];
+  /** User-added items keyed by category name */
+  customItems: Record<string, PackingItem[]>;
+  /** Person and/or bag per item, keyed by item ID (makeItemId format) */
+  assignments?: Record<string, ItemAssignment>;
+  /** ISO timestamp of the last checklist write, null until first update */
+  updatedAt: string | null;
+  /** Increments on every merged change (PATCH ops or PUT) — clients drop older states */
+  version?: number;
+}
+
+/** Who packs an item and where it goes — either may be null, not both */
+export interface ItemAssignment {
+  /** Free text, e.g. "Mom", "Child 1" */
+  person: string | null;
+  /** Free text, e.g. "Carry-on", "Diaper bag", "Trunk" */
+  bag: string | null;
+}
+
+/** One collaborative checklist edit — merged per item, last-writer-wins by `at` */
+export type ChecklistOp =
+  | { type: "check"; itemId: string; checked: boolean; at: string }
+  | { type: "addCustom"; category: string; item: Omit<PackingItem, "source"> & { source?: "custom" }; at: string }
+  | { type: "removeCustom"; category: string; itemId: string; at: string }
+  | { type: "assign"; itemId: string; person: string | null; bag: string | null; at: string };
+
+/** PATCH /api/v1/trips/:id/checklist request */
+export interface ChecklistPatchRequest {
+  ops: ChecklistOp[];
+  /** Optional per-device ID echoed in change events */
+  clientId?: string;
+}
+
+/** PATCH response and SSE `checklist` event payload */
+export interface ChecklistChangeEvent {
+  checklist: ChecklistState;
+  clientId: string | null;
+}
+
+/** POST /api/v1/trips request — PUT /api/v1/trips/:id accepts any subset */
+export interface SaveTripRequest {
+  trip: TripMeta;
+  weather?: WeatherForecast | null;
+  tripPlan?: TripPlanResult | null;
+  packingList?: PackingList | null;
+  checklist?: Partial<ChecklistState>;
+  /** Replaces the whole list; not included in shared views */
+  expenses?: TripExpense[];
+}
+
+/** GET/POST/PUT /api/v1/trips[/:id] response */
+export interface SavedTripResponse {
+  requestId: string;
+  /** Stable server-side trip ID (UUID v4) */
+  tripId: string;
+  createdAt: string;
+  updatedAt: string;
+  trip: TripMeta;
+  weather: WeatherForecast | null;
+  tripPlan: TripPlanResult | null;
+  packingList: PackingList | null;
+  checklist: ChecklistState;
+  expenses: TripExpense[];
+}
+
+/** POST/GET /api/v1/trips/:id/shares entry */
+export interface ShareLink {
+  /** Opaque read-only token (32 chars, base64url) */
+  token: string;
+  /** Frontend path for the view-only page: "/shared/<token>" */
+  path: string;
+  createdAt: string;
+  expiresAt: string;
+  revokedAt: string | null;
+  /** False once revoked or expired */
+  active: boolean;
+}
+
+/** GET /api/v1/shared/:token response — never includes the editable tripId */
+export interface SharedTripResponse {
+  requestId: string;
+  readOnly: true;
+  expiresAt: string;
+  updatedAt: string;
+  /** Trip meta with children reduced to ages */
+  trip: TripMeta;
+  weather: WeatherForecast | null;
+  tripPlan: TripPlanResult | null;
+  packingList: PackingList | null;
+  checklist: ChecklistState;
+}
@@ -85,6 +85,7 @@ test("POST /api/trip-plan applies default activities when none are provided", as
       lon: -122.3321,
       displayName: "Seattle, WA",
     }),
+    getWeatherAlertsFn: async () => [],
     getWeatherForecastFn: async () => ({
       summary: "Mild weather",
       forecast: [],
@@ -143,6 +144,7 @@ test("POST /api/generate returns trip, weather, and packing list", async () => {
       lon: -122.3321,
       displayName: "Seattle, WA",
     }),
+    getWeatherAlertsFn: async () => [],
     getWeatherForecastFn: async () => ({
       summary: "Cool and cloudy",
       forecast: [{ name: "Monday", high: 60, low: 50, precipitation: 30 }],
@@ -10,11 +10,21 @@
  *   6. Bundle route passes tripType + countryCode to AI generators (Phase 6C)
  *   7. Car-seat check passes countryCode for international routing (Phase 6C)
  *   8. SSE streaming endpoint emits correct event types (Phase 6D)
+ *   9. Admin car seat rule review requires a token and versions approved rules
+ *  10. unitSystem "metric" converts child measurements on input and weather on output
+ *  11. Test apps use in-memory stores: nothing is written under src/backend/.data
  */
 
 import test from "node:test";
 import assert from "node:assert/strict";
+import path from "path";
+import fs from "fs/promises";
+import { fileURLToPath } from "url";
 import { createApp } from "../../src/backend/server.js";
+import { createMemoryRuleStore } from "../../src/backend/services/ruleStore.js";
+import { createRuleReviewService } from "../../src/backend/services/ruleReview.js";
+import { createResearchCache } from "../../src/backend/services/researchCache.js";
+import { createMemoryTripStore } from "../../src/backend/services/tripStore.js";
 
 const ORIGINAL_API_KEY = process.env.ANTHROPIC_API_KEY;
 
@@ -44,7 +54,7 @@ function createMockRes() {
  * Invoke a route by finding it in the Express router stack.
  * Supports both GET and POST. Skips rate-limiter middleware.
  */
-async function invokeRoute(app, method, path, body = {}) {
+async function invokeRoute(app, method, path, body = {}, query = {}) {
   const routeStack = app._router?.stack || [];
   const routeLayer = routeStack.find(
     (layer) =>
@@ -59,13 +69,35 @@ async function invokeRoute(app, method, path, body = {}) {
 
   const handler =
     routeLayer.route.stack[routeLayer.route.stack.length - 1].handle;
-  const req = { method, path, body, headers: {}, ip: "127.0.0.1" };
+  const req = { method, path, body, query, headers: {}, ip: "127.0.0.1" };
   const res = createMockRes();
 
   await handler(req, res);
   return res;
 }
 
+/**
+ * Invoke an admin route with its requireAdmin middleware (the rate limiter is still skipped).
+ * `params` fills :code / :proposalId; `token` becomes the bearer Authorization header.
+ */
+async function invokeAdminRoute(app, method, path, { params = {}, body = {}, token } = {}) {
+  const routeLayer = (app._router?.stack || []).find(
+    (layer) => layer.route && layer.route.path === path && layer.route.methods[method.toLowerCase()],
+  );
+  if (!routeLayer) throw new Error(`Route not found: ${method} ${path}`);
+
+  const [, requireAdmin, handler] = routeLayer.route.stack.map((layer) => layer.handle);
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  const req = { method, path, body, params, headers, ip: "127.0.0.1" };
+  const res = createMockRes();
+  let passed = false;
+  await requireAdmin(req, res, () => {
+    passed = true;
+  });
+  if (passed) await handler(req, res);
+  return res;
+}
+
 // Standard error envelope shape validator
 function assertErrorEnvelope(body, opts = {}) {
   assert.ok(body.code, `Error envelope must have 'code' — got: ${JSON.stringify(body)}`);
@@ -136,12 +168,23 @@ const mockCarSeat = ({ children }) => ({
   })),
 });
 
+// In-memory stores so no test writes under src/backend/.data (npm test doesn't set NODE_ENV).
+function memoryStores() {
+  return {
+    tripStore: createMemoryTripStore(),
+    ruleReview: createRuleReviewService({ store: createMemoryRuleStore() }),
+    researchCache: createResearchCache({ store: createMemoryRuleStore() }),
+  };
+}
+
 function createTestApp() {
   process.env.ANTHROPIC_API_KEY = "test-key";
   return createApp({
     enableRequestLogging: false,
+    ...memoryStores(),
     geocodeLocationFn: mockGeocodeLocation,
     getWeatherForecastFn: mockWeather,
+    getWeatherAlertsFn: async () => [],
     generateTripPlanFn: mockTripPlan,
     generatePackingListFn: mockPackingList,
     getCarSeatGuidanceFn: mockCarSeat,
@@ -180,6 +223,26 @@ test("GET /api/v1/meta/capabilities returns capability payload shape", async ()
   assert.strictEqual(typeof body.featureFlags.customItems, "boolean");
 });
 
+test("GET /api/v1/meta/capabilities reports the configured weather provider chain", async () => {
+  const saved = { chains: process.env.WEATHER_PROVIDER_CHAINS, vc: process.env.VISUAL_CROSSING_API_KEY };
+  process.env.WEATHER_PROVIDER_CHAINS = "US=visualcrossing,weathergov";
+  process.env.VISUAL_CROSSING_API_KEY = "test-key";
+  try {
+    const { body } = await invokeRoute(createTestApp(), "GET", "/api/v1/meta/capabilities");
+    assert.deepEqual(body.weatherProviderChains.US, ["visualcrossing", "weathergov"]);
+    assert.equal(body.weatherProviders.US, "visualcrossing");
+
+    delete process.env.VISUAL_CROSSING_API_KEY;
+    const { body: keyless } = await invokeRoute(createTestApp(), "GET", "/api/v1/meta/capabilities");
+    assert.deepEqual(keyless.weatherProviderChains.US, ["weathergov"], "Unconfigured providers are left out");
+  } finally {
+    for (const [key, value] of [["WEATHER_PROVIDER_CHAINS", saved.chains], ["VISUAL_CROSSING_API_KEY", saved.vc]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+});
+
 test("GET /api/v1/meta/capabilities includes ios26Features when client=ios", async () => {
   const app = createTestApp();
   // Simulate iOS client via query param or request body (GET with body for testing)
@@ -349,6 +412,192 @@ test("POST /api/v1/safety/car-seat-check returns error envelope when no children
   assertErrorEnvelope(res.body, { retryable: false });
 });
 
+test("POST /api/v1/safety/car-seat-check with jurisdictionCodes returns the strictest rules across the route", async () => {
+  const app = createTestApp();
+  const res = await invokeRoute(app, "POST", "/api/v1/safety/car-seat-check", {
+    jurisdictionCodes: ["CA", "OR", "WA"],
+    children: [{ age: 5, weightLb: 45, heightIn: 44 }],
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.requestId);
+  assert.strictEqual(res.body.guidanceMode, "route_strictest");
+  assert.deepEqual(res.body.jurisdictionCodes, ["CA", "OR", "WA"]);
+  assert.strictEqual(res.body.results[0].seatPositionJurisdictionCode, "WA");
+  assert.ok(Array.isArray(res.body.jurisdictionsNeedingReview));
+});
+
+test("GET /api/v1/safety/coverage lists every jurisdiction with status and source", async () => {
+  const app = createTestApp();
+  const res = await invokeRoute(app, "GET", "/api/v1/safety/coverage");
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.requestId);
+  assert.strictEqual(res.body.jurisdictions.length, 51);
+  const ca = res.body.jurisdictions.find((entry) => entry.jurisdictionCode === "CA");
+  assert.ok(ca.verificationStatus);
+  assert.ok(ca.lastUpdated);
+  assert.ok(ca.sourceUrl);
+});
+
+test("POST /api/v1/safety/car-seat-check passes vehicleType and rejects unknown types", async () => {
+  let capturedInput = null;
+  const app = createCustomApp({
+    getCarSeatGuidanceFn: async (input) => {
+      capturedInput = input;
+      return mockCarSeat(input);
+    },
+  });
+  const ok = await invokeRoute(app, "POST", "/api/v1/safety/car-seat-check", {
+    destination: "Austin, TX",
+    children: [{ age: 3 }],
+    vehicleType: "rideshare",
+  });
+  assert.strictEqual(ok.statusCode, 200);
+  assert.strictEqual(capturedInput.vehicleType, "rideshare");
+
+  const bad = await invokeRoute(app, "POST", "/api/v1/safety/car-seat-check", {
+    destination: "Austin, TX",
+    children: [{ age: 3 }],
+    vehicleType: "hovercraft",
+  });
+  assert.strictEqual(bad.statusCode, 400);
+  assertErrorEnvelope(bad.body);
+  assert.strictEqual(bad.body.code, "INVALID_VEHICLE_TYPE");
+});
+
+test("POST /api/v1/safety/car-seat-check passes vehicleType to every state on a road trip", async () => {
+  const captured = [];
+  const app = createCustomApp({
+    getCarSeatGuidanceFn: async (input) => {
+      captured.push(input);
+      return mockCarSeat(input);
+    },
+  });
+  const route = await invokeRoute(app, "POST", "/api/v1/safety/car-seat-check", {
+    children: [{ age: 3 }],
+    vehicleType: "taxi",
+    stops: [{ destination: "Seattle, WA" }, { destination: "Portland, OR" }, { destination: "Bend, OR" }],
+  });
+  assert.strictEqual(route.statusCode, 200);
+  assert.strictEqual(route.body.guidanceMode, "route");
+  assert.deepStrictEqual(captured.map((input) => [input.jurisdictionCode, input.vehicleType]), [["WA", "taxi"], ["OR", "taxi"]]);
+
+  const strictest = await invokeRoute(app, "POST", "/api/v1/safety/car-seat-check", {
+    children: [{ age: 3 }],
+    vehicleType: "taxi",
+    jurisdictionCodes: ["WA", "OR"],
+  });
+  assert.strictEqual(strictest.statusCode, 200);
+  assert.strictEqual(strictest.body.vehicleType, "taxi");
+  assert.deepStrictEqual(strictest.body.vehicleExemptions.map((entry) => entry.jurisdictionCode), ["WA", "OR"]);
+  assert.ok(strictest.body.vehicleExemptions.every((entry) => entry.note));
+});
+
+test("POST /api/v1/safety/air-travel returns per-child flight guidance", async () => {
+  const app = createTestApp();
+  const res = await invokeRoute(app, "POST", "/api/v1/safety/air-travel", {
+    children: [{ age: 1, weightLb: 20 }, { age: 3, weightLb: 30, heightIn: 37 }],
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.requestId);
+  assert.strictEqual(res.body.guidanceMode, "air_travel");
+  assert.strictEqual(res.body.results.length, 2);
+  assert.strictEqual(res.body.results[0].lapInfant.eligible, true);
+  assert.strictEqual(res.body.results[1].caresHarness.fit, "fits");
+
+  const missing = await invokeRoute(app, "POST", "/api/v1/safety/air-travel", { children: [] });
+  assert.strictEqual(missing.statusCode, 400);
+  assertErrorEnvelope(missing.body);
+});
+
+// ── Admin car seat rule review ─────────────────────────────────────────────
+
+const ADMIN_TOKEN = "test-admin-token";
+const RULES_PATH = "/api/v1/admin/car-seat-rules/:code";
+const PROPOSAL_PATH = "/api/v1/admin/car-seat-rules/:code/proposals/:proposalId";
+
+const WA_PROPOSAL = {
+  sourceUrl: "https://wtsc.wa.gov/child-passenger-safety/",
+  effectiveDate: "2026-09-01",
+  rules: [
+    { priority: 1, requiredRestraint: "rear_facing", seatPosition: "rear_seat_required", minAgeMonths: 0, maxAgeMonths: 23 },
+    { priority: 2, requiredRestraint: "forward_facing_harness", seatPosition: "rear_seat_required", minAgeMonths: 24, maxAgeMonths: 47 },
+    { priority: 3, requiredRestraint: "booster", seatPosition: "rear_seat_required_under_13", minAgeMonths: 48, maxHeightIn: 57 },
+    { priority: 4, requiredRestraint: "seat_belt", seatPosition: "rear_seat_preferred", minAgeMonths: 96, minHeightIn: 57 },
+  ],
+};
+
+test("admin rule routes are disabled without ADMIN_API_TOKEN and reject bad tokens", async () => {
+  const disabled = await invokeAdminRoute(createCustomApp({ adminToken: "" }), "GET", RULES_PATH, {
+    params: { code: "WA" },
+    token: "anything",
+  });
+  assert.strictEqual(disabled.statusCode, 503);
+  assertErrorEnvelope(disabled.body);
+  assert.strictEqual(disabled.body.code, "ADMIN_DISABLED");
+
+  const denied = await invokeAdminRoute(createCustomApp({ adminToken: ADMIN_TOKEN }), "GET", RULES_PATH, {
+    params: { code: "WA" },
+    token: "wrong-token",
+  });
+  assert.strictEqual(denied.statusCode, 401);
+  assertErrorEnvelope(denied.body);
+  assert.strictEqual(denied.body.category, "auth");
+});
+
+test("admin proposal → approve creates a Verified rule version used by car seat checks", async () => {
+  const app = createCustomApp({ adminToken: ADMIN_TOKEN, getCarSeatGuidanceFn: undefined });
+
+  const proposed = await invokeAdminRoute(app, "POST", `${RULES_PATH}/proposals`, {
+    params: { code: "WA" },
+    body: { ruleSet: WA_PROPOSAL, proposedBy: "Dana" },
+    token: ADMIN_TOKEN,
+  });
+  assert.strictEqual(proposed.statusCode, 201);
+  assert.strictEqual(proposed.body.proposal.status, "pending");
+  assert.ok(proposed.body.diff.some((change) => change.path === "effectiveDate"));
+
+  const approved = await invokeAdminRoute(app, "POST", `${PROPOSAL_PATH}/approve`, {
+    params: { code: "WA", proposalId: proposed.body.proposal.id },
+    body: { reviewedBy: "Sam", reviewedOn: "2026-10-19" },
+    token: ADMIN_TOKEN,
+  });
+  assert.strictEqual(approved.statusCode, 200);
+  assert.strictEqual(approved.body.ruleSet.version, 2);
+  assert.strictEqual(approved.body.ruleSet.verificationStatus, "Verified");
+
+  const again = await invokeAdminRoute(app, "POST", `${PROPOSAL_PATH}/approve`, {
+    params: { code: "WA", proposalId: proposed.body.proposal.id },
+    body: { reviewedBy: "Sam" },
+    token: ADMIN_TOKEN,
+  });
+  assert.strictEqual(again.statusCode, 409);
+  assertErrorEnvelope(again.body);
+
+  const check = await invokeRoute(app, "POST", "/api/v1/safety/car-seat-check", {
+    destination: "Seattle, WA",
+    children: [{ id: "child-1", age: 5, weightLb: 45, heightIn: 44 }],
+  });
+  assert.strictEqual(check.statusCode, 200);
+  assert.strictEqual(check.body.ruleVersion, 2);
+  assert.strictEqual(check.body.effectiveDate, "2026-09-01");
+  assert.strictEqual(check.body.reviewedBy, "Sam");
+});
+
+test("admin proposal with an invalid rule set returns 400 with details", async () => {
+  const app = createCustomApp({ adminToken: ADMIN_TOKEN });
+  const res = await invokeAdminRoute(app, "POST", `${RULES_PATH}/proposals`, {
+    params: { code: "WA" },
+    body: { ruleSet: { rules: [] }, proposedBy: "Dana" },
+    token: ADMIN_TOKEN,
+  });
+  assert.strictEqual(res.statusCode, 400);
+  assertErrorEnvelope(res.body);
+  assert.strictEqual(res.body.code, "VALIDATION_ERROR");
+});
+
 // ── Legacy alias parity ────────────────────────────────────────────────────
 
 test("POST /api/resolve-destination (legacy) returns same shape as v1", async () => {
@@ -415,8 +664,10 @@ function createCustomApp(overrides = {}) {
   process.env.ANTHROPIC_API_KEY = "test-key";
   return createApp({
     enableRequestLogging: false,
+    ...memoryStores(),
     geocodeLocationFn: mockGeocodeLocation,
     getWeatherForecastFn: mockWeather,
+    getWeatherAlertsFn: async () => [],
     generateTripPlanFn: mockTripPlan,
     generatePackingListFn: mockPackingList,
     getCarSeatGuidanceFn: mockCarSeat,
@@ -570,6 +821,346 @@ test("POST /api/v1/trip/bundle passes countryCode from geocode result", async ()
   );
 });
 
+// ── unitSystem: metric ──────────────────────────────────────────────────────
+
+test("POST /api/v1/trip/bundle with unitSystem metric returns °C weather and passes metric to AI", async () => {
+  let capturedTripPayload = null;
+  let capturedWeather = null;
+
+  const app = createCustomApp({
+    getWeatherForecastFn: async () => ({
+      summary: "Expect temperatures between 50°F and 68°F.",
+      forecast: [{ name: "Monday", high: 68, low: 50, precipitation: 60, precipitationIn: 0.5 }],
+    }),
+    generateTripPlanFn: async (payload, weather) => {
+      capturedTripPayload = payload;
+      capturedWeather = weather;
+      return mockTripPlan();
+    },
+  });
+
+  const res = await invokeRoute(app, "POST", "/api/v1/trip/bundle", {
+    destination: "Seattle, WA",
+    startDate: "2027-06-01",
+    endDate: "2027-06-04",
+    activities: ["parks"],
+    children: [{ age: 4, weightKg: 18, heightCm: 105 }],
+    unitSystem: "metric",
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.trip.unitSystem, "metric");
+  assert.deepStrictEqual(res.body.weather.units, { temperature: "C", precipitation: "mm" });
+  assert.strictEqual(res.body.weather.forecast[0].high, 20);
+  assert.strictEqual(res.body.weather.forecast[0].precipitationMm, 12.7);
+  assert.strictEqual(res.body.weather.summary, "Expect temperatures between 10°C and 20°C.");
+
+  // AI generators get imperial weather plus the unit system to write in
+  assert.strictEqual(capturedWeather.forecast[0].high, 68);
+  assert.strictEqual(capturedTripPayload.unitSystem, "metric");
+  assert.strictEqual(capturedTripPayload.children[0].weightLb, 39.7);
+  assert.strictEqual(capturedTripPayload.children[0].weightKg, 18);
+});
+
+// ── Dietary needs ───────────────────────────────────────────────────────────
+
+test("POST /api/v1/trip/bundle passes allowlisted dietary needs to both generators and echoes them", async () => {
+  const captured = {};
+  const app = createCustomApp({
+    generateTripPlanFn: async (payload) => {
+      captured.trip = payload;
+      return mockTripPlan();
+    },
+    generatePackingListFn: async (payload) => {
+      captured.packing = payload;
+      return mockPackingList();
+    },
+  });
+
+  const res = await invokeRoute(app, "POST", "/api/v1/trip/bundle", {
+    destination: "Seattle, WA",
+    startDate: "2027-06-01",
+    endDate: "2027-06-04",
+    activities: ["parks"],
+    children: [{ age: 4 }],
+    dietary: { foodAllergies: ["peanut", "chocolate"], diets: ["kosher"] },
+  });
+
+  const expected = { foodAllergies: ["peanut"], diets: ["kosher"] };
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(captured.trip.dietary, expected);
+  assert.deepStrictEqual(captured.packing.dietary, expected);
+  assert.deepStrictEqual(res.body.trip.dietary, expected);
+});
+
+test("POST /api/v1/trip/bundle passes allowlisted accessibility needs to both generators and echoes them", async () => {
+  const captured = {};
+  const app = createCustomApp({
+    generateTripPlanFn: async (payload) => {
+      captured.trip = payload;
+      return mockTripPlan();
+    },
+    generatePackingListFn: async (payload) => {
+      captured.packing = payload;
+      return mockPackingList();
+    },
+  });
+
+  const res = await invokeRoute(app, "POST", "/api/v1/trip/bundle", {
+    destination: "Seattle, WA",
+    startDate: "2027-06-01",
+    endDate: "2027-06-04",
+    activities: ["museums"],
+    children: [{ age: 7 }],
+    accessibility: { mobility: ["limited_walking"], sensory: ["crowds", "loud"], equipment: ["cpap"] },
+  });
+
+  const expected = { mobility: ["limited_walking"], sensory: ["crowds"], equipment: ["cpap"] };
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(captured.trip.accessibility, expected);
+  assert.deepStrictEqual(captured.packing.accessibility, expected);
+  assert.deepStrictEqual(res.body.trip.accessibility, expected);
+});
+
+test("POST /api/v1/safety/car-seat-check converts metric child measurements before evaluation", async () => {
+  let capturedInput = null;
+  const app = createCustomApp({
+    getCarSeatGuidanceFn: async (input) => {
+      capturedInput = input;
+      return mockCarSeat(input);
+    },
+  });
+
+  const res = await invokeRoute(app, "POST", "/api/v1/safety/car-seat-check", {
+    destination: "Seattle, WA",
+    children: [{ age: 5, weightKg: 20, heightCm: 110, weightLb: 999 }],
+    unitSystem: "metric",
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(capturedInput.children[0].weightLb, 44.1);
+  assert.strictEqual(capturedInput.children[0].heightIn, 43.3);
+});
+
+// ── Weather alerts ──────────────────────────────────────────────────────────
+
+const floodWarning = {
+  id: "urn:oid:flood-1",
+  event: "Flood Warning",
+  severity: "severe",
+  headline: "Flood Warning issued for King County",
+  onset: "2027-06-02T06:00:00-07:00",
+  ends: "2027-06-03T06:00:00-07:00",
+  provider: "weathergov",
+  dates: ["2027-06-02", "2027-06-03"],
+};
+
+test("POST /api/v1/trip/bundle returns active weather alerts and passes them to the trip planner", async () => {
+  let capturedTripPayload = null;
+  let alertArgs = null;
+  const app = createCustomApp({
+    getWeatherAlertsFn: async (...args) => {
+      alertArgs = args;
+      return [floodWarning];
+    },
+    generateTripPlanFn: async (payload) => {
+      capturedTripPayload = payload;
+      return mockTripPlan();
+    },
+  });
+
+  const res = await invokeRoute(app, "POST", "/api/v1/trip/bundle", {
+    destination: "Seattle, WA",
+    startDate: "2027-06-01",
+    endDate: "2027-06-04",
+    activities: ["parks"],
+    children: [{ age: 4 }],
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.body.alerts, [floodWarning]);
+  assert.deepStrictEqual(capturedTripPayload.alerts, [floodWarning]);
+  assert.deepStrictEqual(alertArgs.slice(2), ["US", "2027-06-01", "2027-06-04"]);
+});
+
+test("POST /api/v1/trip/bundle still succeeds when the alert lookup fails", async () => {
+  const app = createCustomApp({
+    getWeatherAlertsFn: async () => {
+      throw new Error("alerts down");
+    },
+  });
+
+  const res = await invokeRoute(app, "POST", "/api/v1/trip/bundle", {
+    destination: "Seattle, WA",
+    startDate: "2027-06-01",
+    endDate: "2027-06-04",
+    activities: ["parks"],
+    children: [{ age: 4 }],
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.body.alerts, []);
+});
+
+test("POST /api/v1/trip/replan passes sanitized client alerts to the trip planner", async () => {
+  let capturedTripPayload = null;
+  const app = createCustomApp({
+    generateTripPlanFn: async (payload) => {
+      capturedTripPayload = payload;
+      return mockTripPlan();
+    },
+  });
+
+  const res = await invokeRoute(app, "POST", "/api/v1/trip/replan", {
+    destination: "Seattle, WA",
+    startDate: "2027-06-01",
+    endDate: "2027-06-04",
+    activities: ["parks"],
+    children: [{ age: 4 }],
+    weather: { summary: "Mild", forecast: [] },
+    alerts: [floodWarning, { event: "<b>Heat</b>", severity: "catastrophic", dates: ["2027-06-01", "soon"] }],
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(capturedTripPayload.alerts, [
+    { event: "Flood Warning", severity: "severe", dates: ["2027-06-02", "2027-06-03"] },
+    { event: "bHeat/b", severity: "minor", dates: ["2027-06-01"] },
+  ]);
+});
+
+// ── GET /api/v1/places/family-essentials ────────────────────────────────────
+
+const mockEssentials = {
+  playgrounds: [{ id: "node/1", name: "Cal Anderson Playground", lat: 47.617, lon: -122.319, distanceMiles: 0.8 }],
+  changingTables: [],
+  pharmacies: [],
+  urgentCare: [],
+  hospitals: [],
+};
+
+test("GET /api/v1/places/family-essentials looks up a lat/lon point", async () => {
+  const calls = [];
+  const app = createCustomApp({
+    getFamilyEssentialsFn: async (lat, lon, options) => {
+      calls.push({ lat, lon, options });
+      return { lat, lon, radiusMiles: 2, essentials: mockEssentials };
+    },
+  });
+  const res = await invokeRoute(app, "GET", "/api/v1/places/family-essentials", {}, {
+    lat: "47.61",
+    lon: "-122.33",
+    radiusMiles: "2",
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(calls, [{ lat: 47.61, lon: -122.33, options: { radiusMiles: 2 } }]);
+  assert.deepEqual(res.body.locations, [
+    { name: null, lat: 47.61, lon: -122.33, radiusMiles: 2, essentials: mockEssentials },
+  ]);
+});
+
+test("GET /api/v1/places/family-essentials geocodes each stop and keeps the ones that resolve", async () => {
+  const app = createCustomApp({
+    geocodeLocationFn: async (name) => ({ lat: name === "Portland, OR" ? 45.5 : 44.9, lon: -122.7 }),
+    getFamilyEssentialsFn: async (lat, lon) => {
+      if (lat === 44.9) throw new Error("Nearby places service unavailable");
+      return { lat, lon, radiusMiles: 3, essentials: mockEssentials };
+    },
+  });
+  const res = await invokeRoute(app, "GET", "/api/v1/places/family-essentials", {}, {
+    stops: ["Portland, OR", "Salem, OR"],
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(
+    res.body.locations.map((location) => [location.name, location.essentials === null]),
+    [["Portland, OR", false], ["Salem, OR", true]],
+  );
+});
+
+test("GET /api/v1/places/family-essentials rejects a request without a location", async () => {
+  const app = createCustomApp({ getFamilyEssentialsFn: async () => assert.fail("no lookup expected") });
+  const res = await invokeRoute(app, "GET", "/api/v1/places/family-essentials", {}, { lat: "91", lon: "0" });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, "VALIDATION_ERROR");
+});
+
+test("GET /api/v1/places/family-essentials returns 502 when every lookup fails", async () => {
+  const app = createCustomApp({
+    getFamilyEssentialsFn: async () => {
+      throw new Error("Nearby places service unavailable");
+    },
+  });
+  const res = await invokeRoute(app, "GET", "/api/v1/places/family-essentials", {}, { destination: "Seattle" });
+
+  assert.equal(res.statusCode, 502);
+  assert.equal(res.body.code, "PLACES_UNAVAILABLE");
+  assert.equal(res.body.retryable, true);
+});
+
+// ── POST /api/v1/safety/emergency-card ──────────────────────────────────────
+
+test("POST /api/v1/safety/emergency-card builds the card with the nearest hospitals", async () => {
+  let lookup = null;
+  const app = createCustomApp({
+    getFamilyEssentialsFn: async (lat, lon, options) => {
+      lookup = options;
+      return {
+        lat,
+        lon,
+        radiusMiles: options.radiusMiles,
+        essentials: {
+          ...mockEssentials,
+          hospitals: [{ id: "way/9", name: "St Thomas' Hospital", lat: 51.5, lon: -0.12, distanceMiles: 1.2, pediatric: false, emergency: true }],
+        },
+      };
+    },
+  });
+  const res = await invokeRoute(app, "POST", "/api/v1/safety/emergency-card", {
+    countryCode: "gb",
+    destination: "London",
+    lat: 51.5,
+    lon: -0.12,
+    children: [{ age: 5, allergies: ["Tree nuts"], medications: ["EpiPen Jr"] }],
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(lookup, { radiusMiles: 10, categories: ["hospitals"] });
+  assert.equal(res.body.card.emergencyNumbers.general, "999");
+  assert.equal(res.body.card.embassy.name, "U.S. Embassy London");
+  assert.equal(res.body.card.nearestEmergencyRoom.name, "St Thomas' Hospital");
+  assert.deepEqual(res.body.card.children[0].allergies, ["Tree nuts"]);
+  assert.ok(res.body.card.generatedAt);
+});
+
+test("POST /api/v1/safety/emergency-card still returns the card when the hospital lookup fails", async () => {
+  const app = createCustomApp({
+    getFamilyEssentialsFn: async () => {
+      throw new Error("Nearby places service unavailable");
+    },
+  });
+  const res = await invokeRoute(app, "POST", "/api/v1/safety/emergency-card", {
+    countryCode: "US",
+    lat: 47.6,
+    lon: -122.33,
+    children: [{ age: 2 }],
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.card.hospitalsChecked, false);
+  assert.equal(res.body.card.poisonControl.phone, "1-800-222-1222");
+  assert.equal(res.body.card.embassy, null);
+});
+
+test("POST /api/v1/safety/emergency-card requires a country code", async () => {
+  const app = createCustomApp();
+  const res = await invokeRoute(app, "POST", "/api/v1/safety/emergency-card", { countryCode: "USA" });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, "VALIDATION_ERROR");
+});
+
 // ── POST /api/safety/car-seat-check — countryCode routing ───────────────────
 
 test("POST /api/safety/car-seat-check (legacy) passes countryCode to guidance function", async () => {
@@ -669,3 +1260,36 @@ test("POST /api/v1/trip/stream emits error event on geocoding failure", async ()
     "Error event should mention location or stream failure",
   );
 });
+
+// ── Hermetic stores ─────────────────────────────────────────────────────────
+
+const BACKEND_DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "../../src/backend/.data");
+
+async function listBackendDataFiles() {
+  try {
+    return (await fs.readdir(BACKEND_DATA_DIR, { recursive: true })).sort();
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+test("bundle and stream save generated trips without writing under src/backend/.data", async () => {
+  const before = await listBackendDataFiles();
+  const body = {
+    destination: "Seattle, WA",
+    startDate: "2027-06-01",
+    endDate: "2027-06-04",
+    activities: ["parks"],
+    children: [{ age: 5 }],
+  };
+
+  const bundle = await invokeRoute(createTestApp(), "POST", "/api/v1/trip/bundle", body);
+  assert.strictEqual(bundle.statusCode, 200);
+  assert.ok(bundle.body.tripId, "bundle must still save the trip (in memory)");
+
+  const stream = await invokeSSERoute(createCustomApp(), body);
+  assert.ok(stream.written.join("").includes('"tripId"'), "stream must still save the trip (in memory)");
+
+  assert.deepStrictEqual(await listBackendDataFiles(), before);
+});
@@ -0,0 +1,739 @@
+/**
+ * /api/v1/trips Contract Tests — server-side trip persistence
+ *
+ * Tests verify:
+ *   1. Bundle + stream responses persist the generated trip and return a tripId
+ *   2. POST/GET/PUT/DELETE /api/v1/trips/:id round-trip the stored record
+ *   3. Checklist state is sanitized before it is stored
+ *   4. Unknown IDs and bad payloads use the standard error envelope
+ *   5. Share tokens give read-only access and honour expiry + revocation
+ *   6. Checklist ops merge last-writer-wins and are pushed to live subscribers
+ *   7. Saved itineraries export as iCalendar files in the destination's time zone
+ *   8. Saved trips render a PDF packet, even when safety lookups fail
+ *   9. Road trip stops are stored per leg with route-wide car seat guidance
+ *  10. Budget expenses are sanitized, stored with the trip and kept out of share links
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createApp } from "../../src/backend/server.js";
+import { createMemoryTripStore } from "../../src/backend/services/tripStore.js";
+import { createChecklistHub } from "../../src/backend/services/checklistSync.js";
+
+const ORIGINAL_API_KEY = process.env.ANTHROPIC_API_KEY;
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+// Trip dates must stay in the future for validateTripData, so derive them from today.
+function futureDate(daysFromNow) {
+  const d = new Date();
+  d.setDate(d.getDate() + daysFromNow);
+  return d.toISOString().split("T")[0];
+}
+
+function createMockRes() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+    send(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+}
+
+/**
+ * Invoke a route by its Express path pattern, skipping rate-limiter middleware.
+ * `params` fills route params such as :id.
+ */
+async function invokeRoute(app, method, routePath, { body = {}, params = {} } = {}) {
+  const routeLayer = (app._router?.stack || []).find(
+    (layer) =>
+      layer.route &&
+      layer.route.path === routePath &&
+      layer.route.methods[method.toLowerCase()],
+  );
+  if (!routeLayer) throw new Error(`Route not found: ${method} ${routePath}`);
+
+  const handler = routeLayer.route.stack[routeLayer.route.stack.length - 1].handle;
+  const req = { method, path: routePath, body, params, query: {}, headers: {}, ip: "127.0.0.1" };
+  const res = createMockRes();
+  await handler(req, res);
+  return res;
+}
+
+function assertErrorEnvelope(body, code) {
+  assert.ok(body.code && body.message && body.category && body.requestId, JSON.stringify(body));
+  assert.strictEqual(typeof body.retryable, "boolean");
+  if (code) assert.strictEqual(body.code, code);
+}
+
+function createTestApp(tripStore = createMemoryTripStore(), extraDeps = {}) {
+  process.env.ANTHROPIC_API_KEY = "test-key";
+  return createApp({
+    enableRequestLogging: false,
+    tripStore,
+    ...extraDeps,
+    geocodeLocationFn: async () => ({
+      lat: 47.6062,
+      lon: -122.3321,
+      displayName: "Seattle, WA",
+      stateCode: "WA",
+      stateName: "Washington",
+      countryCode: "US",
+    }),
+    getWeatherAlertsFn: async () => [],
+    getWeatherForecastFn: async () => ({
+      summary: "Mild",
+      forecast: [{ date: futureDate(10), high: 65, low: 50, precipitation: 20 }],
+      timeZone: "America/Los_Angeles",
+    }),
+    generateTripPlanFn: async () => ({
+      overview: "A great family trip to Seattle.",
+      suggestedActivities: [{ id: "a1", name: "Pike Place Market" }],
+      dailyItinerary: [{ day: "Day 1", activities: ["a1"] }],
+      tips: ["Bring layers"],
+    }),
+    generatePackingListFn: async () => ({
+      categories: [{ name: "Clothing", items: [{ name: "Rain jacket", quantity: "1", reason: "Rain" }] }],
+    }),
+  });
+}
+
+const TRIP_REQUEST = {
+  destination: "Seattle, WA",
+  startDate: futureDate(10),
+  endDate: futureDate(13),
+  activities: ["parks"],
+  children: [{ age: 4 }],
+};
+
+test.afterEach(() => {
+  process.env.ANTHROPIC_API_KEY = ORIGINAL_API_KEY;
+});
+
+// ── Bundle / stream persistence ────────────────────────────────────────────
+
+test("POST /api/v1/trip/bundle persists the bundle and returns a tripId", async () => {
+  const store = createMemoryTripStore();
+  const app = createTestApp(store);
+  const res = await invokeRoute(app, "POST", "/api/v1/trip/bundle", { body: TRIP_REQUEST });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(res.body.tripId, "bundle must return tripId");
+
+  const saved = await store.get(res.body.tripId);
+  assert.strictEqual(saved.trip.destination, "Seattle, WA");
+  assert.deepEqual(saved.packingList, res.body.packingList);
+  assert.deepEqual(saved.checklist.checked, []);
+});
+
+test("POST /api/v1/trip/bundle still succeeds when the trip store fails", async () => {
+  const failingStore = {
+    ...createMemoryTripStore(),
+    create: async () => { throw new Error("disk full"); },
+  };
+  const app = createTestApp(failingStore);
+  const res = await invokeRoute(app, "POST", "/api/v1/trip/bundle", { body: TRIP_REQUEST });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.tripId, null);
+  assert.ok(res.body.tripPlan);
+});
+
+test("POST /api/v1/trip/stream includes tripId in the done event", async () => {
+  const store = createMemoryTripStore();
+  const app = createTestApp(store);
+  const routeLayer = app._router.stack.find(
+    (layer) => layer.route?.path === "/api/v1/trip/stream",
+  );
+  const handler = routeLayer.route.stack[routeLayer.route.stack.length - 1].handle;
+  const written = [];
+  const res = { writeHead() {}, write: (chunk) => written.push(chunk), end() {}, flush() {}, setHeader() {} };
+  await handler({ method: "POST", body: TRIP_REQUEST, headers: {}, ip: "127.0.0.1" }, res);
+
+  const doneChunk = written.find((chunk) => chunk.startsWith("event: done"));
+  assert.ok(doneChunk, "must emit done event");
+  const done = JSON.parse(doneChunk.split("data: ")[1]);
+  assert.ok(done.tripId);
+  assert.ok(await store.get(done.tripId));
+});
+
+// ── CRUD ───────────────────────────────────────────────────────────────────
+
+test("POST then GET /api/v1/trips/:id round-trips a saved trip", async () => {
+  const app = createTestApp();
+  const created = await invokeRoute(app, "POST", "/api/v1/trips", {
+    body: {
+      trip: { destination: "Seattle, WA", startDate: futureDate(10), endDate: futureDate(13) },
+      tripPlan: { overview: "Plan" },
+      packingList: { categories: [] },
+      checklist: { checked: ["clothing||rain jacket||1"] },
+    },
+  });
+
+  assert.strictEqual(created.statusCode, 201);
+  assert.ok(created.body.requestId);
+  assert.ok(created.body.tripId);
+
+  const loaded = await invokeRoute(app, "GET", "/api/v1/trips/:id", {
+    params: { id: created.body.tripId },
+  });
+  assert.strictEqual(loaded.statusCode, 200);
+  assert.strictEqual(loaded.body.tripId, created.body.tripId);
+  assert.strictEqual(loaded.body.trip.destination, "Seattle, WA");
+  assert.deepEqual(loaded.body.checklist.checked, ["clothing||rain jacket||1"]);
+});
+
+test("POST /api/v1/trips rejects a payload without trip meta", async () => {
+  const app = createTestApp();
+  const res = await invokeRoute(app, "POST", "/api/v1/trips", { body: { tripPlan: {} } });
+
+  assert.strictEqual(res.statusCode, 400);
+  assertErrorEnvelope(res.body, "VALIDATION_ERROR");
+});
+
+test("PUT /api/v1/trips/:id updates checklist state and sanitizes it", async () => {
+  const app = createTestApp();
+  const created = await invokeRoute(app, "POST", "/api/v1/trips", {
+    body: { trip: { destination: "Seattle, WA" }, packingList: { categories: [] } },
+  });
+
+  const updated = await invokeRoute(app, "PUT", "/api/v1/trips/:id", {
+    params: { id: created.body.tripId },
+    body: {
+      checklist: {
+        checked: ["toiletries||sunscreen||1", "toiletries||sunscreen||1", 42, ""],
+        customItems: { Toys: [{ name: "<b>Bubbles</b>" }] },
+      },
+    },
+  });
+
+  assert.strictEqual(updated.statusCode, 200);
+  assert.deepEqual(updated.body.checklist.checked, ["toiletries||sunscreen||1", "42"]);
+  assert.strictEqual(updated.body.checklist.customItems.Toys[0].name, "bBubbles/b");
+  assert.strictEqual(updated.body.checklist.customItems.Toys[0].source, "custom");
+  assert.deepEqual(updated.body.packingList, { categories: [] }, "untouched fields are kept");
+});
+
+test("PUT /api/v1/trips/:id rejects an empty update", async () => {
+  const app = createTestApp();
+  const created = await invokeRoute(app, "POST", "/api/v1/trips", {
+    body: { trip: { destination: "Seattle, WA" } },
+  });
+  const res = await invokeRoute(app, "PUT", "/api/v1/trips/:id", {
+    params: { id: created.body.tripId },
+    body: {},
+  });
+
+  assert.strictEqual(res.statusCode, 400);
+  assertErrorEnvelope(res.body, "VALIDATION_ERROR");
+});
+
+test("PUT /api/v1/trips/:id stores sanitized expenses that share links don't show", async () => {
+  const app = createTestApp();
+  const tripId = await createSavedTrip(app);
+
+  const updated = await invokeRoute(app, "PUT", "/api/v1/trips/:id", {
+    params: { id: tripId },
+    body: {
+      expenses: [
+        { id: "e1", date: futureDate(10), category: "admission", description: "Aquarium", amount: 96 },
+        { id: "e2", category: "meals", description: "Free sample", amount: 0 },
+      ],
+    },
+  });
+  assert.strictEqual(updated.statusCode, 200);
+  assert.deepEqual(updated.body.expenses, [
+    { id: "e1", date: futureDate(10), category: "admission", description: "Aquarium", amount: 96 },
+  ]);
+  assert.deepEqual(updated.body.checklist.checked, ["clothing||rain jacket||1"], "untouched fields are kept");
+
+  const loaded = await invokeRoute(app, "GET", "/api/v1/trips/:id", { params: { id: tripId } });
+  assert.strictEqual(loaded.body.expenses.length, 1);
+
+  const share = await invokeRoute(app, "POST", "/api/v1/trips/:id/shares", { params: { id: tripId }, body: {} });
+  const view = await invokeRoute(app, "GET", "/api/v1/shared/:token", { params: { token: share.body.token } });
+  assert.strictEqual(view.body.expenses, undefined, "spending stays private to the trip owner");
+});
+
+test("DELETE /api/v1/trips/:id removes the trip; later reads return TRIP_NOT_FOUND", async () => {
+  const app = createTestApp();
+  const created = await invokeRoute(app, "POST", "/api/v1/trips", {
+    body: { trip: { destination: "Seattle, WA" } },
+  });
+  const params = { id: created.body.tripId };
+
+  const deleted = await invokeRoute(app, "DELETE", "/api/v1/trips/:id", { params });
+  assert.strictEqual(deleted.statusCode, 200);
+  assert.strictEqual(deleted.body.deleted, true);
+
+  const loaded = await invokeRoute(app, "GET", "/api/v1/trips/:id", { params });
+  assert.strictEqual(loaded.statusCode, 404);
+  assertErrorEnvelope(loaded.body, "TRIP_NOT_FOUND");
+
+  const updated = await invokeRoute(app, "PUT", "/api/v1/trips/:id", {
+    params,
+    body: { checklist: { checked: [] } },
+  });
+  assert.strictEqual(updated.statusCode, 404);
+});
+
+test("GET /api/v1/trips/:id returns TRIP_NOT_FOUND for a malformed id", async () => {
+  const app = createTestApp();
+  const res = await invokeRoute(app, "GET", "/api/v1/trips/:id", { params: { id: "../secrets" } });
+
+  assert.strictEqual(res.statusCode, 404);
+  assertErrorEnvelope(res.body, "TRIP_NOT_FOUND");
+});
+
+// ── Share links ────────────────────────────────────────────────────────────
+
+async function createSavedTrip(app) {
+  const created = await invokeRoute(app, "POST", "/api/v1/trips", {
+    body: {
+      trip: {
+        destination: "Seattle, WA",
+        startDate: futureDate(10),
+        endDate: futureDate(13),
+        children: [{ age: 4, weightLb: 38, heightIn: 40 }],
+      },
+      tripPlan: { overview: "Plan", suggestedActivities: [], dailyItinerary: [], tips: [] },
+      packingList: { categories: [] },
+      checklist: { checked: ["clothing||rain jacket||1"] },
+    },
+  });
+  return created.body.tripId;
+}
+
+test("POST /api/v1/trips/:id/shares creates a token that opens a read-only view", async () => {
+  const app = createTestApp();
+  const tripId = await createSavedTrip(app);
+
+  const share = await invokeRoute(app, "POST", "/api/v1/trips/:id/shares", {
+    params: { id: tripId },
+    body: { expiresInDays: 3 },
+  });
+  assert.strictEqual(share.statusCode, 201);
+  assert.ok(share.body.token);
+  assert.strictEqual(share.body.path, `/shared/${share.body.token}`);
+  assert.strictEqual(share.body.active, true);
+
+  const view = await invokeRoute(app, "GET", "/api/v1/shared/:token", {
+    params: { token: share.body.token },
+  });
+  assert.strictEqual(view.statusCode, 200);
+  assert.strictEqual(view.body.readOnly, true);
+  assert.strictEqual(view.body.trip.destination, "Seattle, WA");
+  assert.deepEqual(view.body.trip.children, [{ age: 4 }], "child measurements are stripped");
+  assert.deepEqual(view.body.checklist.checked, ["clothing||rain jacket||1"]);
+  assert.strictEqual(view.body.tripId, undefined, "shared view must not leak the editable tripId");
+});
+
+test("POST /api/v1/trips/:id/shares validates expiresInDays and unknown trips", async () => {
+  const app = createTestApp();
+  const tripId = await createSavedTrip(app);
+
+  const tooLong = await invokeRoute(app, "POST", "/api/v1/trips/:id/shares", {
+    params: { id: tripId },
+    body: { expiresInDays: 365 },
+  });
+  assert.strictEqual(tooLong.statusCode, 400);
+  assertErrorEnvelope(tooLong.body, "VALIDATION_ERROR");
+
+  const missing = await invokeRoute(app, "POST", "/api/v1/trips/:id/shares", {
+    params: { id: "00000000-0000-4000-8000-000000000000" },
+  });
+  assert.strictEqual(missing.statusCode, 404);
+  assertErrorEnvelope(missing.body, "TRIP_NOT_FOUND");
+});
+
+test("DELETE /api/v1/trips/:id/shares/:token revokes the link (410 SHARE_REVOKED)", async () => {
+  const app = createTestApp();
+  const tripId = await createSavedTrip(app);
+  const share = await invokeRoute(app, "POST", "/api/v1/trips/:id/shares", { params: { id: tripId } });
+
+  const revoked = await invokeRoute(app, "DELETE", "/api/v1/trips/:id/shares/:token", {
+    params: { id: tripId, token: share.body.token },
+  });
+  assert.strictEqual(revoked.statusCode, 200);
+  assert.strictEqual(revoked.body.active, false);
+
+  const view = await invokeRoute(app, "GET", "/api/v1/shared/:token", {
+    params: { token: share.body.token },
+  });
+  assert.strictEqual(view.statusCode, 410);
+  assertErrorEnvelope(view.body, "SHARE_REVOKED");
+
+  const listed = await invokeRoute(app, "GET", "/api/v1/trips/:id/shares", { params: { id: tripId } });
+  assert.strictEqual(listed.body.shares.length, 1);
+  assert.strictEqual(listed.body.shares[0].active, false);
+});
+
+test("DELETE /api/v1/trips/:id/shares/:token refuses a token from another trip", async () => {
+  const app = createTestApp();
+  const tripA = await createSavedTrip(app);
+  const tripB = await createSavedTrip(app);
+  const share = await invokeRoute(app, "POST", "/api/v1/trips/:id/shares", { params: { id: tripA } });
+
+  const res = await invokeRoute(app, "DELETE", "/api/v1/trips/:id/shares/:token", {
+    params: { id: tripB, token: share.body.token },
+  });
+  assert.strictEqual(res.statusCode, 404);
+  assertErrorEnvelope(res.body, "SHARE_NOT_FOUND");
+});
+
+test("GET /api/v1/shared/:token returns 410 SHARE_EXPIRED after expiry", async () => {
+  const store = createMemoryTripStore();
+  const app = createTestApp(store);
+  const tripId = await createSavedTrip(app);
+  const share = await store.createShare(tripId, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+  const view = await invokeRoute(app, "GET", "/api/v1/shared/:token", { params: { token: share.token } });
+  assert.strictEqual(view.statusCode, 410);
+  assertErrorEnvelope(view.body, "SHARE_EXPIRED");
+});
+
+test("GET /api/v1/shared/:token returns SHARE_NOT_FOUND for unknown tokens and deleted trips", async () => {
+  const app = createTestApp();
+  const unknown = await invokeRoute(app, "GET", "/api/v1/shared/:token", {
+    params: { token: "x".repeat(32) },
+  });
+  assert.strictEqual(unknown.statusCode, 404);
+  assertErrorEnvelope(unknown.body, "SHARE_NOT_FOUND");
+
+  const tripId = await createSavedTrip(app);
+  const share = await invokeRoute(app, "POST", "/api/v1/trips/:id/shares", { params: { id: tripId } });
+  await invokeRoute(app, "DELETE", "/api/v1/trips/:id", { params: { id: tripId } });
+  const afterDelete = await invokeRoute(app, "GET", "/api/v1/shared/:token", {
+    params: { token: share.body.token },
+  });
+  assert.strictEqual(afterDelete.statusCode, 404);
+});
+
+// ── Collaborative checklist ─────────────────────────────────────────────────
+
+function checkOp(itemId, checked, secondsAgo = 0) {
+  return { type: "check", itemId, checked, at: new Date(Date.now() - secondsAgo * 1000).toISOString() };
+}
+
+test("PATCH /api/v1/trips/:id/checklist merges ops from two clients", async () => {
+  const app = createTestApp();
+  const tripId = await createSavedTrip(app);
+
+  await invokeRoute(app, "PATCH", "/api/v1/trips/:id/checklist", {
+    params: { id: tripId },
+    body: { clientId: "mom", ops: [checkOp("toiletries||sunscreen||1", true)] },
+  });
+  const res = await invokeRoute(app, "PATCH", "/api/v1/trips/:id/checklist", {
+    params: { id: tripId },
+    body: {
+      clientId: "dad",
+      ops: [
+        checkOp("gear||stroller||1", true),
+        { type: "addCustom", category: "Clothing", item: { name: "Rain boots", quantity: "2" }, at: new Date().toISOString() },
+      ],
+    },
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.applied, 2);
+  assert.deepEqual([...res.body.checklist.checked].sort(), [
+    "clothing||rain jacket||1",
+    "gear||stroller||1",
+    "toiletries||sunscreen||1",
+  ]);
+  assert.strictEqual(res.body.checklist.customItems.Clothing[0].name, "Rain boots");
+  assert.strictEqual(res.body.checklist.version, 2);
+  assert.strictEqual(res.body.checklist.clock, undefined, "merge clock stays server-side");
+
+  const loaded = await invokeRoute(app, "GET", "/api/v1/trips/:id/checklist", { params: { id: tripId } });
+  assert.deepEqual(loaded.body.checklist, res.body.checklist);
+});
+
+test("PATCH /api/v1/trips/:id/checklist ignores a stale write to the same item", async () => {
+  const app = createTestApp();
+  const tripId = await createSavedTrip(app);
+  const itemId = "clothing||rain jacket||1";
+
+  await invokeRoute(app, "PATCH", "/api/v1/trips/:id/checklist", {
+    params: { id: tripId },
+    body: { ops: [checkOp(itemId, true, 1)] },
+  });
+  const stale = await invokeRoute(app, "PATCH", "/api/v1/trips/:id/checklist", {
+    params: { id: tripId },
+    body: { ops: [checkOp(itemId, false, 30)] },
+  });
+
+  assert.strictEqual(stale.body.applied, 0);
+  assert.deepEqual(stale.body.checklist.checked, [itemId]);
+});
+
+test("PATCH /api/v1/trips/:id/checklist publishes merged state to subscribers", async () => {
+  const checklistHub = createChecklistHub();
+  const app = createTestApp(createMemoryTripStore(), { checklistHub });
+  const tripId = await createSavedTrip(app);
+  const received = [];
+  checklistHub.subscribe(tripId, (payload) => received.push(payload));
+
+  await invokeRoute(app, "PATCH", "/api/v1/trips/:id/checklist", {
+    params: { id: tripId },
+    body: { clientId: "mom", ops: [checkOp("gear||stroller||1", true)] },
+  });
+  await invokeRoute(app, "PUT", "/api/v1/trips/:id", {
+    params: { id: tripId },
+    body: { checklist: { checked: [], customItems: {} } },
+  });
+
+  assert.strictEqual(received.length, 2);
+  assert.strictEqual(received[0].clientId, "mom");
+  assert.deepEqual(received[0].checklist.checked, ["clothing||rain jacket||1", "gear||stroller||1"]);
+  assert.deepEqual(received[1].checklist.checked, []);
+  assert.strictEqual(received[1].checklist.version, 2);
+});
+
+test("PATCH /api/v1/trips/:id/checklist validates ops and unknown trips", async () => {
+  const app = createTestApp();
+  const tripId = await createSavedTrip(app);
+
+  const invalid = await invokeRoute(app, "PATCH", "/api/v1/trips/:id/checklist", {
+    params: { id: tripId },
+    body: { ops: [{ type: "check", itemId: "x" }] },
+  });
+  assert.strictEqual(invalid.statusCode, 400);
+  assertErrorEnvelope(invalid.body, "VALIDATION_ERROR");
+
+  const missing = await invokeRoute(app, "PATCH", "/api/v1/trips/:id/checklist", {
+    params: { id: "00000000-0000-4000-8000-000000000000" },
+    body: { ops: [checkOp("a||b||", true)] },
+  });
+  assert.strictEqual(missing.statusCode, 404);
+  assertErrorEnvelope(missing.body, "TRIP_NOT_FOUND");
+});
+
+test("GET /api/v1/trips/:id/checklist/events streams the current state, then changes", async () => {
+  const checklistHub = createChecklistHub();
+  const app = createTestApp(createMemoryTripStore(), { checklistHub });
+  const tripId = await createSavedTrip(app);
+
+  const routeLayer = app._router.stack.find(
+    (layer) => layer.route?.path === "/api/v1/trips/:id/checklist/events",
+  );
+  const handler = routeLayer.route.stack[routeLayer.route.stack.length - 1].handle;
+
+  let onClose;
+  const req = { params: { id: tripId }, on: (event, fn) => { if (event === "close") onClose = fn; } };
+  const res = {
+    ...createMockRes(),
+    chunks: [],
+    writeHead(code, headers) {
+      this.statusCode = code;
+      this.headers = headers;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+  };
+  await handler(req, res);
+
+  assert.strictEqual(res.headers["Content-Type"], "text/event-stream");
+  assert.match(res.chunks[0], /^event: checklist\ndata: /);
+  assert.strictEqual(checklistHub.subscriberCount(tripId), 1);
+
+  await invokeRoute(app, "PATCH", "/api/v1/trips/:id/checklist", {
+    params: { id: tripId },
+    body: { ops: [checkOp("gear||stroller||1", true)] },
+  });
+  const pushed = JSON.parse(res.chunks[1].split("data: ")[1]);
+  assert.deepEqual(pushed.checklist.checked, ["clothing||rain jacket||1", "gear||stroller||1"]);
+
+  onClose();
+  assert.strictEqual(checklistHub.subscriberCount(tripId), 0);
+});
+
+test("PATCH /api/v1/trips/:id/checklist stores item assignments", async () => {
+  const app = createTestApp();
+  const tripId = await createSavedTrip(app);
+
+  const res = await invokeRoute(app, "PATCH", "/api/v1/trips/:id/checklist", {
+    params: { id: tripId },
+    body: {
+      ops: [{ type: "assign", itemId: "clothing||rain jacket||1", person: "Mom", bag: "Carry-on", at: new Date().toISOString() }],
+    },
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepEqual(res.body.checklist.assignments, {
+    "clothing||rain jacket||1": { person: "Mom", bag: "Carry-on" },
+  });
+
+  const loaded = await invokeRoute(app, "GET", "/api/v1/trips/:id", { params: { id: tripId } });
+  assert.deepEqual(loaded.body.checklist.assignments, res.body.checklist.assignments);
+});
+
+// ── Calendar export ────────────────────────────────────────────────────────
+
+test("GET /api/v1/trips/:id/itinerary.ics exports the saved itinerary in the destination time zone", async () => {
+  const app = createTestApp();
+  const bundle = await invokeRoute(app, "POST", "/api/v1/trip/bundle", { body: TRIP_REQUEST });
+  assert.strictEqual(bundle.body.trip.timeZone, "America/Los_Angeles");
+
+  const res = await invokeRoute(app, "GET", "/api/v1/trips/:id/itinerary.ics", {
+    params: { id: bundle.body.tripId },
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.match(res.headers["Content-Type"], /^text\/calendar/);
+  assert.strictEqual(res.headers["Content-Disposition"], 'attachment; filename="sproutroute-seattle.ics"');
+  assert.match(res.body, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(res.body, /X-WR-TIMEZONE:America\/Los_Angeles/);
+  assert.match(res.body, new RegExp(`DTSTART;VALUE=DATE:${futureDate(10).replace(/-/g, "")}`));
+  assert.match(res.body, /SUMMARY:Pike Place Market/);
+});
+
+test("GET /api/v1/trips/:id/itinerary.ics rejects unknown trips and trips without an itinerary", async () => {
+  const app = createTestApp();
+  const missing = await invokeRoute(app, "GET", "/api/v1/trips/:id/itinerary.ics", {
+    params: { id: "does-not-exist" },
+  });
+  assert.strictEqual(missing.statusCode, 404);
+  assertErrorEnvelope(missing.body, "TRIP_NOT_FOUND");
+
+  const tripId = await createSavedTrip(app);
+  const empty = await invokeRoute(app, "GET", "/api/v1/trips/:id/itinerary.ics", { params: { id: tripId } });
+  assert.strictEqual(empty.statusCode, 404);
+  assertErrorEnvelope(empty.body, "ITINERARY_NOT_AVAILABLE");
+});
+
+// ── PDF packet ─────────────────────────────────────────────────────────────
+
+test("GET /api/v1/trips/:id/packet.pdf renders a PDF for a saved trip", async () => {
+  const app = createTestApp();
+  const tripId = await createSavedTrip(app);
+
+  const res = await invokeRoute(app, "GET", "/api/v1/trips/:id/packet.pdf", { params: { id: tripId } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.headers["Content-Type"], "application/pdf");
+  assert.strictEqual(res.headers["Content-Disposition"], 'attachment; filename="sproutroute-seattle-packet.pdf"');
+  assert.ok(Buffer.isBuffer(res.body));
+  assert.strictEqual(res.body.subarray(0, 5).toString(), "%PDF-");
+});
+
+test("GET /api/v1/trips/:id/packet.pdf still renders when car seat guidance fails", async () => {
+  const app = createTestApp(createMemoryTripStore(), {
+    getCarSeatGuidanceFn: async () => {
+      throw new Error("rules offline");
+    },
+    getTravelAdvisoryFn: async () => {
+      throw new Error("advisory offline");
+    },
+  });
+  const tripId = await createSavedTrip(app);
+
+  const res = await invokeRoute(app, "GET", "/api/v1/trips/:id/packet.pdf", { params: { id: tripId } });
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.subarray(0, 5).toString(), "%PDF-");
+});
+
+test("GET /api/v1/trips/:id/packet.pdf evaluates car seat guidance for every state on a road trip", async () => {
+  const guidanceCalls = [];
+  const app = createTestApp(createMemoryTripStore(), {
+    getCarSeatGuidanceFn: async (input) => {
+      guidanceCalls.push(input);
+      return { status: "Verified", jurisdictionCode: input.jurisdictionCode, results: [] };
+    },
+  });
+  const created = await invokeRoute(app, "POST", "/api/v1/trips", {
+    body: {
+      trip: {
+        destination: "Seattle, WA → Portland, OR → Bend, OR",
+        startDate: futureDate(10),
+        endDate: futureDate(15),
+        children: [{ age: 4, weightLb: 38, heightIn: 40 }],
+        stops: [
+          { destination: "Seattle, WA", jurisdictionCode: "WA", countryCode: "US" },
+          { destination: "Portland, OR", jurisdictionCode: "OR", countryCode: "US" },
+          { destination: "Bend, OR", jurisdictionCode: "OR", countryCode: "US" },
+        ],
+      },
+    },
+  });
+
+  const res = await invokeRoute(app, "GET", "/api/v1/trips/:id/packet.pdf", { params: { id: created.body.tripId } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.subarray(0, 5).toString(), "%PDF-");
+  assert.deepEqual(guidanceCalls.map((input) => input.jurisdictionCode), ["WA", "OR"]);
+  assert.strictEqual(guidanceCalls[0].tripEndDate, futureDate(15));
+});
+
+test("GET /api/v1/trips/:id/packet.pdf returns TRIP_NOT_FOUND for unknown trips", async () => {
+  const app = createTestApp();
+  const res = await invokeRoute(app, "GET", "/api/v1/trips/:id/packet.pdf", { params: { id: "does-not-exist" } });
+
+  assert.strictEqual(res.statusCode, 404);
+  assertErrorEnvelope(res.body, "TRIP_NOT_FOUND");
+});
+
+// ── Road trips ─────────────────────────────────────────────────────────────
+
+test("POST /api/v1/trip/bundle with stops stores each leg and returns route guidance", async () => {
+  const store = createMemoryTripStore();
+  const guidanceCalls = [];
+  const app = createTestApp(store, {
+    getCarSeatGuidanceFn: async (input) => {
+      guidanceCalls.push(input);
+      return { status: "Verified", jurisdictionCode: input.jurisdictionCode, results: [] };
+    },
+  });
+
+  const res = await invokeRoute(app, "POST", "/api/v1/trip/bundle", {
+    body: {
+      ...TRIP_REQUEST,
+      stops: [
+        { destination: "Seattle, WA", startDate: futureDate(10), endDate: futureDate(11) },
+        { destination: "Spokane, WA", startDate: futureDate(11), endDate: futureDate(13) },
+      ],
+    },
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.trip.stops.length, 2);
+  assert.strictEqual(res.body.trip.stops[0].jurisdictionCode, "WA");
+  assert.ok(res.body.weather.forecast.every((day) => day.stop), "forecast days are tagged with their stop");
+  assert.strictEqual(res.body.safetyGuidance.guidanceMode, "route");
+  assert.deepEqual(res.body.safetyGuidance.jurisdictionCodes, ["WA"]);
+  assert.strictEqual(guidanceCalls.length, 1);
+
+  const saved = await store.get(res.body.tripId);
+  assert.strictEqual(saved.trip.stops.length, 2);
+});
+
+test("POST /api/v1/trip/bundle rejects overlapping stops", async () => {
+  const app = createTestApp();
+  const res = await invokeRoute(app, "POST", "/api/v1/trip/bundle", {
+    body: {
+      ...TRIP_REQUEST,
+      stops: [
+        { destination: "Seattle, WA", startDate: futureDate(10), endDate: futureDate(12) },
+        { destination: "Spokane, WA", startDate: futureDate(11), endDate: futureDate(13) },
+      ],
+    },
+  });
+
+  assert.strictEqual(res.statusCode, 400);
+  assertErrorEnvelope(res.body, "VALIDATION_ERROR");
+});
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  ACCESSIBILITY_PACKING_CATEGORY,
+  accessibilityNeedsText,
+  accessibilityPackingItems,
+  annotateActivityAccessibility,
+  ensureAccessibilityPackingItems,
+} from "../../src/backend/services/accessibility.js";
+
+test("accessibilityNeedsText names needs and equipment for prompts", () => {
+  assert.equal(
+    accessibilityNeedsText({ mobility: ["wheelchair"], sensory: ["noise"], equipment: ["power_wheelchair", "hearing_aids"] }),
+    "uses a wheelchair; is sensitive to noise; brings power wheelchair, hearing aids",
+  );
+  assert.equal(accessibilityNeedsText({ mobility: [], sensory: ["crowds"], equipment: [] }), "is overwhelmed by crowds");
+  assert.equal(accessibilityNeedsText(null), "");
+});
+
+test("annotateActivityAccessibility fills in notes and cautions for hard activity types", () => {
+  const plan = {
+    suggestedActivities: [
+      { name: "Ridge Trail", category: "hiking", accessibilityNotes: "Rocky with steps near the top." },
+      { name: "Harbor Boardwalk", category: "hiking", accessibilityNotes: "Paved boardwalk the whole way." },
+      { name: "Science Center", category: "museums" },
+    ],
+  };
+
+  const result = annotateActivityAccessibility(plan, { mobility: ["wheelchair"], sensory: ["noise"], equipment: [] });
+
+  assert.match(result.suggestedActivities[0].accessibilityNotes, /^Rocky with steps near the top\. ⚠️ Trails are rarely step-free/);
+  assert.equal(result.suggestedActivities[1].accessibilityNotes, "Paved boardwalk the whole way.", "Addressed needs get no caution");
+  assert.match(result.suggestedActivities[2].accessibilityNotes, /^Check ahead for step-free entrances, .*; low-noise venues/);
+  assert.equal(annotateActivityAccessibility(plan, null), plan);
+
+  const equipmentOnly = annotateActivityAccessibility(plan, { mobility: [], sensory: [], equipment: ["cpap"] });
+  assert.equal(
+    equipmentOnly.suggestedActivities[2].accessibilityNotes,
+    "Ask ahead about power outlets and storage for the CPAP/BiPAP machine.",
+  );
+});
+
+test("accessibilityPackingItems lists equipment supplies once", () => {
+  const names = accessibilityPackingItems({ mobility: [], sensory: ["noise"], equipment: ["power_wheelchair", "oxygen"] }).map(
+    (item) => item.name,
+  );
+  assert.deepEqual(names, [
+    "Noise-cancelling headphones or ear defenders",
+    "Power wheelchair charger and plug adapters",
+    "Wheelchair battery spec sheet (type and watt-hours)",
+    "Doctor's letter listing medical equipment and medications",
+    "Portable oxygen concentrator with spare batteries",
+  ]);
+  assert.deepEqual(accessibilityPackingItems(null), []);
+});
+
+test("ensureAccessibilityPackingItems adds only the items the model left out", () => {
+  const list = {
+    categories: [{ name: "Gear", items: [{ name: "Ear defenders", quantity: "2", reason: "Fireworks show" }] }],
+  };
+
+  const result = ensureAccessibilityPackingItems(list, { mobility: [], sensory: ["noise"], equipment: ["hearing_aids"] });
+
+  assert.equal(result.categories[1].name, ACCESSIBILITY_PACKING_CATEGORY);
+  assert.deepEqual(result.categories[1].items.map((item) => item.name), [
+    "Hearing aid charger or spare batteries, plus a drying kit",
+  ]);
+  assert.equal(ensureAccessibilityPackingItems(list, null), list);
+});
@@ -0,0 +1,111 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { addTripBudget, estimateTripBudget, roundTripDriveMiles } from "../../src/backend/services/budget.js";
+
+const PLAN = {
+  suggestedActivities: [
+    { id: "a1", name: "Science Museum", category: "museums" },
+    { id: "a2", name: "Adventure Park", category: "theme_park", admissionUsd: { adult: 100, child: 90 } },
+    { id: "a3", name: "Lake Trail", category: "hiking" },
+  ],
+  dailyItinerary: [
+    { day: "Day 1", activities: ["a1"] },
+    { day: "Day 2", activities: ["a2", "a2"] },
+    { day: "Day 3", activities: ["Lake Trail"] },
+  ],
+};
+
+test("roundTripDriveMiles reads drive-time and distance searches", () => {
+  assert.equal(roundTripDriveMiles("2 hours from Denver"), 240);
+  assert.equal(roundTripDriveMiles("100 miles from Austin, TX"), 200);
+  assert.equal(roundTripDriveMiles("Seattle, WA"), null);
+  assert.equal(roundTripDriveMiles(null), null);
+});
+
+test("estimateTripBudget prices each day from admission, meals, lodging and fuel", () => {
+  const budget = estimateTripBudget(PLAN, {
+    startDate: "2027-06-01",
+    endDate: "2027-06-03",
+    children: [{ age: 1 }, { age: 5 }, { age: 14 }],
+    countryCode: "US",
+    destinationQuery: "2 hours from Denver",
+  });
+
+  assert.equal(budget.currency, "USD");
+  assert.deepEqual(
+    budget.activities.map(({ id, perAdult, perChild, total, source }) => ({ id, perAdult, perChild, total, source })),
+    [
+      // Two adults plus the 14-year-old pay adult prices; the 1-year-old gets in free.
+      { id: "a1", perAdult: 25, perChild: 12, total: 87, source: "typical" },
+      { id: "a2", perAdult: 100, perChild: 90, total: 390, source: "plan" },
+      { id: "a3", perAdult: 0, perChild: 0, total: 0, source: "typical" },
+    ],
+  );
+  assert.deepEqual(budget.days[0], {
+    day: "Day 1",
+    date: "2027-06-01",
+    admission: 87,
+    meals: { low: 130, high: 260 },
+    lodging: { low: 182, high: 364 },
+    fuel: 17,
+    total: { low: 416, high: 728 },
+  });
+  assert.equal(budget.days[1].admission, 390, "An activity listed twice is paid once");
+  assert.deepEqual(budget.days[2].lodging, { low: 0, high: 0 }, "No lodging after the last night");
+  assert.equal(budget.days[2].fuel, 17);
+  assert.deepEqual(budget.totals, {
+    admission: 477,
+    meals: { low: 390, high: 780 },
+    lodging: { low: 364, high: 728 },
+    fuel: 34,
+    total: { low: 1265, high: 2019 },
+  });
+  assert.equal(budget.assumptions.roundTripDriveMiles, 240);
+});
+
+test("estimateTripBudget prices itinerary entries that name activities in a different case", () => {
+  const plan = {
+    ...PLAN,
+    dailyItinerary: [
+      { day: "Day 1", activities: ["science museum", " ADVENTURE PARK "] },
+      { day: "Day 2", activities: ["a2", "Adventure Park"] },
+    ],
+  };
+  const budget = estimateTripBudget(plan, { startDate: "2027-06-01", endDate: "2027-06-02", children: [{ age: 5 }] });
+
+  assert.equal(budget.days[0].admission, 62 + 290);
+  assert.equal(budget.days[1].admission, 290, "The same activity by id and by name is paid once");
+  assert.equal(budget.totals.admission, 642);
+});
+
+test("estimateTripBudget uses the local currency abroad and leaves cruise fares out", () => {
+  const paris = estimateTripBudget(
+    {
+      suggestedActivities: [
+        { id: "louvre", name: "Louvre", category: "museums" },
+        { id: "seine", name: "Seine cruise", category: "water", admissionUsd: { adult: 20, child: 0 } },
+      ],
+      dailyItinerary: [{ day: "Day 1", activities: ["louvre", "seine"] }],
+    },
+    { startDate: "2027-05-03", endDate: "2027-05-03", children: [{ age: 6 }], countryCode: "FR" },
+  );
+  assert.equal(paris.currency, "EUR");
+  assert.deepEqual(
+    paris.activities.map((activity) => activity.total),
+    [54, 34],
+  );
+  assert.equal(paris.totals.fuel, 0);
+  assert.deepEqual(paris.totals.lodging, { low: 0, high: 0 }, "A day trip has no nights");
+
+  const cruise = estimateTripBudget(PLAN, { startDate: "2027-06-01", endDate: "2027-06-03", tripType: "cruise" });
+  assert.deepEqual(cruise.totals.meals, { low: 0, high: 0 });
+  assert.deepEqual(cruise.totals.lodging, { low: 0, high: 0 });
+  assert.match(cruise.assumptions.lodging, /cruise fare/);
+
+  assert.equal(estimateTripBudget(PLAN, { countryCode: "ZZ" }).currency, "USD");
+});
+
+test("addTripBudget leaves plans without an itinerary alone", () => {
+  const plan = { overview: "No days yet" };
+  assert.equal(addTripBudget(plan, { startDate: "2027-06-01", endDate: "2027-06-02" }), plan);
+});
@@ -1,8 +1,19 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import {
+  UNASSIGNED,
+  applyLocalOps,
+  buildAddCustomOp,
+  buildAssignOp,
+  buildCheckOp,
+  buildRemoveCustomOp,
+  createChecklistSync,
+  filterAssignments,
   filterCheckedItems,
+  getAssignmentProgress,
   getPackingItemIds,
+  getPeopleSuggestions,
+  groupItemsByAssignment,
   makeItemId,
   loadCustomItems,
   saveCustomItems,
@@ -130,3 +141,140 @@ test("saveCustomItems does not throw in environments without localStorage", () =
     saveCustomItems({ Clothing: [{ name: "Test", quantity: "1" }] });
   });
 });
+
+// ── applyLocalOps ───────────────────────────────────────────────────────────
+
+test("applyLocalOps applies checks and custom item add/remove in order", () => {
+  const formula = { name: "Formula", quantity: "2 cans", reason: "Added by you", source: "custom" };
+  const result = applyLocalOps({ checked: ["clothing||jacket||1"], customItems: {} }, [
+    buildCheckOp("gear||stroller||1", true),
+    buildCheckOp("clothing||jacket||1", false),
+    buildAddCustomOp("Clothing", formula),
+    buildCheckOp("clothing||formula||2 cans", true),
+    buildRemoveCustomOp("Clothing", formula),
+  ]);
+
+  assert.deepEqual(result.checked, ["gear||stroller||1"]);
+  assert.deepEqual(result.customItems, {});
+});
+
+// ── createChecklistSync ─────────────────────────────────────────────────────
+
+function createFakeTransport() {
+  const sent = [];
+  let remote = null;
+  let fail = false;
+  return {
+    sent,
+    setFailing(value) {
+      fail = value;
+    },
+    push(checklist) {
+      remote?.({ checklist });
+    },
+    sendOps: async (ops) => {
+      if (fail) throw new Error("offline");
+      sent.push(ops);
+      return { checklist: { ...applyLocalOps({ checked: [], customItems: {} }, ops), version: sent.length } };
+    },
+    subscribe: (listener) => {
+      remote = listener;
+      return () => {
+        remote = null;
+      };
+    },
+  };
+}
+
+test("createChecklistSync shows edits immediately and batches them into one send", async () => {
+  const transport = createFakeTransport();
+  const states = [];
+  const sync = createChecklistSync({ ...transport, onChange: (s) => states.push(s), flushDelayMs: 60000 });
+
+  sync.apply(buildCheckOp("a||b||", true));
+  sync.apply(buildCheckOp("c||d||", true));
+  assert.deepEqual(states.at(-1).checked, ["a||b||", "c||d||"]);
+  assert.equal(transport.sent.length, 0);
+
+  await sync.flush();
+  assert.equal(transport.sent.length, 1);
+  assert.equal(transport.sent[0].length, 2);
+  sync.stop();
+});
+
+test("createChecklistSync replays unsent ops on top of remote updates", () => {
+  const transport = createFakeTransport();
+  const sync = createChecklistSync({ ...transport, onChange: () => {}, flushDelayMs: 60000 });
+
+  sync.apply(buildCheckOp("mine||item||", true));
+  transport.push({ checked: ["theirs||item||"], customItems: {}, version: 3 });
+  assert.deepEqual(sync.getState().checked.sort(), ["mine||item||", "theirs||item||"]);
+
+  // An older version arriving late is ignored.
+  transport.push({ checked: [], customItems: {}, version: 2 });
+  assert.ok(sync.getState().checked.includes("theirs||item||"));
+  sync.stop();
+});
+
+test("createChecklistSync keeps ops queued when a send fails", async () => {
+  const transport = createFakeTransport();
+  const sync = createChecklistSync({ ...transport, onChange: () => {}, flushDelayMs: 60000, retryDelayMs: 60000 });
+
+  transport.setFailing(true);
+  sync.apply(buildCheckOp("a||b||", true));
+  await sync.flush();
+  assert.deepEqual(sync.getState().checked, ["a||b||"]);
+
+  sync.stop();
+});
+
+// ── Assignments ─────────────────────────────────────────────────────────────
+
+const assignments = {
+  "clothing||jacket||1": { person: "Mom", bag: "Carry-on" },
+  "gear||stroller||1": { person: "Dad", bag: null },
+};
+
+test("groupItemsByAssignment regroups items by person with Unassigned last", () => {
+  const groups = groupItemsByAssignment(packingList, {}, assignments, "person");
+  assert.deepEqual(groups.map((g) => g.name), ["Mom", "Dad", UNASSIGNED]);
+  assert.equal(groups[0].items[0].categoryName, "Clothing");
+  assert.equal(groups[2].items[0].itemId, "clothing||socks||3 pairs");
+});
+
+test("groupItemsByAssignment groups by bag and includes custom items", () => {
+  const customItems = { Gear: [{ name: "Night light", quantity: "1", source: "custom" }] };
+  const withCustom = { ...assignments, "gear||night light||1": { person: null, bag: "Carry-on" } };
+  const groups = groupItemsByAssignment(packingList, customItems, withCustom, "bag");
+  assert.deepEqual(groups[0].items.map((i) => i.item.name), ["Jacket", "Night light"]);
+});
+
+test("getAssignmentProgress counts packed items per person", () => {
+  const progress = getAssignmentProgress(packingList, {}, assignments, new Set(["clothing||jacket||1"]));
+  assert.deepEqual(progress, [
+    { name: "Mom", checked: 1, total: 1 },
+    { name: "Dad", checked: 0, total: 1 },
+  ]);
+});
+
+test("assignments survive regeneration and stale ones are filtered", () => {
+  const validIds = getPackingItemIds({
+    categories: [{ name: "Clothing", items: [{ name: "Jacket", quantity: "1" }] }],
+  });
+  assert.deepEqual(filterAssignments(assignments, validIds), {
+    "clothing||jacket||1": { person: "Mom", bag: "Carry-on" },
+  });
+});
+
+test("getPeopleSuggestions lists parents, one entry per child, then names in use", () => {
+  assert.deepEqual(getPeopleSuggestions([{ age: 2 }, { age: 5 }], assignments), [
+    "Parent 1", "Parent 2", "Child 1", "Child 2", "Mom", "Dad",
+  ]);
+});
+
+test("applyLocalOps applies and clears assignments", () => {
+  const assigned = applyLocalOps({ checked: [] }, [buildAssignOp("a||b||", { bag: "Trunk" })]);
+  assert.deepEqual(assigned.assignments, { "a||b||": { person: null, bag: "Trunk" } });
+  const cleared = applyLocalOps(assigned, [buildAssignOp("a||b||")]);
+  assert.deepEqual(cleared.assignments, {});
+});
@@ -0,0 +1,169 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyChecklistOps,
+  checklistItemId,
+  createChecklistHub,
+  sanitizeChecklistOps,
+  toPublicChecklist,
+} from "../../src/backend/services/checklistSync.js";
+import { makeItemId } from "../../src/frontend/src/utils/checklist.js";
+
+const EMPTY = { checked: [], customItems: {}, updatedAt: null };
+const NOW = "2026-10-19T12:00:00.000Z";
+const at = (seconds) => new Date(Date.parse(NOW) - 60000 + seconds * 1000).toISOString();
+
+// ── checklistItemId ─────────────────────────────────────────────────────────
+
+test("checklistItemId matches the frontend makeItemId format", () => {
+  assert.equal(checklistItemId(" Clothing ", "Rain Jacket", "1"), makeItemId("Clothing", "rain jacket ", "1"));
+});
+
+// ── applyChecklistOps ───────────────────────────────────────────────────────
+
+test("applyChecklistOps merges independent ticks from two clients", () => {
+  const first = applyChecklistOps(EMPTY, [{ type: "check", itemId: "clothing||jacket||1", checked: true, at: at(1) }], { now: NOW });
+  const second = applyChecklistOps(first.checklist, [{ type: "check", itemId: "gear||stroller||1", checked: true, at: at(2) }], { now: NOW });
+
+  assert.deepEqual(second.checklist.checked.sort(), ["clothing||jacket||1", "gear||stroller||1"]);
+  assert.equal(second.checklist.version, 2);
+});
+
+test("applyChecklistOps resolves conflicts on one item last-writer-wins", () => {
+  const itemId = "clothing||jacket||1";
+  const newer = applyChecklistOps(EMPTY, [{ type: "check", itemId, checked: true, at: at(10) }], { now: NOW });
+  // An older uncheck arriving late must lose.
+  const stale = applyChecklistOps(newer.checklist, [{ type: "check", itemId, checked: false, at: at(5) }], { now: NOW });
+
+  assert.equal(stale.applied, 0);
+  assert.deepEqual(stale.checklist.checked, [itemId]);
+
+  const later = applyChecklistOps(newer.checklist, [{ type: "check", itemId, checked: false, at: at(20) }], { now: NOW });
+  assert.deepEqual(later.checklist.checked, []);
+});
+
+test("applyChecklistOps clamps future timestamps to server time", () => {
+  const itemId = "clothing||jacket||1";
+  const future = applyChecklistOps(EMPTY, [{ type: "check", itemId, checked: true, at: "2099-01-01T00:00:00.000Z" }], { now: NOW });
+  assert.equal(future.checklist.clock[`check:${itemId}`], NOW);
+
+  const next = applyChecklistOps(future.checklist, [{ type: "check", itemId, checked: false, at: NOW }], { now: NOW });
+  assert.deepEqual(next.checklist.checked, []);
+});
+
+test("applyChecklistOps adds and removes custom items, unchecking removed ones", () => {
+  const item = { name: "Formula", quantity: "2 cans", reason: "Added by you", source: "custom" };
+  const itemId = checklistItemId("Clothing", item.name, item.quantity);
+
+  const added = applyChecklistOps(EMPTY, [
+    { type: "addCustom", category: "Clothing", item, itemId, at: at(1) },
+    { type: "addCustom", category: "Clothing", item, itemId, at: at(2) },
+    { type: "check", itemId, checked: true, at: at(3) },
+  ], { now: NOW });
+  assert.equal(added.checklist.customItems.Clothing.length, 1, "duplicate adds collapse");
+
+  const removed = applyChecklistOps(added.checklist, [{ type: "removeCustom", category: "Clothing", itemId, at: at(4) }], { now: NOW });
+  assert.deepEqual(removed.checklist.customItems, {});
+  assert.deepEqual(removed.checklist.checked, []);
+});
+
+test("applyChecklistOps does not mutate its input", () => {
+  const input = structuredClone(EMPTY);
+  applyChecklistOps(input, [{ type: "check", itemId: "a||b||", checked: true, at: at(1) }], { now: NOW });
+  assert.deepEqual(input, EMPTY);
+});
+
+// ── sanitizeChecklistOps ────────────────────────────────────────────────────
+
+test("sanitizeChecklistOps rejects empty batches and malformed ops", () => {
+  assert.ok(sanitizeChecklistOps([]).errors.length > 0);
+  assert.ok(sanitizeChecklistOps("nope").errors.length > 0);
+
+  const { errors } = sanitizeChecklistOps([
+    { type: "explode", at: NOW },
+    { type: "check", itemId: "a||b||", at: NOW },
+    { type: "check", itemId: "a||b||", checked: true, at: "yesterday" },
+  ]);
+  assert.equal(errors.length, 3);
+});
+
+test("sanitizeChecklistOps derives custom item IDs server-side", () => {
+  const { ops, errors } = sanitizeChecklistOps([
+    { type: "addCustom", category: "Gear", item: { name: "<b>Night light</b>" }, itemId: "spoofed", at: NOW },
+  ]);
+  assert.deepEqual(errors, []);
+  assert.equal(ops[0].itemId, "gear||bnight light/b||1");
+  assert.equal(ops[0].item.source, "custom");
+});
+
+// ── toPublicChecklist ───────────────────────────────────────────────────────
+
+test("toPublicChecklist hides the merge clock", () => {
+  const { checklist } = applyChecklistOps(EMPTY, [{ type: "check", itemId: "a||b||", checked: true, at: at(1) }], { now: NOW });
+  const view = toPublicChecklist(checklist);
+  assert.equal(view.clock, undefined);
+  assert.equal(view.version, 1);
+  assert.equal(toPublicChecklist(EMPTY).version, 0);
+});
+
+// ── createChecklistHub ──────────────────────────────────────────────────────
+
+test("checklist hub delivers to subscribers of the same trip only and enforces the cap", () => {
+  const hub = createChecklistHub({ maxSubscribersPerTrip: 2 });
+  const received = [];
+  const unsubscribe = hub.subscribe("trip-a", (payload) => received.push(payload));
+  hub.subscribe("trip-a", () => {
+    throw new Error("closed socket");
+  });
+  assert.equal(hub.subscribe("trip-a", () => {}), null);
+
+  hub.publish("trip-a", { version: 1 });
+  hub.publish("trip-b", { version: 99 });
+  assert.deepEqual(received, [{ version: 1 }]);
+
+  unsubscribe();
+  assert.equal(hub.subscriberCount("trip-a"), 1);
+});
+
+test("checklist hub withLock serializes writers for one trip", async () => {
+  const hub = createChecklistHub();
+  const order = [];
+  const slow = hub.withLock("trip-a", async () => {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    order.push("slow");
+  });
+  const fast = hub.withLock("trip-a", async () => order.push("fast"));
+  await Promise.all([slow, fast]);
+  assert.deepEqual(order, ["slow", "fast"]);
+
+  await assert.rejects(hub.withLock("trip-a", async () => {
+    throw new Error("boom");
+  }));
+  assert.equal(await hub.withLock("trip-a", async () => "still works"), "still works");
+});
+
+// ── assign ops ──────────────────────────────────────────────────────────────
+
+test("applyChecklistOps stores, overwrites, and clears item assignments", () => {
+  const itemId = "clothing||jacket||1";
+  const assigned = applyChecklistOps(EMPTY, [{ type: "assign", itemId, person: "Mom", bag: null, at: at(1) }], { now: NOW });
+  assert.deepEqual(assigned.checklist.assignments[itemId], { person: "Mom", bag: null });
+
+  const moved = applyChecklistOps(assigned.checklist, [{ type: "assign", itemId, person: "Mom", bag: "Carry-on", at: at(2) }], { now: NOW });
+  assert.deepEqual(moved.checklist.assignments[itemId], { person: "Mom", bag: "Carry-on" });
+
+  const stale = applyChecklistOps(moved.checklist, [{ type: "assign", itemId, person: "Dad", bag: null, at: at(1) }], { now: NOW });
+  assert.equal(stale.applied, 0);
+
+  const cleared = applyChecklistOps(moved.checklist, [{ type: "assign", itemId, person: null, bag: null, at: at(3) }], { now: NOW });
+  assert.deepEqual(cleared.checklist.assignments, {});
+});
+
+test("sanitizeChecklistOps bounds assignment names and treats blanks as null", () => {
+  const { ops, errors } = sanitizeChecklistOps([
+    { type: "assign", itemId: "a||b||", person: "x".repeat(80), bag: "  ", at: NOW },
+  ]);
+  assert.deepEqual(errors, []);
+  assert.equal(ops[0].person.length, 40);
+  assert.equal(ops[0].bag, null);
+});
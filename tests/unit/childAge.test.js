@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  addDaysIso,
+  ageInMonthsOn,
+  childAgeMonthsOn,
+  sanitizeBirthDate,
+} from "../../src/backend/utils/childAge.js";
+
+const TODAY = new Date("2026-10-19T12:00:00Z");
+
+test("ageInMonthsOn counts completed months, clamping birthdays on the 31st", () => {
+  assert.equal(ageInMonthsOn("2024-12-10", "2026-12-09"), 23);
+  assert.equal(ageInMonthsOn("2024-12-10", "2026-12-10"), 24);
+  assert.equal(ageInMonthsOn("2024-01-31", "2024-02-29"), 1);
+  assert.equal(ageInMonthsOn("not-a-date", "2026-12-10"), null);
+});
+
+test("a month-only birth date is treated as the last day of the month", () => {
+  assert.equal(ageInMonthsOn("2024-12", "2026-12-30"), 23);
+  assert.equal(ageInMonthsOn("2024-12", "2026-12-31"), 24);
+});
+
+test("sanitizeBirthDate rejects malformed, future and over-18 dates", () => {
+  assert.equal(sanitizeBirthDate("2023-05-14", TODAY), "2023-05-14");
+  assert.equal(sanitizeBirthDate("2023-05", TODAY), "2023-05");
+  assert.equal(sanitizeBirthDate("2023-13-01", TODAY), null);
+  assert.equal(sanitizeBirthDate("2027-01-01", TODAY), null);
+  assert.equal(sanitizeBirthDate("2000-01-01", TODAY), null);
+  assert.equal(sanitizeBirthDate("05/14/2023", TODAY), null);
+});
+
+test("childAgeMonthsOn prefers birthDate, then ageMonths, then age in years", () => {
+  assert.equal(childAgeMonthsOn({ age: 1, birthDate: "2024-12-10" }, "2027-01-01"), 24);
+  assert.equal(childAgeMonthsOn({ age: 1, ageMonths: 18 }, "2027-01-01"), 18);
+  assert.equal(childAgeMonthsOn({ age: 3 }, "2027-01-01"), 36);
+  assert.equal(addDaysIso("2026-12-31", 1), "2027-01-01");
+});
@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getClimateNormal, climatologyDay } from "../../src/backend/services/climateNormals.js";
+
+test("getClimateNormal uses the nearest station within range", () => {
+  const normal = getClimateNormal(47.45, -122.3, "2027-07-04");
+  assert.equal(normal.basis, "station");
+  assert.equal(normal.station, "Seattle, WA");
+  assert.equal(normal.high, 76);
+  assert.equal(normal.low, 56);
+});
+
+test("getClimateNormal falls back to latitude bands with southern seasons swapped", () => {
+  // Santiago, Chile — no bundled station nearby.
+  const january = getClimateNormal(-33.45, -70.67, "2027-01-15");
+  const july = getClimateNormal(-33.45, -70.67, "2027-07-15");
+  assert.equal(january.basis, "latitude");
+  assert.equal(january.station, null);
+  assert.ok(january.high > july.high, "January is summer in the southern hemisphere");
+  assert.equal(january.high, 91);
+  assert.equal(july.high, 63);
+});
+
+test("climatologyDay returns a forecast-shaped day tagged as climatology", () => {
+  const day = climatologyDay(44.98, -93.27, "2027-01-04");
+  assert.equal(day.date, "2027-01-04");
+  assert.equal(day.name, "Monday");
+  assert.equal(day.source, "climatology");
+  assert.equal(day.condition, "Snow possible");
+  assert.equal(day.low, 8);
+  assert.match(day.detailedForecast, /Typical January weather near Minneapolis, MN/);
+  assert.match(day.detailedForecast, /not a forecast/);
+});
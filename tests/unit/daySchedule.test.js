@@ -0,0 +1,110 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  addDaySchedules,
+  buildDaySchedule,
+  familyRoutine,
+  weatherWindows,
+} from "../../src/backend/services/daySchedule.js";
+
+const activities = [
+  { id: "zoo", name: "Zoo", weatherDependent: true },
+  { id: "museum", name: "Museum", weatherDependent: false },
+];
+
+// 24 hourly entries: hot from 09:00 to 12:00, rain from 15:00 to 17:00.
+const hourly = Array.from({ length: 24 }, (_, hour) => ({
+  time: `${String(hour).padStart(2, "0")}:00`,
+  temp: hour >= 9 && hour < 12 ? 94 : 78,
+  precipitation: hour >= 15 && hour < 17 ? 70 : 10,
+}));
+
+const summarize = (blocks) => blocks.map((block) => `${block.start}-${block.end} ${block.kind} ${block.activities.join(",")}`.trim());
+
+test("familyRoutine merges siblings' naps and uses the earliest bedtime", () => {
+  const routine = familyRoutine([
+    { age: 2, napStart: "12:30", napEnd: "14:30", bedtime: "19:30" },
+    { age: 4, napStart: "13:00", napEnd: "14:00", bedtime: "19:00" },
+    { age: 8 },
+  ]);
+  assert.equal(routine.nap.start, "12:30");
+  assert.equal(routine.nap.end, "14:30");
+  assert.equal(routine.bedtime, "19:00");
+  assert.deepEqual(familyRoutine([{ age: 9 }]), { nap: null, bedtime: null });
+});
+
+test("weatherWindows reads hot and rainy hours, or estimates heat without hourly data", () => {
+  assert.deepEqual(weatherWindows({ hourly }), {
+    hot: [{ start: "09:00", end: "12:00" }],
+    wet: [{ start: "15:00", end: "17:00" }],
+    estimated: false,
+  });
+  assert.deepEqual(weatherWindows({ high: 96 }).hot, [{ start: "13:00", end: "17:00" }]);
+  assert.deepEqual(weatherWindows({ high: 75 }).hot, []);
+});
+
+test("buildDaySchedule fits outings around the nap and bedtime and moves outdoor plans out of the heat", () => {
+  const routine = familyRoutine([{ age: 2, napStart: "12:30", napEnd: "14:30", bedtime: "19:00" }]);
+  const blocks = buildDaySchedule(["zoo", "museum"], { activities, routine, weatherDay: { hourly: hourly.map((h) => ({ ...h, precipitation: 0 })) } });
+
+  assert.deepEqual(summarize(blocks), [
+    "08:30-11:45 outing museum",
+    "11:45-12:30 meal",
+    "12:30-14:30 nap",
+    "14:30-17:00 outing zoo",
+    "17:00-18:00 meal",
+    "18:00-19:00 bedtime",
+  ]);
+});
+
+test("buildDaySchedule picks the outing with fewer bad hours and notes the ones it overlaps", () => {
+  const routine = familyRoutine([{ age: 3, napStart: "13:00", napEnd: "14:00" }]);
+  const blocks = buildDaySchedule(["zoo"], { activities, routine, weatherDay: { hourly } });
+  const outdoor = blocks.find((block) => block.activities.includes("zoo"));
+
+  // Morning overlaps 3 hot hours; the 14:00–19:00 afternoon only 2 rainy ones.
+  assert.equal(outdoor.start, "14:00");
+  assert.equal(outdoor.note, "Weather: rain likely 15:00–17:00 — keep outdoor time outside these hours.");
+});
+
+test("addDaySchedules matches itinerary days to forecast days by date", () => {
+  const plan = {
+    suggestedActivities: activities,
+    dailyItinerary: [
+      { day: "Day 1", activities: ["museum"] },
+      { day: "Day 2", activities: ["zoo"] },
+    ],
+  };
+  const result = addDaySchedules(plan, {
+    startDate: "2027-07-01",
+    children: [],
+    forecast: [
+      { date: "2027-07-02", high: 97 },
+      { date: "2027-07-01", high: 70 },
+    ],
+  });
+
+  const zooBlock = result.dailyItinerary[1].schedule.find((block) => block.activities.includes("zoo"));
+  assert.equal(zooBlock.label, "Morning outing", "Estimated afternoon heat keeps the zoo in the morning");
+  assert.equal(result.dailyItinerary[0].schedule.at(-1).label, "Dinner");
+  assert.equal(plan.dailyItinerary[0].schedule, undefined, "The input plan is not mutated");
+});
+
+test("addDaySchedules resolves itinerary entries that name activities instead of using ids", () => {
+  const plan = {
+    suggestedActivities: [
+      { id: "a1", name: "Beach Day", weatherDependent: true },
+      { id: "a2", name: "Museum", weatherDependent: false },
+    ],
+    dailyItinerary: [{ day: "Day 1", activities: ["beach day", "Museum"] }],
+  };
+  const result = addDaySchedules(plan, {
+    startDate: "2027-07-01",
+    children: [{ age: 3, napStart: "13:00", napEnd: "14:00" }],
+    forecast: [{ date: "2027-07-01", hourly }],
+  });
+
+  const outings = result.dailyItinerary[0].schedule.filter((block) => block.kind === "outing");
+  assert.deepEqual(outings.map((block) => block.activities), [["Museum"], ["beach day"]]);
+  assert.equal(outings[1].note, "Weather: rain likely 15:00–17:00 — keep outdoor time outside these hours.");
+});
@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DIETARY_PACKING_CATEGORY,
+  allergyCardLanguage,
+  dietaryPackingItems,
+  enforceDietaryMeals,
+  ensureDietaryPackingItems,
+  mealConflicts,
+} from "../../src/backend/services/dietary.js";
+
+test("mealConflicts flags allergens and diets unless the suggestion says it is safe", () => {
+  const dietary = { foodAllergies: ["peanut", "gluten", "dairy"], diets: ["vegetarian"] };
+  assert.deepEqual(mealConflicts("Pad thai at a night market", dietary), ["peanut allergy"]);
+  assert.deepEqual(mealConflicts("Gluten-free pasta with tomato sauce", dietary), []);
+  assert.deepEqual(mealConflicts("Apples with peanut butter", dietary), ["peanut allergy"], "Peanut butter is not dairy");
+  assert.deepEqual(mealConflicts("Chicken tacos", dietary), ["vegetarian"]);
+  assert.deepEqual(mealConflicts("Hamburger Hill picnic", { diets: ["halal"] }), [], "Whole words only");
+  assert.deepEqual(mealConflicts("Fish tacos", null), []);
+});
+
+test("enforceDietaryMeals drops conflicting meal ideas and notes the change", () => {
+  const plan = {
+    dailyItinerary: [
+      { day: "Day 1", activities: [], meals: "Breakfast: oatmeal at the hotel; Lunch: shrimp po'boys at the pier. Dinner: pizza.", notes: "Busy day." },
+      { day: "Day 2", activities: [], meals: "Fish and chips by the harbor", notes: "" },
+      { day: "Day 3", activities: [], meals: "Picnic with fruit and rice crackers", notes: "" },
+    ],
+  };
+
+  const result = enforceDietaryMeals(plan, { foodAllergies: ["shellfish", "fish"], diets: [] });
+
+  assert.equal(result.dailyItinerary[0].meals, "Breakfast: oatmeal at the hotel; Dinner: pizza.");
+  assert.deepEqual(result.dailyItinerary[0].dietaryConflicts, ["shellfish allergy"]);
+  assert.match(result.dailyItinerary[0].notes, /^Busy day\. 🍽️ Removed meal ideas that may not be shellfish-free, fish-free/);
+  assert.equal(
+    result.dailyItinerary[1].meals,
+    "Look for shellfish-free, fish-free options and ask about ingredients before ordering.",
+  );
+  assert.equal(result.dailyItinerary[2], plan.dailyItinerary[2], "Safe days are left alone");
+  assert.equal(enforceDietaryMeals(plan, null), plan);
+});
+
+test("dietaryPackingItems adds EpiPens for allergies and allergy cards abroad", () => {
+  const names = (items) => items.map((item) => item.name);
+
+  assert.deepEqual(names(dietaryPackingItems({ foodAllergies: ["peanut"], diets: [] }, { countryCode: "FR" })), [
+    "Safe snacks (peanut-free)",
+    "Epinephrine auto-injectors (EpiPen), if prescribed",
+    "Children's antihistamine",
+    "Allergy cards in French",
+  ]);
+  assert.deepEqual(names(dietaryPackingItems({ foodAllergies: ["gluten"], diets: ["kosher"] }, { countryCode: "GB" })), [
+    "Safe snacks (gluten-free, kosher)",
+  ]);
+  assert.deepEqual(names(dietaryPackingItems({ foodAllergies: [], diets: ["halal"] }, { countryCode: "JP" })), [
+    "Safe snacks (halal)",
+    "Diet cards in Japanese",
+  ]);
+  assert.equal(allergyCardLanguage("LV"), "the local language");
+  assert.equal(allergyCardLanguage("US"), null);
+  assert.deepEqual(dietaryPackingItems(null), []);
+});
+
+test("ensureDietaryPackingItems adds only the items the model left out", () => {
+  const list = {
+    categories: [
+      { name: "Medications", items: [{ name: "EpiPen 2-pack", quantity: "2", reason: "Peanut allergy" }] },
+      { name: "Snacks", items: [{ name: "Snacks", quantity: "6", reason: "Nut-free granola bars" }] },
+    ],
+  };
+
+  const result = ensureDietaryPackingItems(list, { foodAllergies: ["peanut"], diets: [] }, { countryCode: "IT" });
+
+  assert.equal(result.categories.length, 3);
+  assert.equal(result.categories[2].name, DIETARY_PACKING_CATEGORY);
+  assert.deepEqual(
+    result.categories[2].items.map((item) => item.name),
+    ["Children's antihistamine", "Allergy cards in Italian"],
+  );
+  assert.equal(ensureDietaryPackingItems(list, null), list);
+});
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildEmergencyCard,
+  embassyFor,
+  emergencyNumbersFor,
+  pickHospitals,
+} from "../../src/backend/services/emergencyCard.js";
+
+const hospital = (id, distanceMiles, extra = {}) => ({
+  id: `way/${id}`,
+  name: `Hospital ${id}`,
+  lat: 0,
+  lon: 0,
+  distanceMiles,
+  pediatric: false,
+  emergency: false,
+  ...extra,
+});
+
+test("emergencyNumbersFor uses the bundled table and falls back to 112", () => {
+  assert.deepEqual(emergencyNumbersFor("US"), { general: "911" });
+  assert.equal(emergencyNumbersFor("AU").general, "000");
+  assert.equal(emergencyNumbersFor("JP").police, "110");
+  assert.deepEqual(emergencyNumbersFor("ZZ"), { general: "112" });
+});
+
+test("embassyFor lists the U.S. embassy abroad and nothing at home", () => {
+  assert.equal(embassyFor("US"), null);
+  assert.deepEqual(embassyFor("GB"), {
+    name: "U.S. Embassy London",
+    url: "https://uk.usembassy.gov/",
+    emergencyPhone: "+1-202-501-4444",
+  });
+  assert.equal(embassyFor("ZZ").url, "https://www.usembassy.gov/");
+});
+
+test("pickHospitals prefers a tagged emergency department and lists a separate children's hospital", () => {
+  const picked = pickHospitals([
+    hospital(1, 0.8),
+    hospital(2, 1.5, { emergency: true }),
+    hospital(3, 4.2, { pediatric: true, emergency: true }),
+  ]);
+  assert.equal(picked.nearestEmergencyRoom.id, "way/2");
+  assert.equal(picked.nearestChildrensHospital.id, "way/3");
+
+  const untagged = pickHospitals([hospital(1, 0.8, { pediatric: true })]);
+  assert.equal(untagged.nearestEmergencyRoom.id, "way/1", "Falls back to the nearest hospital");
+  assert.equal(untagged.nearestChildrensHospital, null, "The same hospital is not listed twice");
+});
+
+test("buildEmergencyCard combines contacts, hospitals and the children's medical details", () => {
+  const card = buildEmergencyCard({
+    destination: "Sydney, NSW",
+    countryCode: "AU",
+    children: [{ age: 3, weightLb: 32, heightIn: 38, allergies: ["Peanuts"], medications: ["EpiPen Jr"] }],
+    hospitals: null,
+  });
+
+  assert.equal(card.emergencyNumbers.general, "000");
+  assert.equal(card.poisonControl.phone, "13 11 26");
+  assert.equal(card.embassy.name, "U.S. Embassy Canberra");
+  assert.equal(card.hospitalsChecked, false);
+  assert.equal(card.nearestEmergencyRoom, null);
+  assert.deepEqual(card.children, [{ age: 3, weightLb: 32, allergies: ["Peanuts"], medications: ["EpiPen Jr"] }]);
+
+  const home = buildEmergencyCard({ countryCode: "US", hospitals: [] });
+  assert.equal(home.embassy, null);
+  assert.equal(home.hospitalsChecked, true);
+});
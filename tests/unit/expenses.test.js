@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createExpense, summarizeSpending } from "../../src/frontend/src/utils/expenses.js";
+
+const BUDGET = { totals: { total: { low: 1000, high: 2000 } } };
+
+test("createExpense rounds the amount and rejects empty or negative ones", () => {
+  const expense = createExpense({ description: "  Aquarium tickets ", amount: "96.499", category: "admission", date: "2027-06-01" });
+  assert.ok(expense.id);
+  assert.deepEqual({ ...expense, id: undefined }, {
+    id: undefined,
+    date: "2027-06-01",
+    category: "admission",
+    description: "Aquarium tickets",
+    amount: 96.5,
+  });
+  assert.equal(createExpense({ amount: "" }), null);
+  assert.equal(createExpense({ amount: "-4" }), null);
+  assert.equal(createExpense({ amount: 5, category: "souvenirs" }).category, "other");
+});
+
+test("summarizeSpending totals expenses by day against the estimate range", () => {
+  const expenses = [
+    { id: "1", date: "2027-06-01", category: "meals", description: "", amount: 60.25 },
+    { id: "2", date: "2027-06-01", category: "admission", description: "", amount: 400 },
+    { id: "3", date: null, category: "fuel", description: "", amount: 50 },
+  ];
+
+  assert.deepEqual(summarizeSpending(expenses, BUDGET), {
+    spent: 510.25,
+    byDate: { "2027-06-01": 460.25 },
+    status: "under",
+    percentOfHigh: 26,
+  });
+  assert.equal(summarizeSpending([...expenses, { id: "4", amount: 1000 }], BUDGET).status, "within");
+  assert.equal(summarizeSpending([{ id: "5", amount: 2500 }], BUDGET).percentOfHigh, 100);
+  assert.equal(summarizeSpending([{ id: "5", amount: 2500 }], BUDGET).status, "over");
+});
@@ -0,0 +1,133 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  __resetFamilyEssentialsCacheForTests,
+  classifyEssential,
+  getFamilyEssentials,
+  rankEssentials,
+} from "../../src/backend/services/familyEssentials.js";
+
+const originalFetch = global.fetch;
+
+test.afterEach(() => {
+  global.fetch = originalFetch;
+  __resetFamilyEssentialsCacheForTests();
+});
+
+// Origin in downtown Seattle; 0.01° of latitude is about 0.7 miles.
+const ORIGIN = { lat: 47.6, lon: -122.33 };
+const node = (id, dLat, tags) => ({ type: "node", id, lat: ORIGIN.lat + dLat, lon: ORIGIN.lon, tags });
+
+test("classifyEssential sorts OSM tags into essentials categories", () => {
+  assert.equal(classifyEssential({ leisure: "playground" }), "playgrounds");
+  assert.equal(classifyEssential({ amenity: "toilets", changing_table: "yes" }), "changingTables");
+  assert.equal(classifyEssential({ amenity: "toilets", changing_table: "no" }), null);
+  assert.equal(classifyEssential({ amenity: "pharmacy" }), "pharmacies");
+  assert.equal(classifyEssential({ amenity: "clinic", urgent_care: "yes" }), "urgentCare");
+  assert.equal(classifyEssential({ amenity: "doctors", "healthcare:speciality": "paediatrics" }), "urgentCare");
+  assert.equal(
+    classifyEssential({ amenity: "hospital", "healthcare:speciality": "paediatrics" }),
+    "hospitals",
+    "A children's hospital is listed once, as a hospital",
+  );
+  assert.equal(classifyEssential({ amenity: "cafe" }), null);
+});
+
+test("rankEssentials orders by distance, prefers pediatric urgent care and caps each category", () => {
+  const elements = [
+    ...Array.from({ length: 7 }, (_, i) => node(100 + i, 0.01 * (7 - i), { leisure: "playground" })),
+    node(200, 0.01, { amenity: "clinic", urgent_care: "yes", name: "Walk-in Clinic" }),
+    node(201, 0.02, { amenity: "clinic", urgent_care: "yes", "healthcare:speciality": "paediatrics", name: "Kids Urgent Care" }),
+    { type: "way", id: 300, center: { lat: ORIGIN.lat + 0.03, lon: ORIGIN.lon }, tags: { amenity: "hospital", emergency: "yes" } },
+    node(100, 0.01, { leisure: "playground" }),
+    { type: "node", id: 400, tags: { amenity: "pharmacy" } },
+  ];
+
+  const essentials = rankEssentials(elements, ORIGIN.lat, ORIGIN.lon);
+
+  assert.equal(essentials.playgrounds.length, 5);
+  assert.deepEqual(essentials.playgrounds.map((place) => place.id), ["node/106", "node/105", "node/104", "node/103", "node/102"]);
+  assert.equal(essentials.playgrounds[0].name, "Playground");
+  assert.deepEqual(essentials.urgentCare.map((place) => place.name), ["Kids Urgent Care", "Walk-in Clinic"]);
+  assert.equal(essentials.urgentCare[0].pediatric, true);
+  assert.deepEqual(essentials.hospitals, [
+    { id: "way/300", name: "Hospital", lat: ORIGIN.lat + 0.03, lon: ORIGIN.lon, distanceMiles: 2.1, pediatric: false, emergency: true },
+  ]);
+  assert.deepEqual(essentials.pharmacies, [], "Elements without coordinates are skipped");
+  assert.deepEqual(essentials.changingTables, []);
+});
+
+test("getFamilyEssentials queries Overpass once per point and radius, then serves the cache", async () => {
+  const bodies = [];
+  global.fetch = async (url, options) => {
+    assert.match(String(url), /overpass-api\.de/);
+    bodies.push(decodeURIComponent(String(options.body)));
+    return new Response(
+      JSON.stringify({
+        elements: [node(1, 0.005, { amenity: "toilets", changing_table: "yes", opening_hours: "24/7" })],
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } },
+    );
+  };
+
+  const first = await getFamilyEssentials(ORIGIN.lat, ORIGIN.lon, { radiusMiles: 50 });
+  await getFamilyEssentials(ORIGIN.lat, ORIGIN.lon, { radiusMiles: 50 });
+
+  assert.equal(bodies.length, 1);
+  assert.equal(first.radiusMiles, 10, "The radius is clamped to 10 miles");
+  assert.match(bodies[0], /around:16093,47\.6,-122\.33/);
+  assert.equal(first.essentials.changingTables[0].openingHours, "24/7");
+});
+
+test("getFamilyEssentials caps each category on its own so crowded ones don't hide hospitals", async () => {
+  // Overpass-like stub: each `out ... N;` statement returns its first N matches in id order.
+  const places = [
+    ...Array.from({ length: 400 }, (_, i) => ({ filter: '["leisure"="playground"]', element: node(i + 1, 0.001, { leisure: "playground" }) })),
+    { filter: '["amenity"="hospital"]', element: node(9000, 0.02, { amenity: "hospital", emergency: "yes", name: "Harborview" }) },
+  ];
+  let outputs = 0;
+  global.fetch = async (url, options) => {
+    const statements = decodeURIComponent(String(options.body)).split(/out center tags (\d+);/);
+    const elements = [];
+    for (let i = 0; i + 1 < statements.length; i += 2) {
+      outputs += 1;
+      const matches = places.filter((place) => statements[i].includes(place.filter));
+      elements.push(...matches.slice(0, Number(statements[i + 1])).map((place) => place.element));
+    }
+    return new Response(JSON.stringify({ elements }), { status: 200, headers: { "Content-Type": "application/json" } });
+  };
+
+  const result = await getFamilyEssentials(ORIGIN.lat, ORIGIN.lon, { radiusMiles: 2 });
+
+  assert.equal(outputs, 5, "One output statement per category");
+  assert.equal(result.essentials.playgrounds.length, 5);
+  assert.deepEqual(result.essentials.hospitals.map((place) => place.name), ["Harborview"]);
+});
+
+test("getFamilyEssentials throws when Overpass is unavailable", async () => {
+  global.fetch = async () => new Response("busy", { status: 429 });
+  await assert.rejects(getFamilyEssentials(ORIGIN.lat, ORIGIN.lon), /Nearby places service unavailable/);
+});
+
+test("getFamilyEssentials can look up a subset of categories", async () => {
+  let body = "";
+  global.fetch = async (url, options) => {
+    body = decodeURIComponent(String(options.body));
+    return new Response(
+      JSON.stringify({
+        elements: [
+          node(1, 0.01, { amenity: "hospital", emergency: "yes" }),
+          node(2, 0.01, { amenity: "pharmacy", "healthcare:speciality": "paediatrics" }),
+        ],
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } },
+    );
+  };
+
+  const result = await getFamilyEssentials(ORIGIN.lat, ORIGIN.lon, { categories: ["hospitals"] });
+
+  assert.match(body, /"amenity"="hospital"/);
+  assert.doesNotMatch(body, /playground|pharmacy/);
+  assert.equal(result.essentials.hospitals.length, 1);
+  assert.deepEqual(result.essentials.pharmacies, []);
+});
@@ -0,0 +1,120 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildItineraryCalendar,
+  isValidTimeZone,
+  parseDurationMinutes,
+  zonedTimeToUtc,
+} from "../../src/backend/services/itineraryCalendar.js";
+
+const NOW = new Date("2026-10-19T12:00:00.000Z");
+
+function makeRecord(overrides = {}) {
+  return {
+    id: "trip-123",
+    trip: { destination: "Denver, CO", startDate: "2026-11-01", endDate: "2026-11-02", timeZone: "America/Denver" },
+    tripPlan: {
+      suggestedActivities: [
+        { id: "a1", name: "Denver Zoo", duration: "2-3 hours", description: "Animals, carousel", category: "outdoor" },
+        { id: "a2", name: "Children's Museum", duration: "2 hours" },
+        { id: "a3", name: "Red Rocks", duration: "flexible" },
+      ],
+      dailyItinerary: [
+        { day: "Day 1", activities: ["a1", "Children's Museum"], meals: "Picnic lunch", notes: "Nap at 1pm" },
+        { day: "Day 2", activities: ["a3", "Pool time"] },
+      ],
+    },
+    ...overrides,
+  };
+}
+
+// Unfold RFC 5545 continuation lines for easier assertions.
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+
+// ── parseDurationMinutes ────────────────────────────────────────────────────
+
+test("parseDurationMinutes handles hours, ranges, minutes and day labels", () => {
+  assert.equal(parseDurationMinutes("2 hours"), 120);
+  assert.equal(parseDurationMinutes("2-3 hours"), 150);
+  assert.equal(parseDurationMinutes("1.5 hrs"), 90);
+  assert.equal(parseDurationMinutes("45 minutes"), 45);
+  assert.equal(parseDurationMinutes("Half day"), 240);
+  assert.equal(parseDurationMinutes("full-day"), 480);
+  assert.equal(parseDurationMinutes("flexible"), null);
+  assert.equal(parseDurationMinutes(undefined), null);
+});
+
+// ── Time zones ──────────────────────────────────────────────────────────────
+
+test("isValidTimeZone accepts IANA names and rejects junk", () => {
+  assert.equal(isValidTimeZone("America/Denver"), true);
+  assert.equal(isValidTimeZone("Mars/Olympus"), false);
+  assert.equal(isValidTimeZone(null), false);
+});
+
+test("zonedTimeToUtc respects DST on both sides of the change", () => {
+  // Denver: MDT (UTC-6) on Oct 31 2026, MST (UTC-7) after the Nov 1 02:00 fall-back.
+  assert.equal(zonedTimeToUtc("2026-10-31", 9 * 60, "America/Denver").toISOString(), "2026-10-31T15:00:00.000Z");
+  assert.equal(zonedTimeToUtc("2026-11-02", 9 * 60, "America/Denver").toISOString(), "2026-11-02T16:00:00.000Z");
+});
+
+// ── buildItineraryCalendar ──────────────────────────────────────────────────
+
+test("buildItineraryCalendar emits an all-day summary per day and timed activities in UTC", () => {
+  const ics = unfold(buildItineraryCalendar(makeRecord(), { now: NOW }));
+
+  assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(ics, /END:VCALENDAR\r\n$/);
+  assert.match(ics, /X-WR-TIMEZONE:America\/Denver/);
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, 6);
+
+  // Day 1 summary event
+  assert.match(ics, /UID:trip-123-d1@sproutroute.app\r\nDTSTART;VALUE=DATE:20261101\r\nDTEND;VALUE=DATE:20261102/);
+  assert.match(ics, /DESCRIPTION:Plan: Denver Zoo\\, Children's Museum\\nMeals: Picnic lunch\\nNotes: Nap at 1pm/);
+
+  // Zoo 9:00–11:30 MST, museum after a 30 minute gap
+  assert.match(ics, /SUMMARY:Denver Zoo[\s\S]*?DTSTART:20261101T160000Z\r\nDTEND:20261101T183000Z/);
+  assert.match(ics, /SUMMARY:Children's Museum[\s\S]*?DTSTART:20261101T190000Z\r\nDTEND:20261101T210000Z/);
+  assert.match(ics, /CATEGORIES:outdoor/);
+});
+
+test("buildItineraryCalendar keeps activities without a usable duration as all-day events", () => {
+  const ics = unfold(buildItineraryCalendar(makeRecord(), { now: NOW }));
+  assert.match(ics, /UID:trip-123-d2-a1@sproutroute.app\r\nSUMMARY:Red Rocks[\s\S]*?DTSTART;VALUE=DATE:20261102/);
+  // Unresolved references fall back to the raw label.
+  assert.match(ics, /SUMMARY:Pool time[\s\S]*?DTSTART;VALUE=DATE:20261102/);
+});
+
+test("buildItineraryCalendar places activities inside their scheduled outing blocks", () => {
+  const record = makeRecord();
+  record.tripPlan.dailyItinerary[0].schedule = [
+    { start: "08:30", end: "11:45", kind: "outing", label: "Morning outing", activities: ["Children's Museum"] },
+    { start: "12:30", end: "14:30", kind: "nap", label: "Nap & quiet time", activities: [] },
+    { start: "14:30", end: "17:00", kind: "outing", label: "Afternoon outing", activities: ["a1"] },
+  ];
+  const ics = unfold(buildItineraryCalendar(record, { now: NOW }));
+
+  // Museum 8:30–10:30 MST, zoo after the nap at 14:30–17:00
+  assert.match(ics, /SUMMARY:Children's Museum[\s\S]*?DTSTART:20261101T153000Z\r\nDTEND:20261101T173000Z/);
+  assert.match(ics, /SUMMARY:Denver Zoo[\s\S]*?DTSTART:20261101T213000Z\r\nDTEND:20261102T000000Z/);
+});
+
+test("buildItineraryCalendar uses floating local times when no time zone is known", () => {
+  const record = makeRecord();
+  delete record.trip.timeZone;
+  const ics = buildItineraryCalendar(record, { now: NOW });
+
+  assert.doesNotMatch(ics, /X-WR-TIMEZONE/);
+  assert.match(ics, /DTSTART:20261101T090000\r\n/);
+});
+
+test("buildItineraryCalendar folds long lines at 75 octets", () => {
+  const record = makeRecord();
+  record.tripPlan.suggestedActivities[0].description = "Meet the giraffes 🦒 ".repeat(20);
+  const ics = buildItineraryCalendar(record, { now: NOW });
+
+  for (const line of ics.split("\r\n")) {
+    assert.ok(Buffer.byteLength(line, "utf8") <= 75, `line too long: ${line}`);
+  }
+  assert.match(unfold(ics), /Meet the giraffes 🦒 Meet the giraffes/);
+});
@@ -3,7 +3,7 @@
  *
  * Tests verify that generatePackingList produces correct prompt content for:
  *   - Cruise-specific packing category and items
- *   - Age-appropriate guardrails (no diapers for older kids)
+ *   - Age-appropriate guardrails (no diapers for older kids), using ages on the travel date
  *   - RAG template injection into user prompt
  *   - Prompt caching enabled on first attempt
  *
@@ -201,6 +201,27 @@ test("generatePackingList allows diapers for toddler-age children", async () =>
   );
 });
 
+test("generatePackingList applies age guards to the age on the travel date", async () => {
+  delete process.env.AI_PROVIDER;
+  const { captured, mockAnthropicClient } = createCapturingMock();
+
+  await generatePackingList(
+    {
+      destination: "Seattle, WA",
+      startDate: "2026-12-01",
+      endDate: "2026-12-04",
+      activities: ["parks"],
+      // Entered as 2 today, but 3 by the time the trip starts
+      children: [{ age: 2, birthDate: "2023-11-01" }],
+    },
+    mockWeather,
+    { anthropicClient: mockAnthropicClient },
+  );
+
+  const systemText = extractSystemText(captured.calls[0]);
+  assert.ok(systemText.includes("DO NOT include diapers"), "Child is 3 on the travel date");
+});
+
 test("generatePackingList includes Baby/Toddler Items category for young children", async () => {
   delete process.env.AI_PROVIDER;
   const { captured, mockAnthropicClient } = createCapturingMock();
@@ -225,6 +246,56 @@ test("generatePackingList includes Baby/Toddler Items category for young childre
   );
 });
 
+test("generatePackingList prints °C and asks for metric quantities when unitSystem is metric", async () => {
+  delete process.env.AI_PROVIDER;
+  const { captured, mockAnthropicClient } = createCapturingMock();
+
+  await generatePackingList(
+    {
+      destination: "Vancouver, BC",
+      startDate: "2026-06-01",
+      endDate: "2026-06-04",
+      activities: ["parks"],
+      children: [{ age: 5 }],
+      unitSystem: "metric",
+    },
+    mockWeather,
+    { anthropicClient: mockAnthropicClient },
+  );
+
+  const call = captured.calls[0];
+  const userText = call.messages.map((m) => (typeof m.content === "string" ? m.content : "")).join("");
+  assert.ok(extractSystemText(call).includes("Use metric units"), "System prompt should ask for metric units");
+  assert.ok(userText.includes("Monday: 29°C"), "Forecast should be printed in °C");
+  assert.ok(!userText.includes("°F"), "No °F in a metric prompt");
+});
+
+test("generatePackingList marks climatology days as typical rather than forecast", async () => {
+  delete process.env.AI_PROVIDER;
+  const { captured, mockAnthropicClient } = createCapturingMock();
+
+  await generatePackingList(
+    {
+      destination: "Seattle, WA",
+      startDate: "2027-01-11",
+      endDate: "2027-01-12",
+      activities: ["parks"],
+      children: [{ age: 5 }],
+    },
+    {
+      summary: "These dates are beyond the forecast range, so this uses typical conditions.",
+      forecast: [
+        { name: "Monday", high: 48, low: 37, condition: "Rain likely", precipitation: 63, source: "climatology" },
+      ],
+    },
+    { anthropicClient: mockAnthropicClient },
+  );
+
+  const userText = captured.calls[0].messages.map((m) => (typeof m.content === "string" ? m.content : "")).join("");
+  assert.ok(userText.includes("Monday: 48°F, Rain likely, 63% rain chance (typical for the date, not a forecast)"));
+  assert.ok(userText.includes("climate averages for the date, not forecasts"));
+});
+
 // ── RAG template injection ───────────────────────────────────────────────────
 
 test("generatePackingList injects RAG base template into user prompt", async () => {
@@ -344,3 +415,94 @@ test("generatePackingList enables prompt caching on first attempt", async () =>
     "First attempt should have cache_control: { type: 'ephemeral' }",
   );
 });
+
+test("generatePackingList asks for sun, mask and heat gear only when the forecast calls for it", async () => {
+  delete process.env.AI_PROVIDER;
+  const { captured, mockAnthropicClient } = createCapturingMock();
+  const trip = {
+    destination: "Sacramento, CA",
+    startDate: "2027-08-02",
+    endDate: "2027-08-03",
+    activities: ["parks"],
+    children: [{ age: 1 }, { age: 5 }],
+  };
+
+  await generatePackingList(
+    trip,
+    {
+      summary: "Hot and smoky",
+      forecast: [{ name: "Monday", high: 99, low: 70, condition: "Haze", precipitation: 0, uvIndex: 9, aqi: 165, heatIndex: 99, heatRisk: "high" }],
+    },
+    { anthropicClient: mockAnthropicClient },
+  );
+  await generatePackingList(trip, mockWeather, { anthropicClient: mockAnthropicClient });
+
+  const [risky, mild] = captured.calls.map(extractSystemText);
+  assert.match(risky, /UV index 6 or higher: wide-brim sun hats/);
+  assert.match(risky, /kid-size N95\/KN95 masks for children aged 2 and up only/);
+  assert.match(risky, /High heat risk: extra water bottles/);
+  assert.ok(!mild.includes("Sun, air quality and heat"), "No risk gear section without risk data");
+});
+
+test("generatePackingList asks for dietary items and adds the ones the model leaves out", async () => {
+  delete process.env.AI_PROVIDER;
+  const { captured, mockAnthropicClient } = createCapturingMock();
+
+  const result = await generatePackingList(
+    {
+      destination: "Paris, France",
+      startDate: "2027-05-03",
+      endDate: "2027-05-06",
+      activities: ["museums"],
+      children: [{ age: 6 }],
+      countryCode: "FR",
+      dietary: { foodAllergies: ["tree_nut"], diets: ["vegetarian"] },
+    },
+    mockWeather,
+    { anthropicClient: mockAnthropicClient },
+  );
+
+  const systemText = extractSystemText(captured.calls[0]);
+  assert.match(systemText, /\*\*Dietary needs — tree nut allergy, vegetarian \(include these\):\*\*/);
+  assert.match(systemText, /- Every snack and food item must be tree-nut-free, vegetarian/);
+  assert.match(systemText, /- Allergy cards in French: To show restaurant staff/);
+  assert.ok(captured.calls[0].messages[0].content.includes("- Dietary needs: tree nut allergy, vegetarian"));
+
+  const dietaryCategory = result.categories.find((category) => category.name === "Dietary Needs");
+  assert.deepEqual(dietaryCategory.items.map((item) => item.name), [
+    "Safe snacks (tree-nut-free, vegetarian)",
+    "Epinephrine auto-injectors (EpiPen), if prescribed",
+    "Children's antihistamine",
+    "Allergy cards in French",
+  ]);
+});
+
+test("generatePackingList asks for equipment items and adds the ones the model leaves out", async () => {
+  delete process.env.AI_PROVIDER;
+  const { captured, mockAnthropicClient } = createCapturingMock();
+
+  const result = await generatePackingList(
+    {
+      destination: "Denver, CO",
+      startDate: "2027-07-12",
+      endDate: "2027-07-15",
+      activities: ["parks"],
+      children: [{ age: 9 }],
+      accessibility: { mobility: [], sensory: ["noise"], equipment: ["feeding_pump"] },
+    },
+    mockWeather,
+    { anthropicClient: mockAnthropicClient },
+  );
+
+  const systemText = extractSystemText(captured.calls[0]);
+  assert.match(systemText, /\*\*Accessibility — a family member is sensitive to noise; brings feeding pump \(include these\):\*\*/);
+  assert.match(systemText, /- Noise-cancelling headphones or ear defenders: For loud venues/);
+  assert.ok(captured.calls[0].messages[0].content.includes("- Accessibility: is sensitive to noise; brings feeding pump"));
+
+  const category = result.categories.find((entry) => entry.name === "Accessibility & Medical Equipment");
+  assert.deepEqual(category.items.map((item) => item.name), [
+    "Noise-cancelling headphones or ear defenders",
+    "Feeding pump charger and spare supplies (extension sets, syringes, formula)",
+    "Doctor's letter listing medical equipment and medications",
+  ]);
+});
@@ -19,6 +19,12 @@ test("detectClimateZone returns 'temperate' for empty forecast", () => {
   assert.equal(detectClimateZone([]), "temperate");
 });
 
+test("detectClimateZone widens climatology lows before the cold check", () => {
+  const day = { high: 55, low: 40, precipitation: 30 };
+  assert.equal(detectClimateZone([day]), "temperate");
+  assert.equal(detectClimateZone([{ ...day, source: "climatology" }]), "cold");
+});
+
 test("detectClimateZone returns 'temperate' for null/undefined input", () => {
   assert.equal(detectClimateZone(null), "temperate");
   assert.equal(detectClimateZone(undefined), "temperate");
@@ -0,0 +1,124 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createResearchCache } from "../../src/backend/services/researchCache.js";
+import { createMemoryRuleStore } from "../../src/backend/services/ruleStore.js";
+import { hashSourceText } from "../../src/backend/services/safetyLawResearch.js";
+import { getCarSeatGuidance } from "../../src/backend/services/safetyRules.js";
+
+const SOURCE_URL = "https://example.gov/child-passenger-safety";
+const REQUEST = { jurisdictionCode: "WA", jurisdictionName: "Washington", sourceUrl: SOURCE_URL };
+
+// A fake official page plus a fake model: research returns one booster rule per call.
+function createFakes(pageText = "Children under 8 must ride in a booster seat.") {
+  const calls = { fetch: 0, research: 0 };
+  const fakes = {
+    calls,
+    page: pageText,
+    fetchSourceTextFn: async () => {
+      calls.fetch += 1;
+      return fakes.page;
+    },
+    researchFn: async ({ jurisdictionCode, jurisdictionName, sourceUrl, sourceText }) => {
+      calls.research += 1;
+      return {
+        jurisdictionCode,
+        jurisdictionName,
+        sourceUrl,
+        sourceHash: hashSourceText(sourceText),
+        effectiveDate: "Not found in repo",
+        verificationStatus: "Needs review",
+        notes: `Research #${calls.research}`,
+        rules: [{ priority: 1, requiredRestraint: "booster", seatPosition: "rear_seat_preferred", minAgeMonths: 48 }],
+      };
+    },
+  };
+  return fakes;
+}
+
+function createCache(fakes, store = createMemoryRuleStore()) {
+  let tick = 0;
+  return createResearchCache({
+    store,
+    researchFn: fakes.researchFn,
+    fetchSourceTextFn: fakes.fetchSourceTextFn,
+    now: () => new Date(Date.UTC(2026, 9, 19, 12, tick++)),
+  });
+}
+
+test("research caches the first result with its source hash and reuses it", async () => {
+  const fakes = createFakes();
+  const cache = createCache(fakes);
+
+  const first = await cache.research(REQUEST);
+  const second = await cache.research(REQUEST);
+
+  assert.equal(fakes.calls.research, 1);
+  assert.equal(first.sourceHash, hashSourceText(fakes.page));
+  assert.equal(first.researchedAt, "2026-10-19T12:00:00.000Z");
+  assert.deepEqual(second, first);
+});
+
+test("concurrent misses for one jurisdiction share a single research call", async () => {
+  const fakes = createFakes();
+  const cache = createCache(fakes);
+
+  await Promise.all([cache.research(REQUEST), cache.research(REQUEST), cache.research(REQUEST)]);
+  assert.equal(fakes.calls.research, 1);
+});
+
+test("refresh leaves unchanged pages alone and re-researches changed ones", async () => {
+  const fakes = createFakes();
+  const cache = createCache(fakes);
+  await cache.research(REQUEST);
+
+  const quiet = await cache.refresh();
+  assert.deepEqual(quiet.unchanged, ["WA"]);
+  assert.equal(fakes.calls.research, 1);
+
+  fakes.page = "Children under 9 must ride in a booster seat.";
+  const changed = await cache.refresh();
+  assert.deepEqual(changed.reResearched, ["WA"]);
+  assert.equal(fakes.calls.research, 2);
+
+  const [entry] = await cache.list();
+  assert.equal(entry.sourceHash, hashSourceText(fakes.page));
+  assert.equal(entry.sourceChanged, false);
+  assert.ok(entry.sourceChangedAt);
+  assert.equal((await cache.research(REQUEST)).notes, "Research #2");
+});
+
+test("refresh flags a changed page when re-research yields no rules", async () => {
+  const fakes = createFakes();
+  const store = createMemoryRuleStore();
+  await createCache(fakes, store).research(REQUEST);
+
+  const failing = createResearchCache({
+    store,
+    researchFn: async () => null,
+    fetchSourceTextFn: async () => "Page redesigned.",
+  });
+  const summary = await failing.refresh();
+  assert.deepEqual(summary.flagged, ["WA"]);
+
+  const ruleSet = await failing.research(REQUEST);
+  assert.equal(ruleSet.sourceChanged, true);
+  assert.equal(ruleSet.notes, "Research #1");
+});
+
+test("getCarSeatGuidance reports researchedAt for cached AI-researched rules", async () => {
+  const fakes = createFakes();
+  const cache = createCache(fakes);
+  const guidance = await getCarSeatGuidance(
+    { jurisdictionCode: "WA", children: [{ id: "child-1", age: 6, weightLb: 45, heightIn: 46 }] },
+    {
+      ruleSetFn: async () => null,
+      sourceRegistry: { WA: SOURCE_URL },
+      researchFn: (request) => cache.research(request),
+    },
+  );
+
+  assert.equal(guidance.researchedAt, "2026-10-19T12:00:00.000Z");
+  assert.equal(guidance.sourceChanged, false);
+  assert.equal(guidance.ruleVersion, null);
+  assert.equal(guidance.results[0].requiredRestraint, "booster");
+});
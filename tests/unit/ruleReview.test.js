@@ -0,0 +1,146 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import {
+  createRuleReviewService,
+  diffRuleSets,
+  sanitizeRuleSetProposal,
+} from "../../src/backend/services/ruleReview.js";
+import { createFileRuleStore, createMemoryRuleStore } from "../../src/backend/services/ruleStore.js";
+import { getCarSeatGuidance } from "../../src/backend/services/safetyRules.js";
+import { CAR_SEAT_RULES } from "../../src/backend/data/carSeatRules.js";
+
+const FIXED_NOW = () => new Date("2026-10-19T12:00:00Z");
+
+// WA baseline with the booster rule moved to rear_seat_required and an effective date filled in.
+function waProposal(overrides = {}) {
+  return {
+    sourceUrl: CAR_SEAT_RULES.WA.sourceUrl,
+    effectiveDate: "2026-09-01",
+    notes: CAR_SEAT_RULES.WA.notes,
+    rules: CAR_SEAT_RULES.WA.rules.map((rule) =>
+      rule.priority === 3 ? { ...rule, seatPosition: "rear_seat_required" } : { ...rule },
+    ),
+    ...overrides,
+  };
+}
+
+function createService(store = createMemoryRuleStore()) {
+  return createRuleReviewService({ store, now: FIXED_NOW });
+}
+
+test("sanitizeRuleSetProposal rejects missing dates, bad enums and inverted ranges", () => {
+  const { ruleSet, errors } = sanitizeRuleSetProposal({
+    sourceUrl: "http://example.com",
+    rules: [
+      { priority: 1, requiredRestraint: "hammock", seatPosition: "roof", minAgeMonths: 24, maxAgeMonths: 12 },
+    ],
+  });
+  assert.equal(ruleSet, null);
+  assert.ok(errors.some((e) => e.includes("effectiveDate")));
+  assert.ok(errors.some((e) => e.includes("https")));
+  assert.ok(errors.some((e) => e.includes("requiredRestraint")));
+  assert.ok(errors.some((e) => e.includes("seatPosition")));
+  assert.ok(errors.some((e) => e.includes("minAgeMonths")));
+});
+
+test("diffRuleSets reports changed fields by rule priority", () => {
+  const current = { effectiveDate: "Not found in repo", rules: CAR_SEAT_RULES.WA.rules };
+  const diff = diffRuleSets(current, waProposal());
+  assert.deepEqual(
+    diff.find((change) => change.path === "rules[priority=3].seatPosition"),
+    { path: "rules[priority=3].seatPosition", from: "rear_seat_required_under_13", to: "rear_seat_required" },
+  );
+  assert.ok(diff.some((change) => change.path === "effectiveDate"));
+});
+
+test("vehicle exemptions are validated and diffed like rule fields", () => {
+  const invalid = sanitizeRuleSetProposal(waProposal({ vehicleExemptions: { boat: { status: "exempt" } } }));
+  assert.ok(invalid.errors.some((e) => e.includes("vehicleExemptions.boat")));
+
+  const { ruleSet } = sanitizeRuleSetProposal(
+    waProposal({ vehicleExemptions: { taxi: { status: "exempt", note: "Licensed taxis are exempt." } } }),
+  );
+  const diff = diffRuleSets({ ...ruleSet, vehicleExemptions: undefined }, ruleSet);
+  assert.ok(diff.some((change) => change.path === "vehicleExemptions.taxi.status" && change.to === "exempt"));
+});
+
+test("approving a proposal creates a Verified version that guidance reports", async () => {
+  const review = createService();
+  const proposed = await review.propose("WA", { ruleSet: waProposal(), proposedBy: "Dana" });
+  assert.equal(proposed.proposal.status, "pending");
+  assert.equal(proposed.proposal.baseVersion, 1);
+  assert.ok(proposed.diff.length > 0);
+
+  const approved = await review.approve("WA", proposed.proposal.id, { reviewedBy: "Sam" });
+  assert.equal(approved.version.version, 2);
+  assert.equal(approved.ruleSet.verificationStatus, "Verified");
+  assert.equal(approved.ruleSet.reviewedBy, "Sam");
+  assert.equal(approved.ruleSet.reviewedOn, "2026-10-19");
+
+  const history = await review.getHistory("WA");
+  assert.equal(history.currentVersion, 2);
+  assert.equal(history.proposals[0].status, "approved");
+
+  const guidance = await getCarSeatGuidance(
+    { destination: "Seattle, WA", children: [{ id: "child-1", age: 5, weightLb: 45, heightIn: 44 }] },
+    { ruleSetFn: (code) => review.getCurrentRuleSet(code) },
+  );
+  assert.equal(guidance.ruleVersion, 2);
+  assert.equal(guidance.effectiveDate, "2026-09-01");
+  assert.equal(guidance.reviewedBy, "Sam");
+  assert.equal(guidance.results[0].seatPosition, "rear_seat_required");
+  assert.equal(guidance.results[0].ruleVersion, 2);
+});
+
+test("approve refuses a proposal made against an older version", async () => {
+  const review = createService();
+  const first = await review.propose("WA", { ruleSet: waProposal(), proposedBy: "Dana" });
+  const second = await review.propose("WA", {
+    ruleSet: waProposal({ effectiveDate: "2026-10-01" }),
+    proposedBy: "Lee",
+  });
+  await review.approve("WA", first.proposal.id, { reviewedBy: "Sam" });
+
+  const stale = await review.approve("WA", second.proposal.id, { reviewedBy: "Sam" });
+  assert.deepEqual(stale, { error: "STALE_PROPOSAL" });
+  assert.equal((await review.getCurrentRuleSet("WA")).version, 2);
+});
+
+test("rejected proposals stay in history and cannot be approved", async () => {
+  const review = createService();
+  const { proposal } = await review.propose("WA", { ruleSet: waProposal(), proposedBy: "Dana" });
+  const rejected = await review.reject("WA", proposal.id, { reviewedBy: "Sam", note: "Source unclear" });
+  assert.equal(rejected.proposal.status, "rejected");
+  assert.equal(rejected.proposal.reviewNote, "Source unclear");
+
+  assert.deepEqual(await review.approve("WA", proposal.id, { reviewedBy: "Sam" }), { error: "PROPOSAL_NOT_PENDING" });
+  const history = await review.getHistory("WA");
+  assert.equal(history.currentVersion, 1);
+  assert.equal(history.proposals.length, 1);
+});
+
+test("unknown jurisdictions and proposals return null", async () => {
+  const review = createService();
+  assert.equal(await review.getCurrentRuleSet("ZZ"), null);
+  assert.equal(await review.propose("ZZ", { ruleSet: waProposal(), proposedBy: "Dana" }), null);
+  assert.equal(await review.getProposal("WA", "missing"), null);
+});
+
+test("file rule store keeps approved versions across service instances", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sproutroute-rules-"));
+  try {
+    const first = createService(createFileRuleStore(dir));
+    const { proposal } = await first.propose("WA", { ruleSet: waProposal(), proposedBy: "Dana" });
+    await first.approve("WA", proposal.id, { reviewedBy: "Sam" });
+
+    const second = createService(createFileRuleStore(dir));
+    const rules = await second.currentRules();
+    assert.equal(rules.WA.version, 2);
+    assert.equal(rules.CA.version, 1);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
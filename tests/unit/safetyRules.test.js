@@ -1,10 +1,15 @@
 /**
  * safetyRules.js tests — US state rules + international guidance (Phase 4/6C)
  *
- * Tests cover two distinct code paths:
+ * Tests cover five areas:
  *   1. US state rules: resolveJurisdictionCode + getCarSeatGuidance with state data
+ *      (including vehicle-type exemptions for taxis, rideshare, buses and RVs, and ages projected
+ *      from birth dates to the trip date)
  *   2. International guidance: countryCode routing → buildInternationalGuidance()
  *      (CA, GB, AU, EU baseline, generic/WHO)
+ *   3. Road trips: per-jurisdiction route guidance and the strictest-across-route summary
+ *   4. Coverage: every US state + DC has a repo rule set and official source
+ *   5. Air travel: lap infants, FAA-approved car seats, CARES fit and gate checks
  *
  * No overlap with intlSafetyRules.test.js — that file tests the data layer
  * (carSeatRules.js) while this file tests the service layer (safetyRules.js).
@@ -13,7 +18,11 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import {
+  getAirTravelGuidance,
   getCarSeatGuidance,
+  getCarSeatRuleCoverage,
+  getRouteCarSeatGuidance,
+  getStrictestCarSeatGuidance,
   resolveJurisdictionCode,
 } from "../../src/backend/services/safetyRules.js";
 
@@ -257,3 +266,218 @@ test("getCarSeatGuidance with countryCode=US still uses US state rules", async (
     "countryCode=US should use US state rules, not international guidance",
   );
 });
+
+test("getRouteCarSeatGuidance evaluates each state on the route once, in order", async () => {
+  const calls = [];
+  const guidanceFn = async (input) => {
+    calls.push(input);
+    return {
+      status: input.jurisdictionCode === "OR" ? "Needs review" : "Verified",
+      jurisdictionCode: input.jurisdictionCode || input.countryCode,
+      results: [],
+    };
+  };
+
+  const result = await getRouteCarSeatGuidance(
+    {
+      stops: [
+        { destination: "Seattle, Washington", jurisdictionCode: "WA", countryCode: "US" },
+        { destination: "Portland, Oregon", jurisdictionCode: "OR", countryCode: "US" },
+        { destination: "Bend, Oregon", jurisdictionCode: "OR", countryCode: "US" },
+        { destination: "Vancouver, British Columbia", countryCode: "CA" },
+      ],
+      tripDate: "2026-07-01",
+      children: [{ id: "child-1", age: 5 }],
+    },
+    { guidanceFn },
+  );
+
+  assert.equal(result.guidanceMode, "route");
+  assert.deepEqual(result.jurisdictionCodes, ["WA", "OR", "CA"]);
+  assert.equal(calls.length, 3);
+  assert.equal(calls[2].countryCode, "CA");
+  assert.equal(calls[0].tripDate, "2026-07-01");
+  assert.equal(result.status, "Needs review");
+});
+
+test("getStrictestCarSeatGuidance picks the most restrictive restraint and seat position across states", () => {
+  const result = getStrictestCarSeatGuidance({
+    jurisdictionCodes: ["CA", "OR", "WA"],
+    children: [{ id: "child-1", age: 5, weightLb: 45, heightIn: 44 }],
+  });
+
+  assert.equal(result.guidanceMode, "route_strictest");
+  const [child] = result.results;
+  // CA keeps a 5-year-old in a harness; WA requires the rear seat until 13.
+  assert.equal(child.requiredRestraint, "forward_facing_harness");
+  assert.equal(child.restraintJurisdictionCode, "CA");
+  assert.equal(child.seatPosition, "rear_seat_required_under_13");
+  assert.equal(child.seatPositionJurisdictionCode, "WA");
+  assert.equal(child.byJurisdiction.length, 3);
+});
+
+test("getStrictestCarSeatGuidance flags states needing review and states without data", () => {
+  const rules = {
+    AA: {
+      jurisdictionCode: "AA",
+      jurisdictionName: "State A",
+      verificationStatus: "Verified",
+      sourceUrl: "https://a.example",
+      rules: [{ priority: 1, requiredRestraint: "booster", seatPosition: "rear_seat_recommended", minAgeMonths: 48, maxAgeMonths: 95 }],
+    },
+    BB: {
+      jurisdictionCode: "BB",
+      jurisdictionName: "State B",
+      verificationStatus: "Needs review",
+      sourceUrl: "https://b.example",
+      rules: [{ priority: 1, requiredRestraint: "booster", seatPosition: "rear_seat_required_under_8", minAgeMonths: 48, maxAgeMonths: 95 }],
+    },
+  };
+
+  const result = getStrictestCarSeatGuidance(
+    { jurisdictionCodes: ["AA", "BB", "ZZ"], children: [{ age: 6 }] },
+    { rules },
+  );
+
+  assert.deepEqual(result.jurisdictionsNeedingReview.map((j) => j.jurisdictionCode), ["BB"]);
+  assert.deepEqual(result.uncoveredJurisdictions, ["ZZ"]);
+  assert.equal(result.status, "Needs review");
+  // Equal restraint in both states: the earlier state on the route is credited.
+  assert.equal(result.results[0].restraintJurisdictionCode, "AA");
+  assert.equal(result.results[0].seatPositionJurisdictionCode, "BB");
+});
+
+test("getCarSeatRuleCoverage reports every US state and DC with structured rules and a source", () => {
+  const coverage = getCarSeatRuleCoverage();
+
+  assert.equal(coverage.summary.total, 51);
+  assert.equal(coverage.summary.withRules, 51);
+  assert.deepEqual(coverage.summary.missing, []);
+  for (const entry of coverage.jurisdictions) {
+    assert.ok(entry.ruleCount > 0, `${entry.jurisdictionCode} needs rules`);
+    assert.match(entry.sourceUrl, /^https:\/\//, `${entry.jurisdictionCode} needs a source URL`);
+    assert.ok(entry.lastUpdated, `${entry.jurisdictionCode} needs lastUpdated`);
+  }
+  assert.ok(coverage.jurisdictions.some((entry) => entry.jurisdictionCode === "DC"));
+  assert.ok(coverage.international.length > 0);
+});
+
+test("getCarSeatRuleCoverage lists states without rule data as missing", () => {
+  const coverage = getCarSeatRuleCoverage({ rules: {}, intlRules: {}, sourceRegistry: { WA: "https://wa.example" } });
+
+  assert.equal(coverage.summary.withRules, 0);
+  assert.equal(coverage.summary.missing.length, 51);
+  const wa = coverage.jurisdictions.find((entry) => entry.jurisdictionCode === "WA");
+  assert.equal(wa.verificationStatus, "Unavailable");
+  assert.equal(wa.sourceUrl, "https://wa.example");
+  assert.equal(wa.jurisdictionName, "Washington");
+});
+
+test("getCarSeatGuidance answers whether the law applies in a rideshare or taxi", async () => {
+  const child = [{ id: "child-1", age: 3, weightLb: 32, heightIn: 38 }];
+
+  const rideshare = await getCarSeatGuidance({ destination: "Austin, TX", children: child, vehicleType: "rideshare" });
+  assert.equal(rideshare.vehicleType, "rideshare");
+  assert.equal(rideshare.vehicleExemption.status, "unclear");
+  assert.equal(rideshare.vehicleExemption.legallyRequired, null);
+  assert.equal(rideshare.vehicleExemption.source, "jurisdiction");
+  assert.equal(rideshare.results[0].requiredRestraint, "forward_facing_harness");
+
+  const taxi = await getCarSeatGuidance({ destination: "Austin, TX", children: child, vehicleType: "taxi" });
+  assert.equal(taxi.vehicleExemption.status, "exempt");
+  assert.equal(taxi.vehicleExemption.legallyRequired, false);
+});
+
+test("getCarSeatGuidance falls back to default vehicle exemptions and omits them for the family car", async () => {
+  const child = [{ id: "child-1", age: 3 }];
+
+  const taxi = await getCarSeatGuidance({ destination: "Seattle, WA", children: child, vehicleType: "taxi" });
+  assert.equal(taxi.vehicleExemption.source, "default");
+  assert.equal(taxi.vehicleExemption.status, "unclear");
+
+  const rental = await getCarSeatGuidance({ destination: "Seattle, WA", children: child, vehicleType: "rental_car" });
+  assert.equal(rental.vehicleExemption.legallyRequired, true);
+
+  const own = await getCarSeatGuidance({ destination: "Seattle, WA", children: child, vehicleType: "car" });
+  assert.equal(own.vehicleExemption, undefined);
+});
+
+test("getCarSeatGuidance projects birth-date ages to the trip and flags a threshold crossed during it", async () => {
+  const now = () => new Date("2026-10-19T12:00:00Z");
+  // 22 months today; turns 2 on 2026-12-10, when WA's rear-facing rule (to 23 months) stops matching.
+  const children = [{ id: "child-1", age: 1, birthDate: "2024-12-10", weightLb: 30, heightIn: 36 }];
+
+  const during = await getCarSeatGuidance(
+    { destination: "Seattle, WA", tripDate: "2026-12-05", tripEndDate: "2026-12-15", children },
+    { now },
+  );
+  const [result] = during.results;
+  assert.equal(result.ageMonths, 23);
+  assert.equal(result.ageProjected, true);
+  assert.equal(result.requiredRestraint, "rear_facing");
+  assert.deepEqual(result.thresholdCrossings.map(({ when, date, toRestraint }) => ({ when, date, toRestraint })), [
+    { when: "during_trip", date: "2026-12-10", toRestraint: "forward_facing_harness" },
+  ]);
+  assert.match(result.rationale, /2026-12-10, during the trip/);
+
+  const after = await getCarSeatGuidance({ destination: "Seattle, WA", tripDate: "2027-01-05", children }, { now });
+  assert.equal(after.results[0].requiredRestraint, "forward_facing_harness");
+  assert.equal(after.results[0].thresholdCrossings[0].when, "before_trip");
+});
+
+test("getCarSeatGuidance keeps entered ages and reports no crossings without a birth date", async () => {
+  const guidance = await getCarSeatGuidance({
+    destination: "Seattle, WA",
+    tripDate: "2027-06-01",
+    tripEndDate: "2027-06-10",
+    children: [{ id: "child-1", age: 1, weightLb: 30, heightIn: 36 }],
+  });
+  assert.equal(guidance.results[0].ageProjected, false);
+  assert.deepEqual(guidance.results[0].thresholdCrossings, []);
+  assert.equal(guidance.results[0].requiredRestraint, "rear_facing");
+});
+
+// ── 5. Air travel ──────────────────────────────────────────────────────────
+
+test("getAirTravelGuidance allows lap infants under 2 and recommends a rear-facing seat under 20 lb", () => {
+  const guidance = getAirTravelGuidance({ children: [{ age: 1, weightLb: 18, heightIn: 29 }] });
+  const [infant] = guidance.results;
+
+  assert.equal(guidance.guidanceMode, "air_travel");
+  assert.equal(infant.lapInfant.eligible, true);
+  assert.equal(infant.recommendedRestraint, "rear_facing_car_seat");
+  assert.equal(infant.caresHarness.fit, "too_small");
+  assert.ok(infant.gateCheck.some((note) => note.includes("lap infant")));
+});
+
+test("getAirTravelGuidance offers CARES within 22–44 lb and 40 in", () => {
+  const { results } = getAirTravelGuidance({
+    children: [
+      { age: 3, weightLb: 32, heightIn: 38 },
+      { age: 4, weightLb: 35, heightIn: 42 },
+    ],
+  });
+
+  assert.equal(results[0].lapInfant.eligible, false);
+  assert.equal(results[0].caresHarness.fit, "fits");
+  assert.equal(results[0].recommendedRestraint, "car_seat_or_cares");
+  assert.equal(results[1].caresHarness.fit, "too_large");
+  assert.equal(results[1].recommendedRestraint, "forward_facing_car_seat");
+});
+
+test("getAirTravelGuidance uses the age on the flight date for lap infants", () => {
+  const guidance = getAirTravelGuidance({
+    tripDate: "2027-03-01",
+    children: [{ id: "child-1", age: 1, birthDate: "2025-01-15" }],
+  });
+  assert.equal(guidance.results[0].lapInfant.eligible, false);
+});
+
+test("getAirTravelGuidance falls back to age without weight and warns boosters stay off the plane", () => {
+  const { results } = getAirTravelGuidance({ children: [{ age: 6 }] });
+
+  assert.equal(results[0].status, "Needs review");
+  assert.equal(results[0].caresHarness.fit, "unknown");
+  assert.equal(results[0].recommendedRestraint, "seat_belt");
+  assert.ok(results[0].gateCheck.some((note) => note.includes("booster")));
+});
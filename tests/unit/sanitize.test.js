@@ -1,8 +1,12 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import {
+  sanitizeChecklistState,
+  sanitizeChildren,
+  sanitizeExpenses,
   sanitizeString,
   sanitizeTripData,
+  sanitizeTripStops,
   validateTripData,
 } from "../../src/backend/utils/sanitize.js";
 
@@ -31,6 +35,108 @@ test("sanitizeTripData clamps children ages and normalizes activities", () => {
   );
 });
 
+test("sanitizeTripData keeps valid child birth dates and derives a missing age from them", () => {
+  const sanitized = sanitizeTripData({
+    destination: "Seattle, WA",
+    startDate: "2026-01-10",
+    endDate: "2026-01-12",
+    activities: ["hiking"],
+    children: [
+      { age: 2, birthDate: "2024-03-05" },
+      { birthDate: "2020-06" },
+      { age: 4, birthDate: "2999-01-01" },
+    ],
+  });
+
+  assert.equal(sanitized.children[0].birthDate, "2024-03-05");
+  assert.equal(sanitized.children[1].birthDate, "2020-06");
+  assert.ok(sanitized.children[1].age >= 5);
+  assert.equal(sanitized.children[2].birthDate, undefined);
+});
+
+test("sanitizeTripData keeps valid nap windows and bedtimes", () => {
+  const sanitized = sanitizeTripData({
+    destination: "Seattle, WA",
+    startDate: "2026-01-10",
+    endDate: "2026-01-12",
+    activities: ["parks"],
+    children: [
+      { age: 2, napStart: "12:30", napEnd: "2:30", bedtime: "19:00" },
+      { age: 3, napStart: "9:30", napEnd: "11:00", bedtime: "7pm" },
+      { age: 1, napStart: "13:00", napEnd: "25:00", bedtime: "06:30" },
+    ],
+  });
+
+  assert.equal(sanitized.children[0].napStart, undefined, "A nap ending before it starts is dropped");
+  assert.equal(sanitized.children[0].bedtime, "19:00");
+  assert.equal(sanitized.children[1].napStart, "09:30");
+  assert.equal(sanitized.children[1].napEnd, "11:00");
+  assert.equal(sanitized.children[1].bedtime, undefined);
+  assert.deepEqual(sanitized.children[2], { age: 1 });
+});
+
+test("sanitizeChildren keeps short allergy and medication lists for the emergency card", () => {
+  const [child, other] = sanitizeChildren([
+    {
+      age: 4,
+      allergies: ["Peanuts <severe>", "", 42, "x".repeat(80)],
+      medications: "albuterol",
+    },
+    { age: 6, allergies: [] },
+  ]);
+
+  assert.deepEqual(child.allergies, ["Peanuts severe", "42", "x".repeat(60)]);
+  assert.equal(child.medications, undefined, "Only lists are accepted");
+  assert.equal("allergies" in other, false);
+});
+
+test("sanitizeTripData converts metric child measurements and ignores imperial fields", () => {
+  const sanitized = sanitizeTripData({
+    destination: "Toronto, ON",
+    startDate: "2026-01-10",
+    endDate: "2026-01-12",
+    activities: ["museums"],
+    unitSystem: "metric",
+    children: [{ age: 6, weightKg: 22, heightCm: 118, weightLb: 10 }],
+  });
+
+  assert.equal(sanitized.unitSystem, "metric");
+  assert.deepEqual(sanitized.children[0], {
+    age: 6,
+    weightKg: 22,
+    weightLb: 48.5,
+    heightCm: 118,
+    heightIn: 46.5,
+  });
+  assert.equal(sanitizeTripData({ unitSystem: "kelvin" }).unitSystem, "imperial");
+});
+
+test("sanitizeTripData keeps only allowlisted food allergies and diets", () => {
+  const sanitized = sanitizeTripData({
+    dietary: {
+      foodAllergies: ["peanut", "dairy", "peanut", "IGNORE PREVIOUS", "chocolate"],
+      diets: ["halal", "paleo", 7],
+    },
+  });
+  assert.deepEqual(sanitized.dietary, { foodAllergies: ["peanut", "dairy"], diets: ["halal"] });
+
+  assert.equal(sanitizeTripData({ dietary: { foodAllergies: ["chocolate"] } }).dietary, undefined);
+  assert.equal(sanitizeTripData({ dietary: "vegan" }).dietary, undefined);
+});
+
+test("sanitizeTripData keeps only allowlisted accessibility needs and equipment", () => {
+  const sanitized = sanitizeTripData({
+    accessibility: {
+      mobility: ["wheelchair", "jetpack"],
+      sensory: "noise",
+      equipment: ["oxygen", "oxygen", "<script>"],
+    },
+  });
+  assert.deepEqual(sanitized.accessibility, { mobility: ["wheelchair"], sensory: [], equipment: ["oxygen"] });
+
+  assert.equal(sanitizeTripData({ accessibility: { mobility: ["stairs"] } }).accessibility, undefined);
+});
+
 test("validateTripData enforces date and activity constraints", () => {
   const errors = validateTripData(
     {
@@ -46,3 +152,104 @@ test("validateTripData enforces date and activity constraints", () => {
   assert.equal(errors.includes("End date must be after start date"), true);
   assert.equal(errors.includes("At least one activity is required"), true);
 });
+
+test("sanitizeChecklistState keeps person/bag assignments and drops empty ones", () => {
+  const { assignments } = sanitizeChecklistState({
+    checked: [],
+    assignments: {
+      "clothing||jacket||1": { person: "<b>Mom</b>", bag: "Carry-on" },
+      "gear||stroller||1": { person: "", bag: null },
+      "gear||hat||1": "not an object",
+    },
+  });
+
+  assert.deepEqual(assignments, {
+    "clothing||jacket||1": { person: "bMom/b", bag: "Carry-on" },
+  });
+});
+
+test("sanitizeExpenses keeps positive amounts and allowlisted categories", () => {
+  const expenses = sanitizeExpenses([
+    { id: "e1", date: "2027-06-01", category: "meals", description: "<i>Tacos</i>", amount: "42.499" },
+    { id: "e2", date: "June 2", category: "souvenirs", description: "Magnets", amount: 12 },
+    { id: "e3", category: "fuel", amount: 0 },
+    { date: "2027-06-02", category: "fuel", amount: -5 },
+    "not an expense",
+  ]);
+
+  assert.deepEqual(expenses, [
+    { id: "e1", date: "2027-06-01", category: "meals", description: "iTacos/i", amount: 42.5 },
+    { id: "e2", date: null, category: "other", description: "Magnets", amount: 12 },
+  ]);
+  assert.deepEqual(sanitizeExpenses({ amount: 10 }), []);
+});
+
+test("sanitizeTripData keeps the typed destination query and a replan's country code", () => {
+  const sanitized = sanitizeTripData({ destinationQuery: "  2 hours from <Denver> ", countryCode: "fr" });
+  assert.equal(sanitized.destinationQuery, "2 hours from Denver");
+  assert.equal(sanitized.countryCode, "FR");
+
+  const bare = sanitizeTripData({ countryCode: "France" });
+  assert.equal(bare.destinationQuery, undefined);
+  assert.equal(bare.countryCode, undefined);
+});
+
+test("sanitizeTripData derives destination and dates from road trip stops", () => {
+  const sanitized = sanitizeTripData({
+    destination: "ignored",
+    startDate: "2026-01-01",
+    endDate: "2026-01-02",
+    activities: ["parks"],
+    children: [],
+    stops: [
+      { destination: "Seattle, WA", startDate: "2026-01-10", endDate: "2026-01-12" },
+      { destination: "Portland, OR", startDate: "2026-01-12", endDate: "2026-01-14" },
+    ],
+  });
+
+  assert.equal(sanitized.destination, "Seattle, WA → Portland, OR");
+  assert.equal(sanitized.startDate, "2026-01-10");
+  assert.equal(sanitized.endDate, "2026-01-14");
+  assert.equal(sanitized.stops.length, 2);
+});
+
+test("sanitizeTripData ignores a single stop", () => {
+  const sanitized = sanitizeTripData({
+    destination: "Seattle, WA",
+    startDate: "2026-01-10",
+    endDate: "2026-01-12",
+    activities: [],
+    children: [],
+    stops: [{ destination: "Portland, OR", startDate: "2026-01-10", endDate: "2026-01-12" }],
+  });
+
+  assert.equal(sanitized.destination, "Seattle, WA");
+  assert.equal(sanitized.stops, undefined);
+});
+
+test("sanitizeTripStops caps the number of stops", () => {
+  const stops = Array.from({ length: 12 }, (_, i) => ({
+    destination: `Stop ${i}`,
+    startDate: "2026-01-10",
+    endDate: "2026-01-10",
+  }));
+  assert.equal(sanitizeTripStops(stops).length, 8);
+});
+
+test("validateTripData reports per-stop errors", () => {
+  const errors = validateTripData({
+    destination: "Seattle, WA → Portland, OR",
+    startDate: "2026-01-10",
+    endDate: "2026-01-14",
+    activities: [],
+    children: [],
+    stops: [
+      { destination: "Seattle, WA", startDate: "2026-01-10", endDate: "2026-01-13" },
+      { destination: "Portland, OR", startDate: "2026-01-12", endDate: "2026-01-14" },
+      { destination: "", startDate: "2026-01-14", endDate: "2026-01-14" },
+    ],
+  });
+
+  assert.ok(errors.includes("Stop 2: must start on or after the previous stop ends"));
+  assert.ok(errors.includes("Stop 3: destination is required"));
+});
@@ -0,0 +1,179 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { renderTripPacket, toPdfText } from "../../src/backend/services/tripPacket.js";
+
+const NOW = new Date("2026-10-19T12:00:00.000Z");
+
+function makeRecord(overrides = {}) {
+  return {
+    id: "trip-123",
+    trip: {
+      destination: "Denver, CO",
+      startDate: "2026-11-01",
+      endDate: "2026-11-03",
+      countryCode: "US",
+      children: [{ age: 4, weightLb: 38, heightIn: 40 }],
+    },
+    weather: {
+      summary: "Crisp fall days",
+      forecast: [{ date: "2026-11-01", name: "Sunday", high: 55, low: 32, precipitation: 10, condition: "Sunny" }],
+    },
+    tripPlan: {
+      overview: "Mountain air and museums",
+      suggestedActivities: [{ id: "a1", name: "Denver Zoo", duration: "2 hours" }],
+      dailyItinerary: [{ day: "Day 1", activities: ["a1"], meals: "Picnic lunch" }],
+      tips: ["Pack layers"],
+    },
+    packingList: { categories: [{ name: "Clothing", items: [{ name: "Rain jacket", quantity: "1" }] }] },
+    checklist: { checked: ["clothing||rain jacket||1"], customItems: { Clothing: [{ name: "Boots", quantity: "1" }] } },
+    ...overrides,
+  };
+}
+
+// Decompress page content streams and pull out the hex-encoded text runs PDFKit writes.
+function extractText(pdf) {
+  const runs = [];
+  const raw = pdf.toString("latin1");
+  for (const match of raw.matchAll(/stream\n([\s\S]*?)\nendstream/g)) {
+    let content;
+    try {
+      content = zlib.inflateSync(Buffer.from(match[1], "latin1")).toString("latin1");
+    } catch {
+      continue;
+    }
+    for (const hex of content.matchAll(/<([0-9a-f]+)>/g)) {
+      runs.push(Buffer.from(hex[1], "hex").toString("latin1"));
+    }
+  }
+  return runs.join("");
+}
+
+const pageCount = (pdf) => (pdf.toString("latin1").match(/\/Type \/Page\b/g) || []).length;
+
+// ── toPdfText ───────────────────────────────────────────────────────────────
+
+test("toPdfText drops characters the built-in fonts cannot draw", () => {
+  assert.equal(toPdfText("Beach day 🏖️  – café “fun”"), "Beach day – café “fun”");
+  assert.equal(toPdfText(null), "");
+  assert.equal(toPdfText("Seattle, WA → Portland, OR → Bend, OR"), "Seattle, WA to Portland, OR to Bend, OR");
+});
+
+// ── renderTripPacket ────────────────────────────────────────────────────────
+
+test("renderTripPacket produces a PDF with every section", async () => {
+  const pdf = await renderTripPacket(makeRecord(), {
+    now: NOW,
+    safetyGuidance: {
+      status: "Verified",
+      jurisdictionName: "Colorado",
+      results: [{ ageYears: 4, requiredRestraintLabel: "Forward-facing seat with harness" }],
+    },
+  });
+
+  assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  const text = extractText(pdf);
+  for (const expected of [
+    "Itinerary",
+    "Denver Zoo",
+    "Weather",
+    "Packing checklist",
+    "Boots",
+    "Car seat guidance",
+    "Forward-facing seat with harness",
+    "Travel advisory",
+    "Domestic trip",
+  ]) {
+    assert.ok(text.includes(expected), `missing "${expected}"`);
+  }
+});
+
+test("renderTripPacket prints metric trips in kg, cm and °C", async () => {
+  const metric = makeRecord();
+  metric.trip = {
+    ...metric.trip,
+    unitSystem: "metric",
+    children: [{ age: 4, weightKg: 17, weightLb: 37.5, heightCm: 102, heightIn: 40.2 }],
+  };
+  metric.weather = {
+    summary: "Expect temperatures between 0°C and 13°C.",
+    forecast: [{ date: "2026-11-01", name: "Sunday", high: 13, low: 0, precipitation: 10, condition: "Sunny" }],
+    units: { temperature: "C", precipitation: "mm" },
+  };
+
+  const text = extractText(await renderTripPacket(metric, { now: NOW }));
+  assert.ok(text.includes("Child 1, 4 yr, 17 kg, 102 cm"));
+  assert.ok(text.includes("13°C") && text.includes("0°C"));
+  assert.ok(!/\d+ (lb|in)\b|°F/.test(text), "no imperial units on a metric trip");
+
+  const imperial = extractText(await renderTripPacket(makeRecord(), { now: NOW }));
+  assert.ok(imperial.includes("Child 1, 4 yr, 38 lb, 40 in"));
+  assert.ok(imperial.includes("55°F") && imperial.includes("32°F"));
+});
+
+test("renderTripPacket prints the strictest summary and every state's guidance for a road trip", async () => {
+  const roadTrip = makeRecord();
+  roadTrip.trip = { ...roadTrip.trip, destination: "Seattle, WA → Portland, OR" };
+  const pdf = await renderTripPacket(roadTrip, {
+    now: NOW,
+    safetyGuidance: {
+      guidanceMode: "route",
+      status: "Verified",
+      jurisdictionCodes: ["WA", "OR"],
+      jurisdictions: [
+        {
+          status: "Verified",
+          jurisdictionName: "Washington",
+          results: [{ ageYears: 4, requiredRestraintLabel: "Booster seat" }],
+          sourceUrl: "https://example.gov/wa",
+        },
+        {
+          status: "Verified",
+          jurisdictionName: "Oregon",
+          results: [{ ageYears: 4, requiredRestraintLabel: "Forward-facing seat with harness" }],
+          sourceUrl: "https://example.gov/or",
+        },
+      ],
+      strictest: {
+        guidanceMode: "route_strictest",
+        status: "Verified",
+        message: "Requirements are the strictest across every state on the route.",
+        results: [
+          {
+            ageYears: 4,
+            requiredRestraintLabel: "Forward-facing seat with harness",
+            rationale: "Forward-facing seat with harness is the strictest requirement on the route (Oregon).",
+          },
+        ],
+      },
+    },
+  });
+
+  const text = extractText(pdf);
+  assert.ok(text.includes("Seattle, WA to Portland, OR"));
+  for (const expected of [
+    "Strictest across the route: Verified",
+    "strictest requirement on the route (Oregon)",
+    "Washington: Verified",
+    "Booster seat",
+    "Source: https://example.gov/wa",
+    "Oregon: Verified",
+    "Source: https://example.gov/or",
+  ]) {
+    assert.ok(text.includes(expected), `missing "${expected}"`);
+  }
+});
+
+test("renderTripPacket notes missing guidance and flows long lists onto extra pages", async () => {
+  const items = Array.from({ length: 120 }, (_, i) => ({ name: `Item ${i}`, quantity: "1" }));
+  const pdf = await renderTripPacket(
+    makeRecord({ packingList: { categories: [{ name: "Gear", items }] } }),
+    { now: NOW, safetyGuidance: null },
+  );
+
+  const text = extractText(pdf);
+  assert.ok(text.includes("Car seat guidance could not be loaded"));
+  assert.ok(text.includes("Item 119"));
+  assert.ok(pageCount(pdf) >= 3);
+  assert.ok(text.includes(`page ${pageCount(pdf)} of ${pageCount(pdf)}`));
+});
@@ -12,7 +12,7 @@
 
 import test from "node:test";
 import assert from "node:assert/strict";
-import { generateTripPlan } from "../../src/backend/services/tripPlanAI.js";
+import { generateTripPlan, moveOutdoorActivitiesOffAlertDays } from "../../src/backend/services/tripPlanAI.js";
 
 const ORIGINAL_AI_PROVIDER = process.env.AI_PROVIDER;
 
@@ -211,6 +211,31 @@ test("generateTripPlan enables prompt caching on first attempt", async () => {
   );
 });
 
+test("generateTripPlan doesn't retry or repair when a post-processing step fails", async () => {
+  delete process.env.AI_PROVIDER;
+  const calls = [];
+  // Parses fine, but a null activity breaks the itinerary post-processing.
+  const plan = { overview: "x", suggestedActivities: [null], dailyItinerary: [{ day: "Day 1", activities: ["a"] }], tips: [] };
+  const mockAnthropicClient = {
+    messages: {
+      create: async (params) => {
+        calls.push(params);
+        return { content: [{ type: "text", text: JSON.stringify(plan) }], stop_reason: "end_turn" };
+      },
+    },
+  };
+
+  await assert.rejects(
+    generateTripPlan(
+      { destination: "Denver, CO", startDate: "2027-01-10", endDate: "2027-01-10", activities: ["parks"], children: [] },
+      mockWeather,
+      { anthropicClient: mockAnthropicClient },
+    ),
+    (error) => !error.message.includes("invalid trip-plan JSON"),
+  );
+  assert.equal(calls.length, 1, "A post-processing bug must not cost a compact retry and a repair call");
+});
+
 // ── User prompt includes tripType ────────────────────────────────────────────
 
 test("generateTripPlan user prompt includes tripType label", async () => {
@@ -267,3 +292,266 @@ test("generateTripPlan handles adults-only trip (no children)", async () => {
     "System prompt should mention adults-only context",
   );
 });
+
+// ── Weather alerts ───────────────────────────────────────────────────────────
+
+const stormWarning = { event: "Winter Storm Warning", severity: "severe", dates: ["2027-01-11"] };
+
+test("generateTripPlan lists active alerts in the prompt and keeps outdoor plans off alert days", async () => {
+  delete process.env.AI_PROVIDER;
+  const plan = {
+    overview: "Snowy trip",
+    suggestedActivities: [
+      { id: "sled", name: "Sledding", weatherDependent: true },
+      { id: "museum", name: "Museum", weatherDependent: false },
+    ],
+    dailyItinerary: [
+      { day: "Day 1", activities: ["museum"], notes: "" },
+      { day: "Day 2", activities: ["sled", "museum"], notes: "Dress warm." },
+    ],
+    tips: [],
+  };
+  const captured = { calls: [] };
+  const mockAnthropicClient = {
+    messages: {
+      create: async (params) => {
+        captured.calls.push(params);
+        return { content: [{ type: "text", text: JSON.stringify(plan) }], stop_reason: "end_turn" };
+      },
+    },
+  };
+
+  const result = await generateTripPlan(
+    {
+      destination: "Denver, CO",
+      startDate: "2027-01-10",
+      endDate: "2027-01-11",
+      activities: ["sledding"],
+      children: [{ age: 6 }],
+      alerts: [stormWarning, { event: "Special Weather Statement", severity: "minor", dates: ["2027-01-10"] }],
+    },
+    mockWeather,
+    { anthropicClient: mockAnthropicClient },
+  );
+
+  const userText = captured.calls[0].messages[0].content;
+  assert.ok(userText.includes("**Active Weather Alerts:**\n- 2027-01-11: Winter Storm Warning"));
+  assert.ok(!userText.includes("Special Weather Statement"), "Minor statements don't restrict the plan");
+  assert.deepEqual(result.dailyItinerary[0].activities, ["museum", "sled"]);
+  assert.deepEqual(result.dailyItinerary[1].activities, ["museum"]);
+  assert.deepEqual(result.dailyItinerary[1].weatherAlerts, ["Winter Storm Warning"]);
+  assert.match(result.dailyItinerary[1].notes, /^⚠️ Winter Storm Warning in effect.*moved to Day 1\. Dress warm\.$/);
+});
+
+test("moveOutdoorActivitiesOffAlertDays keeps outdoor plans when every day has an alert", () => {
+  const plan = {
+    suggestedActivities: [{ id: "hike", weatherDependent: true }],
+    dailyItinerary: [{ day: "Day 1", activities: ["hike"], notes: "" }],
+  };
+  const result = moveOutdoorActivitiesOffAlertDays(plan, {
+    startDate: "2027-01-11",
+    alertDays: new Map([["2027-01-11", ["Heat Advisory"]]]),
+  });
+  assert.deepEqual(result.dailyItinerary[0].activities, ["hike"]);
+  assert.match(result.dailyItinerary[0].notes, /Every day has an alert/);
+  assert.equal(moveOutdoorActivitiesOffAlertDays(plan, { startDate: "2027-01-11", alertDays: new Map() }), plan);
+});
+
+test("moveOutdoorActivitiesOffAlertDays moves outdoor activities the itinerary refers to by name", () => {
+  const plan = {
+    suggestedActivities: [
+      { id: "sled", name: "Sledding Hill", weatherDependent: true },
+      { id: "museum", name: "Science Museum", weatherDependent: false },
+    ],
+    dailyItinerary: [
+      { day: "Day 1", activities: ["Science Museum"], notes: "" },
+      { day: "Day 2", activities: ["sledding hill", "Science Museum"], notes: "" },
+    ],
+  };
+  const result = moveOutdoorActivitiesOffAlertDays(plan, {
+    startDate: "2027-01-10",
+    alertDays: new Map([["2027-01-11", ["Winter Storm Warning"]]]),
+  });
+  assert.deepEqual(result.dailyItinerary[0].activities, ["Science Museum", "sledding hill"]);
+  assert.deepEqual(result.dailyItinerary[1].activities, ["Science Museum"]);
+  assert.match(result.dailyItinerary[1].notes, /Outdoor plans moved to Day 1\./);
+});
+
+// ── Naps, bedtime and hourly weather ─────────────────────────────────────────
+
+test("generateTripPlan passes child routines and hot hours to the prompt and returns timed days", async () => {
+  delete process.env.AI_PROVIDER;
+  const { captured, mockAnthropicClient } = createCapturingMock();
+  const hourly = [12, 13, 14, 15].map((hour) => ({ time: `${hour}:00`, temp: hour >= 13 ? 96 : 85, precipitation: 0 }));
+
+  const result = await generateTripPlan(
+    {
+      destination: "Phoenix, AZ",
+      startDate: "2027-07-05",
+      endDate: "2027-07-05",
+      activities: ["parks"],
+      children: [{ age: 2, napStart: "12:30", napEnd: "14:30", bedtime: "19:00" }],
+    },
+    { summary: "Hot", forecast: [{ date: "2027-07-05", name: "Monday", high: 96, low: 78, condition: "Sunny", precipitation: 0, hourly }] },
+    { anthropicClient: mockAnthropicClient },
+  );
+
+  const userText = captured.calls[0].messages[0].content;
+  assert.ok(userText.includes("age 2 (naps 12:30–14:30, bedtime 19:00)"));
+  assert.ok(userText.includes("Monday: 96°F, Sunny, 0% rain chance; hot 13:00–16:00"));
+  assert.match(extractSystemText(captured.calls[0]), /timed blocks/);
+
+  const schedule = result.dailyItinerary[0].schedule;
+  assert.deepEqual(
+    schedule.map((block) => block.kind),
+    ["outing", "meal", "nap", "outing", "meal", "bedtime"],
+  );
+  assert.deepEqual(schedule[0].activities, ["act-1"]);
+});
+
+test("generateTripPlan lists UV, AQI and heat risk and asks for indoor plans on bad-air days", async () => {
+  delete process.env.AI_PROVIDER;
+  const { captured, mockAnthropicClient } = createCapturingMock();
+
+  await generateTripPlan(
+    {
+      destination: "Sacramento, CA",
+      startDate: "2027-08-02",
+      endDate: "2027-08-03",
+      activities: ["parks"],
+      children: [{ age: 4 }],
+    },
+    {
+      summary: "Hot and smoky",
+      forecast: [
+        { name: "Monday", high: 99, low: 70, condition: "Haze", precipitation: 0, uvIndex: 9, aqi: 165, heatIndex: 99, heatRisk: "high" },
+        { name: "Tuesday", high: 78, low: 60, condition: "Sunny", precipitation: 0, uvIndex: 2, aqi: 30, heatIndex: 78, heatRisk: "low" },
+      ],
+    },
+    { anthropicClient: mockAnthropicClient },
+  );
+
+  const userText = captured.calls[0].messages[0].content;
+  assert.ok(userText.includes("Monday: 99°F, Haze, 0% rain chance; UV 9 (very high); AQI 165 (unhealthy); feels like 99°F (high heat risk)"));
+  assert.doesNotMatch(userText, /Tuesday:[^\n]*(UV|AQI|feels like)/, "Low risks are left out");
+  assert.match(extractSystemText(captured.calls[0]), /7\. Children are especially sensitive to smoke and heat/);
+});
+
+// ── Dietary needs ────────────────────────────────────────────────────────────
+
+test("generateTripPlan asks for safe meals and drops meal ideas that break the family's diet", async () => {
+  delete process.env.AI_PROVIDER;
+  const plan = JSON.parse(VALID_TRIP_PLAN_JSON);
+  plan.dailyItinerary[0].meals = "Lunch: satay skewers at the market. Dinner: vegetable curry at a halal restaurant.";
+  const captured = { calls: [] };
+  const mockAnthropicClient = {
+    messages: {
+      create: async (params) => {
+        captured.calls.push(params);
+        return { content: [{ type: "text", text: JSON.stringify(plan) }], stop_reason: "end_turn" };
+      },
+    },
+  };
+
+  const result = await generateTripPlan(
+    {
+      destination: "Singapore",
+      startDate: "2027-03-01",
+      endDate: "2027-03-02",
+      activities: ["city"],
+      children: [{ age: 5 }],
+      countryCode: "SG",
+      dietary: { foodAllergies: ["peanut"], diets: ["halal"] },
+    },
+    mockWeather,
+    { anthropicClient: mockAnthropicClient },
+  );
+
+  const systemText = extractSystemText(captured.calls[0]);
+  assert.match(systemText, /7\. The family's dietary needs are: peanut allergy, halal\. Every "meals" suggestion must be peanut-free, halal/);
+  assert.match(systemText, /mention a local phrase for the allergy or diet/);
+  assert.ok(captured.calls[0].messages[0].content.includes("- Dietary needs: peanut allergy, halal"));
+  assert.equal(result.dailyItinerary[0].meals, "Dinner: vegetable curry at a halal restaurant.");
+  assert.deepEqual(result.dailyItinerary[0].dietaryConflicts, ["peanut allergy"]);
+});
+
+// ── Accessibility ────────────────────────────────────────────────────────────
+
+test("generateTripPlan asks for accessible activities and notes every suggestion", async () => {
+  delete process.env.AI_PROVIDER;
+  const plan = JSON.parse(VALID_TRIP_PLAN_JSON);
+  plan.suggestedActivities = [
+    { ...plan.suggestedActivities[0], category: "theme_park", accessibilityNotes: "Step-free throughout." },
+    { ...plan.suggestedActivities[0], name: "Aquarium", category: "museums" },
+  ];
+  const captured = { calls: [] };
+  const mockAnthropicClient = {
+    messages: {
+      create: async (params) => {
+        captured.calls.push(params);
+        return { content: [{ type: "text", text: JSON.stringify(plan) }], stop_reason: "end_turn" };
+      },
+    },
+  };
+
+  const result = await generateTripPlan(
+    {
+      destination: "Orlando, FL",
+      startDate: "2027-02-08",
+      endDate: "2027-02-09",
+      activities: ["theme_park"],
+      children: [{ age: 8 }],
+      accessibility: { mobility: ["wheelchair"], sensory: ["noise"], equipment: ["power_wheelchair"] },
+    },
+    mockWeather,
+    { anthropicClient: mockAnthropicClient },
+  );
+
+  const systemText = extractSystemText(captured.calls[0]);
+  assert.match(systemText, /7\. A family member uses a wheelchair; is sensitive to noise; brings power wheelchair\. Prefer activities with step-free entrances/);
+  assert.match(systemText, /"accessibilityNotes":/);
+  assert.ok(captured.calls[0].messages[0].content.includes("- Accessibility: uses a wheelchair; is sensitive to noise; brings power wheelchair"));
+  assert.equal(
+    result.suggestedActivities[0].accessibilityNotes,
+    "Step-free throughout. ⚠️ Loud rides and shows — bring ear defenders and ask about quiet rooms.",
+  );
+  assert.match(result.suggestedActivities[1].accessibilityNotes, /^Check ahead for step-free entrances/);
+});
+
+// ── Budget ───────────────────────────────────────────────────────────────────
+
+test("generateTripPlan asks for ticket prices and prices the trip in the local currency", async () => {
+  delete process.env.AI_PROVIDER;
+  const plan = JSON.parse(VALID_TRIP_PLAN_JSON);
+  plan.suggestedActivities[0].admissionUsd = { adult: 30, child: 15 };
+  plan.dailyItinerary = [{ day: "Day 1", activities: [plan.suggestedActivities[0].id], meals: "", notes: "" }];
+  const captured = { calls: [] };
+  const mockAnthropicClient = {
+    messages: {
+      create: async (params) => {
+        captured.calls.push(params);
+        return { content: [{ type: "text", text: JSON.stringify(plan) }], stop_reason: "end_turn" };
+      },
+    },
+  };
+
+  const result = await generateTripPlan(
+    {
+      destination: "Vancouver, BC",
+      startDate: "2027-08-02",
+      endDate: "2027-08-02",
+      activities: ["city"],
+      children: [{ age: 7 }],
+      countryCode: "CA",
+      destinationQuery: "3 hours from Seattle",
+    },
+    mockWeather,
+    { anthropicClient: mockAnthropicClient },
+  );
+
+  assert.match(extractSystemText(captured.calls[0]), /"admissionUsd": the typical ticket price per adult and per child/);
+  assert.equal(result.budget.currency, "CAD");
+  assert.equal(result.budget.activities[0].perAdult, 41);
+  assert.equal(result.budget.assumptions.roundTripDriveMiles, 360);
+  assert.equal(result.budget.days[0].fuel, result.budget.totals.fuel, "A one-day trip pays both ways on day 1");
+});
@@ -0,0 +1,126 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  combineLegWeather,
+  fetchLegAlerts,
+  fetchLegWeather,
+  geocodeTripStops,
+  routeLabel,
+  toTripStops,
+} from "../../src/backend/services/tripRoute.js";
+
+const period = (date, high) => ({ date, day: date, high, low: high - 15, condition: "Sunny" });
+
+const seattle = { lat: 47.6, lon: -122.3, displayName: "Seattle, Washington", stateCode: "WA", stateName: "Washington", countryCode: "US" };
+const portland = { lat: 45.5, lon: -122.7, displayName: "Portland, Oregon", stateCode: "OR", stateName: "Oregon", countryCode: "US" };
+
+test("geocodeTripStops and fetchLegWeather build legs in route order", async () => {
+  const geocoded = [];
+  const legs = await geocodeTripStops(
+    [
+      { destination: "Seattle", startDate: "2026-07-01", endDate: "2026-07-03" },
+      { destination: "Portland", startDate: "2026-07-03", endDate: "2026-07-05" },
+    ],
+    async (query) => {
+      geocoded.push(query);
+      return query === "Seattle" ? seattle : portland;
+    },
+  );
+  assert.deepEqual(geocoded, ["Seattle", "Portland"]);
+  assert.equal(routeLabel(legs), "Seattle → Portland");
+
+  const withWeather = await fetchLegWeather(legs, async (lat, lon, countryCode, startDate, endDate) => ({
+    summary: `${startDate}..${endDate}`,
+    forecast: [],
+  }));
+  assert.equal(withWeather[1].weather.summary, "2026-07-03..2026-07-05");
+});
+
+test("fetchLegAlerts tags alerts with their stop and lists shared alerts once", async () => {
+  const legs = [
+    { destination: "Seattle", startDate: "2026-07-01", endDate: "2026-07-03", coords: seattle },
+    { destination: "Portland", startDate: "2026-07-03", endDate: "2026-07-05", coords: portland },
+  ];
+  const alerts = await fetchLegAlerts(legs, async (lat) =>
+    lat === seattle.lat
+      ? [{ id: "heat-1", event: "Excessive Heat Warning" }]
+      : [{ id: "heat-1", event: "Excessive Heat Warning" }, { id: "air-2", event: "Air Quality Alert" }],
+  );
+  assert.deepEqual(
+    alerts.map((alert) => [alert.id, alert.stop]),
+    [["heat-1", "Seattle"], ["air-2", "Portland"]],
+  );
+});
+
+test("combineLegWeather keeps each stop's own days and tags them", () => {
+  const legs = [
+    {
+      label: "Seattle",
+      startDate: "2026-07-01",
+      endDate: "2026-07-03",
+      weather: {
+        summary: "Mild.",
+        timeZone: "America/Los_Angeles",
+        forecast: [period("2026-07-01", 70), period("2026-07-02", 71), period("2026-07-03", 72)],
+      },
+    },
+    {
+      label: "Portland",
+      startDate: "2026-07-03",
+      endDate: "2026-07-04",
+      weather: {
+        summary: "Warm.",
+        forecast: [period("2026-07-02", 80), period("2026-07-03", 81), period("2026-07-04", 82)],
+      },
+    },
+  ];
+
+  const weather = combineLegWeather(legs);
+  assert.deepEqual(
+    weather.forecast.map((p) => [p.date, p.stop, p.high]),
+    [
+      ["2026-07-01", "Seattle", 70],
+      ["2026-07-02", "Seattle", 71],
+      ["2026-07-03", "Portland", 81],
+      ["2026-07-04", "Portland", 82],
+    ],
+  );
+  assert.equal(weather.summary, "Seattle: Mild. Portland: Warm.");
+  assert.equal(weather.timeZone, "America/Los_Angeles");
+});
+
+test("combineLegWeather falls back to the earliest days when a stay is outside the forecast window", () => {
+  const weather = combineLegWeather([
+    {
+      label: "Bend",
+      startDate: "2026-08-01",
+      endDate: "2026-08-03",
+      weather: { summary: "Dry.", forecast: [period("2026-07-01", 85), period("2026-07-02", 86), period("2026-07-03", 87)] },
+    },
+  ]);
+  assert.equal(weather.forecast.length, 2);
+  assert.equal(weather.forecast[0].stop, "Bend");
+});
+
+test("toTripStops exposes jurisdiction and time zone per stop", () => {
+  const [stop] = toTripStops([
+    {
+      destination: "Portland",
+      startDate: "2026-07-03",
+      endDate: "2026-07-05",
+      coords: portland,
+      weather: { timeZone: "America/Los_Angeles" },
+    },
+  ]);
+  assert.deepEqual(stop, {
+    destination: "Portland, Oregon",
+    startDate: "2026-07-03",
+    endDate: "2026-07-05",
+    jurisdictionCode: "OR",
+    jurisdictionName: "Oregon",
+    countryCode: "US",
+    lat: 45.5,
+    lon: -122.7,
+    timeZone: "America/Los_Angeles",
+  });
+});
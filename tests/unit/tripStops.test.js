@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { remainingNights, scheduleStops } from "../../src/frontend/src/utils/tripStops.js";
+
+test("scheduleStops dates each stop in order and gives the last stop the remaining nights", () => {
+  const stops = [
+    { destination: "Seattle, WA", nights: 2 },
+    { destination: "Portland, OR", nights: 1 },
+    { destination: "Bend, OR" },
+  ];
+  assert.equal(remainingNights(stops, "2026-07-01", "2026-07-06"), 2);
+
+  const { stops: scheduled, error } = scheduleStops(stops, "2026-07-01", "2026-07-06");
+  assert.equal(error, null);
+  assert.deepEqual(scheduled, [
+    { destination: "Seattle, WA", startDate: "2026-07-01", endDate: "2026-07-03" },
+    { destination: "Portland, OR", startDate: "2026-07-03", endDate: "2026-07-04" },
+    { destination: "Bend, OR", startDate: "2026-07-04", endDate: "2026-07-06" },
+  ]);
+});
+
+test("scheduleStops rejects blank stops and stops that outlast the trip", () => {
+  assert.match(
+    scheduleStops([{ destination: "Seattle", nights: 1 }, { destination: " " }], "2026-07-01", "2026-07-03").error,
+    /every stop/,
+  );
+  assert.match(
+    scheduleStops([{ destination: "Seattle", nights: 3 }, { destination: "Bend" }], "2026-07-01", "2026-07-03").error,
+    /more nights than the trip/,
+  );
+  assert.match(
+    scheduleStops([{ destination: "Seattle", nights: 0 }, { destination: "Bend" }], "2026-07-01", "2026-07-03").error,
+    /at least 1 night/,
+  );
+});
@@ -0,0 +1,143 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import {
+  createFileTripStore,
+  createMemoryTripStore,
+  createTripStore,
+  isValidShareToken,
+  isValidTripId,
+} from "../../src/backend/services/tripStore.js";
+
+const SAMPLE = {
+  trip: { destination: "Seattle, WA", startDate: "2027-05-01", endDate: "2027-05-04" },
+  weather: { summary: "Mild", forecast: [] },
+  tripPlan: { overview: "Fun", suggestedActivities: [], dailyItinerary: [], tips: [] },
+  packingList: { categories: [] },
+};
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sproutroute-trips-"));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// Both backends must honour the same contract.
+const BACKENDS = [
+  ["memory", async (fn) => fn(createMemoryTripStore())],
+  ["file", async (fn) => withTempDir((dir) => fn(createFileTripStore(dir)))],
+];
+
+for (const [name, withStore] of BACKENDS) {
+  test(`${name} store: create assigns a UUID and defaults an empty checklist`, async () => {
+    await withStore(async (store) => {
+      const saved = await store.create(SAMPLE);
+      assert.ok(isValidTripId(saved.id));
+      assert.equal(saved.trip.destination, "Seattle, WA");
+      assert.deepEqual(saved.checklist.checked, []);
+      assert.ok(saved.createdAt);
+      assert.equal(saved.createdAt, saved.updatedAt);
+    });
+  });
+
+  test(`${name} store: get round-trips a saved record`, async () => {
+    await withStore(async (store) => {
+      const saved = await store.create(SAMPLE);
+      const loaded = await store.get(saved.id);
+      assert.deepEqual(loaded, saved);
+    });
+  });
+
+  test(`${name} store: update replaces only provided fields and keeps id/createdAt`, async () => {
+    await withStore(async (store) => {
+      const saved = await store.create(SAMPLE);
+      const updated = await store.update(saved.id, {
+        checklist: { checked: ["clothing||jacket||1"], customItems: {} },
+        id: "ignored",
+        createdAt: "ignored",
+      });
+      assert.equal(updated.id, saved.id);
+      assert.equal(updated.createdAt, saved.createdAt);
+      assert.deepEqual(updated.checklist.checked, ["clothing||jacket||1"]);
+      assert.deepEqual(updated.tripPlan, SAMPLE.tripPlan);
+    });
+  });
+
+  test(`${name} store: unknown or malformed IDs return null/false`, async () => {
+    await withStore(async (store) => {
+      assert.equal(await store.get("00000000-0000-4000-8000-000000000000"), null);
+      assert.equal(await store.get("../../etc/passwd"), null);
+      assert.equal(await store.update("not-a-uuid", { trip: SAMPLE.trip }), null);
+      assert.equal(await store.delete("not-a-uuid"), false);
+    });
+  });
+
+  test(`${name} store: delete removes the record`, async () => {
+    await withStore(async (store) => {
+      const saved = await store.create(SAMPLE);
+      assert.equal(await store.delete(saved.id), true);
+      assert.equal(await store.get(saved.id), null);
+      assert.equal(await store.delete(saved.id), false);
+    });
+  });
+}
+
+test("memory store: returned records are copies, not live references", async () => {
+  const store = createMemoryTripStore();
+  const saved = await store.create(SAMPLE);
+  saved.trip.destination = "Mutated";
+  const loaded = await store.get(saved.id);
+  assert.equal(loaded.trip.destination, "Seattle, WA");
+});
+
+test("file store: persists across store instances pointing at the same directory", async () => {
+  await withTempDir(async (dir) => {
+    const saved = await createFileTripStore(dir).create(SAMPLE);
+    const loaded = await createFileTripStore(dir).get(saved.id);
+    assert.equal(loaded.trip.destination, "Seattle, WA");
+  });
+});
+
+test("createTripStore picks memory under NODE_ENV=test and honours TRIP_STORE", () => {
+  assert.equal(createTripStore({ NODE_ENV: "test" }).kind, "memory");
+  assert.equal(createTripStore({ TRIP_STORE: "file", TRIP_STORE_DIR: os.tmpdir() }).kind, "file");
+  assert.equal(createTripStore({ TRIP_STORE: "memory", NODE_ENV: "production" }).kind, "memory");
+});
+
+for (const [name, withStore] of BACKENDS) {
+  test(`${name} store: shares can be created, listed, and revoked`, async () => {
+    await withStore(async (store) => {
+      const saved = await store.create(SAMPLE);
+      const expiresAt = new Date(Date.now() + 86400000).toISOString();
+      const share = await store.createShare(saved.id, { expiresAt });
+
+      assert.ok(isValidShareToken(share.token));
+      assert.equal(share.tripId, saved.id);
+      assert.equal(share.revokedAt, null);
+      assert.deepEqual(await store.getShare(share.token), share);
+      assert.equal((await store.listShares(saved.id)).length, 1);
+
+      const revoked = await store.revokeShare(share.token);
+      assert.ok(revoked.revokedAt);
+      assert.ok((await store.getShare(share.token)).revokedAt);
+    });
+  });
+
+  test(`${name} store: sharing a missing trip returns null; deleting a trip drops its shares`, async () => {
+    await withStore(async (store) => {
+      const expiresAt = new Date(Date.now() + 86400000).toISOString();
+      assert.equal(await store.createShare("00000000-0000-4000-8000-000000000000", { expiresAt }), null);
+
+      const saved = await store.create(SAMPLE);
+      const share = await store.createShare(saved.id, { expiresAt });
+      await store.delete(saved.id);
+      assert.equal(await store.getShare(share.token), null);
+      assert.equal(await store.getShare("../../../etc/passwd"), null);
+    });
+  });
+}
@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  formatTemperature,
+  normalizeUnitSystem,
+  toImperialWeather,
+  toUnitSystemWeather,
+} from "../../src/backend/utils/units.js";
+
+const WEATHER = {
+  summary: "Expect temperatures between 32°F and 86°F with possible rain.",
+  forecast: [
+    { name: "Monday", high: 86, low: 68, precipitation: 40, precipitationIn: 1 },
+    { name: "Tuesday", high: 32, low: null, precipitation: 0 },
+  ],
+  timeZone: "America/Toronto",
+};
+
+test("toUnitSystemWeather converts temperatures, precipitation amounts and the summary to metric", () => {
+  const metric = toUnitSystemWeather(WEATHER, "metric");
+  assert.deepEqual(metric.units, { temperature: "C", precipitation: "mm" });
+  assert.equal(metric.summary, "Expect temperatures between 0°C and 30°C with possible rain.");
+  assert.deepEqual(metric.forecast[0], { name: "Monday", high: 30, low: 20, precipitation: 40, precipitationMm: 25.4 });
+  assert.equal(metric.forecast[1].low, null);
+  assert.equal(metric.timeZone, "America/Toronto");
+  // Chance of rain stays a percentage; unconverted input is untouched
+  assert.equal(WEATHER.forecast[0].high, 86);
+});
+
+test("toUnitSystemWeather converts hourly temperatures and toImperialWeather restores them", () => {
+  const weather = { summary: "", forecast: [{ name: "Monday", high: 95, low: 70, hourly: [{ time: "14:00", temp: 95, precipitation: 10 }] }] };
+  const metric = toUnitSystemWeather(weather, "metric");
+  assert.deepEqual(metric.forecast[0].hourly, [{ time: "14:00", temp: 35, precipitation: 10 }]);
+  assert.equal(toImperialWeather(metric).forecast[0].hourly[0].temp, 95);
+  const withHeat = toUnitSystemWeather({ summary: "", forecast: [{ name: "Monday", high: 95, low: 70, heatIndex: 104 }] }, "metric");
+  assert.equal(withHeat.forecast[0].heatIndex, 40);
+  assert.equal(toImperialWeather(withHeat).forecast[0].heatIndex, 104);
+});
+
+test("imperial weather is returned unchanged and metric weather is not converted twice", () => {
+  assert.equal(toUnitSystemWeather(WEATHER, "imperial"), WEATHER);
+  const metric = toUnitSystemWeather(WEATHER, "metric");
+  assert.equal(toUnitSystemWeather(metric, "metric"), metric);
+});
+
+test("toImperialWeather restores °F weather sent back by a metric client", () => {
+  const roundTrip = toImperialWeather(toUnitSystemWeather(WEATHER, "metric"));
+  assert.equal(roundTrip.units, undefined);
+  assert.equal(roundTrip.forecast[0].high, 86);
+  assert.equal(roundTrip.forecast[0].precipitationIn, 1);
+  assert.equal(roundTrip.summary, "Expect temperatures between 32°F and 86°F with possible rain.");
+  assert.equal(toImperialWeather(WEATHER), WEATHER);
+});
+
+test("normalizeUnitSystem and formatTemperature", () => {
+  assert.equal(normalizeUnitSystem("metric"), "metric");
+  assert.equal(normalizeUnitSystem(undefined), "imperial");
+  assert.equal(formatTemperature(72, "metric"), "22°C");
+  assert.equal(formatTemperature(72, "imperial"), "72°F");
+});
@@ -1,7 +1,15 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import { getVisualCrossingForecast, __resetVcCacheForTests } from "../../src/backend/services/visualCrossing.js";
-import { getWeatherForecast, __resetWeatherCacheForTests } from "../../src/backend/services/weather.js";
+import {
+  DEFAULT_PROVIDER_CHAINS,
+  describeWeatherProviderChains,
+  getWeatherAlerts,
+  getWeatherForecast,
+  getWeatherProviderChain,
+  parseProviderChains,
+  __resetWeatherCacheForTests,
+} from "../../src/backend/services/weather.js";
 
 const originalFetch = global.fetch;
 const originalEnv = { ...process.env };
@@ -245,3 +253,291 @@ test("getWeatherForecast routes non-US to Visual Crossing", async () => {
   assert.ok(result.forecast, "Result should have forecast");
   assert.ok(result.summary, "Result should have summary");
 });
+
+// --- Climate normals past the forecast horizon ---
+
+const FIXED_NOW = new Date("2026-10-19T12:00:00Z");
+
+function mockWeatherGov(periods) {
+  return async (url) => {
+    const urlStr = String(url);
+    if (urlStr.includes("/points/")) {
+      return new Response(
+        JSON.stringify({ properties: { forecast: "https://api.weather.gov/gridpoints/SEW/124,67/forecast" } }),
+        { status: 200, headers: { "Content-Type": "application/json" } },
+      );
+    }
+    return new Response(JSON.stringify({ properties: { periods } }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+}
+
+test("getWeatherForecast uses climate normals for US trips past the forecast horizon", async () => {
+  global.fetch = async (url) => {
+    throw new Error(`Should not fetch a forecast for a trip months out: ${url}`);
+  };
+
+  const result = await getWeatherForecast(47.6, -122.33, "US", "2027-01-11", "2027-01-13", { now: FIXED_NOW });
+
+  assert.deepEqual(result.forecast.map((d) => d.date), ["2027-01-11", "2027-01-12", "2027-01-13"]);
+  assert.ok(result.forecast.every((d) => d.source === "climatology"));
+  assert.equal(result.forecast[0].name, "Monday");
+  assert.equal(result.forecast[0].high, 48, "Seattle's January normal high");
+  assert.equal(result.forecast[0].low, 37);
+  assert.match(result.summary, /beyond the forecast range/);
+});
+
+test("getWeatherForecast keeps forecast days and fills the rest of the trip from climate normals", async () => {
+  global.fetch = mockWeatherGov([
+    { name: "Tuesday", startTime: "2026-10-20T06:00:00-07:00", temperature: 58, shortForecast: "Rain", detailedForecast: "Rain. 80% chance of precipitation." },
+    { name: "Tuesday Night", startTime: "2026-10-20T18:00:00-07:00", temperature: 47, shortForecast: "Rain", detailedForecast: "Rain." },
+    { name: "Monday", startTime: "2026-10-19T06:00:00-07:00", temperature: 60, shortForecast: "Cloudy", detailedForecast: "Cloudy." },
+    { name: "Monday Night", startTime: "2026-10-19T18:00:00-07:00", temperature: 48, shortForecast: "Cloudy", detailedForecast: "Cloudy." },
+  ]);
+
+  const result = await getWeatherForecast(47.6, -122.33, "US", "2026-10-20", "2026-10-31", { now: FIXED_NOW });
+
+  assert.equal(result.forecast.length, 12, "One day per trip date");
+  assert.equal(result.forecast[0].date, "2026-10-20");
+  assert.equal(result.forecast[0].source, "forecast");
+  assert.equal(result.forecast[0].high, 58);
+  assert.equal(result.forecast[1].source, "climatology");
+  assert.equal(result.forecast[1].high, 60, "Seattle's October normal high");
+  assert.match(result.summary, /Forecast through 2026-10-20; later days use typical conditions/);
+});
+
+test("getWeatherForecast without trip dates tags provider days as forecasts", async () => {
+  global.fetch = mockWeatherGov([
+    { name: "Monday", startTime: "2026-10-19T06:00:00-07:00", temperature: 60, shortForecast: "Cloudy", detailedForecast: "Cloudy." },
+    { name: "Monday Night", startTime: "2026-10-19T18:00:00-07:00", temperature: 48, shortForecast: "Cloudy", detailedForecast: "Cloudy." },
+  ]);
+
+  const result = await getWeatherForecast(47.6, -122.33, "US");
+  assert.equal(result.forecast.length, 1);
+  assert.equal(result.forecast[0].source, "forecast");
+});
+
+test("getVisualCrossingForecast tags statistical days as climatology", async () => {
+  process.env.VISUAL_CROSSING_API_KEY = "test-key-123";
+  global.fetch = async () =>
+    new Response(
+      JSON.stringify({
+        days: [
+          { datetime: "2027-03-15", tempmax: 60, tempmin: 45, precipprob: 30, icon: "cloudy", source: "stats" },
+          { datetime: "2027-03-16", tempmax: 62, tempmin: 46, precipprob: 10, icon: "clear-day", source: "fcst" },
+        ],
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } },
+    );
+
+  const result = await getVisualCrossingForecast(51.5, -0.12, { startDate: "2027-03-15", endDate: "2027-03-16" });
+  assert.deepEqual(result.forecast.map((d) => d.source), ["climatology", "forecast"]);
+});
+
+// --- Provider chain ---
+
+test("getWeatherForecast falls back to the next provider on a 5xx and reports who served it", async () => {
+  process.env.VISUAL_CROSSING_API_KEY = "test-key-123";
+  global.fetch = async (url) => {
+    if (String(url).includes("api.weather.gov")) return new Response("upstream down", { status: 503 });
+    return new Response(
+      JSON.stringify(mockVcResponse([{ date: "2026-10-20", high: 61, low: 49, icon: "rain" }])),
+      { status: 200, headers: { "Content-Type": "application/json" } },
+    );
+  };
+
+  const result = await getWeatherForecast(47.6, -122.33, "US", "2026-10-20", "2026-10-20", { now: FIXED_NOW });
+  assert.equal(result.provider, "visualcrossing");
+  assert.equal(result.forecast[0].high, 61);
+});
+
+test("getWeatherForecast stops the chain on a 4xx", async () => {
+  process.env.VISUAL_CROSSING_API_KEY = "test-key-123";
+  let vcCalled = false;
+  global.fetch = async (url) => {
+    if (String(url).includes("api.weather.gov")) return new Response("bad point", { status: 404 });
+    vcCalled = true;
+    throw new Error("Visual Crossing should not be tried after a 4xx");
+  };
+
+  await assert.rejects(
+    () => getWeatherForecast(47.6, -122.33, "US", "2026-10-20", "2026-10-20", { now: FIXED_NOW }),
+    /Failed to fetch weather: Weather.gov API error \(404\)/,
+  );
+  assert.equal(vcCalled, false);
+});
+
+test("getWeatherProviderChain follows configured chains and skips unconfigured providers", () => {
+  delete process.env.VISUAL_CROSSING_API_KEY;
+  const chains = parseProviderChains("US=visualcrossing,weathergov;other=openweathermap,bogus");
+  assert.deepEqual(chains.US, ["visualcrossing", "weathergov"]);
+  assert.deepEqual(chains.other, ["openweathermap"], "Unknown ids are dropped");
+
+  assert.deepEqual(getWeatherProviderChain("US", chains).map((p) => p.id), ["weathergov"]);
+  process.env.VISUAL_CROSSING_API_KEY = "test-key-123";
+  assert.deepEqual(getWeatherProviderChain("us", chains).map((p) => p.id), ["visualcrossing", "weathergov"]);
+  // Weather.gov only covers the US, even when listed for another country.
+  assert.deepEqual(getWeatherProviderChain("GB", { other: ["weathergov", "visualcrossing"] }).map((p) => p.id), ["visualcrossing"]);
+  assert.deepEqual(describeWeatherProviderChains(DEFAULT_PROVIDER_CHAINS), {
+    US: ["weathergov", "visualcrossing"],
+    other: ["visualcrossing"],
+  });
+});
+
+test("getWeatherForecast uses climate normals when no provider is configured for the country", async () => {
+  delete process.env.VISUAL_CROSSING_API_KEY;
+  global.fetch = async (url) => {
+    throw new Error(`Unexpected fetch to: ${url}`);
+  };
+
+  const result = await getWeatherForecast(51.5, -0.12, "GB", "2026-10-20", "2026-10-21", { now: FIXED_NOW });
+  assert.equal(result.provider, "climatology");
+  assert.equal(result.forecast.length, 2);
+  await assert.rejects(() => getWeatherForecast(51.5, -0.12, "GB"), /no weather provider is configured for GB/);
+});
+
+// --- Weather alerts ---
+
+function nwsAlert(properties) {
+  return { properties: { id: "urn:oid:1", areaDesc: "King County", ...properties } };
+}
+
+test("getWeatherAlerts returns NWS alerts that overlap the trip with severity and trip dates", async () => {
+  global.fetch = async (url, init) => {
+    assert.ok(String(url).startsWith("https://api.weather.gov/alerts/active?point=47.6000,-122.3300"));
+    assert.equal(init.headers.Accept, "application/geo+json");
+    return new Response(
+      JSON.stringify({
+        features: [
+          nwsAlert({
+            event: "Flood Watch",
+            severity: "Severe",
+            headline: "Flood Watch issued",
+            onset: "2026-10-21T05:00:00-07:00",
+            ends: "2026-10-22T17:00:00-07:00",
+          }),
+          nwsAlert({ id: "urn:oid:2", event: "Wind Advisory", severity: "Unknown", onset: "2026-10-25T05:00:00-07:00" }),
+        ],
+      }),
+      { status: 200 },
+    );
+  };
+
+  const alerts = await getWeatherAlerts(47.6, -122.33, "US", "2026-10-20", "2026-10-23", { now: FIXED_NOW });
+  assert.equal(alerts.length, 1, "Alerts outside the trip are dropped");
+  assert.equal(alerts[0].event, "Flood Watch");
+  assert.equal(alerts[0].severity, "severe");
+  assert.equal(alerts[0].provider, "weathergov");
+  assert.equal(alerts[0].area, "King County");
+  assert.deepEqual(alerts[0].dates, ["2026-10-21", "2026-10-22"]);
+});
+
+test("getWeatherAlerts is best-effort and skips trips past the alert window", async () => {
+  delete process.env.VISUAL_CROSSING_API_KEY;
+  let calls = 0;
+  global.fetch = async () => {
+    calls += 1;
+    return new Response("down", { status: 503 });
+  };
+
+  assert.deepEqual(await getWeatherAlerts(47.6, -122.33, "US", "2026-10-20", "2026-10-21", { now: FIXED_NOW }), []);
+  assert.equal(calls, 1);
+  assert.deepEqual(await getWeatherAlerts(47.6, -122.33, "US", "2026-12-20", "2026-12-21", { now: FIXED_NOW }), []);
+  assert.equal(calls, 1, "No lookup for trips starting more than a week out");
+});
+
+// --- Hourly forecast ---
+
+test("Weather.gov days carry hourly temperature, rain chance and humidity in local time", async () => {
+  global.fetch = async (url) => {
+    const urlStr = String(url);
+    if (urlStr.includes("/points/")) {
+      return new Response(
+        JSON.stringify({
+          properties: {
+            forecast: "https://api.weather.gov/gridpoints/SEW/124,67/forecast",
+            forecastHourly: "https://api.weather.gov/gridpoints/SEW/124,67/forecast/hourly",
+          },
+        }),
+        { status: 200 },
+      );
+    }
+    if (urlStr.endsWith("/forecast/hourly")) {
+      return new Response(
+        JSON.stringify({
+          properties: {
+            periods: [
+              { startTime: "2026-10-20T13:00:00-07:00", temperature: 64, probabilityOfPrecipitation: { value: 20 }, relativeHumidity: { value: 70 }, shortForecast: "Cloudy" },
+              { startTime: "2026-10-20T14:00:00-07:00", temperature: 65, probabilityOfPrecipitation: { value: 60 }, shortForecast: "Rain" },
+            ],
+          },
+        }),
+        { status: 200 },
+      );
+    }
+    return new Response(
+      JSON.stringify({
+        properties: {
+          periods: [
+            { name: "Tuesday", startTime: "2026-10-20T06:00:00-07:00", temperature: 65, shortForecast: "Rain", detailedForecast: "Rain." },
+            { name: "Tuesday Night", startTime: "2026-10-20T18:00:00-07:00", temperature: 50, shortForecast: "Rain", detailedForecast: "Rain." },
+          ],
+        },
+      }),
+      { status: 200 },
+    );
+  };
+
+  const result = await getWeatherForecast(47.6, -122.33, "US", "2026-10-20", "2026-10-20", { now: FIXED_NOW });
+  assert.deepEqual(result.forecast[0].hourly, [
+    { time: "13:00", temp: 64, precipitation: 20, humidity: 70, condition: "Cloudy" },
+    { time: "14:00", temp: 65, precipitation: 60, humidity: null, condition: "Rain" },
+  ]);
+});
+
+// --- UV, air quality and heat risk ---
+
+test("getWeatherForecast adds UV, AQI and heat risk inside the air quality window", async () => {
+  const weatherGov = mockWeatherGov([
+    { name: "Tuesday", startTime: "2026-10-20T06:00:00-07:00", temperature: 97, shortForecast: "Sunny", detailedForecast: "Sunny." },
+    { name: "Tuesday Night", startTime: "2026-10-20T18:00:00-07:00", temperature: 70, shortForecast: "Clear", detailedForecast: "Clear." },
+  ]);
+  const airUrls = [];
+  global.fetch = async (url) => {
+    if (String(url).includes("air-quality-api.open-meteo.com")) {
+      airUrls.push(String(url));
+      return new Response(
+        JSON.stringify({ hourly: { time: ["2026-10-20T14:00"], us_aqi: [155], uv_index: [8.2] } }),
+        { status: 200 },
+      );
+    }
+    return weatherGov(url);
+  };
+
+  const result = await getWeatherForecast(34.05, -118.24, "US", "2026-10-20", "2026-10-30", { now: FIXED_NOW });
+  const [first, ...rest] = result.forecast;
+
+  assert.match(airUrls[0], /start_date=2026-10-20&end_date=2026-10-23/, "Only days inside the 5-day window are looked up");
+  assert.deepEqual(
+    { uvIndex: first.uvIndex, aqi: first.aqi, heatIndex: first.heatIndex, heatRisk: first.heatRisk },
+    { uvIndex: 8, aqi: 155, heatIndex: 97, heatRisk: "high" },
+  );
+  assert.ok(rest.every((day) => day.aqi === undefined && day.heatRisk), "Later days still get a heat risk");
+});
+
+test("getWeatherForecast keeps the forecast when the air quality lookup fails", async () => {
+  const weatherGov = mockWeatherGov([
+    { name: "Tuesday", startTime: "2026-10-20T06:00:00-07:00", temperature: 60, shortForecast: "Cloudy", detailedForecast: "Cloudy." },
+  ]);
+  global.fetch = async (url) => {
+    if (String(url).includes("open-meteo")) return new Response("down", { status: 503 });
+    return weatherGov(url);
+  };
+
+  const result = await getWeatherForecast(40.71, -74.0, "US", "2026-10-20", "2026-10-20", { now: FIXED_NOW });
+  assert.equal(result.forecast[0].high, 60);
+  assert.equal(result.forecast[0].aqi, undefined);
+  assert.equal(result.forecast[0].heatRisk, "low");
+});
@@ -0,0 +1,102 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  addKidSafetyRisk,
+  aqiLevel,
+  dayHeatIndex,
+  heatIndexF,
+  heatRisk,
+  kidRiskText,
+  openMeteoAirQualitySource,
+  uvLevel,
+} from "../../src/backend/services/weatherRisk.js";
+
+test("heatIndexF follows the NWS heat index table", () => {
+  assert.equal(heatIndexF(90, 50), 95);
+  assert.equal(heatIndexF(96, 65), 121);
+  assert.equal(heatIndexF(70, 50), 69, "Below 80°F the simple formula stays near the temperature");
+  assert.equal(heatRisk(79), "low");
+  assert.equal(heatRisk(85), "moderate");
+  assert.equal(heatRisk(95), "high");
+  assert.equal(heatRisk(110), "extreme");
+});
+
+test("dayHeatIndex uses the hottest hour, then daily humidity, then the high", () => {
+  const hourly = [
+    { time: "13:00", temp: 90, humidity: 50 },
+    { time: "16:00", temp: 92, humidity: 30 },
+  ];
+  assert.equal(dayHeatIndex({ high: 92, hourly }), 95);
+  assert.equal(dayHeatIndex({ high: 90, humidity: 50 }), 95);
+  assert.equal(dayHeatIndex({ high: 88 }), 88);
+  assert.equal(dayHeatIndex({}), null);
+});
+
+test("uvLevel and aqiLevel use the UV index and EPA AQI bands", () => {
+  assert.deepEqual([2, 3, 6, 8, 11].map(uvLevel), ["low", "moderate", "high", "very-high", "extreme"]);
+  assert.deepEqual([50, 100, 150, 200, 300, 301].map(aqiLevel), [
+    "good",
+    "moderate",
+    "unhealthy-sensitive",
+    "unhealthy",
+    "very-unhealthy",
+    "hazardous",
+  ]);
+  assert.equal(aqiLevel(undefined), null);
+});
+
+test("addKidSafetyRisk merges air quality by date and keeps a provider's own UV index", () => {
+  const forecast = addKidSafetyRisk(
+    [
+      { date: "2027-07-01", high: 96, humidity: 40, uvIndex: 10 },
+      { date: "2027-07-02", high: 72 },
+      { date: "2027-07-20", high: 75, source: "climatology" },
+    ],
+    [
+      { date: "2027-07-01", aqi: 160, uvIndex: 8 },
+      { date: "2027-07-02", aqi: 35, uvIndex: 4 },
+    ],
+  );
+
+  assert.deepEqual(
+    forecast.map(({ uvIndex, aqi, heatRisk: risk }) => ({ uvIndex, aqi, risk })),
+    [
+      { uvIndex: 10, aqi: 160, risk: "high" },
+      { uvIndex: 4, aqi: 35, risk: "low" },
+      { uvIndex: undefined, aqi: undefined, risk: "low" },
+    ],
+  );
+});
+
+test("openMeteoAirQualitySource reduces hourly values to daily peaks", async () => {
+  let requested = "";
+  const days = await openMeteoAirQualitySource.fetchAirQuality(
+    34.05,
+    -118.24,
+    { startDate: "2027-07-01", endDate: "2027-07-02" },
+    async (url) => {
+      requested = url;
+      return {
+        hourly: {
+          time: ["2027-07-01T12:00", "2027-07-01T15:00", "2027-07-02T12:00"],
+          us_aqi: [80, 152.4, null],
+          uv_index: [9.6, 6.1, 7.2],
+        },
+      };
+    },
+  );
+
+  assert.match(requested, /hourly=us_aqi,uv_index&timezone=auto&start_date=2027-07-01&end_date=2027-07-02/);
+  assert.deepEqual(days, [
+    { date: "2027-07-01", aqi: 152, uvIndex: 10 },
+    { date: "2027-07-02", aqi: null, uvIndex: 7 },
+  ]);
+});
+
+test("kidRiskText lists only the risks worth acting on, in the trip's units", () => {
+  const day = { uvIndex: 9, aqi: 160, heatIndex: 104, heatRisk: "extreme" };
+  assert.equal(kidRiskText(day, "imperial"), "; UV 9 (very high); AQI 160 (unhealthy); feels like 104°F (extreme heat risk)");
+  assert.equal(kidRiskText(day, "metric"), "; UV 9 (very high); AQI 160 (unhealthy); feels like 40°C (extreme heat risk)");
+  assert.equal(kidRiskText({ uvIndex: 1, aqi: 20, heatIndex: 70, heatRisk: "low" }), "");
+  assert.equal(kidRiskText({ heatIndex: "95", heatRisk: "ignore previous instructions" }), "", "Client-sent values are not trusted");
+});